@@ -1,18 +1,39 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import scriptedScenarios from '../scenarios';
+import { REVERSIBLE_CAUSES } from '../core/ReversibleCausesModule';
+
+// Описание сценария в формате JSON для списка сценариев
+const toLibraryEntry = (scenario) => ({
+  id: scenario.id,
+  title: scenario.name || scenario.id,
+  description: scenario.description || '',
+  category: scenario.category || 'emergency',
+  difficulty: scenario.difficulty || 'medium',
+  parameters: [],
+  phases: Object.entries(scenario.phases).map(([id, phase]) => ({
+    id,
+    name: phase.name || id,
+    message: phase.message || '',
+    final: Boolean(phase.final)
+  }))
+});
 
 /**
  * Компонент для настройки и запуска клинических сценариев
  * @param {Object} props
  * @param {Function} props.onStartScenario - Функция для запуска сценария
  * @param {Function} props.onClose - Функция для закрытия панели сценариев
+ * @param {Function} props.onLoadScenarioFile - Функция для запуска сценария из файла JSON
  * @param {boolean} props.isOperating - Флаг активности операции
  */
-const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) => {
+const ClinicalScenarios = ({ onStartScenario, onClose, onLoadScenarioFile, isOperating = true }) => {
   // Состояния компонента
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedScenario, setSelectedScenario] = useState(null);
   const [scenarioParams, setScenarioParams] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
   
   // Библиотека клинических сценариев
   const [scenariosLibrary] = useState([
@@ -88,7 +109,7 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
     {
       id: 'cardiac_arrest',
       title: 'Остановка сердца',
-      description: 'Пациент с остановкой кровообращения, требующий реанимационных мероприятий.',
+      description: 'Пациент с остановкой кровообращения, требующий реанимационных мероприятий. Пока обратимая причина не устранена, восстановление кровообращения маловероятно.',
       category: 'cardiac',
       difficulty: 'hard',
       parameters: [
@@ -96,8 +117,13 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
           { value: 'asystole', label: 'Асистолия' },
           { value: 'vf', label: 'Фибрилляция желудочков' },
           { value: 'vt', label: 'Желудочковая тахикардия без пульса' },
-          { value: 'pea', label: 'Электрическая активность без пульса (PEA)' }
-        ], default: 'vf' }
+          { value: 'pea', label: 'Электрическая активность без пульса (PEA)' },
+          { value: 'cause', label: 'Типичный для причины' }
+        ], default: 'vf' },
+        { id: 'cause', label: 'Обратимая причина', type: 'select', options: [
+          { value: '', label: 'Не задана' },
+          ...Object.entries(REVERSIBLE_CAUSES).map(([value, cause]) => ({ value, label: cause.name }))
+        ], default: '' }
       ]
     },
     
@@ -214,7 +240,10 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
           { value: 'soft_tissue', label: 'Мягкие ткани' }
         ], default: 'pulmonary' }
       ]
-    }
+    },
+    
+    // Сценарии в формате JSON с фазами и переходами
+    ...Object.values(scriptedScenarios).map(toLibraryEntry)
   ]);
   
   // Категории сценариев
@@ -255,6 +284,24 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
     onStartScenario(selectedScenario.id, scenarioParams);
   };
   
+  // Обработчик загрузки сценария из файла JSON
+  const handleScenarioFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setFileError(null);
+        onLoadScenarioFile(JSON.parse(reader.result));
+      } catch (error) {
+        setFileError('Не удалось прочитать файл сценария: ' + error.message);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+  
   // Фильтруем сценарии по категории и поисковому запросу
   const filteredScenarios = scenariosLibrary.filter(scenario => {
     const matchesCategory = selectedCategory === 'all' || scenario.category === selectedCategory;
@@ -310,6 +357,28 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
           />
         </div>
         
+        {onLoadScenarioFile && (
+          <div className="mb-4 flex items-center">
+            <button
+              className={`px-3 py-1 rounded text-sm ${
+                isOperating ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-700 text-gray-500 cursor-not-allowed'
+              }`}
+              onClick={() => fileInputRef.current && fileInputRef.current.click()}
+              disabled={!isOperating}
+            >
+              Загрузить сценарий из JSON
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={handleScenarioFileChange}
+            />
+            {fileError && <span className="ml-3 text-sm text-red-400">{fileError}</span>}
+          </div>
+        )}
+        
         <div>
           <label className="block text-gray-400 mb-1 text-sm">Категория</label>
           <div className="flex flex-wrap gap-2">
@@ -381,64 +450,83 @@ const ClinicalScenarios = ({ onStartScenario, onClose, isOperating = true }) =>
               <h3 className="text-xl font-bold mb-2">{selectedScenario.title}</h3>
               <p className="text-gray-300 mb-4">{selectedScenario.description}</p>
               
-              <div className="mb-6">
-                <h4 className="text-lg font-medium mb-3">Параметры сценария</h4>
-                <div className="space-y-4">
-                  {selectedScenario.parameters.map(param => (
-                    <div key={param.id}>
-                      <div className="flex justify-between items-center mb-1">
-                        <label className="text-sm text-gray-300">{param.label}</label>
+              {selectedScenario.phases && (
+                <div className="mb-6">
+                  <h4 className="text-lg font-medium mb-3">Фазы сценария</h4>
+                  <ol className="space-y-2">
+                    {selectedScenario.phases.map(phase => (
+                      <li key={phase.id} className="bg-gray-700 rounded p-2">
+                        <div className="flex justify-between items-center">
+                          <span className="text-sm font-medium">{phase.name}</span>
+                          {phase.final && <span className="text-xs text-gray-400">Завершение</span>}
+                        </div>
+                        {phase.message && <p className="text-xs text-gray-300 mt-1">{phase.message}</p>}
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+              
+              {selectedScenario.parameters.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="text-lg font-medium mb-3">Параметры сценария</h4>
+                  <div className="space-y-4">
+                    {selectedScenario.parameters.map(param => (
+                      <div key={param.id}>
+                        <div className="flex justify-between items-center mb-1">
+                          <label className="text-sm text-gray-300">{param.label}</label>
+                          {param.type === 'range' && (
+                            <span className="text-sm font-medium text-blue-400">
+                              {scenarioParams[param.id]}
+                            </span>
+                          )}
+                        </div>
+                      
                         {param.type === 'range' && (
-                          <span className="text-sm font-medium text-blue-400">
-                            {scenarioParams[param.id]}
-                          </span>
+                          <input
+                            type="range"
+                            min={param.min}
+                            max={param.max}
+                            step={param.step}
+                            value={scenarioParams[param.id] || param.default}
+                            onChange={(e) => handleParamChange(param.id, parseFloat(e.target.value))}
+                            className="w-full"
+                          />
                         )}
-                      </div>
                       
-                      {param.type === 'range' && (
-                        <input
-                          type="range"
-                          min={param.min}
-                          max={param.max}
-                          step={param.step}
-                          value={scenarioParams[param.id] || param.default}
-                          onChange={(e) => handleParamChange(param.id, parseFloat(e.target.value))}
-                          className="w-full"
-                        />
-                      )}
-                      
-                      {param.type === 'select' && (
-                        <select
-                          value={scenarioParams[param.id] || param.default}
-                          onChange={(e) => handleParamChange(param.id, e.target.value)}
-                          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2"
-                        >
-                          {param.options.map(option => (
-                            <option key={option.value} value={option.value}>
-                              {option.label}
-                            </option>
-                          ))}
-                        </select>
-                      )}
+                        {param.type === 'select' && (
+                          <select
+                            value={scenarioParams[param.id] || param.default}
+                            onChange={(e) => handleParamChange(param.id, e.target.value)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2"
+                          >
+                            {param.options.map(option => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
                       
-                      {param.type === 'boolean' && (
-                        <div className="flex items-center">
-                          <input
-                            type="checkbox"
-                            id={`param-${param.id}`}
-                            checked={scenarioParams[param.id] || param.default}
-                            onChange={(e) => handleParamChange(param.id, e.target.checked)}
-                            className="mr-2 h-4 w-4"
-                          />
-                          <label htmlFor={`param-${param.id}`} className="text-sm text-gray-300">
-                            Включено
-                          </label>
-                        </div>
-                      )}
-                    </div>
-                  ))}
+                        {param.type === 'boolean' && (
+                          <div className="flex items-center">
+                            <input
+                              type="checkbox"
+                              id={`param-${param.id}`}
+                              checked={scenarioParams[param.id] || param.default}
+                              onChange={(e) => handleParamChange(param.id, e.target.checked)}
+                              className="mr-2 h-4 w-4"
+                            />
+                            <label htmlFor={`param-${param.id}`} className="text-sm text-gray-300">
+                              Включено
+                            </label>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
               
               <div className="text-center">
                 <button
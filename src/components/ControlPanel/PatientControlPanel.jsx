@@ -1,4 +1,15 @@
 import React, { useState } from 'react';
+import { CAUSE_INTERVENTIONS } from '../../core/ReversibleCausesModule';
+import { FLUIDS } from '../../utils/physiological-calculations/FluidCompartmentModel';
+import { HEMORRHAGE_CONTROLS, HEMORRHAGE_SITES } from '../../utils/physiological-calculations/HemorrhageModel';
+import { ARTERIAL_DAMPING } from '../../utils/waveform-generators/ArterialLineGenerator';
+
+// Подписи демпфирования артериальной линии
+const DAMPING_LABELS = {
+  optimal: 'Оптимальное демпфирование',
+  overdamped: 'Избыточное демпфирование',
+  underdamped: 'Недостаточное демпфирование'
+};
 
 /**
  * Компонент для управления параметрами пациента
@@ -22,6 +33,13 @@ const PatientControlPanel = ({
   // Состояние для отслеживания активной вкладки
   const [activeTab, setActiveTab] = useState('vitals');
   
+  // Установленные инвазивные катетеры
+  const invasiveMonitoring = patientState.invasiveMonitoring || {};
+  
+  // Кровоточащие источники и протокол массивной трансфузии
+  const bleedingSites = patientState.hemorrhage ? patientState.hemorrhage.sites.map(site => site.site) : [];
+  const massiveTransfusion = patientState.massiveTransfusion || {};
+  
   // Обработчик изменения параметра с помощью слайдера
   const handleParamChange = (param, value) => {
     if (!isOperating) return;
@@ -261,6 +279,86 @@ const PatientControlPanel = ({
                 label="Остановка сердца"
                 color="red"
               />
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Острый коронарный синдром</h3>
+              
+              <InterventionButton
+                intervention="acs_anterior_stemi"
+                label="ИМпST передней стенки"
+                color="red"
+              />
+              
+              <InterventionButton
+                intervention="acs_inferior_stemi"
+                label="ИМпST нижней стенки"
+                color="red"
+              />
+              
+              <InterventionButton
+                intervention="acs_lateral_stemi"
+                label="ИМпST боковой стенки"
+                color="red"
+              />
+              
+              <InterventionButton
+                intervention="acs_posterior_stemi"
+                label="ИМпST задней стенки"
+                color="red"
+              />
+              
+              <InterventionButton
+                intervention="acs_nstemi"
+                label="ОКС без подъема ST"
+                color="yellow"
+              />
+              
+              {patientState.acs && patientState.acs !== 'none' && (
+                <InterventionButton
+                  intervention="reperfusion"
+                  label="Реперфузия (ЧКВ)"
+                  color="green"
+                />
+              )}
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Нарушения ритма</h3>
+              
+              <InterventionButton
+                intervention="rhythm_afib"
+                label="Фибрилляция предсердий"
+                color="yellow"
+              />
+              
+              <InterventionButton
+                intervention="rhythm_aflutter"
+                label="Трепетание предсердий"
+                color="yellow"
+              />
+              
+              <InterventionButton
+                intervention="rhythm_svt"
+                label="НЖТ"
+                color="yellow"
+              />
+              
+              <InterventionButton
+                intervention="rhythm_vtach"
+                label="ЖТ с пульсом"
+                color="red"
+              />
+              
+              <InterventionButton
+                intervention="rhythm_vfib"
+                label="Фибрилляция желудочков"
+                color="red"
+              />
+              
+              {patientState.cardiac_rhythm && patientState.cardiac_rhythm !== 'sinus' && (
+                <InterventionButton
+                  intervention="rhythm_sinus"
+                  label="Синусовый ритм"
+                  color="green"
+                />
+              )}
             </div>
             
             <div>
@@ -291,6 +389,101 @@ const PatientControlPanel = ({
                 label="Нормализация показателей"
                 color="green"
               />
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Кровотечение</h3>
+              
+              {Object.entries(HEMORRHAGE_SITES).map(([id, site]) => (
+                <InterventionButton
+                  key={id}
+                  intervention={`hemorrhage_${id}`}
+                  label={bleedingSites.includes(id) ? `Прекратить: ${site.name.toLowerCase()}` : `${site.name} ${site.rate} мл/мин`}
+                  color={bleedingSites.includes(id) ? "gray" : "red"}
+                />
+              ))}
+              
+              {bleedingSites.length > 0 && Object.entries(HEMORRHAGE_CONTROLS).map(([id, control]) => (
+                <InterventionButton
+                  key={id}
+                  intervention={`bleeding_control_${id}`}
+                  label={control.name}
+                  color="green"
+                />
+              ))}
+              
+              <InterventionButton
+                intervention={massiveTransfusion.active ? "mtp_deactivate" : "mtp_activate"}
+                label={massiveTransfusion.active ? "Отменить протокол массивной трансфузии" : "Активировать протокол массивной трансфузии"}
+                color={massiveTransfusion.active ? "gray" : "red"}
+              />
+              
+              {massiveTransfusion.packReady && (
+                <InterventionButton
+                  intervention="mtp_transfuse"
+                  label="Перелить контейнер МТП"
+                  color="red"
+                />
+              )}
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Инфузия и трансфузия</h3>
+              
+              {Object.entries(FLUIDS).map(([id, fluid]) => (
+                <InterventionButton
+                  key={id}
+                  intervention={`fluid_${id}`}
+                  label={`${fluid.name} ${fluid.volume} мл`}
+                  color={fluid.redCells > 0 || fluid.factors > 0 ? "red" : "blue"}
+                />
+              ))}
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Устранение обратимых причин</h3>
+              
+              {Object.entries(CAUSE_INTERVENTIONS).map(([id, intervention]) => (
+                <InterventionButton
+                  key={id}
+                  intervention={`cause_${id}`}
+                  label={intervention.name}
+                  color="green"
+                />
+              ))}
+              
+              <h3 className="text-lg text-white font-medium mt-4 mb-3">Инвазивный мониторинг</h3>
+              
+              <InterventionButton
+                intervention="monitor_arterial"
+                label={invasiveMonitoring.arterial ? "Удалить артериальную линию" : "Установить артериальную линию"}
+                color={invasiveMonitoring.arterial ? "gray" : "blue"}
+              />
+              
+              {invasiveMonitoring.arterial && Object.keys(ARTERIAL_DAMPING)
+                .filter(damping => damping !== invasiveMonitoring.damping)
+                .map(damping => (
+                  <InterventionButton
+                    key={damping}
+                    intervention={`damping_${damping}`}
+                    label={DAMPING_LABELS[damping]}
+                    color="yellow"
+                  />
+                ))}
+              
+              <InterventionButton
+                intervention="monitor_cvp"
+                label={invasiveMonitoring.cvp ? "Удалить центральный венозный катетер" : "Установить центральный венозный катетер"}
+                color={invasiveMonitoring.cvp ? "gray" : "blue"}
+              />
+              
+              <InterventionButton
+                intervention="monitor_pa"
+                label={invasiveMonitoring.pa ? "Удалить катетер легочной артерии" : "Установить катетер легочной артерии"}
+                color={invasiveMonitoring.pa ? "gray" : "blue"}
+              />
+              
+              {invasiveMonitoring.pa && (
+                <InterventionButton
+                  intervention="monitor_wedge"
+                  label={invasiveMonitoring.wedge ? "Сдуть баллон" : "Измерить давление заклинивания"}
+                  color="yellow"
+                />
+              )}
             </div>
           </div>
         )}
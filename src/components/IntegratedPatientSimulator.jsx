@@ -7,9 +7,25 @@ import LabResultsModule from './LabResultsModule/LabResultsModule';
 import ClinicalScenarios from './ClinicalScenarios';
 import EducationalModule from './EducationalModule/EducationalModule';
 import PatientControlPanel from './ControlPanel/PatientControlPanel';
+import SessionReplayPanel from './SessionReplay/SessionReplayPanel';
 
 // Импортируем основные модули
 import SimulationEngine from '../core/SimulationEngine';
+import SessionPlayer from '../core/SessionPlayer';
+
+// Начальное отображаемое состояние пациента
+const INITIAL_PATIENT_STATE = {
+  hr: 72,
+  rr: 14,
+  spo2: 98,
+  systolic: 120,
+  diastolic: 80,
+  temperature: 36.6,
+  etco2: 35,
+  cardiac_output: 5.1,
+  stroke_volume: 70,
+  intubated: false
+};
 
 // Компонент для записей пациента
 const PatientRecords = ({ patientInfo, isOperating }) => {
@@ -308,21 +324,19 @@ const IntegratedPatientSimulator = () => {
   const [isCPRInProgress, setIsCPRInProgress] = useState(false);
   const [showEducationalModule, setShowEducationalModule] = useState(false);
   const [simulationError, setSimulationError] = useState(null);
+  const [medicationWarning, setMedicationWarning] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
   
   // Состояние пациента
-  const [patientState, setPatientState] = useState({
-    hr: 72,
-    rr: 14,
-    spo2: 98,
-    systolic: 120,
-    diastolic: 80,
-    temperature: 36.6,
-    etco2: 35,
-    cardiac_output: 5.1,
-    stroke_volume: 70,
-    intubated: false
-  });
+  const [patientState, setPatientState] = useState(INITIAL_PATIENT_STATE);
+  
+  // Запись и разбор сессии
+  const [sessionLog, setSessionLog] = useState(null);
+  const [isReplayMode, setIsReplayMode] = useState(false);
+  const [replayStatus, setReplayStatus] = useState(null);
+  
+  // Текущая фаза сценария в формате JSON
+  const [scenarioPhase, setScenarioPhase] = useState(null);
   
   // Информация о пациенте
   const patientInfo = {
@@ -338,6 +352,7 @@ const IntegratedPatientSimulator = () => {
   
   // Ссылка на модель физиологии
   const physiologicalModelRef = useRef(null);
+  const sessionPlayerRef = useRef(null);
   const appRef = useRef(null);
   
   // Дата и время
@@ -380,8 +395,8 @@ const IntegratedPatientSimulator = () => {
     
     return () => {
       try {
-        if (physiologicalModelRef.current && typeof physiologicalModelRef.current.stopSimulation === 'function') {
-          physiologicalModelRef.current.stopSimulation();
+        if (physiologicalModelRef.current) {
+          physiologicalModelRef.current.stop();
         }
       } catch (error) {
         console.error("Error cleaning up SimulationEngine:", error);
@@ -391,55 +406,34 @@ const IntegratedPatientSimulator = () => {
   
   // Эффект для симуляции физиологии
   useEffect(() => {
-    let simulationInterval;
+    const engine = physiologicalModelRef.current;
+    if (!engine) return;
     
-    if (isOperating && physiologicalModelRef.current) {
+    if (isOperating) {
       try {
-        if (typeof physiologicalModelRef.current.startSimulation === 'function') {
-          physiologicalModelRef.current.startSimulation();
-        } else {
-          console.warn("startSimulation method not found on physiologicalModel");
-        }
+        engine.on('stateUpdated', setPatientState);
+        engine.on('scenarioPhaseChanged', setScenarioPhase);
+        engine.on('medicationWarning', setMedicationWarning);
         
-        updatePatientState(patientState);
-        
-        simulationInterval = setInterval(() => {
-          try {
-            if (physiologicalModelRef.current && typeof physiologicalModelRef.current.updatePhysiology === 'function') {
-              const newState = physiologicalModelRef.current.updatePhysiology();
-              if (newState) {
-                setPatientState(newState);
-              }
-            }
-          } catch (error) {
-            console.error("Error in simulation interval:", error);
-            clearInterval(simulationInterval);
-            setSimulationError("Ошибка в процессе симуляции: " + error.message);
-          }
-        }, 2000);
+        // Каждая сессия записывается для последующего разбора
+        engine.startRecording({ patient: patientInfo.id });
+        engine.start();
       } catch (error) {
         console.error("Error starting simulation:", error);
         setSimulationError("Ошибка запуска симуляции: " + error.message);
       }
-    } else if (physiologicalModelRef.current) {
+    } else {
       try {
-        if (typeof physiologicalModelRef.current.stopSimulation === 'function') {
-          physiologicalModelRef.current.stopSimulation();
-        }
+        engine.stop();
         
-        setPatientState({
-          hr: 72,
-          rr: 14,
-          spo2: 98,
-          systolic: 120,
-          diastolic: 80,
-          temperature: 36.6,
-          etco2: 35,
-          cardiac_output: 5.1,
-          stroke_volume: 70,
-          intubated: false
-        });
+        if (engine.sessionRecorder.isRecording) {
+          setSessionLog(engine.stopRecording());
+        }
         
+        engine.reset();
+        setPatientState(INITIAL_PATIENT_STATE);
+        setScenarioPhase(null);
+        setMedicationWarning(null);
         setIsCPRInProgress(false);
       } catch (error) {
         console.error("Error stopping simulation:", error);
@@ -447,11 +441,60 @@ const IntegratedPatientSimulator = () => {
     }
     
     return () => {
-      if (simulationInterval) {
-        clearInterval(simulationInterval);
+      engine.off('stateUpdated', setPatientState);
+      engine.off('scenarioPhaseChanged', setScenarioPhase);
+      engine.off('medicationWarning', setMedicationWarning);
+    };
+  }, [isOperating, patientInfo.id]);
+  
+  // Эффект для проигрывателя записанных сессий
+  useEffect(() => {
+    const player = new SessionPlayer();
+    const handleStateUpdated = (state) => {
+      if (state) {
+        setPatientState(state);
+        setIsCPRInProgress(Boolean(state.cpr_in_progress));
       }
     };
-  }, [isOperating, patientState]);
+    
+    player.on('stateUpdated', handleStateUpdated);
+    player.on('playbackChanged', setReplayStatus);
+    sessionPlayerRef.current = player;
+    
+    return () => {
+      player.pause();
+      player.off('stateUpdated', handleStateUpdated);
+      player.off('playbackChanged', setReplayStatus);
+    };
+  }, []);
+  
+  // Переход в режим разбора последней записанной сессии
+  const handleEnterReplay = () => {
+    setIsReplayMode(true);
+    setActiveTab('monitor');
+    
+    if (sessionLog) {
+      sessionPlayerRef.current.load(sessionLog);
+    }
+  };
+  
+  // Загрузка журнала сессии из файла
+  const handleLoadSessionLog = (json) => {
+    try {
+      sessionPlayerRef.current.load(json);
+    } catch (error) {
+      console.error("Error loading session log:", error);
+      setSimulationError("Ошибка загрузки журнала сессии: " + error.message);
+    }
+  };
+  
+  // Выход из режима разбора
+  const handleExitReplay = () => {
+    sessionPlayerRef.current.pause();
+    setIsReplayMode(false);
+    setPatientState(INITIAL_PATIENT_STATE);
+    setIsCPRInProgress(false);
+  };
 
   // Функция для управления полноэкранным режимом
   const toggleFullscreen = () => {
@@ -505,8 +548,14 @@ const IntegratedPatientSimulator = () => {
     setPatientState(newState);
     
     try {
-      if (physiologicalModelRef.current && typeof physiologicalModelRef.current.setState === 'function') {
-        physiologicalModelRef.current.setState(newState);
+      const engine = physiologicalModelRef.current;
+      if (engine && isOperating) {
+        // Передаем в движок только измененные параметры, чтобы каждое изменение попало в журнал
+        for (const [param, value] of Object.entries(newState)) {
+          if (typeof value === 'number' && value !== patientState[param]) {
+            engine.setParameter(param, value);
+          }
+        }
       }
     } catch (error) {
       console.error("Error updating patient state:", error);
@@ -518,17 +567,11 @@ const IntegratedPatientSimulator = () => {
     if (!physiologicalModelRef.current || !isOperating) return;
     
     try {
-      if (typeof physiologicalModelRef.current.applyScenario === 'function') {
-        const updatedState = physiologicalModelRef.current.applyScenario(scenarioKey, parameters);
-        if (updatedState) {
-          setPatientState(updatedState);
-        }
-        
-        if (scenarioKey === 'cardiac_arrest') {
-          setIsCPRInProgress(true);
-        }
-      } else {
-        console.warn("applyScenario method not found on physiologicalModel");
+      physiologicalModelRef.current.applyScenario(scenarioKey, parameters);
+      setPatientState(physiologicalModelRef.current.getState());
+      
+      if (scenarioKey === 'cardiac_arrest') {
+        setIsCPRInProgress(true);
       }
       
       setShowScenarios(false);
@@ -538,59 +581,322 @@ const IntegratedPatientSimulator = () => {
     }
   };
   
+  // Обработчик запуска сценария из файла JSON
+  const handleLoadScenarioFile = (scenario) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    if (physiologicalModelRef.current.runScenario(scenario)) {
+      setPatientState(physiologicalModelRef.current.getState());
+      setShowScenarios(false);
+    } else {
+      setSimulationError("Ошибка загрузки сценария: проверьте формат файла");
+    }
+  };
+  
   // Обработчик применения лекарства
   const handleApplyMedication = (medication) => {
     if (!physiologicalModelRef.current || !isOperating) return;
     
     try {
-      if (typeof physiologicalModelRef.current.applyMedication === 'function') {
-        const updatedState = physiologicalModelRef.current.applyMedication(medication);
-        if (updatedState) {
-          setPatientState(updatedState);
-        }
-      } else {
-        console.warn("applyMedication method not found on physiologicalModel");
-      }
+      physiologicalModelRef.current.applyMedication(medication);
+      setPatientState(physiologicalModelRef.current.getState());
     } catch (error) {
       console.error("Error applying medication:", error);
     }
   };
   
+  // Обработчик команд инфузоматов
+  const handlePumpCommand = (command, ...args) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      
+      switch (command) {
+        case 'add':
+          engine.addInfusionPump(...args);
+          break;
+        case 'setRate':
+          engine.setPumpRate(...args);
+          break;
+        case 'stop':
+          engine.stopInfusionPump(...args);
+          break;
+        case 'bolus':
+          engine.pumpBolus(...args);
+          break;
+        case 'replaceSyringe':
+          engine.replacePumpSyringe(...args);
+          break;
+        case 'remove':
+          engine.removeInfusionPump(...args);
+          break;
+        default:
+          console.warn(`Неизвестная команда инфузомата: ${command}`);
+          break;
+      }
+      
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error(`Error executing pump command ${command}:`, error);
+    }
+  };
+  
+  // Обработчик команд кардиостимулятора: settings (настройки) и fault (неисправность электрода)
+  const handlePacemakerCommand = (command, ...args) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      
+      switch (command) {
+        case 'settings':
+          engine.setPacemakerSettings(...args);
+          break;
+        case 'fault':
+          engine.setPacemakerFault(...args);
+          break;
+        default:
+          console.warn(`Неизвестная команда кардиостимулятора: ${command}`);
+          break;
+      }
+      
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error(`Error executing pacemaker command ${command}:`, error);
+    }
+  };
+  
+  // Обработчик команд дефибриллятора: settings, charge, shock и disarm
+  const handleDefibrillatorCommand = (command, ...args) => {
+    if (!physiologicalModelRef.current || !isOperating) return null;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      let result = null;
+      
+      switch (command) {
+        case 'settings':
+          engine.setDefibrillatorSettings(...args);
+          break;
+        case 'charge':
+          engine.chargeDefibrillator(...args);
+          break;
+        case 'shock':
+          result = engine.shockDefibrillator();
+          break;
+        case 'disarm':
+          engine.disarmDefibrillator();
+          break;
+        default:
+          console.warn(`Неизвестная команда дефибриллятора: ${command}`);
+          break;
+      }
+      
+      setPatientState(engine.getState());
+      return result;
+    } catch (error) {
+      console.error(`Error executing defibrillator command ${command}:`, error);
+      return null;
+    }
+  };
+  
+  // Обработчик команд СЛР: start, stop, settings и compression (метроном)
+  const handleCPRCommand = (command, ...args) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      
+      switch (command) {
+        case 'start':
+          engine.startCPR();
+          setIsCPRInProgress(true);
+          break;
+        case 'stop':
+          engine.stopCPR();
+          setIsCPRInProgress(false);
+          break;
+        case 'settings':
+          engine.setCPRSettings(...args);
+          break;
+        case 'compression':
+          engine.registerCompression();
+          setIsCPRInProgress(true);
+          break;
+        default:
+          console.warn(`Неизвестная команда СЛР: ${command}`);
+          break;
+      }
+      
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error(`Error executing CPR command ${command}:`, error);
+    }
+  };
+  
+  // Обработчик записи ЭКГ в 12 отведениях
+  const handleRecordTwelveLeadECG = () => {
+    if (!physiologicalModelRef.current || !isOperating) return null;
+    
+    try {
+      return physiologicalModelRef.current.recordTwelveLeadECG();
+    } catch (error) {
+      console.error("Error recording 12-lead ECG:", error);
+      return null;
+    }
+  };
+  
+  // Обработчик назначения анализов
+  const handleOrderLabs = (tests) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      engine.orderLabs(tests);
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error("Error ordering labs:", error);
+    }
+  };
+  
+  // Обработчик изменения настроек ИВЛ (FiO₂ в панели задается в процентах)
+  const handleVentilatorChange = (settings) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      engine.setVentilatorSettings({ ...settings, fio2: settings.fio2 / 100 });
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error("Error changing ventilator settings:", error);
+    }
+  };
+  
+  // Обработчик тревог и контура ИВЛ: silence, acknowledge, disconnect, reconnect
+  const handleVentilatorAlarmAction = (action) => {
+    if (!physiologicalModelRef.current || !isOperating) return;
+    
+    try {
+      const engine = physiologicalModelRef.current;
+      if (action === 'silence') {
+        engine.silenceVentilatorAlarms();
+      } else if (action === 'acknowledge') {
+        engine.acknowledgeVentilatorAlarms();
+      } else if (action === 'disconnect' || action === 'reconnect') {
+        engine.setVentilatorFault('disconnect', action === 'disconnect');
+      }
+      setPatientState(engine.getState());
+    } catch (error) {
+      console.error("Error handling ventilator alarms:", error);
+    }
+  };
+  
   // Обработчик клинического вмешательства
   const handlePerformIntervention = (intervention) => {
     if (!physiologicalModelRef.current || !isOperating) return;
     
     try {
-      let updatedState;
+      const engine = physiologicalModelRef.current;
       
       switch (intervention) {
         case 'intubate':
-          if (typeof physiologicalModelRef.current.intubate === 'function') {
-            updatedState = physiologicalModelRef.current.intubate(true);
-          }
+          engine.intubate(true);
           break;
         case 'start_cpr':
-          if (typeof physiologicalModelRef.current.startCPR === 'function') {
-            updatedState = physiologicalModelRef.current.startCPR();
-            setIsCPRInProgress(true);
-          }
+          engine.startCPR();
+          setIsCPRInProgress(true);
           break;
         case 'stop_cpr':
-          if (typeof physiologicalModelRef.current.stopCPR === 'function') {
-            updatedState = physiologicalModelRef.current.stopCPR();
-            setIsCPRInProgress(false);
-          }
+          engine.stopCPR();
+          setIsCPRInProgress(false);
+          break;
+        case 'defibrillate':
+          engine.defibrillate();
+          break;
+        case 'acs_anterior_stemi':
+        case 'acs_inferior_stemi':
+        case 'acs_lateral_stemi':
+        case 'acs_posterior_stemi':
+        case 'acs_nstemi':
+          engine.startMyocardialInfarction(intervention.replace('acs_', ''));
+          break;
+        case 'reperfusion':
+          engine.reperfuseMyocardium();
+          break;
+        case 'rhythm_sinus':
+        case 'rhythm_afib':
+        case 'rhythm_aflutter':
+        case 'rhythm_svt':
+        case 'rhythm_vtach':
+        case 'rhythm_vfib':
+          engine.setCardiacRhythm(intervention.replace('rhythm_', ''));
+          break;
+        case 'cause_fluid_bolus':
+        case 'cause_oxygenation':
+        case 'cause_sodium_bicarbonate':
+        case 'cause_calcium':
+        case 'cause_potassium':
+        case 'cause_rewarming':
+        case 'cause_needle_decompression':
+        case 'cause_pericardiocentesis':
+        case 'cause_thrombolysis':
+        case 'cause_antidote':
+          engine.treatReversibleCause(intervention.replace('cause_', ''));
+          break;
+        case 'monitor_arterial':
+        case 'monitor_cvp':
+        case 'monitor_pa':
+        case 'monitor_wedge': {
+          const line = intervention.replace('monitor_', '');
+          const monitoring = engine.getState().invasiveMonitoring || {};
+          engine.setInvasiveMonitoring({ [line]: !monitoring[line] });
+          break;
+        }
+        case 'damping_optimal':
+        case 'damping_overdamped':
+        case 'damping_underdamped':
+          engine.setInvasiveMonitoring({ damping: intervention.replace('damping_', '') });
+          break;
+        case 'fluid_crystalloid':
+        case 'fluid_dextrose':
+        case 'fluid_colloid':
+        case 'fluid_packed_red_cells':
+        case 'fluid_plasma':
+        case 'fluid_platelets':
+          engine.administerFluid(intervention.replace('fluid_', ''));
+          break;
+        case 'hemorrhage_external':
+        case 'hemorrhage_thoracic':
+        case 'hemorrhage_abdominal':
+        case 'hemorrhage_pelvic':
+        case 'hemorrhage_long_bone': {
+          const site = intervention.replace('hemorrhage_', '');
+          const hemorrhage = engine.getState().hemorrhage;
+          const bleeding = hemorrhage && hemorrhage.sites.some(item => item.site === site);
+          engine.setHemorrhage(site, bleeding ? 0 : undefined);
+          break;
+        }
+        case 'bleeding_control_tourniquet':
+        case 'bleeding_control_pressure':
+        case 'bleeding_control_surgical':
+          engine.controlHemorrhage(intervention.replace('bleeding_control_', ''));
+          break;
+        case 'mtp_activate':
+          engine.activateMassiveTransfusion();
+          break;
+        case 'mtp_deactivate':
+          engine.deactivateMassiveTransfusion();
+          break;
+        case 'mtp_transfuse':
+          engine.transfuseMassiveTransfusionPack();
           break;
         default:
-          if (typeof physiologicalModelRef.current.applyScenario === 'function') {
-            updatedState = physiologicalModelRef.current.applyScenario(intervention);
-          }
+          engine.applyScenario(intervention);
           break;
       }
       
-      if (updatedState) {
-        setPatientState(updatedState);
-      }
+      setPatientState(engine.getState());
     } catch (error) {
       console.error(`Error performing intervention ${intervention}:`, error);
     }
@@ -711,6 +1017,7 @@ const IntegratedPatientSimulator = () => {
         <div className="w-full max-w-4xl">
           <ClinicalScenarios 
             onStartScenario={handleStartScenario}
+            onLoadScenarioFile={handleLoadScenarioFile}
             onClose={() => setShowScenarios(false)}
             isOperating={isOperating}
           />
@@ -766,6 +1073,33 @@ const IntegratedPatientSimulator = () => {
     );
   };
 
+  // Функция для отображения предупреждений о противопоказаниях и взаимодействиях лекарств
+  const renderMedicationWarning = () => {
+    if (!medicationWarning) return null;
+    
+    return (
+      <div className={`fixed bottom-4 left-4 ${medicationWarning.severity === 'high' ? 'bg-red-800' : 'bg-yellow-700'} text-white px-4 py-3 rounded-lg shadow-lg max-w-md`}>
+        <div className="flex items-start">
+          <div className="flex-shrink-0 text-xl">⚠️</div>
+          <div className="ml-3">
+            <p className="font-medium">{medicationWarning.drugName}</p>
+            <p className="mt-1 text-sm">{medicationWarning.message}</p>
+          </div>
+          <div className="ml-auto pl-3">
+            <button
+              onClick={() => setMedicationWarning(null)}
+              className="text-white hover:text-gray-300"
+            >
+              <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // Основной интерфейс симулятора
   return (
     <div 
@@ -814,10 +1148,20 @@ const IntegratedPatientSimulator = () => {
           <button
             className={`px-3 py-1 rounded text-sm ${isOperating ? 'bg-red-800 hover:bg-red-700' : 'bg-green-800 hover:bg-green-700'}`}
             onClick={() => setIsOperating(!isOperating)}
+            disabled={isReplayMode}
           >
             {isOperating ? 'Завершить' : 'Начать'}
           </button>
           
+          {!isOperating && !isReplayMode && (
+            <button
+              className="px-3 py-1 rounded text-sm bg-blue-800 hover:bg-blue-700"
+              onClick={handleEnterReplay}
+            >
+              Разбор
+            </button>
+          )}
+          
           <button
             className="px-3 py-1 rounded text-sm bg-blue-800 hover:bg-blue-700"
             onClick={() => setShowEducationalModule(true)}
@@ -844,6 +1188,11 @@ const IntegratedPatientSimulator = () => {
               Интубирован
             </div>
           )}
+          {scenarioPhase && (
+            <div className="px-2 py-1 bg-gray-800 text-xs rounded" title={scenarioPhase.message || ''}>
+              Фаза: {scenarioPhase.name}
+            </div>
+          )}
           {isCPRInProgress && (
             <div className="px-2 py-1 bg-red-900 text-xs rounded animate-pulse">
               СЛР
@@ -865,7 +1214,23 @@ const IntegratedPatientSimulator = () => {
               onApplyMedication={handleApplyMedication}
               onPerformIntervention={handlePerformIntervention}
               onLoadScenarios={() => setShowScenarios(true)}
+              onPumpCommand={handlePumpCommand}
+              onRecordTwelveLeadECG={handleRecordTwelveLeadECG}
+              onPacemakerCommand={handlePacemakerCommand}
+              onDefibrillatorCommand={handleDefibrillatorCommand}
+              onCPRCommand={handleCPRCommand}
               isCPRInProgress={isCPRInProgress}
+              isReplay={isReplayMode}
+              playbackRate={replayStatus ? replayStatus.speed : 1}
+              isPlaybackPaused={!replayStatus || !replayStatus.isPlaying}
+              replayControls={isReplayMode ? (
+                <SessionReplayPanel
+                  player={sessionPlayerRef.current}
+                  playbackStatus={replayStatus}
+                  onLoadLog={handleLoadSessionLog}
+                  onExit={handleExitReplay}
+                />
+              ) : null}
               className="h-full"
             />
           </div>
@@ -876,9 +1241,10 @@ const IntegratedPatientSimulator = () => {
             <VentilatorMonitor
               isOperating={isOperating}
               patientData={patientState}
-              onVentilatorChange={(settings) => {
-                console.log("Ventilator settings changed:", settings);
-              }}
+              initialSettings={physiologicalModelRef.current?.getVentilatorSettings()}
+              waveform={physiologicalModelRef.current?.getVentilatorWaveform()}
+              onVentilatorChange={handleVentilatorChange}
+              onAlarmAction={handleVentilatorAlarmAction}
             />
           </div>
         )}
@@ -887,6 +1253,7 @@ const IntegratedPatientSimulator = () => {
           <div className="h-full p-1 overflow-auto">
             <LabResultsModule
               patientData={patientState}
+              onOrderLabs={handleOrderLabs}
             />
           </div>
         )}
@@ -906,6 +1273,7 @@ const IntegratedPatientSimulator = () => {
       {renderScenariosPanel()}
       {renderEducationalModule()}
       {renderSimulationError()}
+      {renderMedicationWarning()}
     </div>
   );
 };
@@ -1,20 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { LAB_TESTS } from '../../core/LaboratoryModule';
+
+// Верхний референсный предел высокочувствительного тропонина I (99-й перцентиль, нг/л)
+const TROPONIN_UPPER_LIMIT = 26;
 
 // Компонент для отображения группы лабораторных показателей
-const LabResultGroup = ({ title, results, isCollapsed, onToggle }) => {
+const LabResultGroup = ({ title, status, results, isCollapsed, onToggle }) => {
   return (
     <div className="mb-4 border border-gray-700 rounded">
       <div 
         className="flex justify-between items-center p-3 bg-gray-800 cursor-pointer"
         onClick={onToggle}
       >
-        <h3 className="text-lg text-white font-semibold">{title}</h3>
+        <h3 className="text-lg text-white font-semibold">
+          {title}
+          {status && <span className="ml-2 text-sm text-gray-400 font-normal">{status}</span>}
+        </h3>
         <span className="text-gray-400 text-lg">
           {isCollapsed ? '▶' : '▼'}
         </span>
       </div>
       
-      {!isCollapsed && (
+      {!isCollapsed && results.length === 0 && (
+        <div className="p-3 bg-gray-900 text-sm text-gray-400">Результатов нет</div>
+      )}
+      
+      {!isCollapsed && results.length > 0 && (
         <div className="p-3 bg-gray-900">
           <table className="w-full border-collapse">
             <thead>
@@ -157,12 +168,13 @@ const LabTrendChart = ({ data, label, unit, referenceMin, referenceMax }) => {
 };
 
 // Компонент графика для газов крови
+// (венозная колонка показывается, только если передан анализ венозной крови)
 const BloodGasChart = ({ arterial, venous }) => {
   return (
     <div className="border border-gray-700 rounded p-3 bg-gray-900 mb-4">
       <h3 className="text-white font-semibold mb-3">Анализ газов крови</h3>
       
-      <div className="grid grid-cols-2 gap-4">
+      <div className={`grid ${venous ? 'grid-cols-2' : 'grid-cols-1'} gap-4`}>
         <div>
           <h4 className="text-center text-red-400 font-medium mb-2">Артериальная кровь</h4>
           <table className="w-full">
@@ -212,7 +224,7 @@ const BloodGasChart = ({ arterial, venous }) => {
                   {arterial.be > 0 ? '+' : ''}{arterial.be} ммоль/л
                 </td>
               </tr>
-              <tr>
+              <tr className="border-b border-gray-800">
                 <td className="py-1 text-gray-400">SaO₂</td>
                 <td className={`py-1 font-medium text-right ${
                   arterial.sao2 < 95 ? 'text-blue-500' : 'text-green-500'
@@ -220,71 +232,81 @@ const BloodGasChart = ({ arterial, venous }) => {
                   {arterial.sao2}%
                 </td>
               </tr>
-            </tbody>
-          </table>
-        </div>
-        
-        <div>
-          <h4 className="text-center text-blue-400 font-medium mb-2">Венозная кровь</h4>
-          <table className="w-full">
-            <tbody>
-              <tr className="border-b border-gray-800">
-                <td className="py-1 text-gray-400">pH</td>
-                <td className={`py-1 font-medium text-right ${
-                  venous.ph < 7.32 ? 'text-blue-500' : 
-                  venous.ph > 7.42 ? 'text-red-500' : 'text-green-500'
-                }`}>
-                  {venous.ph.toFixed(2)}
-                </td>
-              </tr>
-              <tr className="border-b border-gray-800">
-                <td className="py-1 text-gray-400">pO₂</td>
-                <td className={`py-1 font-medium text-right ${
-                  venous.po2 < 35 ? 'text-blue-500' : 
-                  venous.po2 > 45 ? 'text-red-500' : 'text-green-500'
-                }`}>
-                  {venous.po2} мм рт.ст.
-                </td>
-              </tr>
-              <tr className="border-b border-gray-800">
-                <td className="py-1 text-gray-400">pCO₂</td>
-                <td className={`py-1 font-medium text-right ${
-                  venous.pco2 < 40 ? 'text-blue-500' : 
-                  venous.pco2 > 50 ? 'text-red-500' : 'text-green-500'
-                }`}>
-                  {venous.pco2} мм рт.ст.
-                </td>
-              </tr>
-              <tr className="border-b border-gray-800">
-                <td className="py-1 text-gray-400">HCO₃⁻</td>
-                <td className={`py-1 font-medium text-right ${
-                  venous.hco3 < 22 ? 'text-blue-500' : 
-                  venous.hco3 > 26 ? 'text-red-500' : 'text-green-500'
-                }`}>
-                  {venous.hco3} ммоль/л
-                </td>
-              </tr>
-              <tr className="border-b border-gray-800">
-                <td className="py-1 text-gray-400">BE</td>
-                <td className={`py-1 font-medium text-right ${
-                  venous.be < -2 ? 'text-blue-500' : 
-                  venous.be > 2 ? 'text-red-500' : 'text-green-500'
-                }`}>
-                  {venous.be > 0 ? '+' : ''}{venous.be} ммоль/л
-                </td>
-              </tr>
               <tr>
-                <td className="py-1 text-gray-400">SvO₂</td>
+                <td className="py-1 text-gray-400">Лактат</td>
                 <td className={`py-1 font-medium text-right ${
-                  venous.svo2 < 65 ? 'text-blue-500' : 
-                  venous.svo2 > 75 ? 'text-red-500' : 'text-green-500'
+                  arterial.lactate > 2 ? 'text-red-500' : 'text-green-500'
                 }`}>
-                  {venous.svo2}%
+                  {arterial.lactate} ммоль/л
                 </td>
               </tr>
             </tbody>
           </table>
         </div>
+        
+        {venous && (
+          <div>
+            <h4 className="text-center text-blue-400 font-medium mb-2">Венозная кровь</h4>
+            <table className="w-full">
+              <tbody>
+                <tr className="border-b border-gray-800">
+                  <td className="py-1 text-gray-400">pH</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.ph < 7.32 ? 'text-blue-500' : 
+                    venous.ph > 7.42 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.ph.toFixed(2)}
+                  </td>
+                </tr>
+                <tr className="border-b border-gray-800">
+                  <td className="py-1 text-gray-400">pO₂</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.po2 < 35 ? 'text-blue-500' : 
+                    venous.po2 > 45 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.po2} мм рт.ст.
+                  </td>
+                </tr>
+                <tr className="border-b border-gray-800">
+                  <td className="py-1 text-gray-400">pCO₂</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.pco2 < 40 ? 'text-blue-500' : 
+                    venous.pco2 > 50 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.pco2} мм рт.ст.
+                  </td>
+                </tr>
+                <tr className="border-b border-gray-800">
+                  <td className="py-1 text-gray-400">HCO₃⁻</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.hco3 < 22 ? 'text-blue-500' : 
+                    venous.hco3 > 26 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.hco3} ммоль/л
+                  </td>
+                </tr>
+                <tr className="border-b border-gray-800">
+                  <td className="py-1 text-gray-400">BE</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.be < -2 ? 'text-blue-500' : 
+                    venous.be > 2 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.be > 0 ? '+' : ''}{venous.be} ммоль/л
+                  </td>
+                </tr>
+                <tr>
+                  <td className="py-1 text-gray-400">SvO₂</td>
+                  <td className={`py-1 font-medium text-right ${
+                    venous.svo2 < 65 ? 'text-blue-500' : 
+                    venous.svo2 > 75 ? 'text-red-500' : 'text-green-500'
+                  }`}>
+                    {venous.svo2}%
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
       
       {/* Интерпретация результатов */}
@@ -297,73 +319,259 @@ const BloodGasChart = ({ arterial, venous }) => {
           {arterial.ph > 7.45 && arterial.hco3 > 26 ? 'Метаболический алкалоз. ' : ''}
           {arterial.po2 < 80 ? 'Гипоксемия. ' : ''}
           {arterial.po2 >= 80 && arterial.pco2 >= 35 && arterial.pco2 <= 45 && arterial.ph >= 7.35 && arterial.ph <= 7.45 ? 'Показатели газов артериальной крови в пределах нормы. ' : ''}
-          {venous.ph >= 7.32 && venous.ph <= 7.42 && venous.pco2 >= 40 && venous.pco2 <= 50 ? 'Показатели газов венозной крови в пределах нормы.' : ''}
+          {venous && venous.ph >= 7.32 && venous.ph <= 7.42 && venous.pco2 >= 40 && venous.pco2 <= 50 ? 'Показатели газов венозной крови в пределах нормы.' : ''}
         </p>
       </div>
     </div>
   );
 };
 
+// Форматирование времени симуляции в чч:мм
+const formatTime = (seconds) => {
+  const minutes = Math.max(0, Math.floor(seconds / 60));
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Гемоглобин, гематокрит и тромбоциты берутся из модели водных секторов:
+// кровопотеря, гемодилюция и трансфузия меняют их
+const formatCompleteBloodCount = ({ hb, rbc, hct, wbc, platelets }) => [
+  {
+    name: 'Гемоглобин (Hb)',
+    value: Math.round(hb),
+    units: 'г/л',
+    referenceRange: '130-160',
+    isAbnormal: hb < 130 || hb > 160,
+    isHigh: hb > 160
+  },
+  {
+    name: 'Эритроциты (RBC)',
+    value: Math.round(rbc * 10) / 10,
+    units: '10¹²/л',
+    referenceRange: '4.0-5.1',
+    isAbnormal: rbc < 4 || rbc > 5.1,
+    isHigh: rbc > 5.1
+  },
+  {
+    name: 'Гематокрит (Ht)',
+    value: Math.round(hct * 10) / 10,
+    units: '%',
+    referenceRange: '39-49',
+    isAbnormal: hct < 39 || hct > 49,
+    isHigh: hct > 49
+  },
+  {
+    name: 'Лейкоциты (WBC)',
+    value: Math.round(wbc * 10) / 10,
+    units: '10⁹/л',
+    referenceRange: '4.0-9.0',
+    isAbnormal: wbc < 4 || wbc > 9,
+    isHigh: wbc > 9
+  },
+  {
+    name: 'Тромбоциты (PLT)',
+    value: Math.round(platelets),
+    units: '10⁹/л',
+    referenceRange: '150-400',
+    isAbnormal: platelets < 150 || platelets > 400,
+    isHigh: platelets > 400
+  }
+];
+
+// Электролиты, бикарбонат и глюкоза - из модели электролитов, креатинин и
+// мочевина - из модели почек
+const formatBasicMetabolicPanel = ({ glucose, creatinine, urea, na, k, cl, ca, mg, hco3, anion_gap }) => [
+  {
+    name: 'Глюкоза',
+    value: Math.round(glucose * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '3.9-6.1',
+    isAbnormal: glucose < 3.9 || glucose > 6.1,
+    isHigh: glucose > 6.1
+  },
+  {
+    name: 'Креатинин',
+    value: Math.round(creatinine),
+    units: 'мкмоль/л',
+    referenceRange: '62-106',
+    isAbnormal: creatinine < 62 || creatinine > 106,
+    isHigh: creatinine > 106
+  },
+  {
+    name: 'Мочевина',
+    value: Math.round(urea * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '2.8-7.2',
+    isAbnormal: urea < 2.8 || urea > 7.2,
+    isHigh: urea > 7.2
+  },
+  {
+    name: 'Натрий (Na+)',
+    value: Math.round(na),
+    units: 'ммоль/л',
+    referenceRange: '136-145',
+    isAbnormal: na < 136 || na > 145,
+    isHigh: na > 145
+  },
+  {
+    name: 'Калий (K+)',
+    value: Math.round(k * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '3.5-5.1',
+    isAbnormal: k < 3.5 || k > 5.1,
+    isHigh: k > 5.1
+  },
+  {
+    name: 'Хлор (Cl-)',
+    value: Math.round(cl),
+    units: 'ммоль/л',
+    referenceRange: '98-107',
+    isAbnormal: cl < 98 || cl > 107,
+    isHigh: cl > 107
+  },
+  {
+    name: 'Кальций ионизированный (Ca2+)',
+    value: Math.round(ca * 100) / 100,
+    units: 'ммоль/л',
+    referenceRange: '1.12-1.32',
+    isAbnormal: ca < 1.12 || ca > 1.32,
+    isHigh: ca > 1.32
+  },
+  {
+    name: 'Магний (Mg2+)',
+    value: Math.round(mg * 100) / 100,
+    units: 'ммоль/л',
+    referenceRange: '0.66-1.07',
+    isAbnormal: mg < 0.66 || mg > 1.07,
+    isHigh: mg > 1.07
+  },
+  {
+    name: 'Бикарбонат (HCO3-)',
+    value: Math.round(hco3 * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '22-26',
+    isAbnormal: hco3 < 22 || hco3 > 26,
+    isHigh: hco3 > 26
+  },
+  {
+    name: 'Анионный интервал',
+    value: Math.round(anion_gap),
+    units: 'ммоль/л',
+    referenceRange: '8-16',
+    isAbnormal: anion_gap > 16,
+    isHigh: true
+  }
+];
+
+// Время свертывания удлиняют разведение факторов и коагулопатия летальной триады
+const formatCoagulation = ({ pt, inr, aptt, fibrinogen }) => [
+  {
+    name: 'Протромбиновое время (PT)',
+    value: Math.round(pt * 10) / 10,
+    units: 'сек',
+    referenceRange: '11.0-13.5',
+    isAbnormal: pt > 13.5,
+    isHigh: true
+  },
+  {
+    name: 'МНО (INR)',
+    value: Math.round(inr * 10) / 10,
+    units: '',
+    referenceRange: '0.9-1.2',
+    isAbnormal: inr > 1.2,
+    isHigh: true
+  },
+  {
+    name: 'АЧТВ (APTT)',
+    value: Math.round(aptt * 10) / 10,
+    units: 'сек',
+    referenceRange: '26.0-36.0',
+    isAbnormal: aptt > 36,
+    isHigh: true
+  },
+  {
+    name: 'Фибриноген',
+    value: Math.round(fibrinogen * 10) / 10,
+    units: 'г/л',
+    referenceRange: '2.0-4.0',
+    isAbnormal: fibrinogen < 2 || fibrinogen > 4,
+    isHigh: fibrinogen > 4
+  }
+];
+
+// Тропонин высвобождается из некротизированного миокарда (модель ишемии)
+const formatCardiacMarkers = ({ troponin }) => [
+  {
+    name: 'Тропонин I (вч)',
+    value: Math.round(troponin),
+    units: 'нг/л',
+    referenceRange: `< ${TROPONIN_UPPER_LIMIT}`,
+    isAbnormal: troponin >= TROPONIN_UPPER_LIMIT,
+    isHigh: true
+  }
+];
+
+// Лактат растет при недостаточной доставке кислорода
+const formatLactate = ({ lactate }) => [
+  {
+    name: 'Лактат',
+    value: Math.round(lactate * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '0.5-2.0',
+    isAbnormal: lactate > 2,
+    isHigh: true
+  }
+];
+
+// Глюкоза капиллярной крови (глюкометр)
+const formatPocGlucose = ({ glucose }) => [
+  {
+    name: 'Глюкоза капиллярная',
+    value: Math.round(glucose * 10) / 10,
+    units: 'ммоль/л',
+    referenceRange: '3.9-6.1',
+    isAbnormal: glucose < 3.9 || glucose > 6.1,
+    isHigh: glucose > 6.1
+  }
+];
+
+// Газы артериальной крови анализатора в обозначениях таблицы
+const formatArterialBloodGas = (arterial) => ({ ...arterial, po2: arterial.pao2, pco2: arterial.paco2 });
+
+// Табличные анализы: заголовок и форматирование результата
+const RESULT_GROUPS = {
+  cbc: { title: 'Общий анализ крови', format: formatCompleteBloodCount },
+  bmp: { title: 'Биохимический анализ крови', format: formatBasicMetabolicPanel },
+  coags: { title: 'Коагулограмма', format: formatCoagulation },
+  troponin: { title: 'Кардиомаркеры', format: formatCardiacMarkers },
+  lactate: { title: 'Лактат', format: formatLactate },
+  poc_glucose: { title: 'Глюкоза (глюкометр)', format: formatPocGlucose }
+};
+
+// Показатели графиков динамики: анализ и значение из результата
+const TREND_VALUES = {
+  hemoglobin: { test: 'cbc', value: values => Math.round(values.hb) },
+  platelets: { test: 'cbc', value: values => Math.round(values.platelets) },
+  glucose: { test: 'bmp', value: values => Math.round(values.glucose * 10) / 10 },
+  creatinine: { test: 'bmp', value: values => Math.round(values.creatinine) }
+};
+
 // Основной компонент модуля лабораторных анализов
-const LabResultsModule = ({ patientData }) => {
-  // Состояние для хранения результатов анализов
-  const [labResults, setLabResults] = useState({
-    complete_blood_count: [],
-    blood_chemistry: [],
-    coagulation: [],
-    arterial_blood_gas: {
-      ph: 7.38,
-      po2: 95,
-      pco2: 40,
-      hco3: 24,
-      be: 0,
-      sao2: 98
-    },
-    venous_blood_gas: {
-      ph: 7.35,
-      po2: 40,
-      pco2: 45,
-      hco3: 24,
-      be: 0,
-      svo2: 70
-    }
-  });
-  
+// patientData.labs - состояние лаборатории движка, onOrderLabs(tests) -
+// назначение выбранных анализов
+const LabResultsModule = ({ patientData, onOrderLabs }) => {
   // Состояние для отслеживания, какие группы анализов развернуты
   const [expandedGroups, setExpandedGroups] = useState({
-    complete_blood_count: true,
-    blood_chemistry: false,
-    coagulation: false,
-    blood_gas: true
+    abg: true,
+    cbc: true,
+    bmp: false,
+    coags: false,
+    troponin: true,
+    lactate: true,
+    poc_glucose: true
   });
   
-  // Данные для построения графиков тренда
-  const [trends, setTrends] = useState({
-    hemoglobin: [
-      { time: '08:00', value: 145 },
-      { time: '12:00', value: 140 },
-      { time: '16:00', value: 135 },
-      { time: '20:00', value: 132 }
-    ],
-    platelets: [
-      { time: '08:00', value: 280 },
-      { time: '12:00', value: 265 },
-      { time: '16:00', value: 255 },
-      { time: '20:00', value: 250 }
-    ],
-    glucose: [
-      { time: '08:00', value: 6.2 },
-      { time: '12:00', value: 7.8 },
-      { time: '16:00', value: 6.5 },
-      { time: '20:00', value: 5.9 }
-    ],
-    creatinine: [
-      { time: '08:00', value: 75 },
-      { time: '12:00', value: 78 },
-      { time: '16:00', value: 80 },
-      { time: '20:00', value: 82 }
-    ]
-  });
+  // Анализы, выбранные для назначения
+  const [selectedTests, setSelectedTests] = useState([]);
   
   // Метод для переключения состояния развернутости группы
   const toggleGroup = (group) => {
@@ -373,196 +581,58 @@ const LabResultsModule = ({ patientData }) => {
     }));
   };
   
-  // Эффект для инициализации и обновления лабораторных данных
-  useEffect(() => {
-    // В реальном приложении здесь был бы запрос к API
-    // или получение данных из контекста приложения
-    
-    // Имитация загрузки базовых лабораторных данных
-    const generateCompleteBloodCount = () => [
-      {
-        name: 'Гемоглобин (Hb)',
-        value: 132,
-        units: 'г/л',
-        referenceRange: '130-160',
-        isAbnormal: false
-      },
-      {
-        name: 'Эритроциты (RBC)',
-        value: 4.5,
-        units: '10¹²/л',
-        referenceRange: '4.0-5.1',
-        isAbnormal: false
-      },
-      {
-        name: 'Гематокрит (Ht)',
-        value: 40.2,
-        units: '%',
-        referenceRange: '39-49',
-        isAbnormal: false
-      },
-      {
-        name: 'Лейкоциты (WBC)',
-        value: 9.8,
-        units: '10⁹/л',
-        referenceRange: '4.0-9.0',
-        isAbnormal: true,
-        isHigh: true
-      },
-      {
-        name: 'Тромбоциты (PLT)',
-        value: 250,
-        units: '10⁹/л',
-        referenceRange: '150-400',
-        isAbnormal: false
-      }
-    ];
-    
-    const generateBloodChemistry = () => [
-      {
-        name: 'Глюкоза',
-        value: 5.9,
-        units: 'ммоль/л',
-        referenceRange: '3.9-6.1',
-        isAbnormal: false
-      },
-      {
-        name: 'Креатинин',
-        value: 82,
-        units: 'мкмоль/л',
-        referenceRange: '62-106',
-        isAbnormal: false
-      },
-      {
-        name: 'Мочевина',
-        value: 5.2,
-        units: 'ммоль/л',
-        referenceRange: '2.8-7.2',
-        isAbnormal: false
-      },
-      {
-        name: 'АЛТ',
-        value: 28,
-        units: 'Ед/л',
-        referenceRange: '0-41',
-        isAbnormal: false
-      },
-      {
-        name: 'АСТ',
-        value: 25,
-        units: 'Ед/л',
-        referenceRange: '0-37',
-        isAbnormal: false
-      },
-      {
-        name: 'Общий билирубин',
-        value: 12.3,
-        units: 'мкмоль/л',
-        referenceRange: '3.4-20.5',
-        isAbnormal: false
-      },
-      {
-        name: 'Натрий (Na+)',
-        value: 142,
-        units: 'ммоль/л',
-        referenceRange: '136-145',
-        isAbnormal: false
-      },
-      {
-        name: 'Калий (K+)',
-        value: 4.1,
-        units: 'ммоль/л',
-        referenceRange: '3.5-5.1',
-        isAbnormal: false
-      },
-      {
-        name: 'Хлор (Cl-)',
-        value: 102,
-        units: 'ммоль/л',
-        referenceRange: '98-107',
-        isAbnormal: false
-      }
-    ];
-    
-    const generateCoagulation = () => [
-      {
-        name: 'Протромбиновое время (PT)',
-        value: 12.3,
-        units: 'сек',
-        referenceRange: '11.0-13.5',
-        isAbnormal: false
-      },
-      {
-        name: 'МНО (INR)',
-        value: 1.1,
-        units: '',
-        referenceRange: '0.9-1.2',
-        isAbnormal: false
-      },
-      {
-        name: 'АЧТВ (APTT)',
-        value: 32.5,
-        units: 'сек',
-        referenceRange: '26.0-36.0',
-        isAbnormal: false
-      },
-      {
-        name: 'Фибриноген',
-        value: 3.2,
-        units: 'г/л',
-        referenceRange: '2.0-4.0',
-        isAbnormal: false
-      }
-    ];
-    
-    // Если есть данные по состоянию пациента, корректируем лабораторные показатели
-    if (patientData) {
-      // Примеры корректировок на основе состояния пациента
-      const arterialBloodGas = { ...labResults.arterial_blood_gas };
-      const venousBloodGas = { ...labResults.venous_blood_gas };
-      
-      // Если у пациента низкая сатурация
-      if (patientData.spo2 < 90) {
-        arterialBloodGas.po2 = Math.max(60, patientData.spo2 * 0.8);
-        arterialBloodGas.sao2 = patientData.spo2;
-        
-        // При гипоксии часто бывает респираторный ацидоз
-        arterialBloodGas.ph = 7.32;
-        arterialBloodGas.pco2 = 50;
-        
-        // Также корректируем венозные газы
-        venousBloodGas.po2 = 30;
-        venousBloodGas.svo2 = 60;
-        venousBloodGas.ph = 7.28;
-        venousBloodGas.pco2 = 55;
-      }
-      
-      // Обновляем состояние
-      setLabResults(prev => ({
-        ...prev,
-        complete_blood_count: generateCompleteBloodCount(),
-        blood_chemistry: generateBloodChemistry(),
-        coagulation: generateCoagulation(),
-        arterial_blood_gas: arterialBloodGas,
-        venous_blood_gas: venousBloodGas
-      }));
-    } else {
-      // Если данных нет, используем значения по умолчанию
-      setLabResults(prev => ({
-        ...prev,
-        complete_blood_count: generateCompleteBloodCount(),
-        blood_chemistry: generateBloodChemistry(),
-        coagulation: generateCoagulation()
-      }));
+  // Выбор анализа для назначения
+  const toggleTest = (test) => {
+    setSelectedTests(prev => (prev.includes(test) ? prev.filter(item => item !== test) : [...prev, test]));
+  };
+  
+  // Назначение выбранных анализов
+  const orderSelectedTests = () => {
+    if (!onOrderLabs || selectedTests.length === 0) return;
+    onOrderLabs(selectedTests);
+    setSelectedTests([]);
+  };
+  
+  // Готовые результаты последнего назначения каждого анализа; результаты
+  // рассчитаны по состоянию пациента в момент назначения
+  const labs = (patientData && patientData.labs) || { pending: [], results: {}, history: {} };
+  const { results } = labs;
+  
+  // Показываются только назначенные анализы: готовые или выполняемые
+  const orderedTests = Object.keys(LAB_TESTS).filter(test =>
+    results[test] || labs.pending.some(item => item.test === test));
+  
+  const labResults = Object.fromEntries(Object.entries(RESULT_GROUPS).map(([test, { format }]) => [
+    test,
+    results[test] ? format(results[test].values) : []
+  ]));
+  labResults.arterial_blood_gas = results.abg ? formatArterialBloodGas(results.abg.values) : null;
+  
+  // Динамика показателей по всем готовым результатам
+  const trends = Object.fromEntries(Object.entries(TREND_VALUES).map(([key, { test, value }]) => [
+    key,
+    (labs.history[test] || []).map(entry => ({ time: formatTime(entry.orderedAt), value: value(entry.values) }))
+  ]));
+  
+  // Время назначения и ожидание результата анализа
+  const getTestStatus = (test) => {
+    const pending = labs.pending.filter(item => item.test === test);
+    const parts = [];
+    if (results[test]) {
+      parts.push(`назначен ${formatTime(results[test].orderedAt)}`);
     }
-  }, [patientData]);
+    if (pending.length > 0) {
+      parts.push(`ожидается через ${Math.ceil(pending[pending.length - 1].readyIn / 60)} мин`);
+    }
+    return parts.join(', ');
+  };
   
   // Определение тревожных состояний на основе лабораторных данных
   const getAlerts = () => {
     const alerts = [];
     
     // Проверка общего анализа крови
-    const cbc = labResults.complete_blood_count;
+    const cbc = labResults.cbc;
     const hemoglobin = cbc.find(item => item.name.includes('Гемоглобин'));
     if (hemoglobin && hemoglobin.value < 100) {
       alerts.push({
@@ -578,6 +648,31 @@ const LabResultsModule = ({ patientData }) => {
       });
     }
     
+    const platelets = cbc.find(item => item.name.includes('Тромбоциты'));
+    if (platelets && platelets.value < 50) {
+      alerts.push({
+        title: 'Тяжелая тромбоцитопения',
+        description: `Тромбоциты: ${platelets.value} × 10⁹/л. Рекомендуется трансфузия тромбоконцентрата.`,
+        severity: 'critical'
+      });
+    } else if (platelets && platelets.value < 100) {
+      alerts.push({
+        title: 'Тромбоцитопения',
+        description: `Тромбоциты: ${platelets.value} × 10⁹/л. Возможна дилюционная тромбоцитопения.`,
+        severity: 'warning'
+      });
+    }
+    
+    // Проверка коагулограммы
+    const inr = labResults.coags.find(item => item.name.includes('МНО'));
+    if (inr && inr.value > 1.5) {
+      alerts.push({
+        title: 'Коагулопатия',
+        description: `МНО: ${inr.value}. Дефицит факторов свертывания, рассмотрите трансфузию плазмы.`,
+        severity: inr.value > 2 ? 'critical' : 'warning'
+      });
+    }
+    
     const wbc = cbc.find(item => item.name.includes('Лейкоциты'));
     if (wbc && wbc.value > 12) {
       alerts.push({
@@ -593,9 +688,12 @@ const LabResultsModule = ({ patientData }) => {
       });
     }
     
-    // Проверка биохимии крови
-    const bc = labResults.blood_chemistry;
-    const glucose = bc.find(item => item.name.includes('Глюкоза'));
+    // Проверка биохимии крови; глюкоза - по последнему из анализов
+    // (биохимия или глюкометр)
+    const bc = labResults.bmp;
+    const glucose = results.poc_glucose && (!results.bmp || results.poc_glucose.orderedAt >= results.bmp.orderedAt)
+      ? labResults.poc_glucose[0]
+      : bc.find(item => item.name.includes('Глюкоза'));
     if (glucose && glucose.value > 11) {
       alerts.push({
         title: 'Гипергликемия',
@@ -625,8 +723,39 @@ const LabResultsModule = ({ patientData }) => {
       });
     }
     
+    const calcium = bc.find(item => item.name.includes('Кальций'));
+    if (calcium && calcium.value < 0.9) {
+      alerts.push({
+        title: 'Гипокальциемия',
+        description: `Ионизированный кальций: ${calcium.value} ммоль/л. Возможно связывание цитратом при трансфузии, рассмотрите кальция хлорид.`,
+        severity: 'warning'
+      });
+    }
+    
+    // Проверка лактата
+    const lactate = labResults.lactate[0];
+    if (lactate && lactate.value > 4) {
+      alerts.push({
+        title: 'Гиперлактатемия',
+        description: `Лактат: ${lactate.value} ммоль/л. Признак гипоперфузии тканей, оцените доставку кислорода.`,
+        severity: 'critical'
+      });
+    }
+    
+    // Проверка кардиомаркеров
+    const troponin = labResults.troponin.find(item => item.name.includes('Тропонин'));
+    if (troponin && troponin.value >= TROPONIN_UPPER_LIMIT) {
+      alerts.push({
+        title: 'Повышение тропонина',
+        description: `Тропонин I: ${troponin.value} нг/л. Признак повреждения миокарда, оцените ЭКГ в 12 отведениях.`,
+        severity: troponin.value >= TROPONIN_UPPER_LIMIT * 5 ? 'critical' : 'warning'
+      });
+    }
+    
     // Проверка газов крови
     const abg = labResults.arterial_blood_gas;
+    if (!abg) return alerts;
+    
     if (abg.ph < 7.35 && abg.pco2 > 45) {
       alerts.push({
         title: 'Респираторный ацидоз',
@@ -665,11 +794,32 @@ const LabResultsModule = ({ patientData }) => {
     <div className="bg-gray-900 text-white p-4 rounded-lg border border-gray-700">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-bold">Лабораторные данные</h2>
-        <div>
-          <button className="px-3 py-1 bg-blue-700 text-white rounded hover:bg-blue-600 text-sm">
-            Запросить новые анализы
-          </button>
+      </div>
+      
+      {/* Назначение анализов */}
+      <div className="mb-6 p-3 border border-gray-700 rounded bg-gray-800">
+        <h3 className="text-lg font-semibold mb-2">Назначение анализов</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+          {Object.entries(LAB_TESTS).map(([test, { name, pointOfCare }]) => (
+            <label key={test} className="flex items-center text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={selectedTests.includes(test)}
+                onChange={() => toggleTest(test)}
+              />
+              {name}
+              {pointOfCare && <span className="ml-2 text-xs text-green-400">у постели</span>}
+            </label>
+          ))}
         </div>
+        <button
+          className="px-3 py-1 bg-blue-700 text-white rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+          onClick={orderSelectedTests}
+          disabled={!onOrderLabs || selectedTests.length === 0}
+        >
+          Назначить
+        </button>
       </div>
       
       {/* Тревожные состояния */}
@@ -689,83 +839,96 @@ const LabResultsModule = ({ patientData }) => {
         </div>
       )}
       
+      {orderedTests.length === 0 && (
+        <p className="mb-6 text-sm text-gray-400">Анализы не назначены</p>
+      )}
+      
       {/* Анализ газов крови */}
-      <div className="mb-6">
-        <div 
-          className="flex justify-between items-center mb-2 cursor-pointer"
-          onClick={() => toggleGroup('blood_gas')}
-        >
-          <h3 className="text-lg font-semibold">Анализ газов крови</h3>
-          <span className="text-gray-400 text-lg">
-            {expandedGroups.blood_gas ? '▼' : '▶'}
-          </span>
+      {orderedTests.includes('abg') && (
+        <div className="mb-6">
+          <div 
+            className="flex justify-between items-center mb-2 cursor-pointer"
+            onClick={() => toggleGroup('abg')}
+          >
+            <h3 className="text-lg font-semibold">
+              Анализ газов крови
+              {getTestStatus('abg') && (
+                <span className="ml-2 text-sm text-gray-400 font-normal">{getTestStatus('abg')}</span>
+              )}
+            </h3>
+            <span className="text-gray-400 text-lg">
+              {expandedGroups.abg ? '▼' : '▶'}
+            </span>
+          </div>
+          
+          {expandedGroups.abg && !labResults.arterial_blood_gas && (
+            <div className="p-3 border border-gray-700 rounded bg-gray-900 text-sm text-gray-400">Результатов нет</div>
+          )}
+          
+          {expandedGroups.abg && labResults.arterial_blood_gas && (
+            <BloodGasChart arterial={labResults.arterial_blood_gas} />
+          )}
         </div>
-        
-        {expandedGroups.blood_gas && (
-          <BloodGasChart 
-            arterial={labResults.arterial_blood_gas}
-            venous={labResults.venous_blood_gas}
-          />
-        )}
-      </div>
+      )}
       
       {/* Группы лабораторных результатов */}
-      <LabResultGroup 
-        title="Общий анализ крови"
-        results={labResults.complete_blood_count}
-        isCollapsed={!expandedGroups.complete_blood_count}
-        onToggle={() => toggleGroup('complete_blood_count')}
-      />
-      
-      <LabResultGroup 
-        title="Биохимический анализ крови"
-        results={labResults.blood_chemistry}
-        isCollapsed={!expandedGroups.blood_chemistry}
-        onToggle={() => toggleGroup('blood_chemistry')}
-      />
-      
-      <LabResultGroup 
-        title="Коагулограмма"
-        results={labResults.coagulation}
-        isCollapsed={!expandedGroups.coagulation}
-        onToggle={() => toggleGroup('coagulation')}
-      />
+      {Object.entries(RESULT_GROUPS).filter(([test]) => orderedTests.includes(test)).map(([test, { title }]) => (
+        <LabResultGroup 
+          key={test}
+          title={title}
+          status={getTestStatus(test)}
+          results={labResults[test]}
+          isCollapsed={!expandedGroups[test]}
+          onToggle={() => toggleGroup(test)}
+        />
+      ))}
       
       {/* Тренды показателей */}
       <div className="mt-6">
         <h3 className="text-lg font-semibold mb-3">Динамика показателей</h3>
+        {Object.values(trends).every(data => data.length < 2) && (
+          <p className="text-sm text-gray-400">Динамика появится после двух результатов анализа</p>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <LabTrendChart 
-            data={trends.hemoglobin}
-            label="Гемоглобин (Hb)"
-            unit="г/л"
-            referenceMin={130}
-            referenceMax={160}
-          />
+          {trends.hemoglobin.length > 1 && (
+            <LabTrendChart 
+              data={trends.hemoglobin}
+              label="Гемоглобин (Hb)"
+              unit="г/л"
+              referenceMin={130}
+              referenceMax={160}
+            />
+          )}
           
-          <LabTrendChart 
-            data={trends.platelets}
-            label="Тромбоциты (PLT)"
-            unit="10⁹/л"
-            referenceMin={150}
-            referenceMax={400}
-          />
+          {trends.platelets.length > 1 && (
+            <LabTrendChart 
+              data={trends.platelets}
+              label="Тромбоциты (PLT)"
+              unit="10⁹/л"
+              referenceMin={150}
+              referenceMax={400}
+            />
+          )}
           
-          <LabTrendChart 
-            data={trends.glucose}
-            label="Глюкоза"
-            unit="ммоль/л"
-            referenceMin={3.9}
-            referenceMax={6.1}
-          />
+          {trends.glucose.length > 1 && (
+            <LabTrendChart 
+              data={trends.glucose}
+              label="Глюкоза"
+              unit="ммоль/л"
+              referenceMin={3.9}
+              referenceMax={6.1}
+            />
+          )}
           
-          <LabTrendChart 
-            data={trends.creatinine}
-            label="Креатинин"
-            unit="мкмоль/л"
-            referenceMin={62}
-            referenceMax={106}
-          />
+          {trends.creatinine.length > 1 && (
+            <LabTrendChart 
+              data={trends.creatinine}
+              label="Креатинин"
+              unit="мкмоль/л"
+              referenceMin={62}
+              referenceMax={106}
+            />
+          )}
         </div>
       </div>
       
@@ -0,0 +1,267 @@
+import React from 'react';
+import { CYCLE_SECONDS } from '../../core/ACLSTracker';
+import { CAUSE_INTERVENTIONS, REVERSIBLE_CAUSES } from '../../core/ReversibleCausesModule';
+import { DRUG_LIBRARY } from '../../utils/pharmacology/drugLibrary';
+import { FLUIDS } from '../../utils/physiological-calculations/FluidCompartmentModel';
+import { HEMORRHAGE_CONTROLS, HEMORRHAGE_SITES } from '../../utils/physiological-calculations/HemorrhageModel';
+import { formatDoseUnit } from './InfusionPumpPanel';
+import { RHYTHM_LABELS } from './DefibrillatorPanel';
+
+// Подписи действий в хронологии реанимации
+const ACTION_LABELS = {
+  startCPR: 'Начало компрессий',
+  stopCPR: 'Пауза в компрессиях',
+  setCPRSettings: 'Настройки СЛР',
+  chargeDefibrillator: 'Заряд дефибриллятора',
+  disarmDefibrillator: 'Сброс заряда',
+  setDefibrillatorSettings: 'Настройки дефибриллятора',
+  intubate: 'Интубация',
+  startInfusion: 'Инфузия',
+  setCardiacRhythm: 'Смена ритма',
+  activateMassiveTransfusion: 'Активация протокола массивной трансфузии',
+  deactivateMassiveTransfusion: 'Отмена протокола массивной трансфузии',
+  transfuseMassiveTransfusionPack: 'Контейнер МТП'
+};
+
+// Форматирование секунд в мм:сс
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Краткое описание записи хронологии
+const describeEntry = (entry) => {
+  const rhythm = RHYTHM_LABELS[entry.rhythm] || entry.rhythm;
+
+  switch (entry.type) {
+    case 'arrest':
+      return `Остановка кровообращения: ${rhythm}`;
+    case 'rhythm':
+      return `Ритм: ${rhythm}`;
+    case 'rosc':
+      return 'Восстановление кровообращения';
+    case 'prompt':
+      return `Напоминание: ${entry.message}`;
+    default:
+      break;
+  }
+
+  const params = entry.params || {};
+  if (entry.action === 'defibrillate') {
+    return `Разряд ${params.energy} Дж`;
+  }
+  if (entry.action === 'applyMedication') {
+    const drug = DRUG_LIBRARY[params.medicationName];
+    return drug
+      ? `${drug.name} ${params.dose} ${formatDoseUnit(drug.doseUnit)}`
+      : params.medicationName;
+  }
+  if (entry.action === 'administerFluid') {
+    const fluid = FLUIDS[params.type];
+    return `${fluid ? fluid.name : params.type} ${params.volume} мл`;
+  }
+  if (entry.action === 'setHemorrhage') {
+    const site = HEMORRHAGE_SITES[params.site];
+    const name = site ? site.name : params.site;
+    return params.rate === 0 ? `${name}: остановлено` : `${name} ${params.rate} мл/мин`;
+  }
+  if (entry.action === 'controlHemorrhage') {
+    const control = HEMORRHAGE_CONTROLS[params.control];
+    return control ? control.name : params.control;
+  }
+  if (entry.action === 'treatReversibleCause') {
+    const intervention = CAUSE_INTERVENTIONS[params.intervention];
+    return intervention ? intervention.name : params.intervention;
+  }
+  if (entry.action === 'startReversibleCauseArrest') {
+    const cause = REVERSIBLE_CAUSES[params.cause];
+    return `Причина остановки: ${cause ? cause.name : params.cause}`;
+  }
+  return ACTION_LABELS[entry.action] || entry.action;
+};
+
+// Цвета записей хронологии
+const ENTRY_COLORS = {
+  arrest: 'text-red-400',
+  rhythm: 'text-yellow-400',
+  rosc: 'text-green-400',
+  prompt: 'text-gray-500',
+  action: 'text-blue-400'
+};
+
+/**
+ * Отчет о реанимации по алгоритму ACLS
+ * @param {Object} props
+ * @param {Object} props.report - Отчет трекера ACLS
+ */
+const ACLSReport = ({ report }) => (
+  <div className="text-xs">
+    <div className="flex justify-between items-center mb-1">
+      <span className="text-sm text-blue-400">
+        Отчет ACLS: {report.outcome === 'rosc' ? 'восстановление кровообращения' : 'реанимация продолжается'}
+      </span>
+      {report.score !== null && (
+        <span className={`font-bold ${report.score >= 80 ? 'text-green-400' : 'text-yellow-400'}`}>
+          {report.score} / 100
+        </span>
+      )}
+    </div>
+    <div className="text-gray-400 mb-1">
+      Длительность {formatTime(report.duration)}, разрядов {report.shockCount}, циклов {report.cycleCount},
+      адреналин {report.epinephrineDoses}, амиодарон {report.amiodaroneDoses}
+    </div>
+    {report.issues.length > 0 && (
+      <ul className="mb-1 list-disc list-inside text-yellow-400">
+        {report.issues.map((issue, index) => <li key={index}>{issue}</li>)}
+      </ul>
+    )}
+    <div className="border-t border-gray-700 pt-1">
+      {report.timeline.filter(entry => entry.type !== 'prompt').map((entry, index) => (
+        <div key={index} className="flex">
+          <span className="w-12 text-gray-500">{formatTime(entry.time)}</span>
+          <span className={ENTRY_COLORS[entry.type]}>{describeEntry(entry)}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// Прогноз неврологического исхода по шкале CPC
+const CPC_LABELS = {
+  1: 'хорошее восстановление',
+  2: 'умеренная инвалидизация',
+  3: 'тяжелая инвалидизация',
+  4: 'кома',
+  5: 'смерть мозга'
+};
+
+/**
+ * Постреанимационный период: время ишемии, оглушение миокарда, вазоплегия,
+ * лактат, риск повторной остановки и неврологический прогноз
+ * @param {Object} props
+ * @param {Object} props.postArrest - Сводка постреанимационного периода из движка
+ */
+const PostArrestSummary = ({ postArrest }) => {
+  const rows = [
+    ['Без кровотока', formatTime(postArrest.noFlowTime)],
+    ['Низкий кровоток', formatTime(postArrest.lowFlowTime)],
+    ['Оглушение миокарда', `${Math.round(postArrest.stunning * 100)}%`],
+    ['Вазоплегия', `${Math.round(postArrest.vasoplegia * 100)}%`],
+    ['Лактат', `${postArrest.lactate} ммоль/л`],
+    ['Риск повторной остановки', `${postArrest.rearrestRisk}%/мин`]
+  ];
+
+  return (
+    <div className="text-xs mb-2">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm text-green-400">После восстановления кровообращения {formatTime(postArrest.timeSinceROSC)}</span>
+        <span className={postArrest.cpc <= 2 ? 'text-green-400' : 'text-yellow-400'}>
+          CPC {postArrest.cpc}: {CPC_LABELS[postArrest.cpc]}
+        </span>
+      </div>
+      <div className="grid grid-cols-3 gap-x-3">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-gray-700 py-0.5">
+            <span className="text-gray-400">{label}</span>
+            <span>{value}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Трекер алгоритма ACLS на мониторе: ритм, обратимая причина, таймер цикла
+ * СЛР, лекарства, напоминания, а после реанимации - постреанимационный
+ * период и отчет
+ * @param {Object} props
+ * @param {Object} props.acls - Состояние трекера ACLS из движка
+ * @param {Object} props.postArrest - Сводка постреанимационного периода из движка
+ * @param {Object} props.reversibleCause - Обратимая причина остановки из движка
+ */
+const ACLSTrackerPanel = ({ acls, postArrest, reversibleCause }) => {
+  if (!acls) return null;
+
+  if (!acls.active) {
+    return acls.report ? (
+      <div className="h-full p-2 overflow-y-auto text-white">
+        {postArrest && !postArrest.inArrest && <PostArrestSummary postArrest={postArrest} />}
+        <ACLSReport report={acls.report} />
+      </div>
+    ) : null;
+  }
+
+  const { cycle, epinephrine, amiodarone } = acls;
+  const cycleProgress = cycle ? Math.min(1, cycle.elapsed / CYCLE_SECONDS) : 0;
+
+  let epinephrineLabel = '--';
+  if (epinephrine.nextDueIn === 0) {
+    epinephrineLabel = 'показан';
+  } else if (epinephrine.nextDueIn !== null) {
+    epinephrineLabel = `через ${formatTime(epinephrine.nextDueIn)}`;
+  }
+
+  return (
+    <div className="h-full p-2 flex flex-col text-white text-xs">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm text-red-400 font-bold">ACLS {formatTime(acls.arrestTime)}</span>
+        <span className={acls.shockable ? 'text-yellow-400' : 'text-gray-300'}>
+          {RHYTHM_LABELS[acls.rhythm] || acls.rhythm} - {acls.shockable ? 'шоковый ритм' : 'нешоковый ритм'}
+        </span>
+      </div>
+
+      {reversibleCause && (
+        <div className="flex justify-between mb-1">
+          <span className="text-gray-400">Причина: {reversibleCause.name}</span>
+          <span className={reversibleCause.correction >= 1 ? 'text-green-400' : 'text-yellow-400'}>
+            устранена на {Math.round(reversibleCause.correction * 100)}%
+          </span>
+        </div>
+      )}
+
+      <div className="mb-1">
+        <div className="flex justify-between text-gray-300">
+          <span>{cycle ? `Цикл ${cycle.number}` : 'Компрессии не проводятся'}</span>
+          <span>{cycle ? `до проверки ритма ${formatTime(cycle.remaining)}` : ''}</span>
+        </div>
+        <div className="w-full h-2 bg-gray-700 rounded">
+          <div
+            className={`h-2 rounded ${cycleProgress >= 1 ? 'bg-red-500' : 'bg-green-500'}`}
+            style={{ width: `${Math.round(cycleProgress * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-1 mb-1 text-center">
+        <div className="bg-gray-800 rounded p-1">
+          <div className="text-gray-400">Разряды</div>
+          <div className="text-lg font-bold">{acls.shockCount}</div>
+        </div>
+        <div className="bg-gray-800 rounded p-1">
+          <div className="text-gray-400">Адреналин ({epinephrine.doses})</div>
+          <div className={epinephrine.nextDueIn === 0 ? 'text-yellow-400 font-bold' : 'text-gray-200'}>{epinephrineLabel}</div>
+        </div>
+        <div className="bg-gray-800 rounded p-1">
+          <div className="text-gray-400">Амиодарон ({amiodarone.doses})</div>
+          <div className={amiodarone.nextDose ? 'text-yellow-400 font-bold' : 'text-gray-200'}>
+            {amiodarone.nextDose ? `${amiodarone.nextDose} мг` : '--'}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto space-y-0.5">
+        {acls.prompts.map(prompt => (
+          <div
+            key={prompt.id}
+            className={`px-2 py-0.5 rounded ${prompt.urgent ? 'bg-red-900 text-red-200' : 'bg-yellow-900 text-yellow-200'}`}
+          >
+            {prompt.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ACLSTrackerPanel;
@@ -0,0 +1,272 @@
+import React, { useEffect } from 'react';
+import { CPR_TARGETS, VENTILATION_RATIOS } from '../../core/CPRModule';
+
+// Подписи соотношений компрессий и вдохов
+const RATIO_LABELS = {
+  '30:2': '30:2',
+  '15:2': '15:2',
+  continuous: 'Непрерывно'
+};
+
+// Варианты параметров компрессий на панели
+const RATE_OPTIONS = [80, 100, 110, 120, 140];
+const DEPTH_OPTIONS = [3, 4, 5, 5.5, 6, 7];
+const RECOIL_OPTIONS = [
+  { value: 1, label: 'Полное' },
+  { value: 0.7, label: 'Неполное' },
+  { value: 0.4, label: 'Плохое' }
+];
+
+// Рекомендуемое коронарное перфузионное давление (мм рт.ст.)
+const CPP_TARGET = 20;
+
+// Показатель СЛР: зеленый в пределах рекомендаций, желтый - вне их
+const Metric = ({ label, value, unit, onTarget }) => (
+  <div className="bg-gray-700 rounded p-2 text-center">
+    <div className="text-xs text-gray-400">{label}</div>
+    <div className={`text-xl font-bold ${onTarget ? 'text-green-400' : 'text-yellow-400'}`}>{value}</div>
+    <div className="text-xs text-gray-500">{unit}</div>
+  </div>
+);
+
+// Выбор параметра компрессий
+const SettingSelect = ({ label, value, options, onChange }) => (
+  <label className="flex flex-col text-xs text-gray-300">
+    <span>{label}</span>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="mt-1 px-2 py-1 text-sm bg-gray-800 text-white rounded"
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+// Процент из доли
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Отчет о качестве СЛР для разбора
+ * @param {Object} props
+ * @param {Object} props.report - Отчет модуля СЛР
+ */
+export const CPRQualityReport = ({ report }) => {
+  if (!report) return null;
+
+  const rows = [
+    ['Длительность остановки', `${report.duration} с`],
+    ['Время без компрессий', `${report.handsOffTime} с`],
+    ['Доля компрессий', percent(report.compressionFraction)],
+    ['Компрессий', report.compressionCount],
+    ['Средняя частота', `${report.meanRate} в минуту (в цели ${percent(report.rateOnTarget)})`],
+    ['Средняя глубина', `${report.meanDepth} см (в цели ${percent(report.depthOnTarget)})`],
+    ['Расправление', `${percent(report.meanRecoil)} (в цели ${percent(report.recoilOnTarget)})`],
+    ['Среднее КПД', `${report.meanCoronaryPerfusionPressure} мм рт.ст.`],
+    ['Перерывы > 10 с', `${report.interruptions} (самый долгий ${report.longestPause} с)`]
+  ];
+
+  return (
+    <div className="text-xs text-gray-300">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm text-white font-medium">Качество СЛР</span>
+        <span className={`font-bold ${report.score >= 80 ? 'text-green-400' : 'text-yellow-400'}`}>
+          {report.score} / 100
+        </span>
+      </div>
+      <div className="grid grid-cols-2 gap-x-3">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-gray-700 py-0.5">
+            <span className="text-gray-400">{label}</span>
+            <span>{value}</span>
+          </div>
+        ))}
+      </div>
+      {report.issues.length > 0 && (
+        <ul className="mt-2 list-disc list-inside text-yellow-400">
+          {report.issues.map(issue => <li key={issue}>{issue}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Панель сердечно-легочной реанимации: параметры компрессий, обратная связь
+ * о качестве и метроном (клавиша «Пробел» - одна компрессия)
+ * @param {Object} props
+ * @param {Object} props.cpr - Состояние СЛР из движка
+ * @param {boolean} props.cardiacArrest - Остановка кровообращения
+ * @param {number} props.etco2 - Текущий EtCO2
+ * @param {Function} props.onCommand - Функция управления ('start', 'stop', 'settings', 'compression')
+ * @param {Function} props.onClose - Функция закрытия панели
+ * @param {boolean} props.isOperating - Флаг активности операции
+ */
+const CPRPanel = ({ cpr, cardiacArrest, etco2, onCommand, onClose, isOperating }) => {
+  // Метроном: каждое нажатие пробела - одна компрессия
+  useEffect(() => {
+    if (!isOperating) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || e.repeat) return;
+      e.preventDefault();
+      onCommand('compression');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOperating, onCommand]);
+
+  if (!cpr) return null;
+
+  const command = (name, ...args) => {
+    if (isOperating) onCommand(name, ...args);
+  };
+
+  const metronome = cpr.inputMode === 'metronome';
+
+  let statusLabel = 'Компрессии не проводятся';
+  let statusColor = 'text-gray-400';
+  if (cpr.delivering) {
+    statusLabel = 'Компрессии';
+    statusColor = 'text-green-400';
+  } else if (cpr.ventilating) {
+    statusLabel = 'Вдохи';
+    statusColor = 'text-blue-400';
+  } else if (cardiacArrest && cpr.report) {
+    statusLabel = `Без компрессий ${cpr.handsOffSeconds} с`;
+    statusColor = 'text-red-400';
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-2xl">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl text-white font-bold">Сердечно-легочная реанимация</h2>
+          <button
+            className="text-gray-400 hover:text-white"
+            onClick={onClose}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex justify-between items-center mb-3 text-sm">
+          <span className={`font-bold ${statusColor}`}>{statusLabel}</span>
+          <span className="text-gray-300">
+            Доля компрессий: <span className={cpr.compressionFraction >= CPR_TARGETS.compressionFraction ? 'text-green-400' : 'text-yellow-400'}>
+              {percent(cpr.compressionFraction)}
+            </span>
+          </span>
+        </div>
+
+        <div className="grid grid-cols-5 gap-2 mb-4">
+          <Metric
+            label="Частота"
+            value={cpr.compressing ? cpr.rate : '--'}
+            unit="в минуту"
+            onTarget={cpr.rate >= CPR_TARGETS.rate.min && cpr.rate <= CPR_TARGETS.rate.max}
+          />
+          <Metric
+            label="Глубина"
+            value={cpr.depth}
+            unit="см"
+            onTarget={cpr.depth >= CPR_TARGETS.depth.min && cpr.depth <= CPR_TARGETS.depth.max}
+          />
+          <Metric
+            label="Расправление"
+            value={percent(cpr.recoil)}
+            unit="грудной клетки"
+            onTarget={cpr.recoil >= CPR_TARGETS.recoil}
+          />
+          <Metric
+            label="КПД"
+            value={cpr.coronaryPerfusionPressure}
+            unit="мм рт.ст."
+            onTarget={cpr.coronaryPerfusionPressure >= CPP_TARGET}
+          />
+          <Metric
+            label="EtCO2"
+            value={typeof etco2 === 'number' ? etco2 : '--'}
+            unit="мм рт.ст."
+            onTarget={etco2 >= 10}
+          />
+        </div>
+
+        <div className="bg-gray-700 p-3 rounded mb-4">
+          <div className="flex items-end space-x-3">
+            <SettingSelect
+              label="Частота"
+              value={cpr.setRate}
+              options={RATE_OPTIONS.map(rate => ({ value: rate, label: `${rate} в минуту` }))}
+              onChange={(value) => command('settings', { rate: parseFloat(value) })}
+            />
+            <SettingSelect
+              label="Глубина"
+              value={cpr.depth}
+              options={DEPTH_OPTIONS.map(depth => ({ value: depth, label: `${depth} см` }))}
+              onChange={(value) => command('settings', { depth: parseFloat(value) })}
+            />
+            <SettingSelect
+              label="Расправление"
+              value={cpr.recoil}
+              options={RECOIL_OPTIONS}
+              onChange={(value) => command('settings', { recoil: parseFloat(value) })}
+            />
+            <SettingSelect
+              label="Компрессии : вдохи"
+              value={cpr.ratio}
+              options={Object.keys(VENTILATION_RATIOS).map(ratio => ({ value: ratio, label: RATIO_LABELS[ratio] }))}
+              onChange={(value) => command('settings', { ratio: value })}
+            />
+          </div>
+          {metronome && (
+            <div className="mt-2 text-xs text-gray-400">
+              Частота задается нажатиями метронома
+            </div>
+          )}
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          <button
+            className={`flex-1 px-3 py-2 text-white rounded ${cpr.active ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'}`}
+            onClick={() => command(cpr.active ? 'stop' : 'start')}
+          >
+            {cpr.active ? 'Прекратить компрессии' : 'Начать компрессии'}
+          </button>
+          <button
+            className="flex-1 px-3 py-2 bg-blue-800 hover:bg-blue-700 text-white rounded"
+            onClick={() => command('compression')}
+          >
+            Компрессия (Пробел)
+          </button>
+        </div>
+
+        {cpr.report && (
+          <div className="border-t border-gray-700 pt-3">
+            <CPRQualityReport report={cpr.report} />
+          </div>
+        )}
+
+        {!isOperating && (
+          <div className="mt-4 text-yellow-500 text-sm text-center">
+            Для проведения СЛР необходимо начать операцию
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            onClick={onClose}
+          >
+            Закрыть
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CPRPanel;
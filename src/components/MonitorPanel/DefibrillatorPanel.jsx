@@ -0,0 +1,180 @@
+import React from 'react';
+import { DEFIBRILLATOR_WAVEFORMS } from '../../core/DefibrillatorModule';
+
+// Подписи форм импульса
+const WAVEFORM_LABELS = {
+  biphasic: 'Бифазный',
+  monophasic: 'Монофазный'
+};
+
+// Подписи ритмов пациента
+export const RHYTHM_LABELS = {
+  sinus: 'Синусовый ритм',
+  afib: 'Фибрилляция предсердий',
+  aflutter: 'Трепетание предсердий',
+  svt: 'НЖТ',
+  vtach: 'Желудочковая тахикардия',
+  vfib: 'Фибрилляция желудочков',
+  asystole: 'Асистолия',
+  pea: 'ЭАБП'
+};
+
+// Подписи состояния конденсатора
+const CHARGE_LABELS = {
+  idle: 'Не заряжен',
+  charging: 'Заряд',
+  charged: 'Заряжен'
+};
+
+/**
+ * Панель ручного дефибриллятора
+ * @param {Object} props
+ * @param {Object} props.defibrillator - Состояние дефибриллятора из движка
+ * @param {string} props.rhythm - Текущий ритм пациента
+ * @param {boolean} props.cardiacArrest - Остановка кровообращения
+ * @param {Function} props.onCommand - Функция управления ('settings', 'charge', 'shock', 'disarm')
+ * @param {Function} props.onClose - Функция закрытия панели
+ * @param {boolean} props.isOperating - Флаг активности операции
+ */
+const DefibrillatorPanel = ({ defibrillator, rhythm, cardiacArrest, onCommand, onClose, isOperating }) => {
+  if (!defibrillator) return null;
+
+  const { energyLevels } = DEFIBRILLATOR_WAVEFORMS[defibrillator.waveform];
+  const isCharged = defibrillator.chargeState === 'charged';
+  const canShock = isCharged && (!defibrillator.sync || defibrillator.syncAvailable);
+
+  // При смене формы импульса выбирается ближайшая допустимая энергия
+  const handleWaveformChange = (waveform) => {
+    if (!isOperating) return;
+    const levels = DEFIBRILLATOR_WAVEFORMS[waveform].energyLevels;
+    const energy = levels.includes(defibrillator.energy) ? defibrillator.energy : levels[levels.length - 1];
+    onCommand('settings', { waveform, energy });
+  };
+
+  const command = (name, ...args) => {
+    if (isOperating) onCommand(name, ...args);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-xl">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl text-white font-bold">Дефибриллятор</h2>
+          <button
+            className="text-gray-400 hover:text-white"
+            onClick={onClose}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex items-center justify-between mb-4 text-sm">
+          <span className="text-gray-300">
+            Ритм: <span className={cardiacArrest ? 'text-red-400 font-bold' : 'text-green-400 font-bold'}>
+              {RHYTHM_LABELS[rhythm] || rhythm || '--'}
+            </span>
+            {cardiacArrest && <span className="text-red-400"> (без пульса)</span>}
+          </span>
+          <span className="text-gray-400">Разрядов: {defibrillator.shockCount}</span>
+        </div>
+
+        <div className="bg-gray-700 p-3 rounded mb-4">
+          <div className="flex items-center space-x-2">
+            <select
+              value={defibrillator.waveform}
+              onChange={(e) => handleWaveformChange(e.target.value)}
+              className="px-2 py-1 bg-gray-800 text-white rounded"
+            >
+              {Object.keys(DEFIBRILLATOR_WAVEFORMS).map(id => (
+                <option key={id} value={id}>{WAVEFORM_LABELS[id]}</option>
+              ))}
+            </select>
+            <select
+              value={defibrillator.energy}
+              onChange={(e) => command('settings', { energy: parseFloat(e.target.value) })}
+              className="px-2 py-1 bg-gray-800 text-white rounded"
+            >
+              {energyLevels.map(energy => (
+                <option key={energy} value={energy}>{energy} Дж</option>
+              ))}
+            </select>
+            <button
+              className={`px-3 py-1 text-sm text-white rounded ${defibrillator.sync ? 'bg-yellow-600 hover:bg-yellow-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+              onClick={() => command('settings', { sync: !defibrillator.sync })}
+            >
+              СИНХР {defibrillator.sync ? 'ВКЛ' : 'ВЫКЛ'}
+            </button>
+          </div>
+          {defibrillator.sync && !defibrillator.syncAvailable && (
+            <div className="mt-2 text-xs text-yellow-400">
+              Нет R-зубцов: синхронизированный разряд невозможен
+            </div>
+          )}
+        </div>
+
+        <div className="mb-4">
+          <div className="flex justify-between text-xs text-gray-300 mb-1">
+            <span>{CHARGE_LABELS[defibrillator.chargeState]}</span>
+            <span>{defibrillator.chargedEnergy ? `${defibrillator.chargedEnergy} Дж` : ''}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-700 rounded">
+            <div
+              className={`h-2 rounded ${isCharged ? 'bg-red-500' : 'bg-yellow-500'}`}
+              style={{ width: `${Math.round(defibrillator.chargeProgress * 100)}%` }}
+            />
+          </div>
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          <button
+            className="flex-1 px-3 py-2 bg-yellow-700 hover:bg-yellow-600 text-white rounded"
+            onClick={() => command('charge')}
+          >
+            Заряд
+          </button>
+          <button
+            className={`flex-1 px-3 py-2 text-white rounded ${canShock ? 'bg-red-700 hover:bg-red-600' : 'bg-gray-600 cursor-not-allowed'}`}
+            onClick={() => canShock && command('shock')}
+          >
+            ⚡ Разряд
+          </button>
+          <button
+            className="flex-1 px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+            onClick={() => command('disarm')}
+          >
+            Сброс заряда
+          </button>
+        </div>
+
+        {defibrillator.lastShock && (
+          <div className="text-xs text-gray-300 border-t border-gray-700 pt-3">
+            Последний разряд: {defibrillator.lastShock.energy} Дж, {WAVEFORM_LABELS[defibrillator.lastShock.waveform].toLowerCase()}
+            {defibrillator.lastShock.synchronized ? ', синхронизированный' : ''}
+            {defibrillator.lastShock.message && (
+              <div className={`mt-1 ${defibrillator.lastShock.success ? 'text-green-400' : 'text-yellow-400'}`}>
+                {defibrillator.lastShock.message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {!isOperating && (
+          <div className="mt-4 text-yellow-500 text-sm text-center">
+            Для управления дефибриллятором необходимо начать операцию
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            onClick={onClose}
+          >
+            Закрыть
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DefibrillatorPanel;
@@ -1,5 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import RealisticWaveforms from './RealisticWaveforms';
+import InfusionPumpPanel, { formatDoseUnit } from './InfusionPumpPanel';
+import TwelveLeadECG from './TwelveLeadECG';
+import PacemakerPanel from './PacemakerPanel';
+import DefibrillatorPanel from './DefibrillatorPanel';
+import CPRPanel from './CPRPanel';
+import ACLSTrackerPanel from './ACLSTrackerPanel';
+import HemorrhagePanel from './HemorrhagePanel';
+import { DRUG_LIBRARY } from '../../utils/pharmacology/drugLibrary';
 
   // Компонент отображения числового параметра (базовый)
 const BaseVitalDisplay = ({ 
@@ -94,6 +102,46 @@ const AlarmLimitsDisplay = ({ title, high, low, color = "green-500", className =
   );
 };
 
+// Каналы инвазивного давления установленных катетеров: тип графика,
+// подпись, цвет и числовые показатели
+const getInvasiveChannels = (patientState) => {
+  const monitoring = patientState.invasiveMonitoring || {};
+  const channels = [];
+  
+  if (monitoring.arterial) {
+    channels.push({
+      graphType: 'bp',
+      label: 'ART',
+      color: 'text-white',
+      value: `${patientState.systolic}/${patientState.diastolic} (${patientState.map})`,
+      extra: `PPV ${patientState.ppv}%`
+    });
+  }
+  if (monitoring.cvp) {
+    channels.push({
+      graphType: 'cvp',
+      label: 'CVP',
+      color: 'text-blue-400',
+      value: `${patientState.cvp}`
+    });
+  }
+  if (monitoring.pa) {
+    channels.push(monitoring.wedge ? {
+      graphType: 'pap',
+      label: 'PCWP',
+      color: 'text-yellow-500',
+      value: `${patientState.pcwp}`
+    } : {
+      graphType: 'pap',
+      label: 'PA',
+      color: 'text-yellow-500',
+      value: `${patientState.pap_systolic}/${patientState.pap_diastolic} (${patientState.pap})`
+    });
+  }
+  
+  return channels;
+};
+
 // Кнопка быстрого действия
 const QuickActionButton = ({ icon, label, onClick }) => {
   return (
@@ -110,15 +158,18 @@ const QuickActionButton = ({ icon, label, onClick }) => {
 // Панель быстрых действий
 const QuickActionsPanel = ({ 
   onIntubate, 
-  onStartCPR,
-  onStopCPR,
+  onOpenCPR,
   onLoadScenarios,
   onOpenMedicationsPanel,
+  onOpenInfusionPumps,
+  onOpenTwelveLeadECG,
+  onOpenPacemaker,
+  onOpenDefibrillator,
   showCPRControls = false,
   className = ''
 }) => {
   return (
-    <div className={`grid grid-cols-5 gap-1 p-1 border-2 border-gray-600 rounded bg-black h-full ${className}`}>
+    <div className={`grid grid-cols-8 gap-1 p-1 border-2 border-gray-600 rounded bg-black h-full ${className}`}>
       <QuickActionButton 
         icon="🔄" 
         label="Сценарии" 
@@ -129,28 +180,35 @@ const QuickActionsPanel = ({
         label="Лекарства" 
         onClick={onOpenMedicationsPanel}
       />
+      <QuickActionButton 
+        icon="🧪" 
+        label="Инфузоматы" 
+        onClick={onOpenInfusionPumps}
+      />
       <QuickActionButton 
         icon="🫁" 
         label="Интубация" 
         onClick={onIntubate}
       />
-      {showCPRControls ? (
-        <QuickActionButton 
-          icon="✋" 
-          label="Стоп СЛР" 
-          onClick={onStopCPR}
-        />
-      ) : (
-        <QuickActionButton 
-          icon="❤️" 
-          label="Начать СЛР" 
-          onClick={onStartCPR}
-        />
-      )}
+      <QuickActionButton 
+        icon="📈" 
+        label="ЭКГ-12" 
+        onClick={onOpenTwelveLeadECG}
+      />
+      <QuickActionButton 
+        icon="💓" 
+        label="Стимулятор" 
+        onClick={onOpenPacemaker}
+      />
+      <QuickActionButton 
+        icon={showCPRControls ? '✋' : '❤️'} 
+        label={showCPRControls ? 'СЛР идет' : 'СЛР'} 
+        onClick={onOpenCPR}
+      />
       <QuickActionButton 
         icon="⚡" 
         label="Дефибриляция" 
-        onClick={() => {}}
+        onClick={onOpenDefibrillator}
       />
     </div>
   );
@@ -187,23 +245,27 @@ const AlarmHistory = ({ alarms = [], className = '' }) => {
   );
 };
 
+// Лекарства из фармакологической библиотеки
+const medications = Object.entries(DRUG_LIBRARY).map(([id, drug]) => ({
+  id,
+  name: drug.name,
+  category: drug.category,
+  dose: `${drug.defaultDose} ${formatDoseUnit(drug.doseUnit)}`,
+  description: drug.description
+}));
+
 // Компонент панели с лекарствами
 const MedicationsPanel = ({ onClose, onApplyMedication, isOperating }) => {
-  const medications = [
-    { id: 'epinephrine', name: 'Эпинефрин', category: 'emergency', dose: '1 мг', description: 'Адреномиметик, повышает АД и ЧСС' },
-    { id: 'atropine', name: 'Атропин', category: 'emergency', dose: '0.5 мг', description: 'Холиноблокатор, повышает ЧСС' },
-    { id: 'norepinephrine', name: 'Норэпинефрин', category: 'vasopressor', dose: '4-16 мкг/мин', description: 'Вазопрессор, повышает АД' },
-    { id: 'propofol', name: 'Пропофол', category: 'sedative', dose: '1-4 мг/кг', description: 'Седативное, снижает АД и ЧСС' },
-    { id: 'midazolam', name: 'Мидазолам', category: 'sedative', dose: '0.1-0.2 мг/кг', description: 'Седативное, анксиолитик' },
-    { id: 'fentanyl', name: 'Фентанил', category: 'analgesic', dose: '50-100 мкг', description: 'Опиоидный анальгетик' }
-  ];
-  
   const categories = [
     { id: 'all', name: 'Все' },
     { id: 'emergency', name: 'Экстренные' },
     { id: 'vasopressor', name: 'Вазопрессоры' },
     { id: 'sedative', name: 'Седативные' },
-    { id: 'analgesic', name: 'Анальгетики' }
+    { id: 'analgesic', name: 'Анальгетики' },
+    { id: 'antiarrhythmic', name: 'Антиаритмики' },
+    { id: 'muscle_relaxant', name: 'Миорелаксанты' },
+    { id: 'antidote', name: 'Антидоты' },
+    { id: 'electrolyte', name: 'Электролиты и метаболизм' }
   ];
   
   const [activeCategory, setActiveCategory] = useState('all');
@@ -287,10 +349,27 @@ const EnhancedPatientMonitor = ({
   onApplyMedication,
   onPerformIntervention,
   onLoadScenarios,
+  onPumpCommand, // Управление инфузоматами
+  onRecordTwelveLeadECG, // Запись ЭКГ в 12 отведениях
+  onPacemakerCommand, // Управление кардиостимулятором
+  onDefibrillatorCommand, // Управление дефибриллятором
+  onCPRCommand, // Управление сердечно-легочной реанимацией
   isCPRInProgress = false,
+  isReplay = false, // Режим разбора записанной сессии
+  playbackRate = 1, // Скорость воспроизведения записи
+  isPlaybackPaused = false, // Воспроизведение записи на паузе
+  replayControls = null, // Панель управления воспроизведением
   className = ''
 }) => {
+  // Графики работают как при симуляции, так и при воспроизведении записи
+  const isDisplayActive = isOperating || isReplay;
   const [showMedicationsPanel, setShowMedicationsPanel] = useState(false);
+  const [showInfusionPumps, setShowInfusionPumps] = useState(false);
+  const [twelveLeadRecording, setTwelveLeadRecording] = useState(null);
+  const [showTwelveLeadECG, setShowTwelveLeadECG] = useState(false);
+  const [showPacemaker, setShowPacemaker] = useState(false);
+  const [showDefibrillator, setShowDefibrillator] = useState(false);
+  const [showCPR, setShowCPR] = useState(false);
   const [alarmHistory, setAlarmHistory] = useState([]);
   
   // Эффект для обновления состояния пациента при изменении patientState
@@ -402,26 +481,21 @@ const EnhancedPatientMonitor = ({
     }
   };
   
-  // Обработчик начала СЛР
-  const handleStartCPR = () => {
-    if (isOperating) {
-      onPerformIntervention('start_cpr');
-    }
-  };
-  
-  // Обработчик остановки СЛР
-  const handleStopCPR = () => {
+  // Обработчик команд СЛР
+  const handleCPRCommand = (command, ...args) => {
     if (isOperating) {
-      onPerformIntervention('stop_cpr');
+      onCPRCommand(command, ...args);
     }
   };
   
-  // Обработчик дефибрилляции
-  const handleDefibrillate = () => {
-    if (isOperating) {
-      onPerformIntervention('defibrillate');
-      
-      // Добавляем запись о дефибрилляции в историю тревог
+  // Обработчик команд дефибриллятора
+  const handleDefibrillatorCommand = (command, ...args) => {
+    if (!isOperating) return;
+    
+    const result = onDefibrillatorCommand(command, ...args);
+    
+    // Добавляем запись о нанесенном разряде в историю тревог
+    if (command === 'shock' && result && result.delivered) {
       const alarmTime = new Intl.DateTimeFormat('ru-RU', {
         hour: '2-digit',
         minute: '2-digit',
@@ -430,12 +504,28 @@ const EnhancedPatientMonitor = ({
       
       setAlarmHistory(prev => [{
         severity: 'high',
-        message: 'Выполнена дефибрилляция',
+        message: `Выполнена дефибрилляция: ${result.message}`,
         time: alarmTime
       }, ...prev]);
     }
   };
 
+  // Снятие ЭКГ в 12 отведениях
+  const handleRecordTwelveLeadECG = () => {
+    if (isOperating && onRecordTwelveLeadECG) {
+      setTwelveLeadRecording(onRecordTwelveLeadECG() || null);
+    }
+  };
+  
+  const handleOpenTwelveLeadECG = () => {
+    handleRecordTwelveLeadECG();
+    setShowTwelveLeadECG(true);
+  };
+  
+  // Каналы инвазивного давления делят высоту с ЭКГ, дыханием и SpO2
+  const invasiveChannels = getInvasiveChannels(patientState);
+  const waveformRowStyle = { height: `${100 / (3 + invasiveChannels.length)}%` };
+
   return (
     <div className={`w-full h-full ${className}`}>
       {/* Контейнер для разметки всего интерфейса */}
@@ -445,49 +535,79 @@ const EnhancedPatientMonitor = ({
           {/* Левая колонка - графики */}
           <div className="w-[75%] flex flex-col space-y-1">
             {/* ЭКГ */}
-            <div className="w-full h-1/3 border-2 border-gray-600 rounded bg-black">
+            <div className="w-full border-2 border-gray-600 rounded bg-black" style={waveformRowStyle}>
               <div className="h-5 px-2 flex justify-between items-center">
                 <div className="text-sm text-green-500">ECG: II</div>
-                {!isOperating && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
+                {patientState.defibrillator?.sync && <div className="text-sm text-yellow-400">SYNC</div>}
+                {!isDisplayActive && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
               </div>
               <div className="h-[calc(100%-20px)]">
                 <RealisticWaveforms 
                   graphType="ecg"
                   vitalSigns={patientState}
-                  isOperating={isOperating}
+                  syncMarkers={Boolean(patientState.defibrillator?.sync)}
+                  isOperating={isDisplayActive}
+                  playbackRate={playbackRate}
+                  isPaused={isReplay && isPlaybackPaused}
                 />
               </div>
             </div>
             
             {/* Дыхание */}
-            <div className="w-full h-1/3 border-2 border-gray-600 rounded bg-black">
+            <div className="w-full border-2 border-gray-600 rounded bg-black" style={waveformRowStyle}>
               <div className="h-5 px-2 flex justify-between items-center">
                 <div className="text-sm text-yellow-400">RESP</div>
-                {!isOperating && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
+                {!isDisplayActive && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
               </div>
               <div className="h-[calc(100%-20px)]">
                 <RealisticWaveforms 
                   graphType="resp"
                   vitalSigns={patientState}
-                  isOperating={isOperating}
+                  isOperating={isDisplayActive}
+                  playbackRate={playbackRate}
+                  isPaused={isReplay && isPlaybackPaused}
                 />
               </div>
             </div>
             
             {/* SpO2 */}
-            <div className="w-full h-1/3 border-2 border-gray-600 rounded bg-black">
+            <div className="w-full border-2 border-gray-600 rounded bg-black" style={waveformRowStyle}>
               <div className="h-5 px-2 flex justify-between items-center">
                 <div className="text-sm text-cyan-400">SpO2</div>
-                {!isOperating && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
+                {!isDisplayActive && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
               </div>
               <div className="h-[calc(100%-20px)]">
                 <RealisticWaveforms 
                   graphType="spo2"
                   vitalSigns={patientState}
-                  isOperating={isOperating}
+                  isOperating={isDisplayActive}
+                  playbackRate={playbackRate}
+                  isPaused={isReplay && isPlaybackPaused}
                 />
               </div>
             </div>
+            
+            {/* Инвазивное давление */}
+            {invasiveChannels.map(channel => (
+              <div key={channel.graphType} className="w-full border-2 border-gray-600 rounded bg-black" style={waveformRowStyle}>
+                <div className="h-5 px-2 flex justify-between items-center">
+                  <div className={`text-sm ${channel.color}`}>{channel.label}</div>
+                  <div className={`text-sm font-bold ${channel.color}`}>
+                    {channel.value} мм рт.ст.{channel.extra && <span className="ml-2 font-normal">{channel.extra}</span>}
+                  </div>
+                  {!isDisplayActive && <div className="text-sm text-gray-500">DIAGNOSTIC</div>}
+                </div>
+                <div className="h-[calc(100%-20px)]">
+                  <RealisticWaveforms 
+                    graphType={channel.graphType}
+                    vitalSigns={patientState}
+                    isOperating={isDisplayActive}
+                    playbackRate={playbackRate}
+                    isPaused={isReplay && isPlaybackPaused}
+                  />
+                </div>
+              </div>
+            ))}
           </div>
           
           {/* Правая колонка - пороги тревог и числовые показатели */}
@@ -556,10 +676,13 @@ const EnhancedPatientMonitor = ({
             <div className="h-[33%]">
               <QuickActionsPanel 
                 onIntubate={handleIntubate}
-                onStartCPR={handleStartCPR}
-                onStopCPR={handleStopCPR}
+                onOpenCPR={() => setShowCPR(true)}
                 onLoadScenarios={onLoadScenarios}
                 onOpenMedicationsPanel={() => setShowMedicationsPanel(true)}
+                onOpenInfusionPumps={() => setShowInfusionPumps(true)}
+                onOpenTwelveLeadECG={handleOpenTwelveLeadECG}
+                onOpenPacemaker={() => setShowPacemaker(true)}
+                onOpenDefibrillator={() => setShowDefibrillator(true)}
                 showCPRControls={isCPRInProgress}
               />
             </div>
@@ -570,11 +693,25 @@ const EnhancedPatientMonitor = ({
             </div>
           </div>
           
-          {/* Средняя колонка - мини-игры и подсказки */}
+          {/* Средняя колонка - разбор сессии, трекер ACLS, кровотечение, мини-игры и подсказки */}
           <div className="w-[45%] h-full border-2 border-gray-600 rounded bg-black">
-            <div className="flex items-center justify-center h-full">
-              <div className="text-center text-gray-500">Место для будущих мини-игр и подсказок</div>
-            </div>
+            {replayControls || (patientState.acls && (patientState.acls.active || patientState.acls.report) ? (
+              <ACLSTrackerPanel
+                acls={patientState.acls}
+                postArrest={patientState.postArrest}
+                reversibleCause={patientState.reversibleCause}
+              />
+            ) : patientState.hemorrhage || patientState.massiveTransfusion?.active || patientState.massiveTransfusion?.packsGiven > 0 ? (
+              <HemorrhagePanel
+                hemorrhage={patientState.hemorrhage}
+                massiveTransfusion={patientState.massiveTransfusion}
+                temperature={patientState.temperature}
+              />
+            ) : (
+              <div className="flex items-center justify-center h-full">
+                <div className="text-center text-gray-500">Место для будущих мини-игр и подсказок</div>
+              </div>
+            ))}
           </div>
           
           {/* Правая колонка - АД, Температура и EtCO2 */}
@@ -635,6 +772,57 @@ const EnhancedPatientMonitor = ({
           isOperating={isOperating}
         />
       )}
+      
+      {showInfusionPumps && (
+        <InfusionPumpPanel
+          pumps={patientState.infusionPumps}
+          mapValue={patientState.map}
+          onCommand={onPumpCommand}
+          onClose={() => setShowInfusionPumps(false)}
+          isOperating={isOperating}
+        />
+      )}
+      
+      {showTwelveLeadECG && (
+        <TwelveLeadECG
+          recording={twelveLeadRecording}
+          onRecord={handleRecordTwelveLeadECG}
+          onClose={() => setShowTwelveLeadECG(false)}
+          isOperating={isOperating}
+        />
+      )}
+      
+      {showPacemaker && (
+        <PacemakerPanel
+          pacemaker={patientState.pacemaker}
+          heartRate={patientState.hr}
+          onCommand={onPacemakerCommand}
+          onClose={() => setShowPacemaker(false)}
+          isOperating={isOperating}
+        />
+      )}
+      
+      {showDefibrillator && (
+        <DefibrillatorPanel
+          defibrillator={patientState.defibrillator}
+          rhythm={patientState.cardiac_rhythm}
+          cardiacArrest={Boolean(patientState.cardiac_arrest)}
+          onCommand={handleDefibrillatorCommand}
+          onClose={() => setShowDefibrillator(false)}
+          isOperating={isOperating}
+        />
+      )}
+      
+      {showCPR && (
+        <CPRPanel
+          cpr={patientState.cpr}
+          cardiacArrest={Boolean(patientState.cardiac_arrest)}
+          etco2={patientState.etco2}
+          onCommand={handleCPRCommand}
+          onClose={() => setShowCPR(false)}
+          isOperating={isOperating}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,106 @@
+import React from 'react';
+import { HEMORRHAGE_CONTROLS } from '../../utils/physiological-calculations/HemorrhageModel';
+
+// Доля потерянного объема крови по классам геморрагического шока ATLS
+const SHOCK_CLASS_LABELS = {
+  1: 'I (<15%)',
+  2: 'II (15-30%)',
+  3: 'III (30-40%)',
+  4: 'IV (>40%)'
+};
+
+const SHOCK_CLASS_COLORS = {
+  1: 'text-green-400',
+  2: 'text-yellow-400',
+  3: 'text-orange-400',
+  4: 'text-red-400'
+};
+
+// Форматирование секунд в мм:сс
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Кровотечение на мониторе: источники и скорость, кровопотеря, класс шока
+ * по ATLS, летальная триада (гипотермия, лактат, коагулопатия) и протокол
+ * массивной трансфузии
+ * @param {Object} props
+ * @param {Object} props.hemorrhage - Сводка кровотечения из движка
+ * @param {Object} props.massiveTransfusion - Состояние протокола массивной трансфузии
+ * @param {number} props.temperature - Температура тела (°C)
+ */
+const HemorrhagePanel = ({ hemorrhage, massiveTransfusion, temperature }) => {
+  const shockClass = hemorrhage ? hemorrhage.shockClass : 1;
+  const triad = hemorrhage ? [
+    ['Температура', temperature !== undefined ? `${temperature.toFixed(1)} °C` : '--', temperature < 35],
+    ['Лактат шока', `+${hemorrhage.lactate} ммоль/л`, hemorrhage.lactate > 2],
+    ['Коагулопатия', `${Math.round(hemorrhage.coagulopathy * 100)}%`, hemorrhage.coagulopathy > 0.3]
+  ] : [];
+
+  let packLabel = 'не активирован';
+  if (massiveTransfusion && massiveTransfusion.packReady) {
+    packLabel = 'контейнер готов';
+  } else if (massiveTransfusion && massiveTransfusion.nextPackIn !== null) {
+    packLabel = `контейнер через ${formatTime(massiveTransfusion.nextPackIn)}`;
+  } else if (massiveTransfusion && massiveTransfusion.active) {
+    packLabel = 'активирован';
+  }
+
+  return (
+    <div className="h-full p-2 flex flex-col text-white text-xs overflow-y-auto">
+      {hemorrhage && (
+        <>
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-sm text-red-400 font-bold">
+              Кровопотеря {hemorrhage.bloodLoss} мл, {hemorrhage.rate} мл/мин
+            </span>
+            <span className={SHOCK_CLASS_COLORS[shockClass]}>Шок {SHOCK_CLASS_LABELS[shockClass]}</span>
+          </div>
+
+          <div className="mb-1 space-y-0.5">
+            {hemorrhage.sites.map(site => (
+              <div key={site.site} className="flex justify-between border-b border-gray-700 py-0.5">
+                <span className="text-gray-400">
+                  {site.name}
+                  {site.controls.length > 0 && ` (${site.controls.map(control => HEMORRHAGE_CONTROLS[control].name.toLowerCase()).join(', ')})`}
+                </span>
+                <span className={site.currentRate > 0 ? 'text-red-400' : 'text-green-400'}>{site.currentRate} мл/мин</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-3 gap-1 mb-1 text-center">
+            {triad.map(([label, value, abnormal]) => (
+              <div key={label} className="bg-gray-800 rounded p-1">
+                <div className="text-gray-400">{label}</div>
+                <div className={abnormal ? 'text-yellow-400 font-bold' : 'text-gray-200'}>{value}</div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {massiveTransfusion && (
+        <div className="mt-auto">
+          <div className="flex justify-between">
+            <span className={massiveTransfusion.active ? 'text-red-400' : 'text-gray-400'}>
+              Массивная трансфузия: {packLabel}
+            </span>
+            {massiveTransfusion.indicated && !massiveTransfusion.active && (
+              <span className="text-yellow-400 font-bold">показана</span>
+            )}
+          </div>
+          <div className="text-gray-400">
+            Контейнеров {massiveTransfusion.packsGiven}; эритроциты {massiveTransfusion.units.packed_red_cells},
+            плазма {massiveTransfusion.units.plasma}, тромбоциты {massiveTransfusion.units.platelets}
+            {massiveTransfusion.plasmaRatio !== null && `; плазма : эритроциты ${massiveTransfusion.plasmaRatio} : 1`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HemorrhagePanel;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { DRUG_LIBRARY } from '../../utils/pharmacology/drugLibrary';
+
+// Русские обозначения единиц дозирования
+const DOSE_UNIT_LABELS = { g: 'г', mg: 'мг', mcg: 'мкг', IU: 'ЕД', kg: 'кг', min: 'мин', h: 'ч', ml: 'мл' };
+
+export const formatDoseUnit = (unit = 'mg') =>
+  unit.split('/').map(part => DOSE_UNIT_LABELS[part] || part).join('/');
+
+// Лекарства, для которых есть шприц для инфузомата
+const PUMP_DRUGS = Object.entries(DRUG_LIBRARY)
+  .filter(([, drug]) => drug.syringe)
+  .map(([id, drug]) => ({ id, name: drug.name }));
+
+// Подписи состояний насоса
+const STATUS_LABELS = {
+  running: { label: 'Инфузия', color: 'text-green-400' },
+  stopped: { label: 'Остановлен', color: 'text-gray-400' },
+  empty: { label: 'Шприц пуст', color: 'text-red-400' }
+};
+
+// Форматирование оставшегося времени инфузии
+const formatRemaining = (minutes) => {
+  if (minutes === null || minutes === undefined) return '--';
+  const total = Math.floor(minutes);
+  return `${Math.floor(total / 60)} ч ${total % 60} мин`;
+};
+
+// Форматирование концентрации шприца
+const formatConcentration = (concentration) =>
+  concentration >= 1000 ? `${concentration / 1000} мг/мл` : `${concentration} мкг/мл`;
+
+// Карточка отдельного насоса
+const PumpCard = ({ pump, onCommand, isOperating }) => {
+  const [rate, setRate] = useState(pump.rate || '');
+  const [unit, setUnit] = useState(pump.rateUnit);
+  const [bolusVolume, setBolusVolume] = useState(1);
+
+  const status = STATUS_LABELS[pump.status] || STATUS_LABELS.stopped;
+  const volumePercent = Math.round((pump.volume / pump.syringeVolume) * 100);
+  const isEmpty = pump.status === 'empty';
+
+  const handleSetRate = () => {
+    const value = parseFloat(rate);
+    if (!isOperating || Number.isNaN(value)) return;
+    onCommand('setRate', pump.id, value, unit);
+  };
+
+  return (
+    <div className="bg-gray-700 p-3 rounded">
+      <div className="flex justify-between items-center">
+        <div>
+          <div className="font-medium text-white">{pump.name}</div>
+          <div className="text-xs text-gray-400">{formatConcentration(pump.concentration)}, шприц {pump.syringeVolume} мл</div>
+        </div>
+        <div className={`text-sm ${status.color}`}>{status.label}</div>
+      </div>
+
+      <div className="mt-2">
+        <div className="flex justify-between text-xs text-gray-300">
+          <span>Остаток: {pump.volume.toFixed(1)} мл</span>
+          <span>Осталось: {formatRemaining(pump.remainingMinutes)}</span>
+        </div>
+        <div className="w-full h-2 bg-gray-800 rounded mt-1">
+          <div
+            className={`h-2 rounded ${volumePercent > 20 ? 'bg-blue-500' : 'bg-red-500'}`}
+            style={{ width: `${volumePercent}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="mt-2 text-sm text-blue-400">
+        {pump.doseRate.toFixed(2)} {formatDoseUnit(pump.doseUnit)} · {pump.mlPerHour.toFixed(1)} мл/ч
+      </div>
+
+      <div className="mt-2 flex items-center space-x-1">
+        <input
+          type="number"
+          min={0}
+          step="any"
+          value={rate}
+          onChange={(e) => setRate(e.target.value)}
+          className="w-20 px-1 py-0.5 text-sm bg-gray-800 text-white rounded"
+          disabled={isEmpty}
+        />
+        <select
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          className="px-1 py-0.5 text-sm bg-gray-800 text-white rounded"
+          disabled={isEmpty}
+        >
+          {[...new Set([pump.doseUnit, 'ml/h'])].map(option => (
+            <option key={option} value={option}>{formatDoseUnit(option)}</option>
+          ))}
+        </select>
+        <button
+          className="px-2 py-0.5 text-xs bg-blue-800 hover:bg-blue-700 text-white rounded"
+          onClick={handleSetRate}
+          disabled={isEmpty}
+        >
+          {pump.status === 'running' ? 'Изменить' : 'Старт'}
+        </button>
+        <button
+          className="px-2 py-0.5 text-xs bg-gray-600 hover:bg-gray-500 text-white rounded"
+          onClick={() => isOperating && onCommand('stop', pump.id)}
+          disabled={pump.status !== 'running'}
+        >
+          Стоп
+        </button>
+      </div>
+
+      <div className="mt-2 flex items-center space-x-1">
+        <input
+          type="number"
+          min={0}
+          step="any"
+          value={bolusVolume}
+          onChange={(e) => setBolusVolume(e.target.value)}
+          className="w-20 px-1 py-0.5 text-sm bg-gray-800 text-white rounded"
+          disabled={isEmpty}
+        />
+        <span className="text-xs text-gray-300">мл</span>
+        <button
+          className="px-2 py-0.5 text-xs bg-gray-600 hover:bg-gray-500 text-white rounded"
+          onClick={() => isOperating && onCommand('bolus', pump.id, parseFloat(bolusVolume))}
+          disabled={isEmpty}
+        >
+          Болюс
+        </button>
+        <div className="flex-1" />
+        {isEmpty && (
+          <button
+            className="px-2 py-0.5 text-xs bg-yellow-700 hover:bg-yellow-600 text-white rounded"
+            onClick={() => isOperating && onCommand('replaceSyringe', pump.id)}
+          >
+            Заменить шприц
+          </button>
+        )}
+        <button
+          className="px-2 py-0.5 text-xs bg-red-800 hover:bg-red-700 text-white rounded"
+          onClick={() => isOperating && onCommand('remove', pump.id)}
+        >
+          Снять
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Панель инфузоматов для титрования инфузий
+ * @param {Object} props
+ * @param {Array} props.pumps - Инфузоматы из состояния движка
+ * @param {number} props.mapValue - Текущее среднее артериальное давление
+ * @param {Function} props.onCommand - Функция управления инфузоматами (команда, ...параметры)
+ * @param {Function} props.onClose - Функция закрытия панели
+ * @param {boolean} props.isOperating - Флаг активности операции
+ */
+const InfusionPumpPanel = ({ pumps = [], mapValue, onCommand, onClose, isOperating }) => {
+  const [selectedDrug, setSelectedDrug] = useState(PUMP_DRUGS[0] ? PUMP_DRUGS[0].id : '');
+  const [targetMap, setTargetMap] = useState(65);
+
+  const isOnTarget = typeof mapValue === 'number' && mapValue >= targetMap;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-3xl">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl text-white font-bold">Инфузоматы</h2>
+          <button
+            className="text-gray-400 hover:text-white"
+            onClick={onClose}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="mb-4 flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <select
+              value={selectedDrug}
+              onChange={(e) => setSelectedDrug(e.target.value)}
+              className="px-2 py-1 bg-gray-700 text-white rounded"
+            >
+              {PUMP_DRUGS.map(drug => (
+                <option key={drug.id} value={drug.id}>{drug.name}</option>
+              ))}
+            </select>
+            <button
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-500 text-white rounded"
+              onClick={() => isOperating && onCommand('add', selectedDrug)}
+            >
+              Установить шприц
+            </button>
+          </div>
+
+          <div className="flex items-center space-x-2 text-sm">
+            <span className="text-gray-300">Цель СрАД ≥</span>
+            <input
+              type="number"
+              value={targetMap}
+              onChange={(e) => setTargetMap(parseFloat(e.target.value) || 0)}
+              className="w-14 px-1 py-0.5 bg-gray-700 text-white rounded"
+            />
+            <span className={`text-lg font-bold ${isOnTarget ? 'text-green-400' : 'text-red-400'}`}>
+              {typeof mapValue === 'number' ? mapValue : '--'}
+            </span>
+            <span className="text-gray-400">мм рт.ст.</span>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 max-h-96 overflow-y-auto">
+          {pumps.length === 0 ? (
+            <div className="text-center text-gray-500 md:col-span-2">Нет установленных инфузоматов</div>
+          ) : (
+            pumps.map(pump => (
+              <PumpCard key={pump.id} pump={pump} onCommand={onCommand} isOperating={isOperating} />
+            ))
+          )}
+        </div>
+
+        {!isOperating && (
+          <div className="mt-4 text-yellow-500 text-sm text-center">
+            Для управления инфузоматами необходимо начать операцию
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            onClick={onClose}
+          >
+            Закрыть
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InfusionPumpPanel;
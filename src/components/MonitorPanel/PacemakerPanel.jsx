@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { PACEMAKER_TYPES, PACING_MODES } from '../../core/PacemakerModule';
+
+// Подписи типов стимуляции
+const TYPE_LABELS = {
+  transcutaneous: 'Чрескожная',
+  transvenous: 'Трансвенозная'
+};
+
+// Подписи режимов стимуляции
+const MODE_LABELS = {
+  demand: 'По требованию',
+  fixed: 'Фиксированный',
+  VVI: 'VVI',
+  DDD: 'DDD'
+};
+
+// Неисправности электрода, которые может задать инструктор
+const FAULT_LABELS = {
+  capture: 'Потеря захвата',
+  sensing: 'Нарушение восприятия'
+};
+
+// Индикатор работы стимулятора
+const StatusIndicator = ({ label, active, activeColor = 'bg-green-500' }) => (
+  <div className="flex items-center space-x-1">
+    <span className={`inline-block w-2 h-2 rounded-full ${active ? activeColor : 'bg-gray-600'}`} />
+    <span className={`text-xs ${active ? 'text-white' : 'text-gray-500'}`}>{label}</span>
+  </div>
+);
+
+// Числовая настройка стимулятора
+const SettingInput = ({ label, unit, value, onChange, min, max, step = 1 }) => (
+  <label className="flex flex-col text-xs text-gray-300">
+    <span>{label}</span>
+    <div className="flex items-center space-x-1 mt-1">
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-20 px-1 py-0.5 text-sm bg-gray-800 text-white rounded"
+      />
+      <span className="text-gray-400">{unit}</span>
+    </div>
+  </label>
+);
+
+/**
+ * Панель временного электрокардиостимулятора
+ * @param {Object} props
+ * @param {Object} props.pacemaker - Состояние стимулятора из движка
+ * @param {number} props.heartRate - Текущая ЧСС
+ * @param {Function} props.onCommand - Функция управления стимулятором ('settings' или 'fault', ...параметры)
+ * @param {Function} props.onClose - Функция закрытия панели
+ * @param {boolean} props.isOperating - Флаг активности операции
+ */
+const PacemakerPanel = ({ pacemaker, heartRate, onCommand, onClose, isOperating }) => {
+  const [rate, setRate] = useState(pacemaker ? pacemaker.rate : 70);
+  const [output, setOutput] = useState(pacemaker ? pacemaker.output : 0);
+  const [sensitivity, setSensitivity] = useState(pacemaker ? pacemaker.sensitivity : 0.5);
+
+  if (!pacemaker) return null;
+
+  const modes = Object.keys(PACING_MODES).filter(mode => PACING_MODES[mode].types.includes(pacemaker.type));
+
+  // Смена электрода: движок подставляет настройки по умолчанию для нового типа
+  const handleTypeChange = (value) => {
+    if (!isOperating) return;
+    const { defaults } = PACEMAKER_TYPES[value];
+    onCommand('settings', { type: value, enabled: false });
+    setRate(defaults.rate);
+    setOutput(defaults.output);
+    setSensitivity(defaults.sensitivity);
+  };
+
+  const handleApply = () => {
+    if (!isOperating) return;
+    onCommand('settings', {
+      rate: parseFloat(rate),
+      output: parseFloat(output),
+      sensitivity: parseFloat(sensitivity)
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-xl">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl text-white font-bold">Кардиостимулятор</h2>
+          <button
+            className="text-gray-400 hover:text-white"
+            onClick={onClose}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <select
+              value={pacemaker.type}
+              onChange={(e) => handleTypeChange(e.target.value)}
+              className="px-2 py-1 bg-gray-700 text-white rounded"
+            >
+              {Object.keys(PACEMAKER_TYPES).map(id => (
+                <option key={id} value={id}>{TYPE_LABELS[id]}</option>
+              ))}
+            </select>
+            <select
+              value={pacemaker.mode}
+              onChange={(e) => isOperating && onCommand('settings', { mode: e.target.value })}
+              className="px-2 py-1 bg-gray-700 text-white rounded"
+            >
+              {modes.map(mode => (
+                <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            className={`px-3 py-1 text-white rounded ${pacemaker.enabled ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'}`}
+            onClick={() => isOperating && onCommand('settings', { enabled: !pacemaker.enabled })}
+          >
+            {pacemaker.enabled ? 'Выключить' : 'Включить'}
+          </button>
+        </div>
+
+        <div className="bg-gray-700 p-3 rounded mb-4">
+          <div className="flex items-end space-x-3">
+            <SettingInput label="Частота" unit="имп/мин" value={rate} onChange={setRate} min={30} max={180} />
+            <SettingInput label="Ток" unit="мА" value={output} onChange={setOutput} min={0} max={pacemaker.maxOutput} />
+            <SettingInput label="Чувствительность" unit="мВ" value={sensitivity} onChange={setSensitivity} min={0.5} max={20} step={0.5} />
+            <button
+              className="px-3 py-1 text-sm bg-blue-800 hover:bg-blue-700 text-white rounded"
+              onClick={handleApply}
+            >
+              Применить
+            </button>
+          </div>
+          <div className="mt-2 text-xs text-gray-400">
+            {pacemaker.rate} имп/мин · {pacemaker.output} мА · {pacemaker.sensitivity} мВ
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex space-x-4">
+            <StatusIndicator label="Стимуляция" active={pacemaker.pacing} activeColor="bg-yellow-400" />
+            <StatusIndicator label="Восприятие" active={pacemaker.enabled && pacemaker.sensing} />
+            <StatusIndicator label="Захват" active={pacemaker.capture} />
+            <StatusIndicator label="Пульс" active={pacemaker.mechanicalCapture} />
+          </div>
+          <div className="text-sm text-gray-300">
+            ЧСС <span className="text-lg font-bold text-green-400">{typeof heartRate === 'number' ? heartRate : '--'}</span>
+          </div>
+        </div>
+
+        <div className="border-t border-gray-700 pt-3">
+          <div className="flex justify-between items-center text-xs text-gray-400 mb-2">
+            <span>Инструктор</span>
+            <span>Порог захвата: {Math.round(pacemaker.captureThreshold * 10) / 10} мА</span>
+          </div>
+          <div className="flex space-x-2">
+            {Object.entries(FAULT_LABELS).map(([fault, label]) => (
+              <button
+                key={fault}
+                className={`px-2 py-0.5 text-xs text-white rounded ${pacemaker.faults[fault] ? 'bg-yellow-700 hover:bg-yellow-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                onClick={() => isOperating && onCommand('fault', fault, !pacemaker.faults[fault])}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {!isOperating && (
+          <div className="mt-4 text-yellow-500 text-sm text-center">
+            Для управления стимулятором необходимо начать операцию
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            onClick={onClose}
+          >
+            Закрыть
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PacemakerPanel;
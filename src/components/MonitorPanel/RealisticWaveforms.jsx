@@ -1,4 +1,7 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
+import ArterialLineGenerator from '../../utils/waveform-generators/ArterialLineGenerator';
+import CVPGenerator from '../../utils/waveform-generators/CVPGenerator';
+import PulmonaryArteryGenerator from '../../utils/waveform-generators/PulmonaryArteryGenerator';
 
 // Цвета графиков
 const COLORS = {
@@ -6,13 +9,19 @@ const COLORS = {
   resp: '#FFFF22',   // Желтый для дыхания
   spo2: '#22FFFF',   // Голубой для SpO2
   bp: '#FFFFFF',     // Белый для АД
+  cvp: '#3399FF',    // Синий для ЦВД
+  pap: '#FFCC00',    // Оранжево-желтый для давления в легочной артерии
   grid: '#333333',   // Темно-серый для сетки
   gridMajor: '#444444', // Более заметные линии основной сетки
   text: '#999999',   // Серый для текста
   background: '#000000', // Черный фон
   sweepLine: 'rgba(0, 0, 0, 0.9)', // Цвет линии развертки
+  syncMarker: '#FFFFFF', // Белый для меток синхронизации дефибриллятора
 };
 
+// Уровень сигнала, выше которого вершина считается R-зубцом
+const R_WAVE_THRESHOLD = 0.5;
+
 // Константы для генерации волн (без изменений)
 const ECG_WAVE_CONSTANTS = {
   Q_WIDTH: 0.02,  // 20 мс
@@ -27,6 +36,29 @@ const ECG_WAVE_CONSTANTS = {
   T_AMP: 0.3,     // 30% от R
 };
 
+// Генераторы кривых инвазивного давления и шкалы каналов (мм рт.ст.):
+// нижняя граница шкалы рисуется внизу графика, верхняя - вверху
+const PRESSURE_CHANNELS = {
+  bp: { Generator: ArterialLineGenerator, min: 0, max: 160 },
+  cvp: { Generator: CVPGenerator, min: 0, max: 20 },
+  pap: { Generator: PulmonaryArteryGenerator, min: 0, max: 40 },
+};
+
+// Артефакт компрессий грудной клетки: амплитуда на 1 см глубины
+// и доля цикла компрессии, занятая надавливанием
+const COMPRESSION_ARTIFACT = {
+  GAIN: 0.12,
+  DOWNSTROKE: 0.5,
+};
+
+// Шум сигнала как функция времени: одно и то же время дает одно и то же
+// значение, поэтому кривая повторяется между запусками и при воспроизведении
+// записи. channel разводит шум разных графиков
+const signalNoise = (t, amplitude, channel = 0) => {
+  const hash = Math.sin(t * 12.9898 + channel * 78.233) * 43758.5453;
+  return (hash - Math.floor(hash) - 0.5) * amplitude;
+};
+
 // Функция для отрисовки сетки с улучшенными метками
 const drawGrid = (ctx, w, h) => {
   // Сетка из крупных квадратов (1 секунда x 0.5 мВ)
@@ -140,6 +172,9 @@ const RealisticWaveforms = ({
   graphType = 'ecg',
   width,
   height = 100,
+  playbackRate = 1, // Множитель скорости развертки (воспроизведение записи)
+  isPaused = false, // Пауза: график остается на экране, развертка не движется
+  syncMarkers = false, // Метки синхронизации дефибриллятора над R-зубцами
 }) => {
   const canvasRef = useRef(null);
   const offscreenCanvasRef = useRef(null); // Для двойной буферизации
@@ -149,6 +184,7 @@ const RealisticWaveforms = ({
   const lastFrameTimeRef = useRef(0);
   const sweepLineRef = useRef(0); // Позиция линии развертки
   const lastPerformanceUpdateRef = useRef(0); // Для адаптивного FPS
+  const pressureGeneratorRef = useRef(null); // Генератор кривой инвазивного давления
   
   // Определяем тип графика и цвет
   const getWaveColor = useCallback(() => {
@@ -156,6 +192,8 @@ const RealisticWaveforms = ({
       case 'resp': return COLORS.resp;
       case 'spo2': return COLORS.spo2;
       case 'bp': return COLORS.bp;
+      case 'cvp': return COLORS.cvp;
+      case 'pap': return COLORS.pap;
       case 'ecg':
       default: return COLORS.ecg;
     }
@@ -166,8 +204,8 @@ const RealisticWaveforms = ({
     const cycleDuration = 60 / heartRate; // Длительность цикла в секундах
     const phase = (t % cycleDuration) / cycleDuration; // Фаза в цикле (0-1)
     
-    // Добавление небольшого случайного шума (физиологические вариации)
-    const noise = (Math.random() - 0.5) * 0.03;
+    // Добавление небольшого шума (физиологические вариации)
+    const noise = signalNoise(t, 0.03, 0);
     
     // Добавляем небольшой тремор для реализма
     const tremor = Math.sin(t * 50) * 0.01;
@@ -215,8 +253,8 @@ const RealisticWaveforms = ({
     // Разделяем цикл на вдох (более быстрый) и выдох
     const inspirationRatio = 0.4; // Соотношение вдоха ко всему циклу
     
-    // Добавление небольшого случайного шума
-    const noise = (Math.random() - 0.5) * 0.05;
+    // Добавление небольшого шума
+    const noise = signalNoise(t, 0.05, 1);
     
     // Вдох (восходящая часть кривой)
     if (phase < inspirationRatio) {
@@ -234,8 +272,8 @@ const RealisticWaveforms = ({
     const cycleDuration = 60 / heartRate; // Длительность цикла в секундах
     const phase = (t % cycleDuration) / cycleDuration; // Фаза в цикле (0-1)
     
-    // Добавление небольшого случайного шума
-    const noise = (Math.random() - 0.5) * 0.03;
+    // Добавление небольшого шума
+    const noise = signalNoise(t, 0.03, 2);
     
     // Модификация амплитуды в зависимости от уровня оксигенации
     const amplitudeModifier = oxygenation > 90 ? 1 : (oxygenation / 100);
@@ -258,20 +296,56 @@ const RealisticWaveforms = ({
     }
   }, []);
   
-  // Генерация точки для типа графика (без изменений)
+  // Артефакт компрессий грудной клетки на ЭКГ: широкое отклонение при
+  // надавливании и меньшее обратное при расправлении
+  const generateCompressionArtifact = useCallback((t, cpr) => {
+    const phase = (t * cpr.rate / 60) % 1;
+    const amplitude = COMPRESSION_ARTIFACT.GAIN * cpr.depth;
+    
+    if (phase < COMPRESSION_ARTIFACT.DOWNSTROKE) {
+      return amplitude * Math.sin(Math.PI * phase / COMPRESSION_ARTIFACT.DOWNSTROKE);
+    }
+    return -0.3 * amplitude * Math.sin(Math.PI * (phase - COMPRESSION_ARTIFACT.DOWNSTROKE) / (1 - COMPRESSION_ARTIFACT.DOWNSTROKE));
+  }, []);
+  
+  // Кривая инвазивного давления, приведенная к шкале канала (-1..1)
+  const generatePressureSignal = useCallback((t, vitalData) => {
+    const channel = PRESSURE_CHANNELS[graphType];
+    if (!pressureGeneratorRef.current || pressureGeneratorRef.current.type !== graphType) {
+      pressureGeneratorRef.current = { type: graphType, generator: new channel.Generator() };
+    }
+    
+    const { generator } = pressureGeneratorRef.current;
+    generator.applyPatientState(vitalData);
+    const pressure = generator.getPressureAt(t);
+    return 2 * (pressure - channel.min) / (channel.max - channel.min) - 1;
+  }, [graphType]);
+  
+  // Генерация точки для типа графика
   const generateWaveformPoint = useCallback((t, vitalData) => {
     if (!vitalData) return 0;
     
+    // Идущие компрессии грудной клетки
+    const compressions = vitalData.cpr && vitalData.cpr.delivering && vitalData.cpr.rate > 0 ? vitalData.cpr : null;
+    
     switch (graphType) {
       case 'resp':
         return generateRespSignal(t, vitalData.rr || 14);
+      case 'bp':
+      case 'cvp':
+      case 'pap':
+        return generatePressureSignal(t, vitalData);
       case 'spo2':
+        // При остановке кровообращения пульсовую волну создают компрессии
+        if (compressions && vitalData.cardiac_arrest) {
+          return generateSpO2Signal(t, compressions.rate, vitalData.spo2 || 98) * Math.max(0.1, compressions.quality * 0.7);
+        }
         return generateSpO2Signal(t, vitalData.hr || 72, vitalData.spo2 || 98);
       case 'ecg':
       default:
-        return generateECGSignal(t, vitalData.hr || 72);
+        return generateECGSignal(t, vitalData.hr || 72) + (compressions ? generateCompressionArtifact(t, compressions) : 0);
     }
-  }, [graphType, generateECGSignal, generateRespSignal, generateSpO2Signal]);
+  }, [graphType, generateECGSignal, generateRespSignal, generateSpO2Signal, generatePressureSignal, generateCompressionArtifact]);
   
   // Функция для создания gradient afterglow эффекта
   const createAfterglow = useCallback((ctx, w, h, sweepX) => {
@@ -334,8 +408,8 @@ const RealisticWaveforms = ({
     // Предыдущая позиция
     const prevPosition = sweepLineRef.current;
     
-    // Скорость прокрутки (пройти весь экран за 18 секунд)
-    const speed = w / (18 * 60); // 60fps
+    // Скорость прокрутки (пройти весь экран за 18 секунд) с учетом скорости воспроизведения
+    const speed = (w / (18 * 60)) * playbackRate; // 60fps
     
     // Новая позиция с циклическим возвратом
     const newPosition = (prevPosition + speed) % w;
@@ -346,16 +420,19 @@ const RealisticWaveforms = ({
       const bufferSize = dataBufferRef.current.size;
       const pixelsPerPoint = w / bufferSize;
       
-      // Находим индекс, соответствующий текущей позиции
+      // Находим индексы, соответствующие предыдущей и текущей позиции
+      const prevIndex = Math.floor(prevPosition / pixelsPerPoint) % bufferSize;
       const index = Math.floor(newPosition / pixelsPerPoint) % bufferSize;
       
-      // Обновляем только одну точку для повышения производительности
-      if (index >= 0 && index < bufferSize) {
-        const newPoint = generateWaveformPoint(time, vitalSigns);
-        dataBufferRef.current.update(bufferSize - index - 1, newPoint);
+      // При ускоренной развертке за кадр проходится несколько точек - обновляем все
+      const pointsToUpdate = Math.max(1, (index - prevIndex + bufferSize) % bufferSize);
+      for (let i = pointsToUpdate - 1; i >= 0; i--) {
+        const pointIndex = (index - i + bufferSize) % bufferSize;
+        const newPoint = generateWaveformPoint(time - i * 0.01 * playbackRate, vitalSigns);
+        dataBufferRef.current.update(bufferSize - pointIndex - 1, newPoint);
       }
     }
-  }, [time, generateWaveformPoint, vitalSigns]);
+  }, [time, generateWaveformPoint, vitalSigns, playbackRate]);
   
   // Функция для отрисовки графика (оптимизирована)
   const drawWaveform = useCallback(() => {
@@ -422,6 +499,24 @@ const RealisticWaveforms = ({
       
       ctx.stroke();
       
+      // Метки синхронизации над вершинами R-зубцов
+      if (syncMarkers && graphType === 'ecg') {
+        ctx.fillStyle = COLORS.syncMarker;
+        for (let i = 1; i < dataPoints.length - 1; i++) {
+          const value = dataPoints[i];
+          if (value > R_WAVE_THRESHOLD && value >= dataPoints[i - 1] && value > dataPoints[i + 1]) {
+            const x = i * pointDistance;
+            const y = h / 2 - value * h * 0.4 - 4;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x - 4, y - 6);
+            ctx.lineTo(x + 4, y - 6);
+            ctx.closePath();
+            ctx.fill();
+          }
+        }
+      }
+      
       // Рисуем вертикальную линию развертки
       drawSweepLine(ctx, w, h);
     }
@@ -429,7 +524,7 @@ const RealisticWaveforms = ({
     // Копируем на основной холст для устранения мерцания
     const mainCtx = canvas.getContext('2d');
     mainCtx.drawImage(offscreen, 0, 0);
-  }, [getWaveColor, isOperating, drawSweepLine, createAfterglow]);
+  }, [getWaveColor, isOperating, drawSweepLine, createAfterglow, syncMarkers, graphType]);
   
   // Отрисовка статической линии (когда монитор не активен)
   const drawStaticLine = useCallback(() => {
@@ -542,8 +637,15 @@ const RealisticWaveforms = ({
       // Обновляем время последнего кадра
       lastFrameTimeRef.current = timestamp;
       
+      // На паузе только перерисовываем неподвижный график
+      if (isPaused) {
+        drawWaveform();
+        animationRef.current = requestAnimationFrame(updateAndDraw);
+        return;
+      }
+      
       // Плавное увеличение времени для генерации данных
-      setTime(prevTime => prevTime + elapsed / 1000);
+      setTime(prevTime => prevTime + (elapsed / 1000) * playbackRate);
       
       // Обновляем позицию линии развертки
       const canvas = canvasRef.current;
@@ -583,7 +685,7 @@ const RealisticWaveforms = ({
         animationRef.current = null;
       }
     };
-  }, [isOperating, vitalSigns, drawWaveform, drawStaticLine, updateSweepLine, width]);
+  }, [isOperating, isPaused, playbackRate, vitalSigns, drawWaveform, drawStaticLine, updateSweepLine, width]);
   
   // Обработка изменения размера canvas и window resize
   useEffect(() => {
@@ -0,0 +1,198 @@
+import React, { useRef } from 'react';
+
+// Стандартная скорость записи и усиление
+const PAPER_SPEED = 25; // мм/с
+const GAIN = 10; // мм/мВ
+
+// Расположение отведений 3×4 (по 2,5 секунды на столбец) и ритмограмма II
+const LEAD_LAYOUT = [
+  ['I', 'aVR', 'V1', 'V4'],
+  ['II', 'aVL', 'V2', 'V5'],
+  ['III', 'aVF', 'V3', 'V6']
+];
+const RHYTHM_STRIP_LEAD = 'II';
+
+const ROW_HEIGHT = 30; // мм на строку (±1,5 мВ)
+const CALIBRATION_WIDTH = 8; // мм под калибровочный импульс 1 мВ
+
+// Названия ритмов генератора ЭКГ
+const RHYTHM_LABELS = {
+  normalSinus: 'Синусовый ритм',
+  sinusBradycardia: 'Синусовая брадикардия',
+  sinusTachycardia: 'Синусовая тахикардия',
+  atrialFibrillation: 'Фибрилляция предсердий',
+  atrialFlutter: 'Трепетание предсердий',
+  ventricularTachycardia: 'Желудочковая тахикардия',
+  ventricularFibrillation: 'Фибрилляция желудочков',
+  asystole: 'Асистолия',
+  firstDegreeBlock: 'АВ-блокада I степени',
+  secondDegreeBlockType1: 'АВ-блокада II степени (Мобитц I)',
+  secondDegreeBlockType2: 'АВ-блокада II степени (Мобитц II)',
+  thirdDegreeBlock: 'АВ-блокада III степени',
+  prematureVentricularContraction: 'Желудочковая экстрасистолия',
+  prematureAtrialContraction: 'Предсердная экстрасистолия',
+  paced: 'Ритм кардиостимулятора'
+};
+
+// Форматирование времени симуляции в мм:сс
+const formatTime = (seconds = 0) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Ломаная кривой отведения на бумаге в миллиметрах
+const buildTracePath = (samples, sampleRate, x0, baseline) =>
+  samples
+    .map((value, i) => `${i === 0 ? 'M' : 'L'}${(x0 + (i / sampleRate) * PAPER_SPEED).toFixed(2)},${(baseline - value * GAIN).toFixed(2)}`)
+    .join(' ');
+
+// Калибровочный импульс 1 мВ в начале строки
+const buildCalibrationPath = (baseline) =>
+  `M1,${baseline} L2,${baseline} L2,${baseline - GAIN} L7,${baseline - GAIN} L7,${baseline} L${CALIBRATION_WIDTH},${baseline}`;
+
+/**
+ * Распечатываемая ЭКГ в 12 отведениях на миллиметровой сетке
+ * @param {Object} props
+ * @param {Object} props.recording - Запись engine.recordTwelveLeadECG()
+ * @param {Function} props.onRecord - Снять новую запись
+ * @param {Function} props.onClose - Закрыть окно
+ * @param {boolean} props.isOperating - Идет ли симуляция
+ */
+const TwelveLeadECG = ({ recording, onRecord, onClose, isOperating = true }) => {
+  const svgRef = useRef(null);
+
+  const { sampleRate = 250, duration = 10, leads = {}, rhythm, hr, time } = recording || {};
+  const columnDuration = duration / LEAD_LAYOUT[0].length;
+  const columnSamples = Math.floor(columnDuration * sampleRate);
+  const paperWidth = CALIBRATION_WIDTH + duration * PAPER_SPEED;
+  const paperHeight = ROW_HEIGHT * (LEAD_LAYOUT.length + 1);
+
+  const title = `${RHYTHM_LABELS[rhythm] || rhythm || '--'}, ЧСС ${hr ?? '--'} уд/мин`;
+  const subtitle = `Время записи ${formatTime(time)} · ${PAPER_SPEED} мм/с · ${GAIN} мм/мВ`;
+
+  // Печать в отдельном окне: только сетка с кривыми и подписи
+  const handlePrint = () => {
+    if (!svgRef.current) return;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<title>ЭКГ в 12 отведениях</title>
+<style>
+@page { size: landscape; margin: 10mm; }
+body { margin: 0; font-family: sans-serif; font-size: 12px; }
+svg { width: ${paperWidth}mm; height: ${paperHeight}mm; }
+</style>
+</head>
+<body>
+<div><b>${title}</b></div>
+<div>${subtitle}</div>
+${svgRef.current.outerHTML}
+</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-6xl">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl text-white font-bold">ЭКГ в 12 отведениях</h2>
+          <div className="flex items-center space-x-2">
+            <button
+              className={`px-3 py-1 text-sm rounded ${isOperating ? 'bg-blue-700 hover:bg-blue-600 text-white' : 'bg-gray-700 text-gray-500 cursor-not-allowed'}`}
+              onClick={onRecord}
+              disabled={!isOperating}
+            >
+              Снять заново
+            </button>
+            <button
+              className={`px-3 py-1 text-sm rounded ${recording ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-700 text-gray-500 cursor-not-allowed'}`}
+              onClick={handlePrint}
+              disabled={!recording}
+            >
+              Печать
+            </button>
+            <button
+              className="text-gray-400 hover:text-white"
+              onClick={onClose}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {!recording ? (
+          <div className="text-center text-gray-500 py-12">
+            Нет записи ЭКГ. Запись доступна во время симуляции.
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-between text-sm text-gray-300 mb-2">
+              <span>{title}</span>
+              <span>{subtitle}</span>
+            </div>
+            <svg
+              ref={svgRef}
+              xmlns="http://www.w3.org/2000/svg"
+              viewBox={`0 0 ${paperWidth} ${paperHeight}`}
+              className="w-full h-auto bg-white rounded"
+            >
+              <defs>
+                <pattern id="ecg-grid-small" width="1" height="1" patternUnits="userSpaceOnUse">
+                  <path d="M1,0 L0,0 L0,1" fill="none" stroke="#fbcfe8" strokeWidth="0.05" />
+                </pattern>
+                <pattern id="ecg-grid-large" width="5" height="5" patternUnits="userSpaceOnUse">
+                  <rect width="5" height="5" fill="url(#ecg-grid-small)" />
+                  <path d="M5,0 L0,0 L0,5" fill="none" stroke="#f472b6" strokeWidth="0.12" />
+                </pattern>
+              </defs>
+              <rect width={paperWidth} height={paperHeight} fill="#ffffff" />
+              <rect width={paperWidth} height={paperHeight} fill="url(#ecg-grid-large)" />
+
+              {LEAD_LAYOUT.map((row, rowIndex) => {
+                const baseline = ROW_HEIGHT * (rowIndex + 0.5);
+                return (
+                  <g key={rowIndex}>
+                    <path d={buildCalibrationPath(baseline)} fill="none" stroke="#000000" strokeWidth="0.25" />
+                    {row.map((lead, columnIndex) => {
+                      const x0 = CALIBRATION_WIDTH + columnIndex * columnDuration * PAPER_SPEED;
+                      const samples = (leads[lead] || []).slice(columnIndex * columnSamples, (columnIndex + 1) * columnSamples);
+                      return (
+                        <g key={lead}>
+                          <path d={buildTracePath(samples, sampleRate, x0, baseline)} fill="none" stroke="#000000" strokeWidth="0.25" />
+                          {columnIndex > 0 && (
+                            <line x1={x0} y1={baseline - 4} x2={x0} y2={baseline + 4} stroke="#000000" strokeWidth="0.25" />
+                          )}
+                          <text x={x0 + 1} y={baseline - ROW_HEIGHT / 2 + 4} fontSize="3" fill="#000000">{lead}</text>
+                        </g>
+                      );
+                    })}
+                  </g>
+                );
+              })}
+
+              {(() => {
+                const baseline = ROW_HEIGHT * (LEAD_LAYOUT.length + 0.5);
+                return (
+                  <g>
+                    <path d={buildCalibrationPath(baseline)} fill="none" stroke="#000000" strokeWidth="0.25" />
+                    <path d={buildTracePath(leads[RHYTHM_STRIP_LEAD] || [], sampleRate, CALIBRATION_WIDTH, baseline)} fill="none" stroke="#000000" strokeWidth="0.25" />
+                    <text x={CALIBRATION_WIDTH + 1} y={baseline - ROW_HEIGHT / 2 + 4} fontSize="3" fill="#000000">{RHYTHM_STRIP_LEAD}</text>
+                  </g>
+                );
+              })()}
+            </svg>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwelveLeadECG;
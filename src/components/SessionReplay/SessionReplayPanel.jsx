@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Доступные скорости воспроизведения
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 10];
+
+// Названия записей журнала для отображения
+const ENTRY_LABELS = {
+  applyMedication: 'Лекарство',
+  startInfusion: 'Инфузия',
+  setInfusionRate: 'Скорость инфузии',
+  stopInfusion: 'Остановка инфузии',
+  addInfusionPump: 'Установка инфузомата',
+  setPumpRate: 'Скорость инфузомата',
+  stopInfusionPump: 'Остановка инфузомата',
+  pumpBolus: 'Болюс из инфузомата',
+  replacePumpSyringe: 'Замена шприца',
+  removeInfusionPump: 'Снятие инфузомата',
+  applyScenario: 'Сценарий',
+  intubate: 'Интубация',
+  setVentilatorSettings: 'Настройки ИВЛ',
+  setVentilatorAlarmLimits: 'Пределы тревог ИВЛ',
+  setVentilatorFault: 'Неисправность ИВЛ',
+  silenceVentilatorAlarms: 'Звук тревог ИВЛ отключен',
+  acknowledgeVentilatorAlarms: 'Тревоги ИВЛ подтверждены',
+  startCPR: 'Начало СЛР',
+  stopCPR: 'Остановка СЛР',
+  setCPRSettings: 'Настройки СЛР',
+  defibrillate: 'Дефибрилляция',
+  recordTwelveLeadECG: 'ЭКГ в 12 отведениях',
+  startMyocardialInfarction: 'Острый коронарный синдром',
+  reperfuseMyocardium: 'Реперфузия миокарда',
+  setPacemakerSettings: 'Настройки кардиостимулятора',
+  setPacemakerFault: 'Неисправность кардиостимулятора',
+  setCardiacRhythm: 'Смена ритма',
+  setDefibrillatorSettings: 'Настройки дефибриллятора',
+  chargeDefibrillator: 'Заряд дефибриллятора',
+  disarmDefibrillator: 'Сброс заряда дефибриллятора',
+  orderLabs: 'Назначение анализов',
+  setLabTurnaround: 'Время выполнения анализа',
+  setParameter: 'Изменение параметра',
+  setFactor: 'Изменение фактора',
+  eventStarted: 'Событие',
+  eventEnded: 'Событие завершено',
+  complicationStarted: 'Осложнение',
+  complicationProgressed: 'Прогрессирование',
+  complicationEnded: 'Осложнение завершено',
+  alarmTriggered: 'Тревога',
+  alarmResolved: 'Тревога снята',
+  medicationWarning: 'Предупреждение',
+  aclsPrompt: 'ACLS',
+  labResultsReady: 'Готов анализ'
+};
+
+// Цвета типов записей
+const ENTRY_COLORS = {
+  action: 'text-blue-400',
+  event: 'text-yellow-400',
+  alarm: 'text-red-400'
+};
+
+// Форматирование времени симуляции в мм:сс
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
+
+// Краткое описание записи журнала
+const describeEntry = (entry) => {
+  const data = entry.data || {};
+
+  switch (entry.type) {
+    case 'action': {
+      const params = Object.values(data.params || {})
+        .map(value => (Array.isArray(value) ? value.join(' ') : value))
+        .filter(value => typeof value !== 'object')
+        .join(', ');
+      return params ? `${ENTRY_LABELS[entry.name] || entry.name}: ${params}` : (ENTRY_LABELS[entry.name] || entry.name);
+    }
+    case 'alarm':
+      return `${ENTRY_LABELS[entry.name] || entry.name}: ${data.message || data.parameter || ''}`;
+    case 'event':
+    default:
+      return `${ENTRY_LABELS[entry.name] || entry.name}: ${data.name || data.message || ''}`;
+  }
+};
+
+/**
+ * Панель управления воспроизведением записанной сессии
+ * @param {Object} props
+ * @param {Object} props.player - Экземпляр SessionPlayer
+ * @param {Object} props.playbackStatus - Текущее состояние воспроизведения
+ * @param {Function} props.onLoadLog - Функция загрузки журнала из файла
+ * @param {Function} props.onExit - Функция выхода из режима разбора
+ */
+const SessionReplayPanel = ({ player, playbackStatus, onLoadLog, onExit }) => {
+  const [entries, setEntries] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const { isPlaying = false, currentTime = 0, duration = 0, speed = 1 } = playbackStatus || {};
+
+  // Обновляем список записей, произошедших до текущего момента
+  useEffect(() => {
+    if (!player) return;
+    setEntries(player.getEntries(-1, currentTime, ['action', 'event', 'alarm']).reverse());
+  }, [player, currentTime]);
+
+  // Сохранение журнала в файл JSON
+  const handleSave = () => {
+    if (!player || !player.log) return;
+
+    const blob = new Blob([JSON.stringify(player.log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${(player.log.metadata.startedAt || 'log').replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Загрузка журнала из файла
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => onLoadLog(reader.result);
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const hasLog = Boolean(player && player.log);
+
+  return (
+    <div className="flex flex-col h-full p-2 text-white">
+      <div className="flex justify-between items-center mb-2">
+        <div className="text-sm text-blue-400">Разбор сессии</div>
+        <div className="flex space-x-1">
+          <button
+            className="px-2 py-0.5 text-xs bg-gray-700 hover:bg-gray-600 rounded"
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          >
+            Открыть
+          </button>
+          <button
+            className={`px-2 py-0.5 text-xs rounded ${hasLog ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-800 text-gray-500 cursor-not-allowed'}`}
+            onClick={handleSave}
+            disabled={!hasLog}
+          >
+            Сохранить
+          </button>
+          <button
+            className="px-2 py-0.5 text-xs bg-red-800 hover:bg-red-700 rounded"
+            onClick={onExit}
+          >
+            Выход
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+        </div>
+      </div>
+
+      {!hasLog ? (
+        <div className="flex-1 flex items-center justify-center text-gray-500 text-sm">
+          Нет записанной сессии. Откройте сохраненный файл журнала.
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center space-x-2 mb-1">
+            <button
+              className="w-8 h-6 flex items-center justify-center bg-blue-800 hover:bg-blue-700 rounded"
+              onClick={() => (isPlaying ? player.pause() : player.play())}
+            >
+              {isPlaying ? '❚❚' : '▶'}
+            </button>
+            <div className="text-xs text-gray-300 w-24">
+              {formatTime(currentTime)} / {formatTime(duration)}
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={duration || 0}
+              step={1}
+              value={currentTime}
+              onChange={(e) => player.seek(parseFloat(e.target.value))}
+              className="flex-1"
+            />
+          </div>
+
+          <div className="flex items-center space-x-1 mb-2">
+            <span className="text-xs text-gray-400 mr-1">Скорость:</span>
+            {PLAYBACK_SPEEDS.map(value => (
+              <button
+                key={value}
+                className={`px-2 py-0.5 text-xs rounded ${speed === value ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                onClick={() => player.setSpeed(value)}
+              >
+                {value}×
+              </button>
+            ))}
+          </div>
+
+          <div className="flex-1 overflow-y-auto border-t border-gray-800">
+            {entries.length === 0 ? (
+              <div className="text-center text-gray-500 text-xs mt-2">Нет действий и событий до текущего момента</div>
+            ) : (
+              entries.map((entry, index) => (
+                <div
+                  key={`${entry.time}-${index}`}
+                  className="flex items-start py-0.5 border-b border-gray-800 cursor-pointer hover:bg-gray-900"
+                  onClick={() => player.seek(entry.time)}
+                >
+                  <span className="text-xs text-gray-400 w-12 flex-shrink-0">{formatTime(entry.time)}</span>
+                  <span className={`text-xs ${ENTRY_COLORS[entry.type] || 'text-gray-300'}`}>
+                    {describeEntry(entry)}
+                  </span>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SessionReplayPanel;
@@ -1,218 +1,114 @@
 import React, { useState, useEffect, useRef } from 'react';
 
+// Длительность отображаемого участка кривых (секунды)
+const SECONDS_TO_SHOW = 10;
+
+// Минимальный диапазон шкалы для каждой кривой; шкала расширяется по данным
+const WAVEFORM_SCALES = {
+  pressure: { min: 0, max: 40 },    // см H2O
+  flow: { min: -60, max: 60 },      // л/мин
+  volume: { min: 0, max: 800 }      // мл
+};
+
+// Цвета кривых
+const WAVE_COLORS = {
+  pressure: '#ffcc00', // Желтый
+  flow: '#00cc99',     // Зеленый
+  volume: '#66aaff'    // Голубой
+};
+
 // Компонент для отображения диаграммы потока/давления/объема
-const VentilationWaveform = ({ ventilationData, type, isOperating = true }) => {
+// waveform - кривые аппарата ИВЛ из движка: sampleRate, pressure, flow, volume
+const VentilationWaveform = ({ waveform, type, isOperating = true }) => {
   const canvasRef = useRef(null);
-  const [time, setTime] = useState(0);
-  const animationRef = useRef(null);
-  
-  // Определение цвета для графика в зависимости от типа
-  const getWaveColor = () => {
-    switch(type) {
-      case 'pressure': return '#ffcc00'; // Желтый
-      case 'flow': return '#00cc99';     // Зеленый
-      case 'volume': return '#66aaff';   // Голубой
-      default: return '#ffffff';         // Белый
-    }
-  };
-  
-  // Расчет точки на графике в зависимости от типа волны
-  const calculatePoint = (t, data) => {
-    const { rate, peep, peak, ie_ratio, tidal_volume } = data;
-    
-    // Рассчитываем периоды
-    const totalCycleTime = 60 / rate; // Продолжительность полного цикла в секундах
-    const inspirationTime = totalCycleTime / (1 + ie_ratio); // Длительность вдоха
-    const expirationTime = totalCycleTime - inspirationTime; // Длительность выдоха
-    
-    // Относительное положение в цикле (от 0 до 1)
-    const cyclePosition = (t % totalCycleTime) / totalCycleTime;
-    
-    // Разные формы волны для разных типов
-    if (type === 'pressure') {
-      // Волна давления - быстрый рост и плато, затем быстрое падение до PEEP
-      if (cyclePosition < inspirationTime / totalCycleTime) {
-        // Фаза вдоха - нарастание давления
-        const inPosition = cyclePosition / (inspirationTime / totalCycleTime);
-        if (inPosition < 0.3) {
-          // Быстрое нарастание
-          return peep + (peak - peep) * (inPosition / 0.3);
-        } else {
-          // Плато давления
-          return peak;
-        }
-      } else {
-        // Фаза выдоха - давление на уровне PEEP
-        return peep;
-      }
-    } else if (type === 'flow') {
-      // Волна потока - положительная при вдохе, отрицательная при выдохе
-      if (cyclePosition < inspirationTime / totalCycleTime) {
-        // Фаза вдоха - положительный поток
-        const inPosition = cyclePosition / (inspirationTime / totalCycleTime);
-        if (inPosition < 0.2) {
-          // Нарастание потока
-          return (inPosition / 0.2) * (tidal_volume / inspirationTime);
-        } else if (inPosition < 0.8) {
-          // Стабильный поток
-          return tidal_volume / inspirationTime;
-        } else {
-          // Снижение потока
-          return ((1 - inPosition) / 0.2) * (tidal_volume / inspirationTime);
-        }
-      } else {
-        // Фаза выдоха - отрицательный поток
-        const exPosition = (cyclePosition - inspirationTime / totalCycleTime) / (expirationTime / totalCycleTime);
-        if (exPosition < 0.3) {
-          // Максимальный пик выдоха
-          return -1 * (tidal_volume / expirationTime) * (1 - exPosition / 0.3);
-        } else {
-          // Замедление выдоха
-          return -1 * (tidal_volume / expirationTime) * (1 - exPosition);
-        }
-      }
-    } else if (type === 'volume') {
-      // Волна объема - нарастание при вдохе, спад при выдохе
-      if (cyclePosition < inspirationTime / totalCycleTime) {
-        // Фаза вдоха - объем нарастает
-        const inPosition = cyclePosition / (inspirationTime / totalCycleTime);
-        return tidal_volume * inPosition;
-      } else {
-        // Фаза выдоха - объем убывает
-        const exPosition = (cyclePosition - inspirationTime / totalCycleTime) / (expirationTime / totalCycleTime);
-        return tidal_volume * (1 - exPosition);
-      }
-    }
-    
-    return 0;
-  };
   
-  // Эффект для анимации графика
+  // Отрисовка графика при получении новых отсчетов
   useEffect(() => {
-    if (!canvasRef.current || !isOperating) return;
+    if (!canvasRef.current) return;
     
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
     
-    // Параметры отображения
-    const secondsToShow = 10; // Показываем 10 секунд графика
-    const sampleRate = 50;    // 50 точек на секунду
-    const timeStep = 1 / sampleRate;
+    // Очистка холста
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
     
-    // Функция анимации
-    const animate = () => {
-      // Очистка холста
-      ctx.fillStyle = '#000000';
-      ctx.fillRect(0, 0, width, height);
-      
-      // Отрисовка сетки
-      ctx.strokeStyle = '#333333';
-      ctx.globalAlpha = 0.5;
-      ctx.lineWidth = 1;
-      
-      // Вертикальные линии времени
-      for (let i = 1; i < 10; i++) {
-        const x = i * (width / 10);
-        ctx.beginPath();
-        ctx.setLineDash([5, 5]);
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, height);
-        ctx.stroke();
-        
-        // Временные метки
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '10px Arial';
-        ctx.fillText(`${i}s`, x - 8, 12);
-      }
-      
-      // Горизонтальные линии для значений
-      const levels = [0, 25, 50, 75, 100];
-      levels.forEach(level => {
-        const y = height - (level / 100) * height;
-        ctx.beginPath();
-        ctx.setLineDash([5, 5]);
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
-        ctx.stroke();
-      });
-      
-      // Сброс прозрачности и пунктира
-      ctx.globalAlpha = 1.0;
-      ctx.setLineDash([]);
-      
-      // Если не в режиме работы, не рисуем график
-      if (!isOperating) {
-        animationRef.current = requestAnimationFrame(animate);
-        return;
-      }
-      
-      // Отрисовка графика
-      ctx.strokeStyle = getWaveColor();
-      ctx.lineWidth = 2;
+    // Отрисовка сетки
+    ctx.strokeStyle = '#333333';
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1;
+    
+    // Вертикальные линии времени
+    for (let i = 1; i < SECONDS_TO_SHOW; i++) {
+      const x = i * (width / SECONDS_TO_SHOW);
       ctx.beginPath();
-      
-      const pointsToShow = sampleRate * secondsToShow;
-      const timeWindow = secondsToShow;
-      
-      // Определяем минимальное и максимальное значения для нормализации
-      let minValue = 0, maxValue = 1;
-      
-      if (type === 'pressure') {
-        minValue = ventilationData.peep;
-        maxValue = ventilationData.peak;
-      } else if (type === 'flow') {
-        const maxFlow = ventilationData.tidal_volume / (60 / ventilationData.rate / (1 + ventilationData.ie_ratio));
-        minValue = -maxFlow;
-        maxValue = maxFlow;
-      } else if (type === 'volume') {
-        minValue = 0;
-        maxValue = ventilationData.tidal_volume;
-      }
-      
-      // Охранная проверка от деления на ноль
-      if (maxValue === minValue) {
-        maxValue = minValue + 1;
-      }
-      
-      for (let i = 0; i < pointsToShow; i++) {
-        const t = time - timeWindow + (i / sampleRate);
-        const value = calculatePoint(t, ventilationData);
-        
-        // Нормализуем значение к размеру холста
-        const normalizedValue = (value - minValue) / (maxValue - minValue);
-        
-        // Преобразуем в координаты холста
-        const x = (i / pointsToShow) * width;
-        const y = height - normalizedValue * height * 0.8 - height * 0.1; // 10% отступ сверху и снизу
-        
-        if (i === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
-      }
-      
+      ctx.setLineDash([5, 5]);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
       ctx.stroke();
       
-      // Увеличиваем время
-      setTime(prevTime => prevTime + timeStep);
-      
-      // Продолжаем анимацию
-      animationRef.current = requestAnimationFrame(animate);
-    };
+      // Временные метки
+      ctx.fillStyle = '#ffffff';
+      ctx.font = '10px Arial';
+      ctx.fillText(`${i}s`, x - 8, 12);
+    }
+    
+    // Горизонтальные линии для значений
+    const levels = [0, 25, 50, 75, 100];
+    levels.forEach(level => {
+      const y = height - (level / 100) * height;
+      ctx.beginPath();
+      ctx.setLineDash([5, 5]);
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    });
+    
+    // Сброс прозрачности и пунктира
+    ctx.globalAlpha = 1.0;
+    ctx.setLineDash([]);
     
-    // Запускаем анимацию
-    animate();
+    const samples = waveform?.[type] || [];
     
-    // Останавливаем анимацию при размонтировании
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+    // Если не в режиме работы или аппарат не подключен, не рисуем график
+    if (!isOperating || samples.length === 0) return;
+    
+    // Шкала по умолчанию, расширенная до фактических значений
+    let minValue = Math.min(WAVEFORM_SCALES[type].min, ...samples);
+    let maxValue = Math.max(WAVEFORM_SCALES[type].max, ...samples);
+    if (type === 'flow') {
+      // Поток отображается симметрично относительно нуля
+      maxValue = Math.max(maxValue, -minValue);
+      minValue = -maxValue;
+    }
+    
+    // Отрисовка графика; последние отсчеты - у правого края
+    ctx.strokeStyle = WAVE_COLORS[type] || '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    
+    const pointsToShow = waveform.sampleRate * SECONDS_TO_SHOW;
+    const offset = pointsToShow - samples.length;
+    
+    samples.forEach((value, i) => {
+      // Нормализуем значение к размеру холста
+      const normalizedValue = (value - minValue) / (maxValue - minValue);
+      
+      // Преобразуем в координаты холста
+      const x = ((i + offset) / pointsToShow) * width;
+      const y = height - normalizedValue * height * 0.8 - height * 0.1; // 10% отступ сверху и снизу
+      
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
       }
-    };
-  }, [canvasRef, time, isOperating, type, ventilationData]);
+    });
+    
+    ctx.stroke();
+  }, [waveform, type, isOperating]);
   
   return (
     <div className="flex flex-col border-2 border-gray-600 rounded bg-black p-2 h-full">
@@ -251,6 +147,84 @@ const VentilationParameter = ({ label, value, unit, rangeMin, rangeMax }) => {
   );
 };
 
+// Цвета тревог по приоритету
+const ALARM_COLORS = {
+  high: 'bg-red-900 border-red-500 text-red-300',
+  medium: 'bg-yellow-900 border-yellow-500 text-yellow-300',
+  low: 'bg-blue-900 border-blue-500 text-blue-300'
+};
+
+// Панель тревог аппарата ИВЛ с отключением звука и подтверждением
+// status - состояние тревог из движка (alarms, silenced_for, faults)
+const VentilatorAlarmBar = ({ status, isOperating, onAlarmAction }) => {
+  const alarms = status?.alarms || [];
+  const silencedFor = status?.silenced_for || 0;
+  const disconnected = Boolean(status?.faults?.disconnect);
+  const hasUnacknowledged = alarms.some(alarm => !alarm.acknowledged);
+  
+  const handleAction = (action) => {
+    if (onAlarmAction) {
+      onAlarmAction(action);
+    }
+  };
+  
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm text-gray-400">
+          Тревоги
+          {silencedFor > 0 && (
+            <span className="ml-2 text-xs text-yellow-400">🔇 звук отключен ({silencedFor} с)</span>
+          )}
+        </h3>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1 text-xs bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50"
+            onClick={() => handleAction('silence')}
+            disabled={!isOperating || alarms.length === 0}
+          >
+            Звук 2 мин
+          </button>
+          <button
+            className="px-3 py-1 text-xs bg-gray-700 text-white rounded hover:bg-gray-600 disabled:opacity-50"
+            onClick={() => handleAction('acknowledge')}
+            disabled={!isOperating || !hasUnacknowledged}
+          >
+            Подтвердить
+          </button>
+          <button
+            className={`px-3 py-1 text-xs text-white rounded disabled:opacity-50 ${
+              disconnected ? 'bg-green-700 hover:bg-green-600' : 'bg-red-800 hover:bg-red-700'
+            }`}
+            onClick={() => handleAction(disconnected ? 'reconnect' : 'disconnect')}
+            disabled={!isOperating}
+          >
+            {disconnected ? 'Подключить контур' : 'Отсоединить контур'}
+          </button>
+        </div>
+      </div>
+      
+      {alarms.length === 0 ? (
+        <div className="text-sm text-gray-500 bg-gray-800 rounded p-2">Нет активных тревог</div>
+      ) : (
+        <div className="space-y-1">
+          {alarms.map(alarm => (
+            <div
+              key={alarm.id}
+              className={`flex justify-between items-center border-l-4 rounded px-3 py-1 text-sm ${
+                ALARM_COLORS[alarm.priority] || ALARM_COLORS.low
+              } ${alarm.acknowledged ? 'opacity-60' : 'animate-pulse'}`}
+            >
+              <span>{alarm.message}</span>
+              {alarm.acknowledged && <span className="text-xs">подтверждена</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Компонент для настройки параметра ИВЛ
 const VentilationControl = ({ label, value, unit, min, max, step, onChange }) => {
   return (
@@ -277,29 +251,44 @@ const VentilationControl = ({ label, value, unit, min, max, step, onChange }) =>
 };
 
 // Основной компонент мониторинга ИВЛ
-const VentilatorMonitor = ({ isOperating = true, patientData, onVentilatorChange }) => {
-  // Начальные настройки вентилятора
-  const [ventilatorSettings, setVentilatorSettings] = useState({
+// initialSettings - настройки аппарата из движка (FiO₂ как доля)
+// waveform - кривые давления, потока и объема, рассчитанные аппаратом ИВЛ
+// onAlarmAction - управление тревогами и контуром: silence, acknowledge, disconnect, reconnect
+const VentilatorMonitor = ({
+  isOperating = true,
+  patientData,
+  initialSettings,
+  waveform,
+  onVentilatorChange,
+  onAlarmAction
+}) => {
+  // Настройки вентилятора; FiO₂ в панели отображается в процентах
+  const [ventilatorSettings, setVentilatorSettings] = useState(() => ({
     mode: 'A/C', // Режим вентиляции (A/C, SIMV, CPAP и т.д.)
     rate: 12,    // Частота дыхания (вд/мин)
     peep: 5,     // Положительное давление конца выдоха (см H2O)
     peak: 25,    // Пиковое давление (см H2O)
     ie_ratio: 2, // Соотношение времени вдоха к выдоху (например, 1:2)
-    fio2: 40,    // Концентрация кислорода (%)
     tidal_volume: 500, // Дыхательный объем (мл)
     pressure_support: 10, // Поддержка давлением (см H2O)
-    trigger_sensitivity: -2 // Чувствительность триггера (см H2O)
-  });
+    trigger_sensitivity: -2, // Чувствительность триггера (см H2O)
+    ...initialSettings,
+    fio2: Math.round((initialSettings?.fio2 ?? 0.4) * 100) // Концентрация кислорода (%)
+  }));
   
-  // Измеряемые параметры (в реальном аппарате они бы считывались с датчиков)
-  const [measuredParameters, setMeasuredParameters] = useState({
-    minute_volume: 6.0,  // Минутный объем (л/мин)
-    compliance: 50,      // Растяжимость легких (мл/см H2O)
-    resistance: 5,       // Сопротивление дыхательных путей (см H2O/л/с)
-    auto_peep: 0,        // Авто-PEEP (см H2O)
-    plateau_pressure: 20, // Давление плато (см H2O)
-    etco2: 35           // Концентрация CO2 в конце выдоха (мм рт.ст.)
-  });
+  // Измеряемые параметры рассчитывают аппарат ИВЛ и модель легких
+  const measuredParameters = {
+    minute_volume: (patientData?.minute_volume ?? 0).toFixed(1), // Минутный объем (л/мин)
+    rate: patientData?.ventilator_rate ?? 0,             // Фактическая частота вдохов (/мин)
+    peak_pressure: patientData?.peak_pressure ?? 0,      // Пиковое давление (см H2O)
+    compliance: patientData?.lung_compliance ?? 50,      // Растяжимость легких (мл/см H2O)
+    resistance: patientData?.airway_resistance ?? 5,     // Сопротивление дыхательных путей (см H2O/л/с)
+    auto_peep: patientData?.auto_peep ?? 0,              // Авто-PEEP (см H2O)
+    plateau_pressure: patientData?.plateau_pressure ?? 0, // Давление плато (см H2O)
+    etco2: patientData?.etco2 ?? 35,                     // Концентрация CO2 в конце выдоха (мм рт.ст.)
+    // Асинхронность: двойные срабатывания и неэффективные попытки вдоха (/мин)
+    dyssynchrony: (patientData?.double_triggers ?? 0) + (patientData?.ineffective_efforts ?? 0)
+  };
   
   // Режимы вентиляции
   const ventilationModes = [
@@ -311,64 +300,6 @@ const VentilatorMonitor = ({ isOperating = true, patientData, onVentilatorChange
     { value: 'APRV', label: 'Вентиляция с освобождением давления (APRV)' }
   ];
   
-  // Обновление настроек вентилятора при изменении патологии пациента
-  useEffect(() => {
-    if (!patientData || !isOperating) return;
-    
-    // Обновляем измеряемые параметры на основе состояния пациента
-    const updateMeasuredParameters = () => {
-      // В реальном приложении здесь была бы логика расчета на основе модели легких
-      // и настроек вентилятора
-      
-      const newParameters = { ...measuredParameters };
-      
-      // Расчет минутного объема
-      newParameters.minute_volume = (ventilatorSettings.rate * ventilatorSettings.tidal_volume / 1000).toFixed(1);
-      
-      // Расчет давления плато (чуть ниже пикового)
-      newParameters.plateau_pressure = Math.round(ventilatorSettings.peak * 0.8);
-      
-      // Если пациент в критическом состоянии или есть гипоксия, меняем параметры
-      if (patientData.spo2 < 90) {
-        newParameters.compliance = Math.max(20, measuredParameters.compliance - 10);
-        newParameters.resistance = Math.min(20, measuredParameters.resistance + 5);
-        newParameters.auto_peep = Math.min(5, measuredParameters.auto_peep + 1);
-      } else {
-        // Возвращение к более нормальным значениям
-        newParameters.compliance = Math.min(60, measuredParameters.compliance + 5);
-        newParameters.resistance = Math.max(5, measuredParameters.resistance - 2);
-        newParameters.auto_peep = Math.max(0, measuredParameters.auto_peep - 1);
-      }
-      
-      // EtCO2 обычно коррелирует с состоянием пациента
-      if (patientData.etco2) {
-        newParameters.etco2 = patientData.etco2;
-      }
-      
-      setMeasuredParameters(newParameters);
-    };
-    
-    updateMeasuredParameters();
-    
-    // Автоматически корректируем настройки вентилятора, если SpO2 падает
-    if (patientData.spo2 < 90 && ventilatorSettings.fio2 < 80) {
-      setVentilatorSettings(prev => ({
-        ...prev,
-        fio2: Math.min(100, prev.fio2 + 10),
-        peep: Math.min(15, prev.peep + 2)
-      }));
-    }
-    
-    // Автоматически повышаем ЧД если EtCO2 растет
-    if (patientData.etco2 > 45 && ventilatorSettings.rate < 20) {
-      setVentilatorSettings(prev => ({
-        ...prev,
-        rate: Math.min(30, prev.rate + 2)
-      }));
-    }
-    
-  }, [patientData, isOperating]);
-  
   // Обработчик изменения настроек вентилятора
   const handleSettingChange = (setting, value) => {
     const newSettings = { ...ventilatorSettings, [setting]: value };
@@ -550,20 +481,27 @@ const VentilatorMonitor = ({ isOperating = true, patientData, onVentilatorChange
         </div>
       </div>
       
+      {/* Тревоги аппарата */}
+      <VentilatorAlarmBar
+        status={patientData?.ventilatorStatus}
+        isOperating={isOperating}
+        onAlarmAction={onAlarmAction}
+      />
+      
       {/* Графики вентиляции */}
       <div className="grid grid-cols-1 gap-3 mb-4">
         <VentilationWaveform 
-          ventilationData={ventilatorSettings}
+          waveform={waveform}
           type="pressure"
           isOperating={isOperating}
         />
         <VentilationWaveform 
-          ventilationData={ventilatorSettings}
+          waveform={waveform}
           type="flow"
           isOperating={isOperating}
         />
         <VentilationWaveform 
-          ventilationData={ventilatorSettings}
+          waveform={waveform}
           type="volume"
           isOperating={isOperating}
         />
@@ -580,6 +518,20 @@ const VentilatorMonitor = ({ isOperating = true, patientData, onVentilatorChange
             rangeMin={4}
             rangeMax={12}
           />
+          <VentilationParameter 
+            label="Частота (факт.)"
+            value={measuredParameters.rate}
+            unit="вд/мин"
+            rangeMin={8}
+            rangeMax={30}
+          />
+          <VentilationParameter 
+            label="Пик. давление"
+            value={measuredParameters.peak_pressure}
+            unit="см H₂O"
+            rangeMin={0}
+            rangeMax={40}
+          />
           <VentilationParameter 
             label="Растяжимость"
             value={measuredParameters.compliance}
@@ -615,6 +567,13 @@ const VentilatorMonitor = ({ isOperating = true, patientData, onVentilatorChange
             rangeMin={30}
             rangeMax={45}
           />
+          <VentilationParameter 
+            label="Асинхронность"
+            value={measuredParameters.dyssynchrony}
+            unit="/мин"
+            rangeMin={0}
+            rangeMax={2}
+          />
         </div>
       </div>
       
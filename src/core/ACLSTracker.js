@@ -0,0 +1,660 @@
+/**
+ * ACLSTracker.js
+ *
+ * Этот модуль ведет реанимацию по алгоритму ACLS. Трекер начинает работу при
+ * остановке кровообращения и заканчивает при восстановлении спонтанного
+ * кровообращения. Он следит за ритмом (шоковый или нет), отсчитывает
+ * двухминутные циклы СЛР между проверками ритма и напоминает о разряде,
+ * адреналине каждые 3-5 минут и амиодароне после третьего разряда.
+ * Действия инструктора трекер получает из оповещений actionPerformed движка
+ * и записывает их со временем от начала остановки. По записям строится
+ * оценка соблюдения алгоритма для разбора.
+ */
+
+// Ритмы остановки кровообращения, при которых показан разряд
+// (ЖТ в остановке кровообращения - всегда без пульса)
+const SHOCKABLE_ARREST_RHYTHMS = ['vfib', 'vtach'];
+
+// Длительность цикла СЛР между проверками ритма и допустимое отклонение (с)
+export const CYCLE_SECONDS = 120;
+const CYCLE_TOLERANCE = 20;
+
+// Интервал между дозами адреналина (с)
+export const EPINEPHRINE_INTERVAL = { min: 180, max: 300 };
+
+// При шоковом ритме первая доза адреналина вводится после второго разряда
+const EPINEPHRINE_AFTER_SHOCK = 2;
+
+// При нешоковом ритме первая доза вводится как можно раньше, не позже (с)
+const NONSHOCKABLE_EPINEPHRINE_SECONDS = 300;
+
+// Дозы амиодарона при шоковом ритме: после какого разряда и доза (мг)
+export const AMIODARONE_DOSES = [
+  { afterShock: 3, dose: 300 },
+  { afterShock: 5, dose: 150 }
+];
+
+// Компрессии начинаются не позже (с от начала остановки)
+const CPR_START_SECONDS = 10;
+
+// Первый разряд при шоковом ритме наносится не позже (с от начала остановки)
+const FIRST_SHOCK_SECONDS = 120;
+
+class ACLSTracker {
+  /**
+   * @param {Object} engine - Экземпляр SimulationEngine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.reset();
+
+    this.handleActionPerformed = this.handleActionPerformed.bind(this);
+    this.engine.on('actionPerformed', this.handleActionPerformed);
+  }
+
+  /**
+   * Сброс записей реанимации
+   */
+  reset() {
+    // Текущая или последняя реанимация
+    this.session = null;
+
+    // Ритм и остановка кровообращения в текущем и предыдущем обновлении:
+    // действие записывается после обновления, которое оно вызвало, поэтому
+    // ритм до разряда берется из предыдущего обновления
+    this.rhythm = null;
+    this.arrest = false;
+    this.previousRhythm = null;
+    this.previousArrest = false;
+    this.cprActive = false;
+  }
+
+  /**
+   * Продвижение трекера по состоянию пациента
+   * @param {Object} state - Состояние пациента
+   * @returns {Object} Состояние трекера
+   */
+  update(state = {}) {
+    const now = this.engine.getSimulationTime();
+
+    this.previousRhythm = this.rhythm;
+    this.previousArrest = this.arrest;
+    this.rhythm = state.cardiac_rhythm || null;
+    this.arrest = Boolean(state.cardiac_arrest);
+    this.cprActive = Boolean(state.cpr_in_progress);
+
+    if (this.arrest && !this.isActive()) {
+      this.beginSession(now);
+    } else if (!this.arrest && this.isActive()) {
+      this.endSession(now);
+    }
+
+    if (this.isActive()) {
+      const session = this.session;
+      const time = now - session.startedAt;
+
+      if (this.rhythm !== session.rhythm) {
+        session.rhythm = this.rhythm;
+        session.rhythmSince = time;
+        session.timeline.push({ time, type: 'rhythm', rhythm: this.rhythm });
+      }
+
+      // Цикл СЛР идет, пока продолжаются компрессии
+      if (this.cprActive && !session.cycle) {
+        this.beginCycle(time);
+      } else if (!this.cprActive && session.cycle) {
+        this.endCycle(time, 'pause');
+      }
+
+      this.updatePrompts(now);
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Идет ли реанимация
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.session && !this.session.outcome);
+  }
+
+  /**
+   * Шоковый ли ритм
+   * @param {string} rhythm - Ритм
+   * @returns {boolean}
+   */
+  isShockable(rhythm) {
+    return SHOCKABLE_ARREST_RHYTHMS.includes(rhythm);
+  }
+
+  /**
+   * Начало реанимации при остановке кровообращения
+   * @param {number} now - Время симуляции (с)
+   */
+  beginSession(now) {
+    this.session = {
+      startedAt: now,
+      endedAt: null,
+      outcome: null,
+      initialRhythm: this.rhythm,
+      rhythm: this.rhythm,
+      rhythmSince: 0,
+      firstCompressions: null,
+      cycle: null,
+      cycles: [],
+      shocks: [],
+      epinephrine: [],
+      amiodarone: [],
+      prompts: [],
+      timeline: [{ time: 0, type: 'arrest', rhythm: this.rhythm }]
+    };
+  }
+
+  /**
+   * Окончание реанимации при восстановлении кровообращения
+   * @param {number} now - Время симуляции (с)
+   */
+  endSession(now) {
+    const session = this.session;
+    const time = now - session.startedAt;
+
+    if (session.cycle) {
+      this.endCycle(time, 'rosc');
+    }
+
+    session.endedAt = now;
+    session.outcome = 'rosc';
+    session.prompts = [];
+    session.timeline.push({ time, type: 'rosc', rhythm: this.rhythm });
+  }
+
+  /**
+   * Начало цикла СЛР
+   * @param {number} time - Время от начала остановки (с)
+   */
+  beginCycle(time) {
+    const session = this.session;
+
+    if (session.firstCompressions === null) {
+      session.firstCompressions = time;
+    }
+
+    session.cycle = { number: session.cycles.length + 1, start: time };
+  }
+
+  /**
+   * Окончание цикла СЛР
+   * @param {number} time - Время от начала остановки (с)
+   * @param {string} reason - pause (проверка ритма), shock или rosc
+   */
+  endCycle(time, reason) {
+    const session = this.session;
+
+    session.cycles.push({
+      ...session.cycle,
+      end: time,
+      reason,
+      // Цикл до первого разряда короче: разряд наносится сразу, как только
+      // готов дефибриллятор
+      beforeFirstShock: reason === 'shock' && session.shocks.length === 0
+    });
+    session.cycle = null;
+  }
+
+  /**
+   * Запись действия инструктора во время реанимации
+   * @param {Object} entry - Оповещение actionPerformed ({ action, params, result, time })
+   */
+  handleActionPerformed({ action, params = {}, result, time }) {
+    const session = this.session;
+
+    // Действия после восстановления кровообращения в реанимацию не входят,
+    // кроме действия, которое его восстановило
+    if (!session || (session.outcome && time > session.endedAt)) return;
+
+    const elapsed = time - session.startedAt;
+    session.timeline.push({ time: elapsed, type: 'action', action, params });
+
+    if (action === 'defibrillate' && this.previousArrest) {
+      this.recordShock(elapsed, params, result);
+    } else if (action === 'applyMedication' && result) {
+      this.recordMedication(elapsed, params);
+    }
+
+    if (this.engine.currentState) {
+      this.engine.currentState.acls = this.getStatus();
+    }
+  }
+
+  /**
+   * Запись разряда; разряд при компрессиях завершает цикл, и после него
+   * сразу начинается следующий
+   * @param {number} time - Время от начала остановки (с)
+   * @param {Object} params - Параметры разряда
+   * @param {Object} result - Результат разряда
+   */
+  recordShock(time, params, result) {
+    const session = this.session;
+
+    if (session.cycle) {
+      this.endCycle(time, 'shock');
+      if (this.isActive() && this.cprActive) {
+        this.beginCycle(time);
+      }
+    }
+
+    session.shocks.push({
+      time,
+      energy: params.energy,
+      rhythm: this.previousRhythm,
+      success: Boolean(result && result.success)
+    });
+  }
+
+  /**
+   * Запись введения адреналина или амиодарона
+   * @param {number} time - Время от начала остановки (с)
+   * @param {Object} params - medicationName и dose
+   */
+  recordMedication(time, { medicationName, dose }) {
+    const session = this.session;
+    const entry = { time, dose, rhythm: this.rhythm, shocksBefore: session.shocks.length };
+
+    if (medicationName === 'epinephrine') {
+      session.epinephrine.push(entry);
+    } else if (medicationName === 'amiodarone') {
+      session.amiodarone.push(entry);
+    }
+  }
+
+  /**
+   * Когда показана следующая доза адреналина
+   * @returns {Object|null} dueAt и overdueAt (с от начала остановки) или null, если доза пока не показана
+   */
+  getNextEpinephrine() {
+    const session = this.session;
+    const doses = session.epinephrine;
+
+    if (doses.length > 0) {
+      const last = doses[doses.length - 1].time;
+      return { dueAt: last + EPINEPHRINE_INTERVAL.min, overdueAt: last + EPINEPHRINE_INTERVAL.max };
+    }
+
+    if (!this.isShockable(session.rhythm)) {
+      const start = this.getNonshockableStart();
+      return { dueAt: start, overdueAt: start + NONSHOCKABLE_EPINEPHRINE_SECONDS };
+    }
+
+    if (session.shocks.length >= EPINEPHRINE_AFTER_SHOCK) {
+      const shock = session.shocks[EPINEPHRINE_AFTER_SHOCK - 1].time;
+      return { dueAt: shock, overdueAt: shock + CYCLE_SECONDS + CYCLE_TOLERANCE };
+    }
+
+    return null;
+  }
+
+  /**
+   * Начало нешокового ритма: с начала остановки, если она началась с него,
+   * иначе со смены шокового ритма на нешоковый
+   * @returns {number} Время от начала остановки (с)
+   */
+  getNonshockableStart() {
+    const session = this.session;
+    return this.isShockable(session.initialRhythm) ? session.rhythmSince : 0;
+  }
+
+  /**
+   * Следующая доза амиодарона, если она уже показана
+   * @returns {Object|null} afterShock и dose или null
+   */
+  getNextAmiodarone() {
+    const session = this.session;
+    const next = AMIODARONE_DOSES[session.amiodarone.length];
+
+    if (!next || !this.isShockable(session.rhythm) || session.shocks.length < next.afterShock) {
+      return null;
+    }
+
+    return next;
+  }
+
+  /**
+   * Напоминания, актуальные в данный момент
+   * @param {number} time - Время от начала остановки (с)
+   * @returns {Array} Напоминания ({ id, message, urgent })
+   */
+  getPrompts(time) {
+    const session = this.session;
+    const shockable = this.isShockable(session.rhythm);
+    const prompts = [];
+
+    if (!this.cprActive) {
+      prompts.push({ id: 'cpr', message: 'Начните компрессии грудной клетки', urgent: true });
+    }
+
+    if (session.cycle && time - session.cycle.start >= CYCLE_SECONDS) {
+      prompts.push({
+        id: 'rhythm_check',
+        message: shockable ? 'Проверка ритма: шоковый ритм - разряд' : 'Проверка ритма',
+        urgent: true
+      });
+    } else if (shockable && session.shocks.length === 0) {
+      prompts.push({ id: 'shock', message: 'Шоковый ритм: нанесите разряд', urgent: true });
+    }
+
+    const epinephrine = this.getNextEpinephrine();
+    if (epinephrine && time >= epinephrine.overdueAt) {
+      prompts.push({
+        id: 'epinephrine_overdue',
+        message: session.epinephrine.length > 0
+          ? 'Адреналин 1 мг: прошло более 5 минут после предыдущей дозы'
+          : 'Адреналин 1 мг: первая доза задерживается',
+        urgent: true
+      });
+    } else if (epinephrine && time >= epinephrine.dueAt) {
+      prompts.push({ id: 'epinephrine', message: 'Адреналин 1 мг', urgent: false });
+    }
+
+    const amiodarone = this.getNextAmiodarone();
+    if (amiodarone) {
+      prompts.push({
+        id: 'amiodarone',
+        message: `Амиодарон ${amiodarone.dose} мг после ${amiodarone.afterShock}-го разряда`,
+        urgent: false
+      });
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Обновление напоминаний; о каждом новом напоминании движок оповещает
+   * подписчиков, и оно попадает в журнал сессии
+   * @param {number} now - Время симуляции (с)
+   */
+  updatePrompts(now) {
+    const session = this.session;
+    const time = now - session.startedAt;
+    const prompts = this.getPrompts(time);
+
+    prompts
+      .filter(prompt => !session.prompts.includes(prompt.id))
+      .forEach(prompt => {
+        session.timeline.push({ time, type: 'prompt', id: prompt.id, message: prompt.message });
+        this.engine.notifyHandlers('aclsPrompt', { ...prompt, time: now });
+      });
+
+    session.prompts = prompts.map(prompt => prompt.id);
+  }
+
+  /**
+   * Состояние трекера для монитора
+   * @returns {Object} Ритм, таймеры цикла и лекарств, напоминания и отчет
+   */
+  getStatus() {
+    const session = this.session;
+
+    if (!this.isActive()) {
+      return {
+        active: false,
+        rhythm: this.rhythm,
+        shockable: false,
+        arrestTime: 0,
+        cycle: null,
+        shockCount: 0,
+        epinephrine: { doses: 0, sinceLast: null, nextDueIn: null },
+        amiodarone: { doses: 0, nextDose: null },
+        prompts: [],
+        report: this.getReport()
+      };
+    }
+
+    const time = this.engine.getSimulationTime() - session.startedAt;
+    const lastEpinephrine = session.epinephrine[session.epinephrine.length - 1];
+    const nextEpinephrine = this.getNextEpinephrine();
+    const nextAmiodarone = this.getNextAmiodarone();
+    const cycleElapsed = session.cycle ? time - session.cycle.start : 0;
+
+    return {
+      active: true,
+      rhythm: session.rhythm,
+      shockable: this.isShockable(session.rhythm),
+      arrestTime: Math.round(time),
+      cycle: session.cycle ? {
+        number: session.cycle.number,
+        elapsed: Math.round(cycleElapsed),
+        remaining: Math.max(0, Math.round(CYCLE_SECONDS - cycleElapsed))
+      } : null,
+      shockCount: session.shocks.length,
+      epinephrine: {
+        doses: session.epinephrine.length,
+        sinceLast: lastEpinephrine ? Math.round(time - lastEpinephrine.time) : null,
+        nextDueIn: nextEpinephrine ? Math.max(0, Math.round(nextEpinephrine.dueAt - time)) : null
+      },
+      amiodarone: {
+        doses: session.amiodarone.length,
+        nextDose: nextAmiodarone ? nextAmiodarone.dose : null
+      },
+      prompts: this.getPrompts(time),
+      report: this.getReport()
+    };
+  }
+
+  /**
+   * Отчет о реанимации для разбора
+   * @returns {Object|null} Хронология, пункты алгоритма, оценка (0-100) и
+   *                        замечания; null, если остановки кровообращения не было
+   */
+  getReport() {
+    const session = this.session;
+    if (!session) return null;
+
+    const end = (session.outcome ? session.endedAt : this.engine.getSimulationTime()) - session.startedAt;
+    const checks = this.getChecks(end);
+    const passed = checks.filter(check => check.passed).length;
+
+    return {
+      outcome: session.outcome || 'ongoing',
+      duration: Math.round(end),
+      initialRhythm: session.initialRhythm,
+      shockCount: session.shocks.length,
+      cycleCount: session.cycles.length + (session.cycle ? 1 : 0),
+      epinephrineDoses: session.epinephrine.length,
+      amiodaroneDoses: session.amiodarone.length,
+      timeline: session.timeline.map(entry => ({ ...entry, time: Math.round(entry.time) })),
+      checks,
+      score: checks.length > 0 ? Math.round(passed / checks.length * 100) : null,
+      issues: checks.filter(check => !check.passed).map(check => check.message)
+    };
+  }
+
+  /**
+   * Пункты алгоритма, срок которых наступил к моменту отчета
+   * @param {number} end - Время от начала остановки до отчета (с)
+   * @returns {Array} Пункты ({ id, passed, message })
+   */
+  getChecks(end) {
+    return [
+      ...this.getCompressionChecks(end),
+      ...this.getShockChecks(end),
+      ...this.getCycleChecks(end),
+      ...this.getEpinephrineChecks(end),
+      ...this.getAmiodaroneChecks()
+    ];
+  }
+
+  /**
+   * Начало компрессий
+   * @param {number} end - Время от начала остановки до отчета (с)
+   * @returns {Array} Пункты алгоритма
+   */
+  getCompressionChecks(end) {
+    const start = this.session.firstCompressions;
+
+    if (start === null) {
+      return end > CPR_START_SECONDS
+        ? [{ id: 'cpr_start', passed: false, message: 'Компрессии грудной клетки не начаты' }]
+        : [];
+    }
+
+    return [{
+      id: 'cpr_start',
+      passed: start <= CPR_START_SECONDS,
+      message: `Компрессии начаты через ${Math.round(start)} с (цель - не позже ${CPR_START_SECONDS} с)`
+    }];
+  }
+
+  /**
+   * Первый разряд при шоковом ритме и разряды при нешоковом ритме
+   * @param {number} end - Время от начала остановки до отчета (с)
+   * @returns {Array} Пункты алгоритма
+   */
+  getShockChecks(end) {
+    const session = this.session;
+    const checks = [];
+
+    if (this.isShockable(session.initialRhythm)) {
+      const first = session.shocks[0];
+      if (first) {
+        checks.push({
+          id: 'first_shock',
+          passed: first.time <= FIRST_SHOCK_SECONDS,
+          message: `Первый разряд через ${Math.round(first.time)} с (цель - в течение 2 минут)`
+        });
+      } else if (end > FIRST_SHOCK_SECONDS) {
+        checks.push({ id: 'first_shock', passed: false, message: 'Разряд при шоковом ритме не нанесен' });
+      }
+    }
+
+    session.shocks.forEach((shock, index) => {
+      checks.push({
+        id: 'shock_rhythm',
+        passed: this.isShockable(shock.rhythm),
+        message: `Разряд ${index + 1} на ${Math.round(shock.time)} с при нешоковом ритме`
+      });
+    });
+
+    return checks;
+  }
+
+  /**
+   * Проверки ритма каждые 2 минуты; цикл, прерванный восстановлением
+   * кровообращения или еще идущий, оценивается, только если он затянулся
+   * @param {number} end - Время от начала остановки до отчета (с)
+   * @returns {Array} Пункты алгоритма
+   */
+  getCycleChecks(end) {
+    const session = this.session;
+    const cycles = session.cycle
+      ? [...session.cycles, { ...session.cycle, end, reason: 'ongoing' }]
+      : session.cycles;
+
+    return cycles
+      .filter(cycle => !cycle.beforeFirstShock)
+      .map(cycle => ({ ...cycle, duration: cycle.end - cycle.start }))
+      .filter(cycle => ['pause', 'shock'].includes(cycle.reason) || cycle.duration > CYCLE_SECONDS + CYCLE_TOLERANCE)
+      .map(cycle => ({
+        id: 'cycle',
+        passed: Math.abs(cycle.duration - CYCLE_SECONDS) <= CYCLE_TOLERANCE,
+        message: `Цикл ${cycle.number}: проверка ритма через ${Math.round(cycle.duration)} с (цель - каждые 2 минуты)`
+      }));
+  }
+
+  /**
+   * Первая доза адреналина и интервалы между дозами
+   * @param {number} end - Время от начала остановки до отчета (с)
+   * @returns {Array} Пункты алгоритма
+   */
+  getEpinephrineChecks(end) {
+    const session = this.session;
+    const doses = session.epinephrine;
+    const checks = [];
+    const shockable = this.isShockable(session.initialRhythm);
+
+    if (doses.length > 0) {
+      const first = doses[0];
+      if (!shockable) {
+        checks.push({
+          id: 'epinephrine_first',
+          passed: first.time <= NONSHOCKABLE_EPINEPHRINE_SECONDS,
+          message: `Первая доза адреналина через ${Math.round(first.time)} с (при нешоковом ритме - как можно раньше)`
+        });
+      } else if (first.shocksBefore < EPINEPHRINE_AFTER_SHOCK && this.isShockable(first.rhythm)) {
+        checks.push({ id: 'epinephrine_first', passed: false, message: 'Адреналин при шоковом ритме введен до второго разряда' });
+      } else {
+        checks.push({ id: 'epinephrine_first', passed: true, message: 'Адреналин после второго разряда' });
+      }
+    } else {
+      const next = this.getNextEpinephrine();
+      if (next && end > next.overdueAt) {
+        checks.push({ id: 'epinephrine_first', passed: false, message: 'Адреналин не введен' });
+      }
+    }
+
+    for (let i = 1; i < doses.length; i++) {
+      const interval = doses[i].time - doses[i - 1].time;
+      checks.push({
+        id: 'epinephrine_interval',
+        passed: interval >= EPINEPHRINE_INTERVAL.min && interval <= EPINEPHRINE_INTERVAL.max,
+        message: `Интервал между дозами адреналина ${Math.round(interval)} с (цель - 3-5 минут)`
+      });
+    }
+
+    if (doses.length > 0 && end - doses[doses.length - 1].time > EPINEPHRINE_INTERVAL.max) {
+      checks.push({
+        id: 'epinephrine_interval',
+        passed: false,
+        message: 'Более 5 минут без адреналина после последней дозы'
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Дозы амиодарона: только при шоковом ритме, после третьего и пятого
+   * разрядов, в рекомендованной дозе
+   * @returns {Array} Пункты алгоритма
+   */
+  getAmiodaroneChecks() {
+    const session = this.session;
+    const checks = [];
+
+    AMIODARONE_DOSES.forEach((expected, index) => {
+      const given = session.amiodarone[index];
+
+      if (!given) {
+        // Доза пропущена, если после показанного разряда нанесен еще один
+        if (session.shocks.length > expected.afterShock) {
+          checks.push({
+            id: 'amiodarone',
+            passed: false,
+            message: `Амиодарон ${expected.dose} мг не введен после ${expected.afterShock}-го разряда`
+          });
+        }
+        return;
+      }
+
+      let message = `Амиодарон ${given.dose} мг после ${given.shocksBefore}-го разряда`;
+      let passed = true;
+      if (!this.isShockable(given.rhythm)) {
+        message = 'Амиодарон введен при нешоковом ритме';
+        passed = false;
+      } else if (given.shocksBefore < expected.afterShock) {
+        message = `Амиодарон введен до ${expected.afterShock}-го разряда`;
+        passed = false;
+      } else if (given.dose !== expected.dose) {
+        message = `Доза амиодарона ${given.dose} мг (рекомендуется ${expected.dose} мг)`;
+        passed = false;
+      }
+
+      checks.push({ id: 'amiodarone', passed, message });
+    });
+
+    return checks;
+  }
+}
+
+export default ACLSTracker;
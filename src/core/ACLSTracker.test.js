@@ -0,0 +1,76 @@
+import ACLSTracker from './ACLSTracker';
+
+describe('ACLSTracker', () => {
+  // The tracker needs only the simulation time and the engine notifications
+  const createTracker = () => {
+    const engine = {
+      time: 0,
+      currentState: null,
+      prompts: [],
+      getSimulationTime() {
+        return this.time;
+      },
+      on(event, handler) {
+        this.onAction = handler;
+      },
+      notifyHandlers(event, prompt) {
+        this.prompts.push(prompt.id);
+      }
+    };
+    const tracker = new ACLSTracker(engine);
+
+    return {
+      engine,
+      tracker,
+      at: (time, state) => {
+        engine.time = time;
+        return tracker.update(state);
+      },
+      act: (action, params, result = {}) => engine.onAction({ action, params, result, time: engine.time })
+    };
+  };
+
+  const promptIds = status => status.prompts.map(prompt => prompt.id);
+
+  test('cycles, shocks and prompts follow the arrest until ROSC', () => {
+    const { engine, tracker, at, act } = createTracker();
+    const vfib = { cardiac_arrest: true, cardiac_rhythm: 'vfib' };
+
+    expect(at(0, { cardiac_rhythm: 'sinus' }).active).toBe(false);
+    expect(promptIds(at(1, vfib))).toEqual(['cpr', 'shock']);
+    at(2, { ...vfib, cpr_in_progress: true });
+    expect(tracker.getStatus()).toMatchObject({ arrestTime: 1, cycle: { number: 1, elapsed: 0 } });
+
+    // A shock during compressions ends the cycle and starts the next one
+    act('defibrillate', { energy: 200 }, { success: false });
+    expect(tracker.getStatus()).toMatchObject({ shockCount: 1, cycle: { number: 2, elapsed: 0 } });
+    expect(promptIds(at(122, { ...vfib, cpr_in_progress: true }))).toContain('rhythm_check');
+
+    at(123, { cardiac_arrest: false, cardiac_rhythm: 'sinus', cpr_in_progress: true });
+    const report = tracker.getReport();
+    expect(report).toMatchObject({ outcome: 'rosc', duration: 122, initialRhythm: 'vfib', shockCount: 1, cycleCount: 2 });
+    expect(report.timeline).toContainEqual({ time: 122, type: 'rosc', rhythm: 'sinus' });
+    expect(tracker.getStatus().active).toBe(false);
+
+    // Each prompt is announced once when it appears
+    expect(engine.prompts).toEqual(['cpr', 'shock', 'rhythm_check']);
+  });
+
+  test('epinephrine is due every 3 to 5 minutes', () => {
+    const { tracker, at, act } = createTracker();
+    const pea = { cardiac_arrest: true, cardiac_rhythm: 'pea', cpr_in_progress: true };
+    at(0, pea);
+    act('applyMedication', { medicationName: 'epinephrine', dose: 1 });
+
+    expect(promptIds(at(120, pea))).not.toContain('epinephrine');
+    expect(promptIds(at(180, pea))).toContain('epinephrine');
+    expect(promptIds(at(310, pea))).toContain('epinephrine_overdue');
+
+    act('applyMedication', { medicationName: 'epinephrine', dose: 1 });
+    expect(tracker.getStatus().epinephrine).toEqual({ doses: 2, sinceLast: 0, nextDueIn: 180 });
+    expect(tracker.getReport().issues).toContain('Интервал между дозами адреналина 310 с (цель - 3-5 минут)');
+
+    tracker.reset();
+    expect(tracker.getReport()).toBeNull();
+  });
+});
@@ -0,0 +1,463 @@
+/**
+ * CPRModule.js
+ *
+ * Этот модуль моделирует сердечно-легочную реанимацию. Компрессии задаются
+ * частотой, глубиной и полнотой расправления грудной клетки (кнопками панели
+ * или нажатиями клавиши в такт компрессиям) и соотношением компрессий и вдохов.
+ * По качеству компрессий рассчитываются давление в аорте, коронарное
+ * перфузионное давление и EtCO2. Паузы в компрессиях снижают перфузию и
+ * учитываются в отчете о качестве СЛР для разбора.
+ */
+
+import { systemClock } from '../utils/time/VirtualClock';
+
+// Рекомендуемые показатели: частота (в минуту), глубина (см), доля
+// расправления грудной клетки и доля времени остановки с компрессиями
+export const CPR_TARGETS = {
+  rate: { min: 100, max: 120 },
+  depth: { min: 5, max: 6 },
+  recoil: 0.9,
+  compressionFraction: 0.8
+};
+
+// Соотношения компрессий и вдохов: компрессий в цикле и пауза на два вдоха (с);
+// continuous - компрессии без пауз, вдохи асинхронно (после интубации)
+export const VENTILATION_RATIOS = {
+  '30:2': { compressions: 30, pause: 4 },
+  '15:2': { compressions: 15, pause: 4 },
+  continuous: { compressions: 0, pause: 0 }
+};
+
+// Пауза в компрессиях длиннее этой считается прерыванием СЛР (с)
+const INTERRUPTION_SECONDS = 10;
+
+// Метроном: число последних интервалов между нажатиями для расчета частоты
+// и время без нажатий, после которого компрессии считаются прекращенными (с)
+const METRONOME_WINDOW = 5;
+const METRONOME_TIMEOUT = 1.5;
+
+// Постоянные времени (с): нарастание перфузии от серии компрессий,
+// ее падение в паузе и изменение EtCO2
+const PERFUSION_RISE_TAU = 8;
+const PERFUSION_FALL_TAU = 3;
+const ETCO2_TAU = 10;
+
+// Давления при идеальных компрессиях (мм рт.ст.): диастолическое в аорте,
+// прирост систолического над ним и давление в правом предсердии при полном
+// расправлении (при неполном расправлении оно растет до +12)
+const MAX_AORTIC_DIASTOLIC = 32;
+const MAX_PULSE_PRESSURE = 60;
+const RIGHT_ATRIAL_PRESSURE = 4;
+const INCOMPLETE_RECOIL_PRESSURE = 12;
+
+// EtCO2 без кровотока и прирост при идеальных компрессиях (мм рт.ст.)
+const NO_FLOW_ETCO2 = 3;
+const MAX_CPR_ETCO2 = 22;
+
+// Сердечный выброс при идеальных компрессиях (л/мин)
+const MAX_CPR_CARDIAC_OUTPUT = 1.5;
+
+class CPRModule {
+  /**
+   * @param {Object} clock - Источник времени с методом now()
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  /**
+   * Замена источника времени
+   * @param {Object} clock - Часы с методом now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.lastUpdate = clock.now();
+  }
+
+  /**
+   * Сброс СЛР, настроек и статистики
+   */
+  reset() {
+    this.settings = { rate: 110, depth: 5.5, recoil: 1, ratio: '30:2' };
+    this.active = false;
+    this.inputMode = 'manual';
+    this.presses = [];
+    this.cycleCompressions = 0;
+    this.ventilationPause = 0;
+    this.delivering = false;
+    this.perfusion = 0;
+    this.etco2 = NO_FLOW_ETCO2;
+    this.arrest = false;
+    this.lastUpdate = this.clock.now();
+    this.stats = null;
+  }
+
+  /**
+   * Начало или продолжение компрессий
+   * @param {string} inputMode - manual (параметры с панели) или metronome (нажатия клавиши)
+   */
+  start(inputMode = 'manual') {
+    if (!this.stats) {
+      this.stats = this.createStats();
+    }
+
+    this.active = true;
+    this.inputMode = inputMode;
+    this.presses = [];
+    this.cycleCompressions = 0;
+    this.ventilationPause = 0;
+  }
+
+  /**
+   * Прекращение компрессий (время без компрессий учитывается как пауза)
+   */
+  stop() {
+    this.active = false;
+    this.presses = [];
+  }
+
+  /**
+   * Изменение параметров компрессий
+   * @param {Object} settings - rate (в минуту), depth (см), recoil (0-1), ratio (30:2, 15:2, continuous)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setSettings(settings = {}) {
+    const next = { ...this.settings, ...settings };
+
+    if (!VENTILATION_RATIOS[next.ratio]) {
+      console.warn(`Неизвестное соотношение компрессий и вдохов: ${next.ratio}`);
+      return null;
+    }
+
+    if (!(next.rate >= 0 && next.rate <= 200) || !(next.depth >= 0 && next.depth <= 10) ||
+        !(next.recoil >= 0 && next.recoil <= 1)) {
+      console.warn('Некорректные параметры компрессий');
+      return null;
+    }
+
+    if (next.ratio !== this.settings.ratio) {
+      this.cycleCompressions = 0;
+      this.ventilationPause = 0;
+    }
+
+    this.settings = next;
+    return { ...this.settings };
+  }
+
+  /**
+   * Нажатие клавиши-метронома: одна компрессия; частота рассчитывается
+   * по интервалам между нажатиями
+   * @returns {boolean} Начаты ли этим нажатием компрессии
+   */
+  registerCompression() {
+    const started = !this.active || this.inputMode !== 'metronome';
+    if (started) {
+      this.start('metronome');
+    }
+
+    // После перерыва частота считается заново
+    const now = this.clock.now();
+    const lastPress = this.presses[this.presses.length - 1];
+    if (lastPress !== undefined && now - lastPress > METRONOME_TIMEOUT * 1000) {
+      this.presses = [];
+    }
+
+    this.presses.push(now);
+    if (this.presses.length > METRONOME_WINDOW + 1) {
+      this.presses.shift();
+    }
+
+    if (this.stats && this.arrest) {
+      this.stats.compressionCount++;
+    }
+
+    return started;
+  }
+
+  /**
+   * Частота компрессий: по настройке или по нажатиям метронома
+   * @returns {number} Частота в минуту
+   */
+  getRate() {
+    if (this.inputMode !== 'metronome') return this.settings.rate;
+    if (this.presses.length < 2) return 0;
+
+    const span = this.presses[this.presses.length - 1] - this.presses[0];
+    return span > 0 ? (this.presses.length - 1) * 60000 / span : 0;
+  }
+
+  /**
+   * Идут ли компрессии: при вводе метрономом - пока продолжаются нажатия
+   * @returns {boolean} Руки на грудной клетке
+   */
+  isCompressing() {
+    if (!this.active) return false;
+    if (this.inputMode !== 'metronome') return this.settings.rate > 0;
+
+    const lastPress = this.presses[this.presses.length - 1];
+    return lastPress !== undefined && this.clock.now() - lastPress <= METRONOME_TIMEOUT * 1000;
+  }
+
+  /**
+   * Эффективность компрессий относительно идеальных
+   * @param {number} rate - Частота в минуту
+   * @param {number} depth - Глубина (см)
+   * @param {number} recoil - Доля расправления грудной клетки (0-1)
+   * @returns {number} Качество (0-1)
+   */
+  getCompressionQuality(rate, depth, recoil) {
+    // Выброс растет с глубиной до рекомендуемой
+    const depthFactor = Math.min(1, Math.max(0, (depth - 1) / (CPR_TARGETS.depth.min - 1)));
+
+    // Редкие компрессии дают меньше выброса, слишком частые не успевают заполнить сердце
+    const rateFactor = rate <= CPR_TARGETS.rate.max
+      ? Math.min(1, rate / CPR_TARGETS.rate.min)
+      : Math.max(0.4, 1 - (rate - CPR_TARGETS.rate.max) / 100);
+
+    // Неполное расправление повышает внутригрудное давление и снижает венозный возврат
+    const recoilFactor = 0.5 + 0.5 * recoil;
+
+    return depthFactor * rateFactor * recoilFactor;
+  }
+
+  /**
+   * Продвижение СЛР до текущего времени: паузы на вдохи, перфузия, EtCO2
+   * и статистика для отчета (учитывается только время остановки кровообращения)
+   * @param {Object} state - Состояние пациента
+   * @returns {Object} Состояние СЛР (getStatus)
+   */
+  update(state = {}) {
+    const now = this.clock.now();
+    const dt = Math.max(0, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+    this.arrest = Boolean(state.cardiac_arrest);
+
+    const rate = this.getRate();
+    const { depth, recoil } = this.settings;
+    const compressing = this.isCompressing();
+
+    // При соотношении компрессий и вдохов после каждой серии - пауза на два вдоха
+    const ratio = VENTILATION_RATIOS[this.settings.ratio];
+    let delivering = compressing;
+    if (compressing && this.inputMode !== 'metronome' && ratio.compressions > 0) {
+      if (this.ventilationPause > 0) {
+        this.ventilationPause = Math.max(0, this.ventilationPause - dt);
+        delivering = false;
+      } else {
+        this.cycleCompressions += rate * dt / 60;
+        if (this.cycleCompressions >= ratio.compressions) {
+          this.cycleCompressions = 0;
+          this.ventilationPause = ratio.pause;
+        }
+      }
+    }
+    this.delivering = delivering;
+
+    // Перфузия нарастает за серию компрессий и быстро падает в паузе
+    const quality = delivering ? this.getCompressionQuality(rate, depth, recoil) : 0;
+    const tau = quality > this.perfusion ? PERFUSION_RISE_TAU : PERFUSION_FALL_TAU;
+    this.perfusion += (quality - this.perfusion) * (1 - Math.exp(-dt / tau));
+
+    // EtCO2 отражает легочный кровоток
+    const etco2Target = NO_FLOW_ETCO2 + MAX_CPR_ETCO2 * quality;
+    this.etco2 += (etco2Target - this.etco2) * (1 - Math.exp(-dt / ETCO2_TAU));
+
+    if (this.stats && this.arrest) {
+      this.updateStats(dt, { rate, depth, recoil, quality });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Накопление статистики компрессий за шаг
+   * @param {number} dt - Длительность шага (с)
+   * @param {Object} compression - rate, depth, recoil и quality за шаг
+   */
+  updateStats(dt, { rate, depth, recoil, quality }) {
+    const stats = this.stats;
+    stats.duration += dt;
+    stats.cppTime += this.getCoronaryPerfusionPressure() * dt;
+
+    if (!this.delivering) {
+      stats.currentPause += dt;
+      stats.longestPause = Math.max(stats.longestPause, stats.currentPause);
+      return;
+    }
+
+    if (stats.currentPause > INTERRUPTION_SECONDS) {
+      stats.interruptions++;
+    }
+    stats.currentPause = 0;
+
+    stats.compressionTime += dt;
+    stats.rateTime += rate * dt;
+    stats.depthTime += depth * dt;
+    stats.recoilTime += recoil * dt;
+    stats.qualityTime += quality * dt;
+    if (rate >= CPR_TARGETS.rate.min && rate <= CPR_TARGETS.rate.max) stats.rateOnTarget += dt;
+    if (depth >= CPR_TARGETS.depth.min && depth <= CPR_TARGETS.depth.max) stats.depthOnTarget += dt;
+    if (recoil >= CPR_TARGETS.recoil) stats.recoilOnTarget += dt;
+
+    // При вводе метрономом компрессии считаются по нажатиям
+    if (this.inputMode !== 'metronome') {
+      stats.compressionCount += rate * dt / 60;
+    }
+  }
+
+  /**
+   * Пустая статистика сеанса СЛР
+   * @returns {Object} Счетчики времени (с) и компрессий
+   */
+  createStats() {
+    return {
+      duration: 0,
+      compressionTime: 0,
+      compressionCount: 0,
+      rateTime: 0,
+      depthTime: 0,
+      recoilTime: 0,
+      qualityTime: 0,
+      rateOnTarget: 0,
+      depthOnTarget: 0,
+      recoilOnTarget: 0,
+      cppTime: 0,
+      currentPause: 0,
+      longestPause: 0,
+      interruptions: 0
+    };
+  }
+
+  /**
+   * Коронарное перфузионное давление: диастолическое давление в аорте
+   * минус давление в правом предсердии
+   * @returns {number} Давление (мм рт.ст.)
+   */
+  getCoronaryPerfusionPressure() {
+    const rightAtrial = RIGHT_ATRIAL_PRESSURE + INCOMPLETE_RECOIL_PRESSURE * (1 - this.settings.recoil);
+    return Math.max(0, (MAX_AORTIC_DIASTOLIC - rightAtrial) * this.perfusion);
+  }
+
+  /**
+   * Кровообращение, создаваемое компрессиями; в паузе пульсового давления нет
+   * @returns {Object} systolic, diastolic, coronary_perfusion_pressure, etco2 и cardiac_output
+   */
+  getPerfusion() {
+    const quality = this.delivering
+      ? this.getCompressionQuality(this.getRate(), this.settings.depth, this.settings.recoil)
+      : 0;
+    const diastolic = this.delivering ? MAX_AORTIC_DIASTOLIC * this.perfusion : 0;
+
+    return {
+      systolic: this.delivering ? diastolic + MAX_PULSE_PRESSURE * quality : 0,
+      diastolic,
+      coronary_perfusion_pressure: this.getCoronaryPerfusionPressure(),
+      etco2: this.etco2,
+      cardiac_output: MAX_CPR_CARDIAC_OUTPUT * quality
+    };
+  }
+
+  /**
+   * Состояние СЛР для монитора и панели
+   * @returns {Object} Параметры компрессий, перфузия, текущая пауза и отчет
+   */
+  getStatus() {
+    const rate = this.getRate();
+    const stats = this.stats;
+
+    return {
+      active: this.active,
+      inputMode: this.inputMode,
+      compressing: this.isCompressing(),
+      delivering: this.delivering,
+      ventilating: this.ventilationPause > 0,
+      rate: Math.round(rate),
+      setRate: this.settings.rate,
+      depth: this.settings.depth,
+      recoil: this.settings.recoil,
+      ratio: this.settings.ratio,
+      quality: Math.round(this.getCompressionQuality(rate, this.settings.depth, this.settings.recoil) * 100) / 100,
+      coronaryPerfusionPressure: Math.round(this.getCoronaryPerfusionPressure()),
+      handsOffSeconds: stats ? Math.round(stats.currentPause) : 0,
+      compressionFraction: stats && stats.duration > 0 ? Math.round(stats.compressionTime / stats.duration * 100) / 100 : 0,
+      report: this.getReport()
+    };
+  }
+
+  /**
+   * Отчет о качестве СЛР за время остановки кровообращения
+   * @returns {Object|null} Показатели, оценка (0-100) и замечания; null, если СЛР не проводилась
+   */
+  getReport() {
+    const stats = this.stats;
+    if (!stats) return null;
+
+    const compressionTime = stats.compressionTime;
+    const share = (value) => (compressionTime > 0 ? Math.round(value / compressionTime * 100) / 100 : 0);
+    const average = (value, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return compressionTime > 0 ? Math.round(value / compressionTime * factor) / factor : 0;
+    };
+
+    const compressionFraction = stats.duration > 0 ? Math.round(compressionTime / stats.duration * 100) / 100 : 0;
+    const report = {
+      duration: Math.round(stats.duration),
+      compressionTime: Math.round(compressionTime),
+      handsOffTime: Math.round(stats.duration - compressionTime),
+      compressionFraction,
+      compressionCount: Math.round(stats.compressionCount),
+      meanRate: average(stats.rateTime),
+      meanDepth: average(stats.depthTime, 1),
+      meanRecoil: share(stats.recoilTime),
+      rateOnTarget: share(stats.rateOnTarget),
+      depthOnTarget: share(stats.depthOnTarget),
+      recoilOnTarget: share(stats.recoilOnTarget),
+      meanCoronaryPerfusionPressure: stats.duration > 0 ? Math.round(stats.cppTime / stats.duration) : 0,
+      interruptions: stats.interruptions + (stats.currentPause > INTERRUPTION_SECONDS ? 1 : 0),
+      longestPause: Math.round(stats.longestPause)
+    };
+
+    // Оценка: доля времени с компрессиями относительно цели и доли времени
+    // с рекомендуемыми частотой, глубиной и расправлением
+    const fractionScore = Math.min(1, compressionFraction / CPR_TARGETS.compressionFraction);
+    report.score = Math.round((fractionScore + report.rateOnTarget + report.depthOnTarget + report.recoilOnTarget) / 4 * 100);
+    report.issues = this.getReportIssues(report);
+
+    return report;
+  }
+
+  /**
+   * Замечания к качеству СЛР для разбора
+   * @param {Object} report - Показатели отчета
+   * @returns {Array} Сообщения
+   */
+  getReportIssues(report) {
+    const issues = [];
+    if (report.compressionTime === 0) return issues;
+
+    if (report.compressionFraction < CPR_TARGETS.compressionFraction) {
+      issues.push(`Компрессии занимали ${Math.round(report.compressionFraction * 100)}% времени остановки (цель - не менее ${CPR_TARGETS.compressionFraction * 100}%)`);
+    }
+    if (report.meanRate < CPR_TARGETS.rate.min) {
+      issues.push(`Частота компрессий ниже ${CPR_TARGETS.rate.min} в минуту`);
+    } else if (report.meanRate > CPR_TARGETS.rate.max) {
+      issues.push(`Частота компрессий выше ${CPR_TARGETS.rate.max} в минуту`);
+    }
+    if (report.meanDepth < CPR_TARGETS.depth.min) {
+      issues.push(`Глубина компрессий меньше ${CPR_TARGETS.depth.min} см`);
+    } else if (report.meanDepth > CPR_TARGETS.depth.max) {
+      issues.push(`Глубина компрессий больше ${CPR_TARGETS.depth.max} см`);
+    }
+    if (report.meanRecoil < CPR_TARGETS.recoil) {
+      issues.push('Неполное расправление грудной клетки');
+    }
+    if (report.interruptions > 0) {
+      issues.push(`Перерывов в компрессиях дольше ${INTERRUPTION_SECONDS} с: ${report.interruptions} (самый долгий - ${report.longestPause} с)`);
+    }
+
+    return issues;
+  }
+}
+
+export default CPRModule;
@@ -0,0 +1,95 @@
+import CPRModule from './CPRModule';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('CPRModule', () => {
+  const arrest = { cardiac_arrest: true };
+
+  const createCPR = () => {
+    const clock = new VirtualClock(0);
+    return { clock, cpr: new CPRModule(clock) };
+  };
+
+  // Half-second updates, as the engine steps the simulation
+  const run = (clock, cpr, seconds, state = arrest) => {
+    const statuses = [];
+    for (let i = 0; i < seconds * 2; i++) {
+      clock.advance(500);
+      statuses.push(cpr.update(state));
+    }
+    return statuses;
+  };
+
+  test('settings are checked and rate, depth and recoil set the compression quality', () => {
+    const { cpr } = createCPR();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(cpr.setSettings({ depth: 12 })).toBeNull();
+    expect(cpr.setSettings({ ratio: '5:1' })).toBeNull();
+    jest.restoreAllMocks();
+
+    expect(cpr.getCompressionQuality(110, 5.5, 1)).toBe(1);
+    expect(cpr.getCompressionQuality(80, 5.5, 1)).toBeCloseTo(0.8);
+    expect(cpr.getCompressionQuality(160, 5.5, 1)).toBeCloseTo(0.6);
+    expect(cpr.getCompressionQuality(110, 3, 1)).toBeCloseTo(0.5);
+    expect(cpr.getCompressionQuality(110, 5.5, 0.5)).toBeCloseTo(0.75);
+  });
+
+  test('hands-off time counts against the compression fraction, time with a pulse does not', () => {
+    const { clock, cpr } = createCPR();
+    cpr.setSettings({ ratio: 'continuous' });
+    cpr.start();
+    run(clock, cpr, 60);
+
+    cpr.stop();
+    const paused = run(clock, cpr, 15);
+    expect(paused[paused.length - 1]).toMatchObject({ active: false, delivering: false, handsOffSeconds: 15 });
+
+    cpr.start();
+    run(clock, cpr, 45);
+
+    const report = cpr.getReport();
+    expect(report).toMatchObject({ duration: 120, compressionTime: 105, handsOffTime: 15, interruptions: 1, longestPause: 15 });
+    expect(report.compressionFraction).toBeCloseTo(0.88, 2);
+    expect(report.compressionCount).toBeCloseTo(105 * 110 / 60, -1);
+    expect(report.issues).toEqual(['Перерывов в компрессиях дольше 10 с: 1 (самый долгий - 15 с)']);
+
+    run(clock, cpr, 30, { cardiac_arrest: false });
+    expect(cpr.getReport().duration).toBe(120);
+
+    cpr.reset();
+    expect(cpr.getReport()).toBeNull();
+  });
+
+  test('30:2 pauses for two breaths after every 30 compressions', () => {
+    const { clock, cpr } = createCPR();
+    cpr.setSettings({ rate: 120 });
+    cpr.start();
+
+    const ventilating = run(clock, cpr, 38).map(status => status.ventilating);
+
+    // 30 compressions at 120/min take 15 s, then 4 s of breaths
+    expect(ventilating.slice(0, 29).some(Boolean)).toBe(false);
+    expect(ventilating.slice(30, 37).every(Boolean)).toBe(true);
+    expect(ventilating[39]).toBe(false);
+
+    const report = cpr.getReport();
+    expect(report.compressionFraction).toBeGreaterThan(0.75);
+    expect(report.compressionFraction).toBeLessThan(0.82);
+    expect(report.interruptions).toBe(0);
+  });
+
+  test('metronome presses set the rate and count the compressions', () => {
+    const { clock, cpr } = createCPR();
+
+    for (let i = 0; i < 20; i++) {
+      clock.advance(500);
+      cpr.update(arrest);
+      expect(cpr.registerCompression()).toBe(i === 0);
+    }
+    expect(cpr.getStatus()).toMatchObject({ active: true, inputMode: 'metronome', compressing: true, rate: 120 });
+
+    // Without presses the compressions stop
+    run(clock, cpr, 3);
+    expect(cpr.getStatus()).toMatchObject({ active: true, compressing: false, delivering: false, rate: 120 });
+    expect(cpr.getReport().compressionCount).toBe(20);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * DefibrillatorModule.js
+ *
+ * Этот модуль моделирует ручной дефибриллятор. Перед разрядом конденсатор
+ * заряжается до выбранной энергии (время заряда зависит от энергии), заряд
+ * можно сбросить без разряда, а неиспользованный заряд сбрасывается сам через
+ * минуту. В режиме синхронизации разряд наносится на R-зубец, поэтому он
+ * невозможен при ритмах без комплексов QRS. Вероятность прекращения аритмии
+ * растет с энергией разряда; монофазной форме импульса нужна большая энергия,
+ * чем бифазной.
+ */
+
+import { systemClock } from '../utils/time/VirtualClock';
+
+// Формы импульса: наибольшая энергия (Дж), скорость заряда (Дж/с) и
+// ступени энергии на панели прибора
+export const DEFIBRILLATOR_WAVEFORMS = {
+  biphasic: { maxEnergy: 200, chargeRate: 50, energyLevels: [50, 75, 100, 120, 150, 200] },
+  monophasic: { maxEnergy: 360, chargeRate: 45, energyLevels: [50, 100, 200, 300, 360] }
+};
+
+// Ритмы, которые прекращаются разрядом: энергия бифазного импульса с
+// вероятностью успеха 50% (Дж) и наибольшая вероятность успеха
+export const SHOCKABLE_RHYTHMS = {
+  vfib: { e50: 100, maxSuccess: 0.95 },
+  vtach: { e50: 40, maxSuccess: 0.95 },
+  afib: { e50: 90, maxSuccess: 0.9 },
+  aflutter: { e50: 35, maxSuccess: 0.95 },
+  svt: { e50: 35, maxSuccess: 0.95 }
+};
+
+// Монофазному импульсу для того же эффекта нужна вдвое большая энергия
+const MONOPHASIC_ENERGY_FACTOR = 2;
+
+// Крутизна зависимости успеха от энергии
+const ENERGY_CURVE_STEEPNESS = 3;
+
+// Время, через которое неиспользованный заряд сбрасывается (с)
+const AUTO_DISARM_SECONDS = 60;
+
+// Ритмы без R-зубцов, на которые невозможен синхронизированный разряд
+const UNSYNCHRONIZABLE_RHYTHMS = ['vfib', 'asystole'];
+
+class DefibrillatorModule {
+  /**
+   * @param {Object} clock - Источник времени с методом now()
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  /**
+   * Замена источника времени
+   * @param {Object} clock - Часы с методом now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Сброс заряда и возврат к настройкам по умолчанию
+   */
+  reset() {
+    this.settings = { energy: 200, waveform: 'biphasic', sync: false };
+    this.charge = null;
+    this.shockCount = 0;
+    this.lastShock = null;
+  }
+
+  /**
+   * Изменение настроек; смена энергии или формы импульса сбрасывает заряд
+   * @param {Object} settings - energy (Дж), waveform (biphasic, monophasic), sync
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setSettings(settings = {}) {
+    const next = { ...this.settings, ...settings };
+
+    const waveform = DEFIBRILLATOR_WAVEFORMS[next.waveform];
+    if (!waveform) {
+      console.warn(`Неизвестная форма импульса: ${next.waveform}`);
+      return null;
+    }
+
+    if (!(next.energy > 0 && next.energy <= waveform.maxEnergy)) {
+      console.warn(`Некорректная энергия разряда: ${next.energy}`);
+      return null;
+    }
+
+    if (next.energy !== this.settings.energy || next.waveform !== this.settings.waveform) {
+      this.charge = null;
+    }
+
+    this.settings = { ...next, sync: Boolean(next.sync) };
+    return { ...this.settings };
+  }
+
+  /**
+   * Начало заряда до установленной энергии
+   * @returns {boolean} Начат ли заряд
+   */
+  startCharging() {
+    const { energy, waveform } = this.settings;
+    const chargeTime = energy / DEFIBRILLATOR_WAVEFORMS[waveform].chargeRate;
+
+    this.charge = { energy, startedAt: this.clock.now(), readyAt: this.clock.now() + chargeTime * 1000 };
+    return true;
+  }
+
+  /**
+   * Сброс заряда без разряда
+   * @returns {boolean} Был ли прибор заряжен или заряжался
+   */
+  disarm() {
+    const charged = this.getChargeState() !== 'idle';
+    this.charge = null;
+    return charged;
+  }
+
+  /**
+   * Состояние конденсатора; заряд, не использованный за минуту, сбрасывается
+   * @returns {string} idle, charging или charged
+   */
+  getChargeState() {
+    if (!this.charge) return 'idle';
+
+    const now = this.clock.now();
+    if (now < this.charge.readyAt) return 'charging';
+
+    if (now - this.charge.readyAt > AUTO_DISARM_SECONDS * 1000) {
+      this.charge = null;
+      return 'idle';
+    }
+
+    return 'charged';
+  }
+
+  /**
+   * Возможен ли синхронизированный разряд при текущем ритме
+   * @param {Object} state - Состояние пациента
+   * @returns {boolean} Есть ли R-зубцы для синхронизации
+   */
+  canSynchronize(state = {}) {
+    return !UNSYNCHRONIZABLE_RHYTHMS.includes(state.cardiac_rhythm);
+  }
+
+  /**
+   * Разряд накопленной энергии; после разряда прибор возвращается
+   * в несинхронизированный режим
+   * @returns {Object|null} energy, waveform, synchronized или null, если прибор не заряжен
+   */
+  discharge() {
+    if (this.getChargeState() !== 'charged') return null;
+
+    const shock = {
+      energy: this.charge.energy,
+      waveform: this.settings.waveform,
+      synchronized: this.settings.sync
+    };
+
+    this.charge = null;
+    this.settings = { ...this.settings, sync: false };
+    this.shockCount++;
+    this.lastShock = shock;
+
+    return shock;
+  }
+
+  /**
+   * Запоминание исхода последнего разряда для панели прибора
+   * @param {Object} result - Результат разряда ({ success, message })
+   */
+  setShockResult(result) {
+    if (this.lastShock) {
+      this.lastShock = { ...this.lastShock, success: result.success, message: result.message };
+    }
+  }
+
+  /**
+   * Вероятность прекращения аритмии разрядом
+   * @param {string} rhythm - Ритм пациента
+   * @param {number} energy - Энергия разряда (Дж)
+   * @param {string} waveform - Форма импульса
+   * @returns {number} Вероятность (0-1); 0 для ритмов, не требующих разряда
+   */
+  getShockSuccess(rhythm, energy, waveform = 'biphasic') {
+    const curve = SHOCKABLE_RHYTHMS[rhythm];
+    if (!curve || !(energy > 0)) return 0;
+
+    const e50 = waveform === 'monophasic' ? curve.e50 * MONOPHASIC_ENERGY_FACTOR : curve.e50;
+    const ratio = Math.pow(energy / e50, ENERGY_CURVE_STEEPNESS);
+    return curve.maxSuccess * ratio / (1 + ratio);
+  }
+
+  /**
+   * Состояние прибора для панели
+   * @param {Object} state - Состояние пациента
+   * @returns {Object} Настройки, chargeState, chargedEnergy, chargeProgress (0-1),
+   *                   syncAvailable, shockCount и lastShock
+   */
+  getStatus(state = {}) {
+    const chargeState = this.getChargeState();
+    let chargeProgress = 0;
+    if (chargeState === 'charged') {
+      chargeProgress = 1;
+    } else if (chargeState === 'charging') {
+      chargeProgress = (this.clock.now() - this.charge.startedAt) / (this.charge.readyAt - this.charge.startedAt);
+    }
+
+    return {
+      ...this.settings,
+      chargeState,
+      chargedEnergy: chargeState === 'idle' ? 0 : this.charge.energy,
+      chargeProgress,
+      syncAvailable: this.canSynchronize(state),
+      shockCount: this.shockCount,
+      lastShock: this.lastShock ? { ...this.lastShock } : null
+    };
+  }
+}
+
+export default DefibrillatorModule;
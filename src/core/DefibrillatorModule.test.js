@@ -0,0 +1,63 @@
+import DefibrillatorModule from './DefibrillatorModule';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('DefibrillatorModule', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('charges, holds and disarms the charge', () => {
+    const clock = new VirtualClock(0);
+    const defibrillator = new DefibrillatorModule(clock);
+
+    expect(defibrillator.setSettings({ energy: 300 })).toBeNull();
+    expect(defibrillator.setSettings({ waveform: 'monophasic', energy: 360 }))
+      .toMatchObject({ waveform: 'monophasic', energy: 360, sync: false });
+    expect(defibrillator.setSettings({ waveform: 'biphasic', energy: 200 })).not.toBeNull();
+
+    // 200 J charge in 4 seconds
+    expect(defibrillator.discharge()).toBeNull();
+    defibrillator.startCharging();
+    clock.advance(2000);
+    expect(defibrillator.getStatus()).toMatchObject({ chargeState: 'charging', chargeProgress: 0.5 });
+    clock.advance(2000);
+    expect(defibrillator.getStatus()).toMatchObject({ chargeState: 'charged', chargedEnergy: 200 });
+
+    expect(defibrillator.disarm()).toBe(true);
+    expect(defibrillator.disarm()).toBe(false);
+
+    // A new energy level needs a new charge
+    defibrillator.setSettings({ energy: 150 });
+    defibrillator.startCharging();
+    clock.advance(4000);
+    defibrillator.setSettings({ energy: 120 });
+    expect(defibrillator.getChargeState()).toBe('idle');
+
+    // An unused charge is dumped after a minute
+    defibrillator.startCharging();
+    clock.advance(70000);
+    expect(defibrillator.getChargeState()).toBe('idle');
+
+    // A synchronized shock returns the device to the unsynchronized mode
+    defibrillator.setSettings({ sync: true });
+    defibrillator.startCharging();
+    clock.advance(3000);
+    expect(defibrillator.discharge()).toEqual({ energy: 120, waveform: 'biphasic', synchronized: true });
+    expect(defibrillator.getStatus({ cardiac_rhythm: 'vfib' })).toMatchObject({ sync: false, shockCount: 1, syncAvailable: false });
+  });
+
+  test('energy curves favour biphasic waveforms', () => {
+    const defibrillator = new DefibrillatorModule();
+
+    expect(defibrillator.getShockSuccess('vfib', 200)).toBeGreaterThan(defibrillator.getShockSuccess('vfib', 120));
+    expect(defibrillator.getShockSuccess('vfib', 200, 'monophasic')).toBeLessThan(defibrillator.getShockSuccess('vfib', 200));
+    expect(defibrillator.getShockSuccess('vfib', 360, 'monophasic')).toBeCloseTo(defibrillator.getShockSuccess('vfib', 180), 5);
+    expect(defibrillator.getShockSuccess('aflutter', 50)).toBeGreaterThan(defibrillator.getShockSuccess('afib', 50));
+    expect(defibrillator.getShockSuccess('sinus', 200)).toBe(0);
+    expect(defibrillator.getShockSuccess('asystole', 200)).toBe(0);
+  });
+});
@@ -5,23 +5,39 @@
  * и осложнений во время симуляции, что делает опыт более реалистичным и обучающим.
  */
 
+import { systemClock } from '../utils/time/VirtualClock';
+import { SHOCKABLE_RHYTHMS } from '../utils/physiological-calculations/PostCardiacArrestModel';
+
 class EventsAndComplicationsModule {
-    constructor(physiologicalModel) {
+    constructor(physiologicalModel, random = Math.random, clock = systemClock) {
       // Модель физиологии, с которой будет взаимодействовать модуль
       this.physiologicalModel = physiologicalModel;
       
+      // Источник случайных чисел для выбора событий и осложнений
+      this.random = random;
+      
+      // Источник времени (системные или виртуальные часы)
+      this.clock = clock;
+      
       // Вероятность возникновения спонтанных событий (в процентах)
       this.eventProbability = 5;
       
       // История событий
       this.eventsHistory = [];
       
+      // Активные события (те же записи, что и в истории); история растет
+      // за длительную сессию, поэтому проверки ведутся по этому списку
+      this.activeEvents = [];
+      
       // Активные осложнения
       this.activeComplications = [];
       
       // Интервал проверки событий
       this.checkInterval = null;
       
+      // Период между проверками событий (мс), используется для расчета вероятностей
+      this.checkIntervalMs = 10000;
+      
       // Базовая библиотека возможных событий
       this.eventsLibrary = this.initEventsLibrary();
       
@@ -157,6 +173,67 @@ class EventsAndComplicationsModule {
             compatibleScenarios: ['respiratory_distress', 'heart_failure'],
             incompatibleScenarios: ['cardiac_arrest'],
             requiredConditions: {}
+          },
+          {
+            id: 'ventricular_fibrillation',
+            name: 'Фибрилляция желудочков',
+            description: 'Остановка кровообращения с фибрилляцией желудочков на фоне ишемии миокарда',
+            severity: 'critical',
+            probability: 0, // Возникает только по риску ишемии (checkIschemicArrhythmias)
+            duration: { permanent: true },
+            physiologicalChanges: {},
+            // Состояние, которое задается напрямую и не отменяется
+            stateChanges: {
+              cardiac_arrest: true,
+              cardiac_rhythm: 'vfib',
+              hr: 0,
+              systolic: 0,
+              diastolic: 0
+            },
+            triggers: [],
+            compatibleScenarios: ['cardiac_ischemia'],
+            incompatibleScenarios: ['cardiac_arrest'],
+            requiredConditions: {}
+          },
+          {
+            id: 'recurrent_vf',
+            name: 'Повторная фибрилляция желудочков',
+            description: 'Повторная остановка кровообращения после восстановления кровообращения при фибрилляции желудочков',
+            severity: 'critical',
+            probability: 0, // Возникает только по риску повторной остановки (checkRecurrentArrest)
+            duration: { permanent: true },
+            physiologicalChanges: {},
+            stateChanges: {
+              cardiac_arrest: true,
+              cardiac_rhythm: 'vfib',
+              hr: 0,
+              systolic: 0,
+              diastolic: 0
+            },
+            triggers: [],
+            compatibleScenarios: ['cardiac_arrest'],
+            incompatibleScenarios: [],
+            requiredConditions: {}
+          },
+          {
+            id: 'recurrent_pea',
+            name: 'Повторная электрическая активность без пульса',
+            description: 'Повторная остановка кровообращения после восстановления кровообращения при нешоковом ритме',
+            severity: 'critical',
+            probability: 0, // Возникает только по риску повторной остановки (checkRecurrentArrest)
+            duration: { permanent: true },
+            physiologicalChanges: {},
+            stateChanges: {
+              cardiac_arrest: true,
+              cardiac_rhythm: 'pea',
+              hr: 0,
+              systolic: 0,
+              diastolic: 0
+            },
+            triggers: [],
+            compatibleScenarios: ['cardiac_arrest'],
+            incompatibleScenarios: [],
+            requiredConditions: {}
           }
         ],
         
@@ -457,9 +534,9 @@ class EventsAndComplicationsModule {
         clearInterval(this.checkInterval);
       }
       
+      this.checkIntervalMs = checkIntervalMs;
       this.checkInterval = setInterval(() => {
-        this.checkForEvents();
-        this.updateActiveComplications();
+        this.update();
       }, checkIntervalMs);
       
       console.log("Мониторинг событий и осложнений запущен");
@@ -477,6 +554,42 @@ class EventsAndComplicationsModule {
       console.log("Мониторинг событий и осложнений остановлен");
     }
     
+    /**
+     * Замена источника времени
+     * @param {Object} clock - Часы с методом now()
+     */
+    setClock(clock) {
+      this.clock = clock;
+    }
+    
+    /**
+     * Один цикл проверки: новые события, завершение истекших событий и развитие осложнений.
+     * Вызывается по таймеру в реальном времени или движком в пошаговом режиме.
+     */
+    update() {
+      this.checkForEvents();
+      this.updateActiveEvents();
+      this.updateActiveComplications();
+    }
+    
+    /**
+     * Завершение событий, время действия которых истекло, и остановок
+     * кровообращения, после которых кровообращение восстановлено
+     */
+    updateActiveEvents() {
+      const now = this.clock.now();
+      
+      this.activeEvents
+        .filter(event => event.endTime > 0 && now >= event.endTime)
+        .forEach(event => this.endEvent(event));
+      
+      const arrestEvents = this.activeEvents
+        .filter(event => event.stateChanges && event.stateChanges.cardiac_arrest);
+      if (arrestEvents.length > 0 && this.physiologicalModel && !this.physiologicalModel.getState().cardiac_arrest) {
+        arrestEvents.forEach(event => this.endEvent(event));
+      }
+    }
+    
     /**
      * Проверка на возникновение новых событий
      */
@@ -487,7 +600,7 @@ class EventsAndComplicationsModule {
       const patientState = this.physiologicalModel.getState();
       
       // Проверяем возможность случайных событий
-      if (Math.random() * 100 < this.eventProbability) {
+      if (this.random() * 100 < this.eventProbability) {
         const event = this.selectRandomEvent(patientState);
         if (event) {
           this.triggerEvent(event);
@@ -497,6 +610,12 @@ class EventsAndComplicationsModule {
       // Проверяем события, связанные с конкретными условиями
       this.checkTriggerBasedEvents(patientState);
       
+      // Проверяем аритмии на фоне ишемии миокарда
+      this.checkIschemicArrhythmias(patientState);
+      
+      // Проверяем повторную остановку кровообращения после реанимации
+      this.checkRecurrentArrest(patientState);
+      
       // Проверяем возможность новых осложнений
       this.checkForNewComplications(patientState);
     }
@@ -523,7 +642,7 @@ class EventsAndComplicationsModule {
       
       // Если есть подходящие события, выбираем случайное
       if (allEvents.length > 0) {
-        const randomIndex = Math.floor(Math.random() * allEvents.length);
+        const randomIndex = Math.floor(this.random() * allEvents.length);
         return allEvents[randomIndex];
       }
       
@@ -538,10 +657,8 @@ class EventsAndComplicationsModule {
      */
     isEventApplicable(event, patientState) {
       // Проверяем необходимые условия
-      for (const [condition, value] of Object.entries(event.requiredConditions)) {
-        if (patientState[condition] !== value) {
-          return false;
-        }
+      if (!this.meetsRequiredConditions(event.requiredConditions, patientState)) {
+        return false;
       }
       
       // Проверяем несовместимые сценарии
@@ -552,13 +669,28 @@ class EventsAndComplicationsModule {
       }
       
       // Проверяем, не активно ли уже это событие
-      const isAlreadyActive = this.eventsHistory.some(
-        historyEvent => historyEvent.id === event.id && historyEvent.isActive
-      );
+      const isAlreadyActive = this.activeEvents.some(activeEvent => activeEvent.id === event.id);
       
       return !isAlreadyActive;
     }
     
+    /**
+     * Проверка необходимых условий события или осложнения.
+     * Числовое условие задает минимальное значение (например, длительность ИВЛ в часах),
+     * остальные условия должны совпадать точно.
+     * @param {Object} requiredConditions - Необходимые условия
+     * @param {Object} patientState - Текущее состояние пациента
+     * @returns {boolean} Выполнены ли все условия
+     */
+    meetsRequiredConditions(requiredConditions, patientState) {
+      return Object.entries(requiredConditions).every(([condition, value]) => {
+        if (typeof value === 'number') {
+          return typeof patientState[condition] === 'number' && patientState[condition] >= value;
+        }
+        return patientState[condition] === value;
+      });
+    }
+    
     /**
      * Проверка событий, основанных на триггерах
      * @param {Object} patientState - Текущее состояние пациента
@@ -604,7 +736,7 @@ class EventsAndComplicationsModule {
           
           if (hasMatchingTrigger && this.isEventApplicable(event, patientState)) {
             // Вероятностная проверка для триггерных событий (50% вероятность)
-            if (Math.random() < 0.5) {
+            if (this.random() < 0.5) {
               this.triggerEvent(event);
             }
           }
@@ -612,6 +744,44 @@ class EventsAndComplicationsModule {
       });
     }
     
+    /**
+     * Фибрилляция желудочков на фоне острой ишемии и реперфузии
+     * @param {Object} patientState - Текущее состояние пациента
+     */
+    checkIschemicArrhythmias(patientState) {
+      if (patientState.cardiac_arrest || !(patientState.vf_risk > 0)) return;
+      
+      // Риск указывается в процентах в минуту, переводим в вероятность за 1 проверку
+      const checkProbability = patientState.vf_risk / 100 * this.checkIntervalMs / 60000;
+      
+      if (this.random() < checkProbability) {
+        const event = this.findEvent('ventricular_fibrillation');
+        if (event && this.isEventApplicable(event, patientState)) {
+          this.triggerEvent(event);
+        }
+      }
+    }
+    
+    /**
+     * Повторная остановка кровообращения после восстановления кровообращения;
+     * после остановки с шоковым ритмом рецидивирует фибрилляция желудочков
+     * @param {Object} patientState - Текущее состояние пациента
+     */
+    checkRecurrentArrest(patientState) {
+      if (patientState.cardiac_arrest || !(patientState.rearrest_risk > 0)) return;
+      
+      // Риск указывается в процентах в минуту, переводим в вероятность за 1 проверку
+      const checkProbability = patientState.rearrest_risk / 100 * this.checkIntervalMs / 60000;
+      
+      if (this.random() < checkProbability) {
+        const shockable = SHOCKABLE_RHYTHMS.includes(patientState.initial_arrest_rhythm);
+        const event = this.findEvent(shockable ? 'recurrent_vf' : 'recurrent_pea');
+        if (event && this.isEventApplicable(event, patientState)) {
+          this.triggerEvent(event);
+        }
+      }
+    }
+    
     /**
      * Вызов события и применение его эффекта
      * @param {Object} event - Событие для вызова
@@ -626,7 +796,7 @@ class EventsAndComplicationsModule {
       } else {
         // Случайная продолжительность в заданном диапазоне
         duration = Math.floor(
-          Math.random() * (event.duration.max - event.duration.min) + event.duration.min
+          this.random() * (event.duration.max - event.duration.min) + event.duration.min
         );
       }
       
@@ -636,15 +806,17 @@ class EventsAndComplicationsModule {
         name: event.name,
         description: event.description,
         severity: event.severity,
-        startTime: Date.now(),
+        startTime: this.clock.now(),
         duration: duration,
-        endTime: duration > 0 ? Date.now() + duration * 1000 : -1,
+        endTime: duration > 0 ? this.clock.now() + duration * 1000 : -1,
         isActive: true,
-        physiologicalChanges: { ...event.physiologicalChanges }
+        physiologicalChanges: { ...event.physiologicalChanges },
+        stateChanges: { ...event.stateChanges }
       };
       
       // Добавляем в историю событий
       this.eventsHistory.push(eventRecord);
+      this.activeEvents.push(eventRecord);
       
       // Применяем изменения физиологии
       this.applyPhysiologicalChanges(eventRecord);
@@ -656,12 +828,15 @@ class EventsAndComplicationsModule {
       
       console.log(`Событие "${event.name}" (${event.severity}) активировано на ${duration > 0 ? duration + ' секунд' : 'постоянной основе'}`);
       
-      // Если событие не постоянное, устанавливаем таймер для завершения
-      if (duration > 0) {
+      // В реальном времени завершаем событие по таймеру,
+      // в пошаговом режиме это делает updateActiveEvents
+      if (duration > 0 && this.checkInterval) {
         setTimeout(() => {
           this.endEvent(eventRecord);
         }, duration * 1000);
       }
+      
+      return eventRecord;
     }
     
     /**
@@ -671,17 +846,19 @@ class EventsAndComplicationsModule {
     endEvent(eventRecord) {
       if (!this.physiologicalModel) return;
       
-      // Находим событие в истории
-      const eventIndex = this.eventsHistory.findIndex(e => 
+      // Находим событие среди активных
+      const eventIndex = this.activeEvents.findIndex(e => 
         e.id === eventRecord.id && e.startTime === eventRecord.startTime
       );
       
+      // Уже завершенное событие повторно не отменяем
       if (eventIndex !== -1) {
         // Отменяем изменения физиологии
         this.revertPhysiologicalChanges(eventRecord);
         
         // Обновляем статус события
-        this.eventsHistory[eventIndex].isActive = false;
+        this.activeEvents[eventIndex].isActive = false;
+        this.activeEvents.splice(eventIndex, 1);
         
         // Обратный вызов для оповещения о завершении события
         if (this.onEventEnded) {
@@ -696,9 +873,7 @@ class EventsAndComplicationsModule {
      * Принудительное завершение всех активных событий
      */
     endAllEvents() {
-      const activeEvents = this.eventsHistory.filter(e => e.isActive);
-      
-      activeEvents.forEach(event => {
+      [...this.activeEvents].forEach(event => {
         this.endEvent(event);
       });
     }
@@ -726,6 +901,11 @@ class EventsAndComplicationsModule {
       
       // Применяем изменения через модель физиологии
       this.physiologicalModel.applyChanges(changes, eventRecord.id);
+      
+      // Состояние, заданное событием напрямую (например, остановка кровообращения)
+      if (Object.keys(eventRecord.stateChanges || {}).length > 0) {
+        this.physiologicalModel.setState(eventRecord.stateChanges);
+      }
     }
     
     /**
@@ -761,10 +941,10 @@ class EventsAndComplicationsModule {
           if (this.isComplicationApplicable(complication, patientState)) {
             // Проверяем вероятность возникновения
             // Вероятность указывается в процентах в час, переводим в вероятность за 1 проверку
-            const checkIntervalHours = (this.checkInterval || 10000) / 3600000;
+            const checkIntervalHours = this.checkIntervalMs / 3600000;
             const checkProbability = complication.probability * checkIntervalHours;
             
-            if (Math.random() < checkProbability) {
+            if (this.random() < checkProbability) {
               this.startComplication(complication);
             }
           }
@@ -780,10 +960,8 @@ class EventsAndComplicationsModule {
      */
     isComplicationApplicable(complication, patientState) {
       // Проверяем необходимые условия
-      for (const [condition, value] of Object.entries(complication.requiredConditions)) {
-        if (patientState[condition] !== value) {
-          return false;
-        }
+      if (!this.meetsRequiredConditions(complication.requiredConditions, patientState)) {
+        return false;
       }
       
       // Проверяем несовместимые сценарии
@@ -814,11 +992,11 @@ class EventsAndComplicationsModule {
         name: complication.name,
         description: complication.description,
         severity: complication.severity,
-        startTime: Date.now(),
+        startTime: this.clock.now(),
         currentStage: 1,
         maxStages: complication.progressiveNature ? complication.progressiveNature.maxStages : 1,
         interval: complication.progressiveNature ? complication.progressiveNature.interval : 0,
-        nextStageTime: complication.progressiveNature ? Date.now() + complication.progressiveNature.interval * 1000 : 0,
+        nextStageTime: complication.progressiveNature ? this.clock.now() + complication.progressiveNature.interval * 1000 : 0,
         stageEffectMultiplier: complication.progressiveNature ? complication.progressiveNature.stageEffectMultiplier : 1,
         possibleComplications: complication.progressiveNature ? complication.progressiveNature.complications || [] : [],
         physiologicalChanges: { ...complication.physiologicalChanges }
@@ -836,13 +1014,15 @@ class EventsAndComplicationsModule {
       }
       
       console.log(`Осложнение "${complication.name}" (${complication.severity}) началось`);
+      
+      return complicationRecord;
     }
     
     /**
      * Обновление активных осложнений
      */
     updateActiveComplications() {
-      const now = Date.now();
+      const now = this.clock.now();
       
       // Проходим по всем активным осложнениям
       this.activeComplications.forEach(complication => {
@@ -865,11 +1045,14 @@ class EventsAndComplicationsModule {
       
       // Проверяем, достигнута ли максимальная стадия
       if (complication.currentStage > complication.maxStages) {
+        // Дальнейшего прогрессирования нет - прекращаем проверки стадий
+        complication.currentStage = complication.maxStages;
+        complication.nextStageTime = 0;
         return;
       }
       
       // Обновляем время следующей стадии
-      complication.nextStageTime = Date.now() + complication.interval * 1000;
+      complication.nextStageTime = this.clock.now() + complication.interval * 1000;
       
       // Применяем дополнительные изменения физиологии
       this.applyComplicationChanges(complication, true);
@@ -878,7 +1061,7 @@ class EventsAndComplicationsModule {
       if (complication.currentStage === complication.maxStages && complication.possibleComplications.length > 0) {
         // Случайно выбираем одно из возможных осложнений
         const complicationId = complication.possibleComplications[
-          Math.floor(Math.random() * complication.possibleComplications.length)
+          Math.floor(this.random() * complication.possibleComplications.length)
         ];
         
         // Ищем осложнение в библиотеке
@@ -895,7 +1078,7 @@ class EventsAndComplicationsModule {
         // Если осложнение найдено, запускаем его
         if (secondaryComplication) {
           // Вероятность 50% для вторичного осложнения
-          if (Math.random() < 0.5) {
+          if (this.random() < 0.5) {
             this.startComplication(secondaryComplication);
           }
         }
@@ -974,12 +1157,99 @@ class EventsAndComplicationsModule {
       });
     }
     
+    /**
+     * Поиск события в библиотеке по идентификатору
+     * @param {string} eventId - Идентификатор события
+     * @returns {Object|null} Описание события
+     */
+    findEvent(eventId) {
+      for (const eventCategory of Object.values(this.eventsLibrary)) {
+        const event = eventCategory.find(e => e.id === eventId);
+        if (event) return event;
+      }
+      return null;
+    }
+    
+    /**
+     * Поиск осложнения в библиотеке по идентификатору
+     * @param {string} complicationId - Идентификатор осложнения
+     * @returns {Object|null} Описание осложнения
+     */
+    findComplication(complicationId) {
+      for (const complicationCategory of Object.values(this.complicationsLibrary)) {
+        const complication = complicationCategory.find(c => c.id === complicationId);
+        if (complication) return complication;
+      }
+      return null;
+    }
+    
+    /**
+     * Принудительный вызов события (например, из сценария) без проверки вероятности и условий
+     * @param {string|Object} eventOrId - Идентификатор события из библиотеки или полное описание события
+     * @param {Object} overrides - Поля, заменяющие описание из библиотеки (duration можно задать числом секунд)
+     * @returns {Object|null} Запись о событии или null, если событие не найдено
+     */
+    injectEvent(eventOrId, overrides = {}) {
+      const baseEvent = typeof eventOrId === 'string' ? this.findEvent(eventOrId) : eventOrId;
+      
+      if (!baseEvent) {
+        console.warn(`Неизвестное событие: ${eventOrId}`);
+        return null;
+      }
+      
+      const event = {
+        name: baseEvent.id,
+        description: '',
+        severity: 'medium',
+        physiologicalChanges: {},
+        ...baseEvent,
+        ...overrides
+      };
+      
+      // Длительность может быть задана числом секунд или отсутствовать (постоянное событие)
+      if (typeof event.duration === 'number') {
+        event.duration = { min: event.duration, max: event.duration };
+      } else if (!event.duration) {
+        event.duration = { permanent: true };
+      }
+      
+      return this.triggerEvent(event);
+    }
+    
+    /**
+     * Принудительный запуск осложнения (например, из сценария) без проверки вероятности и условий
+     * @param {string|Object} complicationOrId - Идентификатор осложнения из библиотеки или полное описание
+     * @returns {Object|null} Запись об осложнении или null, если осложнение не найдено
+     */
+    injectComplication(complicationOrId) {
+      const complication = typeof complicationOrId === 'string'
+        ? this.findComplication(complicationOrId)
+        : complicationOrId;
+      
+      if (!complication) {
+        console.warn(`Неизвестное осложнение: ${complicationOrId}`);
+        return null;
+      }
+      
+      // Уже активное осложнение повторно не запускаем
+      const activeComplication = this.activeComplications.find(c => c.id === complication.id);
+      if (activeComplication) return activeComplication;
+      
+      return this.startComplication({
+        name: complication.id,
+        description: '',
+        severity: 'medium',
+        physiologicalChanges: {},
+        ...complication
+      });
+    }
+    
     /**
      * Получение всех активных событий
      * @returns {Array} Активные события
      */
     getActiveEvents() {
-      return this.eventsHistory.filter(event => event.isActive);
+      return [...this.activeEvents];
     }
     
     /**
@@ -0,0 +1,350 @@
+/**
+ * InfusionPumpModule.js
+ *
+ * Этот модуль моделирует шприцевые инфузоматы. Каждый насос заряжен шприцем
+ * с лекарством известной концентрации, скорость задается в единицах дозы
+ * (например, мкг/кг/мин) или в мл/ч и может меняться в любой момент.
+ * Суммарная скорость насосов с одним лекарством передается в фармакологическую
+ * модель, поэтому эффект следует за текущей скоростью. Объем шприца
+ * расходуется со временем, при его окончании инфузия прекращается.
+ */
+
+import PharmacologyEngine from '../utils/pharmacology/PharmacologyEngine';
+import { systemClock } from '../utils/time/VirtualClock';
+
+// Единица скорости в объеме
+const VOLUME_RATE_UNIT = 'ml/h';
+
+// Время до окончания шприца, при котором срабатывает предупреждение (минуты)
+const NEAR_EMPTY_MINUTES = 5;
+
+class InfusionPumpModule {
+  /**
+   * @param {Object} physiologicalModel - Экземпляр PhysiologicalModel
+   * @param {Object} clock - Источник времени с методом now()
+   */
+  constructor(physiologicalModel, clock = systemClock) {
+    this.physiologicalModel = physiologicalModel;
+    this.clock = clock;
+
+    // Насосы по идентификатору
+    this.pumps = {};
+
+    // Счетчик для идентификаторов насосов
+    this.nextPumpNumber = 1;
+
+    // Время последнего расчета расхода шприцев
+    this.lastUpdate = clock.now();
+  }
+
+  /**
+   * Замена источника времени
+   * @param {Object} clock - Часы с методом now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.lastUpdate = clock.now();
+  }
+
+  /**
+   * Установка насоса со шприцем
+   * @param {string} drugId - Идентификатор лекарства из библиотеки
+   * @param {Object} options - { concentration (мкг/мл), volume (мл) }, по умолчанию - шприц из библиотеки
+   * @returns {Object|null} Созданный насос или null, если лекарство неизвестно
+   */
+  addPump(drugId, options = {}) {
+    const drug = this.physiologicalModel.pharmacology.getDrug(drugId);
+    if (!drug) {
+      console.warn(`Неизвестное лекарство для инфузомата: ${drugId}`);
+      return null;
+    }
+
+    const syringe = { ...drug.syringe, ...options };
+    if (!(syringe.concentration > 0) || !(syringe.volume > 0)) {
+      console.warn(`Не задан шприц для инфузомата: ${drugId}`);
+      return null;
+    }
+
+    const id = `pump-${this.nextPumpNumber++}`;
+    this.pumps[id] = {
+      id,
+      drugId,
+      name: drug.name,
+      concentration: syringe.concentration,
+      syringeVolume: syringe.volume,
+      volume: syringe.volume,
+      status: 'stopped',
+      rate: 0,
+      rateUnit: drug.infusionUnit || VOLUME_RATE_UNIT,
+      infusedVolume: 0
+    };
+
+    return this.getPump(id);
+  }
+
+  /**
+   * Запуск насоса или изменение скорости
+   * @param {string} pumpId - Идентификатор насоса
+   * @param {number} rate - Скорость
+   * @param {string} unit - Единицы скорости ('ml/h' или единицы дозы, по умолчанию - текущие)
+   * @returns {Object|null} Насос или null при ошибке
+   */
+  setRate(pumpId, rate, unit = null) {
+    const pump = this.pumps[pumpId];
+    if (!pump) return null;
+
+    if (pump.status === 'empty') {
+      console.warn(`Шприц инфузомата ${pumpId} пуст`);
+      return null;
+    }
+
+    if (!(rate >= 0)) {
+      console.warn(`Некорректная скорость инфузии: ${rate}`);
+      return null;
+    }
+
+    const rateUnit = unit || pump.rateUnit;
+    try {
+      this.toMicrogramsPerMinute(pump, rate, rateUnit);
+    } catch (error) {
+      console.warn(error.message);
+      return null;
+    }
+
+    pump.rate = rate;
+    pump.rateUnit = rateUnit;
+    pump.status = rate > 0 ? 'running' : 'stopped';
+    this.syncDrug(pump.drugId);
+
+    return this.getPump(pumpId);
+  }
+
+  /**
+   * Остановка насоса (скорость сохраняется для повторного запуска)
+   * @param {string} pumpId - Идентификатор насоса
+   * @returns {boolean} Был ли насос запущен
+   */
+  stopPump(pumpId) {
+    const pump = this.pumps[pumpId];
+    if (!pump || pump.status !== 'running') return false;
+
+    pump.status = 'stopped';
+    this.syncDrug(pump.drugId);
+    return true;
+  }
+
+  /**
+   * Болюс из насоса
+   * @param {string} pumpId - Идентификатор насоса
+   * @param {number} amount - Объем или доза болюса
+   * @param {string} unit - 'ml' или единицы дозы ('mcg', 'mg', 'mcg/kg' и т.д.)
+   * @returns {Object|null} { volume, amount } - введенный объем (мл) и доза (мкг)
+   */
+  bolus(pumpId, amount, unit = 'ml') {
+    const pump = this.pumps[pumpId];
+    if (!pump || pump.status === 'empty' || !(amount > 0)) return null;
+
+    let volume;
+    try {
+      volume = unit === 'ml'
+        ? amount
+        : PharmacologyEngine.toMicrograms(amount, unit, this.physiologicalModel.state.weight) / pump.concentration;
+    } catch (error) {
+      console.warn(error.message);
+      return null;
+    }
+
+    // Нельзя ввести больше, чем осталось в шприце
+    volume = Math.min(volume, pump.volume);
+    const dose = volume * pump.concentration;
+
+    this.physiologicalModel.pharmacology.administerBolus(pump.drugId, dose, 'mcg');
+    this.consume(pump, volume);
+
+    return { volume, amount: dose };
+  }
+
+  /**
+   * Замена шприца на новый такого же объема и концентрации
+   * @param {string} pumpId - Идентификатор насоса
+   * @returns {Object|null} Насос или null, если насос не найден
+   */
+  replaceSyringe(pumpId) {
+    const pump = this.pumps[pumpId];
+    if (!pump) return null;
+
+    pump.volume = pump.syringeVolume;
+    if (pump.status === 'empty') {
+      pump.status = 'stopped';
+    }
+
+    return this.getPump(pumpId);
+  }
+
+  /**
+   * Снятие насоса
+   * @param {string} pumpId - Идентификатор насоса
+   * @returns {boolean} Был ли насос найден
+   */
+  removePump(pumpId) {
+    const pump = this.pumps[pumpId];
+    if (!pump) return false;
+
+    delete this.pumps[pumpId];
+    this.syncDrug(pump.drugId);
+    return true;
+  }
+
+  /**
+   * Расход шприцев за время с последнего обновления
+   */
+  update() {
+    const now = this.clock.now();
+    const hours = (now - this.lastUpdate) / 3600000;
+    this.lastUpdate = now;
+
+    if (!(hours > 0)) return;
+
+    const running = Object.values(this.pumps).filter(pump => pump.status === 'running');
+    running.forEach(pump => this.consume(pump, this.toMillilitersPerHour(pump) * hours));
+
+    // Скорости на кг пересчитываются при изменении массы тела
+    new Set(running.map(pump => pump.drugId)).forEach(drugId => this.syncDrug(drugId));
+  }
+
+  /**
+   * Расход объема шприца
+   * @param {Object} pump - Насос
+   * @param {number} volume - Объем (мл)
+   */
+  consume(pump, volume) {
+    // Остаток меньше погрешности расчета считается израсходованным
+    if (pump.volume - volume <= 1e-9) {
+      pump.infusedVolume += pump.volume;
+      pump.volume = 0;
+      pump.status = 'empty';
+      this.syncDrug(pump.drugId);
+      return;
+    }
+
+    pump.volume -= volume;
+    pump.infusedVolume += volume;
+  }
+
+  /**
+   * Передача суммарной скорости насосов лекарства в фармакологическую модель
+   * @param {string} drugId - Идентификатор лекарства
+   */
+  syncDrug(drugId) {
+    const total = Object.values(this.pumps)
+      .filter(pump => pump.drugId === drugId && pump.status === 'running')
+      .reduce((sum, pump) => sum + this.toMicrogramsPerMinute(pump), 0);
+
+    if (total > 0) {
+      this.physiologicalModel.pharmacology.setInfusion(drugId, total, 'mcg/min');
+    } else {
+      this.physiologicalModel.pharmacology.stopInfusion(drugId);
+    }
+  }
+
+  /**
+   * Скорость насоса в мкг/мин
+   * @param {Object} pump - Насос
+   * @param {number} rate - Скорость (по умолчанию - текущая)
+   * @param {string} unit - Единицы скорости (по умолчанию - текущие)
+   * @returns {number} Скорость в мкг/мин
+   */
+  toMicrogramsPerMinute(pump, rate = pump.rate, unit = pump.rateUnit) {
+    if (unit === VOLUME_RATE_UNIT) {
+      return rate * pump.concentration / 60;
+    }
+    return PharmacologyEngine.toMicrogramsPerMinute(rate, unit, this.physiologicalModel.state.weight);
+  }
+
+  /**
+   * Скорость насоса в мл/ч
+   * @param {Object} pump - Насос
+   * @returns {number} Скорость в мл/ч
+   */
+  toMillilitersPerHour(pump) {
+    return this.toMicrogramsPerMinute(pump) * 60 / pump.concentration;
+  }
+
+  /**
+   * Получение насоса с расчетными скоростями
+   * @param {string} pumpId - Идентификатор насоса
+   * @returns {Object|null} Копия насоса
+   */
+  getPump(pumpId) {
+    const pump = this.pumps[pumpId];
+    if (!pump) return null;
+
+    const drug = this.physiologicalModel.pharmacology.getDrug(pump.drugId);
+    const isRunning = pump.status === 'running';
+    const mcgPerMin = isRunning ? this.toMicrogramsPerMinute(pump) : 0;
+    const mlPerHour = isRunning ? this.toMillilitersPerHour(pump) : 0;
+    const doseUnit = drug.infusionUnit || 'mcg/min';
+
+    return {
+      ...pump,
+      mcgPerMin,
+      mlPerHour,
+      doseRate: mcgPerMin / PharmacologyEngine.toMicrogramsPerMinute(1, doseUnit, this.physiologicalModel.state.weight),
+      doseUnit,
+      remainingMinutes: mlPerHour > 0 ? pump.volume / mlPerHour * 60 : null
+    };
+  }
+
+  /**
+   * Получение всех насосов
+   * @returns {Array} Насосы с расчетными скоростями
+   */
+  getPumps() {
+    return Object.keys(this.pumps).map(pumpId => this.getPump(pumpId));
+  }
+
+  /**
+   * Тревоги насосов (в формате тревог движка)
+   * @returns {Object} Тревоги по идентификатору
+   */
+  getAlarms() {
+    const alarms = {};
+
+    this.getPumps().forEach(pump => {
+      if (pump.status === 'empty') {
+        alarms[`${pump.id}_empty`] = {
+          parameter: pump.id,
+          value: 0,
+          threshold: 0,
+          type: 'empty',
+          priority: 'high',
+          message: `Инфузомат ${pump.name}: шприц пуст`
+        };
+      } else if (pump.remainingMinutes !== null && pump.remainingMinutes <= NEAR_EMPTY_MINUTES) {
+        alarms[`${pump.id}_near_empty`] = {
+          parameter: pump.id,
+          value: pump.volume,
+          threshold: pump.mlPerHour * NEAR_EMPTY_MINUTES / 60,
+          type: 'near_empty',
+          priority: 'medium',
+          message: `Инфузомат ${pump.name}: шприц заканчивается`
+        };
+      }
+    });
+
+    return alarms;
+  }
+
+  /**
+   * Снятие всех насосов
+   */
+  reset() {
+    const drugIds = new Set(Object.values(this.pumps).map(pump => pump.drugId));
+    this.pumps = {};
+    this.nextPumpNumber = 1;
+    this.lastUpdate = this.clock.now();
+    drugIds.forEach(drugId => this.physiologicalModel.pharmacology.stopInfusion(drugId));
+  }
+}
+
+export default InfusionPumpModule;
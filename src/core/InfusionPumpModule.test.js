@@ -0,0 +1,41 @@
+import InfusionPumpModule from './InfusionPumpModule';
+import PhysiologicalModel from './PhysiologicalModel';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('InfusionPumpModule', () => {
+  const createPumps = () => {
+    const clock = new VirtualClock(0);
+    return new InfusionPumpModule(new PhysiologicalModel({}, () => 0.5, clock), clock);
+  };
+
+  test('rates convert between dose and volume units and reach the pharmacology', () => {
+    const pumps = createPumps();
+    const pharmacology = pumps.physiologicalModel.pharmacology;
+    const pump = pumps.addPump('norepinephrine');
+    expect(pump).toMatchObject({ id: 'pump-1', concentration: 80, volume: 50, status: 'stopped' });
+
+    // 0.1 мкг/кг/мин * 70 кг = 7 мкг/мин = 5.25 мл/ч при 80 мкг/мл
+    expect(pumps.setRate(pump.id, 0.1, 'mcg/kg/min')).toMatchObject({ mcgPerMin: 7, mlPerHour: 5.25, doseUnit: 'mcg/kg/min' });
+    expect(pumps.setRate(pump.id, 10.5, 'ml/h').doseRate).toBeCloseTo(0.2);
+    expect(pharmacology.getActiveDrugs()[0].infusion.mcgPerMin).toBeCloseTo(14);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(pumps.setRate(pump.id, 1, 'mcg/fortnight')).toBeNull();
+    expect(pumps.stopPump(pump.id)).toBe(true);
+    expect(pumps.stopPump(pump.id)).toBe(false);
+    expect(pharmacology.getActiveDrugs()[0].infusion).toBeNull();
+  });
+
+  test('boluses are drawn from the syringe', () => {
+    const pumps = createPumps();
+    const pump = pumps.addPump('fentanyl');
+
+    expect(pumps.bolus(pump.id, 2)).toEqual({ volume: 2, amount: 100 });
+    expect(pumps.bolus(pump.id, 50, 'mcg')).toEqual({ volume: 1, amount: 50 });
+    expect(pumps.getPumps()[0].volume).toBe(47);
+    expect(pumps.physiologicalModel.getActiveMedications()[0].totalDose).toBe(150);
+
+    expect(pumps.removePump(pump.id)).toBe(true);
+    expect(pumps.getPumps()).toHaveLength(0);
+  });
+});
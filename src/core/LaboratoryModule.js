@@ -0,0 +1,209 @@
+/**
+ * LaboratoryModule.js
+ *
+ * Этот модуль описывает назначение анализов и работу лаборатории. Обучаемый
+ * назначает отдельные анализы; кровь берется в момент назначения, и
+ * результаты рассчитываются по состоянию пациента в этот момент
+ * (LaboratoryCalculator), а сообщаются после времени выполнения анализа.
+ * Анализы у постели больного (газы крови, лактат, глюкометр) готовы через
+ * минуты, лабораторные - через 30-60 минут; время выполнения можно изменить.
+ * Неназначенные анализы не выполняются. Назначения с отметкой времени
+ * симуляции образуют отчет для разбора выбора анализов.
+ */
+
+import LaboratoryCalculator from '../utils/physiological-calculations/LaboratoryCalculator';
+
+// Анализы, которые можно назначить: название, время выполнения по умолчанию
+// (с) и выполняется ли анализ у постели больного
+export const LAB_TESTS = {
+  abg: { name: 'Газы артериальной крови', turnaround: 300, pointOfCare: true },
+  cbc: { name: 'Общий анализ крови', turnaround: 1800, pointOfCare: false },
+  bmp: { name: 'Биохимия крови', turnaround: 2700, pointOfCare: false },
+  coags: { name: 'Коагулограмма', turnaround: 2700, pointOfCare: false },
+  troponin: { name: 'Тропонин', turnaround: 3600, pointOfCare: false },
+  lactate: { name: 'Лактат', turnaround: 180, pointOfCare: true },
+  poc_glucose: { name: 'Глюкоза (глюкометр)', turnaround: 60, pointOfCare: true }
+};
+
+class LaboratoryModule {
+  /**
+   * @param {Object} turnaround - Время выполнения анализов (с), отличное от
+   *   времени по умолчанию: { abg: 600, ... }
+   */
+  constructor(turnaround = {}) {
+    this.calculator = new LaboratoryCalculator();
+    this.turnaround = Object.fromEntries(Object.entries(LAB_TESTS).map(([test, { turnaround }]) => [test, turnaround]));
+    Object.entries(turnaround).forEach(([test, seconds]) => this.setTurnaround(test, seconds));
+    this.reset();
+  }
+
+  /**
+   * Забвение назначений и результатов (время выполнения сохраняется)
+   */
+  reset() {
+    this.orders = [];
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * Изменение времени выполнения анализа; действует на новые назначения
+   * @param {string} test - Анализ из LAB_TESTS
+   * @param {number} seconds - Время выполнения (с)
+   * @returns {boolean} false, если анализ неизвестен или время некорректно
+   */
+  setTurnaround(test, seconds) {
+    if (!LAB_TESTS[test] || typeof seconds !== 'number' || !(seconds >= 0)) return false;
+
+    this.turnaround[test] = seconds;
+    return true;
+  }
+
+  /**
+   * Время выполнения анализов
+   * @returns {Object} Время выполнения каждого анализа (с)
+   */
+  getTurnaround() {
+    return { ...this.turnaround };
+  }
+
+  /**
+   * Назначение анализов: кровь берется сейчас, результаты рассчитываются
+   * сразу, а сообщаются после времени выполнения
+   * @param {Array<string>|string} tests - Анализы из LAB_TESTS
+   * @param {Object} state - Состояние пациента
+   * @param {number} time - Время симуляции (с)
+   * @returns {Object|null} Номер назначения, его время и время готовности
+   *   анализов; null, если среди анализов нет известных
+   */
+  order(tests, state, time) {
+    const known = [...new Set([].concat(tests))].filter(test => LAB_TESTS[test]);
+    if (known.length === 0) return null;
+
+    const order = {
+      id: this.nextOrderId++,
+      time,
+      tests: Object.fromEntries(known.map(test => [test, {
+        values: this.calculator.calculateTest(test, state),
+        readyAt: time + this.turnaround[test],
+        reported: false
+      }]))
+    };
+    this.orders.push(order);
+
+    return {
+      orderId: order.id,
+      time,
+      readyAt: Object.fromEntries(known.map(test => [test, order.tests[test].readyAt]))
+    };
+  }
+
+  /**
+   * Продвижение до текущего времени: готовые анализы сообщаются
+   * @param {number} time - Время симуляции (с)
+   * @returns {Array} Анализы, готовые с прошлого обновления: { orderId, test,
+   *   name, orderedAt, time }
+   */
+  update(time) {
+    const reported = [];
+
+    this.orders.forEach(order => {
+      Object.entries(order.tests).forEach(([test, result]) => {
+        if (!result.reported && time >= result.readyAt) {
+          result.reported = true;
+          reported.push({
+            orderId: order.id,
+            test,
+            name: LAB_TESTS[test].name,
+            orderedAt: order.time,
+            time: result.readyAt
+          });
+        }
+      });
+    });
+
+    return reported.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Состояние лаборатории для модуля лабораторных данных
+   * @param {number} time - Время симуляции (с)
+   * @returns {Object} pending - выполняемые анализы и время до готовности (с),
+   *   results - последний готовый результат каждого назначенного анализа,
+   *   history - готовые результаты каждого анализа в порядке назначения
+   */
+  getStatus(time) {
+    const pending = [];
+    const history = Object.fromEntries(Object.keys(LAB_TESTS).map(test => [test, []]));
+
+    this.orders.forEach(order => {
+      Object.entries(order.tests).forEach(([test, result]) => {
+        if (result.reported) {
+          history[test].push({
+            orderId: order.id,
+            orderedAt: order.time,
+            reportedAt: result.readyAt,
+            values: { ...result.values }
+          });
+        } else {
+          pending.push({
+            orderId: order.id,
+            test,
+            orderedAt: order.time,
+            readyIn: Math.max(0, Math.ceil(result.readyAt - time))
+          });
+        }
+      });
+    });
+
+    const results = Object.fromEntries(Object.entries(history)
+      .filter(([, entries]) => entries.length > 0)
+      .map(([test, entries]) => [test, entries[entries.length - 1]]));
+
+    return { pending, results, history };
+  }
+
+  /**
+   * Отчет о назначении анализов для разбора
+   * @returns {Object|null} Назначения с анализами и временем готовности,
+   *   число назначений каждого анализа, повторные назначения до готовности
+   *   прежнего результата и время первого назначения; null, если анализов
+   *   не назначали
+   */
+  getReport() {
+    if (this.orders.length === 0) return null;
+
+    const counts = {};
+    const duplicates = [];
+
+    this.orders.forEach(order => {
+      Object.keys(order.tests).forEach(test => {
+        counts[test] = (counts[test] || 0) + 1;
+
+        // Тот же анализ уже выполняется по прежнему назначению
+        const waiting = this.orders.some(previous => previous.id < order.id &&
+          previous.tests[test] && previous.tests[test].readyAt > order.time);
+        if (waiting) {
+          duplicates.push({ orderId: order.id, test, time: order.time });
+        }
+      });
+    });
+
+    return {
+      orders: this.orders.map(order => ({
+        orderId: order.id,
+        time: order.time,
+        tests: Object.keys(order.tests),
+        readyAt: Object.fromEntries(Object.entries(order.tests).map(([test, { readyAt }]) => [test, readyAt]))
+      })),
+      testCounts: counts,
+      totalTests: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      pointOfCareTests: Object.entries(counts)
+        .filter(([test]) => LAB_TESTS[test].pointOfCare)
+        .reduce((sum, [, count]) => sum + count, 0),
+      duplicates,
+      firstOrderTime: this.orders[0].time
+    };
+  }
+}
+
+export default LaboratoryModule;
@@ -0,0 +1,83 @@
+import LaboratoryModule, { LAB_TESTS } from './LaboratoryModule';
+
+describe('LaboratoryModule', () => {
+  const patient = { hb: 9, glucose: 2.4, lactate: 6 };
+
+  test('turnaround times start from the defaults and can be changed for new orders', () => {
+    const laboratory = new LaboratoryModule({ cbc: 600, mri: 60, bmp: -1 });
+    const turnaround = laboratory.getTurnaround();
+    expect(turnaround).toMatchObject({ cbc: 600, bmp: LAB_TESTS.bmp.turnaround, abg: 300, poc_glucose: 60 });
+    expect(turnaround.mri).toBeUndefined();
+
+    // The returned object is a copy
+    turnaround.cbc = 10;
+    expect(laboratory.getTurnaround().cbc).toBe(600);
+
+    expect(laboratory.order('troponin', patient, 0).readyAt.troponin).toBe(3600);
+    expect(laboratory.setTurnaround('troponin', 900)).toBe(true);
+    expect(laboratory.setTurnaround('troponin', '900')).toBe(false);
+    expect(laboratory.setTurnaround('troponin', NaN)).toBe(false);
+    expect(laboratory.setTurnaround('mri', 60)).toBe(false);
+    expect(laboratory.order('troponin', patient, 100).readyAt.troponin).toBe(1000);
+
+    // Orders are forgotten on reset, the turnaround is kept
+    laboratory.reset();
+    expect(laboratory.getReport()).toBeNull();
+    expect(laboratory.order(['troponin'], patient, 0)).toMatchObject({ orderId: 1, readyAt: { troponin: 900 } });
+  });
+
+  test('results are calculated at sampling and reported once they are ready', () => {
+    const laboratory = new LaboratoryModule();
+    expect(laboratory.order(['mri'], patient, 0)).toBeNull();
+    expect(laboratory.order([], patient, 0)).toBeNull();
+
+    const state = { ...patient };
+    const order = laboratory.order(['cbc', 'poc_glucose', 'lactate', 'cbc', 'mri'], state, 10);
+    expect(order).toEqual({ orderId: 1, time: 10, readyAt: { cbc: 1810, poc_glucose: 70, lactate: 190 } });
+
+    // The patient changes after the sample was drawn
+    state.glucose = 8;
+    expect(laboratory.update(60)).toEqual([]);
+    expect(laboratory.update(200)).toEqual([
+      { orderId: 1, test: 'poc_glucose', name: LAB_TESTS.poc_glucose.name, orderedAt: 10, time: 70 },
+      { orderId: 1, test: 'lactate', name: LAB_TESTS.lactate.name, orderedAt: 10, time: 190 }
+    ]);
+    expect(laboratory.update(300)).toEqual([]);
+
+    const status = laboratory.getStatus(300.5);
+    expect(status.pending).toEqual([{ orderId: 1, test: 'cbc', orderedAt: 10, readyIn: 1510 }]);
+    expect(Object.keys(status.results)).toEqual(['lactate', 'poc_glucose']);
+    expect(status.results.poc_glucose).toEqual({ orderId: 1, orderedAt: 10, reportedAt: 70, values: { glucose: 2.4 } });
+    expect(status.history.cbc).toEqual([]);
+
+    laboratory.update(1810);
+    laboratory.order(['cbc'], { hb: 7 }, 1900);
+    laboratory.update(3700);
+    const later = laboratory.getStatus(3700);
+    expect(later.pending).toEqual([]);
+    expect(later.history.cbc.map(entry => entry.values.hb)).toEqual([90, 70]);
+    expect(later.results.cbc.orderId).toBe(2);
+  });
+
+  test('the report counts the tests and the repeat orders made while a result was pending', () => {
+    const laboratory = new LaboratoryModule();
+    expect(laboratory.getReport()).toBeNull();
+
+    laboratory.order(['abg', 'cbc'], patient, 10);
+    laboratory.order(['cbc', 'poc_glucose'], patient, 130);
+    laboratory.order(['cbc'], patient, 2530);
+
+    expect(laboratory.getReport()).toEqual({
+      orders: [
+        { orderId: 1, time: 10, tests: ['abg', 'cbc'], readyAt: { abg: 310, cbc: 1810 } },
+        { orderId: 2, time: 130, tests: ['cbc', 'poc_glucose'], readyAt: { cbc: 1930, poc_glucose: 190 } },
+        { orderId: 3, time: 2530, tests: ['cbc'], readyAt: { cbc: 4330 } }
+      ],
+      testCounts: { abg: 1, cbc: 3, poc_glucose: 1 },
+      totalTests: 5,
+      pointOfCareTests: 2,
+      duplicates: [{ orderId: 2, test: 'cbc', time: 130 }],
+      firstOrderTime: 10
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * MassiveTransfusionModule.js
+ *
+ * Этот модуль описывает протокол массивной трансфузии (МТП): после
+ * активации банк крови готовит контейнеры с эритроцитной массой,
+ * свежезамороженной плазмой и тромбоконцентратом в соотношении 1:1:1.
+ * Первый контейнер готов через 10 минут, следующий готовится, когда
+ * предыдущий забран. Модуль считает перелитые компоненты крови (в том числе
+ * вне протокола) и соотношение плазмы и эритроцитов, а протокол показан при
+ * геморрагическом шоке III-IV класса.
+ */
+
+import { systemClock } from '../utils/time/VirtualClock';
+
+// Состав контейнера: доз каждого компонента крови
+export const MTP_PACK = { packed_red_cells: 4, plasma: 4, platelets: 1 };
+
+// Время подготовки первого и следующих контейнеров (с)
+const FIRST_PACK_SECONDS = 600;
+const NEXT_PACK_SECONDS = 600;
+
+// Класс геморрагического шока по ATLS, при котором показан протокол
+const INDICATED_SHOCK_CLASS = 3;
+
+class MassiveTransfusionModule {
+  /**
+   * @param {Object} clock - Источник времени с методом now()
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  /**
+   * Замена источника времени
+   * @param {Object} clock - Часы с методом now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.lastUpdate = clock.now();
+  }
+
+  /**
+   * Отмена протокола и забвение перелитых компонентов
+   */
+  reset() {
+    this.active = false;
+    this.nextPackIn = null;
+    this.packsReady = 0;
+    this.packsGiven = 0;
+    this.units = Object.fromEntries(Object.keys(MTP_PACK).map(type => [type, 0]));
+    this.lastUpdate = this.clock.now();
+  }
+
+  /**
+   * Активация протокола: банк крови начинает готовить первый контейнер
+   * @returns {boolean} false, если протокол уже активен
+   */
+  activate() {
+    if (this.active) return false;
+
+    this.active = true;
+    this.nextPackIn = this.packsReady > 0 ? null : FIRST_PACK_SECONDS;
+    this.lastUpdate = this.clock.now();
+    return true;
+  }
+
+  /**
+   * Отмена протокола; готовый контейнер можно забрать и после нее
+   * @returns {boolean} false, если протокол не активен
+   */
+  deactivate() {
+    if (!this.active) return false;
+
+    this.active = false;
+    this.nextPackIn = null;
+    return true;
+  }
+
+  /**
+   * Выдача готового контейнера; при активном протоколе начинается
+   * подготовка следующего
+   * @returns {Object|null} Состав контейнера или null, если он не готов
+   */
+  takePack() {
+    if (this.packsReady === 0) return null;
+
+    this.packsReady -= 1;
+    this.packsGiven += 1;
+    if (this.active && this.nextPackIn === null) {
+      this.nextPackIn = NEXT_PACK_SECONDS;
+    }
+    return { ...MTP_PACK };
+  }
+
+  /**
+   * Учет перелитой дозы; растворы не учитываются
+   * @param {string} type - Раствор или компонент крови
+   */
+  recordUnit(type) {
+    if (this.units[type] !== undefined) {
+      this.units[type] += 1;
+    }
+  }
+
+  /**
+   * Продвижение до текущего времени: подготовка контейнера
+   * @param {Object} state - Состояние пациента
+   * @returns {Object} Состояние протокола (getStatus)
+   */
+  update(state = {}) {
+    const now = this.clock.now();
+    const dt = Math.max(0, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+
+    if (this.active && this.nextPackIn !== null) {
+      this.nextPackIn -= dt;
+      if (this.nextPackIn <= 0) {
+        this.packsReady += 1;
+        this.nextPackIn = null;
+      }
+    }
+
+    return this.getStatus(state);
+  }
+
+  /**
+   * Состояние для монитора и разбора
+   * @param {Object} state - Состояние пациента
+   * @returns {Object} Активен ли и показан ли протокол, готов ли контейнер,
+   *   время до готовности следующего (с), выданные контейнеры, перелитые
+   *   дозы и соотношение плазмы и эритроцитов (null - эритроциты не переливались)
+   */
+  getStatus(state = {}) {
+    const redCells = this.units.packed_red_cells;
+
+    return {
+      active: this.active,
+      indicated: (state.shock_class || 1) >= INDICATED_SHOCK_CLASS,
+      packReady: this.packsReady > 0,
+      nextPackIn: this.nextPackIn === null ? null : Math.ceil(this.nextPackIn),
+      packsGiven: this.packsGiven,
+      units: { ...this.units },
+      plasmaRatio: redCells > 0 ? Math.round(this.units.plasma / redCells * 10) / 10 : null
+    };
+  }
+}
+
+export default MassiveTransfusionModule;
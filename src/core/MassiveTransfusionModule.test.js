@@ -0,0 +1,46 @@
+import MassiveTransfusionModule, { MTP_PACK } from './MassiveTransfusionModule';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('MassiveTransfusionModule', () => {
+  test('packs are prepared one at a time after activation', () => {
+    const clock = new VirtualClock(0);
+    const mtp = new MassiveTransfusionModule(clock);
+    const advance = seconds => {
+      clock.advance(seconds * 1000);
+      return mtp.update();
+    };
+
+    expect(mtp.takePack()).toBeNull();
+    expect(advance(600)).toMatchObject({ active: false, packReady: false, nextPackIn: null });
+
+    expect(mtp.activate()).toBe(true);
+    expect(mtp.activate()).toBe(false);
+    expect(advance(300)).toMatchObject({ active: true, packReady: false, nextPackIn: 300 });
+    expect(advance(300)).toMatchObject({ packReady: true, nextPackIn: null });
+
+    // The next pack is prepared once the ready one is taken
+    expect(advance(300).nextPackIn).toBeNull();
+    expect(mtp.takePack()).toEqual(MTP_PACK);
+    expect(mtp.getStatus()).toMatchObject({ packReady: false, nextPackIn: 600, packsGiven: 1 });
+
+    // A pack that is ready can be taken after the protocol is stopped
+    advance(600);
+    expect(mtp.deactivate()).toBe(true);
+    expect(mtp.deactivate()).toBe(false);
+    expect(advance(600)).toMatchObject({ active: false, packReady: true, nextPackIn: null });
+    expect(mtp.takePack()).toEqual(MTP_PACK);
+    expect(mtp.getStatus()).toMatchObject({ packReady: false, nextPackIn: null, packsGiven: 2 });
+  });
+
+  test('every blood product counts in the plasma ratio, and the shock class sets the indication', () => {
+    const mtp = new MassiveTransfusionModule(new VirtualClock(0));
+    expect(mtp.getStatus()).toMatchObject({ indicated: false, plasmaRatio: null });
+    expect(mtp.getStatus({ shock_class: 3 }).indicated).toBe(true);
+
+    ['packed_red_cells', 'packed_red_cells', 'plasma', 'crystalloid'].forEach(type => mtp.recordUnit(type));
+    expect(mtp.getStatus()).toMatchObject({ units: { packed_red_cells: 2, plasma: 1, platelets: 0 }, plasmaRatio: 0.5 });
+
+    mtp.reset();
+    expect(mtp.getStatus()).toMatchObject({ active: false, packsGiven: 0, plasmaRatio: null });
+  });
+});
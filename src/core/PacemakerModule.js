@@ -0,0 +1,183 @@
+/**
+ * PacemakerModule.js
+ *
+ * Этот модуль моделирует временную электрокардиостимуляцию: чрескожную
+ * (электроды на грудной клетке) и трансвенозную (эндокардиальный электрод).
+ * В фиксированном режиме стимулы наносятся с заданной частотой независимо от
+ * собственного ритма, в режимах по требованию (demand, VVI, DDD) воспринятый
+ * собственный комплекс подавляет стимул. Стимул захватывает желудочки, если
+ * ток не ниже порога захвата; при захвате сердце сокращается с частотой
+ * стимуляции, если собственный ритм реже. Неисправности электрода вызывают
+ * потерю захвата и нарушение восприятия.
+ */
+
+// Типы стимуляции: порог захвата (мА), наибольший ток (мА), амплитуда
+// собственного комплекса на электродах (мВ) и настройки по умолчанию
+export const PACEMAKER_TYPES = {
+  transcutaneous: {
+    captureThreshold: 60,
+    maxOutput: 200,
+    senseAmplitude: 1,
+    defaults: { mode: 'demand', rate: 70, output: 0, sensitivity: 0.5 }
+  },
+  transvenous: {
+    captureThreshold: 1,
+    maxOutput: 25,
+    senseAmplitude: 10,
+    defaults: { mode: 'VVI', rate: 70, output: 5, sensitivity: 2.5 }
+  }
+};
+
+// Режимы стимуляции: восприятие собственного ритма, стимуляция предсердий
+// и желудочков, доступные типы стимуляции
+export const PACING_MODES = {
+  fixed: { sensing: false, dualChamber: false, types: ['transcutaneous', 'transvenous'] },
+  demand: { sensing: true, dualChamber: false, types: ['transcutaneous'] },
+  VVI: { sensing: true, dualChamber: false, types: ['transvenous'] },
+  DDD: { sensing: true, dualChamber: true, types: ['transvenous'] }
+};
+
+// Неисправности: потеря захвата (смещение электрода, плохой контакт) и
+// нарушение восприятия собственного ритма
+export const PACEMAKER_FAULTS = ['capture', 'sensing'];
+
+// Диапазоны частоты стимуляции (имп/мин) и чувствительности (мВ)
+const MIN_RATE = 30;
+const MAX_RATE = 180;
+const MIN_SENSITIVITY = 0.5;
+const MAX_SENSITIVITY = 20;
+
+// Повышение порога захвата при полной ишемии миокарда
+const ISCHEMIA_THRESHOLD_GAIN = 1;
+
+// Ритмы, которые стимул не захватывает
+const NON_CAPTURABLE_RHYTHMS = ['vfib', 'vtach'];
+
+class PacemakerModule {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Выключение стимулятора и снятие неисправностей
+   */
+  reset() {
+    this.settings = {
+      enabled: false,
+      type: 'transcutaneous',
+      ...PACEMAKER_TYPES.transcutaneous.defaults
+    };
+    this.faults = { capture: false, sensing: false };
+  }
+
+  /**
+   * Изменение настроек стимулятора; при смене типа стимуляции остальные
+   * настройки берутся по умолчанию для нового электрода
+   * @param {Object} settings - enabled, type, mode, rate (имп/мин), output (мА), sensitivity (мВ)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setSettings(settings = {}) {
+    const type = settings.type || this.settings.type;
+    const typeSpec = PACEMAKER_TYPES[type];
+    if (!typeSpec) {
+      console.warn(`Неизвестный тип стимуляции: ${type}`);
+      return null;
+    }
+
+    const base = type === this.settings.type
+      ? this.settings
+      : { ...this.settings, type, ...typeSpec.defaults };
+    const next = { ...base, ...settings, type };
+
+    const mode = PACING_MODES[next.mode];
+    if (!mode || !mode.types.includes(type)) {
+      console.warn(`Режим стимуляции ${next.mode} недоступен для типа ${type}`);
+      return null;
+    }
+
+    if (!(next.rate >= MIN_RATE && next.rate <= MAX_RATE)) {
+      console.warn(`Некорректная частота стимуляции: ${next.rate}`);
+      return null;
+    }
+
+    if (!(next.output >= 0 && next.output <= typeSpec.maxOutput)) {
+      console.warn(`Некорректный ток стимуляции: ${next.output}`);
+      return null;
+    }
+
+    if (!(next.sensitivity >= MIN_SENSITIVITY && next.sensitivity <= MAX_SENSITIVITY)) {
+      console.warn(`Некорректная чувствительность стимулятора: ${next.sensitivity}`);
+      return null;
+    }
+
+    this.settings = { ...next, enabled: Boolean(next.enabled) };
+    return { ...this.settings };
+  }
+
+  /**
+   * Неисправность электрода
+   * @param {string} fault - capture (потеря захвата) или sensing (нарушение восприятия)
+   * @param {boolean} active - Наличие неисправности
+   * @returns {boolean} Известна ли неисправность
+   */
+  setFault(fault, active = true) {
+    if (!PACEMAKER_FAULTS.includes(fault)) {
+      console.warn(`Неизвестная неисправность стимулятора: ${fault}`);
+      return false;
+    }
+
+    this.faults[fault] = Boolean(active);
+    return true;
+  }
+
+  /**
+   * Порог захвата; ишемизированный миокард возбуждается хуже
+   * @param {Object} state - Состояние пациента
+   * @returns {number} Порог в мА
+   */
+  getCaptureThreshold(state) {
+    const ischemia = state.myocardial_ischemia || 0;
+    return PACEMAKER_TYPES[this.settings.type].captureThreshold * (1 + ISCHEMIA_THRESHOLD_GAIN * ischemia);
+  }
+
+  /**
+   * Работа стимулятора при текущем состоянии пациента
+   * @param {Object} state - Состояние пациента (intrinsic_hr, cardiac_arrest, cardiac_rhythm, myocardial_ischemia)
+   * @returns {Object} Настройки, неисправности и расчетные признаки: sensing (восприятие
+   *                   собственного ритма), pacing (нанесение стимулов), capture
+   *                   (электрический захват), mechanicalCapture (захват с сокращением)
+   */
+  getStatus(state = {}) {
+    const { settings } = this;
+    const typeSpec = PACEMAKER_TYPES[settings.type];
+    const mode = PACING_MODES[settings.mode];
+
+    const intrinsicRate = state.cardiac_arrest ? 0 : (state.intrinsic_hr ?? state.hr ?? 0);
+    const captureThreshold = this.getCaptureThreshold(state);
+
+    // Собственный комплекс воспринимается, если его амплитуда не ниже чувствительности
+    const sensing = mode.sensing && !this.faults.sensing && settings.sensitivity <= typeSpec.senseAmplitude;
+
+    // Воспринятый ритм чаще заданной частоты подавляет стимуляцию
+    const pacing = settings.enabled && (!sensing || intrinsicRate < settings.rate);
+
+    const capture = pacing && !this.faults.capture && settings.output >= captureThreshold &&
+      !NON_CAPTURABLE_RHYTHMS.includes(state.cardiac_rhythm);
+
+    return {
+      ...settings,
+      faults: { ...this.faults },
+      dualChamber: mode.dualChamber,
+      maxOutput: typeSpec.maxOutput,
+      captureThreshold,
+      intrinsicRate,
+      sensing,
+      pacing,
+      capture,
+      // При остановке кровообращения захват не вызывает сокращения
+      mechanicalCapture: capture && !state.cardiac_arrest
+    };
+  }
+}
+
+export default PacemakerModule;
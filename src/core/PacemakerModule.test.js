@@ -0,0 +1,69 @@
+import PacemakerModule from './PacemakerModule';
+
+describe('PacemakerModule', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settings are checked against the lead type', () => {
+    const pacemaker = new PacemakerModule();
+
+    expect(pacemaker.setSettings({ type: 'epicardial' })).toBeNull();
+    expect(pacemaker.setSettings({ enabled: true, mode: 'DDD' })).toBeNull();
+    expect(pacemaker.setSettings({ rate: 200 })).toBeNull();
+    expect(pacemaker.setSettings({ output: 250 })).toBeNull();
+    expect(pacemaker.setFault('battery')).toBe(false);
+
+    // A new lead takes its own defaults
+    expect(pacemaker.setSettings({ type: 'transvenous', enabled: true, mode: 'DDD', rate: 60 }))
+      .toMatchObject({ type: 'transvenous', mode: 'DDD', output: 5, sensitivity: 2.5 });
+    expect(pacemaker.setSettings({ output: 30 })).toBeNull();
+
+    pacemaker.reset();
+    expect(pacemaker.settings).toMatchObject({ enabled: false, type: 'transcutaneous', mode: 'demand', output: 0 });
+  });
+
+  test('demand modes are inhibited by a sensed faster rhythm', () => {
+    const pacemaker = new PacemakerModule();
+    const sinus = { hr: 72, intrinsic_hr: 72, cardiac_rhythm: 'sinus' };
+    pacemaker.setSettings({ type: 'transvenous', enabled: true, mode: 'DDD', rate: 60 });
+
+    expect(pacemaker.getStatus(sinus)).toMatchObject({ sensing: true, pacing: false, dualChamber: true, captureThreshold: 1 });
+    expect(pacemaker.getStatus({ ...sinus, intrinsic_hr: 40 })).toMatchObject({ pacing: true, capture: true });
+
+    // Sensitivity above the intrinsic R wave amplitude: failure to sense
+    pacemaker.setSettings({ sensitivity: 12 });
+    expect(pacemaker.getStatus(sinus)).toMatchObject({ sensing: false, pacing: true, capture: true });
+
+    // Fixed mode paces regardless of the intrinsic rhythm
+    pacemaker.setSettings({ sensitivity: 2.5, mode: 'fixed' });
+    expect(pacemaker.getStatus(sinus)).toMatchObject({ sensing: false, pacing: true });
+
+    // Ischemic myocardium needs a higher output
+    expect(pacemaker.getStatus({ ...sinus, myocardial_ischemia: 0.24 }).captureThreshold).toBeCloseTo(1.24, 5);
+  });
+
+  test('faults and arrest rhythms prevent capture', () => {
+    const pacemaker = new PacemakerModule();
+    pacemaker.setSettings({ enabled: true, output: 100 });
+
+    // Asystole is captured electrically, without a contraction
+    const asystole = { hr: 0, cardiac_arrest: true, cardiac_rhythm: 'asystole' };
+    expect(pacemaker.getStatus(asystole)).toMatchObject({ intrinsicRate: 0, pacing: true, capture: true, mechanicalCapture: false });
+    expect(pacemaker.getStatus({ ...asystole, cardiac_rhythm: 'vfib' })).toMatchObject({ pacing: true, capture: false });
+
+    const bradycardia = { hr: 35, intrinsic_hr: 35, cardiac_rhythm: 'sinus' };
+    expect(pacemaker.getStatus(bradycardia)).toMatchObject({ capture: true, mechanicalCapture: true });
+    expect(pacemaker.setFault('capture')).toBe(true);
+    expect(pacemaker.getStatus(bradycardia)).toMatchObject({ pacing: true, capture: false, faults: { capture: true } });
+
+    // Undersensing paces over a faster rhythm
+    pacemaker.setFault('capture', false);
+    pacemaker.setFault('sensing');
+    expect(pacemaker.getStatus({ ...bradycardia, intrinsic_hr: 90 })).toMatchObject({ sensing: false, pacing: true });
+  });
+});
@@ -1,38 +1,206 @@
 // Модель физиологии пациента для симулятора
 // Этот класс отвечает за реалистичное изменение показателей и взаимодействие систем организма
 
+import { systemClock } from '../utils/time/VirtualClock';
+import PharmacologyEngine, { FRACTIONAL_EFFECTS } from '../utils/pharmacology/PharmacologyEngine';
+import { DRUG_LIBRARY } from '../utils/pharmacology/drugLibrary';
+import CardiovascularModel, { ARRHYTHMIAS } from '../utils/physiological-calculations/CardiovascularModel';
+import LungModel from '../utils/physiological-calculations/LungModel';
+import MyocardialIschemiaModel, { ECG_TERRITORIES } from '../utils/physiological-calculations/MyocardialIschemiaModel';
+import PostCardiacArrestModel from '../utils/physiological-calculations/PostCardiacArrestModel';
+import FluidCompartmentModel, { FLUIDS } from '../utils/physiological-calculations/FluidCompartmentModel';
+import HemorrhageModel from '../utils/physiological-calculations/HemorrhageModel';
+import ElectrolyteModel from '../utils/physiological-calculations/ElectrolyteModel';
+import RenalModel from '../utils/physiological-calculations/RenalModel';
+import VentilatorEngine from '../utils/ventilation/VentilatorEngine';
+
+// Гемодинамические показатели, которые рассчитывает модель кровообращения
+const HEMODYNAMIC_PARAMS = ['hr', 'systolic', 'diastolic'];
+
+// Показатели, которые рассчитывает модель газообмена
+const GAS_EXCHANGE_PARAMS = ['spo2', 'etco2'];
+
+// Показатели, которые рассчитывает дыхательный центр
+const RESPIRATORY_PARAMS = ['rr'];
+
+// Показатели моделей, изменение которых извне задает новую рабочую точку
+const MODELED_PARAMS = [...HEMODYNAMIC_PARAMS, ...GAS_EXCHANGE_PARAMS, ...RESPIRATORY_PARAMS];
+
+// Электролиты и кислотно-основные показатели, которые рассчитывает модель
+// электролитов; изменение извне задает новое значение
+const ELECTROLYTE_PARAMS = ['na', 'k', 'cl', 'ca', 'mg', 'glucose', 'hco3'];
+
+// Азотистые шлаки, которые рассчитывает модель почек; изменение извне
+// задает новое значение
+const RENAL_PARAMS = ['creatinine', 'urea'];
+
+// Смещения ST, изменения зубца T и глубина Q по зонам миокарда (мВ)
+const ST_PARAMS = ECG_TERRITORIES.map(territory => `st_${territory}`);
+const T_WAVE_PARAMS = ECG_TERRITORIES.map(territory => `t_${territory}`);
+const Q_WAVE_PARAMS = ECG_TERRITORIES.map(territory => `q_${territory}`);
+
+// Параметры, округляемые до сотых (множества: getState вызывается на каждом шаге)
+const PRECISE_PARAMS = new Set([
+  ...FRACTIONAL_EFFECTS, 'contractility', 'sympathetic_tone', 'fio2', 'shunt_fraction', 'dead_space_fraction',
+  'myocardial_ischemia', 'pulmonary_obstruction', 'pulmonary_edema', 'coagulopathy', 'ca', 'mg', 'renal_injury', ...ST_PARAMS, ...T_WAVE_PARAMS, ...Q_WAVE_PARAMS
+]);
+
+// Параметры, округляемые до десятых
+const TENTHS_PARAMS = new Set([
+  'temperature', 'cardiac_output', 'ventilation_duration', 'minute_volume', 'auto_peep', 'vf_risk',
+  'lactate', 'k', 'rearrest_risk', 'hb', 'hct', 'glucose', 'hco3', 'wbc', 'urea'
+]);
+
+// Наименьший объем крови, до которого его снижает кровотечение (мл)
+const MIN_BLOOD_VOLUME = 2500;
+
+// Частота спонтанного дыхания в покое (вд/мин)
+const RESTING_RR = 14;
+
+// Учащение дыхания при полной гипоксии и урежение при полном угнетении
+// дыхательного центра (вд/мин)
+const HYPOXIA_RR = 20;
+const DEPRESSION_RR = 10;
+
+// Постоянная времени, с которой частота дыхания следует за целевой (с)
+const RR_TIME_CONSTANT = 20;
+
+// Доля дыхательного цикла, занятая инспираторным усилием пациента
+const NEURAL_INSPIRATORY_FRACTION = 0.4;
+
 class PhysiologicalModel {
-    constructor(initialState = {}) {
+    constructor(initialState = {}, random = Math.random, clock = systemClock) {
+      // Источник случайных чисел для физиологической вариабельности
+      this.random = random;
+      
+      // Источник времени (системные или виртуальные часы)
+      this.clock = clock;
+      
       // Начальные показатели здорового пациента
       this.state = {
         // Сердечно-сосудистая система
         hr: 72,           // Частота сердечных сокращений (уд/мин)
+        intrinsic_hr: 72, // Частота собственного ритма без стимуляции (уд/мин)
         systolic: 120,    // Систолическое давление (мм рт.ст.)
         diastolic: 80,    // Диастолическое давление (мм рт.ст.)
         cardiac_output: 5.0, // Сердечный выброс (л/мин)
         stroke_volume: 70,   // Ударный объем (мл)
+        cvp: 8,              // Центральное венозное давление - преднагрузка (мм рт.ст.)
+        svr: 1280,           // Общее периферическое сопротивление (дин·с/см⁵)
+        contractility: 1.0,  // Сократимость миокарда (норма 1.0)
+        sympathetic_tone: 0.5, // Симпатический тонус (0-1, норма 0.5)
+        cardiac_arrest: false,   // Остановка кровообращения
+        cardiac_rhythm: 'sinus', // Ритм (sinus, afib, aflutter, svt, vtach; при остановке - vfib, vtach, asystole, pea)
+        cpr_in_progress: false,  // Проводятся компрессии грудной клетки
+        coronary_perfusion_pressure: 0, // Коронарное перфузионное давление (мм рт.ст.)
+        pleural_pressure: 0,       // Давление воздуха в плевральной полости - напряженный пневмоторакс (мм рт.ст.)
+        pericardial_pressure: 0,   // Давление в полости перикарда - тампонада (мм рт.ст.)
+        pulmonary_obstruction: 0,  // Доля легочных артерий, перекрытая тромбоэмболами (0-1)
+        
+        // Морфология ЭКГ
+        qrs_axis: 60,                // Электрическая ось сердца (градусы)
+        bundle_branch_block: 'none', // Блокада ножки пучка Гиса (none, right, left)
+        st_inferior: 0,   // Смещение ST по зонам миокарда (мВ, отрицательное - депрессия)
+        st_anterior: 0,
+        st_lateral: 0,
+        st_posterior: 0,
+        t_inferior: 0,    // Изменение зубца T по зонам (мВ, отрицательное - инверсия)
+        t_anterior: 0,
+        t_lateral: 0,
+        t_posterior: 0,
+        q_inferior: 0,    // Глубина патологического зубца Q по зонам (мВ)
+        q_anterior: 0,
+        q_lateral: 0,
+        q_posterior: 0,
+        
+        // Острый коронарный синдром
+        acs: 'none',             // Тип ОКС (none, anterior_stemi, inferior_stemi, lateral_stemi, posterior_stemi, nstemi)
+        myocardial_ischemia: 0,  // Доля неработающего миокарда ЛЖ (0-1)
+        troponin: 5,             // Высокочувствительный тропонин I (нг/л)
+        vf_risk: 0,              // Риск фибрилляции желудочков (%/мин)
+        
+        // Постреанимационный период
+        arrest_duration: 0,            // Длительность текущей остановки кровообращения (с)
+        initial_arrest_rhythm: 'none', // Ритм первой остановки - ее причина (none - остановки не было)
+        rearrest_risk: 0,              // Риск повторной остановки (%/мин)
+        neuro_outcome: 0,              // Ожидаемый неврологический исход по шкале CPC (1-5, 0 - остановки не было)
         
         // Дыхательная система
         rr: 14,           // Частота дыхания (вд/мин)
         spo2: 98,         // Сатурация кислорода (%)
         etco2: 35,        // Концентрация CO2 в конце выдоха (мм рт.ст.)
-        tidal_volume: 500, // Дыхательный объем (мл)
-        peep: 5,          // ПДКВ - положительное давление конца выдоха (см H2O)
+        tidal_volume: 500, // Дыхательный объем спонтанного дыхания (мл)
+        peep: 0,          // ПДКВ - положительное давление конца выдоха (см H2O)
+        fio2: 0.21,       // Фракция кислорода во вдыхаемой смеси
+        pao2: 95,         // Парциальное давление O2 в артериальной крови (мм рт.ст.)
+        paco2: 39,        // Парциальное давление CO2 в артериальной крови (мм рт.ст.)
+        shunt_fraction: 0.03,     // Фракция шунта
+        dead_space_fraction: 0.1, // Фракция альвеолярного мертвого пространства
+        minute_volume: 7,         // Минутный объем дыхания (л/мин)
+        lung_compliance: 50,      // Статический комплаенс (мл/см H2O)
+        airway_resistance: 5,     // Сопротивление дыхательных путей (см H2O/л/с)
+        peak_pressure: 0,         // Пиковое давление вдоха на ИВЛ (см H2O)
+        plateau_pressure: 0,      // Давление плато на ИВЛ (см H2O)
+        auto_peep: 0,             // Внутреннее ПДКВ от неполного выдоха (см H2O)
+        ventilator_rate: 0,       // Измеренная аппаратом частота вдохов (/мин)
+        double_triggers: 0,       // Двойные срабатывания триггера (/мин)
+        ineffective_efforts: 0,   // Неэффективные попытки вдоха (/мин)
+        ventilator_mode: 'none',  // Режим ИВЛ (none без ИВЛ)
         
         // Общие параметры
         temperature: 36.6, // Температура тела (°C)
+        lactate: 1.0,      // Лактат (ммоль/л)
+        
+        // Электролиты и кислотно-основное состояние
+        na: 140,           // Натрий плазмы (ммоль/л)
+        k: 4.0,            // Калий плазмы (ммоль/л)
+        cl: 104,           // Хлор плазмы (ммоль/л)
+        ca: 1.2,           // Ионизированный кальций (ммоль/л)
+        mg: 0.9,           // Магний плазмы (ммоль/л)
+        glucose: 5.5,      // Глюкоза плазмы (ммоль/л)
+        hco3: 24,          // Бикарбонат плазмы (ммоль/л)
+        anion_gap: 12,     // Анионный интервал (ммоль/л)
+        insulin_action: 0, // Действие инсулина (0-1)
+        
+        // Функция почек
+        gfr: 120,          // Скорость клубочковой фильтрации (мл/мин)
+        creatinine: 80,    // Креатинин плазмы (мкмоль/л)
+        urea: 5,           // Мочевина плазмы (ммоль/л)
+        renal_injury: 0,   // Острый тубулярный некроз (0-1)
         
         // Неврологические параметры
         gcs: 15,          // Шкала комы Глазго
         pupils: "normal", // Состояние зрачков (normal, dilated, constricted)
+        sedation: 0,      // Уровень седации (0-1)
+        analgesia: 0,     // Уровень анальгезии (0-1)
+        neuromuscular_blockade: 0, // Нервно-мышечный блок (0-1)
+        
+        // Водные секторы и состав крови
+        blood_volume: 5000,          // Объем крови (мл)
+        plasma_volume: 2900,         // Объем плазмы (мл)
+        interstitial_volume: 11000,  // Объем интерстициальной жидкости (мл)
+        intracellular_volume: 28000, // Объем внутриклеточной жидкости (мл)
+        hb: 14,                      // Гемоглобин (г/дл)
+        hct: 42,                     // Гематокрит (%)
+        platelets: 250,              // Тромбоциты (10⁹/л)
+        wbc: 6.5,                    // Лейкоциты (10⁹/л)
+        coagulation_factors: 100,    // Активность факторов свертывания (% нормы)
+        pulmonary_edema: 0,          // Отек легких (0-1)
+        
+        // Кровотечение и летальная триада
+        blood_loss: 0,      // Суммарная кровопотеря (мл)
+        hemorrhage_rate: 0, // Скорость кровотечения (мл/мин)
+        shock_class: 1,     // Класс геморрагического шока по ATLS (1-4)
+        coagulopathy: 0,    // Коагулопатия (0-1)
         
         // Системные статусы
-        blood_volume: 5000, // Объем крови (мл)
         intubated: false,   // Статус интубации
         pain_level: 0,      // Уровень боли (0-10)
+        weight: 70,         // Масса тела (кг)
         
         // Временные параметры
-        last_update: Date.now(),
+        ventilation_duration: 0, // Длительность ИВЛ (часы)
+        last_update: clock.now(),
         
         // Переопределяем параметры начальными значениями, если они предоставлены
         ...initialState
@@ -52,14 +220,16 @@ class PhysiologicalModel {
         max_spo2: 100,
         min_etco2: 15,
         max_etco2: 80,
-        min_temp: 34,
-        max_temp: 42
+        min_temp: 25,
+        max_temp: 42,
+        min_gcs: 3,
+        max_gcs: 15
       };
       
       // Факторы, влияющие на физиологию
       this.factors = {
         hypoxia: 0,         // Гипоксия (0-1)
-        bleeding: 0,         // Кровотечение (0-1)
+        bleeding: 0,         // Кровотечение без указания источника (0-1, 1 - 500 мл/мин)
         cardiac_depression: 0, // Угнетение сердечной деятельности (0-1)
         respiratory_depression: 0, // Угнетение дыхания (0-1)
         vasodilation: 0,      // Вазодилатация (0-1)
@@ -67,8 +237,75 @@ class PhysiologicalModel {
         pain: 0               // Болевая стимуляция (0-1)
       };
       
-      // Эффекты лекарств и их продолжительность
-      this.medications = {};
+      // Фармакокинетика и фармакодинамика введенных лекарств
+      this.pharmacology = new PharmacologyEngine(DRUG_LIBRARY, this.state.weight);
+      
+      // Смещения параметров, внесенные лекарствами на текущий момент
+      this.drugEffects = {};
+      
+      // Модель кровообращения с барорефлексом
+      this.cardiovascular = new CardiovascularModel();
+      
+      // Модель газообмена в легких
+      this.lung = new LungModel();
+      
+      // Ишемия и инфаркт миокарда
+      this.ischemia = new MyocardialIschemiaModel();
+      
+      // Остановка кровообращения и постреанимационная болезнь
+      this.postArrest = new PostCardiacArrestModel();
+      
+      // Водные секторы организма и инфузионная терапия
+      this.fluids = new FluidCompartmentModel();
+      
+      // Объем крови на конец прошлого расчета секторов; отличие от него
+      // означает, что объем задан извне (сценарий, инструктор)
+      this.fluidSnapshot = this.fluids.getBloodVolume();
+      
+      // Кровотечение из источников, класс шока и летальная триада
+      this.hemorrhage = new HemorrhageModel();
+      
+      // Лактат от недостаточной доставки кислорода, внесенный в состояние
+      this.lactateShift = 0;
+      
+      // Электролиты плазмы и метаболическая часть кислотно-основного состояния
+      this.electrolytes = new ElectrolyteModel();
+      
+      // Электролиты на конец прошлого расчета; отличие от них означает,
+      // что значение задано извне (null - заданы начальным состоянием)
+      this.electrolyteSnapshot = null;
+      
+      // Почечная фильтрация и азотистые шлаки
+      this.renal = new RenalModel();
+      
+      // Креатинин и мочевина на конец прошлого расчета; отличие от них
+      // означает, что значение задано извне (null - заданы начальным состоянием)
+      this.renalSnapshot = null;
+      
+      // Частота дыхания, которую задает дыхательный центр, без колебаний
+      // отображаемого значения, и ее рабочая точка без гипоксии и угнетения
+      this.respiratoryRate = this.state.rr;
+      this.rrSetPoint = this.state.rr;
+      
+      // Аппарат ИВЛ; работает, пока пациент интубирован
+      this.ventilator = new VentilatorEngine();
+      
+      // Частота стимуляции с захватом желудочков (0 - нет стимуляции)
+      this.pacedRate = 0;
+      
+      // Частота желудочков при тахиаритмии (0 - частота аритмии по умолчанию)
+      this.arrhythmiaRate = 0;
+      
+      // Кровообращение, создаваемое компрессиями при остановке (null - СЛР не проводится)
+      this.cprPerfusion = null;
+      
+      // Показатели моделей на конец прошлого обновления; отличия от них означают,
+      // что показатели заданы извне (сценарий, инструктор)
+      this.modelSnapshot = null;
+      
+      // Смещения параметров, которых нет в состоянии (например, комплаенс
+      // и сопротивление для модели газообмена или лейкоциты от осложнений)
+      this.modifiers = {};
       
       // Интервал обновления модели (мс)
       this.updateInterval = null;
@@ -93,22 +330,58 @@ class PhysiologicalModel {
       return this;
     }
     
+    // Замена источника времени (например, при переходе в пошаговый режим)
+    setClock(clock) {
+      this.clock = clock;
+      this.state.last_update = clock.now();
+      return this;
+    }
+    
     // Основная функция обновления физиологии
     updatePhysiology() {
-      const now = Date.now();
+      const now = this.clock.now();
       const timeDelta = (now - this.state.last_update) / 1000; // в секундах
       
       // Обновляем время последнего обновления
       this.state.last_update = now;
       
-      // Обновляем эффекты лекарств (уменьшаем со временем)
-      this.updateMedicationEffects(timeDelta);
+      // Учитываем длительность ИВЛ для осложнений, зависящих от времени
+      if (this.state.intubated) {
+        this.state.ventilation_duration += timeDelta / 3600;
+      }
       
-      // Обновляем основные показатели на основе факторов и лекарств
-      this.updateCardiovascular(timeDelta);
-      this.updateRespiratory(timeDelta);
+      // Показатели, заданные извне после прошлого обновления
+      const changedParams = this.getChangedParams();
+      
+      // Физиология рассчитывается без эффектов лекарств,
+      // они накладываются поверх после соблюдения пределов
+      const drugEffects = this.drugEffects;
+      this.removeDrugEffects();
+      
+      // Развитие инфаркта миокарда
+      this.updateIschemia(timeDelta);
+      
+      // Время без кровотока и с низким кровотоком, постреанимационная болезнь
+      this.updatePostArrest(timeDelta);
+      
+      // Кровопотеря и распределение жидкости между секторами
+      this.updateFluids(timeDelta);
+      
+      // Обновляем основные показатели на основе факторов
+      this.updateCardiovascular(timeDelta, changedParams, drugEffects);
+      this.updateRespiratory(timeDelta, changedParams, drugEffects);
       this.updateTemperature(timeDelta);
       
+      // Электролиты и бикарбонат по вентиляции, перфузии и инсулину
+      this.updateElectrolytes(timeDelta);
+      this.enforceConstraints();
+      
+      // Фильтрация по перфузии почек, креатинин и мочевина
+      this.updateRenal(timeDelta);
+      
+      // Обновляем концентрации лекарств и применяем их эффекты
+      this.updateMedicationEffects(timeDelta);
+      
       // Обновляем вторичные параметры на основе первичных
       this.calculateDerivedParameters();
       
@@ -118,179 +391,732 @@ class PhysiologicalModel {
       // Корректируем значения в пределах допустимых диапазонов
       this.enforceConstraints();
       
+      // Коронарная перфузия; при остановке - кровоток от компрессий
+      this.updateCoronaryPerfusion();
+      
+      // Навязанный стимулятором ритм
+      this.applyPacedRate();
+      
+      this.saveModelSnapshot();
+      
       return this.getState();
     }
     
-    // Обновление эффектов лекарств
+    // Показатели, измененные в обход моделей кровообращения и газообмена
+    getChangedParams() {
+      if (!this.modelSnapshot) {
+        return [...MODELED_PARAMS];
+      }
+      
+      return MODELED_PARAMS.filter(param => this.state[param] !== this.modelSnapshot[param]);
+    }
+    
+    // Запоминаем показатели моделей на конец обновления
+    saveModelSnapshot() {
+      this.modelSnapshot = {};
+      MODELED_PARAMS.forEach(param => {
+        this.modelSnapshot[param] = this.state[param];
+      });
+    }
+    
+    // Обновление эффектов лекарств по их концентрации в эффекторной зоне
     updateMedicationEffects(timeDelta) {
-      // Проходим по всем активным лекарствам
-      Object.keys(this.medications).forEach(med => {
-        const medication = this.medications[med];
+      this.pharmacology.setWeight(this.state.weight);
+      this.pharmacology.update(timeDelta);
+      this.applyDrugEffects(this.pharmacology.getEffects());
+    }
+    
+    // Применение суммарных эффектов лекарств к состоянию
+    // Доли (седация, анальгезия, блок) задаются напрямую, остальные параметры
+    // смещаются в пределах допустимых значений
+    applyDrugEffects(effects) {
+      this.drugEffects = {};
+      
+      Object.entries(effects).forEach(([param, effect]) => {
+        if (FRACTIONAL_EFFECTS.includes(param)) {
+          this.state[param] = this.clamp(effect, 0, 1);
+          return;
+        }
         
-        // Уменьшаем длительность действия
-        medication.duration -= timeDelta;
+        if (typeof this.state[param] !== 'number') return;
         
-        if (medication.duration <= 0) {
-          // Если срок действия истек, удаляем лекарство
-          delete this.medications[med];
-        } else {
-          // Обновляем силу действия в зависимости от фазы
-          const phasePercent = 1 - (medication.duration / medication.initialDuration);
-          
-          // Разная модель для разных типов лекарств
-          if (medication.type === "bolus") {
-            // Быстрое нарастание и постепенное снижение
-            medication.strength = medication.initialStrength * 
-              (phasePercent < 0.2 ? phasePercent * 5 : (1 - phasePercent) * 1.25);
-          } else {
-            // Постепенное снижение
-            medication.strength = medication.initialStrength * (1 - phasePercent);
-          }
+        const base = this.state[param];
+        const min = this.settings[`min_${param}`] ?? -Infinity;
+        const max = this.settings[`max_${param}`] ?? Infinity;
+        
+        this.state[param] = this.clamp(base + effect, Math.min(min, base), Math.max(max, base));
+        
+        // Запоминаем фактически внесенное смещение
+        this.drugEffects[param] = this.state[param] - base;
+      });
+      
+      // Выведенные лекарства больше не влияют на доли эффектов
+      FRACTIONAL_EFFECTS.forEach(param => {
+        if (effects[param] === undefined) {
+          this.state[param] = 0;
+        }
+      });
+    }
+    
+    // Снятие смещений, внесенных лекарствами при прошлом обновлении
+    removeDrugEffects() {
+      Object.entries(this.drugEffects).forEach(([param, effect]) => {
+        if (typeof this.state[param] === 'number') {
+          this.state[param] -= effect;
         }
       });
+      this.drugEffects = {};
     }
     
     // Обновление сердечно-сосудистой системы
-    updateCardiovascular(timeDelta) {
-      let hr = this.state.hr;
-      let systolic = this.state.systolic;
-      let diastolic = this.state.diastolic;
+    // changedParams - показатели, заданные извне (становятся новой рабочей точкой)
+    // drugEffects - смещения от лекарств, которые ощущает барорефлекс
+    updateCardiovascular(timeDelta, changedParams = [], drugEffects = {}) {
+      // При остановке кровообращения показатели задаются движком напрямую
+      if (this.state.cardiac_arrest) return;
+      
+      const conditions = {
+        blood_volume: this.state.blood_volume,
+        cardiac_depression: this.factors.cardiac_depression,
+        // После остановки кровообращения развивается вазоплегия
+        vasodilation: Math.min(1, this.factors.vasodilation + this.postArrest.getVasoplegia()),
+        vasoconstriction: this.factors.vasoconstriction,
+        // Боль (ослабляется анальгезией) и гипоксия повышают симпатический тонус
+        pain: this.factors.pain * (1 - this.state.analgesia),
+        hypoxia: this.factors.hypoxia,
+        // Оглушенный после остановки миокард сокращается так же плохо, как ишемизированный
+        myocardial_ischemia: Math.min(1, this.state.myocardial_ischemia + this.postArrest.getStunning()),
+        paced_rate: this.pacedRate,
+        arrhythmia: this.state.cardiac_rhythm,
+        arrhythmia_rate: this.arrhythmiaRate,
+        drug_map: ((drugEffects.systolic || 0) + 2 * (drugEffects.diastolic || 0)) / 3,
+        // Препятствие наполнению сердца: пневмоторакс, тампонада, ТЭЛА
+        pleural_pressure: this.state.pleural_pressure,
+        pericardial_pressure: this.state.pericardial_pressure,
+        pulmonary_obstruction: this.state.pulmonary_obstruction
+      };
+      
+      // Заданные извне значения становятся новой рабочей точкой
+      // При тахиаритмии заданная частота - частота аритмии, а не синусового ритма
+      const targets = {};
+      if (changedParams.includes('hr') && ARRHYTHMIAS[this.state.cardiac_rhythm]) {
+        this.arrhythmiaRate = this.state.hr;
+      } else if (changedParams.includes('hr')) {
+        targets.hr = this.state.hr;
+      }
+      if (changedParams.includes('systolic') || changedParams.includes('diastolic')) {
+        targets.systolic = this.state.systolic;
+        targets.diastolic = this.state.diastolic;
+      }
+      if (Object.keys(targets).length > 0) {
+        this.cardiovascular.setOperatingPoint(conditions, targets);
+      }
       
-      // Влияние факторов
+      // Барорефлекс и расчет гемодинамики
+      const hemodynamics = this.cardiovascular.update(timeDelta, conditions);
       
-      // Гипоксия увеличивает ЧСС
-      hr += this.factors.hypoxia * 50 * timeDelta;
+      this.state.hr = hemodynamics.hr;
+      this.state.intrinsic_hr = hemodynamics.intrinsic_hr;
+      this.state.systolic = hemodynamics.systolic;
+      this.state.diastolic = hemodynamics.diastolic;
+      this.state.cvp = hemodynamics.cvp;
+      this.state.svr = hemodynamics.svr;
+      this.state.contractility = hemodynamics.contractility;
+      this.state.stroke_volume = hemodynamics.stroke_volume;
+      this.state.sympathetic_tone = this.cardiovascular.tone;
+    }
+    
+    // Водные секторы: кровотечение из источников и фактор bleeding (до
+    // 500 мл/мин) уменьшают объем крови и преднагрузку, жидкость
+    // распределяется между плазмой, интерстицием и клетками, избыток жидкости
+    // при высоком ЦВД вызывает отек легких
+    updateFluids(timeDelta) {
+      this.syncBloodVolume();
       
-      // Кровотечение снижает давление и повышает ЧСС
-      if (this.factors.bleeding > 0) {
-        const bleedingEffect = this.factors.bleeding * timeDelta;
-        this.state.blood_volume = Math.max(2500, this.state.blood_volume - bleedingEffect * 500);
-        
-        // Компенсаторное повышение ЧСС при снижении объема крови
-        const volumeDeficit = 1 - (this.state.blood_volume / 5000);
-        hr += volumeDeficit * 60 * timeDelta;
-        
-        // Снижение давления при потере крови
-        systolic -= bleedingEffect * 50;
-        diastolic -= bleedingEffect * 30;
-      }
-      
-      // Угнетение сердечной деятельности
-      hr -= this.factors.cardiac_depression * 40 * timeDelta;
-      systolic -= this.factors.cardiac_depression * 40 * timeDelta;
-      diastolic -= this.factors.cardiac_depression * 20 * timeDelta;
-      
-      // Вазодилатация
-      systolic -= this.factors.vasodilation * 40 * timeDelta;
-      diastolic -= this.factors.vasodilation * 30 * timeDelta;
-      
-      // Вазоконстрикция
-      systolic += this.factors.vasoconstriction * 30 * timeDelta;
-      diastolic += this.factors.vasoconstriction * 20 * timeDelta;
-      
-      // Боль повышает ЧСС и давление
-      hr += this.factors.pain * 30 * timeDelta;
-      systolic += this.factors.pain * 20 * timeDelta;
-      diastolic += this.factors.pain * 10 * timeDelta;
-      
-      // Влияние лекарств
-      Object.values(this.medications).forEach(med => {
-        switch(med.name) {
-          case "epinephrine":
-            hr += med.strength * 40 * timeDelta;
-            systolic += med.strength * 50 * timeDelta;
-            diastolic += med.strength * 20 * timeDelta;
-            break;
-          case "norepinephrine":
-            systolic += med.strength * 60 * timeDelta;
-            diastolic += med.strength * 30 * timeDelta;
-            break;
-          case "atropine":
-            hr += med.strength * 30 * timeDelta;
-            break;
-          case "propofol":
-          case "midazolam":
-            hr -= med.strength * 15 * timeDelta;
-            systolic -= med.strength * 25 * timeDelta;
-            diastolic -= med.strength * 15 * timeDelta;
-            break;
-          // Другие лекарства...
+      const loss = this.hemorrhage.update(timeDelta, {
+        map: this.state.map,
+        cardiac_output: this.state.cardiac_output,
+        hb: this.state.hb,
+        blood_volume: this.fluids.getBloodVolume(),
+        arrest: this.state.cardiac_arrest,
+        coagulation_factors: this.state.coagulation_factors,
+        platelets: this.state.platelets,
+        temperature: this.state.temperature,
+        lactate: this.state.lactate,
+        extra_rate: this.factors.bleeding * 500,
+        available: Math.max(0, this.fluids.getBloodVolume() - MIN_BLOOD_VOLUME)
+      });
+      this.fluids.removeBlood(loss);
+      
+      this.fluids.update(timeDelta, { cvp: this.state.cvp });
+      this.applyFluidState();
+      this.applyHemorrhageState();
+    }
+    
+    // Объем крови, заданный извне, меняется без изменения состава крови;
+    // снижение объема считается кровопотерей
+    syncBloodVolume() {
+      if (this.state.blood_volume === this.fluidSnapshot) return;
+      
+      this.hemorrhage.recordLoss(this.fluids.getBloodVolume() - this.state.blood_volume);
+      this.fluids.setBloodVolume(this.state.blood_volume);
+    }
+    
+    // Перенос объемов секторов и состава крови в состояние
+    applyFluidState() {
+      Object.assign(this.state, this.fluids.getState());
+      this.fluidSnapshot = this.state.blood_volume;
+    }
+    
+    // Кровопотеря, класс шока и летальная триада в состоянии; лактат
+    // смещается относительно заданного извне значения
+    applyHemorrhageState() {
+      const lactateShift = this.hemorrhage.getLactate();
+      this.state.lactate += lactateShift - this.lactateShift;
+      this.lactateShift = lactateShift;
+      
+      this.state.blood_loss = this.hemorrhage.getBloodLoss();
+      this.state.hemorrhage_rate = this.hemorrhage.getRate();
+      this.state.shock_class = this.hemorrhage.getShockClass();
+      this.state.coagulopathy = this.hemorrhage.getCoagulopathy();
+    }
+    
+    // Инфузия раствора или компонента крови (type - раствор из FLUIDS,
+    // volume - объем в мл, по умолчанию - один флакон или доза); холодные
+    // растворы охлаждают пациента, электролиты раствора смешиваются с
+    // внеклеточной жидкостью
+    administerFluid(type, volume) {
+      // Объем и электролиты, заданные извне до инфузии, учитываются до нее
+      this.syncBloodVolume();
+      this.syncElectrolytes();
+      
+      const result = this.fluids.administer(type, volume);
+      if (result) {
+        const fluid = FLUIDS[type];
+        this.hemorrhage.infuse(result.volume, fluid.temperature);
+        this.electrolytes.infuse(result.volume * (1 - fluid.redCells), fluid.electrolytes, this.getExtracellularVolume());
+        this.applyFluidState();
+        this.applyElectrolyteState();
+      }
+      return result;
+    }
+    
+    // Возврат водных секторов и состава крови к норме
+    resetFluids() {
+      this.fluids.reset();
+      this.applyFluidState();
+    }
+    
+    // Объем внеклеточной жидкости: плазма и интерстиций (мл)
+    getExtracellularVolume() {
+      return this.state.plasma_volume + this.state.interstitial_volume;
+    }
+    
+    // Электролиты плазмы: смешивание с инфузиями, сдвиги калия при ацидозе и
+    // под действием инсулина, связывание кальция цитратом, почечная коррекция;
+    // бикарбонат по разнице сильных ионов (Стюарт), pH по CO2
+    updateElectrolytes(timeDelta) {
+      this.syncElectrolytes();
+      
+      this.electrolytes.update(timeDelta, {
+        extracellular_volume: this.getExtracellularVolume(),
+        intracellular_volume: this.state.intracellular_volume,
+        paco2: this.state.paco2,
+        lactate: this.state.lactate,
+        insulin: this.state.insulin_action,
+        sympathetic_tone: this.state.sympathetic_tone,
+        map: this.state.map,
+        cardiac_output: this.state.cardiac_output,
+        arrest: this.state.cardiac_arrest,
+        metabolic_acidosis: this.state.metabolic_acidosis || 0,
+        metabolic_alkalosis: this.state.metabolic_alkalosis || 0
+      });
+      this.applyElectrolyteState();
+    }
+    
+    // Электролиты, заданные извне (сценарий, инструктор, причина остановки),
+    // становятся новыми значениями модели
+    syncElectrolytes() {
+      ELECTROLYTE_PARAMS.forEach(param => {
+        if (!this.electrolyteSnapshot || this.state[param] !== this.electrolyteSnapshot[param]) {
+          this.electrolytes.setValue(param, this.state[param]);
         }
       });
+    }
+    
+    // Перенос электролитов в состояние
+    applyElectrolyteState() {
+      Object.assign(this.state, this.electrolytes.getState());
+      
+      this.electrolyteSnapshot = {};
+      ELECTROLYTE_PARAMS.forEach(param => {
+        this.electrolyteSnapshot[param] = this.state[param];
+      });
+    }
+    
+    // Ионы и глюкоза, введенные с препаратом (amount - доза в мкг)
+    addDrugElectrolytes(medicationName, amount) {
+      const drug = this.pharmacology.getDrug(medicationName);
+      if (!drug || !drug.electrolytes) return;
       
-      // Обновляем состояние
-      this.state.hr = hr;
-      this.state.systolic = systolic;
-      this.state.diastolic = diastolic;
+      this.syncElectrolytes();
+      
+      const grams = amount / 1e6;
+      const loads = Object.fromEntries(
+        Object.entries(drug.electrolytes).map(([solute, perGram]) => [solute, perGram * grams])
+      );
+      this.electrolytes.addLoad(loads, this.getExtracellularVolume());
+      this.applyElectrolyteState();
     }
     
-    // Обновление дыхательной системы
-    updateRespiratory(timeDelta) {
-      let rr = this.state.rr;
-      let spo2 = this.state.spo2;
-      let etco2 = this.state.etco2;
+    // Возврат электролитов и кислотно-основного состояния к норме
+    resetElectrolytes() {
+      this.electrolytes.reset();
+      this.applyElectrolyteState();
+    }
+    
+    // Функция почек: фильтрация следует за СрАД и снижается при симпатической
+    // вазоконстрикции, длительная гипоперфузия
+    // вызывает тубулярный некроз; креатинин и мочевина растут за часы
+    updateRenal(timeDelta) {
+      this.syncRenal();
+      
+      this.renal.update(timeDelta, {
+        map: this.state.map,
+        sympathetic_tone: this.state.sympathetic_tone,
+        arrest: this.state.cardiac_arrest
+      });
+      this.applyRenalState();
+    }
+    
+    // Креатинин и мочевина, заданные извне (сценарий, инструктор), становятся
+    // новыми значениями модели
+    syncRenal() {
+      RENAL_PARAMS.forEach(param => {
+        if (!this.renalSnapshot || this.state[param] !== this.renalSnapshot[param]) {
+          this.renal.setValue(param, this.state[param]);
+        }
+      });
+    }
+    
+    // Перенос функции почек в состояние
+    applyRenalState() {
+      Object.assign(this.state, this.renal.getState());
+      
+      this.renalSnapshot = {};
+      RENAL_PARAMS.forEach(param => {
+        this.renalSnapshot[param] = this.state[param];
+      });
+    }
+    
+    // Возврат функции почек к норме
+    resetRenal() {
+      this.renal.reset();
+      this.applyRenalState();
+    }
+    
+    // Кровотечение из источника (site - источник из HEMORRHAGE_SITES,
+    // rate - мл/мин, по умолчанию - типичная для источника, 0 - остановка)
+    setHemorrhage(site, rate) {
+      const result = this.hemorrhage.setSite(site, rate);
+      if (result) {
+        this.applyHemorrhageState();
+      }
+      return result;
+    }
+    
+    // Остановка кровотечения (control - жгут, давление или хирургический
+    // гемостаз; site - источник, по умолчанию все, где вмешательство действует)
+    controlHemorrhage(control, site) {
+      const result = this.hemorrhage.applyControl(control, site);
+      if (result) {
+        this.applyHemorrhageState();
+      }
+      return result;
+    }
+    
+    // Источники кровотечения, кровопотеря, класс шока и летальная триада
+    // (null - кровотечения не было)
+    getHemorrhageStatus() {
+      return this.hemorrhage.isActive() ? this.hemorrhage.getSummary() : null;
+    }
+    
+    // Прекращение кровотечения и забвение кровопотери
+    resetHemorrhage() {
+      this.hemorrhage.reset();
+      this.state.lactate -= this.lactateShift;
+      this.lactateShift = 0;
+      this.applyHemorrhageState();
+    }
+    
+    // Развитие ишемии миокарда: изменения ЭКГ по зонам, тропонин,
+    // доля неработающего миокарда и риск фибрилляции желудочков
+    updateIschemia(timeDelta) {
+      if (!this.ischemia.isActive()) return;
+      
+      this.ischemia.update(timeDelta);
       
-      // Влияние гипоксии
-      if (this.factors.hypoxia > 0) {
-        spo2 -= this.factors.hypoxia * 20 * timeDelta;
-        rr += this.factors.hypoxia * 10 * timeDelta; // Компенсаторное учащение дыхания
+      const { st, t, q } = this.ischemia.getECGChanges();
+      ECG_TERRITORIES.forEach(territory => {
+        this.state[`st_${territory}`] = st[territory];
+        this.state[`t_${territory}`] = t[territory];
+        this.state[`q_${territory}`] = q[territory];
+      });
+      
+      this.state.myocardial_ischemia = this.ischemia.getDysfunction();
+      this.state.troponin = this.ischemia.getTroponin();
+      this.state.vf_risk = this.ischemia.getFibrillationRisk() * 100;
+    }
+    
+    // Начало острого коронарного синдрома
+    // type - тип ОКС, options - размер зоны риска и ускорение развития
+    startMyocardialInfarction(type, options = {}) {
+      if (!this.ischemia.start(type, options)) {
+        return false;
+      }
+      
+      this.state.acs = type;
+      this.updateIschemia(0);
+      return true;
+    }
+    
+    // Реперфузия (ЧКВ или тромболизис): некроз прекращается, ST снижается
+    reperfuseMyocardium() {
+      if (!this.ischemia.reperfuse()) {
+        return false;
+      }
+      
+      this.updateIschemia(0);
+      return true;
+    }
+    
+    // Снятие ОКС: изменения ЭКГ, тропонин и сократимость возвращаются к норме
+    resetMyocardialInfarction() {
+      this.ischemia.reset();
+      
+      ECG_TERRITORIES.forEach(territory => {
+        this.state[`st_${territory}`] = 0;
+        this.state[`t_${territory}`] = 0;
+        this.state[`q_${territory}`] = 0;
+      });
+      
+      this.state.acs = 'none';
+      this.state.myocardial_ischemia = 0;
+      this.state.troponin = this.ischemia.getTroponin();
+      this.state.vf_risk = 0;
+    }
+    
+    // Остановка кровообращения и постреанимационный период: лактат,
+    // длительность остановки, риск повторной остановки, сознание и исход
+    updatePostArrest(timeDelta) {
+      this.postArrest.update(timeDelta, {
+        arrest: this.state.cardiac_arrest,
+        rhythm: this.state.cardiac_rhythm,
+        cardiac_output: this.cprPerfusion ? this.cprPerfusion.cardiac_output : 0,
+        map: this.state.map
+      });
+      
+      if (!this.postArrest.isActive()) return;
+      
+      this.state.lactate = this.postArrest.getLactate() + this.lactateShift;
+      this.state.arrest_duration = this.postArrest.getArrestDuration();
+      this.state.initial_arrest_rhythm = this.postArrest.initialRhythm;
+      this.state.rearrest_risk = this.postArrest.getRearrestRisk(this.state.map) * 100;
+      this.state.neuro_outcome = this.postArrest.getNeurologicalOutcome();
+      this.state.gcs = this.postArrest.getConsciousness();
+    }
+    
+    // Сводка постреанимационного периода (null - остановки не было)
+    getPostArrestStatus() {
+      return this.postArrest.getSummary(this.state.map);
+    }
+    
+    // Сброс последствий остановки кровообращения
+    resetPostArrest() {
+      const wasActive = this.postArrest.isActive();
+      this.postArrest.reset();
+      
+      this.state.lactate = this.postArrest.getLactate() + this.lactateShift;
+      this.state.arrest_duration = 0;
+      this.state.initial_arrest_rhythm = 'none';
+      this.state.rearrest_risk = 0;
+      this.state.neuro_outcome = 0;
+      
+      // Сознание, утраченное при остановке, восстанавливается
+      if (wasActive) {
+        this.state.gcs = this.settings.max_gcs;
+      }
+    }
+    
+    // Частота стимуляции с захватом желудочков; задается стимулятором движка
+    setPacedRate(rate) {
+      this.pacedRate = rate > 0 ? rate : 0;
+    }
+    
+    // Частота сокращений при стимуляции: лекарства и вариабельность меняют
+    // собственный ритм, сокращения не реже частоты стимуляции
+    applyPacedRate() {
+      if (this.state.cardiac_arrest) {
+        this.state.intrinsic_hr = 0;
+        return;
+      }
+      
+      if (this.pacedRate > 0) {
+        this.state.intrinsic_hr += this.drugEffects.hr || 0;
+        this.state.hr = Math.max(this.state.intrinsic_hr, this.pacedRate);
+      } else {
+        this.state.intrinsic_hr = this.state.hr;
+      }
+    }
+    
+    // Кровообращение от компрессий грудной клетки; задается модулем СЛР движка
+    setCPRPerfusion(perfusion) {
+      this.cprPerfusion = perfusion;
+    }
+    
+    // Коронарное перфузионное давление: диастолическое давление минус ЦВД.
+    // При остановке кровообращения давление и EtCO2 создаются только компрессиями
+    updateCoronaryPerfusion() {
+      if (!this.state.cardiac_arrest) {
+        this.state.coronary_perfusion_pressure = Math.max(0, this.state.diastolic - this.state.cvp);
+        return;
       }
       
-      // Угнетение дыхания
-      if (this.factors.respiratory_depression > 0) {
-        rr -= this.factors.respiratory_depression * 10 * timeDelta;
-        etco2 += this.factors.respiratory_depression * 15 * timeDelta; // Накопление CO2
+      if (!this.cprPerfusion) {
+        this.state.coronary_perfusion_pressure = 0;
+        return;
       }
       
-      // Восстановление SpO2 при нормальной работе легких (если нет гипоксии)
-      if (this.factors.hypoxia < 0.1 && spo2 < 98) {
-        spo2 += (1 - this.factors.respiratory_depression) * 2 * timeDelta;
+      const perfusion = this.cprPerfusion;
+      this.state.systolic = perfusion.systolic;
+      this.state.diastolic = perfusion.diastolic;
+      this.state.map = Math.round((perfusion.systolic + 2 * perfusion.diastolic) / 3);
+      this.state.coronary_perfusion_pressure = perfusion.coronary_perfusion_pressure;
+      this.state.etco2 = perfusion.etco2;
+      this.state.cardiac_output = perfusion.cardiac_output;
+    }
+    
+    // Смена ритма сердца при сохраненном кровообращении: синусовый ритм или
+    // тахиаритмия (rate - частота желудочков, 0 - частота аритмии по умолчанию)
+    setCardiacRhythm(rhythm, rate = 0) {
+      if (rhythm !== 'sinus' && !ARRHYTHMIAS[rhythm]) {
+        return false;
+      }
+      
+      this.state.cardiac_rhythm = rhythm;
+      this.arrhythmiaRate = rate > 0 ? Math.min(rate, this.settings.max_hr) : 0;
+      
+      // Кровообращение восстанавливается: показатели рассчитывает модель,
+      // нулевые значения остановки не становятся новой рабочей точкой
+      if (this.state.cardiac_arrest) {
+        this.state.cardiac_arrest = false;
+        this.saveModelSnapshot();
       }
       
-      // Влияние кровотечения на оксигенацию (меньше гемоглобина для переноса O2)
-      if (this.state.blood_volume < 5000) {
-        const volumeDeficit = 1 - (this.state.blood_volume / 5000);
-        spo2 -= volumeDeficit * 10 * timeDelta;
+      this.updatePhysiology();
+      return true;
+    }
+    
+    // Обновление дыхательной системы
+    // changedParams - показатели, заданные извне (становятся новой рабочей точкой)
+    // drugEffects - смещения от лекарств (угнетение дыхания снижает вентиляцию)
+    updateRespiratory(timeDelta, changedParams = [], drugEffects = {}) {
+      // Гипоксия учащает дыхание, угнетение дыхательного центра урежает
+      const drive = HYPOXIA_RR * this.factors.hypoxia - DEPRESSION_RR * this.factors.respiratory_depression;
+      
+      // Заданная извне частота становится новой рабочей точкой
+      if (changedParams.includes('rr')) {
+        this.respiratoryRate = this.clamp(this.state.rr, this.settings.min_rr, this.settings.max_rr);
+        this.rrSetPoint = this.state.rr - drive;
       }
       
-      // Влияние лекарств
-      Object.values(this.medications).forEach(med => {
-        switch(med.name) {
-          case "propofol":
-          case "midazolam":
-          case "fentanyl":
-            rr -= med.strength * 8 * timeDelta;
-            etco2 += med.strength * 10 * timeDelta;
-            break;
-          // Другие лекарства...
+      // Частота плавно приближается к целевой, а не накапливает смещения
+      const targetRate = this.clamp(this.rrSetPoint + drive, this.settings.min_rr, this.settings.max_rr);
+      this.respiratoryRate += (targetRate - this.respiratoryRate) * (1 - Math.exp(-timeDelta / RR_TIME_CONSTANT));
+      this.state.rr = this.respiratoryRate;
+      
+      const conditions = {
+        hypoxia: this.factors.hypoxia,
+        cardiac_output: this.state.hr * this.state.stroke_volume / 1000,
+        // Изменения механики легких от событий и осложнений
+        compliance: this.modifiers.compliance || 0,
+        resistance: this.modifiers.respiratory_resistance || 0,
+        // Отек легких от перегрузки жидкостью
+        pulmonary_edema: this.state.pulmonary_edema,
+        // Тромбоэмболы выключают из газообмена неперфузируемые альвеолы
+        pulmonary_obstruction: this.state.pulmonary_obstruction
+      };
+      
+      const ventilation = this.getVentilation(timeDelta, conditions, drugEffects);
+      const measured = ventilation.measured || {};
+      this.state.fio2 = ventilation.fio2;
+      this.state.peep = ventilation.ventilated && !this.ventilator.faults.disconnect ? this.ventilator.settings.peep : 0;
+      this.state.ventilator_mode = ventilation.ventilated ? this.ventilator.settings.mode : 'none';
+      this.state.ventilator_rate = measured.rate || 0;
+      this.state.peak_pressure = measured.peak_pressure || 0;
+      this.state.plateau_pressure = measured.plateau_pressure || 0;
+      this.state.auto_peep = measured.auto_peep || 0;
+      this.state.double_triggers = measured.double_triggers || 0;
+      this.state.ineffective_efforts = measured.ineffective_efforts || 0;
+      
+      // При остановке кровообращения газообмен не рассчитывается,
+      // показатели задаются движком напрямую
+      if (this.state.cardiac_arrest) return;
+      
+      // Заданные извне значения становятся новой рабочей точкой
+      const targets = {};
+      GAS_EXCHANGE_PARAMS.forEach(param => {
+        if (changedParams.includes(param)) {
+          targets[param] = this.state[param];
         }
       });
+      if (Object.keys(targets).length > 0) {
+        this.lung.setOperatingPoint(ventilation, conditions, targets);
+      }
+      
+      const gasExchange = this.lung.update(timeDelta, ventilation, conditions);
+      
+      // После восстановления кровообращения накопленный в тканях CO2 вымывается
+      const co2Surge = this.postArrest.getCO2Surge();
+      
+      this.state.spo2 = gasExchange.spo2;
+      this.state.etco2 = gasExchange.etco2 + co2Surge;
+      this.state.pao2 = gasExchange.pao2;
+      this.state.paco2 = gasExchange.paco2 + co2Surge;
+      this.state.shunt_fraction = gasExchange.shunt_fraction;
+      this.state.dead_space_fraction = gasExchange.dead_space_fraction;
+      this.state.minute_volume = gasExchange.minute_volume;
+      this.state.lung_compliance = gasExchange.compliance;
+      this.state.airway_resistance = gasExchange.resistance;
+    }
+    
+    // Вентиляция, которую получает пациент: спонтанное дыхание или аппарат ИВЛ.
+    // На ИВЛ дыхательные усилия пациента передаются аппарату, а частота
+    // и объем вдохов берутся из его измерений
+    getVentilation(timeDelta, conditions, drugEffects = {}) {
+      // Спонтанное дыхание с учетом угнетения лекарствами и миорелаксации;
+      // при тахипноэ дыхание становится частым и поверхностным
+      const spontaneousRate = Math.max(0, this.state.rr + (drugEffects.rr || 0));
+      const spontaneousVolume = this.state.tidal_volume * (1 - this.state.neuromuscular_blockade) *
+        Math.min(1, Math.sqrt(RESTING_RR / Math.max(1, spontaneousRate)));
       
-      // Интубация улучшает оксигенацию
-      if (this.state.intubated && spo2 < 95) {
-        spo2 += 5 * timeDelta;
+      if (!this.state.intubated) {
+        return {
+          rate: spontaneousRate,
+          tidal_volume: spontaneousVolume,
+          fio2: 0.21,
+          peep: 0,
+          ventilated: false
+        };
       }
       
-      // Обновляем состояние
-      this.state.rr = rr;
-      this.state.spo2 = spo2;
-      this.state.etco2 = etco2;
+      const mechanics = this.lung.getMechanics(conditions);
+      const measured = this.ventilator.update(timeDelta, {
+        ...mechanics,
+        effort: {
+          rate: spontaneousRate,
+          pressure: spontaneousVolume / mechanics.compliance,
+          inspiratory_time: spontaneousRate > 0 ? NEURAL_INSPIRATORY_FRACTION * 60 / spontaneousRate : 0
+        }
+      });
+      
+      // Контур отсоединен: пациент дышит сам комнатным воздухом через трубку,
+      // без ПДКВ альвеолы спадаются
+      if (this.ventilator.faults.disconnect) {
+        return {
+          rate: spontaneousRate,
+          tidal_volume: spontaneousVolume,
+          fio2: 0.21,
+          peep: 0,
+          ventilated: true,
+          measured
+        };
+      }
+      
+      return {
+        rate: measured.rate,
+        tidal_volume: measured.tidal_volume,
+        fio2: this.ventilator.getDeliveredFiO2(),
+        // Рекрутирование альвеол определяется общим ПДКВ, включая внутреннее
+        peep: measured.total_peep,
+        ventilated: true,
+        measured
+      };
+    }
+    
+    // Изменение настроек аппарата ИВЛ
+    setVentilatorSettings(settings) {
+      this.ventilator.setSettings(settings);
+      return this.updatePhysiology();
+    }
+    
+    // Получение настроек аппарата ИВЛ
+    getVentilatorSettings() {
+      return this.ventilator.getSettings();
+    }
+    
+    // Кривые давления, потока и объема аппарата ИВЛ
+    getVentilatorWaveform() {
+      return this.ventilator.getWaveform();
+    }
+    
+    // Тревоги аппарата ИВЛ; без интубации аппарат не подключен
+    getVentilatorAlarms() {
+      return this.state.intubated ? this.ventilator.getAlarms() : {};
+    }
+    
+    // Состояние тревог аппарата ИВЛ для панели: тревоги, отключение звука,
+    // неисправности и пределы тревог
+    getVentilatorStatus() {
+      return {
+        alarms: Object.entries(this.getVentilatorAlarms()).map(([id, alarm]) => ({ id, ...alarm })),
+        silenced_for: Math.round(this.ventilator.getSilenceRemaining()),
+        faults: { ...this.ventilator.faults },
+        alarm_limits: { ...this.ventilator.alarmLimits }
+      };
+    }
+    
+    // Отключение звука тревог ИВЛ на заданное время (секунды)
+    silenceVentilatorAlarms(seconds) {
+      this.ventilator.silenceAlarms(seconds);
+    }
+    
+    // Подтверждение активных тревог ИВЛ
+    acknowledgeVentilatorAlarms() {
+      this.ventilator.acknowledgeAlarms();
+    }
+    
+    // Изменение пределов тревог ИВЛ
+    setVentilatorAlarmLimits(limits) {
+      return this.ventilator.setAlarmLimits(limits);
+    }
+    
+    // Неисправность аппарата ИВЛ: disconnect, oxygen_supply, air_supply
+    setVentilatorFault(fault, active = true) {
+      this.ventilator.setFault(fault, active);
+      return this.updatePhysiology();
+    }
+    
+    // Экстубация и возврат аппарата ИВЛ к исходным настройкам и пределам тревог
+    // без неисправностей и отключения звука
+    resetVentilator() {
+      this.ventilator = new VentilatorEngine();
+      this.state.intubated = false;
+      this.state.ventilation_duration = 0;
     }
     
     // Обновление температуры
     updateTemperature(timeDelta) {
       let temp = this.state.temperature;
       
-      // Влияние лекарств на температуру
-      Object.values(this.medications).forEach(med => {
-        if (med.name === "paracetamol" && temp > 37.5) {
-          temp -= med.strength * 0.5 * timeDelta;
-        }
-      });
+      // Холодные растворы и шок снижают температуру, к которой она возвращается
+      const target = 36.6 - this.hemorrhage.getHeatDeficit();
       
-      // Естественное восстановление температуры
-      if (temp !== 36.6) {
-        temp += (36.6 - temp) * 0.05 * timeDelta;
+      // Естественное восстановление температуры; при остановке кровообращения
+      // теплопродукции нет, и гипотермия сохраняется до согревания.
+      // Экспонента не дает перескочить цель при шаге в минуту
+      if (temp !== target && !this.state.cardiac_arrest) {
+        temp += (target - temp) * (1 - Math.exp(-0.05 * timeDelta));
       }
       
       this.state.temperature = temp;
@@ -305,10 +1131,6 @@ class PhysiologicalModel {
       // СВ = ЧСС * УО / 1000 (л/мин)
       this.state.cardiac_output = (this.state.hr * this.state.stroke_volume) / 1000;
       
-      // Корректировка ударного объема при изменении объема крови
-      const volumeRatio = this.state.blood_volume / 5000;
-      this.state.stroke_volume = Math.round(70 * volumeRatio);
-      
       // Обновляем неврологические показатели на основе оксигенации и других факторов
       if (this.state.spo2 < 85) {
         this.state.gcs = Math.max(3, this.state.gcs - 1);
@@ -321,31 +1143,43 @@ class PhysiologicalModel {
     }
     
     // Добавление физиологической вариабельности
+    // Частота дыхания колеблется только на дисплее: следующее обновление
+    // начинается с частоты дыхательного центра
     addVariability() {
       // Небольшие случайные колебания для реалистичности
-      this.state.hr += (Math.random() * 2 - 1);
-      this.state.systolic += (Math.random() * 4 - 2);
-      this.state.diastolic += (Math.random() * 2 - 1);
-      this.state.rr += (Math.random() * 1 - 0.5);
-      this.state.spo2 += (Math.random() * 1 - 0.5);
-      this.state.temperature += (Math.random() * 0.2 - 0.1);
+      this.state.hr += (this.random() * 2 - 1);
+      this.state.systolic += (this.random() * 4 - 2);
+      this.state.diastolic += (this.random() * 2 - 1);
+      this.state.rr += (this.random() * 1 - 0.5);
+      this.state.spo2 += (this.random() * 1 - 0.5);
+      this.state.temperature += (this.random() * 0.2 - 0.1);
     }
     
     // Корректировка значений в пределах допустимых диапазонов
     enforceConstraints() {
+      // При остановке кровообращения пульса и давления может не быть, EtCO2 падает ниже нормы
+      const arrest = Boolean(this.state.cardiac_arrest);
+      
       // Ограничиваем значения пределами
-      this.state.hr = this.clamp(this.state.hr, this.settings.min_hr, this.settings.max_hr);
-      this.state.systolic = this.clamp(this.state.systolic, this.settings.min_systolic, this.settings.max_systolic);
-      this.state.diastolic = this.clamp(this.state.diastolic, this.settings.min_diastolic, this.settings.max_diastolic);
+      this.state.hr = this.clamp(this.state.hr, arrest ? 0 : this.settings.min_hr, this.settings.max_hr);
+      this.state.systolic = this.clamp(this.state.systolic, arrest ? 0 : this.settings.min_systolic, this.settings.max_systolic);
+      this.state.diastolic = this.clamp(this.state.diastolic, arrest ? 0 : this.settings.min_diastolic, this.settings.max_diastolic);
       this.state.rr = this.clamp(this.state.rr, this.settings.min_rr, this.settings.max_rr);
       this.state.spo2 = this.clamp(this.state.spo2, this.settings.min_spo2, this.settings.max_spo2);
-      this.state.etco2 = this.clamp(this.state.etco2, this.settings.min_etco2, this.settings.max_etco2);
+      this.state.etco2 = this.clamp(this.state.etco2, arrest ? 0 : this.settings.min_etco2, this.settings.max_etco2);
       this.state.temperature = this.clamp(this.state.temperature, this.settings.min_temp, this.settings.max_temp);
+      this.state.gcs = this.clamp(this.state.gcs, this.settings.min_gcs, this.settings.max_gcs);
+      
+      // Вмешательства вычитают давление и долю поражения, но не ниже нуля
+      this.state.pleural_pressure = Math.max(0, this.state.pleural_pressure);
+      this.state.pericardial_pressure = Math.max(0, this.state.pericardial_pressure);
+      this.state.pulmonary_obstruction = this.clamp(this.state.pulmonary_obstruction, 0, 1);
+      this.state.myocardial_ischemia = this.clamp(this.state.myocardial_ischemia, 0, 1);
       
       // Дополнительные ограничения логики
       // Диастолическое всегда ниже систолического
       if (this.state.diastolic >= this.state.systolic - 10) {
-        this.state.diastolic = this.state.systolic - 10;
+        this.state.diastolic = Math.max(0, this.state.systolic - 10);
       }
     }
     
@@ -361,6 +1195,13 @@ class PhysiologicalModel {
           spo2: 98,
           etco2: 35,
           temperature: 36.6,
+          blood_volume: 5000,
+          pleural_pressure: 0,
+          pericardial_pressure: 0,
+          pulmonary_obstruction: 0,
+          cardiac_arrest: false,
+          cardiac_rhythm: 'sinus',
+          cpr_in_progress: false,
           factors: {
             hypoxia: 0,
             bleeding: 0,
@@ -495,119 +1336,131 @@ class PhysiologicalModel {
       return false;
     }
     
-    // Применение лекарства
-    applyMedication(medicationName, dose = 1.0) {
-      const medications = {
-        "epinephrine": {
-          name: "epinephrine",
-          initialStrength: dose,
-          duration: 300, // 5 минут
-          type: "bolus",
-          effects: {
-            hr: +30,
-            systolic: +50,
-            diastolic: +30
-          }
-        },
-        "atropine": {
-          name: "atropine",
-          initialStrength: dose,
-          duration: 1800, // 30 минут
-          type: "bolus",
-          effects: {
-            hr: +20
-          }
-        },
-        "norepinephrine": {
-          name: "norepinephrine",
-          initialStrength: dose,
-          duration: 600, // 10 минут
-          type: "infusion",
-          effects: {
-            systolic: +40,
-            diastolic: +20
-          }
-        },
-        "propofol": {
-          name: "propofol",
-          initialStrength: dose,
-          duration: 900, // 15 минут
-          type: "bolus",
-          effects: {
-            hr: -15,
-            systolic: -30,
-            diastolic: -20,
-            rr: -5
-          }
-        },
-        "midazolam": {
-          name: "midazolam",
-          initialStrength: dose,
-          duration: 1200, // 20 минут
-          type: "bolus",
-          effects: {
-            hr: -10,
-            systolic: -20,
-            diastolic: -10,
-            rr: -3
-          }
-        },
-        "fentanyl": {
-          name: "fentanyl",
-          initialStrength: dose,
-          duration: 1800, // 30 минут
-          type: "bolus",
-          effects: {
-            hr: -5,
-            rr: -6,
-            pain: -0.8
-          }
-        }
-      };
+    // Болюсное введение лекарства
+    // dose - доза в единицах препарата из библиотеки (null - стандартная доза)
+    applyMedication(medicationName, dose = null) {
+      const bolus = this.pharmacology.administerBolus(medicationName, dose);
+      if (!bolus) {
+        return false;
+      }
       
-      if (medications[medicationName]) {
-        const med = { ...medications[medicationName] };
-        med.initialDuration = med.duration;
-        med.strength = med.initialStrength;
-        
-        // Добавляем или обновляем лекарство в списке активных
-        this.medications[medicationName] = med;
-        
-        // Немедленно применяем некоторые эффекты
-        if (med.instantEffects) {
-          Object.keys(med.instantEffects).forEach(param => {
-            if (this.state[param] !== undefined) {
-              this.state[param] += med.instantEffects[param] * dose;
-            }
-          });
-        }
-        
-        // Обновляем физиологию
-        this.updatePhysiology();
-        return true;
+      // Препараты электролитов и глюкозы меняют состав плазмы сразу
+      this.addDrugElectrolytes(medicationName, bolus.amount);
+      
+      // Обновляем физиологию
+      this.updatePhysiology();
+      return true;
+    }
+    
+    // Запуск инфузии лекарства или изменение ее скорости
+    // rate - скорость в единицах инфузии препарата (null - стандартная скорость)
+    startInfusion(medicationName, rate = null) {
+      if (!this.pharmacology.setInfusion(medicationName, rate)) {
+        return false;
       }
       
-      return false;
+      this.updatePhysiology();
+      return true;
+    }
+    
+    // Изменение скорости уже запущенной инфузии
+    setInfusionRate(medicationName, rate) {
+      const active = this.pharmacology.getActiveDrugs().find(drug => drug.id === medicationName);
+      if (!active || !active.infusion) {
+        return false;
+      }
+      
+      return this.startInfusion(medicationName, rate);
+    }
+    
+    // Остановка инфузии (введенный препарат продолжает действовать до выведения)
+    stopInfusion(medicationName) {
+      if (!this.pharmacology.stopInfusion(medicationName)) {
+        return false;
+      }
+      
+      this.updatePhysiology();
+      return true;
+    }
+    
+    // Проверка противопоказаний и взаимодействий перед введением лекарства;
+    // возвращает предупреждения и усиление ответа, ничего не меняя
+    checkMedication(medicationName) {
+      return this.pharmacology.checkAdministration(medicationName, this.state);
+    }
+    
+    // Усиление ответа на введенное вопреки противопоказанию лекарство
+    // (вызывается только после успешного введения)
+    applyMedicationSensitivity(medicationName, sensitivity) {
+      this.pharmacology.applySensitivity(medicationName, sensitivity);
+    }
+    
+    // Лекарства, находящиеся в организме, с концентрациями и скоростями инфузий
+    getActiveMedications() {
+      return this.pharmacology.getActiveDrugs();
+    }
+    
+    // Выведение всех лекарств без возврата их эффектов
+    resetMedications() {
+      this.pharmacology.reset();
+      this.drugEffects = {};
+      FRACTIONAL_EFFECTS.forEach(param => {
+        this.state[param] = 0;
+      });
     }
     
     // Интубация пациента
     intubate(success = true) {
       this.state.intubated = success;
       
+      // Оксигенацию и вентиляцию дальше определяют настройки ИВЛ
       if (success) {
-        // Улучшаем оксигенацию при успешной интубации
+        // Подключение к аппарату ИВЛ: легкие в начале выдоха
+        this.ventilator.reset();
+        
+        // Проходимость дыхательных путей восстановлена
         this.factors.hypoxia = Math.max(0, this.factors.hypoxia - 0.5);
-        this.state.spo2 = Math.min(100, this.state.spo2 + 5);
-        this.state.etco2 = 35; // Нормализация EtCO2
       } else {
         // Ухудшаем при неудачной
         this.factors.hypoxia = Math.min(1, this.factors.hypoxia + 0.3);
-        this.state.spo2 = Math.max(60, this.state.spo2 - 10);
       }
       
       return this.updatePhysiology();
     }
     
+    // Прямая установка показателей состояния
+    setState(newState) {
+      Object.assign(this.state, newState);
+      
+      // Пересчитываем вторичные параметры и соблюдаем допустимые пределы
+      this.calculateDerivedParameters();
+      this.enforceConstraints();
+      
+      return this.getState();
+    }
+    
+    // Применение относительных изменений от событий и осложнений
+    // sourceId - идентификатор источника изменений (событие, стадия осложнения)
+    applyChanges(changes, sourceId = null) {
+      Object.entries(changes).forEach(([param, change]) => {
+        if (typeof change !== 'number' || Number.isNaN(change)) return;
+        
+        if (this.factors[param] !== undefined) {
+          // Факторы остаются в диапазоне 0-1
+          this.factors[param] = this.clamp(this.factors[param] + change, 0, 1);
+        } else if (typeof this.state[param] === 'number') {
+          this.state[param] += change;
+        } else {
+          // Параметр не моделируется напрямую - запоминаем смещение
+          this.modifiers[param] = (this.modifiers[param] || 0) + change;
+        }
+      });
+      
+      this.enforceConstraints();
+      
+      return this.getState();
+    }
+    
     // Установка конкретного фактора
     setFactor(factorName, value) {
       if (this.factors[factorName] !== undefined) {
@@ -623,15 +1476,21 @@ class PhysiologicalModel {
       // Округляем числовые значения для удобства отображения
       const result = { ...this.state };
       
-      Object.keys(result).forEach(key => {
-        if (typeof result[key] === 'number' && key !== 'last_update') {
+      for (const key in result) {
+        const value = result[key];
+        if (typeof value === 'number' && key !== 'last_update') {
           // Округляем до 1 десятичного знака для температуры, 
           // для остальных до целых чисел
-          result[key] = key === 'temperature' || key === 'cardiac_output' 
-            ? Math.round(result[key] * 10) / 10 
-            : Math.round(result[key]);
+          // Доли эффектов лекарств, сократимость и тонус - до сотых
+          if (PRECISE_PARAMS.has(key)) {
+            result[key] = Math.round(value * 100) / 100;
+          } else {
+            result[key] = TENTHS_PARAMS.has(key)
+              ? Math.round(value * 10) / 10 
+              : Math.round(value);
+          }
         }
-      });
+      }
       
       return result;
     }
@@ -0,0 +1,277 @@
+/**
+ * ReversibleCausesModule.js
+ *
+ * Этот модуль связывает остановку кровообращения с обратимой причиной
+ * (4 Г и 4 Т: гиповолемия, гипоксия, ацидоз, гипер- и гипокалиемия,
+ * гипотермия, напряженный пневмоторакс, тампонада сердца, тромбоз и
+ * отравление). Причина задает ритм остановки и физиологическую картину, а
+ * пока она не устранена, восстановление кровообращения маловероятно даже
+ * при правильной СЛР и дефибрилляции. Каждое вмешательство (болюс жидкости,
+ * игольная декомпрессия, перикардиоцентез, тромболизис, кальций и другие)
+ * устраняет свою долю причины. После устранения причины кровообращение при
+ * нешоковом ритме может восстановиться во время качественных компрессий.
+ */
+
+import { systemClock } from '../utils/time/VirtualClock';
+
+// Вмешательства: название, изменения показателей и факторов пациента,
+// которые снимают картину причины (прибавляются к текущим значениям; давление,
+// доли поражения и факторы не опускаются ниже нуля), вводимый раствор и
+// лекарство из библиотеки в стандартной дозе (электролиты меняет модель
+// электролитов)
+export const CAUSE_INTERVENTIONS = {
+  fluid_bolus: { name: 'Болюс жидкости 500 мл', fluid: { type: 'crystalloid', volume: 500 } },
+  oxygenation: { name: 'Оксигенация и вентиляция 100% O2', changes: { hypoxia: -1 } },
+  sodium_bicarbonate: { name: 'Натрия гидрокарбонат 50 ммоль', medication: 'sodium_bicarbonate' },
+  calcium: { name: 'Кальция хлорид 1 г', medication: 'calcium_chloride' },
+  potassium: { name: 'Калия хлорид 20 ммоль', medication: 'potassium_chloride' },
+  rewarming: { name: 'Активное согревание', changes: { temperature: 2 } },
+  needle_decompression: { name: 'Игольная декомпрессия плевральной полости', changes: { pleural_pressure: -25 } },
+  pericardiocentesis: { name: 'Перикардиоцентез', changes: { pericardial_pressure: -20 } },
+  thrombolysis: { name: 'Тромболизис', changes: { pulmonary_obstruction: -0.7, myocardial_ischemia: -0.4 } },
+  antidote: { name: 'Антидот', changes: { cardiac_depression: -0.6, respiratory_depression: -0.8 } }
+};
+
+// Обратимые причины: название, ритм остановки, показатели пациента при
+// остановке (factors - факторы физиологии), вероятность восстановления кровообращения без устранения
+// причины (доля от обычной) и доля причины, которую устраняет каждое
+// вмешательство (повторные вмешательства суммируются)
+export const REVERSIBLE_CAUSES = {
+  hypovolemia: {
+    name: 'Гиповолемия',
+    rhythm: 'pea',
+    state: { blood_volume: 3000 },
+    untreatedROSC: 0.2,
+    treatments: { fluid_bolus: 0.5 }
+  },
+  hypoxia: {
+    name: 'Гипоксия',
+    rhythm: 'pea',
+    state: { spo2: 65, pao2: 35, factors: { hypoxia: 0.8 } },
+    untreatedROSC: 0.3,
+    treatments: { oxygenation: 1 }
+  },
+  acidosis: {
+    name: 'Ацидоз',
+    rhythm: 'asystole',
+    state: { hco3: 10 },
+    untreatedROSC: 0.4,
+    treatments: { sodium_bicarbonate: 0.5, oxygenation: 0.5 }
+  },
+  hyperkalemia: {
+    name: 'Гиперкалиемия',
+    rhythm: 'pea',
+    state: { k: 7.5 },
+    untreatedROSC: 0.2,
+    treatments: { calcium: 0.6, sodium_bicarbonate: 0.4 }
+  },
+  hypokalemia: {
+    name: 'Гипокалиемия',
+    rhythm: 'vfib',
+    state: { k: 2.2 },
+    untreatedROSC: 0.3,
+    treatments: { potassium: 0.5 }
+  },
+  hypothermia: {
+    name: 'Гипотермия',
+    rhythm: 'vfib',
+    state: { temperature: 28 },
+    untreatedROSC: 0.2,
+    treatments: { rewarming: 0.25 }
+  },
+  tension_pneumothorax: {
+    name: 'Напряженный пневмоторакс',
+    rhythm: 'pea',
+    state: { pleural_pressure: 25, spo2: 75 },
+    untreatedROSC: 0.05,
+    treatments: { needle_decompression: 1 }
+  },
+  tamponade: {
+    name: 'Тампонада сердца',
+    rhythm: 'pea',
+    state: { pericardial_pressure: 20 },
+    untreatedROSC: 0.05,
+    treatments: { pericardiocentesis: 1 }
+  },
+  pulmonary_thrombosis: {
+    name: 'Тромбоэмболия легочной артерии',
+    rhythm: 'pea',
+    state: { pulmonary_obstruction: 0.7, spo2: 80 },
+    untreatedROSC: 0.05,
+    treatments: { thrombolysis: 1 }
+  },
+  coronary_thrombosis: {
+    name: 'Коронарный тромбоз',
+    rhythm: 'vfib',
+    state: { myocardial_ischemia: 0.4 },
+    untreatedROSC: 0.5,
+    treatments: { thrombolysis: 1 }
+  },
+  toxins: {
+    name: 'Отравление',
+    rhythm: 'pea',
+    state: { factors: { cardiac_depression: 0.6, respiratory_depression: 0.8 } },
+    untreatedROSC: 0.3,
+    treatments: { antidote: 1, sodium_bicarbonate: 0.5 }
+  }
+};
+
+// Ритмы, которые прекращаются только разрядом
+const SHOCKABLE_RHYTHMS = ['vfib', 'vtach'];
+
+// Частота восстановления кровообращения при нешоковом ритме после полного
+// устранения причины и при идеальных компрессиях (в минуту)
+const NONSHOCKABLE_ROSC_RATE = { pea: 0.5, asystole: 0.15 };
+
+class ReversibleCausesModule {
+  /**
+   * @param {Object} clock - Источник времени с методом now()
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.reset();
+  }
+
+  /**
+   * Замена источника времени
+   * @param {Object} clock - Часы с методом now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.lastUpdate = clock.now();
+  }
+
+  /**
+   * Снятие причины и забвение вмешательств
+   */
+  reset() {
+    this.cause = null;
+    this.interventions = {};
+    this.roscChance = 0;
+    this.lastUpdate = this.clock.now();
+  }
+
+  /**
+   * Назначение причины остановки; вмешательства до нее не учитываются
+   * @param {string} causeId - Идентификатор причины
+   * @returns {Object|null} Описание причины или null при ошибке
+   */
+  setCause(causeId) {
+    const cause = REVERSIBLE_CAUSES[causeId];
+    if (!cause) {
+      console.warn(`Неизвестная причина остановки: ${causeId}`);
+      return null;
+    }
+
+    this.cause = causeId;
+    this.interventions = {};
+    this.roscChance = 0;
+    return cause;
+  }
+
+  /**
+   * Выполнение вмешательства
+   * @param {string} interventionId - Идентификатор вмешательства
+   * @returns {Object|null} Изменения показателей, вводимый раствор и
+   *   лекарство, эффективность и устранение причины; null при неизвестном
+   *   вмешательстве
+   */
+  applyIntervention(interventionId) {
+    const intervention = CAUSE_INTERVENTIONS[interventionId];
+    if (!intervention) {
+      console.warn(`Неизвестное вмешательство: ${interventionId}`);
+      return null;
+    }
+
+    const before = this.getCorrection();
+    this.interventions[interventionId] = (this.interventions[interventionId] || 0) + 1;
+    const correction = this.getCorrection();
+
+    return {
+      changes: { ...(intervention.changes || {}) },
+      fluid: intervention.fluid ? { ...intervention.fluid } : null,
+      medication: intervention.medication || null,
+      effective: correction > before,
+      correction
+    };
+  }
+
+  /**
+   * @returns {number} Устраненная доля причины (0-1; 1 - причины нет)
+   */
+  getCorrection() {
+    if (!this.cause) return 1;
+
+    const { treatments } = REVERSIBLE_CAUSES[this.cause];
+    const correction = Object.keys(treatments).reduce((sum, id) =>
+      sum + treatments[id] * (this.interventions[id] || 0), 0);
+    return Math.min(1, correction);
+  }
+
+  /**
+   * Множитель вероятности восстановления кровообращения: без устранения
+   * причины - доля от обычной, при полном устранении - 1
+   * @returns {number} Множитель (0-1)
+   */
+  getROSCFactor() {
+    if (!this.cause) return 1;
+
+    const { untreatedROSC } = REVERSIBLE_CAUSES[this.cause];
+    return untreatedROSC + (1 - untreatedROSC) * this.getCorrection();
+  }
+
+  /**
+   * Продвижение до текущего времени: вероятность восстановления
+   * кровообращения за шаг при нешоковом ритме. Без причины она не
+   * рассчитывается - такое кровообращение восстанавливает только инструктор
+   * @param {Object} state - Состояние пациента
+   * @param {number} perfusion - Перфузия от компрессий (0-1)
+   * @returns {Object|null} Состояние причины (getStatus)
+   */
+  update(state = {}, perfusion = 0) {
+    const now = this.clock.now();
+    const dt = Math.max(0, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+
+    const rate = NONSHOCKABLE_ROSC_RATE[state.cardiac_rhythm] || 0;
+    this.roscChance = this.cause && state.cardiac_arrest && !SHOCKABLE_RHYTHMS.includes(state.cardiac_rhythm)
+      ? 1 - Math.exp(-rate * this.getCorrection() * perfusion * dt / 60)
+      : 0;
+
+    return this.getStatus();
+  }
+
+  /**
+   * @returns {number} Вероятность восстановления кровообращения за последний шаг
+   */
+  getROSCChance() {
+    return this.roscChance;
+  }
+
+  /**
+   * Состояние для монитора и разбора
+   * @returns {Object|null} Причина, устраненная доля, выполненные и еще не
+   *   выполненные вмешательства; null, если причина не назначена
+   */
+  getStatus() {
+    if (!this.cause) return null;
+
+    const cause = REVERSIBLE_CAUSES[this.cause];
+    const treatments = Object.keys(cause.treatments);
+
+    return {
+      cause: this.cause,
+      name: cause.name,
+      correction: Math.round(this.getCorrection() * 100) / 100,
+      roscFactor: Math.round(this.getROSCFactor() * 100) / 100,
+      performed: Object.keys(this.interventions).map(id => ({
+        id,
+        name: CAUSE_INTERVENTIONS[id].name,
+        count: this.interventions[id]
+      })),
+      indicated: treatments.filter(id => !this.interventions[id])
+    };
+  }
+}
+
+export default ReversibleCausesModule;
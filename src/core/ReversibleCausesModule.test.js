@@ -0,0 +1,80 @@
+import ReversibleCausesModule, { REVERSIBLE_CAUSES, CAUSE_INTERVENTIONS } from './ReversibleCausesModule';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('ReversibleCausesModule', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('each intervention corrects its share of the cause', () => {
+    const causes = new ReversibleCausesModule(new VirtualClock(0));
+    expect(causes.getStatus()).toBeNull();
+    expect(causes.getROSCFactor()).toBe(1);
+    expect(causes.setCause('unknown')).toBeNull();
+    expect(causes.applyIntervention('unknown')).toBeNull();
+
+    causes.setCause('hyperkalemia');
+    expect(causes.getStatus()).toMatchObject({ correction: 0, roscFactor: 0.2, indicated: ['calcium', 'sodium_bicarbonate'] });
+    expect(causes.applyIntervention('calcium')).toEqual({
+      changes: {}, fluid: null, medication: 'calcium_chloride', effective: true, correction: 0.6
+    });
+    expect(causes.applyIntervention('rewarming').effective).toBe(false);
+    expect(causes.applyIntervention('sodium_bicarbonate')).toMatchObject({ effective: true, correction: 1 });
+    expect(causes.getStatus()).toMatchObject({ roscFactor: 1, indicated: [] });
+    expect(causes.getStatus().performed).toContainEqual({ id: 'calcium', name: 'Кальция хлорид 1 г', count: 1 });
+
+    // A new cause forgets the earlier interventions; the changes are copies
+    causes.setCause('tension_pneumothorax');
+    const decompression = causes.applyIntervention('needle_decompression');
+    expect(decompression).toMatchObject({ changes: { pleural_pressure: -25 }, fluid: null, correction: 1 });
+    decompression.changes.pleural_pressure = 0;
+    expect(CAUSE_INTERVENTIONS.needle_decompression.changes.pleural_pressure).toBe(-25);
+  });
+
+  test('every cause can be corrected, and its interventions undo its picture', () => {
+    Object.entries(REVERSIBLE_CAUSES).forEach(([causeId, cause]) => {
+      const causes = new ReversibleCausesModule(new VirtualClock(0));
+      causes.setCause(causeId);
+      const changes = {};
+      for (let i = 0; i < 4; i++) {
+        Object.keys(cause.treatments).forEach(id => Object.assign(changes, causes.applyIntervention(id).changes));
+      }
+      expect(causes.getCorrection()).toBe(1);
+
+      // Pressures, lesions and factors of the cause are taken away in full
+      const { factors = {}, ...state } = cause.state;
+      Object.entries({ ...state, ...factors })
+        .filter(([param]) => changes[param] < 0)
+        .forEach(([param, value]) => expect(changes[param]).toBeLessThanOrEqual(-value));
+    });
+  });
+
+  test('circulation returns in a non-shockable rhythm only with the cause corrected and compressions', () => {
+    const clock = new VirtualClock(0);
+    const causes = new ReversibleCausesModule(clock);
+    const pea = { cardiac_arrest: true, cardiac_rhythm: 'pea' };
+    const minute = (state, perfusion = 1) => {
+      clock.advance(60000);
+      causes.update(state, perfusion);
+      return causes.getROSCChance();
+    };
+
+    // Without a cause only the instructor restores the circulation
+    expect(minute(pea)).toBe(0);
+
+    causes.setCause('tamponade');
+    expect(minute(pea)).toBe(0);
+    causes.applyIntervention('pericardiocentesis');
+    expect(minute(pea)).toBeCloseTo(1 - Math.exp(-0.5));
+    expect(minute(pea, 0)).toBe(0);
+    expect(minute({ cardiac_arrest: true, cardiac_rhythm: 'vfib' })).toBe(0);
+    expect(minute({ cardiac_arrest: false, cardiac_rhythm: 'sinus' })).toBe(0);
+
+    causes.reset();
+    expect(causes.getStatus()).toBeNull();
+  });
+});
@@ -0,0 +1,452 @@
+/**
+ * ScenarioRunner.js
+ *
+ * Этот модуль исполняет декларативные сценарии в формате JSON: сценарий
+ * состоит из фаз, каждая фаза задает состояние пациента, факторы,
+ * кровотечение, события и осложнения, а переходы между фазами происходят по времени или по
+ * условиям (показатели пациента, введенные лекарства, действия инструктора).
+ * Время отсчитывается по времени симуляции движка, поэтому сценарии работают
+ * как в реальном времени, так и в пошаговом режиме.
+ */
+
+import PharmacologyEngine from '../utils/pharmacology/PharmacologyEngine';
+
+// Операторы сравнения для условий по показателям
+const COMPARISON_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Вложенные группы расчетных параметров, в которых ищется показатель
+const DERIVED_PARAMETER_GROUPS = ['hemodynamics', 'bloodGases'];
+
+class ScenarioRunner {
+  /**
+   * @param {Object} engine - Экземпляр SimulationEngine
+   */
+  constructor(engine) {
+    this.engine = engine;
+
+    // Загруженный сценарий
+    this.scenario = null;
+
+    // Состояние выполнения
+    this.isRunning = false;
+    this.isFinished = false;
+    this.currentPhaseId = null;
+    this.startTime = 0;
+    this.phaseStartTime = 0;
+
+    // Запланированные события текущей фазы ({ time, event })
+    this.pendingEvents = [];
+
+    // Действия инструктора с начала сценария ({ time, action, params })
+    this.actions = [];
+
+    // Пройденные фазы ({ id, startTime })
+    this.phaseHistory = [];
+
+    this.handleStateUpdated = this.handleStateUpdated.bind(this);
+    this.handleActionPerformed = this.handleActionPerformed.bind(this);
+  }
+
+  /**
+   * Проверка структуры сценария
+   * @param {Object} scenario - Сценарий
+   * @throws {Error} Если сценарий некорректен
+   */
+  static validate(scenario) {
+    if (!scenario || typeof scenario !== 'object') {
+      throw new Error('Сценарий должен быть объектом');
+    }
+
+    if (!scenario.id) {
+      throw new Error('У сценария не задан id');
+    }
+
+    const phases = scenario.phases;
+    if (!phases || typeof phases !== 'object' || Object.keys(phases).length === 0) {
+      throw new Error(`Сценарий "${scenario.id}" не содержит фаз`);
+    }
+
+    const initialPhase = scenario.initialPhase || Object.keys(phases)[0];
+    if (!phases[initialPhase]) {
+      throw new Error(`Начальная фаза "${initialPhase}" не найдена в сценарии "${scenario.id}"`);
+    }
+
+    for (const [phaseId, phase] of Object.entries(phases)) {
+      for (const transition of phase.transitions || []) {
+        if (!phases[transition.to]) {
+          throw new Error(`Фаза "${phaseId}": переход в неизвестную фазу "${transition.to}"`);
+        }
+        if (transition.after === undefined && !transition.when) {
+          throw new Error(`Фаза "${phaseId}": переход в "${transition.to}" должен содержать after или when`);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Загрузка сценария
+   * @param {Object|string} scenario - Сценарий (объект или JSON)
+   */
+  load(scenario) {
+    const parsed = typeof scenario === 'string' ? JSON.parse(scenario) : scenario;
+    ScenarioRunner.validate(parsed);
+
+    this.stop();
+    this.scenario = parsed;
+    this.isFinished = false;
+    this.currentPhaseId = null;
+    return this;
+  }
+
+  /**
+   * Запуск сценария с начальной фазы
+   */
+  start() {
+    if (!this.scenario || this.isRunning) return this;
+
+    this.isRunning = true;
+    this.isFinished = false;
+    this.startTime = this.engine.getSimulationTime();
+    this.actions = [];
+    this.phaseHistory = [];
+
+    this.engine.on('stateUpdated', this.handleStateUpdated);
+    this.engine.on('actionPerformed', this.handleActionPerformed);
+
+    // Начальное состояние пациента для всего сценария
+    if (this.scenario.initialState) {
+      this.engine.physiologicalModel.setState(this.scenario.initialState);
+    }
+
+    this.enterPhase(this.scenario.initialPhase || Object.keys(this.scenario.phases)[0]);
+
+    // Показываем начальную фазу сразу, не дожидаясь следующего обновления
+    this.engine.refreshState();
+    return this;
+  }
+
+  /**
+   * Остановка сценария (состояние пациента не сбрасывается)
+   */
+  stop() {
+    if (!this.isRunning) return this;
+
+    this.isRunning = false;
+    this.pendingEvents = [];
+
+    this.engine.off('stateUpdated', this.handleStateUpdated);
+    this.engine.off('actionPerformed', this.handleActionPerformed);
+    return this;
+  }
+
+  /**
+   * Переход в фазу и применение ее эффектов
+   * @param {string} phaseId - Идентификатор фазы
+   * @param {Object} transition - Сработавший переход (null для начальной фазы)
+   */
+  enterPhase(phaseId, transition = null) {
+    const phase = this.scenario.phases[phaseId];
+    const previousPhaseId = this.currentPhaseId;
+    const now = this.engine.getSimulationTime();
+
+    this.currentPhaseId = phaseId;
+    this.phaseStartTime = now;
+    this.phaseHistory.push({ id: phaseId, startTime: now - this.startTime });
+
+    this.applyPhaseEffects(phase);
+
+    // События фазы запускаются с задержкой at (секунды от начала фазы)
+    this.pendingEvents = (phase.events || [])
+      .map(event => ({ time: now + (event.at || 0), event }))
+      .sort((a, b) => a.time - b.time);
+
+    this.engine.notifyHandlers('scenarioPhaseChanged', {
+      scenarioId: this.scenario.id,
+      phase: phaseId,
+      name: phase.name || phaseId,
+      previousPhase: previousPhaseId,
+      message: phase.message || null,
+      reason: transition ? (transition.after !== undefined && !transition.when ? 'timer' : 'condition') : 'start',
+      time: now - this.startTime
+    });
+
+    // Конечная фаза завершает сценарий
+    if (phase.final) {
+      this.finish(phase);
+    }
+  }
+
+  /**
+   * Применение состояния, факторов, кровотечения и осложнений фазы
+   * @param {Object} phase - Фаза сценария
+   */
+  applyPhaseEffects(phase) {
+    const model = this.engine.physiologicalModel;
+
+    // Факторы физиологии (0-1)
+    if (phase.factors) {
+      Object.entries(phase.factors).forEach(([factor, value]) => {
+        model.setFactor(factor, value);
+      });
+    }
+
+    // Кровотечение из источников (мл/мин, 0 - остановка)
+    if (phase.hemorrhage) {
+      Object.entries(phase.hemorrhage).forEach(([site, rate]) => {
+        model.setHemorrhage(site, rate);
+      });
+    }
+
+    // Абсолютные значения показателей задаются после факторов,
+    // чтобы модель кровообращения приняла их за рабочую точку фазы
+    if (phase.state) {
+      model.setState(phase.state);
+    }
+
+    // Относительные изменения показателей
+    if (phase.changes) {
+      model.applyChanges(phase.changes, `scenario_${this.scenario.id}_${this.currentPhaseId}`);
+    }
+
+    // Осложнения запускаются сразу при входе в фазу
+    (phase.complications || []).forEach(complicationId => {
+      this.engine.eventsModule.injectComplication(complicationId);
+    });
+  }
+
+  /**
+   * Завершение сценария
+   * @param {Object} phase - Конечная фаза
+   */
+  finish(phase) {
+    this.isFinished = true;
+    this.stop();
+
+    this.engine.notifyHandlers('scenarioEnded', {
+      scenarioId: this.scenario.id,
+      phase: this.currentPhaseId,
+      outcome: phase.outcome || null,
+      message: phase.message || null,
+      duration: this.engine.getSimulationTime() - this.startTime
+    });
+  }
+
+  /**
+   * Обработчик обновления состояния движка
+   * @param {Object} state - Текущее состояние пациента
+   */
+  handleStateUpdated(state) {
+    this.update(state);
+  }
+
+  /**
+   * Обработчик действия инструктора
+   * @param {Object} action - Действие ({ action, params, result, time })
+   */
+  handleActionPerformed(action) {
+    this.actions.push({
+      time: action.time,
+      action: action.action,
+      params: action.params || {}
+    });
+  }
+
+  /**
+   * Проверка запланированных событий и переходов
+   * Изменения состояния при переходе будут видны при следующем обновлении движка
+   * @param {Object} state - Текущее состояние пациента
+   */
+  update(state = this.engine.getState()) {
+    if (!this.isRunning) return;
+
+    this.fireDueEvents();
+
+    const phase = this.scenario.phases[this.currentPhaseId];
+    const transition = (phase.transitions || []).find(t => this.isTransitionReady(t, state));
+
+    // За одно обновление выполняется не больше одного перехода,
+    // чтобы ошибочно зацикленные фазы не блокировали симуляцию
+    if (transition) {
+      this.enterPhase(transition.to, transition);
+      if (this.isRunning) {
+        this.fireDueEvents();
+      }
+    }
+  }
+
+  /**
+   * Запуск событий, время которых наступило
+   */
+  fireDueEvents() {
+    const now = this.engine.getSimulationTime();
+
+    while (this.pendingEvents.length > 0 && this.pendingEvents[0].time <= now) {
+      const { event } = this.pendingEvents.shift();
+      const { at, id, definition, ...overrides } = event;
+      this.engine.eventsModule.injectEvent(definition ? { id, ...definition } : id, overrides);
+    }
+  }
+
+  /**
+   * Проверка готовности перехода
+   * @param {Object} transition - Переход ({ to, after, when })
+   * @param {Object} state - Текущее состояние пациента
+   * @returns {boolean} Можно ли выполнить переход
+   */
+  isTransitionReady(transition, state) {
+    const phaseTime = this.engine.getSimulationTime() - this.phaseStartTime;
+
+    if (transition.after !== undefined && phaseTime < transition.after) {
+      return false;
+    }
+
+    return transition.when ? this.evaluateCondition(transition.when, state) : true;
+  }
+
+  /**
+   * Вычисление условия перехода
+   * @param {Object} condition - Условие
+   * @param {Object} state - Текущее состояние пациента
+   * @returns {boolean} Результат проверки
+   */
+  evaluateCondition(condition, state) {
+    if (!condition) return true;
+
+    // Логические группы
+    if (condition.all) {
+      return condition.all.every(c => this.evaluateCondition(c, state));
+    }
+    if (condition.any) {
+      return condition.any.some(c => this.evaluateCondition(c, state));
+    }
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, state);
+    }
+
+    // Введенное лекарство (болюс с дозой не ниже minDose) или идущая сейчас
+    // инфузия, в том числе через инфузомат, со скоростью не ниже minRate
+    if (condition.medication) {
+      const bolus = this.findActions('applyMedication', condition).some(action =>
+        action.params.medicationName === condition.medication &&
+        (condition.minDose === undefined || action.params.dose >= condition.minDose)
+      );
+      return bolus || (condition.minDose === undefined && this.isInfusionRunning(condition));
+    }
+
+    // Выполненное действие (intubate, startCPR, defibrillate и т.д.)
+    if (condition.action) {
+      return this.findActions(condition.action, condition).length > 0;
+    }
+
+    // Показатель пациента
+    if (condition.param) {
+      const value = this.getParameterValue(state, condition.param);
+      const compare = COMPARISON_OPERATORS[condition.op || '=='];
+
+      if (value === undefined || !compare) return false;
+      return compare(value, condition.value);
+    }
+
+    console.warn('Неизвестное условие сценария:', condition);
+    return false;
+  }
+
+  /**
+   * Проверка текущей инфузии лекарства: скорость всех инфузоматов и прямой
+   * инфузии сравнивается с minRate в единицах unit (по умолчанию - в единицах
+   * инфузии препарата), поэтому остановленный или опустевший насос условие
+   * не выполняет
+   * @param {Object} condition - Условие { medication, minRate, unit }
+   * @returns {boolean} Идет ли инфузия с достаточной скоростью
+   */
+  isInfusionRunning(condition) {
+    const pharmacology = this.engine.physiologicalModel.pharmacology;
+    const kinetics = pharmacology.activeDrugs[condition.medication];
+    if (!kinetics || !kinetics.infusion) return false;
+    if (condition.minRate === undefined) return true;
+
+    const drug = pharmacology.getDrug(condition.medication);
+    const unit = condition.unit || drug.infusionUnit || 'mcg/min';
+    let minRate;
+    try {
+      minRate = PharmacologyEngine.toMicrogramsPerMinute(condition.minRate, unit, pharmacology.weight, drug.unitMass);
+    } catch (error) {
+      console.warn('Неизвестные единицы скорости в условии сценария:', condition);
+      return false;
+    }
+
+    // Допуск на погрешность пересчета из мл/ч
+    return kinetics.infusion.mcgPerMin >= minRate * (1 - 1e-9);
+  }
+
+  /**
+   * Действия инструктора с начала сценария или текущей фазы
+   * @param {string} actionName - Название действия
+   * @param {Object} condition - Условие (inPhase - только в текущей фазе)
+   * @returns {Array} Найденные действия
+   */
+  findActions(actionName, condition) {
+    const since = condition.inPhase ? this.phaseStartTime : this.startTime;
+    return this.actions.filter(action => action.action === actionName && action.time >= since);
+  }
+
+  /**
+   * Значение показателя (поддерживаются пути вида hemodynamics.map)
+   * @param {Object} state - Состояние пациента
+   * @param {string} param - Название показателя
+   * @returns {*} Значение или undefined
+   */
+  getParameterValue(state, param) {
+    if (!state) return undefined;
+
+    if (param.includes('.')) {
+      return param.split('.').reduce((value, key) => (value ? value[key] : undefined), state);
+    }
+
+    if (state[param] !== undefined) {
+      return state[param];
+    }
+
+    // Расчетные показатели (map, svr, pao2 и т.д.) ищем в группах движка
+    for (const group of DERIVED_PARAMETER_GROUPS) {
+      if (state[group] && state[group][param] !== undefined) {
+        return state[group][param];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Текущее состояние выполнения сценария
+   * @returns {Object|null} Состояние или null, если сценарий не загружен
+   */
+  getStatus() {
+    if (!this.scenario) return null;
+
+    const phase = this.currentPhaseId ? this.scenario.phases[this.currentPhaseId] : null;
+
+    return {
+      scenarioId: this.scenario.id,
+      name: this.scenario.name || this.scenario.id,
+      isRunning: this.isRunning,
+      isFinished: this.isFinished,
+      phase: this.currentPhaseId,
+      phaseName: phase ? phase.name || this.currentPhaseId : null,
+      phaseTime: this.engine.getSimulationTime() - this.phaseStartTime,
+      elapsedTime: this.engine.getSimulationTime() - this.startTime,
+      phaseHistory: [...this.phaseHistory]
+    };
+  }
+}
+
+export default ScenarioRunner;
@@ -0,0 +1,312 @@
+/**
+ * SessionPlayer.js
+ *
+ * Этот модуль воспроизводит записанный журнал сессии: восстанавливает
+ * состояние пациента на любой момент времени и сообщает о действиях,
+ * событиях и тревогах по мере воспроизведения. Поддерживает паузу,
+ * перемотку и изменение скорости.
+ */
+
+import SessionRecorder from './SessionRecorder';
+import { systemClock } from '../utils/time/VirtualClock';
+
+class SessionPlayer {
+  /**
+   * @param {Object|string} log - Журнал сессии (объект или JSON)
+   * @param {Object} options - Настройки воспроизведения
+   */
+  constructor(log = null, options = {}) {
+    this.options = {
+      tickInterval: 100, // миллисекунды между обновлениями воспроизведения
+      clock: null, // источник времени (null - системные часы)
+      ...options
+    };
+
+    this.clock = this.options.clock || systemClock;
+
+    // Журнал и снимки состояния для быстрого поиска
+    this.log = null;
+    this.snapshots = [];
+
+    // Последнее восстановленное состояние: { index, state }
+    this.restored = null;
+
+    // Состояние воспроизведения
+    this.currentTime = 0;
+    this.speed = 1.0;
+    this.isPlaying = false;
+    this.playbackInterval = null;
+    this.lastTickTime = 0;
+
+    // Обработчики событий
+    this.eventHandlers = {
+      stateUpdated: [],
+      entriesReplayed: [],
+      playbackChanged: []
+    };
+
+    if (log) {
+      this.load(log);
+    }
+  }
+
+  /**
+   * Загрузка журнала для воспроизведения
+   * @param {Object|string} log - Журнал сессии
+   */
+  load(log) {
+    this.pause();
+
+    this.log = SessionRecorder.parseLog(log);
+    this.snapshots = this.log.entries.filter(
+      entry => entry.type === SessionRecorder.ENTRY_TYPES.SNAPSHOT
+    );
+    this.restored = null;
+    this.currentTime = 0;
+
+    this.notifyHandlers('stateUpdated', this.getStateAt(0));
+    this.notifyPlaybackChanged();
+    return this;
+  }
+
+  /**
+   * Запуск воспроизведения
+   */
+  play() {
+    if (!this.log || this.isPlaying) return this;
+
+    // С конца записи начинаем заново
+    if (this.currentTime >= this.getDuration()) {
+      this.seek(0);
+    }
+
+    this.isPlaying = true;
+    this.lastTickTime = this.clock.now();
+
+    this.playbackInterval = setInterval(() => {
+      const now = this.clock.now();
+      const elapsed = (now - this.lastTickTime) / 1000;
+      this.lastTickTime = now;
+      this.advance(elapsed * this.speed);
+    }, this.options.tickInterval);
+
+    this.notifyPlaybackChanged();
+    return this;
+  }
+
+  /**
+   * Пауза воспроизведения
+   */
+  pause() {
+    if (this.playbackInterval) {
+      clearInterval(this.playbackInterval);
+      this.playbackInterval = null;
+    }
+
+    if (this.isPlaying) {
+      this.isPlaying = false;
+      this.notifyPlaybackChanged();
+    }
+    return this;
+  }
+
+  /**
+   * Перемотка на заданный момент без воспроизведения промежуточных записей
+   * @param {number} time - Время симуляции в секундах
+   */
+  seek(time) {
+    if (!this.log) return this;
+
+    this.currentTime = Math.min(Math.max(0, time), this.getDuration());
+    this.lastTickTime = this.clock.now();
+
+    this.notifyHandlers('stateUpdated', this.getStateAt(this.currentTime));
+    this.notifyPlaybackChanged();
+    return this;
+  }
+
+  /**
+   * Изменение скорости воспроизведения
+   * @param {number} speed - Множитель скорости (1.0 = реальное время)
+   */
+  setSpeed(speed) {
+    if (speed > 0) {
+      this.speed = speed;
+      this.notifyPlaybackChanged();
+    }
+    return this;
+  }
+
+  /**
+   * Продвижение воспроизведения вперед
+   * @param {number} seconds - Время симуляции в секундах
+   * @returns {Array} Записи, воспроизведенные за этот шаг
+   */
+  advance(seconds) {
+    if (!this.log || seconds <= 0) return [];
+
+    const previousTime = this.currentTime;
+    this.currentTime = Math.min(previousTime + seconds, this.getDuration());
+
+    // Действия, события и тревоги между предыдущим и текущим моментом
+    const entries = this.getEntries(previousTime, this.currentTime)
+      .filter(entry => entry.type !== SessionRecorder.ENTRY_TYPES.SNAPSHOT);
+
+    if (entries.length > 0) {
+      this.notifyHandlers('entriesReplayed', entries);
+    }
+
+    this.notifyHandlers('stateUpdated', this.getStateAt(this.currentTime));
+
+    // Останавливаемся в конце записи
+    if (this.currentTime >= this.getDuration()) {
+      this.pause();
+    }
+
+    this.notifyPlaybackChanged();
+    return entries;
+  }
+
+  /**
+   * Состояние пациента на заданный момент (последний снимок не позже момента)
+   * @param {number} time - Время симуляции в секундах
+   * @returns {Object|null} Состояние пациента
+   */
+  getStateAt(time) {
+    if (this.snapshots.length === 0) return null;
+
+    // Бинарный поиск последнего снимка с time <= заданного
+    let low = 0;
+    let high = this.snapshots.length - 1;
+    let found = 0;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.snapshots[mid].time <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return this.restoreSnapshot(found);
+  }
+
+  /**
+   * Состояние по снимку: изменения накладываются на последний полный снимок
+   * перед ним. При воспроизведении подряд продолжаем от прошлого состояния
+   * @param {number} index - Номер снимка
+   * @returns {Object} Состояние пациента
+   */
+  restoreSnapshot(index) {
+    if (this.restored && this.restored.index === index) return this.restored.state;
+
+    let first = index;
+    while (first > 0 && this.snapshots[first].diff) {
+      first--;
+    }
+
+    let state = {};
+    if (this.restored && this.restored.index >= first && this.restored.index < index) {
+      state = { ...this.restored.state };
+      first = this.restored.index + 1;
+    }
+
+    for (let i = first; i <= index; i++) {
+      Object.assign(state, this.snapshots[i].data);
+    }
+
+    this.restored = { index, state };
+    return state;
+  }
+
+  /**
+   * Записи журнала в интервале (from, to]
+   * @param {number} from - Начало интервала (не включается)
+   * @param {number} to - Конец интервала
+   * @param {Array} types - Типы записей (по умолчанию - все)
+   * @returns {Array} Записи журнала
+   */
+  getEntries(from, to, types = null) {
+    if (!this.log) return [];
+
+    return this.log.entries.filter(entry =>
+      entry.time > from && entry.time <= to && (!types || types.includes(entry.type))
+    );
+  }
+
+  /**
+   * Длительность записи
+   * @returns {number} Длительность в секундах
+   */
+  getDuration() {
+    return this.log ? this.log.duration : 0;
+  }
+
+  /**
+   * Текущий момент воспроизведения
+   * @returns {number} Время в секундах
+   */
+  getCurrentTime() {
+    return this.currentTime;
+  }
+
+  /**
+   * Добавление наблюдателя за событиями
+   * @param {string} eventType - Тип события
+   * @param {Function} handler - Обработчик события
+   */
+  on(eventType, handler) {
+    if (this.eventHandlers[eventType]) {
+      this.eventHandlers[eventType].push(handler);
+    } else {
+      console.warn(`Неизвестный тип события: ${eventType}`);
+    }
+    return this;
+  }
+
+  /**
+   * Удаление наблюдателя за событиями
+   * @param {string} eventType - Тип события
+   * @param {Function} handler - Обработчик события
+   */
+  off(eventType, handler) {
+    if (this.eventHandlers[eventType]) {
+      this.eventHandlers[eventType] = this.eventHandlers[eventType]
+        .filter(h => h !== handler);
+    }
+    return this;
+  }
+
+  /**
+   * Оповещение всех наблюдателей о событии
+   * @param {string} eventType - Тип события
+   * @param {*} data - Данные события
+   */
+  notifyHandlers(eventType, data) {
+    if (this.eventHandlers[eventType]) {
+      for (const handler of this.eventHandlers[eventType]) {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Ошибка в обработчике события ${eventType}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Оповещение об изменении состояния воспроизведения
+   */
+  notifyPlaybackChanged() {
+    this.notifyHandlers('playbackChanged', {
+      isPlaying: this.isPlaying,
+      currentTime: this.currentTime,
+      duration: this.getDuration(),
+      speed: this.speed
+    });
+  }
+}
+
+export default SessionPlayer;
@@ -0,0 +1,256 @@
+/**
+ * SessionRecorder.js
+ *
+ * Этот модуль ведет журнал сессии симуляции: снимки состояния пациента,
+ * действия инструктора, клинические события и тревоги с отметкой времени
+ * симуляции. Журнал можно сохранить в JSON и воспроизвести для разбора.
+ * Снимки состояния записываются не чаще заданного интервала; полный снимок
+ * хранится периодически, а между ними - только изменившиеся поля состояния.
+ */
+
+// Версия формата журнала (2 - снимки с изменившимися полями)
+const SESSION_LOG_VERSION = 2;
+
+// Интервал между снимками состояния по умолчанию (секунды симуляции)
+const DEFAULT_SNAPSHOT_INTERVAL = 5;
+
+// Каждый какой снимок хранит состояние целиком
+const FULL_SNAPSHOT_EVERY = 60;
+
+// Типы записей журнала
+const ENTRY_TYPES = {
+  SNAPSHOT: 'snapshot', // Снимок состояния пациента
+  ACTION: 'action',     // Действие инструктора
+  EVENT: 'event',       // Событие или осложнение
+  ALARM: 'alarm'        // Срабатывание или разрешение тревоги
+};
+
+class SessionRecorder {
+  /**
+   * @param {Object} options - snapshotInterval - минимальный интервал между
+   *   снимками состояния (секунды симуляции)
+   */
+  constructor(options = {}) {
+    this.snapshotInterval = options.snapshotInterval ?? DEFAULT_SNAPSHOT_INTERVAL;
+
+    // Флаг активной записи
+    this.isRecording = false;
+
+    // Метаданные сессии (seed, информация о пациенте и т.д.)
+    this.metadata = {};
+
+    // Время симуляции на момент начала записи (время записей отсчитывается от него)
+    this.startTime = 0;
+
+    // Записи журнала в порядке возникновения
+    this.entries = [];
+
+    this.resetSnapshots();
+  }
+
+  /**
+   * Забвение последнего снимка: следующий снимок будет полным
+   */
+  resetSnapshots() {
+    // Время последнего снимка (null - снимков еще не было), число снимков
+    // и поля последнего снимка в JSON для сравнения
+    this.lastSnapshotTime = null;
+    this.snapshotCount = 0;
+    this.lastSnapshotFields = {};
+  }
+
+  /**
+   * Начало новой записи (предыдущий журнал очищается)
+   * @param {Object} metadata - Метаданные сессии
+   * @param {number} startTime - Время симуляции на момент начала записи
+   */
+  start(metadata = {}, startTime = 0) {
+    this.startTime = startTime;
+    this.metadata = {
+      startedAt: new Date().toISOString(),
+      simulationStartTime: startTime,
+      ...metadata
+    };
+    this.entries = [];
+    this.resetSnapshots();
+    this.isRecording = true;
+    return this;
+  }
+
+  /**
+   * Остановка записи (журнал сохраняется)
+   */
+  stop() {
+    if (this.isRecording) {
+      this.metadata.endedAt = new Date().toISOString();
+    }
+    this.isRecording = false;
+    return this;
+  }
+
+  /**
+   * Добавление записи в журнал
+   * @param {number} time - Время симуляции в секундах
+   * @param {string} type - Тип записи (snapshot, action, event, alarm)
+   * @param {string} name - Название (действие, тип события или тревоги)
+   * @param {*} data - Данные записи
+   * @returns {Object|null} Добавленная запись или null, если запись не ведется
+   */
+  record(time, type, name, data = null) {
+    if (!this.isRecording) return null;
+
+    // Копируем данные, чтобы последующие изменения не искажали журнал
+    return this.addEntry(time, type, name, data === null || data === undefined ? null : JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * Добавление записи с уже скопированными данными
+   * @param {number} time - Время симуляции в секундах
+   * @param {string} type - Тип записи
+   * @param {string} name - Название
+   * @param {*} data - Данные записи
+   * @returns {Object} Добавленная запись
+   */
+  addEntry(time, type, name, data) {
+    const entry = {
+      time: Math.max(0, time - this.startTime),
+      type,
+      name,
+      data
+    };
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Запись снимка состояния пациента, если с прошлого снимка прошел
+   * интервал. Полный снимок хранит все поля состояния, остальные - только
+   * поля, изменившиеся с прошлого снимка (отмечены diff: true)
+   * @param {number} time - Время симуляции
+   * @param {Object} state - Состояние пациента
+   * @param {boolean} force - Записать снимок раньше интервала (если время изменилось)
+   * @returns {Object|null} Добавленная запись или null, если снимок не записан
+   */
+  recordSnapshot(time, state, force = false) {
+    if (!this.isRecording) return null;
+
+    if (this.lastSnapshotTime !== null) {
+      const elapsed = time - this.lastSnapshotTime;
+      if (elapsed < this.snapshotInterval && !(force && elapsed > 0)) return null;
+    }
+
+    const full = this.snapshotCount % FULL_SNAPSHOT_EVERY === 0;
+    const fields = {};
+    const data = {};
+
+    Object.entries(state).forEach(([key, value]) => {
+      const json = JSON.stringify(value);
+      fields[key] = json;
+      if (full || json !== this.lastSnapshotFields[key]) {
+        data[key] = json === undefined ? null : JSON.parse(json);
+      }
+    });
+
+    this.lastSnapshotTime = time;
+    this.lastSnapshotFields = fields;
+    this.snapshotCount++;
+
+    const entry = this.addEntry(time, ENTRY_TYPES.SNAPSHOT, 'stateUpdated', data);
+    if (!full) {
+      entry.diff = true;
+    }
+    return entry;
+  }
+
+  /**
+   * Запись действия инструктора
+   * @param {number} time - Время симуляции
+   * @param {string} action - Название действия (applyMedication, intubate и т.д.)
+   * @param {Object} params - Параметры действия
+   * @param {*} result - Результат действия
+   */
+  recordAction(time, action, params = {}, result = null) {
+    return this.record(time, ENTRY_TYPES.ACTION, action, { params, result });
+  }
+
+  /**
+   * Запись клинического события или осложнения
+   * @param {number} time - Время симуляции
+   * @param {string} eventType - Тип (eventStarted, complicationProgressed и т.д.)
+   * @param {Object} event - Данные события
+   */
+  recordEvent(time, eventType, event) {
+    return this.record(time, ENTRY_TYPES.EVENT, eventType, event);
+  }
+
+  /**
+   * Запись тревоги
+   * @param {number} time - Время симуляции
+   * @param {string} alarmType - Тип (alarmTriggered или alarmResolved)
+   * @param {Object} alarm - Данные тревоги
+   */
+  recordAlarm(time, alarmType, alarm) {
+    return this.record(time, ENTRY_TYPES.ALARM, alarmType, alarm);
+  }
+
+  /**
+   * Длительность записанной сессии
+   * @returns {number} Время последней записи в секундах
+   */
+  getDuration() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+  }
+
+  /**
+   * Получение журнала сессии
+   * @returns {Object} Журнал в сериализуемом формате
+   */
+  getLog() {
+    return {
+      version: SESSION_LOG_VERSION,
+      metadata: { ...this.metadata },
+      duration: this.getDuration(),
+      entries: [...this.entries]
+    };
+  }
+
+  /**
+   * Сериализация журнала в строку JSON
+   * @returns {string} JSON
+   */
+  serialize() {
+    return JSON.stringify(this.getLog());
+  }
+
+  /**
+   * Разбор журнала из строки JSON или объекта
+   * @param {string|Object} json - Журнал
+   * @returns {Object} Журнал сессии
+   */
+  static parseLog(json) {
+    const log = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!log || !Array.isArray(log.entries)) {
+      throw new Error('Некорректный формат журнала сессии');
+    }
+
+    // Журналы прежних версий хранят только полные снимки и читаются как есть
+    if (!(log.version >= 1 && log.version <= SESSION_LOG_VERSION)) {
+      console.warn(`Неизвестная версия журнала сессии: ${log.version}`);
+    }
+
+    const entries = [...log.entries].sort((a, b) => a.time - b.time);
+
+    return {
+      version: log.version,
+      metadata: log.metadata || {},
+      duration: entries.length > 0 ? entries[entries.length - 1].time : 0,
+      entries
+    };
+  }
+}
+
+SessionRecorder.ENTRY_TYPES = ENTRY_TYPES;
+
+export default SessionRecorder;
@@ -0,0 +1,75 @@
+import SessionRecorder from './SessionRecorder';
+import SessionPlayer from './SessionPlayer';
+import VirtualClock from '../utils/time/VirtualClock';
+
+describe('SessionRecorder', () => {
+  const state = (hr, extra = {}) => ({ hr, spo2: 98, labs: { pending: [], results: {} }, ...extra });
+
+  test('snapshots are taken at the interval and store only the changed fields', () => {
+    const recorder = new SessionRecorder({ snapshotInterval: 10 });
+    expect(recorder.recordSnapshot(0, state(70))).toBeNull();
+
+    recorder.start({}, 100);
+    expect(recorder.recordSnapshot(100, state(70))).toMatchObject({ time: 0, data: state(70) });
+    expect(recorder.recordSnapshot(105, state(71))).toBeNull();
+
+    const changed = recorder.recordSnapshot(110, state(72));
+    expect(changed).toMatchObject({ time: 10, diff: true, data: { hr: 72 } });
+
+    const nested = recorder.recordSnapshot(120, state(72, { labs: { pending: ['cbc'], results: {} } }));
+    expect(nested.data).toEqual({ labs: { pending: ['cbc'], results: {} } });
+
+    // A forced snapshot ignores the interval but not a repeated time
+    expect(recorder.recordSnapshot(121, state(80, { labs: { pending: ['cbc'], results: {} } }), true).data).toEqual({ hr: 80 });
+    expect(recorder.recordSnapshot(121, state(81), true)).toBeNull();
+    expect(recorder.getLog().entries).toHaveLength(4);
+  });
+
+  test('the recorded state is a copy, and a new recording starts with a full snapshot', () => {
+    const recorder = new SessionRecorder({ snapshotInterval: 1 });
+    const current = state(70);
+    recorder.start();
+    recorder.recordSnapshot(0, current);
+    current.labs.pending.push('abg');
+    expect(recorder.getLog().entries[0].data.labs.pending).toEqual([]);
+
+    recorder.start();
+    const first = recorder.recordSnapshot(5, current);
+    expect(first.diff).toBeUndefined();
+    expect(first.data).toEqual(current);
+  });
+
+  test('the player restores every state from the full snapshots and the changes', () => {
+    const recorder = new SessionRecorder({ snapshotInterval: 1 });
+    const states = Array.from({ length: 150 }, (_, i) => state(60 + (i % 7), { spo2: 90 + (i % 3), time: i }));
+    recorder.start();
+    states.forEach((current, i) => recorder.recordSnapshot(i, current));
+
+    const entries = recorder.getLog().entries;
+    expect(entries.filter(entry => !entry.diff).map(entry => entry.time)).toEqual([0, 60, 120]);
+
+    const player = new SessionPlayer(recorder.serialize(), { clock: new VirtualClock(0) });
+    [0, 1, 59, 60, 61, 149, 30, 125, 124].forEach(time => {
+      expect(player.getStateAt(time)).toEqual(states[time]);
+    });
+  });
+
+  test('logs of the first version with full snapshots are still read', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = {
+      version: 1,
+      entries: [
+        { time: 0, type: 'snapshot', name: 'stateUpdated', data: state(70) },
+        { time: 1, type: 'snapshot', name: 'stateUpdated', data: state(75, { spo2: 90 }) }
+      ]
+    };
+
+    const player = new SessionPlayer(log, { clock: new VirtualClock(0) });
+    expect(player.getStateAt(1)).toEqual(state(75, { spo2: 90 }));
+    expect(warn).not.toHaveBeenCalled();
+
+    SessionRecorder.parseLog({ ...log, version: 3 });
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -8,12 +8,46 @@
 
 import PhysiologicalModel from './PhysiologicalModel';
 import EventsAndComplicationsModule from './EventsAndComplicationsModule';
+import SessionRecorder from './SessionRecorder';
+import ScenarioRunner from './ScenarioRunner';
+import InfusionPumpModule from './InfusionPumpModule';
+import PacemakerModule from './PacemakerModule';
+import DefibrillatorModule from './DefibrillatorModule';
+import CPRModule from './CPRModule';
+import ACLSTracker from './ACLSTracker';
+import ReversibleCausesModule from './ReversibleCausesModule';
+import MassiveTransfusionModule from './MassiveTransfusionModule';
+import LaboratoryModule from './LaboratoryModule';
+import scriptedScenarios from '../scenarios';
 import BloodGasCalculator from '../utils/physiological-calculations/BloodGasCalculator';
 import HemodynamicsCalculator from '../utils/physiological-calculations/HemodynamicsCalculator';
+import { ARRHYTHMIAS } from '../utils/physiological-calculations/CardiovascularModel';
 import ECGGenerator from '../utils/waveform-generators/ECGGenerator';
 import RespirationGenerator from '../utils/waveform-generators/RespirationGenerator';
 import CapnographyGenerator from '../utils/waveform-generators/CapnographyGenerator';
 import SpO2Generator from '../utils/waveform-generators/SpO2Generator';
+import ArterialLineGenerator, { ARTERIAL_DAMPING } from '../utils/waveform-generators/ArterialLineGenerator';
+import CVPGenerator from '../utils/waveform-generators/CVPGenerator';
+import PulmonaryArteryGenerator from '../utils/waveform-generators/PulmonaryArteryGenerator';
+import SeededRandom from '../utils/random/SeededRandom';
+import VirtualClock, { systemClock } from '../utils/time/VirtualClock';
+
+// Ритмы остановки кровообращения (ЖТ без пульса задается флагом pulseless)
+const ARREST_RHYTHMS = ['vfib', 'asystole', 'pea'];
+
+// Вероятность перехода ЖТ в фибрилляцию при неудачной кардиоверсии
+const VT_DEGENERATION_PROBABILITY = 0.1;
+
+// Ритмы сценария остановки кровообращения (cause - типичный для причины)
+const SCENARIO_ARREST_RHYTHMS = { vf: 'vfib', vt: 'vtach', asystole: 'asystole', pea: 'pea', cause: null };
+
+// Перемотка от часа и дольше без заданного шага идет шагами по минуте, пока
+// пациент стабилен: затраты на шаг почти не зависят от его длительности
+const LONG_ADVANCE_SECONDS = 3600;
+const LONG_ADVANCE_STEP = 60;
+
+// Инвазивный мониторинг при создании движка и после сброса: катетеры не установлены
+const DEFAULT_INVASIVE_MONITORING = { arterial: false, cvp: false, pa: false, damping: 'optimal', wedge: false };
 
 class SimulationEngine {
   constructor(initialState = {}, options = {}) {
@@ -22,14 +56,49 @@ class SimulationEngine {
       updateInterval: 1000, // миллисекунды между обновлениями
       eventCheckInterval: 10000, // миллисекунды между проверками событий
       realTimeFactor: 1.0, // коэффициент ускорения/замедления времени
+      seed: null, // начальное значение генератора случайных чисел (null - Math.random)
+      clock: null, // источник времени с методом now() (null - системные часы)
+      labTurnaround: {}, // время выполнения анализов (с), отличное от времени по умолчанию
+      snapshotInterval: 5, // секунды симуляции между снимками состояния в журнале сессии
       ...options
     };
     
+    // Источник времени: системные часы или виртуальные для пошагового режима
+    this.clock = this.options.clock || systemClock;
+    
+    // Генератор случайных чисел: при заданном seed вся сессия воспроизводима
+    this.rng = this.options.seed !== null && this.options.seed !== undefined
+      ? new SeededRandom(this.options.seed)
+      : null;
+    this.random = this.rng ? this.rng.random : Math.random;
+    
     // Создаем физиологическую модель
-    this.physiologicalModel = new PhysiologicalModel(initialState);
+    this.physiologicalModel = new PhysiologicalModel(initialState, this.random, this.clock);
     
     // Создаем модуль событий и осложнений
-    this.eventsModule = new EventsAndComplicationsModule(this.physiologicalModel);
+    this.eventsModule = new EventsAndComplicationsModule(this.physiologicalModel, this.random, this.clock);
+    this.eventsModule.checkIntervalMs = this.options.eventCheckInterval;
+    
+    // Создаем модуль инфузоматов
+    this.infusionPumps = new InfusionPumpModule(this.physiologicalModel, this.clock);
+    
+    // Создаем временный электрокардиостимулятор
+    this.pacemaker = new PacemakerModule();
+    
+    // Создаем ручной дефибриллятор
+    this.defibrillator = new DefibrillatorModule(this.clock);
+    
+    // Создаем модуль сердечно-легочной реанимации
+    this.cpr = new CPRModule(this.clock);
+    
+    // Создаем модуль обратимых причин остановки кровообращения
+    this.reversibleCauses = new ReversibleCausesModule(this.clock);
+    
+    // Создаем протокол массивной трансфузии
+    this.massiveTransfusion = new MassiveTransfusionModule(this.clock);
+    
+    // Создаем лабораторию: результаты заборов крови готовы с задержкой
+    this.laboratory = new LaboratoryModule(this.options.labTurnaround);
     
     // Создаем калькуляторы
     this.bloodGasCalculator = new BloodGasCalculator();
@@ -37,10 +106,13 @@ class SimulationEngine {
     
     // Создаем генераторы сигналов
     this.waveformGenerators = {
-      ecg: new ECGGenerator(),
-      respiration: new RespirationGenerator(),
-      capnography: new CapnographyGenerator(),
-      spo2: new SpO2Generator()
+      ecg: new ECGGenerator(this.random),
+      respiration: new RespirationGenerator(this.random),
+      capnography: new CapnographyGenerator(this.random),
+      spo2: new SpO2Generator(this.random),
+      arterial: new ArterialLineGenerator(),
+      cvp: new CVPGenerator(),
+      pa: new PulmonaryArteryGenerator()
     };
     
     // Буферы данных сигналов
@@ -48,7 +120,10 @@ class SimulationEngine {
       ecg: [],
       respiration: [],
       capnography: [],
-      spo2: []
+      spo2: [],
+      arterial: [],
+      cvp: [],
+      pa: []
     };
     
     // Максимальный размер буфера для каждого сигнала (количество секунд * частота дискретизации)
@@ -56,9 +131,16 @@ class SimulationEngine {
       ecg: 10 * 250, // 10 секунд при 250 Гц
       respiration: 30 * 100, // 30 секунд при 100 Гц
       capnography: 20 * 100, // 20 секунд при 100 Гц
-      spo2: 10 * 100 // 10 секунд при 100 Гц
+      spo2: 10 * 100, // 10 секунд при 100 Гц
+      arterial: 10 * 100, // 10 секунд при 100 Гц
+      cvp: 10 * 100, // 10 секунд при 100 Гц
+      pa: 10 * 100 // 10 секунд при 100 Гц
     };
     
+    // Установленные инвазивные катетеры, демпфирование артериальной линии и
+    // раздутый баллон катетера легочной артерии
+    this.invasiveMonitoring = { ...DEFAULT_INVASIVE_MONITORING };
+    
     // Интервалы обновления для разных компонентов
     this.updateIntervals = {
       model: null, // Интервал обновления физиологической модели
@@ -79,11 +161,22 @@ class SimulationEngine {
     this.maxHistoryLength = 60; // 1 минута при обновлении раз в секунду
     
     // Время последнего обновления
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
     
     // Счетчик реального времени симуляции (в секундах)
     this.simulationTime = 0;
     
+    // Время с последней проверки событий в пошаговом режиме (в секундах)
+    this.timeSinceEventCheck = 0;
+    
+    // Дробные остатки сэмплов сигналов между шагами
+    this.pendingSamples = {};
+    
+    // Номер последнего сэмпла ЭКГ и номера сэмплов с началом QRS в буфере
+    // (метки синхронизации дефибриллятора)
+    this.ecgSampleCount = 0;
+    this.syncMarkers = [];
+    
     // Обработчики событий
     this.eventHandlers = {
       stateUpdated: [],
@@ -93,12 +186,27 @@ class SimulationEngine {
       eventStarted: [],
       eventEnded: [],
       alarmTriggered: [],
-      alarmResolved: []
+      alarmResolved: [],
+      actionPerformed: [],
+      scenarioPhaseChanged: [],
+      scenarioEnded: [],
+      medicationWarning: [],
+      aclsPrompt: [],
+      labResultsReady: []
     };
     
     // Текущие тревоги
     this.activeAlarms = {};
     
+    // Журнал сессии для разбора и воспроизведения
+    this.sessionRecorder = new SessionRecorder({ snapshotInterval: this.options.snapshotInterval });
+    
+    // Исполнитель сценария в формате JSON
+    this.scenarioRunner = new ScenarioRunner(this);
+    
+    // Трекер алгоритма ACLS при остановке кровообращения
+    this.acls = new ACLSTracker(this);
+    
     // Настройки тревог
     this.alarmSettings = {
       hr: { min: 50, max: 120, enabled: true, priority: 'high' },
@@ -135,10 +243,10 @@ class SimulationEngine {
     if (this.isRunning) return this;
     
     this.isRunning = true;
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
     
     // Запускаем физиологическую модель
-    this.physiologicalModel.startSimulation();
+    this.physiologicalModel.startSimulation(this.options.updateInterval);
     
     // Запускаем модуль событий и осложнений
     this.eventsModule.startEventMonitoring(this.options.eventCheckInterval);
@@ -181,21 +289,180 @@ class SimulationEngine {
   }
   
   /**
-   * Обновление состояния симуляции
+   * Замена источника времени для движка и всех модулей
+   * @param {Object} clock - Часы с методом now() (и advance() для пошагового режима)
    */
-  updateState() {
-    if (!this.isRunning) return;
+  setClock(clock) {
+    this.clock = clock;
+    this.physiologicalModel.setClock(clock);
+    this.eventsModule.setClock(clock);
+    this.infusionPumps.setClock(clock);
+    this.defibrillator.setClock(clock);
+    this.cpr.setClock(clock);
+    this.reversibleCauses.setClock(clock);
+    this.massiveTransfusion.setClock(clock);
+    this.lastUpdateTime = clock.now();
+    return this;
+  }
+  
+  /**
+   * Один шаг симуляции без таймеров: модель, события, осложнения и сигналы
+   * продвигаются на заданное время симуляции.
+   * @param {number} seconds - Длительность шага в секундах (по умолчанию - интервал обновления)
+   * @returns {Object} Текущее состояние после шага
+   */
+  step(seconds = this.options.updateInterval / 1000) {
+    return this.advanceTime(seconds, true);
+  }
+  
+  /**
+   * Быстрая перемотка симуляции на заданную длительность без таймеров.
+   * Время делится на шаги, сигналы генерируются только для последних
+   * секунд, которые помещаются в буферы. Без заданного шага перемотка от
+   * часа и дольше идет шагами по минуте, пока пациент стабилен (см.
+   * canTakeLongStep); последние секунды, которые попадают в буферы
+   * сигналов, всегда идут с интервалом обновления.
+   * @param {number} durationSeconds - Длительность в секундах
+   * @param {number} stepSeconds - Длительность одного шага (по умолчанию - интервал обновления)
+   * @returns {Object} Текущее состояние после перемотки
+   */
+  advance(durationSeconds, stepSeconds = null) {
+    const adaptive = stepSeconds === null && durationSeconds >= LONG_ADVANCE_SECONDS;
+    const baseStep = stepSeconds === null ? this.options.updateInterval / 1000 : stepSeconds;
+    
+    if (!(baseStep > 0)) {
+      console.warn(`Некорректная длительность шага: ${stepSeconds}`);
+      return this.currentState;
+    }
+    
+    // Длительность сигналов, которая помещается в самый большой буфер
+    const bufferWindow = this.getWaveformBufferWindow();
+    let remaining = durationSeconds;
+    
+    while (remaining > 0) {
+      const longStep = adaptive && remaining > bufferWindow + LONG_ADVANCE_STEP && this.canTakeLongStep();
+      const dt = Math.min(longStep ? LONG_ADVANCE_STEP : baseStep, remaining);
+      this.advanceTime(dt, remaining <= bufferWindow + dt);
+      remaining -= dt;
+    }
+    
+    return this.currentState;
+  }
+  
+  /**
+   * Можно ли перематывать шагом в минуту: нет остановки кровообращения и СЛР,
+   * дефибриллятор не заряжается и не заряжен, сценарий не выполняется, нет
+   * кровотечения, стимулятор выключен и не идут инфузии (в том числе из
+   * инфузоматов). В остальное время важны секунды (циклы ACLS, заряд,
+   * переходы сценария, окончание шприца, кровопотеря за шаг)
+   * @returns {boolean} true, если пациент стабилен
+   */
+  canTakeLongStep() {
+    const infusing = this.physiologicalModel.pharmacology.getActiveDrugs().some(drug => drug.infusion) ||
+      this.infusionPumps.getPumps().some(pump => pump.status === 'running');
+    
+    return !this.physiologicalModel.getState().cardiac_arrest &&
+      !this.cpr.active &&
+      this.defibrillator.getChargeState() === 'idle' &&
+      !this.scenarioRunner.isRunning &&
+      !(this.physiologicalModel.hemorrhage.getRate() > 0) &&
+      !this.pacemaker.settings.enabled &&
+      !infusing;
+  }
+  
+  /**
+   * Продвижение времени симуляции на один шаг
+   * @param {number} seconds - Длительность шага в секундах
+   * @param {boolean} withWaveforms - Генерировать ли сигналы за этот шаг
+   * @returns {Object} Текущее состояние
+   */
+  advanceTime(seconds, withWaveforms) {
+    if (this.isRunning) {
+      console.warn("Пошаговый режим недоступен во время симуляции в реальном времени");
+      return this.currentState;
+    }
+    
+    if (!(seconds > 0)) return this.currentState;
+    
+    // Для пошагового режима нужны часы, которыми можно управлять
+    if (typeof this.clock.advance !== 'function') {
+      this.setClock(new VirtualClock(this.clock.now()));
+    }
+    
+    this.clock.advance(seconds * 1000);
+    this.lastUpdateTime = this.clock.now();
+    this.simulationTime += seconds;
+    
+    // Обновляем расход шприцев и физиологию за прошедшее время
+    this.infusionPumps.update();
+    this.physiologicalModel.updatePhysiology();
+    
+    // Проверяем события и осложнения с тем же периодом, что и в реальном времени
+    const checkPeriod = this.options.eventCheckInterval / 1000;
+    this.timeSinceEventCheck += seconds;
+    while (this.timeSinceEventCheck >= checkPeriod) {
+      this.timeSinceEventCheck -= checkPeriod;
+      this.eventsModule.update();
+    }
+    
+    const state = this.refreshState();
     
-    // Рассчитываем прошедшее время с последнего обновления
-    const now = Date.now();
-    const elapsedMs = now - this.lastUpdateTime;
-    this.lastUpdateTime = now;
+    if (withWaveforms) {
+      this.generateWaveformSamples(Math.min(seconds, this.getWaveformBufferWindow()));
+    }
     
-    // Обновляем счетчик времени симуляции
-    this.simulationTime += (elapsedMs / 1000) * this.options.realTimeFactor;
+    return state;
+  }
+  
+  /**
+   * Максимальная длительность сигнала, которая помещается в буферы
+   * @returns {number} Длительность в секундах
+   */
+  getWaveformBufferWindow() {
+    return Math.max(...Object.keys(this.bufferSizes).map(type =>
+      this.bufferSizes[type] / this.waveformGenerators[type].params.sampleRate
+    ));
+  }
+  
+  /**
+   * Обновление состояния симуляции
+   */
+  updateState() {
+    if (this.isRunning) {
+      // Рассчитываем прошедшее время с последнего обновления
+      const now = this.clock.now();
+      const elapsedMs = now - this.lastUpdateTime;
+      this.lastUpdateTime = now;
+      
+      // Обновляем счетчик времени симуляции
+      this.simulationTime += (elapsedMs / 1000) * this.options.realTimeFactor;
+      
+      // Расходуем шприцы инфузоматов
+      this.infusionPumps.update();
+    }
     
+    return this.refreshState();
+  }
+  
+  /**
+   * Считывание состояния модели, расчет производных параметров и тревог
+   * @returns {Object} Текущее состояние
+   */
+  refreshState() {
     // Получаем текущее состояние из физиологической модели
     this.currentState = this.physiologicalModel.getState();
+    this.currentState.infusionPumps = this.infusionPumps.getPumps();
+    this.currentState.ventilatorStatus = this.physiologicalModel.getVentilatorStatus();
+    this.currentState.pacemaker = this.updatePacing();
+    this.currentState.defibrillator = this.defibrillator.getStatus(this.currentState);
+    this.currentState.cpr = this.updateCPR();
+    this.currentState.acls = this.acls.update(this.currentState);
+    this.currentState.postArrest = this.physiologicalModel.getPostArrestStatus();
+    this.currentState.reversibleCause = this.updateReversibleCause();
+    this.currentState.invasiveMonitoring = { ...this.invasiveMonitoring };
+    this.currentState.hemorrhage = this.physiologicalModel.getHemorrhageStatus();
+    this.currentState.massiveTransfusion = this.massiveTransfusion.update(this.currentState);
+    this.currentState.labs = this.updateLaboratory();
     
     // Рассчитываем дополнительные параметры
     this.calculateDerivedParameters();
@@ -220,12 +487,72 @@ class SimulationEngine {
     return this.currentState;
   }
   
+  /**
+   * Работа стимулятора при текущем ритме; при захвате с сокращением
+   * модель кровообращения получает частоту стимуляции со следующего обновления
+   * @returns {Object} Состояние стимулятора
+   */
+  updatePacing() {
+    const status = this.pacemaker.getStatus(this.currentState);
+    this.physiologicalModel.setPacedRate(status.mechanicalCapture ? status.rate : 0);
+    return status;
+  }
+  
+  /**
+   * Продвижение СЛР; кровоток от компрессий модель получает со следующего
+   * обновления. После начала СЛР перфузия рассчитывается и в паузах
+   * @returns {Object} Состояние СЛР
+   */
+  updateCPR() {
+    const status = this.cpr.update(this.currentState);
+    this.physiologicalModel.setCPRPerfusion(status.report ? this.cpr.getPerfusion() : null);
+    return status;
+  }
+  
+  /**
+   * Обратимая причина остановки: после ее устранения кровообращение при
+   * нешоковом ритме может восстановиться во время компрессий; модель
+   * получает восстановленный ритм со следующего обновления
+   * @returns {Object|null} Состояние причины
+   */
+  updateReversibleCause() {
+    const status = this.reversibleCauses.update(this.currentState, this.cpr.perfusion);
+    
+    const chance = this.reversibleCauses.getROSCChance();
+    if (chance > 0 && this.random() < chance) {
+      this.physiologicalModel.setCardiacRhythm('sinus');
+      console.log("Восстановлено спонтанное кровообращение после устранения причины остановки");
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Сообщение готовых лабораторных результатов
+   * @returns {Object} Состояние лаборатории
+   */
+  updateLaboratory() {
+    this.laboratory.update(this.simulationTime).forEach(result => {
+      this.notifyHandlers('labResultsReady', result);
+    });
+    return this.laboratory.getStatus(this.simulationTime);
+  }
+  
   /**
    * Обновление волновых сигналов
    */
   updateWaveforms() {
     if (!this.isRunning) return;
     
+    // 20 раз в секунду генерируем 50 мс сигнала
+    this.generateWaveformSamples(0.05);
+  }
+  
+  /**
+   * Генерация сэмплов всех сигналов за заданный промежуток времени
+   * @param {number} seconds - Длительность в секундах
+   */
+  generateWaveformSamples(seconds) {
     // Получаем текущее состояние
     const state = this.currentState;
     
@@ -234,19 +561,26 @@ class SimulationEngine {
     this.waveformGenerators.respiration.applyPatientState(state);
     this.waveformGenerators.capnography.applyPatientState(state);
     this.waveformGenerators.spo2.applyPatientState(state);
+    this.waveformGenerators.arterial.applyPatientState(state);
+    this.waveformGenerators.cvp.applyPatientState(state);
+    this.waveformGenerators.pa.applyPatientState(state);
     
-    // Генерируем новые значения сигналов
-    const numSamples = {
-      ecg: Math.ceil(250 * 0.05), // 12-13 сэмплов при 250 Гц за 50 мс
-      respiration: Math.ceil(100 * 0.05), // 5 сэмплов при 100 Гц за 50 мс
-      capnography: Math.ceil(100 * 0.05), // 5 сэмплов при 100 Гц за 50 мс
-      spo2: Math.ceil(100 * 0.05) // 5 сэмплов при 100 Гц за 50 мс
-    };
+    // Количество сэмплов по частоте дискретизации каждого генератора
+    // (дробный остаток переносится на следующий вызов)
+    const numSamples = {};
+    for (const [type, generator] of Object.entries(this.waveformGenerators)) {
+      const exact = generator.params.sampleRate * seconds + (this.pendingSamples[type] || 0);
+      numSamples[type] = Math.floor(exact);
+      this.pendingSamples[type] = exact - numSamples[type];
+    }
     
     // Обновляем буферы сигналов
     for (const [type, generator] of Object.entries(this.waveformGenerators)) {
       for (let i = 0; i < numSamples[type]; i++) {
         this.waveformBuffers[type].push(generator.getNextValue());
+        if (type === 'ecg') {
+          this.trackRWave(generator.rWaveDetected);
+        }
         
         // Ограничиваем размер буфера
         if (this.waveformBuffers[type].length > this.bufferSizes[type]) {
@@ -256,6 +590,23 @@ class SimulationEngine {
     }
   }
   
+  /**
+   * Учет очередного сэмпла ЭКГ для меток синхронизации
+   * @param {boolean} detected - Начинается ли на этом сэмпле комплекс QRS
+   */
+  trackRWave(detected) {
+    this.ecgSampleCount++;
+    if (detected) {
+      this.syncMarkers.push(this.ecgSampleCount);
+    }
+    
+    // Метки хранятся, пока их сэмпл остается в буфере
+    const oldest = this.ecgSampleCount - this.bufferSizes.ecg;
+    while (this.syncMarkers.length > 0 && this.syncMarkers[0] <= oldest) {
+      this.syncMarkers.shift();
+    }
+  }
+  
   /**
    * Рассчет производных параметров на основе физиологической модели
    */
@@ -263,6 +614,13 @@ class SimulationEngine {
     // Рассчитываем газы крови
     const bloodGases = this.bloodGasCalculator.calculateBloodGases(this.currentState);
     
+    // Давления в малом круге по катетеру легочной артерии и вариабельность
+    // пульсового давления по артериальной линии (%)
+    Object.assign(this.currentState, this.waveformGenerators.pa.getPressures(this.currentState));
+    this.currentState.ppv = Math.round(
+      this.waveformGenerators.arterial.getPulsePressureVariation(this.currentState) * 100
+    );
+    
     // Рассчитываем гемодинамические параметры
     const hemodynamics = this.hemodynamicsCalculator.calculateHemodynamics(this.currentState);
     
@@ -310,6 +668,10 @@ class SimulationEngine {
       }
     }
     
+    // Тревоги инфузоматов и аппарата ИВЛ
+    Object.assign(newAlarms, this.infusionPumps.getAlarms());
+    Object.assign(newAlarms, this.physiologicalModel.getVentilatorAlarms());
+    
     // Проверяем новые тревоги
     for (const [alarmId, alarm] of Object.entries(newAlarms)) {
       // Если тревоги не было ранее - это новая тревога
@@ -393,15 +755,70 @@ class SimulationEngine {
     }
     
     // Иначе берем только указанное количество секунд данных с конца буфера
-    const sampleRate = type === 'ecg' ? 250 : 100;
     const samplesToReturn = Math.min(
-      Math.floor(seconds * sampleRate),
+      Math.floor(seconds * this.waveformGenerators[type].params.sampleRate),
       this.waveformBuffers[type].length
     );
     
     return this.waveformBuffers[type].slice(-samplesToReturn);
   }
   
+  /**
+   * Метки синхронизации дефибриллятора на R-зубцах кривой ЭКГ монитора
+   * @param {number} seconds - Количество секунд с конца буфера (по умолчанию - весь буфер)
+   * @returns {Array} Индексы сэмплов в данных getWaveformData('ecg', seconds);
+   *                  пусто, если режим синхронизации выключен
+   */
+  getSyncMarkers(seconds = null) {
+    if (!this.defibrillator.settings.sync) return [];
+    
+    const buffered = this.waveformBuffers.ecg.length;
+    const length = seconds === null
+      ? buffered
+      : Math.min(Math.floor(seconds * this.waveformGenerators.ecg.params.sampleRate), buffered);
+    const firstSample = this.ecgSampleCount - length + 1;
+    
+    return this.syncMarkers
+      .filter(sample => sample >= firstSample)
+      .map(sample => sample - firstSample);
+  }
+  
+  /**
+   * Запись ЭКГ в 12 отведениях с текущими ритмом и морфологией комплексов
+   * @param {number} seconds - Длительность записи (по умолчанию 10 секунд)
+   * @returns {Object} sampleRate (Гц), duration (с), leads (мВ по отведениям), rhythm, hr, time
+   */
+  recordTwelveLeadECG(seconds = 10) {
+    // Запись ведется отдельным генератором, чтобы не сбивать кривую монитора
+    const monitor = this.waveformGenerators.ecg;
+    const recorder = new ECGGenerator(this.random);
+    recorder.updateParams(monitor.params);
+    recorder.setRhythm(monitor.rhythm, monitor.rhythmOptions);
+    
+    // Стимулы наносятся поверх собственного ритма
+    const { pacemaker } = this.currentState;
+    const pacing = pacemaker && pacemaker.pacing ? pacemaker : null;
+    recorder.setPacing(pacing);
+    
+    // Морфология берется из текущего состояния, даже если монитор еще не обновлялся
+    recorder.updateParams({
+      heartRate: pacing ? this.currentState.intrinsic_hr : this.currentState.hr,
+      ...recorder.getMorphology(this.currentState)
+    });
+    
+    const recording = {
+      sampleRate: recorder.params.sampleRate,
+      duration: seconds,
+      leads: recorder.generateLeads(seconds),
+      rhythm: pacing && pacing.capture ? recorder.rhythmTypes.PACED : recorder.rhythm,
+      hr: this.currentState.hr,
+      time: this.simulationTime
+    };
+    
+    this.recordAction('recordTwelveLeadECG', { seconds });
+    return recording;
+  }
+  
   /**
    * Применение клинического сценария
    * @param {string} scenarioKey - Ключ сценария
@@ -409,218 +826,937 @@ class SimulationEngine {
    * @returns {Object} Обновленное состояние
    */
   applyScenario(scenarioKey, parameters = {}) {
+    // Сценарии в формате JSON исполняются с фазами и переходами
+    if (scriptedScenarios[scenarioKey]) {
+      return this.runScenario(scriptedScenarios[scenarioKey]);
+    }
+    
     const result = this.physiologicalModel.applyScenario(scenarioKey, parameters);
+    
+    // Остановка кровообращения начинается с выбранным ритмом и причиной
+    if (result && scenarioKey === 'cardiac_arrest') {
+      const rhythm = SCENARIO_ARREST_RHYTHMS[parameters.rhythm];
+      this.beginCauseArrest(parameters.cause || null, rhythm === undefined ? 'vfib' : rhythm);
+    }
+    
     this.updateState();
+    this.recordAction('applyScenario', { scenarioKey, parameters }, result);
     return result;
   }
   
   /**
-   * Применение лекарства
-   * @param {string} medicationName - Название лекарства
-   * @param {number} dose - Доза (по умолчанию 1.0)
-   * @returns {Object} Обновленное состояние
+   * Болюсное введение лекарства
+   * @param {string} medicationName - Идентификатор лекарства из библиотеки
+   * @param {number} dose - Доза в единицах препарата (по умолчанию - стандартная доза)
+   * @returns {boolean} Успешность введения
    */
-  applyMedication(medicationName, dose = 1.0) {
+  applyMedication(medicationName, dose = null) {
+    const drug = this.physiologicalModel.pharmacology.getDrug(medicationName);
+    const check = this.physiologicalModel.checkMedication(medicationName);
     const result = this.physiologicalModel.applyMedication(medicationName, dose);
     this.updateState();
+    this.recordAction('applyMedication', {
+      medicationName,
+      dose: dose ?? (drug ? drug.defaultDose : null)
+    }, result);
+    if (result) {
+      this.applyMedicationCheck(medicationName, check);
+    }
     return result;
   }
   
   /**
-   * Интубация пациента
-   * @param {boolean} success - Успешность интубации
-   * @returns {Object} Обновленное состояние
+   * Инфузия раствора или трансфузия компонента крови
+   * @param {string} type - Раствор из FLUIDS (crystalloid, dextrose, colloid,
+   *                        packed_red_cells, plasma, platelets)
+   * @param {number} volume - Объем в мл (по умолчанию - один флакон или доза)
+   * @returns {Object|null} Введенный раствор и объем или null при ошибке
    */
-  intubate(success = true) {
-    const result = this.physiologicalModel.intubate(success);
+  administerFluid(type, volume) {
+    const result = this.physiologicalModel.administerFluid(type, volume);
+    if (result) {
+      this.massiveTransfusion.recordUnit(type);
+    } else {
+      console.warn(`Неизвестный раствор или объем: ${type}, ${volume}`);
+    }
+    
     this.updateState();
+    this.recordAction('administerFluid', { type, volume: result ? result.volume : volume }, result);
     return result;
   }
   
   /**
-   * Настройка конкретного параметра физиологии
-   * @param {string} param - Название параметра
-   * @param {*} value - Значение
+   * Начало, изменение или остановка кровотечения из источника
+   * @param {string} site - Источник из HEMORRHAGE_SITES (external, thoracic,
+   *                        abdominal, pelvic, long_bone)
+   * @param {number} rate - Скорость в мл/мин (по умолчанию - типичная для источника, 0 - остановка)
+   * @returns {Object|null} Источник и скорость или null при ошибке
    */
-  setParameter(param, value) {
-    this.physiologicalModel.setState({ [param]: value });
+  setHemorrhage(site, rate) {
+    const result = this.physiologicalModel.setHemorrhage(site, rate);
+    if (!result) {
+      console.warn(`Неизвестный источник или скорость кровотечения: ${site}, ${rate}`);
+    }
+    
     this.updateState();
-    return this.currentState;
+    this.recordAction('setHemorrhage', { site, rate: result ? result.rate : rate }, result);
+    return result;
   }
   
   /**
-   * Настройка фактора влияния на физиологию
-   * @param {string} factorName - Название фактора
-   * @param {number} value - Значение (0-1)
+   * Остановка кровотечения жгутом, давлением или хирургическим гемостазом
+   * @param {string} control - Вмешательство из HEMORRHAGE_CONTROLS (tourniquet, pressure, surgical)
+   * @param {string} site - Источник (по умолчанию - все, где вмешательство действует)
+   * @returns {Object|null} Вмешательство и источники, к которым оно применено,
+   *   или null, если оно неизвестно или не действует
    */
-  setFactor(factorName, value) {
-    this.physiologicalModel.setFactor(factorName, value);
+  controlHemorrhage(control, site = null) {
+    const result = this.physiologicalModel.controlHemorrhage(control, site);
+    if (!result) {
+      console.warn(`Вмешательство ${control} не останавливает кровотечение${site ? ` (${site})` : ''}`);
+    }
+    
     this.updateState();
-    return this.currentState;
+    this.recordAction('controlHemorrhage', { control, site }, result);
+    return result;
   }
   
   /**
-   * Получение текущего состояния симуляции
-   * @returns {Object} Текущее состояние
+   * Активация протокола массивной трансфузии
+   * @returns {boolean} false, если протокол уже активен
    */
-  getState() {
-    return { ...this.currentState };
+  activateMassiveTransfusion() {
+    const result = this.massiveTransfusion.activate();
+    this.updateState();
+    this.recordAction('activateMassiveTransfusion', {}, result);
+    return result;
   }
   
   /**
-   * Получение истории состояний
-   * @param {number} count - Количество последних состояний (по умолчанию - все)
-   * @returns {Array} История состояний
+   * Отмена протокола массивной трансфузии
+   * @returns {boolean} false, если протокол не активен
    */
-  getStateHistory(count = null) {
-    if (count === null) {
-      return [...this.stateHistory];
-    }
-    return this.stateHistory.slice(-count);
+  deactivateMassiveTransfusion() {
+    const result = this.massiveTransfusion.deactivate();
+    this.updateState();
+    this.recordAction('deactivateMassiveTransfusion', {}, result);
+    return result;
   }
   
   /**
-   * Получение активных событий
-   * @returns {Array} Список активных событий
+   * Трансфузия готового контейнера протокола массивной трансфузии
+   * @returns {Object|null} Перелитые дозы компонентов или null, если контейнер не готов
    */
-  getActiveEvents() {
-    return this.eventsModule.getActiveEvents();
+  transfuseMassiveTransfusionPack() {
+    const pack = this.massiveTransfusion.takePack();
+    if (!pack) {
+      console.warn('Контейнер протокола массивной трансфузии не готов');
+    } else {
+      Object.entries(pack).forEach(([type, units]) => {
+        for (let i = 0; i < units; i++) {
+          this.physiologicalModel.administerFluid(type);
+          this.massiveTransfusion.recordUnit(type);
+        }
+      });
+    }
+    
+    this.updateState();
+    this.recordAction('transfuseMassiveTransfusionPack', {}, pack);
+    return pack;
   }
   
   /**
-   * Получение активных осложнений
-   * @returns {Array} Список активных осложнений
+   * Назначение анализов: кровь берется сейчас, результаты рассчитываются по
+   * текущему состоянию пациента и приходят после времени выполнения каждого
+   * анализа; неназначенные анализы не выполняются
+   * @param {Array<string>} tests - Анализы из LAB_TESTS (abg, cbc, bmp, coags,
+   *   troponin, lactate, poc_glucose)
+   * @returns {Object|null} Номер назначения, его время и время готовности
+   *   анализов (с) или null, если анализы неизвестны
    */
-  getActiveComplications() {
-    return this.eventsModule.getActiveComplications();
+  orderLabs(tests) {
+    const order = this.laboratory.order(tests, this.currentState, this.simulationTime);
+    if (!order) {
+      console.warn(`Неизвестные анализы: ${tests}`);
+    }
+    
+    this.updateState();
+    this.recordAction('orderLabs', { tests }, order);
+    return order;
   }
   
   /**
-   * Получение истории событий
-   * @param {number} limit - Ограничение количества (0 = все)
-   * @returns {Array} История событий
+   * Изменение времени выполнения анализа для следующих назначений
+   * @param {string} test - Анализ из LAB_TESTS
+   * @param {number} seconds - Время выполнения по времени симуляции (с)
+   * @returns {boolean} Успешность изменения
    */
-  getEventsHistory(limit = 0) {
-    return this.eventsModule.getEventsHistory(limit);
+  setLabTurnaround(test, seconds) {
+    const success = this.laboratory.setTurnaround(test, seconds);
+    if (!success) {
+      console.warn(`Неизвестный анализ или время выполнения: ${test}, ${seconds}`);
+    }
+    
+    this.recordAction('setLabTurnaround', { test, seconds }, success);
+    return success;
   }
   
   /**
-   * Получение активных тревог
-   * @returns {Object} Активные тревоги
+   * Отчет о назначении анализов для разбора
+   * @returns {Object|null} Назначения по времени, число анализов и повторные
+   *   назначения; null, если анализов не назначали
    */
-  getActiveAlarms() {
-    return { ...this.activeAlarms };
+  getLabReport() {
+    return this.laboratory.getReport();
   }
   
   /**
-   * Установка параметров тревог
-   * @param {string} parameter - Параметр (hr, spo2, etc.)
-   * @param {Object} settings - Настройки тревоги
+   * Запуск инфузии лекарства
+   * @param {string} medicationName - Идентификатор лекарства из библиотеки
+   * @param {number} rate - Скорость в единицах инфузии препарата (по умолчанию - стандартная)
+   * @returns {boolean} Успешность запуска
    */
-  setAlarmSettings(parameter, settings) {
-    if (this.alarmSettings[parameter]) {
-      this.alarmSettings[parameter] = {
-        ...this.alarmSettings[parameter],
-        ...settings
-      };
+  startInfusion(medicationName, rate = null) {
+    const drug = this.physiologicalModel.pharmacology.getDrug(medicationName);
+    const check = this.physiologicalModel.checkMedication(medicationName);
+    const result = this.physiologicalModel.startInfusion(medicationName, rate);
+    this.updateState();
+    this.recordAction('startInfusion', {
+      medicationName,
+      rate: rate ?? (drug ? drug.defaultInfusionRate : null)
+    }, result);
+    if (result && rate !== 0) {
+      this.applyMedicationCheck(medicationName, check);
     }
+    return result;
   }
   
   /**
-   * Сброс всех тревог (подтверждение)
+   * Изменение скорости запущенной инфузии
+   * @param {string} medicationName - Идентификатор лекарства
+   * @param {number} rate - Новая скорость в единицах инфузии препарата
+   * @returns {boolean} Успешность изменения
    */
-  acknowledgeAllAlarms() {
-    const alarms = { ...this.activeAlarms };
-    this.activeAlarms = {};
-    return alarms;
+  setInfusionRate(medicationName, rate) {
+    const result = this.physiologicalModel.setInfusionRate(medicationName, rate);
+    this.updateState();
+    this.recordAction('setInfusionRate', { medicationName, rate }, result);
+    return result;
   }
   
   /**
-   * Сброс тревоги по параметру
-   * @param {string} parameter - Параметр (hr, spo2, etc.)
+   * Остановка инфузии
+   * @param {string} medicationName - Идентификатор лекарства
+   * @returns {boolean} Была ли инфузия запущена
    */
-  acknowledgeAlarm(parameter) {
-    const alarms = {};
-    
-    for (const [alarmId, alarm] of Object.entries(this.activeAlarms)) {
-      if (alarm.parameter === parameter) {
-        alarms[alarmId] = alarm;
-        delete this.activeAlarms[alarmId];
-      }
-    }
-    
-    return alarms;
+  stopInfusion(medicationName) {
+    const result = this.physiologicalModel.stopInfusion(medicationName);
+    this.updateState();
+    this.recordAction('stopInfusion', { medicationName }, result);
+    return result;
   }
   
   /**
-   * Имитация начала/продолжения СЛР
+   * Учет проверки успешно введенного лекарства: усиление ответа при
+   * противопоказаниях и оповещение о предупреждениях (они попадают в журнал
+   * сессии для разбора)
+   * @param {string} medicationName - Идентификатор лекарства
+   * @param {Object} check - { warnings, sensitivity } из checkMedication
    */
-  startCPR() {
-    // Устанавливаем соответствующий флаг
-    this.physiologicalModel.setState({ cpr_in_progress: true });
-    
-    // Эффекты СЛР: повышение EtCO2, повышение коронарной перфузии
-    if (this.currentState.cardiac_arrest) {
-      // При остановке сердца СЛР обеспечивает минимальный сердечный выброс
-      this.setFactor('bleeding', 0);
-      this.setFactor('cardiac_depression', 0.7); // Было 1.0 (полное угнетение)
-      this.physiologicalModel.setState({ 
-        hr: Math.max(this.currentState.hr, 40),
-        etco2: Math.max(this.currentState.etco2, 15),
-        systolic: Math.max(this.currentState.systolic, 80),
-        diastolic: Math.max(this.currentState.diastolic, 40)
-      });
-    }
-    
-    this.updateState();
-    return this.currentState;
+  applyMedicationCheck(medicationName, { warnings, sensitivity }) {
+    this.physiologicalModel.applyMedicationSensitivity(medicationName, sensitivity);
+    warnings.forEach(warning => {
+      this.notifyHandlers('medicationWarning', { ...warning, time: this.simulationTime });
+    });
   }
   
   /**
-   * Имитация прекращения СЛР
+   * Получение лекарств, находящихся в организме
+   * @returns {Array} Лекарства с концентрациями и скоростями инфузий
    */
-  stopCPR() {
-    // Снимаем флаг СЛР
-    this.physiologicalModel.setState({ cpr_in_progress: false });
-    
-    // Если был остановка сердца, возвращаем соответствующие параметры
-    if (this.currentState.cardiac_arrest) {
-      this.setFactor('cardiac_depression', 1.0);
-      this.physiologicalModel.setState({
-        hr: 0,
-        etco2: Math.max(5, this.currentState.etco2 - 10),
-        systolic: 0,
-        diastolic: 0
-      });
-    }
-    
-    this.updateState();
-    return this.currentState;
+  getActiveMedications() {
+    return this.physiologicalModel.getActiveMedications();
   }
   
   /**
-   * Имитация дефибрилляции
+   * Установка инфузомата со шприцем лекарства
+   * @param {string} drugId - Идентификатор лекарства из библиотеки
+   * @param {Object} syringe - { concentration (мкг/мл), volume (мл) }, по умолчанию - шприц из библиотеки
+   * @returns {Object|null} Созданный инфузомат
+   */
+  addInfusionPump(drugId, syringe = {}) {
+    const pump = this.infusionPumps.addPump(drugId, syringe);
+    this.updateState();
+    this.recordAction('addInfusionPump', { medicationName: drugId, ...syringe }, pump ? pump.id : null);
+    return pump;
+  }
+  
+  /**
+   * Запуск инфузомата или изменение скорости
+   * @param {string} pumpId - Идентификатор инфузомата
+   * @param {number} rate - Скорость
+   * @param {string} unit - Единицы скорости: 'ml/h' или единицы дозы ('mcg/kg/min' и т.д.)
+   * @returns {Object|null} Инфузомат или null при ошибке
+   */
+  setPumpRate(pumpId, rate, unit = null) {
+    // Проверка нужна только при запуске остановленного насоса
+    const previous = this.infusionPumps.pumps[pumpId];
+    const check = previous && previous.status === 'stopped' && rate > 0
+      ? this.physiologicalModel.checkMedication(previous.drugId)
+      : null;
+    const pump = this.infusionPumps.setRate(pumpId, rate, unit);
+    this.updateState();
+    this.recordAction('setPumpRate', {
+      pumpId,
+      medicationName: pump ? pump.drugId : null,
+      rate,
+      unit: pump ? pump.rateUnit : unit
+    }, Boolean(pump));
+    if (check && pump && pump.status === 'running') {
+      this.applyMedicationCheck(pump.drugId, check);
+    }
+    return pump;
+  }
+  
+  /**
+   * Остановка инфузомата
+   * @param {string} pumpId - Идентификатор инфузомата
+   * @returns {boolean} Был ли инфузомат запущен
+   */
+  stopInfusionPump(pumpId) {
+    const result = this.infusionPumps.stopPump(pumpId);
+    this.updateState();
+    this.recordAction('stopInfusionPump', { pumpId }, result);
+    return result;
+  }
+  
+  /**
+   * Болюс из инфузомата
+   * @param {string} pumpId - Идентификатор инфузомата
+   * @param {number} amount - Объем или доза
+   * @param {string} unit - 'ml' или единицы дозы
+   * @returns {Object|null} Введенный объем (мл) и доза (мкг)
+   */
+  pumpBolus(pumpId, amount, unit = 'ml') {
+    const pump = this.infusionPumps.pumps[pumpId];
+    const check = pump ? this.physiologicalModel.checkMedication(pump.drugId) : null;
+    const result = this.infusionPumps.bolus(pumpId, amount, unit);
+    this.updateState();
+    this.recordAction('pumpBolus', { pumpId, amount, unit }, result);
+    if (result) {
+      this.applyMedicationCheck(pump.drugId, check);
+    }
+    return result;
+  }
+  
+  /**
+   * Замена шприца инфузомата
+   * @param {string} pumpId - Идентификатор инфузомата
+   * @returns {Object|null} Инфузомат
+   */
+  replacePumpSyringe(pumpId) {
+    const pump = this.infusionPumps.replaceSyringe(pumpId);
+    this.updateState();
+    this.recordAction('replacePumpSyringe', { pumpId }, Boolean(pump));
+    return pump;
+  }
+  
+  /**
+   * Снятие инфузомата
+   * @param {string} pumpId - Идентификатор инфузомата
+   * @returns {boolean} Был ли инфузомат найден
+   */
+  removeInfusionPump(pumpId) {
+    const result = this.infusionPumps.removePump(pumpId);
+    this.updateState();
+    this.recordAction('removeInfusionPump', { pumpId }, result);
+    return result;
+  }
+  
+  /**
+   * Получение инфузоматов
+   * @returns {Array} Инфузоматы со скоростями и остатком шприца
+   */
+  getInfusionPumps() {
+    return this.infusionPumps.getPumps();
+  }
+  
+  /**
+   * Интубация пациента
+   * @param {boolean} success - Успешность интубации
+   * @returns {Object} Обновленное состояние
+   */
+  intubate(success = true) {
+    const result = this.physiologicalModel.intubate(success);
+    this.updateState();
+    this.recordAction('intubate', { success });
+    return result;
+  }
+
+  /**
+   * Изменение настроек аппарата ИВЛ (действуют, пока пациент интубирован)
+   * @param {Object} settings - Настройки: mode, rate, tidal_volume, peep, fio2 (0.21-1),
+   *                            peak, pressure_support, ie_ratio, trigger_sensitivity
+   * @returns {Object} Обновленное состояние
+   */
+  setVentilatorSettings(settings) {
+    this.physiologicalModel.setVentilatorSettings(settings);
+    this.updateState();
+    this.recordAction('setVentilatorSettings', settings);
+    return this.currentState;
+  }
+
+  /**
+   * Получение настроек аппарата ИВЛ
+   * @returns {Object} Текущие настройки
+   */
+  getVentilatorSettings() {
+    return this.physiologicalModel.getVentilatorSettings();
+  }
+
+  /**
+   * Кривые давления, потока и объема аппарата ИВЛ за последние секунды
+   * @returns {Object} sampleRate (Гц), pressure (см H2O), flow (л/мин), volume (мл)
+   */
+  getVentilatorWaveform() {
+    return this.physiologicalModel.getVentilatorWaveform();
+  }
+
+  /**
+   * Отключение звука тревог ИВЛ; тревоги остаются на экране
+   * @param {number} seconds - Длительность (по умолчанию 2 минуты)
+   */
+  silenceVentilatorAlarms(seconds) {
+    this.physiologicalModel.silenceVentilatorAlarms(seconds);
+    this.refreshState();
+    this.recordAction('silenceVentilatorAlarms', { seconds });
+    return this.currentState;
+  }
+
+  /**
+   * Подтверждение активных тревог ИВЛ; подтвержденная тревога остается
+   * до устранения причины и не срабатывает повторно
+   */
+  acknowledgeVentilatorAlarms() {
+    this.physiologicalModel.acknowledgeVentilatorAlarms();
+    this.refreshState();
+    this.recordAction('acknowledgeVentilatorAlarms', {});
+    return this.currentState;
+  }
+
+  /**
+   * Изменение пределов тревог ИВЛ
+   * @param {Object} limits - peak_pressure, minute_volume, apnea_seconds, auto_peep, fio2_deviation
+   * @returns {Object} Текущие пределы
+   */
+  setVentilatorAlarmLimits(limits) {
+    const result = this.physiologicalModel.setVentilatorAlarmLimits(limits);
+    this.recordAction('setVentilatorAlarmLimits', limits);
+    return result;
+  }
+
+  /**
+   * Неисправность аппарата ИВЛ
+   * @param {string} fault - disconnect (разгерметизация контура), oxygen_supply или air_supply (отказ подачи газа)
+   * @param {boolean} active - Наличие неисправности
+   */
+  setVentilatorFault(fault, active = true) {
+    this.physiologicalModel.setVentilatorFault(fault, active);
+    this.updateState();
+    this.recordAction('setVentilatorFault', { fault, active });
+    return this.currentState;
+  }
+
+  /**
+   * Начало острого коронарного синдрома: ишемия развивается со временем
+   * (острейшая фаза, подъем ST, зубцы Q, инверсия T), повышает тропонин,
+   * снижает сократимость и может вызвать фибрилляцию желудочков
+   * @param {string} type - anterior_stemi, inferior_stemi, lateral_stemi, posterior_stemi или nstemi
+   * @param {Object} options - size: доля зоны риска (0-1, по умолчанию 0.6);
+   *                           timeScale: ускорение развития инфаркта
+   * @returns {boolean} Начат ли ОКС
+   */
+  startMyocardialInfarction(type, options = {}) {
+    const result = this.physiologicalModel.startMyocardialInfarction(type, options);
+    this.updateState();
+    this.recordAction('startMyocardialInfarction', { type, ...options }, result);
+    return result;
+  }
+
+  /**
+   * Реперфузия инфаркт-связанной артерии (ЧКВ или тромболизис)
+   * @returns {boolean} Была ли окклюзированная артерия
+   */
+  reperfuseMyocardium() {
+    const result = this.physiologicalModel.reperfuseMyocardium();
+    this.updateState();
+    this.recordAction('reperfuseMyocardium', {}, result);
+    return result;
+  }
+
+  /**
+   * Изменение настроек временного электрокардиостимулятора
+   * @param {Object} settings - enabled, type (transcutaneous, transvenous), mode (fixed, demand,
+   *                            VVI, DDD), rate (имп/мин), output (мА), sensitivity (мВ)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setPacemakerSettings(settings) {
+    const result = this.pacemaker.setSettings(settings);
+    this.updateState();
+    this.recordAction('setPacemakerSettings', settings, result);
+    return result;
+  }
+
+  /**
+   * Неисправность электрода стимулятора
+   * @param {string} fault - capture (потеря захвата) или sensing (нарушение восприятия)
+   * @param {boolean} active - Наличие неисправности
+   */
+  setPacemakerFault(fault, active = true) {
+    this.pacemaker.setFault(fault, active);
+    this.updateState();
+    this.recordAction('setPacemakerFault', { fault, active });
+    return this.currentState;
+  }
+
+  /**
+   * Состояние стимулятора: настройки, порог захвата, восприятие и захват
+   * @returns {Object} Состояние стимулятора
+   */
+  getPacemakerStatus() {
+    return this.pacemaker.getStatus(this.currentState);
+  }
+
+  /**
+   * Настройка конкретного параметра физиологии
+   * @param {string} param - Название параметра
+   * @param {*} value - Значение
+   */
+  setParameter(param, value) {
+    this.physiologicalModel.setState({ [param]: value });
+    this.updateState();
+    this.recordAction('setParameter', { param, value });
+    return this.currentState;
+  }
+  
+  /**
+   * Настройка фактора влияния на физиологию
+   * @param {string} factorName - Название фактора
+   * @param {number} value - Значение (0-1)
+   */
+  setFactor(factorName, value) {
+    this.physiologicalModel.setFactor(factorName, value);
+    this.updateState();
+    this.recordAction('setFactor', { factorName, value });
+    return this.currentState;
+  }
+  
+  /**
+   * Получение текущего состояния симуляции
+   * @returns {Object} Текущее состояние
+   */
+  getState() {
+    return { ...this.currentState };
+  }
+  
+  /**
+   * Получение истории состояний
+   * @param {number} count - Количество последних состояний (по умолчанию - все)
+   * @returns {Array} История состояний
+   */
+  getStateHistory(count = null) {
+    if (count === null) {
+      return [...this.stateHistory];
+    }
+    return this.stateHistory.slice(-count);
+  }
+  
+  /**
+   * Получение активных событий
+   * @returns {Array} Список активных событий
+   */
+  getActiveEvents() {
+    return this.eventsModule.getActiveEvents();
+  }
+  
+  /**
+   * Получение активных осложнений
+   * @returns {Array} Список активных осложнений
+   */
+  getActiveComplications() {
+    return this.eventsModule.getActiveComplications();
+  }
+  
+  /**
+   * Получение истории событий
+   * @param {number} limit - Ограничение количества (0 = все)
+   * @returns {Array} История событий
+   */
+  getEventsHistory(limit = 0) {
+    return this.eventsModule.getEventsHistory(limit);
+  }
+  
+  /**
+   * Получение активных тревог
+   * @returns {Object} Активные тревоги
+   */
+  getActiveAlarms() {
+    return { ...this.activeAlarms };
+  }
+  
+  /**
+   * Установка параметров тревог
+   * @param {string} parameter - Параметр (hr, spo2, etc.)
+   * @param {Object} settings - Настройки тревоги
+   */
+  setAlarmSettings(parameter, settings) {
+    if (this.alarmSettings[parameter]) {
+      this.alarmSettings[parameter] = {
+        ...this.alarmSettings[parameter],
+        ...settings
+      };
+    }
+  }
+  
+  /**
+   * Сброс всех тревог (подтверждение)
+   */
+  acknowledgeAllAlarms() {
+    const alarms = { ...this.activeAlarms };
+    this.activeAlarms = {};
+    return alarms;
+  }
+  
+  /**
+   * Сброс тревоги по параметру
+   * @param {string} parameter - Параметр (hr, spo2, etc.)
+   */
+  acknowledgeAlarm(parameter) {
+    const alarms = {};
+    
+    for (const [alarmId, alarm] of Object.entries(this.activeAlarms)) {
+      if (alarm.parameter === parameter) {
+        alarms[alarmId] = alarm;
+        delete this.activeAlarms[alarmId];
+      }
+    }
+    
+    return alarms;
+  }
+  
+  /**
+   * Начало или продолжение компрессий грудной клетки с заданными параметрами
+   * @returns {Object} Текущее состояние
+   */
+  startCPR() {
+    this.cpr.start();
+    this.physiologicalModel.setState({ cpr_in_progress: true });
+    
+    this.updateState();
+    this.recordAction('startCPR');
+    return this.currentState;
+  }
+  
+  /**
+   * Прекращение компрессий; время без компрессий при остановке
+   * кровообращения учитывается в отчете о качестве СЛР
+   * @returns {Object} Текущее состояние
+   */
+  stopCPR() {
+    this.cpr.stop();
+    this.physiologicalModel.setState({ cpr_in_progress: false });
+    
+    this.updateState();
+    this.recordAction('stopCPR');
+    return this.currentState;
+  }
+  
+  /**
+   * Установка и удаление инвазивных катетеров
+   * @param {Object} settings - arterial, cvp, pa (установлен ли катетер), damping (optimal,
+   *                            overdamped, underdamped), wedge (раздут ли баллон катетера ЛА)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setInvasiveMonitoring(settings) {
+    let result = null;
+    if (settings.damping !== undefined && !ARTERIAL_DAMPING[settings.damping]) {
+      console.warn(`Неизвестное демпфирование артериальной линии: ${settings.damping}`);
+    } else {
+      this.invasiveMonitoring = { ...this.invasiveMonitoring, ...settings };
+      
+      // Без катетера легочной артерии заклинивать нечего
+      if (!this.invasiveMonitoring.pa) {
+        this.invasiveMonitoring.wedge = false;
+      }
+      result = { ...this.invasiveMonitoring };
+    }
+    
+    this.updateState();
+    this.recordAction('setInvasiveMonitoring', settings, result);
+    return result;
+  }
+  
+  /**
+   * Изменение параметров компрессий
+   * @param {Object} settings - rate (в минуту), depth (см), recoil (0-1), ratio (30:2, 15:2, continuous)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setCPRSettings(settings) {
+    const result = this.cpr.setSettings(settings);
+    this.updateState();
+    this.recordAction('setCPRSettings', settings, result);
+    return result;
+  }
+  
+  /**
+   * Одна компрессия с клавиши-метронома; частота рассчитывается по нажатиям.
+   * В журнал записывается только начало компрессий
+   * @returns {Object} Состояние СЛР
+   */
+  registerCompression() {
+    if (this.cpr.registerCompression()) {
+      this.physiologicalModel.setState({ cpr_in_progress: true });
+      this.updateState();
+      this.recordAction('startCPR', { input: 'metronome' });
+    } else {
+      this.updateState();
+    }
+    
+    return this.currentState.cpr;
+  }
+  
+  /**
+   * Отчет о качестве СЛР для разбора
+   * @returns {Object|null} Показатели компрессий, оценка и замечания; null, если СЛР не проводилась
+   */
+  getCPRReport() {
+    return this.cpr.getReport();
+  }
+  
+  /**
+   * Состояние трекера ACLS: ритм, таймеры цикла и лекарств, напоминания
+   * @returns {Object} Состояние трекера
+   */
+  getACLSStatus() {
+    return this.acls.getStatus();
+  }
+  
+  /**
+   * Отчет о реанимации по алгоритму ACLS для разбора
+   * @returns {Object|null} Хронология действий, оценка и замечания; null, если остановки кровообращения не было
+   */
+  getACLSReport() {
+    return this.acls.getReport();
+  }
+  
+  /**
+   * Постреанимационный период: время без кровотока и с низким кровотоком,
+   * оглушение миокарда, вазоплегия, лактат, риск повторной остановки и исход
+   * @returns {Object|null} Сводка; null, если остановки кровообращения не было
+   */
+  getPostArrestStatus() {
+    return this.physiologicalModel.getPostArrestStatus();
+  }
+  
+  /**
+   * Смена ритма сердца. Ритмы остановки кровообращения (vfib, asystole, pea,
+   * vtach с pulseless) прекращают кровообращение; синусовый ритм и тахиаритмии
+   * (afib, aflutter, svt, vtach) сохраняют его
+   * @param {string} rhythm - Ритм
+   * @param {Object} options - rate (частота желудочков при тахиаритмии), pulseless (ЖТ без пульса)
+   * @returns {Object} Текущее состояние
+   */
+  setCardiacRhythm(rhythm, options = {}) {
+    const { rate = 0, pulseless = false } = options;
+    let success = true;
+    
+    if (ARREST_RHYTHMS.includes(rhythm) || (rhythm === 'vtach' && pulseless)) {
+      this.startCardiacArrest(rhythm);
+    } else if (rhythm === 'sinus' || ARRHYTHMIAS[rhythm]) {
+      this.physiologicalModel.setCardiacRhythm(rhythm, rate);
+    } else {
+      console.warn(`Неизвестный ритм: ${rhythm}`);
+      success = false;
+    }
+    
+    this.updateState();
+    this.recordAction('setCardiacRhythm', { rhythm, ...options }, success);
+    return this.currentState;
+  }
+  
+  /**
+   * Остановка кровообращения с заданным ритмом
+   * @param {string} rhythm - vfib, vtach, asystole или pea
+   */
+  startCardiacArrest(rhythm) {
+    this.physiologicalModel.setState({
+      cardiac_arrest: true,
+      cardiac_rhythm: rhythm,
+      hr: 0,
+      systolic: 0,
+      diastolic: 0
+    });
+  }
+  
+  /**
+   * Остановка кровообращения от обратимой причины (4 Г и 4 Т): причина
+   * задает ритм и показатели пациента, а пока она не устранена,
+   * восстановление кровообращения маловероятно
+   * @param {string} cause - Причина из REVERSIBLE_CAUSES
+   * @param {string} rhythm - Ритм остановки (по умолчанию - типичный для причины)
+   * @returns {Object} Текущее состояние
+   */
+  startReversibleCauseArrest(cause, rhythm = null) {
+    const success = this.beginCauseArrest(cause, rhythm);
+    
+    this.updateState();
+    this.recordAction('startReversibleCauseArrest', { cause, rhythm }, success);
+    return this.currentState;
+  }
+  
+  /**
+   * Начало остановки кровообращения с причиной; без причины - только с ритмом
+   * @param {string|null} cause - Причина из REVERSIBLE_CAUSES (null - причина не задана)
+   * @param {string|null} rhythm - Ритм остановки (null - типичный для причины)
+   * @returns {boolean} Начата ли остановка
+   */
+  beginCauseArrest(cause, rhythm) {
+    if (!cause) {
+      this.reversibleCauses.reset();
+      this.startCardiacArrest(rhythm || 'vfib');
+      return true;
+    }
+    
+    const definition = this.reversibleCauses.setCause(cause);
+    if (!definition) return false;
+    
+    const { factors = {}, ...state } = definition.state;
+    Object.entries(factors).forEach(([factor, value]) => this.physiologicalModel.setFactor(factor, value));
+    this.physiologicalModel.setState(state);
+    this.startCardiacArrest(rhythm || definition.rhythm);
+    return true;
+  }
+  
+  /**
+   * Вмешательство, устраняющее обратимую причину остановки (болюс жидкости,
+   * игольная декомпрессия, перикардиоцентез, тромболизис, кальций и другие)
+   * @param {string} intervention - Вмешательство из CAUSE_INTERVENTIONS
+   * @returns {Object|null} Результат ({ changes, effective, correction }) или null при ошибке
+   */
+  treatReversibleCause(intervention) {
+    const result = this.reversibleCauses.applyIntervention(intervention);
+    if (result) {
+      this.physiologicalModel.applyChanges(result.changes);
+      if (result.fluid) {
+        this.physiologicalModel.administerFluid(result.fluid.type, result.fluid.volume);
+      }
+      if (result.medication) {
+        this.physiologicalModel.applyMedication(result.medication);
+      }
+    }
+    
+    this.updateState();
+    this.recordAction('treatReversibleCause', { intervention }, result);
+    return result;
+  }
+  
+  /**
+   * Изменение настроек дефибриллятора; смена энергии или формы импульса сбрасывает заряд
+   * @param {Object} settings - energy (Дж), waveform (biphasic, monophasic), sync (синхронизация с R-зубцом)
+   * @returns {Object|null} Новые настройки или null при ошибке
+   */
+  setDefibrillatorSettings(settings) {
+    const result = this.defibrillator.setSettings(settings);
+    this.updateState();
+    this.recordAction('setDefibrillatorSettings', settings, result);
+    return result;
+  }
+  
+  /**
+   * Заряд дефибриллятора до установленной энергии
+   * @param {number} energy - Энергия в Джоулях (по умолчанию - текущая настройка)
+   * @returns {Object} Состояние дефибриллятора
+   */
+  chargeDefibrillator(energy = null) {
+    if (energy === null || this.defibrillator.setSettings({ energy })) {
+      this.defibrillator.startCharging();
+    }
+    
+    this.updateState();
+    this.recordAction('chargeDefibrillator', { energy: this.defibrillator.settings.energy });
+    return this.currentState.defibrillator;
+  }
+  
+  /**
+   * Сброс заряда дефибриллятора без разряда
+   * @returns {Object} Состояние дефибриллятора
+   */
+  disarmDefibrillator() {
+    this.defibrillator.disarm();
+    this.updateState();
+    this.recordAction('disarmDefibrillator');
+    return this.currentState.defibrillator;
+  }
+  
+  /**
+   * Состояние дефибриллятора: настройки, заряд и последний разряд
+   * @returns {Object} Состояние дефибриллятора
+   */
+  getDefibrillatorStatus() {
+    return this.defibrillator.getStatus(this.currentState);
+  }
+  
+  /**
+   * Разряд заряженного дефибриллятора. В режиме синхронизации разряд наносится
+   * на ближайший R-зубец и невозможен без комплексов QRS
+   * @returns {Object} Результат разряда ({ success, delivered, message })
+   */
+  shockDefibrillator() {
+    const status = this.defibrillator.getStatus(this.currentState);
+    
+    if (status.chargeState !== 'charged') {
+      return { success: false, delivered: false, message: "Дефибриллятор не заряжен" };
+    }
+    
+    if (status.sync && !status.syncAvailable) {
+      return { success: false, delivered: false, message: "Нет R-зубцов для синхронизации" };
+    }
+    
+    const shock = this.defibrillator.discharge();
+    const result = { ...this.performDefibrillation(shock.energy, shock), delivered: true };
+    this.defibrillator.setShockResult(result);
+    
+    this.updateState();
+    this.recordAction('defibrillate', shock, result);
+    return result;
+  }
+  
+  /**
+   * Имитация дефибрилляции: несинхронизированный разряд без ожидания заряда
    * @param {number} energy - Энергия разряда в Джоулях
    */
   defibrillate(energy = 200) {
+    const result = this.performDefibrillation(energy, { waveform: this.defibrillator.settings.waveform });
+    this.updateState();
+    this.recordAction('defibrillate', { energy }, result);
+    return result;
+  }
+  
+  /**
+   * Расчет результата разряда дефибриллятора
+   * @param {number} energy - Энергия разряда в Джоулях
+   * @param {Object} options - waveform (biphasic, monophasic), synchronized (разряд на R-зубец)
+   * @returns {Object} Результат разряда
+   */
+  performDefibrillation(energy, { waveform = 'biphasic', synchronized = false } = {}) {
+    const rhythm = this.currentState.cardiac_rhythm;
+    
     // Проверяем, находится ли пациент в состоянии, поддающемся дефибрилляции
     if (this.currentState.cardiac_arrest) {
-      // Вероятность успешной дефибрилляции зависит от типа аритмии и времени остановки
+      // Вероятность успешной дефибрилляции зависит от ритма, энергии и формы импульса
       const arrestDuration = this.currentState.arrest_duration || 0; // в секундах
       
-      let successProbability = 0;
-      
-      // В зависимости от ритма
-      if (this.currentState.cardiac_rhythm === 'vfib' || this.currentState.cardiac_rhythm === 'vtach') {
-        // Вероятность выше для фибрилляции желудочков/желудочковой тахикардии
-        successProbability = 0.7;
-      } else if (this.currentState.cardiac_rhythm === 'asystole') {
-        // Очень низкая вероятность для асистолии
-        successProbability = 0.05;
-      } else if (this.currentState.cardiac_rhythm === 'pea') {
-        // Электрическая активность без пульса не реагирует на дефибрилляцию
-        successProbability = 0;
-      }
+      let successProbability = this.defibrillator.getShockSuccess(rhythm, energy, waveform);
       
       // Корректировка вероятности в зависимости от длительности остановки
       if (arrestDuration > 0) {
@@ -629,37 +1765,24 @@ class SimulationEngine {
         successProbability *= Math.max(0.1, 1 - (minutesInArrest * 0.1));
       }
       
-      // Корректировка вероятности в зависимости от энергии разряда
-      if (energy < 120) {
-        successProbability *= 0.5; // Недостаточная энергия снижает вероятность
-      } else if (energy > 360) {
-        successProbability *= 0.9; // Избыточная энергия может быть вредна
-      }
+      // Неустраненная причина остановки снижает вероятность восстановления
+      successProbability *= this.reversibleCauses.getROSCFactor();
       
       // Определяем результат дефибрилляции
-      const isSuccessful = Math.random() < successProbability;
+      const isSuccessful = this.random() < successProbability;
       
       if (isSuccessful) {
-        // Успешная дефибрилляция - восстановление сердечного ритма
-        this.physiologicalModel.setState({
-          cardiac_arrest: false,
-          cardiac_rhythm: 'sinus',
-          hr: 100, // Начальный высокий пульс
-          systolic: 100,
-          diastolic: 60
-        });
-        
-        // Снижаем факторы угнетения
-        this.setFactor('cardiac_depression', 0.3);
-        this.setFactor('respiratory_depression', 0.3);
+        // Успешная дефибрилляция - восстановление спонтанного кровообращения;
+        // гемодинамику после остановки (оглушение миокарда, вазоплегия) рассчитывает модель
+        this.physiologicalModel.setCardiacRhythm('sinus');
         
         console.log("Дефибрилляция успешна: восстановлен сердечный ритм");
         return { success: true, message: "Восстановлен сердечный ритм" };
       } else {
         // Неудачная дефибрилляция - смена режима фибрилляции или без изменений
-        if (this.currentState.cardiac_rhythm === 'vfib') {
+        if (rhythm === 'vfib') {
           // Фибрилляция может измениться на более низкоамплитудную или асистолию
-          if (Math.random() < 0.3) {
+          if (this.random() < 0.3) {
             this.physiologicalModel.setState({ cardiac_rhythm: 'asystole' });
             console.log("Дефибрилляция: переход в асистолию");
             return { success: false, message: "После разряда развилась асистолия" };
@@ -669,11 +1792,37 @@ class SimulationEngine {
         console.log("Дефибрилляция безуспешна");
         return { success: false, message: "Без изменений" };
       }
-    } else {
-      // У пациента нет остановки сердца - дефибрилляция не показана
+    }
+    
+    // Несинхронизированный разряд в уязвимую фазу зубца T вызывает фибрилляцию
+    if (!synchronized && this.waveformGenerators.ecg.vulnerablePeriod) {
+      this.startCardiacArrest('vfib');
+      console.log("Разряд на зубец T: фибрилляция желудочков");
+      return { success: false, harmful: true, message: "Разряд на зубец T: фибрилляция желудочков" };
+    }
+    
+    // Кардиоверсия тахиаритмии с сохраненным кровообращением
+    const successProbability = this.defibrillator.getShockSuccess(rhythm, energy, waveform);
+    if (successProbability === 0) {
       console.log("Дефибрилляция не показана - пациент без остановки сердца");
       return { success: false, message: "Дефибрилляция не показана" };
     }
+    
+    if (this.random() < successProbability) {
+      this.physiologicalModel.setCardiacRhythm('sinus');
+      console.log("Кардиоверсия успешна: восстановлен синусовый ритм");
+      return { success: true, message: "Восстановлен синусовый ритм" };
+    }
+    
+    // Неудачная кардиоверсия желудочковой тахикардии может перейти в фибрилляцию
+    if (rhythm === 'vtach' && this.random() < VT_DEGENERATION_PROBABILITY) {
+      this.startCardiacArrest('vfib');
+      console.log("Кардиоверсия: переход ЖТ в фибрилляцию желудочков");
+      return { success: false, harmful: true, message: "ЖТ перешла в фибрилляцию желудочков" };
+    }
+    
+    console.log("Кардиоверсия безуспешна");
+    return { success: false, message: "Без изменений" };
   }
   
   /**
@@ -709,6 +1858,9 @@ class SimulationEngine {
    * @param {*} data - Данные события
    */
   notifyHandlers(eventType, data) {
+    // Сохраняем оповещение в журнале сессии
+    this.recordNotification(eventType, data);
+    
     if (this.eventHandlers[eventType]) {
       for (const handler of this.eventHandlers[eventType]) {
         try {
@@ -720,6 +1872,116 @@ class SimulationEngine {
     }
   }
   
+  /**
+   * Запуск сценария в формате JSON с фазами и переходами
+   * @param {Object|string} scenario - Сценарий (объект или JSON)
+   * @returns {boolean} Успешность запуска
+   */
+  runScenario(scenario) {
+    try {
+      this.scenarioRunner.load(scenario);
+    } catch (error) {
+      console.error("Ошибка загрузки сценария:", error);
+      return false;
+    }
+    
+    this.recordAction('runScenario', { scenarioId: this.scenarioRunner.scenario.id });
+    this.scenarioRunner.start();
+    return true;
+  }
+  
+  /**
+   * Остановка выполняемого сценария (состояние пациента сохраняется)
+   */
+  stopScenario() {
+    if (this.scenarioRunner.isRunning) {
+      this.scenarioRunner.stop();
+      this.recordAction('stopScenario', { scenarioId: this.scenarioRunner.scenario.id });
+    }
+    return this;
+  }
+  
+  /**
+   * Получение состояния выполняемого сценария
+   * @returns {Object|null} Фаза, время в фазе и история фаз
+   */
+  getScenarioStatus() {
+    return this.scenarioRunner.getStatus();
+  }
+  
+  /**
+   * Начало записи сессии (снимки состояния, действия, события и тревоги)
+   * @param {Object} metadata - Дополнительные метаданные сессии
+   */
+  startRecording(metadata = {}) {
+    this.sessionRecorder.start({
+      seed: this.getSeed(),
+      ...metadata
+    }, this.simulationTime);
+    
+    // Начальный снимок, чтобы воспроизведение начиналось с известного состояния
+    this.sessionRecorder.recordSnapshot(this.simulationTime, this.currentState);
+    return this;
+  }
+  
+  /**
+   * Остановка записи сессии
+   * @returns {Object} Журнал сессии
+   */
+  stopRecording() {
+    // Конечное состояние попадает в журнал независимо от интервала снимков
+    this.sessionRecorder.recordSnapshot(this.simulationTime, this.currentState, true);
+    this.sessionRecorder.stop();
+    return this.getSessionLog();
+  }
+  
+  /**
+   * Получение журнала текущей или последней записанной сессии
+   * @returns {Object} Журнал сессии
+   */
+  getSessionLog() {
+    return this.sessionRecorder.getLog();
+  }
+  
+  /**
+   * Запись действия инструктора в журнал сессии
+   * @param {string} action - Название действия
+   * @param {Object} params - Параметры действия
+   * @param {*} result - Результат действия
+   */
+  recordAction(action, params = {}, result = null) {
+    this.sessionRecorder.recordAction(this.simulationTime, action, params, result);
+    
+    // Оповещаем подписчиков (например, сценарий ждет введения лекарства)
+    this.notifyHandlers('actionPerformed', { action, params, result, time: this.simulationTime });
+  }
+  
+  /**
+   * Запись оповещения движка в журнал сессии
+   * @param {string} eventType - Тип оповещения
+   * @param {*} data - Данные оповещения
+   */
+  recordNotification(eventType, data) {
+    // Действия уже записаны в recordAction
+    if (!this.sessionRecorder.isRecording || eventType === 'actionPerformed') return;
+    
+    if (eventType === 'stateUpdated') {
+      this.sessionRecorder.recordSnapshot(this.simulationTime, data);
+    } else if (eventType === 'alarmTriggered' || eventType === 'alarmResolved') {
+      this.sessionRecorder.recordAlarm(this.simulationTime, eventType, data);
+    } else {
+      this.sessionRecorder.recordEvent(this.simulationTime, eventType, data);
+    }
+  }
+  
+  /**
+   * Получение начального значения генератора случайных чисел
+   * @returns {number|null} Seed или null, если используется Math.random
+   */
+  getSeed() {
+    return this.rng ? this.rng.getSeed() : null;
+  }
+  
   /**
    * Получение текущего времени симуляции
    * @returns {number} Время симуляции в секундах
@@ -741,10 +2003,33 @@ class SimulationEngine {
    * Полный сброс симуляции
    */
   reset() {
-    // Останавливаем симуляцию
+    // Останавливаем симуляцию и сценарий
     this.stop();
-    
-    // Сбрасываем физиологическую модель
+    this.scenarioRunner.stop();
+    
+    // Сбрасываем физиологическую модель, снимаем инфузоматы, стимулятор и
+    // дефибриллятор, прекращаем СЛР, сбрасываем трекер ACLS, причину и
+    // последствия остановки кровообращения, выводим лекарства, возвращаем
+    // водные секторы, электролиты и функцию почек к норме, останавливаем
+    // кровотечение, экстубируем и сбрасываем аппарат ИВЛ, отменяем МТП
+    // и забываем анализы
+    this.infusionPumps.reset();
+    this.pacemaker.reset();
+    this.defibrillator.reset();
+    this.cpr.reset();
+    this.acls.reset();
+    this.reversibleCauses.reset();
+    this.massiveTransfusion.reset();
+    this.laboratory.reset();
+    this.invasiveMonitoring = { ...DEFAULT_INVASIVE_MONITORING };
+    this.physiologicalModel.resetMedications();
+    this.physiologicalModel.resetMyocardialInfarction();
+    this.physiologicalModel.resetPostArrest();
+    this.physiologicalModel.resetFluids();
+    this.physiologicalModel.resetElectrolytes();
+    this.physiologicalModel.resetRenal();
+    this.physiologicalModel.resetHemorrhage();
+    this.physiologicalModel.resetVentilator();
     this.physiologicalModel.applyScenario('normal');
     
     // Сбрасываем модуль событий и осложнений
@@ -756,9 +2041,22 @@ class SimulationEngine {
       this.waveformBuffers[type] = [];
     }
     
+    // Перезапускаем генератор случайных чисел и генераторы сигналов,
+    // чтобы сессия с тем же seed повторилась с начала
+    if (this.rng) {
+      this.rng.reset();
+      for (const type in this.waveformGenerators) {
+        this.waveformGenerators[type].reset();
+      }
+    }
+    
     // Сбрасываем счетчики времени
     this.simulationTime = 0;
-    this.lastUpdateTime = Date.now();
+    this.timeSinceEventCheck = 0;
+    this.pendingSamples = {};
+    this.ecgSampleCount = 0;
+    this.syncMarkers = [];
+    this.lastUpdateTime = this.clock.now();
     
     // Сбрасываем историю состояний
     this.stateHistory = [];
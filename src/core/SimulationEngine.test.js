@@ -0,0 +1,2136 @@
+import SimulationEngine from './SimulationEngine';
+import PhysiologicalModel from './PhysiologicalModel';
+import SeededRandom from '../utils/random/SeededRandom';
+import VirtualClock from '../utils/time/VirtualClock';
+import SessionPlayer from './SessionPlayer';
+import ScenarioRunner from './ScenarioRunner';
+import { createTestEngine, createTestModel, runModel, silenceConsole } from './testEngine';
+import ECGGenerator, { TWELVE_LEADS } from '../utils/waveform-generators/ECGGenerator';
+import { DEFAULT_ALARM_LIMITS, DEFAULT_VENTILATOR_SETTINGS } from '../utils/ventilation/VentilatorEngine';
+
+const arrestState = { cardiac_arrest: true, cardiac_rhythm: 'vfib', hr: 0 };
+
+const recordWaveforms = (engine, state) => {
+  const result = {};
+  for (const [type, generator] of Object.entries(engine.waveformGenerators)) {
+    generator.applyPatientState(state);
+    result[type] = generator.generateWaveform(5);
+  }
+  return result;
+};
+
+describe('SimulationEngine seeded mode', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('SeededRandom repeats the same sequence for the same seed', () => {
+    const a = new SeededRandom(1234);
+    const b = new SeededRandom(1234);
+    const sequenceA = Array.from({ length: 100 }, () => a.next());
+    const sequenceB = Array.from({ length: 100 }, () => b.next());
+
+    expect(sequenceA).toEqual(sequenceB);
+    expect(sequenceA.every(value => value >= 0 && value < 1)).toBe(true);
+
+    a.reset();
+    expect(a.next()).toBe(sequenceA[0]);
+  });
+
+  test('engines with the same seed produce identical waveforms and rolls', () => {
+    const first = new SimulationEngine({}, { seed: 42 });
+    const second = new SimulationEngine({}, { seed: 42 });
+    const state = { hr: 130, spo2: 91, hypoxia: 0.5, rr: 24 };
+
+    expect(recordWaveforms(first, state)).toEqual(recordWaveforms(second, state));
+
+    for (const engine of [first, second]) {
+      engine.physiologicalModel.setState(arrestState);
+      engine.updateState();
+    }
+    const shocksFirst = Array.from({ length: 10 }, () => first.defibrillate(200).message);
+    const shocksSecond = Array.from({ length: 10 }, () => second.defibrillate(200).message);
+    expect(shocksFirst).toEqual(shocksSecond);
+  });
+
+  test('different seeds produce different waveforms', () => {
+    const state = { hr: 80, spo2: 97 };
+    const first = recordWaveforms(new SimulationEngine({}, { seed: 1 }), state);
+    const second = recordWaveforms(new SimulationEngine({}, { seed: 2 }), state);
+
+    expect(first.ecg).not.toEqual(second.ecg);
+    expect(new SimulationEngine({}, { seed: 7 }).getSeed()).toBe(7);
+    expect(new SimulationEngine().getSeed()).toBeNull();
+  });
+});
+
+describe('SimulationEngine headless stepping', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEngine = (seed = 42) =>
+    new SimulationEngine({}, { seed, clock: new VirtualClock(0) }).initialize();
+
+  test('step advances simulation time, the clock and waveform buffers', () => {
+    const engine = createEngine();
+
+    engine.step(1);
+    engine.step(0.5);
+
+    expect(engine.getSimulationTime()).toBeCloseTo(1.5);
+    expect(engine.clock.now()).toBe(1500);
+    expect(engine.getWaveformData('ecg')).toHaveLength(375);
+    expect(engine.getWaveformData('spo2')).toHaveLength(150);
+  });
+
+  test('waveform windows follow the sample rate of each generator', () => {
+    const engine = createEngine();
+    engine.waveformGenerators.spo2.updateParams({ sampleRate: 200 });
+
+    engine.step(2);
+
+    expect(engine.getWaveformData('spo2')).toHaveLength(400);
+    expect(engine.getWaveformData('spo2', 0.5)).toHaveLength(100);
+    expect(engine.getWaveformData('ecg', 0.5)).toHaveLength(125);
+    expect(engine.getWaveformData('capnography', 0.5)).toHaveLength(50);
+  });
+
+  test('the same seed replays an identical session', () => {
+    const record = () => {
+      const engine = createEngine(7);
+      engine.advance(600);
+      return {
+        state: engine.getState(),
+        events: engine.getEventsHistory().map(event => event.id),
+        ecg: engine.getWaveformData('ecg', 2)
+      };
+    };
+
+    expect(record()).toEqual(record());
+  });
+
+  test('fast-forwards a 24-hour stay without timers', () => {
+    const engine = createEngine();
+    const updates = jest.fn();
+    engine.on('stateUpdated', updates);
+
+    engine.advance(24 * 3600, 60);
+
+    expect(engine.getSimulationTime()).toBe(24 * 3600);
+    expect(updates).toHaveBeenCalledTimes(24 * 60);
+    expect(engine.getWaveformData('ecg')).toHaveLength(engine.bufferSizes.ecg);
+  });
+
+  test('long advances without a step take minute steps while the patient is stable', () => {
+    const engine = createEngine();
+    const updates = jest.fn();
+    engine.on('stateUpdated', updates);
+
+    engine.advance(24 * 3600);
+    expect(engine.getSimulationTime()).toBe(24 * 3600);
+    // Minute steps, then the buffered waveform window (30 s) and the minute
+    // before it at the update interval
+    expect(updates.mock.calls.length).toBeLessThanOrEqual(24 * 60 + 90);
+    expect(engine.getWaveformData('ecg')).toHaveLength(engine.bufferSizes.ecg);
+
+    // In cardiac arrest, during CPR and with a charged defibrillator every second counts
+    expect(engine.canTakeLongStep()).toBe(true);
+    engine.chargeDefibrillator();
+    expect(engine.canTakeLongStep()).toBe(false);
+    engine.disarmDefibrillator();
+    engine.startCardiacArrest('vfib');
+    expect(engine.canTakeLongStep()).toBe(false);
+
+    // Short advances and explicit steps are unchanged
+    updates.mockClear();
+    engine.advance(300);
+    engine.advance(3600, 60);
+    expect(updates).toHaveBeenCalledTimes(300 + 60);
+  });
+
+  test('bleeding, the pacer and running infusions need second steps', () => {
+    const engine = createEngine();
+    expect(engine.canTakeLongStep()).toBe(true);
+
+    engine.setHemorrhage('external');
+    expect(engine.canTakeLongStep()).toBe(false);
+    engine.controlHemorrhage('tourniquet');
+    expect(engine.canTakeLongStep()).toBe(true);
+
+    engine.setPacemakerSettings({ enabled: true });
+    expect(engine.canTakeLongStep()).toBe(false);
+    engine.setPacemakerSettings({ enabled: false });
+
+    const pump = engine.addInfusionPump('norepinephrine');
+    engine.setPumpRate(pump.id, 5, 'ml/h');
+    expect(engine.canTakeLongStep()).toBe(false);
+    engine.stopInfusionPump(pump.id);
+    expect(engine.canTakeLongStep()).toBe(true);
+
+    engine.startInfusion('propofol');
+    expect(engine.canTakeLongStep()).toBe(false);
+  });
+
+  test('a long advance matches one-second stepping after bleeding and an emptying syringe', () => {
+    const run = stepSeconds => {
+      const engine = createTestEngine(2);
+      engine.setHemorrhage('external');
+      engine.advance(120, 1);
+      engine.controlHemorrhage('tourniquet');
+      const pump = engine.addInfusionPump('norepinephrine', { volume: 5 });
+      engine.setPumpRate(pump.id, 10, 'ml/h');
+
+      const updates = jest.fn();
+      engine.on('stateUpdated', updates);
+      engine.advance(24 * 3600, stepSeconds);
+      return { state: engine.getState(), pump: engine.getInfusionPumps()[0], steps: updates.mock.calls.length };
+    };
+
+    const long = run(undefined);
+    const reference = run(1);
+    expect(long.steps).toBeLessThan(reference.steps / 10);
+
+    // The syringe runs dry at the same second and gives the same dose
+    expect(long.pump).toMatchObject({ status: 'empty', volume: 0, infusedVolume: 5 });
+    expect(reference.pump).toMatchObject({ status: 'empty', volume: 0, infusedVolume: 5 });
+    expect(long.state.blood_loss).toBeCloseTo(reference.state.blood_loss, -1);
+
+    ['temperature', 'hb', 'lactate', 'glucose', 'creatinine'].forEach(param => {
+      expect(long.state[param]).toBeCloseTo(reference.state[param], 0);
+    });
+    ['hr', 'map', 'spo2', 'etco2'].forEach(param => {
+      expect(Math.abs(long.state[param] - reference.state[param])).toBeLessThanOrEqual(3);
+    });
+  }, 180000);
+
+  test('ventilator-associated pneumonia develops after 48 hours of ventilation', () => {
+    const engine = createEngine();
+    const started = jest.fn();
+    engine.on('complicationStarted', started);
+    engine.intubate(true);
+
+    engine.advance(47 * 3600, 60);
+    expect(engine.getState().ventilation_duration).toBeCloseTo(47, 0);
+    expect(started.mock.calls.map(([c]) => c.id)).not.toContain('ventilator_associated_pneumonia');
+
+    engine.advance(24 * 3600, 60);
+    const pneumonia = engine.getActiveComplications()
+      .find(complication => complication.id === 'ventilator_associated_pneumonia');
+
+    expect(pneumonia).toBeDefined();
+    expect(pneumonia.currentStage).toBeGreaterThan(1);
+    expect(pneumonia.currentStage).toBeLessThanOrEqual(pneumonia.maxStages);
+  });
+});
+
+describe('SimulationEngine session recording', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The log and the engine state at each second, serialised as in the log
+  const recordSession = () => {
+    const engine = new SimulationEngine({}, { seed: 3, clock: new VirtualClock(0) }).initialize();
+    const states = {};
+    engine.on('stateUpdated', state => {
+      states[engine.getSimulationTime()] = JSON.parse(JSON.stringify(state));
+    });
+    engine.startRecording({ trainee: 'test' });
+    engine.advance(30);
+    engine.applyMedication('epinephrine', 1.0);
+    engine.advance(30);
+    engine.setParameter('spo2', 80);
+    engine.advance(30);
+    return { ...engine.stopRecording(), states };
+  };
+
+  test('records snapshots, instructor actions and alarms with timestamps', () => {
+    const log = recordSession();
+    const actions = log.entries.filter(entry => entry.type === 'action');
+
+    expect(log.metadata).toMatchObject({ seed: 3, trainee: 'test' });
+    expect(log.duration).toBe(90);
+    expect(actions.map(entry => [entry.time, entry.name])).toEqual([
+      [30, 'applyMedication'],
+      [60, 'setParameter']
+    ]);
+    expect(actions[0].data.params).toEqual({ medicationName: 'epinephrine', dose: 1.0 });
+
+    // A snapshot every 5 s of simulation, the first one full, the rest only changes
+    const snapshots = log.entries.filter(entry => entry.type === 'snapshot');
+    expect(snapshots.map(entry => entry.time)).toEqual(Array.from({ length: 19 }, (_, i) => i * 5));
+    expect(snapshots[0].diff).toBeUndefined();
+    expect(snapshots.slice(1).every(entry => entry.diff)).toBe(true);
+    expect(Object.keys(snapshots[1].data).length).toBeLessThan(Object.keys(snapshots[0].data).length / 2);
+    expect(log.entries.some(entry => entry.type === 'alarm' && entry.data.parameter === 'spo2')).toBe(true);
+  });
+
+  test('replays a saved log with seek, speed and entry notifications', () => {
+    const { states, ...log } = recordSession();
+    const player = new SessionPlayer(JSON.stringify(log), { clock: new VirtualClock(0) });
+    const replayed = [];
+    player.on('entriesReplayed', entries => replayed.push(...entries));
+
+    player.seek(45);
+    expect(player.getCurrentTime()).toBe(45);
+    expect(player.getStateAt(45)).toEqual(states[45]);
+    expect(player.getStateAt(49)).toEqual(states[45]);
+    expect(replayed).toHaveLength(0);
+
+    player.setSpeed(4);
+    player.advance(20);
+    expect(replayed.map(entry => entry.name)).toContain('setParameter');
+    expect(replayed.map(entry => entry.name)).not.toContain('applyMedication');
+
+    player.advance(100);
+    expect(player.getCurrentTime()).toBe(log.duration);
+    expect(player.isPlaying).toBe(false);
+  });
+});
+
+describe('SimulationEngine scripted scenarios', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEngine = () =>
+    new SimulationEngine({}, { seed: 5, clock: new VirtualClock(0) }).initialize();
+
+  test('septic shock progresses by timers and injects scripted events', () => {
+    const engine = createEngine();
+    const ended = jest.fn();
+    engine.on('scenarioEnded', ended);
+
+    expect(engine.applyScenario('septic_shock')).toBe(true);
+    expect(engine.getScenarioStatus().phase).toBe('early_sepsis');
+    expect(engine.getState().temperature).toBeCloseTo(38.9, 0);
+
+    engine.advance(119);
+    expect(engine.getScenarioStatus().phase).toBe('early_sepsis');
+    engine.advance(2);
+    expect(engine.getScenarioStatus().phase).toBe('decompensation');
+
+    engine.advance(45);
+    expect(engine.getEventsHistory().some(event => event.id === 'arrhythmia' && event.duration === 90)).toBe(true);
+
+    engine.advance(600);
+    expect(engine.getScenarioStatus()).toMatchObject({ phase: 'refractory_shock', isFinished: true });
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'failure' }));
+  });
+
+  test('vasopressors with MAP above 65 stabilise the patient', () => {
+    const engine = createEngine();
+    const ended = jest.fn();
+    engine.on('scenarioEnded', ended);
+
+    engine.applyScenario('septic_shock');
+    engine.advance(130);
+    expect(engine.getScenarioStatus().phase).toBe('decompensation');
+
+    engine.startInfusion('norepinephrine', 0.2);
+    engine.advance(300);
+
+    expect(engine.getScenarioStatus().phaseHistory.map(phase => phase.id))
+      .toEqual(['early_sepsis', 'decompensation', 'stabilization']);
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'success' }));
+  });
+
+  test('infusion conditions follow the current pump dose rate in the condition unit', () => {
+    const engine = createEngine();
+    const runner = engine.scenarioRunner;
+    const condition = { medication: 'norepinephrine', minRate: 0.1 };
+    const pump = engine.addInfusionPump('norepinephrine');
+
+    // 5 мл/ч при 80 мкг/мл и 70 кг - около 0.095 мкг/кг/мин
+    engine.setPumpRate(pump.id, 5, 'ml/h');
+    expect(runner.evaluateCondition(condition)).toBe(false);
+    expect(runner.evaluateCondition({ ...condition, minRate: 6, unit: 'mcg/min' })).toBe(true);
+
+    engine.setPumpRate(pump.id, 5.25, 'ml/h');
+    expect(runner.evaluateCondition(condition)).toBe(true);
+
+    engine.stopInfusionPump(pump.id);
+    expect(runner.evaluateCondition(condition)).toBe(false);
+    expect(runner.evaluateCondition({ medication: 'norepinephrine' })).toBe(false);
+  });
+
+  test('runs a scenario from JSON with action conditions and rejects invalid ones', () => {
+    const engine = createEngine();
+    const scenario = {
+      id: 'airway',
+      phases: {
+        waiting: { state: { spo2: 85 }, transitions: [{ to: 'secured', when: { action: 'intubate' } }] },
+        secured: { final: true, outcome: 'success' }
+      }
+    };
+
+    expect(engine.runScenario(JSON.stringify(scenario))).toBe(true);
+    engine.advance(10);
+    expect(engine.getScenarioStatus().phase).toBe('waiting');
+
+    engine.intubate(true);
+    engine.step(1);
+    expect(engine.getScenarioStatus()).toMatchObject({ phase: 'secured', isFinished: true });
+
+    const invalid = { id: 'broken', phases: { a: { transitions: [{ to: 'missing', after: 5 }] } } };
+    expect(() => ScenarioRunner.validate(invalid)).toThrow('missing');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(engine.runScenario(invalid)).toBe(false);
+  });
+});
+
+describe('SimulationEngine pharmacology', () => {
+  test('registered drugs act without changes to the physiological model', () => {
+    const engine = new SimulationEngine({}, { seed: 9, clock: new VirtualClock(0) }).initialize();
+    engine.physiologicalModel.pharmacology.registerDrug({
+      id: 'test_chronotrope',
+      doseUnit: 'mg',
+      defaultDose: 1,
+      pk: { v1: 0.2, k10: 0.1, ke0: 2 },
+      pd: { hr: { emax: 40, ec50: 1 }, sedation: { emax: 0.5, ec50: 1 } }
+    });
+
+    const before = engine.getState();
+    expect(engine.applyMedication('test_chronotrope')).toBe(true);
+    engine.advance(60);
+    const after = engine.getState();
+
+    expect(after.hr - before.hr).toBeGreaterThan(25);
+    expect(after.sedation).toBeCloseTo(0.5, 1);
+    expect(engine.getActiveMedications().map(drug => drug.id)).toEqual(['test_chronotrope']);
+    expect(engine.applyMedication('unknown_drug')).toBe(false);
+
+    engine.reset();
+    expect(engine.getActiveMedications()).toHaveLength(0);
+    expect(engine.getState().sedation).toBe(0);
+  });
+});
+
+describe('SimulationEngine infusion pumps', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEngine = () =>
+    new SimulationEngine({}, { seed: 11, clock: new VirtualClock(0) }).initialize();
+
+  test('drug effect tracks the pump rate in dose or volume units', () => {
+    const engine = createEngine();
+    const pump = engine.addInfusionPump('norepinephrine');
+    expect(pump).toMatchObject({ id: 'pump-1', concentration: 80, volume: 50, status: 'stopped' });
+
+    // 0.1 мкг/кг/мин * 70 кг = 7 мкг/мин = 5.25 мл/ч при 80 мкг/мл
+    expect(engine.setPumpRate(pump.id, 0.1, 'mcg/kg/min').mlPerHour).toBeCloseTo(5.25);
+    engine.advance(1200);
+    const low = engine.physiologicalModel.pharmacology.getConcentrations('norepinephrine').plasma;
+
+    const doubled = engine.setPumpRate(pump.id, 10.5, 'ml/h');
+    expect(doubled.doseRate).toBeCloseTo(0.2);
+    engine.advance(1200);
+    const high = engine.physiologicalModel.pharmacology.getConcentrations('norepinephrine').plasma;
+
+    expect(high / low).toBeCloseTo(2, 1);
+    expect(engine.getState().infusionPumps[0].volume).toBeCloseTo(50 - 5.25 / 3 - 10.5 / 3, 1);
+
+    expect(engine.stopInfusionPump(pump.id)).toBe(true);
+    expect(engine.getActiveMedications()[0].infusion).toBeNull();
+  });
+
+  test('an emptied syringe stops the infusion and raises pump alarms', () => {
+    const engine = createEngine();
+    const triggered = jest.fn();
+    engine.on('alarmTriggered', triggered);
+
+    const pump = engine.addInfusionPump('propofol', { volume: 1 });
+    engine.setPumpRate(pump.id, 6, 'ml/h');
+
+    engine.advance(540);
+    expect(triggered).toHaveBeenCalledWith(expect.objectContaining({ parameter: pump.id, type: 'near_empty' }));
+
+    engine.advance(120);
+    expect(engine.getInfusionPumps()[0]).toMatchObject({ status: 'empty', volume: 0 });
+    expect(engine.getInfusionPumps()[0].infusedVolume).toBeCloseTo(1);
+    expect(engine.getActiveMedications()[0].infusion).toBeNull();
+    expect(triggered).toHaveBeenCalledWith(expect.objectContaining({ parameter: pump.id, type: 'empty' }));
+    expect(engine.setPumpRate(pump.id, 6, 'ml/h')).toBeNull();
+
+    expect(engine.replacePumpSyringe(pump.id)).toMatchObject({ status: 'stopped', volume: 1 });
+    expect(engine.getActiveAlarms()).not.toHaveProperty(`${pump.id}_empty`);
+  });
+});
+
+describe('SimulationEngine medication warnings', () => {
+  test('engine emits and records medication warnings', () => {
+    const engine = new SimulationEngine({}, { seed: 13, clock: new VirtualClock(0) }).initialize();
+    const warning = jest.fn();
+    engine.on('medicationWarning', warning);
+    engine.startRecording();
+
+    engine.setParameter('hr', 130);
+    engine.applyMedication('atropine');
+
+    expect(warning).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'atropine_tachycardia',
+      severity: expect.any(String),
+      time: 0
+    }));
+    expect(engine.stopRecording().entries).toContainEqual(expect.objectContaining({
+      type: 'event',
+      name: 'medicationWarning'
+    }));
+  });
+
+  test('failed or zero-rate administrations leave no sensitivity or warnings', () => {
+    const engine = new SimulationEngine({}, { seed: 13, clock: new VirtualClock(0) }).initialize();
+    const pharmacology = engine.physiologicalModel.pharmacology;
+    const warning = jest.fn();
+    engine.on('medicationWarning', warning);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Норадреналин противопоказан при САД > 180, атропин - при ЧСС > 100
+    engine.setParameter('systolic', 190);
+    engine.setParameter('hr', 130);
+    const pump = engine.addInfusionPump('norepinephrine');
+
+    expect(engine.startInfusion('norepinephrine', 0)).toBeTruthy();
+    expect(engine.setPumpRate(pump.id, 5, 'mcg/fortnight')).toBeNull();
+    expect(engine.setPumpRate(pump.id, 0)).toMatchObject({ status: 'stopped' });
+    expect(engine.pumpBolus('pump-missing', 1)).toBeNull();
+    expect(engine.applyMedication('unknown_drug')).toBe(false);
+
+    expect(pharmacology.sensitivity).toEqual({});
+    expect(warning).not.toHaveBeenCalled();
+
+    engine.applyMedication('atropine');
+    expect(pharmacology.sensitivity).toEqual({ atropine: { hr: 1.5 } });
+    expect(warning).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('SimulationEngine closed-loop circulation', () => {
+  test('haemorrhage produces a compensatory tachycardia before hypotension', () => {
+    const model = createTestModel();
+    const baseline = runModel(model, 10);
+    expect(baseline).toMatchObject({ hr: 72, systolic: 120, diastolic: 80, cvp: 8 });
+
+    model.setFactor('bleeding', 0.5);
+    const compensated = runModel(model, 240);
+    // 1000 mL lost; the interstitium starts to refill the plasma
+    expect(compensated.blood_volume).toBeGreaterThan(4000);
+    expect(compensated.blood_volume).toBeLessThan(4050);
+    expect(compensated.cvp).toBeLessThan(baseline.cvp / 2);
+    expect(compensated.hr).toBeGreaterThan(baseline.hr + 15);
+    expect(compensated.map).toBeGreaterThan(baseline.map - 10);
+    expect(compensated.systolic - compensated.diastolic).toBeLessThan(baseline.systolic - baseline.diastolic);
+
+    const decompensated = runModel(model, 120);
+    expect(decompensated.hr).toBeGreaterThan(105);
+    expect(decompensated.systolic).toBeLessThan(100);
+  });
+
+  test('the baroreflex restores part of the pressure lost to vasodilation', () => {
+    const model = createTestModel();
+    model.setFactor('vasodilation', 0.9);
+
+    const early = runModel(model, 3);
+    const late = runModel(model, 60);
+
+    expect(late.svr).toBeLessThan(800);
+    expect(early.map).toBeLessThan(65);
+    expect(late.map).toBeGreaterThan(early.map + 10);
+    expect(late.hr).toBeGreaterThan(120);
+    expect(late.sympathetic_tone).toBeGreaterThan(0.9);
+  });
+
+  test('set values become the compensated operating point', () => {
+    const model = createTestModel();
+    model.setState({ systolic: 100, diastolic: 65 });
+
+    const state = runModel(model, 60);
+    expect(Math.abs(state.systolic - 100)).toBeLessThanOrEqual(2);
+    expect(Math.abs(state.diastolic - 65)).toBeLessThanOrEqual(2);
+    expect(state.hr).toBeGreaterThan(95);
+
+    // A vasopressor raises the pressure and the baroreflex slows the rate
+    model.applyMedication('phenylephrine');
+    expect(runModel(model, 120).hr).toBeLessThan(state.hr - 10);
+  });
+});
+
+describe('SimulationEngine gas exchange', () => {
+  test('FiO2 and PEEP on the ventilator change oxygenation', () => {
+    const model = createTestModel();
+    model.intubate(true);
+    model.setVentilatorSettings({ fio2: 0.21, peep: 5 });
+    model.setFactor('hypoxia', 0.8);
+    const hypoxic = runModel(model, 120);
+    expect(hypoxic.spo2).toBeLessThan(92);
+
+    model.setVentilatorSettings({ fio2: 0.6 });
+    const oxygen = runModel(model, 120);
+    expect(oxygen.fio2).toBe(0.6);
+    expect(oxygen.pao2).toBeGreaterThan(hypoxic.pao2 + 15);
+    expect(oxygen.spo2).toBeGreaterThan(hypoxic.spo2);
+
+    model.setVentilatorSettings({ peep: 15 });
+    const recruited = runModel(model, 120);
+    expect(recruited.shunt_fraction).toBeLessThan(oxygen.shunt_fraction / 2);
+    expect(recruited.pao2).toBeGreaterThan(oxygen.pao2);
+    expect(recruited.plateau_pressure).toBeGreaterThan(oxygen.plateau_pressure + 5);
+  });
+
+  test('alveolar ventilation sets PaCO2 and EtCO2', () => {
+    // Paralysed patient: every breath is a mandatory one
+    const model = createTestModel();
+    model.applyMedication('rocuronium', 1.2);
+    model.startInfusion('rocuronium', 20);
+    model.intubate(true);
+    const baseline = runModel(model, 600);
+
+    model.setVentilatorSettings({ rate: 6 });
+    const hypoventilated = runModel(model, 600);
+    expect(hypoventilated.minute_volume).toBe(3);
+    expect(hypoventilated.etco2).toBeGreaterThan(baseline.etco2 + 15);
+    expect(hypoventilated.paco2).toBeGreaterThan(hypoventilated.etco2);
+
+    model.setVentilatorSettings({ rate: 20 });
+    expect(runModel(model, 600).etco2).toBeLessThan(baseline.etco2 - 5);
+  });
+
+  test('set SpO2 becomes the operating point for later oxygen therapy', () => {
+    const model = createTestModel();
+    model.setState({ spo2: 85 });
+
+    const state = runModel(model, 60);
+    expect(Math.abs(state.spo2 - 85)).toBeLessThanOrEqual(1);
+    expect(state.shunt_fraction).toBeGreaterThan(0.2);
+
+    model.intubate(true);
+    expect(runModel(model, 120).spo2).toBeGreaterThan(state.spo2 + 3);
+  });
+
+  test('the respiratory rate returns to its set point instead of drifting', () => {
+    const model = new PhysiologicalModel({}, new SeededRandom(2).random, new VirtualClock(0));
+    const resting = [];
+    for (let minute = 0; minute < 60; minute++) {
+      resting.push(runModel(model, 60).rr);
+    }
+    resting.forEach(rr => expect(Math.abs(rr - 14)).toBeLessThanOrEqual(1));
+
+    // Hypoxia drives the rate up to a plateau, not to the ceiling
+    model.setFactor('hypoxia', 0.5);
+    const early = runModel(model, 10).rr;
+    const hypoxic = runModel(model, 120).rr;
+    expect(early).toBeLessThan(hypoxic - 3);
+    expect(Math.abs(hypoxic - 24)).toBeLessThanOrEqual(1);
+    expect(Math.abs(runModel(model, 600).rr - 24)).toBeLessThanOrEqual(1);
+
+    model.setFactor('hypoxia', 0);
+    model.setFactor('respiratory_depression', 0.5);
+    expect(Math.abs(runModel(model, 300).rr - 9)).toBeLessThanOrEqual(1);
+
+    // A set rate becomes the new operating point
+    model.setFactor('respiratory_depression', 0);
+    model.setState({ rr: 20 });
+    expect(Math.abs(runModel(model, 600).rr - 20)).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('SimulationEngine hemodynamics', () => {
+  test('hemodynamics calculator uses preload and contractility from the model', () => {
+    const engine = new SimulationEngine({}, { seed: 9, clock: new VirtualClock(0) }).initialize();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const before = engine.advance(10).hemodynamics;
+
+    engine.setFactor('bleeding', 0.5);
+    const after = engine.advance(240).hemodynamics;
+
+    expect(after.end_diastolic_volume).toBeLessThanOrEqual(before.end_diastolic_volume - 15);
+    expect(after.stroke_volume).toBeLessThan(before.stroke_volume);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('SimulationEngine blood gases', () => {
+  test('ventilator settings reach the blood gas calculator', () => {
+    const engine = new SimulationEngine({}, { seed: 4, clock: new VirtualClock(0) }).initialize();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    engine.intubate(true);
+    engine.setVentilatorSettings({ fio2: 1.0, peep: 8 });
+
+    const state = engine.advance(60);
+    const cooling = 37 - state.temperature;
+    expect(engine.getVentilatorSettings()).toMatchObject({ fio2: 1, peep: 8 });
+    expect(state).toMatchObject({ fio2: 1, peep: 8, ventilator_mode: 'A/C' });
+    expect(state.bloodGases.arterial.pao2).toBe(Math.round(state.pao2 * Math.pow(1.027, cooling)));
+    expect(state.bloodGases.arterial.paco2).toBe(Math.round(state.paco2 * Math.pow(1.019, cooling)));
+    jest.restoreAllMocks();
+  });
+});
+
+describe('SimulationEngine ventilator alarms', () => {
+  test('engine routes ventilator alarms through alarm events', () => {
+    const engine = new SimulationEngine({}, { seed: 4, clock: new VirtualClock(0) }).initialize();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const triggered = jest.fn();
+    const resolved = jest.fn();
+    const performed = jest.fn();
+    engine.on('alarmTriggered', triggered);
+    engine.on('alarmResolved', resolved);
+    engine.on('actionPerformed', performed);
+    const ventilatorAlarms = mock => mock.mock.calls.map(([alarm]) => alarm).filter(alarm => alarm.parameter === 'ventilator');
+
+    engine.intubate(true);
+    engine.advance(30);
+    expect(ventilatorAlarms(triggered)).toHaveLength(0);
+
+    let state = engine.setVentilatorFault('disconnect');
+    expect(state).toMatchObject({ fio2: 0.21, peep: 0 });
+    expect(state.ventilatorStatus.faults.disconnect).toBe(true);
+    expect(ventilatorAlarms(triggered).map(alarm => alarm.type)).toEqual(['disconnect']);
+
+    // Acknowledged alarms stay active without triggering again
+    state = engine.acknowledgeVentilatorAlarms();
+    state = engine.silenceVentilatorAlarms();
+    engine.advance(10);
+    expect(engine.getActiveAlarms().ventilator_disconnect).toMatchObject({ acknowledged: true, silenced: true });
+    expect(ventilatorAlarms(triggered).map(alarm => alarm.type)).toEqual(['disconnect']);
+    expect(state.ventilatorStatus.silenced_for).toBe(120);
+
+    state = engine.setVentilatorFault('disconnect', false);
+    expect(ventilatorAlarms(resolved).map(alarm => alarm.type)).toEqual(['disconnect']);
+    expect(state.ventilatorStatus.alarms).toEqual([]);
+    expect(performed.mock.calls.map(([entry]) => entry.action))
+      .toEqual(expect.arrayContaining(['setVentilatorFault', 'acknowledgeVentilatorAlarms', 'silenceVentilatorAlarms']));
+    jest.restoreAllMocks();
+  });
+
+  test('reset extubates and restores the ventilator defaults', () => {
+    const engine = createTestEngine(4);
+    engine.intubate(true);
+    engine.setVentilatorSettings({ fio2: 0.8, peep: 10 });
+    engine.setVentilatorAlarmLimits({ peak_pressure: 50 });
+    engine.setVentilatorFault('oxygen_supply');
+    engine.silenceVentilatorAlarms();
+    engine.advance(600);
+    expect(engine.getState().ventilation_duration).toBeGreaterThan(0.1);
+
+    engine.reset();
+    const state = engine.getState();
+    expect(state).toMatchObject({ intubated: false, fio2: 0.21, peep: 0, ventilator_mode: 'none', ventilation_duration: 0 });
+    expect(engine.getVentilatorSettings()).toEqual(DEFAULT_VENTILATOR_SETTINGS);
+    expect(state.ventilatorStatus).toEqual({
+      alarms: [],
+      silenced_for: 0,
+      faults: { disconnect: false, oxygen_supply: false, air_supply: false },
+      alarm_limits: DEFAULT_ALARM_LIMITS
+    });
+  });
+});
+
+describe('SimulationEngine 12-lead ECG', () => {
+  test('engine records a 12-lead ECG from the current state', () => {
+    const engine = new SimulationEngine({}, { seed: 12, clock: new VirtualClock(0) }).initialize();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const performed = jest.fn();
+    engine.on('actionPerformed', performed);
+    engine.advance(5);
+    const monitorBuffer = engine.getWaveformData('ecg');
+
+    expect(engine.setParameter('st_inferior', 0.3).st_inferior).toBe(0.3);
+    const recording = engine.recordTwelveLeadECG();
+
+    expect(recording).toMatchObject({ sampleRate: 250, duration: 10, time: 5 });
+    TWELVE_LEADS.forEach(lead => expect(recording.leads[lead]).toHaveLength(2500));
+    expect(engine.getWaveformData('ecg')).toEqual(monitorBuffer);
+    expect(performed.mock.calls.map(([entry]) => entry.action)).toContain('recordTwelveLeadECG');
+
+    // Inferior ST elevation is visible against aVL on the recording
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    expect(mean(recording.leads.III)).toBeGreaterThan(mean(recording.leads.aVL));
+    jest.restoreAllMocks();
+  });
+});
+
+describe('SimulationEngine acute coronary syndrome', () => {
+  test('ischemic ventricular fibrillation arrests the circulation', () => {
+    const engine = new SimulationEngine({}, { seed: 13, clock: new VirtualClock(0) }).initialize();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const started = jest.fn();
+    const performed = jest.fn();
+    engine.on('eventStarted', started);
+    engine.on('actionPerformed', performed);
+    engine.eventsModule.random = () => 0;
+
+    // No ischemia - no fibrillation
+    engine.eventsModule.checkIschemicArrhythmias(engine.getState());
+    expect(started).not.toHaveBeenCalled();
+
+    expect(engine.startMyocardialInfarction('anterior_stemi')).toBe(true);
+    expect(engine.startMyocardialInfarction('unknown')).toBe(false);
+    expect(engine.getState().vf_risk).toBeGreaterThan(0);
+
+    engine.eventsModule.checkIschemicArrhythmias(engine.getState());
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(started.mock.calls[0][0]).toMatchObject({ id: 'ventricular_fibrillation', severity: 'critical' });
+    expect(engine.physiologicalModel.getState()).toMatchObject({
+      cardiac_arrest: true, cardiac_rhythm: 'vfib', hr: 0, systolic: 0, diastolic: 0
+    });
+
+    // Already in arrest - no repeated event
+    engine.eventsModule.checkIschemicArrhythmias(engine.physiologicalModel.getState());
+    expect(started).toHaveBeenCalledTimes(1);
+
+    // The monitor shows the arrest rhythm steadily
+    const generator = new ECGGenerator(new SeededRandom(13).random);
+    for (let i = 0; i < 20; i++) {
+      generator.applyPatientState(engine.physiologicalModel.getState());
+      expect(generator.rhythm).toBe('ventricularFibrillation');
+    }
+
+    expect(performed.mock.calls.map(([entry]) => entry.action)).toContain('startMyocardialInfarction');
+    jest.restoreAllMocks();
+  });
+});
+
+describe('SimulationEngine cardiac pacing', () => {
+  const SPIKE_THRESHOLD = 1.6;
+
+  // Pacing spikes in lead II: starts of runs above the spike threshold
+  const countSpikes = (samples) => samples.filter((value, i) =>
+    value > SPIKE_THRESHOLD && !(samples[i - 1] > SPIKE_THRESHOLD)
+  ).length;
+
+  const createBradycardia = () => {
+    const engine = new SimulationEngine({}, { seed: 14, clock: new VirtualClock(0) }).initialize();
+    engine.setParameter('hr', 35);
+    engine.advance(10, 1);
+    return engine;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('captured pacing sets the heart rate above the capture threshold', () => {
+    const engine = createBradycardia();
+    const performed = jest.fn();
+    engine.on('actionPerformed', performed);
+    const bradycardia = engine.getState();
+    expect(bradycardia.hr).toBeLessThan(40);
+
+    // Transcutaneous pacing below the threshold: stimuli without capture
+    engine.setPacemakerSettings({ enabled: true, rate: 70, output: 40 });
+    engine.advance(10, 1);
+    expect(engine.getState().pacemaker).toMatchObject({ pacing: true, capture: false, mechanicalCapture: false });
+    expect(engine.getState().hr).toBeLessThan(40);
+
+    engine.setPacemakerSettings({ output: 80 });
+    engine.advance(20, 1);
+    const paced = engine.getState();
+    expect(paced.pacemaker).toMatchObject({ type: 'transcutaneous', mode: 'demand', capture: true, mechanicalCapture: true });
+    expect(paced.hr).toBe(70);
+    expect(paced.intrinsic_hr).toBeLessThan(40);
+    expect(paced.cardiac_output).toBeGreaterThan(bradycardia.cardiac_output);
+    expect(paced.systolic).toBeGreaterThan(bradycardia.systolic);
+
+    // The pleth follows the paced rate
+    engine.waveformGenerators.spo2.applyPatientState(paced);
+    expect(engine.waveformGenerators.spo2.params.heartRate).toBe(70);
+
+    // Lead displacement: loss of capture returns the intrinsic rate
+    engine.setPacemakerFault('capture');
+    engine.advance(10, 1);
+    expect(engine.getState().pacemaker.capture).toBe(false);
+    expect(engine.getState().hr).toBeLessThan(40);
+
+    // Ischemic myocardium needs a higher output
+    engine.startMyocardialInfarction('anterior_stemi');
+    expect(engine.getPacemakerStatus().captureThreshold).toBeCloseTo(74.4, 5);
+
+    expect(performed.mock.calls.map(([entry]) => entry.action)).toEqual(
+      expect.arrayContaining(['setPacemakerSettings', 'setPacemakerFault'])
+    );
+
+    engine.reset();
+    expect(engine.getState().pacemaker).toMatchObject({ enabled: false, pacing: false, faults: { capture: false } });
+  });
+
+  test('pacing in cardiac arrest captures electrically without a pulse', () => {
+    const engine = new SimulationEngine({}, { seed: 14, clock: new VirtualClock(0) }).initialize();
+    engine.setParameter('cardiac_arrest', true);
+    engine.setParameter('cardiac_rhythm', 'asystole');
+    engine.setParameter('hr', 0);
+    engine.setPacemakerSettings({ enabled: true, output: 100 });
+    engine.advance(5, 1);
+
+    const state = engine.getState();
+    expect(state.pacemaker).toMatchObject({ pacing: true, capture: true, mechanicalCapture: false });
+    expect(state.hr).toBe(0);
+
+    const recording = engine.recordTwelveLeadECG(6);
+    expect(recording.rhythm).toBe('paced');
+    expect(countSpikes(recording.leads.II)).toBeGreaterThan(5);
+
+    // Ventricular fibrillation is not captured
+    engine.setParameter('cardiac_rhythm', 'vfib');
+    expect(engine.getPacemakerStatus()).toMatchObject({ pacing: true, capture: false });
+  });
+});
+
+describe('SimulationEngine defibrillator and cardioversion', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEngine = (seed = 15) => new SimulationEngine({}, { seed, clock: new VirtualClock(0) }).initialize();
+
+  // The arrhythmia sets the rate; physiological variability adds a beat or two
+  const expectRate = (state, rate) => {
+    expect(Math.abs(state.hr - rate)).toBeLessThanOrEqual(2);
+  };
+
+  // Steps one ECG sample at a time until the condition holds
+  const stepUntil = (engine, condition, limit = 1000) => {
+    for (let i = 0; i < limit && !condition(engine.waveformGenerators.ecg); i++) {
+      engine.step(0.004);
+    }
+    expect(condition(engine.waveformGenerators.ecg)).toBe(true);
+  };
+
+  test('tachyarrhythmias keep a perfusing rhythm at their own rate', () => {
+    const engine = createEngine();
+    engine.advance(10, 1);
+    const baseline = engine.getState();
+
+    engine.setCardiacRhythm('svt');
+    engine.advance(10, 1);
+    expect(engine.getState()).toMatchObject({ cardiac_rhythm: 'svt', cardiac_arrest: false });
+    expectRate(engine.getState(), 180);
+    expect(engine.waveformGenerators.ecg.rhythm).toBe('supraventricularTachycardia');
+
+    // Unstable VT: the rate is set by the arrhythmia, not the baroreflex
+    engine.setCardiacRhythm('vtach', { rate: 190 });
+    engine.advance(30, 1);
+    const vt = engine.getState();
+    expectRate(vt, 190);
+    expect(vt.systolic).toBeLessThan(baseline.systolic - 20);
+    expect(vt.cardiac_output).toBeLessThan(baseline.cardiac_output);
+    expect(engine.waveformGenerators.ecg.rhythm).toBe('ventricularTachycardia');
+
+    engine.setCardiacRhythm('vtach', { pulseless: true });
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'vtach', hr: 0 });
+
+    // A perfusing rhythm ends the arrest without taking the zeros as its operating point
+    engine.setCardiacRhythm('afib', { rate: 130 });
+    engine.advance(20, 1);
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: false, cardiac_rhythm: 'afib' });
+    expectRate(engine.getState(), 130);
+    expect(engine.getState().systolic).toBeGreaterThan(80);
+
+    engine.setCardiacRhythm('sinus');
+    engine.advance(20, 1);
+    expect(engine.getState().hr).toBeLessThan(110);
+  });
+
+  test('synchronized cardioversion of atrial fibrillation', () => {
+    const engine = createEngine();
+    const performed = jest.fn();
+    engine.on('actionPerformed', performed);
+
+    engine.setCardiacRhythm('afib', { rate: 150 });
+    engine.advance(5, 1);
+    expect(engine.getSyncMarkers()).toEqual([]);
+
+    // Sync markers on the QRS complexes of the monitor ECG
+    engine.setDefibrillatorSettings({ sync: true, energy: 200 });
+    engine.advance(4, 1);
+    const ecg = engine.getWaveformData('ecg', 4);
+    const markers = engine.getSyncMarkers(4);
+    expect(markers.length).toBeGreaterThanOrEqual(6);
+    expect(markers.length).toBeLessThanOrEqual(14);
+    markers.forEach(index => expect(index).toBeLessThan(ecg.length));
+
+    const results = [];
+    for (let i = 0; i < 10 && engine.getState().cardiac_rhythm === 'afib'; i++) {
+      engine.setDefibrillatorSettings({ sync: true });
+      engine.chargeDefibrillator();
+      engine.advance(5, 1);
+      stepUntil(engine, generator => generator.vulnerablePeriod);
+      results.push(engine.shockDefibrillator());
+    }
+
+    // Synchronized shocks never land on the T wave
+    results.forEach(result => expect(result).toMatchObject({ delivered: true }));
+    expect(results.some(result => result.harmful)).toBe(false);
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: false, cardiac_rhythm: 'sinus' });
+    expect(engine.getDefibrillatorStatus()).toMatchObject({ sync: false, shockCount: results.length });
+
+    const shocks = performed.mock.calls.map(([entry]) => entry).filter(entry => entry.action === 'defibrillate');
+    expect(shocks).toHaveLength(results.length);
+    expect(shocks[0].params).toEqual({ energy: 200, waveform: 'biphasic', synchronized: true });
+  });
+
+  test('synchronization needs R waves', () => {
+    const engine = new SimulationEngine(arrestState, { seed: 15, clock: new VirtualClock(0) }).initialize();
+    expect(engine.shockDefibrillator()).toMatchObject({ delivered: false, message: 'Дефибриллятор не заряжен' });
+    engine.setDefibrillatorSettings({ sync: true });
+    engine.chargeDefibrillator();
+    engine.advance(5, 1);
+
+    expect(engine.getDefibrillatorStatus().syncAvailable).toBe(false);
+    expect(engine.shockDefibrillator()).toMatchObject({ delivered: false, message: 'Нет R-зубцов для синхронизации' });
+    expect(engine.getDefibrillatorStatus().chargeState).toBe('charged');
+
+    engine.setDefibrillatorSettings({ sync: false });
+    expect(engine.shockDefibrillator().delivered).toBe(true);
+    expect(engine.getDefibrillatorStatus().chargeState).toBe('idle');
+  });
+
+  test('an unsynchronized shock on the T wave induces ventricular fibrillation', () => {
+    const engine = createEngine();
+    engine.advance(5, 1);
+
+    // Outside the vulnerable period a shock of a sinus rhythm does nothing
+    stepUntil(engine, generator => generator.rWaveDetected);
+    expect(engine.defibrillate(200)).toMatchObject({ success: false, message: 'Дефибрилляция не показана' });
+    expect(engine.getState().cardiac_arrest).toBe(false);
+
+    stepUntil(engine, generator => generator.vulnerablePeriod);
+    expect(engine.defibrillate(200)).toMatchObject({ success: false, harmful: true });
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'vfib', hr: 0 });
+  });
+});
+
+describe('SimulationEngine CPR', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Patient in ventricular fibrillation
+  const createArrest = (seed = 16) => {
+    const engine = new SimulationEngine({}, { seed, clock: new VirtualClock(0) }).initialize();
+    engine.setCardiacRhythm('vfib');
+    engine.advance(10, 1);
+    return engine;
+  };
+
+  test('compression quality sets perfusion pressure and EtCO2', () => {
+    const good = createArrest();
+    expect(good.getState()).toMatchObject({ systolic: 0, coronary_perfusion_pressure: 0 });
+
+    good.setCPRSettings({ ratio: 'continuous' });
+    good.startCPR();
+    good.advance(30, 1);
+    const goodState = good.getState();
+    expect(goodState.cpr).toMatchObject({ active: true, delivering: true, rate: 110 });
+    expect(goodState.coronary_perfusion_pressure).toBeGreaterThanOrEqual(20);
+    expect(goodState.etco2).toBeGreaterThanOrEqual(20);
+    expect(goodState.systolic).toBeGreaterThan(60);
+
+    const poor = createArrest();
+    expect(poor.setCPRSettings({ depth: 12 })).toBeNull();
+    poor.setCPRSettings({ ratio: 'continuous', rate: 80, depth: 3, recoil: 0.5 });
+    poor.startCPR();
+    poor.advance(30, 1);
+    const poorState = poor.getState();
+    expect(poorState.coronary_perfusion_pressure).toBeLessThan(10);
+    expect(poorState.etco2).toBeLessThan(15);
+
+    const report = poor.getCPRReport();
+    expect(report.score).toBeLessThan(50);
+    expect(report.issues).toEqual(expect.arrayContaining([
+      'Частота компрессий ниже 100 в минуту',
+      'Глубина компрессий меньше 5 см',
+      'Неполное расправление грудной клетки'
+    ]));
+  });
+
+  test('hands-off time drops perfusion and counts against the compression fraction', () => {
+    const engine = createArrest();
+    engine.setCPRSettings({ ratio: 'continuous' });
+    engine.startCPR();
+    engine.advance(60, 1);
+    const perfused = engine.getState().coronary_perfusion_pressure;
+
+    engine.stopCPR();
+    engine.advance(15, 1);
+    expect(engine.getState().cpr).toMatchObject({ active: false, delivering: false, handsOffSeconds: 15 });
+    expect(engine.getState().coronary_perfusion_pressure).toBeLessThan(perfused / 4);
+
+    engine.startCPR();
+    engine.advance(45, 1);
+
+    expect(engine.getCPRReport()).toMatchObject({ duration: 120, handsOffTime: 15, interruptions: 1 });
+
+    // Time with a pulse does not count
+    engine.setCardiacRhythm('sinus');
+    engine.advance(30, 1);
+    expect(engine.getCPRReport().duration).toBe(120);
+  });
+
+  test('metronome key presses set the compression rate', () => {
+    const engine = createArrest();
+    engine.startRecording();
+
+    for (let i = 0; i < 20; i++) {
+      engine.step(0.5);
+      engine.registerCompression();
+    }
+    expect(engine.getState().cpr).toMatchObject({ active: true, inputMode: 'metronome', compressing: true, rate: 120 });
+    expect(engine.getState().cpr_in_progress).toBe(true);
+
+    // Without presses the compressions stop
+    engine.advance(3, 0.5);
+    expect(engine.getState().cpr).toMatchObject({ compressing: false, delivering: false });
+
+    expect(engine.getCPRReport().compressionCount).toBe(20);
+    const starts = engine.getSessionLog().entries.filter(entry => entry.name === 'startCPR');
+    expect(starts).toHaveLength(1);
+    expect(starts[0].data.params).toEqual({ input: 'metronome' });
+  });
+
+  test('compressions show on the ECG and the pleth', () => {
+    const engine = createArrest();
+    engine.setCardiacRhythm('asystole');
+    engine.advance(2, 0.1);
+    const meanAmplitude = samples => samples.reduce((sum, value) => sum + Math.abs(value), 0) / samples.length;
+    expect(meanAmplitude(engine.getWaveformData('ecg', 2))).toBeLessThan(0.05);
+
+    engine.setCPRSettings({ ratio: 'continuous' });
+    engine.startCPR();
+    engine.advance(2, 0.1);
+    const compressed = engine.getWaveformData('ecg', 2);
+    expect(meanAmplitude(compressed)).toBeGreaterThan(0.2);
+    expect(Math.max(...compressed)).toBeGreaterThan(0.5);
+    expect(engine.waveformGenerators.spo2.pattern).toBe('compressions');
+    expect(engine.waveformGenerators.spo2.params.heartRate).toBe(110);
+  });
+});
+
+describe('SimulationEngine ACLS tracker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Engine whose shocks fail unless told otherwise
+  const createEngine = () => {
+    const engine = new SimulationEngine({}, { seed: 17, clock: new VirtualClock(0) }).initialize();
+    engine.random = () => 0.99;
+    return engine;
+  };
+
+  // Charge during compressions, pause for the rhythm check, shock and resume
+  const shockAfterCycle = (engine, seconds = 120) => {
+    engine.advance(seconds - 4, 1);
+    engine.chargeDefibrillator();
+    engine.advance(4, 1);
+    engine.stopCPR();
+    const result = engine.shockDefibrillator();
+    engine.startCPR();
+    return result;
+  };
+
+  const promptIds = (engine) => engine.getACLSStatus().prompts.map(prompt => prompt.id);
+
+  test('follows a shockable arrest through cycles, shocks and drugs', () => {
+    const engine = createEngine();
+    const prompts = jest.fn();
+    engine.on('aclsPrompt', prompts);
+
+    engine.setCardiacRhythm('vfib');
+    expect(engine.getACLSStatus()).toMatchObject({ active: true, rhythm: 'vfib', shockable: true, shockCount: 0 });
+    expect(promptIds(engine)).toEqual(['cpr', 'shock']);
+
+    // Compressions while the defibrillator charges, then the first shock
+    engine.advance(2, 1);
+    engine.startCPR();
+    engine.chargeDefibrillator();
+    engine.advance(4, 1);
+    engine.shockDefibrillator();
+    expect(engine.getACLSStatus()).toMatchObject({ shockCount: 1, cycle: { number: 2, elapsed: 0 } });
+
+    engine.advance(120, 1);
+    expect(promptIds(engine)).toContain('rhythm_check');
+    engine.stopCPR();
+    engine.chargeDefibrillator();
+    engine.advance(4, 1);
+    engine.shockDefibrillator();
+    engine.startCPR();
+
+    // Epinephrine after the second shock
+    expect(promptIds(engine)).toContain('epinephrine');
+    engine.applyMedication('epinephrine');
+    expect(engine.getACLSStatus().epinephrine).toMatchObject({ doses: 1, sinceLast: 0, nextDueIn: 180 });
+
+    // Amiodarone after the third shock
+    shockAfterCycle(engine);
+    expect(engine.getACLSStatus().amiodarone).toEqual({ doses: 0, nextDose: 300 });
+    engine.applyMedication('amiodarone', 300);
+
+    shockAfterCycle(engine);
+    engine.applyMedication('epinephrine');
+
+    engine.random = () => 0;
+    const result = shockAfterCycle(engine);
+    expect(result.success).toBe(true);
+
+    const report = engine.getACLSReport();
+    expect(report).toMatchObject({
+      outcome: 'rosc',
+      initialRhythm: 'vfib',
+      shockCount: 5,
+      epinephrineDoses: 2,
+      amiodaroneDoses: 1,
+      score: 100,
+      issues: []
+    });
+    expect(report.duration).toBeGreaterThan(480);
+    expect(engine.getACLSStatus().active).toBe(false);
+
+    // Every action is timed from the start of the arrest
+    const shocks = report.timeline.filter(entry => entry.action === 'defibrillate').map(entry => entry.time);
+    expect(shocks).toEqual([6, 130, 250, 370, 490]);
+    expect(report.timeline.find(entry => entry.action === 'applyMedication').time).toBe(130);
+    expect(report.timeline).toContainEqual({ time: 490, type: 'rosc', rhythm: 'sinus' });
+
+    // Prompts are engine events and go to the session log
+    const notified = prompts.mock.calls.map(([prompt]) => prompt.id);
+    expect(notified).toEqual(expect.arrayContaining(['cpr', 'shock', 'rhythm_check', 'epinephrine', 'amiodarone']));
+  });
+
+  test('deviations from the algorithm lower the adherence score', () => {
+    const engine = createEngine();
+    engine.setCardiacRhythm('asystole');
+    expect(engine.getACLSStatus()).toMatchObject({ shockable: false });
+    expect(promptIds(engine)).toEqual(['cpr', 'epinephrine']);
+
+    // Late compressions, a shock and amiodarone in asystole, no epinephrine
+    engine.advance(30, 1);
+    engine.startCPR();
+    engine.defibrillate(200);
+    engine.applyMedication('amiodarone', 300);
+    engine.advance(300, 1);
+    expect(promptIds(engine)).toEqual(expect.arrayContaining(['rhythm_check', 'epinephrine_overdue']));
+
+    const report = engine.getACLSReport();
+    expect(report.outcome).toBe('ongoing');
+    expect(report.issues).toEqual(expect.arrayContaining([
+      'Компрессии начаты через 30 с (цель - не позже 10 с)',
+      'Разряд 1 на 30 с при нешоковом ритме',
+      'Амиодарон введен при нешоковом ритме',
+      'Цикл 2: проверка ритма через 300 с (цель - каждые 2 минуты)',
+      'Адреналин не введен'
+    ]));
+    expect(report.score).toBe(0);
+
+    engine.reset();
+    expect(engine.getACLSReport()).toBeNull();
+  });
+});
+
+describe('SimulationEngine post-cardiac arrest syndrome', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Engine without random events; the arrest lasts noFlow seconds without
+  // compressions and lowFlow seconds with them, then a shock restores circulation
+  const resuscitate = (rhythm, noFlow, lowFlow) => {
+    const engine = new SimulationEngine({}, { seed: 17, clock: new VirtualClock(0) }).initialize();
+    engine.eventsModule.random = () => 0.99;
+    engine.setCardiacRhythm(rhythm);
+    engine.advance(noFlow, 1);
+    if (lowFlow > 0) {
+      engine.startCPR();
+      engine.advance(lowFlow, 1);
+    }
+    return engine;
+  };
+
+  const achieveROSC = (engine) => {
+    const random = engine.random;
+    engine.random = () => 0;
+    expect(engine.defibrillate(200).success).toBe(true);
+    engine.random = random;
+    engine.stopCPR();
+  };
+
+  test('a long arrest leaves stunning, vasoplegia and lactic acidosis after ROSC', () => {
+    const engine = resuscitate('vfib', 60, 1200);
+    const arrest = engine.getState();
+    expect(arrest.arrest_duration).toBeGreaterThanOrEqual(1250);
+    expect(arrest.initial_arrest_rhythm).toBe('vfib');
+    expect(arrest.lactate).toBeGreaterThan(10);
+    expect(arrest.k).toBeGreaterThan(5.5);
+
+    achieveROSC(engine);
+    const rosc = engine.getState();
+    expect(rosc).toMatchObject({ cardiac_arrest: false, cardiac_rhythm: 'sinus', arrest_duration: 0 });
+    expect(rosc.postArrest).toMatchObject({ inArrest: false, arrests: 1, timeSinceROSC: 0 });
+    expect(rosc.postArrest.stunning).toBeGreaterThan(0.3);
+
+    // CO2 washed out of the tissues raises EtCO2 and PaCO2 for about a minute
+    expect(rosc.etco2).toBeGreaterThan(50);
+    expect(rosc.bloodGases.arterial).toMatchObject({ lactate: rosc.lactate, k: rosc.k });
+    expect(rosc.bloodGases.arterial.ph).toBeLessThan(7.1);
+    expect(rosc.bloodGases.arterial.hco3).toBeLessThan(15);
+
+    // Vasoplegia develops over minutes and needs a vasopressor
+    engine.advance(600, 1);
+    const shock = engine.getState();
+    expect(shock.etco2).toBeLessThan(rosc.etco2 - 15);
+    expect(shock.map).toBeLessThan(65);
+    expect(shock.postArrest.vasoplegia).toBeGreaterThan(0.5);
+
+    engine.startInfusion('norepinephrine', 0.1);
+    engine.advance(300, 1);
+    expect(engine.getState().map).toBeGreaterThanOrEqual(65);
+    expect(engine.getState().lactate).toBeLessThan(shock.lactate);
+
+    engine.reset();
+    expect(engine.getPostArrestStatus()).toBeNull();
+    expect(engine.getState()).toMatchObject({ lactate: 1, k: 4, gcs: 15, rearrest_risk: 0, neuro_outcome: 0 });
+  });
+
+  test('the neurological outcome depends on the no-flow and low-flow times', () => {
+    // Seven minutes without compressions
+    const noFlow = resuscitate('vfib', 420, 0);
+    achieveROSC(noFlow);
+    expect(noFlow.getPostArrestStatus()).toMatchObject({ noFlowTime: 420, lowFlowTime: 0, cpc: 2 });
+
+    // A longer arrest with early compressions protects the brain
+    const lowFlow = resuscitate('vfib', 30, 450);
+    achieveROSC(lowFlow);
+    const status = lowFlow.getPostArrestStatus();
+    expect(status.arrestTime).toBeGreaterThan(420);
+    expect(status.lowFlowTime).toBeGreaterThan(status.noFlowTime);
+    expect(status.cpc).toBe(1);
+    expect(lowFlow.getState().neuro_outcome).toBe(1);
+
+    // Unconscious after ROSC, the patient wakes up as far as the injury allows
+    expect(lowFlow.getState().gcs).toBe(3);
+    lowFlow.advance(1800, 1);
+    expect(lowFlow.getState().gcs).toBeGreaterThanOrEqual(13);
+    expect(lowFlow.getState().map).toBeGreaterThanOrEqual(65);
+
+    // Without compressions for too long the patient stays in coma
+    const late = resuscitate('vfib', 1800, 600);
+    achieveROSC(late);
+    expect(late.getPostArrestStatus().cpc).toBe(5);
+    late.advance(1800, 1);
+    expect(late.getState().gcs).toBe(3);
+  });
+
+  test('the circulation may arrest again with the rhythm of the first arrest', () => {
+    const engine = resuscitate('vfib', 60, 240);
+    const started = jest.fn();
+    const ended = jest.fn();
+    engine.on('eventStarted', started);
+    engine.on('eventEnded', ended);
+
+    achieveROSC(engine);
+    const risk = engine.getState().rearrest_risk;
+    expect(risk).toBeGreaterThan(0);
+
+    // The risk declines after ROSC
+    engine.advance(600, 1);
+    expect(engine.getState().rearrest_risk).toBeLessThan(risk);
+
+    engine.eventsModule.random = () => 0;
+    engine.eventsModule.checkRecurrentArrest(engine.getState());
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(started.mock.calls[0][0]).toMatchObject({ id: 'recurrent_vf', severity: 'critical' });
+    engine.eventsModule.random = () => 0.99;
+    engine.advance(1, 1);
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'vfib' });
+
+    // The event ends with the next ROSC and the arrest may recur again
+    achieveROSC(engine);
+    engine.eventsModule.updateActiveEvents();
+    expect(ended.mock.calls.map(([event]) => event.id)).toEqual(['recurrent_vf']);
+    expect(engine.getPostArrestStatus().arrests).toBe(2);
+    engine.eventsModule.random = () => 0;
+    engine.eventsModule.checkRecurrentArrest(engine.getState());
+    expect(started).toHaveBeenCalledTimes(2);
+
+    // After a non-shockable arrest the circulation arrests with PEA
+    const pea = resuscitate('pea', 60, 240);
+    pea.physiologicalModel.setCardiacRhythm('sinus');
+    expect(pea.getState().initial_arrest_rhythm).toBe('pea');
+    pea.eventsModule.random = () => 0;
+    pea.eventsModule.checkRecurrentArrest(pea.physiologicalModel.getState());
+    expect(pea.physiologicalModel.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'pea' });
+  });
+});
+
+describe('SimulationEngine reversible causes of cardiac arrest', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEngine = () => {
+    const engine = new SimulationEngine({}, { seed: 19, clock: new VirtualClock(0) }).initialize();
+    engine.eventsModule.random = () => 0.99;
+    return engine;
+  };
+
+  test('the arrest scenario starts with the rhythm and picture of its cause', () => {
+    const engine = createEngine();
+    engine.applyScenario('cardiac_arrest', { rhythm: 'cause', cause: 'hypovolemia' });
+
+    const state = engine.getState();
+    expect(state).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'pea', blood_volume: 3000 });
+    expect(state.reversibleCause).toMatchObject({ cause: 'hypovolemia', correction: 0, indicated: ['fluid_bolus'] });
+
+    // Each fluid bolus restores part of the volume
+    expect(engine.treatReversibleCause('fluid_bolus')).toMatchObject({ effective: true, correction: 0.5 });
+    expect(engine.getState().blood_volume).toBe(3500);
+    expect(engine.treatReversibleCause('pericardiocentesis').effective).toBe(false);
+    expect(engine.treatReversibleCause('unknown')).toBeNull();
+
+    // Hypothermia persists during the arrest until the patient is rewarmed
+    engine.startReversibleCauseArrest('hypothermia');
+    engine.advance(60, 1);
+    const cold = engine.getState().temperature;
+    expect(cold).toBeLessThan(30);
+    expect(engine.getState().cardiac_rhythm).toBe('vfib');
+    engine.treatReversibleCause('rewarming');
+    expect(engine.getState().temperature).toBeGreaterThan(cold + 1.5);
+
+    // Without a cause the scenario keeps the selected rhythm
+    engine.reset();
+    engine.applyScenario('cardiac_arrest', { rhythm: 'asystole' });
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'asystole', reversibleCause: null });
+  });
+
+  test('each cause sets its own picture, and its intervention reverses it', () => {
+    const engine = createEngine();
+
+    engine.startReversibleCauseArrest('hypoxia');
+    expect(engine.getState()).toMatchObject({ spo2: 65, pao2: 35 });
+    expect(engine.physiologicalModel.factors.hypoxia).toBe(0.8);
+    engine.treatReversibleCause('oxygenation');
+    expect(engine.physiologicalModel.factors.hypoxia).toBe(0);
+
+    [
+      ['tension_pneumothorax', 'needle_decompression', 'pleural_pressure', 25],
+      ['tamponade', 'pericardiocentesis', 'pericardial_pressure', 20],
+      ['pulmonary_thrombosis', 'thrombolysis', 'pulmonary_obstruction', 0.7],
+      ['coronary_thrombosis', 'thrombolysis', 'myocardial_ischemia', 0.4]
+    ].forEach(([cause, intervention, param, value]) => {
+      engine.reset();
+      engine.startReversibleCauseArrest(cause);
+      expect(engine.getState()[param]).toBe(value);
+      engine.treatReversibleCause(intervention);
+      expect(engine.getState()[param]).toBe(0);
+    });
+
+    engine.reset();
+    engine.startReversibleCauseArrest('toxins');
+    expect(engine.physiologicalModel.factors).toMatchObject({ cardiac_depression: 0.6, respiratory_depression: 0.8 });
+    engine.treatReversibleCause('antidote');
+    expect(engine.physiologicalModel.factors).toMatchObject({ cardiac_depression: 0, respiratory_depression: 0 });
+  });
+
+  test('pressure around the heart lowers the output until it is relieved', () => {
+    const engine = createEngine();
+    engine.advance(10, 1);
+    const baseline = engine.getState();
+
+    engine.physiologicalModel.setState({ pericardial_pressure: 5 });
+    engine.advance(60, 1);
+    const tamponade = engine.getState();
+    expect(tamponade.stroke_volume).toBeLessThan(baseline.stroke_volume * 0.8);
+    expect(tamponade.hr).toBeGreaterThan(baseline.hr + 10);
+
+    engine.treatReversibleCause('pericardiocentesis');
+    engine.advance(120, 1);
+    expect(engine.getState().pericardial_pressure).toBe(0);
+    expect(Math.abs(engine.getState().stroke_volume - baseline.stroke_volume)).toBeLessThan(5);
+  });
+
+  test('an untreated cause makes defibrillation fail until it is corrected', () => {
+    const engine = createEngine();
+    engine.startReversibleCauseArrest('hypokalemia');
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'vfib' });
+    expect(engine.getState().k).toBeLessThan(2.5);
+
+    engine.random = () => 0.5;
+    expect(engine.defibrillate(200).success).toBe(false);
+    expect(engine.getState().cardiac_arrest).toBe(true);
+
+    engine.treatReversibleCause('potassium');
+    engine.treatReversibleCause('potassium');
+    expect(engine.getState().reversibleCause).toMatchObject({ correction: 1, roscFactor: 1 });
+    expect(engine.getState().k).toBeGreaterThan(4);
+
+    expect(engine.defibrillate(200).success).toBe(true);
+    expect(engine.getState().cardiac_arrest).toBe(false);
+  });
+
+  test('circulation returns in PEA only after the obstruction is relieved', () => {
+    const engine = createEngine();
+    engine.startReversibleCauseArrest('tension_pneumothorax');
+    engine.startCPR();
+    engine.advance(300, 1);
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: true, cardiac_rhythm: 'pea' });
+
+    expect(engine.treatReversibleCause('needle_decompression')).toMatchObject({ effective: true, correction: 1 });
+
+    let seconds = 0;
+    while (engine.getState().cardiac_arrest && seconds < 900) {
+      engine.advance(10, 1);
+      seconds += 10;
+    }
+    expect(engine.getState()).toMatchObject({ cardiac_arrest: false, cardiac_rhythm: 'sinus' });
+
+    // The treatment is part of the resuscitation timeline
+    const actions = engine.getACLSReport().timeline.map(entry => entry.action);
+    expect(actions).toEqual(expect.arrayContaining(['startReversibleCauseArrest', 'treatReversibleCause']));
+  });
+});
+
+describe('SimulationEngine invasive pressure waveforms', () => {
+  silenceConsole();
+
+  const mean = samples => samples.reduce((sum, value) => sum + value, 0) / samples.length;
+
+  test('the arterial line follows the blood pressure and the transducer damping', () => {
+    const engine = createTestEngine(20);
+    engine.setInvasiveMonitoring({ arterial: true });
+    engine.advance(5, 0.1);
+    const { systolic, diastolic, invasiveMonitoring } = engine.getState();
+    expect(invasiveMonitoring).toMatchObject({ arterial: true, damping: 'optimal' });
+
+    const optimal = engine.getWaveformData('arterial', 5);
+    expect(Math.max(...optimal)).toBeCloseTo(systolic, -1);
+    expect(Math.min(...optimal)).toBeCloseTo(diastolic, -1);
+
+    // Underdamping overshoots the systolic pressure, overdamping narrows the pulse
+    engine.setInvasiveMonitoring({ damping: 'underdamped' });
+    engine.advance(5, 0.1);
+    expect(Math.max(...engine.getWaveformData('arterial', 5))).toBeGreaterThan(engine.getState().systolic + 5);
+
+    engine.setInvasiveMonitoring({ damping: 'overdamped' });
+    engine.advance(5, 0.1);
+    const overdamped = engine.getWaveformData('arterial', 5);
+    expect(Math.max(...overdamped) - Math.min(...overdamped)).toBeLessThan(0.7 * (systolic - diastolic));
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(engine.setInvasiveMonitoring({ damping: 'unknown' })).toBeNull();
+    expect(engine.getState().invasiveMonitoring.damping).toBe('overdamped');
+  });
+
+  test('pulse pressure variation grows with hypovolemia under ventilation', () => {
+    const engine = createTestEngine(20);
+    expect(engine.getState().ppv).toBe(3);
+
+    engine.intubate(true);
+    engine.physiologicalModel.setState({ blood_volume: 3500 });
+    engine.advance(1, 1);
+    expect(engine.getState().ppv).toBeGreaterThanOrEqual(20);
+  });
+
+  test('CVP and PA catheters show the venous, pulmonary and wedge pressures', () => {
+    const engine = createTestEngine(20);
+    engine.setInvasiveMonitoring({ cvp: true, pa: true });
+    engine.advance(10, 0.1);
+    const state = engine.getState();
+
+    expect(mean(engine.getWaveformData('cvp', 10))).toBeCloseTo(state.cvp, -0.5);
+    expect(state.pap_systolic).toBeGreaterThan(state.pap);
+    expect(state.pap).toBeGreaterThan(state.pap_diastolic);
+    expect(state.pap_diastolic).toBeGreaterThan(state.pcwp);
+    expect(Math.max(...engine.getWaveformData('pa', 5))).toBeCloseTo(state.pap_systolic, -0.5);
+
+    // PVR is now calculated from the catheter pressures
+    const pvr = (state.pap - state.pcwp) * 80 / state.hemodynamics.cardiac_output;
+    expect(Math.abs(state.hemodynamics.pulmonary_vascular_resistance - pvr)).toBeLessThan(pvr * 0.05);
+
+    // Hypoxic vasoconstriction raises the pulmonary pressure
+    expect(engine.waveformGenerators.pa.getPressures({ ...state, spo2: 75 }).pap).toBeGreaterThan(state.pap);
+
+    // The inflated balloon shows the wedge pressure
+    engine.setInvasiveMonitoring({ wedge: true });
+    engine.advance(10, 0.1);
+    expect(mean(engine.getWaveformData('pa', 10))).toBeCloseTo(engine.getState().pcwp, -0.5);
+
+    // Removing the PA catheter deflates the balloon
+    expect(engine.setInvasiveMonitoring({ pa: false })).toMatchObject({ pa: false, wedge: false });
+
+    engine.reset();
+    expect(engine.getState().invasiveMonitoring).toEqual({
+      arterial: false, cvp: false, pa: false, damping: 'optimal', wedge: false
+    });
+  });
+
+  test('the arterial trace is flat in arrest until compressions start', () => {
+    const engine = createTestEngine(20);
+    engine.setInvasiveMonitoring({ arterial: true });
+    engine.setCardiacRhythm('vfib');
+    engine.advance(5, 0.1);
+    const flat = engine.getWaveformData('arterial', 3);
+    expect(Math.max(...flat) - Math.min(...flat)).toBeLessThan(1);
+
+    engine.setCPRSettings({ ratio: 'continuous' });
+    engine.startCPR();
+    engine.advance(5, 0.1);
+    const compressed = engine.getWaveformData('arterial', 3);
+    expect(Math.max(...compressed) - Math.min(...compressed)).toBeGreaterThan(10);
+    expect(engine.waveformGenerators.arterial.params.heartRate).toBe(110);
+  });
+});
+
+describe('SimulationEngine fluid compartments and resuscitation fluids', () => {
+  silenceConsole();
+
+  test('fluids given through the engine reach the compartments and the session log', () => {
+    const engine = createTestEngine(21);
+    const baseline = engine.getState();
+    expect(baseline).toMatchObject({ blood_volume: 5000, hb: 14, hct: 42, platelets: 250, coagulation_factors: 100 });
+
+    engine.startRecording();
+    expect(engine.administerFluid('crystalloid', 1000)).toEqual({ type: 'crystalloid', volume: 1000 });
+    expect(engine.getState().blood_volume).toBe(6000);
+    engine.advance(2 * 3600, 10);
+    expect(engine.getState().blood_volume - baseline.blood_volume).toBeLessThan(300);
+    expect(engine.getState().interstitial_volume - baseline.interstitial_volume).toBeGreaterThan(700);
+
+    // Administration is part of the session log
+    const entry = engine.getSessionLog().entries.find(item => item.name === 'administerFluid');
+    expect(entry.data.params).toEqual({ type: 'crystalloid', volume: 1000 });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(engine.administerFluid('seawater', 500)).toBeNull();
+  });
+
+  test('blood products restore what haemorrhage and dilution take away', () => {
+    const engine = createTestEngine(21);
+    engine.physiologicalModel.setFactor('bleeding', 1);
+    engine.advance(180, 1);
+    engine.physiologicalModel.setFactor('bleeding', 0);
+    expect(engine.getState().blood_volume).toBeLessThan(3600);
+
+    // Crystalloid resuscitation dilutes red cells, factors and platelets
+    engine.administerFluid('crystalloid', 2000);
+    engine.advance(600, 10);
+    const diluted = engine.getState();
+    expect(diluted.hb).toBeLessThan(12.5);
+    expect(diluted.coagulation_factors).toBeLessThan(80);
+    expect(diluted.platelets).toBeLessThan(220);
+
+    engine.administerFluid('packed_red_cells');
+    engine.administerFluid('packed_red_cells');
+    expect(engine.getState().hb).toBeGreaterThan(diluted.hb + 1);
+
+    // Red cell units carry no factors; plasma brings them back
+    const transfused = engine.getState();
+    expect(transfused.coagulation_factors).toBeLessThanOrEqual(diluted.coagulation_factors);
+    for (let unit = 0; unit < 4; unit++) {
+      engine.administerFluid('plasma');
+    }
+    expect(engine.getState().coagulation_factors).toBeGreaterThan(transfused.coagulation_factors + 8);
+
+    const beforePlatelets = engine.getState().platelets;
+    engine.administerFluid('platelets');
+    expect(engine.getState().platelets).toBeGreaterThan(beforePlatelets + 30);
+
+    engine.reset();
+    expect(engine.getState()).toMatchObject({ blood_volume: 5000, hb: 14, coagulation_factors: 100 });
+  });
+
+  test('a fluid bolus raises the stroke volume only while the heart is preload responsive', () => {
+    const response = bloodVolume => {
+      const engine = createTestEngine(21);
+      engine.physiologicalModel.setState({ blood_volume: bloodVolume });
+      engine.advance(300, 1);
+      const before = engine.getState().stroke_volume;
+      engine.administerFluid('colloid', 500);
+      engine.advance(1, 1);
+      return engine.getState().stroke_volume - before;
+    };
+
+    const hypovolaemic = response(3800);
+    expect(hypovolaemic).toBeGreaterThan(5);
+    expect(response(5000)).toBeLessThan(hypovolaemic);
+    expect(response(7000)).toBeLessThanOrEqual(0);
+  });
+
+  test('fluid overload floods the lungs', () => {
+    const engine = createTestEngine(21);
+    const baseline = engine.getState();
+
+    for (let i = 0; i < 6; i++) {
+      engine.administerFluid('crystalloid', 1000);
+      engine.advance(600, 10);
+    }
+    engine.advance(1800, 10);
+
+    const overloaded = engine.getState();
+    expect(overloaded.pulmonary_edema).toBeGreaterThan(0.3);
+    expect(overloaded.shunt_fraction).toBeGreaterThan(baseline.shunt_fraction + 0.1);
+    expect(overloaded.lung_compliance).toBeLessThan(baseline.lung_compliance - 5);
+    expect(overloaded.spo2).toBeLessThan(baseline.spo2 - 3);
+  });
+});
+
+describe('SimulationEngine hemorrhage and massive transfusion', () => {
+  silenceConsole();
+
+  test('sites bleed at a rate that falls with the arterial pressure', () => {
+    const engine = createTestEngine(22);
+    expect(engine.getState().hemorrhage).toBeNull();
+
+    expect(engine.setHemorrhage('abdominal', 200)).toEqual({ site: 'abdominal', rate: 200 });
+    const started = engine.getState();
+    expect(started.hemorrhage.sites).toEqual([
+      expect.objectContaining({ site: 'abdominal', name: 'Внутрибрюшное кровотечение', rate: 200 })
+    ]);
+    expect(started.hemorrhage_rate).toBeGreaterThan(150);
+
+    engine.advance(300, 1);
+    const bleeding = engine.getState();
+    expect(bleeding.blood_loss).toBeGreaterThan(400);
+    expect(bleeding.blood_volume).toBeLessThan(4600);
+    expect(bleeding.map).toBeLessThan(started.map);
+    expect(bleeding.hemorrhage_rate).toBeLessThan(started.hemorrhage_rate);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(engine.setHemorrhage('nosebleed', 100)).toBeNull();
+    expect(engine.setHemorrhage('abdominal', -5)).toBeNull();
+
+    // A rate of zero stops the site
+    expect(engine.setHemorrhage('abdominal', 0)).toEqual({ site: 'abdominal', rate: 0 });
+    expect(engine.getState().hemorrhage_rate).toBe(0);
+  });
+
+  test('cumulative loss sets the ATLS shock class', () => {
+    const engine = createTestEngine(22);
+    expect(engine.getState().shock_class).toBe(1);
+
+    engine.setHemorrhage('abdominal', 300);
+    const classes = [];
+    for (let minute = 0; minute < 12; minute++) {
+      engine.advance(60, 1);
+      classes.push(engine.getState().shock_class);
+    }
+
+    // Classes only rise and reach IV
+    expect(classes).toEqual([...classes].sort());
+    expect(classes[classes.length - 1]).toBe(4);
+    expect(engine.getState().blood_loss).toBeGreaterThan(2000);
+
+    // Blood volume lowered from outside also counts as loss
+    const external = createTestEngine(22);
+    external.physiologicalModel.setState({ blood_volume: 3400 });
+    external.advance(1, 1);
+    expect(external.getState()).toMatchObject({ blood_loss: 1600, shock_class: 3 });
+    expect(external.getState().massiveTransfusion.indicated).toBe(true);
+  });
+
+  test('the massive transfusion protocol delivers balanced packs after a delay', () => {
+    const engine = createTestEngine(22);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    engine.physiologicalModel.setState({ blood_volume: 3000 });
+    engine.administerFluid('crystalloid', 2000);
+    engine.advance(600, 10);
+
+    expect(engine.transfuseMassiveTransfusionPack()).toBeNull();
+    expect(engine.activateMassiveTransfusion()).toBe(true);
+    expect(engine.activateMassiveTransfusion()).toBe(false);
+    engine.advance(300, 10);
+    expect(engine.getState().massiveTransfusion).toMatchObject({ active: true, packReady: false, nextPackIn: 300 });
+    expect(engine.transfuseMassiveTransfusionPack()).toBeNull();
+
+    engine.advance(300, 10);
+    const diluted = engine.getState();
+    expect(diluted.massiveTransfusion.packReady).toBe(true);
+    expect(engine.transfuseMassiveTransfusionPack()).toEqual({ packed_red_cells: 4, plasma: 4, platelets: 1 });
+
+    const transfused = engine.getState();
+    expect(transfused.hb).toBeGreaterThan(diluted.hb);
+    expect(transfused.coagulation_factors).toBeGreaterThan(diluted.coagulation_factors + 5);
+    // The platelet unit keeps the red cells and plasma from diluting the count
+    expect(transfused.platelets).toBeGreaterThan(diluted.platelets * diluted.blood_volume / transfused.blood_volume + 30);
+    expect(transfused.massiveTransfusion).toMatchObject({
+      packReady: false,
+      nextPackIn: 600,
+      packsGiven: 1,
+      units: { packed_red_cells: 4, plasma: 4, platelets: 1 },
+      plasmaRatio: 1
+    });
+
+    // Units given outside the protocol are counted in the ratio
+    engine.administerFluid('packed_red_cells');
+    expect(engine.getState().massiveTransfusion.plasmaRatio).toBe(0.8);
+
+    expect(engine.deactivateMassiveTransfusion()).toBe(true);
+    engine.advance(900, 10);
+    expect(engine.getState().massiveTransfusion).toMatchObject({ active: false, packReady: false, nextPackIn: null });
+  });
+
+  test('cold fluids, shock and dilution complete the lethal triad', () => {
+    // Cold blood products cool the patient
+    const cold = createTestEngine(22);
+    const baseline = cold.getState();
+    for (let unit = 0; unit < 6; unit++) {
+      cold.administerFluid('packed_red_cells');
+    }
+    cold.advance(300, 1);
+    expect(cold.getState().temperature).toBeLessThan(baseline.temperature - 0.5);
+
+    // Haemorrhagic shock produces lactate that consumes bicarbonate
+    const shock = createTestEngine(22);
+    shock.setHemorrhage('abdominal', 250);
+    shock.advance(600, 1);
+    shock.setHemorrhage('abdominal', 0);
+    shock.advance(600, 1);
+    const shocked = shock.getState();
+    expect(shocked.lactate).toBeGreaterThan(baseline.lactate + 1.5);
+    expect(shocked.bloodGases.arterial.hco3).toBeLessThan(baseline.bloodGases.arterial.hco3 - 1.5);
+
+    // Dilution, hypothermia and acidosis together impair clotting and the
+    // impaired clotting makes the wounds bleed faster
+    shock.administerFluid('crystalloid', 3000);
+    shock.advance(300, 1);
+    const coagulopathic = shock.getState();
+    expect(coagulopathic.coagulopathy).toBeGreaterThan(0.3);
+    shock.setHemorrhage('external', 100);
+    expect(shock.getState().hemorrhage.sites[0].currentRate)
+      .toBeGreaterThan(100 * Math.min(1.5, coagulopathic.map / 90));
+  });
+
+  test('the hemorrhagic shock scenario ends with hemostasis', () => {
+    const engine = createTestEngine(22);
+    expect(engine.applyScenario('hemorrhagic_shock')).toBe(true);
+    engine.advance(1, 1);
+    expect(engine.getScenarioStatus().phase).toBe('arrival');
+    expect(engine.getState().hemorrhage.sites.map(site => site.site)).toEqual(['pelvic', 'abdominal']);
+
+    engine.advance(300, 1);
+    expect(engine.getScenarioStatus().phase).toBe('massive_hemorrhage');
+
+    engine.controlHemorrhage('surgical');
+    engine.activateMassiveTransfusion();
+    for (let minute = 0; minute < 20 && !engine.getScenarioStatus().isFinished; minute++) {
+      if (engine.getState().massiveTransfusion.packReady) {
+        engine.transfuseMassiveTransfusionPack();
+      }
+      engine.advance(60, 1);
+    }
+    expect(engine.getScenarioStatus()).toMatchObject({ phase: 'hemostasis', isFinished: true });
+
+    engine.reset();
+    const reset = engine.getState();
+    expect(reset).toMatchObject({ blood_loss: 0, hemorrhage_rate: 0, shock_class: 1, coagulopathy: 0, hemorrhage: null });
+    expect(reset.massiveTransfusion).toMatchObject({ active: false, packsGiven: 0, plasmaRatio: null });
+  });
+});
+
+describe('SimulationEngine electrolytes and acid-base', () => {
+  silenceConsole();
+
+  test('bicarbonate follows the strong ion difference and feeds the blood gas', () => {
+    const engine = createTestEngine(23);
+    const baseline = engine.getState();
+    expect(baseline).toMatchObject({ na: 140, k: 4, cl: 104, ca: 1.2, mg: 0.9, glucose: 5.5, hco3: 24, anion_gap: 12 });
+    expect(baseline.bloodGases.arterial).toMatchObject({ hco3: baseline.hco3, na: 140, k: 4, ca: 1.2 });
+
+    // Chloride-rich crystalloid lowers the strong ion difference
+    engine.administerFluid('crystalloid', 3000);
+    engine.advance(60, 1);
+    const chloride = engine.getState();
+    expect(chloride.cl).toBeGreaterThan(baseline.cl + 4);
+    expect(chloride.hco3).toBeLessThan(baseline.hco3 - 2);
+    expect(chloride.anion_gap).toBeCloseTo(baseline.anion_gap, -1);
+
+    // Lactate of an arrest consumes bicarbonate and widens the anion gap
+    engine.reset();
+    engine.startCardiacArrest('vfib');
+    engine.advance(600, 1);
+    const arrest = engine.getState();
+    expect(arrest.hco3).toBeLessThan(baseline.hco3 - arrest.lactate + 3);
+    expect(arrest.anion_gap).toBeGreaterThan(baseline.anion_gap + 6);
+    expect(arrest.bloodGases.arterial.hco3).toBeCloseTo(arrest.hco3, 0);
+    expect(arrest.bloodGases.arterial.ph).toBeLessThan(7.2);
+  });
+
+  test('metabolic acidosis shifts potassium out of the cells and insulin drives it back', () => {
+    const engine = createTestEngine(23);
+    engine.setParameter('hco3', 12);
+    engine.advance(10, 1);
+    const acidotic = engine.getState();
+    expect(acidotic.hco3).toBeCloseTo(12, 0);
+    expect(acidotic.k).toBeGreaterThan(5);
+
+    engine.reset();
+    engine.applyMedication('insulin');
+    engine.advance(1200, 10);
+    const insulin = engine.getState();
+    expect(insulin.insulin_action).toBeGreaterThan(0.5);
+    expect(insulin.k).toBeLessThan(3.5);
+    expect(insulin.glucose).toBeLessThan(4.5);
+
+    // Glucose corrects the hypoglycaemia
+    engine.applyMedication('glucose_40');
+    expect(engine.getState().glucose).toBeGreaterThan(insulin.glucose + 3);
+  });
+
+  test('electrolyte drugs and transfusion change the plasma composition', () => {
+    const engine = createTestEngine(23);
+    const baseline = engine.getState();
+
+    engine.applyMedication('sodium_bicarbonate');
+    const bicarbonate = engine.getState();
+    expect(bicarbonate.na).toBeGreaterThan(baseline.na + 2);
+    expect(bicarbonate.hco3).toBeGreaterThan(baseline.hco3 + 2);
+
+    engine.applyMedication('calcium_chloride');
+    expect(engine.getState().ca).toBeGreaterThan(bicarbonate.ca + 0.15);
+
+    engine.reset();
+    engine.applyMedication('potassium_chloride');
+    expect(engine.getState().k).toBeGreaterThan(baseline.k + 0.8);
+
+    // Citrate of blood products binds ionised calcium until the liver clears it
+    engine.reset();
+    for (let unit = 0; unit < 4; unit++) {
+      engine.administerFluid('packed_red_cells');
+      engine.administerFluid('plasma');
+    }
+    engine.advance(10, 1);
+    const transfused = engine.getState();
+    expect(transfused.ca).toBeLessThan(baseline.ca - 0.08);
+    engine.advance(1800, 10);
+    expect(engine.getState().ca).toBeGreaterThan(transfused.ca + 0.05);
+
+    // Free water dilutes sodium once it enters the cells
+    engine.reset();
+    engine.administerFluid('dextrose', 2000);
+    engine.advance(1800, 10);
+    expect(engine.getState().na).toBeLessThan(baseline.na - 1.5);
+  });
+
+  test('cause treatments give the electrolyte drugs', () => {
+    const engine = createTestEngine(23);
+    engine.startReversibleCauseArrest('hyperkalemia');
+    const before = engine.getState().k;
+
+    expect(engine.treatReversibleCause('sodium_bicarbonate')).toMatchObject({ medication: 'sodium_bicarbonate' });
+    const after = engine.getState();
+    expect(after.k).toBeLessThan(before - 0.2);
+    expect(after.na).toBeGreaterThan(142);
+    expect(engine.getActiveMedications().map(drug => drug.id)).toContain('sodium_bicarbonate');
+  });
+});
+
+describe('SimulationEngine model-driven laboratory results', () => {
+  silenceConsole();
+
+  test('renal perfusion sets the filtration, and ischaemia raises creatinine over hours', () => {
+    const engine = createTestEngine(24);
+    const baseline = engine.getState();
+    expect(baseline).toMatchObject({ gfr: 120, creatinine: 80, urea: 5, renal_injury: 0 });
+
+    // Sympathetic vasoconstriction of haemorrhagic shock halves the filtration
+    engine.setHemorrhage('abdominal');
+    engine.advance(1200, 5);
+    const shock = engine.getState();
+    expect(shock.gfr).toBeLessThan(70);
+    expect(shock.creatinine).toBeGreaterThan(baseline.creatinine);
+
+    // Tubules injured by an arrest keep the filtration low after ROSC
+    engine.reset();
+    engine.startCardiacArrest('vfib');
+    engine.advance(1200, 5);
+    engine.setCardiacRhythm('sinus');
+    engine.advance(6 * 3600, 60);
+    const injured = engine.getState();
+    expect(injured.renal_injury).toBeGreaterThan(0.2);
+    expect(injured.gfr).toBeLessThan(100);
+    expect(injured.creatinine).toBeGreaterThan(100);
+    expect(injured.urea).toBeGreaterThan(6);
+
+    // Creatinine set by the instructor becomes the value of the model
+    engine.reset();
+    engine.setParameter('creatinine', 300);
+    engine.advance(10, 1);
+    expect(engine.getState().creatinine).toBeGreaterThan(295);
+    expect(engine.getState().renal_injury).toBe(0);
+  });
+
+  test('results arrive after the turnaround and reflect the patient at sampling', () => {
+    const engine = createTestEngine(24);
+    const ready = [];
+    engine.on('labResultsReady', result => ready.push(result.test));
+    engine.startRecording();
+
+    const tests = ['abg', 'cbc', 'bmp', 'coags', 'troponin'];
+    const order = engine.orderLabs(tests);
+    expect(order).toMatchObject({ orderId: 1, time: 10, readyAt: { abg: 310, cbc: 1810 } });
+    expect(engine.getState().labs.pending).toHaveLength(5);
+    expect(engine.getState().labs.results).toEqual({});
+
+    // The patient bleeds after the sample was drawn
+    engine.setHemorrhage('abdominal');
+    engine.advance(300, 5);
+    let labs = engine.getState().labs;
+    expect(Object.keys(labs.results)).toEqual(['abg']);
+    expect(labs.results.abg).toMatchObject({ orderId: 1, orderedAt: 10, reportedAt: 310 });
+    expect(labs.results.abg.values.lactate).toBe(1);
+    expect(labs.pending.find(item => item.test === 'cbc').readyIn).toBe(1500);
+
+    engine.advance(3300, 5);
+    labs = engine.getState().labs;
+    expect(labs.pending).toEqual([]);
+    expect(ready).toEqual(['abg', 'cbc', 'bmp', 'coags', 'troponin']);
+    expect(labs.results.cbc.values.hb).toBe(140);
+    expect(labs.results.coags.values.inr).toBeCloseTo(1.1, 1);
+
+    // A second order shows the haemorrhage: anaemia, lactate and coagulopathy
+    const state = engine.getState();
+    engine.orderLabs(tests);
+    engine.advance(3600, 5);
+    labs = engine.getState().labs;
+    expect(labs.history.cbc.map(entry => entry.orderId)).toEqual([1, 2]);
+    expect(labs.results.cbc.values.hb).toBeCloseTo(state.hb * 10, 0);
+    expect(labs.results.abg.values.lactate).toBeCloseTo(state.lactate, 0);
+    expect(labs.results.bmp.values).toMatchObject({ creatinine: state.creatinine, na: state.na });
+    expect(labs.results.coags.values.inr).toBeGreaterThan(1.5);
+
+    const entries = engine.getSessionLog().entries;
+    expect(entries.filter(entry => entry.name === 'orderLabs')).toHaveLength(2);
+    expect(entries.filter(entry => entry.name === 'labResultsReady')).toHaveLength(10);
+
+    engine.reset();
+    expect(engine.getState().labs.results).toEqual({});
+    expect(engine.getState()).toMatchObject({ creatinine: 80, urea: 5, renal_injury: 0 });
+  });
+});
+
+describe('SimulationEngine laboratory ordering workflow', () => {
+  silenceConsole('warn');
+
+  test('only ordered tests are performed, and point-of-care tests return within minutes', () => {
+    const engine = createTestEngine(25);
+    expect(engine.getState().labs).toEqual({
+      pending: [],
+      results: {},
+      history: { abg: [], cbc: [], bmp: [], coags: [], troponin: [], lactate: [], poc_glucose: [] }
+    });
+
+    engine.setParameter('glucose', 2.4);
+    const order = engine.orderLabs(['poc_glucose', 'lactate', 'poc_glucose']);
+    expect(Object.keys(order.readyAt)).toEqual(['poc_glucose', 'lactate']);
+    expect(order.readyAt).toEqual({ poc_glucose: 70, lactate: 190 });
+
+    engine.advance(60, 5);
+    let labs = engine.getState().labs;
+    expect(Object.keys(labs.results)).toEqual(['poc_glucose']);
+    expect(labs.results.poc_glucose.values).toEqual({ glucose: 2.4 });
+    expect(labs.pending.map(item => item.test)).toEqual(['lactate']);
+
+    engine.advance(3600, 5);
+    labs = engine.getState().labs;
+    expect(Object.keys(labs.results)).toEqual(['lactate', 'poc_glucose']);
+    expect(labs.history.cbc).toEqual([]);
+    expect(labs.history.abg).toEqual([]);
+
+    // Unknown tests are not ordered
+    expect(engine.orderLabs(['mri'])).toBeNull();
+    expect(engine.orderLabs([])).toBeNull();
+    expect(engine.getLabReport().orders).toHaveLength(1);
+  });
+
+  test('turnaround times are configurable for the session and during it', () => {
+    const engine = createTestEngine(25, { labTurnaround: { cbc: 600 } });
+    expect(engine.orderLabs(['cbc']).readyAt.cbc).toBe(610);
+
+    expect(engine.setLabTurnaround('troponin', 900)).toBe(true);
+    expect(engine.setLabTurnaround('mri', 60)).toBe(false);
+    expect(engine.orderLabs('troponin').readyAt.troponin).toBe(910);
+
+    engine.advance(900, 5);
+    expect(Object.keys(engine.getState().labs.results)).toEqual(['cbc', 'troponin']);
+
+    // The changed turnaround survives a reset of the session
+    engine.reset();
+    expect(engine.orderLabs(['troponin']).readyAt.troponin).toBe(engine.getSimulationTime() + 900);
+  });
+
+  test('the report shows what was ordered, when, and repeat orders while pending', () => {
+    const engine = createTestEngine(25);
+    engine.startRecording();
+    expect(engine.getLabReport()).toBeNull();
+
+    engine.orderLabs(['abg', 'cbc']);
+    engine.advance(120, 5);
+    engine.orderLabs(['cbc', 'poc_glucose']);
+    engine.advance(2400, 5);
+    engine.orderLabs(['cbc']);
+
+    const report = engine.getLabReport();
+    expect(report.orders.map(order => [order.time, order.tests])).toEqual([
+      [10, ['abg', 'cbc']],
+      [130, ['cbc', 'poc_glucose']],
+      [2530, ['cbc']]
+    ]);
+    expect(report.duplicates).toEqual([{ orderId: 2, test: 'cbc', time: 130 }]);
+
+    const orders = engine.getSessionLog().entries.filter(entry => entry.name === 'orderLabs');
+    expect(orders.map(entry => entry.data.params.tests)).toEqual([['abg', 'cbc'], ['cbc', 'poc_glucose'], ['cbc']]);
+
+    engine.reset();
+    expect(engine.getLabReport()).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-env jest */
+/**
+ * testEngine.js
+ *
+ * Общие заготовки для тестов движка: движок на виртуальных часах без
+ * случайных осложнений, физиологическая модель без случайной вариабельности,
+ * расчет моделей отдельных систем минутными шагами и подавление вывода в консоль.
+ */
+
+import SimulationEngine from './SimulationEngine';
+import PhysiologicalModel from './PhysiologicalModel';
+import VirtualClock from '../utils/time/VirtualClock';
+
+/**
+ * Движок на виртуальных часах; случайные осложнения отключены, и первые
+ * 10 секунд симуляции уже пройдены
+ * @param {number} seed - Зерно генератора случайных чисел
+ * @param {Object} options - Дополнительные параметры движка
+ * @returns {SimulationEngine} Инициализированный движок
+ */
+export const createTestEngine = (seed, options = {}) => {
+  const engine = new SimulationEngine({}, { seed, clock: new VirtualClock(0), ...options }).initialize();
+  engine.eventsModule.random = () => 0.99;
+  engine.advance(10, 1);
+  return engine;
+};
+
+/**
+ * Физиологическая модель на виртуальных часах; вариабельность показателей
+ * отключена, и модель уже рассчитана один раз
+ * @returns {PhysiologicalModel} Модель
+ */
+export const createTestModel = () => {
+  const model = new PhysiologicalModel({}, () => 0.5, new VirtualClock(0));
+  model.updatePhysiology();
+  return model;
+};
+
+/**
+ * Обновление модели каждую секунду, как в реальном времени
+ * @param {PhysiologicalModel} model - Модель из createTestModel
+ * @param {number} seconds - Длительность (с)
+ * @returns {Object} Состояние модели после обновлений
+ */
+export const runModel = (model, seconds) => {
+  for (let i = 0; i < seconds; i++) {
+    model.clock.advance(1000);
+    model.updatePhysiology();
+  }
+  return model.getState();
+};
+
+/**
+ * Обновление модели отдельной системы (водные секторы, электролиты, почки)
+ * минутными шагами, как движок рассчитывает стабильного пациента
+ * @param {Object} model - Модель с методами update(seconds, conditions) и getState()
+ * @param {number} minutes - Длительность (мин)
+ * @param {Object} conditions - Условия, передаваемые в каждый шаг
+ * @returns {Object} Состояние модели после обновлений
+ */
+export const runMinutes = (model, minutes, conditions = {}) => {
+  for (let i = 0; i < minutes; i++) {
+    model.update(60, conditions);
+  }
+  return model.getState();
+};
+
+/**
+ * Подавление вывода в консоль в каждом тесте блока describe
+ * @param {...string} methods - Методы console помимо log (warn, error)
+ */
+export const silenceConsole = (...methods) => {
+  beforeEach(() => {
+    ['log', ...methods].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+};
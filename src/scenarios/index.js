@@ -0,0 +1,17 @@
+/**
+ * Библиотека сценариев в формате JSON
+ *
+ * Каждый сценарий описывает фазы, переходы по времени и условиям и события,
+ * которые исполняет ScenarioRunner. Новый сценарий достаточно добавить
+ * файлом JSON и зарегистрировать здесь.
+ */
+
+import septicShock from './septic_shock.json';
+import hemorrhagicShock from './hemorrhagic_shock.json';
+
+const scriptedScenarios = {
+  [septicShock.id]: septicShock,
+  [hemorrhagicShock.id]: hemorrhagicShock
+};
+
+export default scriptedScenarios;
@@ -0,0 +1,502 @@
+/**
+ * PharmacologyEngine.js
+ *
+ * This module implements the pharmacokinetic/pharmacodynamic subsystem. Each
+ * drug is distributed in a mammillary model of up to three compartments with an
+ * effect-site compartment, so onset, peak and offset follow from the drug's
+ * kinetic constants. Effects are calculated with the sigmoid Emax model and
+ * summed across drugs, with competitive antagonism between drugs acting on the
+ * same receptor. Boluses are weight-based when the dose unit is per kilogram;
+ * infusions can be started, re-rated and stopped at any time. Drug interactions
+ * potentiate the effects of drugs given together, and contraindications in the
+ * patient's state increase the sensitivity to a drug.
+ */
+
+import { DRUG_LIBRARY } from './drugLibrary';
+import { DRUG_INTERACTIONS } from './drugInteractions';
+
+// Effects expressed as a fraction (0-1), combined multiplicatively across drugs
+export const FRACTIONAL_EFFECTS = ['sedation', 'analgesia', 'neuromuscular_blockade', 'insulin_action'];
+
+// Maximum integration step (minutes); keeps fast drugs like adenosine stable
+const MAX_STEP_MINUTES = 1 / 60;
+
+// Amount (mcg) below which a drug without an infusion is considered eliminated
+const ELIMINATION_THRESHOLD = 1e-3;
+
+// Mass units in micrograms
+const MASS_UNITS = { g: 1e6, mg: 1000, mcg: 1 };
+
+// Time units in minutes
+const TIME_UNITS = { min: 1, h: 60 };
+
+// Comparison operators for contraindication conditions
+const COMPARISON_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+class PharmacologyEngine {
+    /**
+     * @param {Object} drugLibrary - Drug definitions keyed by drug id
+     * @param {number} weight - Patient weight in kg
+     * @param {Array} interactions - Drug interactions (see drugInteractions.js)
+     */
+    constructor(drugLibrary = DRUG_LIBRARY, weight = 70, interactions = DRUG_INTERACTIONS) {
+      this.drugs = {};
+      this.weight = weight;
+      this.interactions = [...interactions];
+
+      // Kinetic state of every drug currently in the body
+      this.activeDrugs = {};
+
+      // Effect multipliers per drug and parameter caused by contraindications
+      this.sensitivity = {};
+
+      Object.entries(drugLibrary).forEach(([id, definition]) => {
+        this.registerDrug({ id, ...definition });
+      });
+    }
+
+    /**
+     * Add or replace a drug definition
+     * @param {Object} definition - Drug definition (see drugLibrary.js)
+     * @returns {boolean} Whether the definition was accepted
+     */
+    registerDrug(definition) {
+      if (!definition || !definition.id || !definition.pk || !(definition.pk.v1 > 0)) {
+        console.warn('Invalid drug definition', definition);
+        return false;
+      }
+
+      this.drugs[definition.id] = {
+        name: definition.id,
+        pd: {},
+        ...definition,
+        pk: {
+          k10: 0, k12: 0, k21: 0, k13: 0, k31: 0, ke0: 1,
+          ...definition.pk
+        }
+      };
+      return true;
+    }
+
+    /**
+     * Add a drug interaction
+     * @param {Object} interaction - Interaction (see drugInteractions.js)
+     */
+    registerInteraction(interaction) {
+      this.interactions = this.interactions.filter(existing => existing.id !== interaction.id);
+      this.interactions.push(interaction);
+    }
+
+    /**
+     * Get a drug definition
+     * @param {string} drugId - Drug id
+     * @returns {Object|null} Drug definition
+     */
+    getDrug(drugId) {
+      return this.drugs[drugId] || null;
+    }
+
+    /**
+     * Get all drug definitions
+     * @returns {Array} Drug definitions
+     */
+    getDrugList() {
+      return Object.values(this.drugs);
+    }
+
+    /**
+     * Set patient weight used for weight-based dosing and volumes
+     * @param {number} weight - Weight in kg
+     */
+    setWeight(weight) {
+      if (weight > 0) {
+        this.weight = weight;
+      }
+    }
+
+    /**
+     * Convert a dose to micrograms
+     * @param {number} dose - Dose value
+     * @param {string} unit - Dose unit ('mg', 'mcg', 'g', 'mg/kg', ...)
+     * @param {number} weight - Patient weight in kg
+     * @param {Object} unitMass - Micrograms per drug-specific unit ({ IU: 34.7 })
+     * @returns {number} Dose in mcg
+     */
+    static toMicrograms(dose, unit, weight, unitMass = {}) {
+      const [mass, perKg] = unit.split('/');
+      const factor = MASS_UNITS[mass] ?? unitMass[mass];
+
+      if (factor === undefined || (perKg && perKg !== 'kg')) {
+        throw new Error(`Unknown dose unit: ${unit}`);
+      }
+
+      return dose * factor * (perKg ? weight : 1);
+    }
+
+    /**
+     * Convert an infusion rate to micrograms per minute
+     * @param {number} rate - Rate value
+     * @param {string} unit - Rate unit ('mcg/kg/min', 'mg/h', ...)
+     * @param {number} weight - Patient weight in kg
+     * @param {Object} unitMass - Micrograms per drug-specific unit ({ IU: 34.7 })
+     * @returns {number} Rate in mcg/min
+     */
+    static toMicrogramsPerMinute(rate, unit, weight, unitMass = {}) {
+      const parts = unit.split('/');
+      const time = TIME_UNITS[parts[parts.length - 1]];
+
+      if (parts.length < 2 || time === undefined) {
+        throw new Error(`Unknown infusion unit: ${unit}`);
+      }
+
+      return PharmacologyEngine.toMicrograms(rate, parts.slice(0, -1).join('/'), weight, unitMass) / time;
+    }
+
+    /**
+     * Get or create the kinetic state of a drug
+     * @param {string} drugId - Drug id
+     * @returns {Object} Kinetic state
+     */
+    getKineticState(drugId) {
+      if (!this.activeDrugs[drugId]) {
+        this.activeDrugs[drugId] = {
+          amounts: [0, 0, 0], // mcg in central, peripheral and deep compartments
+          effectSite: 0,      // effect-site concentration, ng/mL
+          infusion: null,     // { rate, unit, mcgPerMin }
+          totalDose: 0        // mcg given since the drug was started
+        };
+      }
+      return this.activeDrugs[drugId];
+    }
+
+    /**
+     * Give a bolus dose
+     * @param {string} drugId - Drug id
+     * @param {number} dose - Dose in the drug's dose unit (null - default dose)
+     * @returns {Object|null} Administration record or null for an unknown drug
+     */
+    administerBolus(drugId, dose = null, unit = null) {
+      const drug = this.getDrug(drugId);
+      if (!drug) return null;
+
+      const doseValue = dose === null || dose === undefined ? drug.defaultDose : dose;
+      const doseUnit = unit || drug.doseUnit || 'mg';
+      const amount = PharmacologyEngine.toMicrograms(doseValue, doseUnit, this.weight, drug.unitMass);
+
+      const kinetics = this.getKineticState(drugId);
+      kinetics.amounts[0] += amount;
+      kinetics.totalDose += amount;
+
+      return { drugId, dose: doseValue, unit: doseUnit, amount };
+    }
+
+    /**
+     * Start an infusion or change its rate
+     * @param {string} drugId - Drug id
+     * @param {number} rate - Rate in the drug's infusion unit (null - default rate)
+     * @param {string} unit - Rate unit (null - drug's infusion unit)
+     * @returns {Object|null} Infusion record or null for an unknown drug
+     */
+    setInfusion(drugId, rate = null, unit = null) {
+      const drug = this.getDrug(drugId);
+      if (!drug) return null;
+
+      const rateValue = rate === null || rate === undefined ? drug.defaultInfusionRate : rate;
+      const rateUnit = unit || drug.infusionUnit;
+
+      if (!rateUnit || rateValue === undefined) {
+        console.warn(`Drug ${drugId} has no infusion dosing`);
+        return null;
+      }
+
+      if (rateValue <= 0) {
+        this.stopInfusion(drugId);
+        return { drugId, rate: 0, unit: rateUnit, mcgPerMin: 0 };
+      }
+
+      const kinetics = this.getKineticState(drugId);
+      kinetics.infusion = {
+        rate: rateValue,
+        unit: rateUnit,
+        mcgPerMin: PharmacologyEngine.toMicrogramsPerMinute(rateValue, rateUnit, this.weight, drug.unitMass)
+      };
+
+      return { drugId, ...kinetics.infusion };
+    }
+
+    /**
+     * Stop an infusion (the drug already given keeps acting until eliminated)
+     * @param {string} drugId - Drug id
+     * @returns {boolean} Whether an infusion was running
+     */
+    stopInfusion(drugId) {
+      const kinetics = this.activeDrugs[drugId];
+      if (!kinetics || !kinetics.infusion) return false;
+
+      kinetics.infusion = null;
+      return true;
+    }
+
+    /**
+     * Advance the kinetics of all drugs
+     * @param {number} seconds - Elapsed time in seconds
+     */
+    update(seconds) {
+      if (!(seconds > 0)) return;
+
+      const totalMinutes = seconds / 60;
+      const steps = Math.ceil(totalMinutes / MAX_STEP_MINUTES);
+      const dt = totalMinutes / steps;
+
+      Object.entries(this.activeDrugs).forEach(([drugId, kinetics]) => {
+        const { v1, k10, k12, k21, k13, k31, ke0 } = this.drugs[drugId].pk;
+        const volume = v1 * this.weight; // L
+        const input = kinetics.infusion ? kinetics.infusion.mcgPerMin : 0;
+
+        for (let i = 0; i < steps; i++) {
+          const [a1, a2, a3] = kinetics.amounts;
+          const plasma = a1 / volume; // mcg/L = ng/mL
+
+          kinetics.amounts = [
+            a1 + (input - (k10 + k12 + k13) * a1 + k21 * a2 + k31 * a3) * dt,
+            a2 + (k12 * a1 - k21 * a2) * dt,
+            a3 + (k13 * a1 - k31 * a3) * dt
+          ];
+          kinetics.effectSite += ke0 * (plasma - kinetics.effectSite) * dt;
+        }
+
+        // Remove drugs that have been eliminated
+        const remaining = kinetics.amounts.reduce((sum, amount) => sum + amount, 0);
+        if (!kinetics.infusion && remaining < ELIMINATION_THRESHOLD &&
+            kinetics.effectSite * volume < ELIMINATION_THRESHOLD) {
+          delete this.activeDrugs[drugId];
+          delete this.sensitivity[drugId];
+        }
+      });
+    }
+
+    /**
+     * Get plasma and effect-site concentrations
+     * @param {string} drugId - Drug id
+     * @returns {Object|null} { plasma, effectSite } in ng/mL
+     */
+    getConcentrations(drugId) {
+      const kinetics = this.activeDrugs[drugId];
+      if (!kinetics) return null;
+
+      return {
+        plasma: kinetics.amounts[0] / (this.drugs[drugId].pk.v1 * this.weight),
+        effectSite: kinetics.effectSite
+      };
+    }
+
+    /**
+     * Get the factor by which antagonists shift EC50 of drugs on a receptor
+     * @param {string} receptor - Receptor name
+     * @returns {number} EC50 multiplier (1 - no antagonism)
+     */
+    getAntagonismFactor(receptor) {
+      let factor = 1;
+
+      Object.entries(this.activeDrugs).forEach(([drugId, kinetics]) => {
+        const antagonist = this.drugs[drugId].antagonist;
+        if (antagonist && antagonist.receptor === receptor) {
+          factor += kinetics.effectSite / antagonist.ki;
+        }
+      });
+
+      return factor;
+    }
+
+    /**
+     * Check whether a drug matches an interaction group
+     * @param {string} drugId - Drug id
+     * @param {Object} group - { drugs: [ids] } or { receptor }
+     * @returns {boolean} Whether the drug belongs to the group
+     */
+    matchesGroup(drugId, group) {
+      if (group.drugs) return group.drugs.includes(drugId);
+      return Boolean(group.receptor) && this.drugs[drugId].receptor === group.receptor;
+    }
+
+    /**
+     * Check contraindications and interactions before a drug is given.
+     * The check changes nothing: the sensitivity of matched contraindications
+     * is applied with applySensitivity once the drug has actually been given.
+     * @param {string} drugId - Drug id
+     * @param {Object} state - Patient state
+     * @returns {Object} { warnings, sensitivity } - warnings ({ type, id, drugId,
+     *                   drugName, severity, message, interactingDrugs }) and the
+     *                   effect multipliers of matched contraindications
+     */
+    checkAdministration(drugId, state = {}) {
+      const drug = this.getDrug(drugId);
+      if (!drug) return { warnings: [], sensitivity: {} };
+
+      const warnings = [];
+      const sensitivity = {};
+
+      (drug.contraindications || []).forEach(contraindication => {
+        const { param, op = '==', value } = contraindication.when;
+        const compare = COMPARISON_OPERATORS[op];
+        if (!compare || state[param] === undefined || !compare(state[param], value)) return;
+
+        Object.entries(contraindication.sensitivity || {}).forEach(([effect, factor]) => {
+          sensitivity[effect] = Math.max(sensitivity[effect] || 1, factor);
+        });
+
+        warnings.push({
+          type: 'contraindication',
+          id: contraindication.id,
+          drugId,
+          drugName: drug.name,
+          severity: contraindication.severity || 'medium',
+          message: contraindication.message
+        });
+      });
+
+      const otherDrugs = Object.keys(this.activeDrugs).filter(id => id !== drugId);
+
+      this.interactions.forEach(interaction => {
+        const ownGroups = interaction.groups.filter(group => this.matchesGroup(drugId, group));
+        if (ownGroups.length === 0) return;
+
+        // Other groups must be covered by drugs that are already active
+        const interactingDrugs = otherDrugs.filter(id =>
+          interaction.groups.some(group => !ownGroups.includes(group) && this.matchesGroup(id, group))
+        );
+        const covered = interaction.groups.every(group =>
+          ownGroups.includes(group) || interactingDrugs.some(id => this.matchesGroup(id, group))
+        );
+        if (!covered) return;
+
+        warnings.push({
+          type: 'interaction',
+          id: interaction.id,
+          drugId,
+          drugName: drug.name,
+          severity: interaction.severity || 'medium',
+          message: interaction.message,
+          interactingDrugs
+        });
+      });
+
+      return { warnings, sensitivity };
+    }
+
+    /**
+     * Increase the response to a drug that has been given despite a
+     * contraindication (kept until the drug is eliminated)
+     * @param {string} drugId - Drug id
+     * @param {Object} sensitivity - Effect multipliers from checkAdministration
+     */
+    applySensitivity(drugId, sensitivity) {
+      if (!this.activeDrugs[drugId] || Object.keys(sensitivity).length === 0) return;
+
+      // Keep the strongest sensitivity while the drug is active
+      const current = this.sensitivity[drugId] || {};
+      Object.entries(sensitivity).forEach(([effect, factor]) => {
+        current[effect] = Math.max(current[effect] || 1, factor);
+      });
+      this.sensitivity[drugId] = current;
+    }
+
+    /**
+     * Calculate the combined effects of all active drugs
+     * @returns {Object} Effect per parameter (change for physiological values,
+     *                   0-1 fraction for FRACTIONAL_EFFECTS)
+     */
+    getEffects() {
+      const contributions = {};
+      const activity = {};
+
+      // Effect of every drug on its own, with contraindication sensitivity
+      Object.entries(this.activeDrugs).forEach(([drugId, kinetics]) => {
+        const drug = this.drugs[drugId];
+        const antagonism = drug.receptor ? this.getAntagonismFactor(drug.receptor) : 1;
+        const sensitivity = this.sensitivity[drugId] || {};
+        const ce = Math.max(0, kinetics.effectSite);
+
+        contributions[drugId] = {};
+        activity[drugId] = 0;
+
+        Object.entries(drug.pd).forEach(([param, { emax, ec50, hill = 1 }]) => {
+          const ec50Effective = ec50 * antagonism;
+          const fraction = Math.pow(ce, hill) / (Math.pow(ec50Effective, hill) + Math.pow(ce, hill));
+
+          contributions[drugId][param] = emax * fraction * (sensitivity[param] || 1);
+          activity[drugId] = Math.max(activity[drugId], fraction);
+        });
+      });
+
+      // Interactions potentiate the effects of the interacting drugs
+      this.interactions.forEach(interaction => {
+        const members = new Set();
+        const strength = Math.min(...interaction.groups.map(group => {
+          const groupDrugs = Object.keys(contributions).filter(id => this.matchesGroup(id, group));
+          groupDrugs.forEach(id => members.add(id));
+          return Math.max(0, ...groupDrugs.map(id => activity[id]));
+        }));
+        if (!(strength > 0)) return;
+
+        members.forEach(drugId => {
+          Object.entries(interaction.potentiation).forEach(([param, factor]) => {
+            if (contributions[drugId][param] !== undefined) {
+              contributions[drugId][param] *= 1 + (factor - 1) * strength;
+            }
+          });
+        });
+      });
+
+      const effects = {};
+      const remainingFractions = {};
+
+      Object.values(contributions).forEach(drugEffects => {
+        Object.entries(drugEffects).forEach(([param, effect]) => {
+          if (FRACTIONAL_EFFECTS.includes(param)) {
+            // Independent action: 1 - product of (1 - effect)
+            remainingFractions[param] = (remainingFractions[param] ?? 1) * (1 - Math.min(1, effect));
+          } else {
+            effects[param] = (effects[param] || 0) + effect;
+          }
+        });
+      });
+
+      Object.entries(remainingFractions).forEach(([param, remaining]) => {
+        effects[param] = 1 - remaining;
+      });
+
+      return effects;
+    }
+
+    /**
+     * Get drugs currently in the body
+     * @returns {Array} Drug summaries with concentrations and infusion rates
+     */
+    getActiveDrugs() {
+      return Object.entries(this.activeDrugs).map(([drugId, kinetics]) => ({
+        id: drugId,
+        name: this.drugs[drugId].name,
+        ...this.getConcentrations(drugId),
+        totalDose: kinetics.totalDose,
+        infusion: kinetics.infusion ? { ...kinetics.infusion } : null
+      }));
+    }
+
+    /**
+     * Remove all drugs from the body
+     */
+    reset() {
+      this.activeDrugs = {};
+      this.sensitivity = {};
+    }
+  }
+
+  export default PharmacologyEngine;
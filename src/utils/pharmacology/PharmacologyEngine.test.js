@@ -0,0 +1,74 @@
+import PharmacologyEngine from './PharmacologyEngine';
+
+describe('PharmacologyEngine', () => {
+  const peakEffect = (pharmacology, param, seconds) => {
+    let peak = { time: 0, value: 0 };
+    for (let time = 1; time <= seconds; time++) {
+      pharmacology.update(1);
+      const value = pharmacology.getEffects()[param] || 0;
+      if (Math.abs(value) > Math.abs(peak.value)) peak = { time, value };
+    }
+    return peak;
+  };
+
+  test('bolus effect has delayed onset, a peak and wears off', () => {
+    const pharmacology = new PharmacologyEngine();
+    pharmacology.administerBolus('phenylephrine');
+
+    pharmacology.update(1);
+    const onset = pharmacology.getEffects().systolic;
+    const peak = peakEffect(pharmacology, 'systolic', 600);
+    pharmacology.update(1800);
+
+    expect(onset).toBeLessThan(peak.value / 5);
+    expect(peak.time).toBeGreaterThan(60);
+    expect(peak.time).toBeLessThan(300);
+    expect(pharmacology.getEffects().systolic || 0).toBeLessThan(0.1);
+  });
+
+  test('doses per kilogram scale with patient weight', () => {
+    const light = new PharmacologyEngine(undefined, 50);
+    const heavy = new PharmacologyEngine(undefined, 100);
+
+    expect(light.administerBolus('propofol', 2).amount).toBe(100000);
+    expect(heavy.administerBolus('propofol', 2).amount).toBe(200000);
+    expect(PharmacologyEngine.toMicrogramsPerMinute(0.1, 'mcg/kg/min', 80)).toBeCloseTo(8);
+    expect(PharmacologyEngine.toMicrogramsPerMinute(6, 'mg/h', 80)).toBeCloseTo(100);
+    expect(() => PharmacologyEngine.toMicrograms(1, 'ml', 80)).toThrow('ml');
+  });
+
+  test('infusions approach a steady state that follows rate changes', () => {
+    const pharmacology = new PharmacologyEngine();
+    pharmacology.setInfusion('norepinephrine', 0.1);
+    pharmacology.update(1800);
+    const low = pharmacology.getConcentrations('norepinephrine').plasma;
+
+    pharmacology.setInfusion('norepinephrine', 0.2);
+    pharmacology.update(1800);
+    const high = pharmacology.getConcentrations('norepinephrine').plasma;
+
+    // Css = rate / (k10 * V1)
+    expect(low).toBeCloseTo(7 / (0.28 * 14), 1);
+    expect(high / low).toBeCloseTo(2, 1);
+
+    pharmacology.stopInfusion('norepinephrine');
+    pharmacology.update(3600);
+    expect(pharmacology.getActiveDrugs()).toHaveLength(0);
+  });
+
+  test('naloxone competitively reverses opioid effects', () => {
+    const pharmacology = new PharmacologyEngine();
+    pharmacology.administerBolus('fentanyl', 200);
+    pharmacology.update(180);
+    const opioid = pharmacology.getEffects();
+
+    pharmacology.administerBolus('naloxone');
+    pharmacology.update(120);
+    const reversed = pharmacology.getEffects();
+
+    expect(opioid.analgesia).toBeGreaterThan(0.5);
+    expect(opioid.rr).toBeLessThan(-2);
+    expect(reversed.analgesia).toBeLessThan(opioid.analgesia / 5);
+    expect(reversed.rr).toBeGreaterThan(opioid.rr / 5);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * drugInteractions.js
+ *
+ * This module contains pharmacodynamic interactions between drugs used by the
+ * PharmacologyEngine. An interaction applies when drugs from every group are
+ * active at the same time; it potentiates the effects of the interacting drugs
+ * in proportion to how close each group is to its maximal effect.
+ *
+ * Interaction fields:
+ *   groups - drug matchers: { drugs: [ids] } or { receptor }
+ *   potentiation - multiplier of the interacting drugs' effect per parameter
+ *                  at full effect of both groups
+ *   severity, message - warning shown when the second drug is given
+ *
+ * Contraindications that depend on the patient's state are declared in the
+ * drug definitions (see drugLibrary.js).
+ */
+
+export const DRUG_INTERACTIONS = [
+  {
+    id: 'opioid_benzodiazepine',
+    groups: [{ receptor: 'mu_opioid' }, { drugs: ['midazolam'] }],
+    severity: 'high',
+    message: 'Опиоид и бензодиазепин: синергичное угнетение дыхания',
+    potentiation: { rr: 2.5, sedation: 1.5 }
+  },
+  {
+    id: 'propofol_opioid',
+    groups: [{ drugs: ['propofol'] }, { receptor: 'mu_opioid' }],
+    severity: 'medium',
+    message: 'Пропофол и опиоид: усиление гипотензии и угнетения дыхания',
+    potentiation: { systolic: 1.5, diastolic: 1.5, rr: 1.5 }
+  },
+  {
+    id: 'propofol_benzodiazepine',
+    groups: [{ drugs: ['propofol'] }, { drugs: ['midazolam'] }],
+    severity: 'medium',
+    message: 'Пропофол и бензодиазепин: усиление седации и гипотензии',
+    potentiation: { sedation: 1.5, systolic: 1.3, diastolic: 1.3 }
+  }
+];
+
+export default DRUG_INTERACTIONS;
@@ -0,0 +1,43 @@
+import PharmacologyEngine from './PharmacologyEngine';
+
+describe('Drug interactions and contraindications', () => {
+  const effectAfter = (pharmacology, seconds) => {
+    pharmacology.update(seconds);
+    return pharmacology.getEffects();
+  };
+
+  test('contraindications increase the response to a drug', () => {
+    const normal = new PharmacologyEngine();
+    const hypotensive = new PharmacologyEngine();
+
+    expect(normal.checkAdministration('propofol', { systolic: 120 })).toEqual({ warnings: [], sensitivity: {} });
+    const check = hypotensive.checkAdministration('propofol', { systolic: 80 });
+    expect(check.warnings).toEqual([
+      expect.objectContaining({ type: 'contraindication', id: 'propofol_hypotension', drugId: 'propofol' })
+    ]);
+    expect(hypotensive.sensitivity).toEqual({});
+
+    normal.administerBolus('propofol');
+    hypotensive.administerBolus('propofol');
+    hypotensive.applySensitivity('propofol', check.sensitivity);
+
+    expect(effectAfter(hypotensive, 120).systolic).toBeLessThan(effectAfter(normal, 120).systolic * 1.9);
+  });
+
+  test('opioid and benzodiazepine depress breathing more than either alone', () => {
+    const fentanyl = new PharmacologyEngine();
+    const midazolam = new PharmacologyEngine();
+    const combined = new PharmacologyEngine();
+
+    fentanyl.administerBolus('fentanyl');
+    midazolam.administerBolus('midazolam');
+    combined.administerBolus('fentanyl');
+    expect(combined.checkAdministration('midazolam', {}).warnings).toEqual([
+      expect.objectContaining({ type: 'interaction', id: 'opioid_benzodiazepine', interactingDrugs: ['fentanyl'] })
+    ]);
+    combined.administerBolus('midazolam');
+
+    const separate = effectAfter(fentanyl, 300).rr + effectAfter(midazolam, 300).rr;
+    expect(effectAfter(combined, 300).rr).toBeLessThan(separate * 1.2);
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * drugLibrary.js
+ *
+ * This module contains the pharmacokinetic/pharmacodynamic definitions used by
+ * the PharmacologyEngine. Adding a drug only requires a new entry here (or a
+ * call to PharmacologyEngine.registerDrug); the physiological model never
+ * references individual drugs.
+ *
+ * Definition fields:
+ *   name, category, description - display information (shown in the medications panel)
+ *   doseUnit, defaultDose - bolus dosing ('mg', 'mcg', 'g', optionally per kg: 'mg/kg')
+ *   unitMass - micrograms in one drug-specific unit for drugs dosed in units: { IU: 34.7 }
+ *   infusionUnit, defaultInfusionRate - continuous dosing ('mcg/kg/min', 'mg/h', ...)
+ *   syringe - standard pump syringe: { concentration (mcg/mL), volume (mL) }
+ *   pk - mammillary model: v1 (L/kg), k10, k12, k21, k13, k31 and ke0 (1/min)
+ *        ke0 sets the onset delay between plasma and effect site
+ *   pd - effects per parameter using the sigmoid Emax model:
+ *        { emax, ec50 (ng/mL at the effect site), hill }
+ *        emax is a change in the parameter's own units; sedation, analgesia,
+ *        neuromuscular_blockade and insulin_action are fractions (0-1)
+ *   electrolytes - ions and glucose a bolus brings, in mmol per gram given:
+ *        { na, k, cl, ca, mg, glucose, anions } (anions - unmeasured strong anions)
+ *   receptor - receptor the drug acts on (used for competitive antagonism)
+ *   antagonist - { receptor, ki (ng/mL) } shifts EC50 of agonists on that receptor
+ *   contraindications - patient states that make the drug dangerous:
+ *        { id, when: { param, op, value }, severity, message, sensitivity }
+ *        sensitivity multiplies the drug's effect per parameter while it is active
+ */
+
+export const DRUG_LIBRARY = {
+  // Emergency drugs
+  epinephrine: {
+    name: 'Эпинефрин',
+    category: 'emergency',
+    description: 'Адреномиметик, повышает АД и ЧСС',
+    doseUnit: 'mg',
+    defaultDose: 1,
+    infusionUnit: 'mcg/kg/min',
+    defaultInfusionRate: 0.05,
+    syringe: { concentration: 80, volume: 50 },
+    pk: { v1: 0.2, k10: 0.28, ke0: 1.0 },
+    pd: {
+      hr: { emax: 60, ec50: 1.5, hill: 1.5 },
+      systolic: { emax: 80, ec50: 1.5, hill: 1.5 },
+      diastolic: { emax: 30, ec50: 2, hill: 1.5 }
+    },
+    receptor: 'adrenergic',
+    contraindications: [
+      {
+        id: 'epinephrine_tachycardia',
+        when: { param: 'hr', op: '>', value: 150 },
+        severity: 'medium',
+        message: 'Эпинефрин при тахикардии: риск тахиаритмии и ишемии миокарда',
+        sensitivity: { hr: 1.3 }
+      }
+    ]
+  },
+  atropine: {
+    name: 'Атропин',
+    category: 'emergency',
+    description: 'Холиноблокатор, повышает ЧСС',
+    doseUnit: 'mg',
+    defaultDose: 0.5,
+    pk: { v1: 0.3, k10: 0.02, k12: 0.5, k21: 0.1, ke0: 0.5 },
+    pd: {
+      hr: { emax: 50, ec50: 2, hill: 1.2 }
+    },
+    receptor: 'muscarinic',
+    contraindications: [
+      {
+        id: 'atropine_tachycardia',
+        when: { param: 'hr', op: '>', value: 100 },
+        severity: 'medium',
+        message: 'Атропин при тахикардии: нарастание ЧСС и ишемии миокарда',
+        sensitivity: { hr: 1.5 }
+      }
+    ]
+  },
+  adenosine: {
+    name: 'Аденозин',
+    category: 'antiarrhythmic',
+    description: 'Кратковременная AV-блокада, купирование НЖТ',
+    doseUnit: 'mg',
+    defaultDose: 6,
+    pk: { v1: 0.05, k10: 4.0, ke0: 6.0 },
+    pd: {
+      hr: { emax: -60, ec50: 300, hill: 2 },
+      systolic: { emax: -15, ec50: 500, hill: 1.5 }
+    }
+  },
+  amiodarone: {
+    name: 'Амиодарон',
+    category: 'antiarrhythmic',
+    description: 'Антиаритмик III класса, урежает ЧСС',
+    doseUnit: 'mg',
+    defaultDose: 150,
+    infusionUnit: 'mg/min',
+    defaultInfusionRate: 1,
+    syringe: { concentration: 18000, volume: 50 },
+    pk: { v1: 0.3, k10: 0.005, k12: 1.0, k21: 0.02, ke0: 0.1 },
+    pd: {
+      hr: { emax: -30, ec50: 400, hill: 1.2 },
+      systolic: { emax: -20, ec50: 800, hill: 1.5 },
+      diastolic: { emax: -10, ec50: 800, hill: 1.5 }
+    },
+    contraindications: [
+      {
+        id: 'amiodarone_bradycardia',
+        when: { param: 'hr', op: '<', value: 50 },
+        severity: 'high',
+        message: 'Амиодарон при брадикардии: риск асистолии',
+        sensitivity: { hr: 1.5 }
+      }
+    ]
+  },
+
+  // Vasopressors
+  norepinephrine: {
+    name: 'Норэпинефрин',
+    category: 'vasopressor',
+    description: 'Вазопрессор, повышает АД',
+    doseUnit: 'mcg',
+    defaultDose: 10,
+    infusionUnit: 'mcg/kg/min',
+    defaultInfusionRate: 0.1,
+    syringe: { concentration: 80, volume: 50 },
+    pk: { v1: 0.2, k10: 0.28, ke0: 1.0 },
+    pd: {
+      systolic: { emax: 90, ec50: 2, hill: 1.3 },
+      diastolic: { emax: 45, ec50: 2, hill: 1.3 },
+      hr: { emax: -10, ec50: 3, hill: 1 }
+    },
+    receptor: 'adrenergic',
+    contraindications: [
+      {
+        id: 'norepinephrine_hypertension',
+        when: { param: 'systolic', op: '>', value: 180 },
+        severity: 'medium',
+        message: 'Норэпинефрин при артериальной гипертензии: гипертонический криз',
+        sensitivity: { systolic: 1.3, diastolic: 1.3 }
+      }
+    ]
+  },
+  phenylephrine: {
+    name: 'Фенилэфрин',
+    category: 'vasopressor',
+    description: 'Альфа-адреномиметик, повышает АД с рефлекторной брадикардией',
+    doseUnit: 'mcg',
+    defaultDose: 100,
+    infusionUnit: 'mcg/min',
+    defaultInfusionRate: 50,
+    syringe: { concentration: 200, volume: 50 },
+    pk: { v1: 0.3, k10: 0.28, ke0: 0.8 },
+    pd: {
+      systolic: { emax: 50, ec50: 3, hill: 1.2 },
+      diastolic: { emax: 30, ec50: 3, hill: 1.2 },
+      hr: { emax: -10, ec50: 4, hill: 1 }
+    },
+    receptor: 'adrenergic',
+    contraindications: [
+      {
+        id: 'phenylephrine_bradycardia',
+        when: { param: 'hr', op: '<', value: 50 },
+        severity: 'medium',
+        message: 'Фенилэфрин при брадикардии: углубление брадикардии',
+        sensitivity: { hr: 2 }
+      }
+    ]
+  },
+
+  // Sedatives and anaesthetics
+  propofol: {
+    name: 'Пропофол',
+    category: 'sedative',
+    description: 'Седативное, снижает АД и ЧСС',
+    doseUnit: 'mg/kg',
+    defaultDose: 1.5,
+    infusionUnit: 'mg/kg/h',
+    defaultInfusionRate: 2,
+    syringe: { concentration: 10000, volume: 50 },
+    // Marsh model
+    pk: { v1: 0.228, k10: 0.119, k12: 0.112, k21: 0.055, k13: 0.042, k31: 0.0033, ke0: 0.26 },
+    pd: {
+      sedation: { emax: 1, ec50: 1800, hill: 3 },
+      gcs: { emax: -12, ec50: 1800, hill: 3 },
+      systolic: { emax: -40, ec50: 2500, hill: 2 },
+      diastolic: { emax: -25, ec50: 2500, hill: 2 },
+      hr: { emax: -15, ec50: 3000, hill: 2 },
+      rr: { emax: -14, ec50: 2500, hill: 3 }
+    },
+    receptor: 'gaba',
+    contraindications: [
+      {
+        id: 'propofol_hypotension',
+        when: { param: 'systolic', op: '<', value: 90 },
+        severity: 'high',
+        message: 'Пропофол при гипотензии: риск выраженного падения АД',
+        sensitivity: { systolic: 2, diastolic: 2 }
+      }
+    ]
+  },
+  midazolam: {
+    name: 'Мидазолам',
+    category: 'sedative',
+    description: 'Седативное, анксиолитик',
+    doseUnit: 'mg',
+    defaultDose: 2,
+    infusionUnit: 'mg/h',
+    defaultInfusionRate: 2,
+    syringe: { concentration: 1000, volume: 50 },
+    pk: { v1: 0.4, k10: 0.02, k12: 0.3, k21: 0.1, ke0: 0.13 },
+    pd: {
+      sedation: { emax: 1, ec50: 20, hill: 2 },
+      gcs: { emax: -10, ec50: 30, hill: 2 },
+      systolic: { emax: -20, ec50: 60, hill: 1.5 },
+      diastolic: { emax: -10, ec50: 60, hill: 1.5 },
+      hr: { emax: -10, ec50: 60, hill: 1.5 },
+      rr: { emax: -6, ec50: 60, hill: 2 }
+    },
+    receptor: 'gaba',
+    contraindications: [
+      {
+        id: 'midazolam_hypotension',
+        when: { param: 'systolic', op: '<', value: 90 },
+        severity: 'medium',
+        message: 'Мидазолам при гипотензии: усиление гипотензии',
+        sensitivity: { systolic: 1.5, diastolic: 1.5 }
+      }
+    ]
+  },
+  ketamine: {
+    name: 'Кетамин',
+    category: 'sedative',
+    description: 'Диссоциативный анестетик, сохраняет АД и дыхание',
+    doseUnit: 'mg/kg',
+    defaultDose: 1,
+    infusionUnit: 'mg/kg/h',
+    defaultInfusionRate: 0.5,
+    syringe: { concentration: 10000, volume: 50 },
+    pk: { v1: 0.4, k10: 0.07, k12: 0.25, k21: 0.06, ke0: 0.4 },
+    pd: {
+      sedation: { emax: 1, ec50: 800, hill: 3 },
+      gcs: { emax: -11, ec50: 800, hill: 3 },
+      analgesia: { emax: 1, ec50: 200, hill: 1.5 },
+      hr: { emax: 25, ec50: 1000, hill: 1.5 },
+      systolic: { emax: 30, ec50: 1000, hill: 1.5 },
+      diastolic: { emax: 15, ec50: 1000, hill: 1.5 }
+    },
+    receptor: 'nmda',
+    contraindications: [
+      {
+        id: 'ketamine_hypertension',
+        when: { param: 'systolic', op: '>', value: 180 },
+        severity: 'medium',
+        message: 'Кетамин при артериальной гипертензии: дальнейший подъем АД и ЧСС',
+        sensitivity: { systolic: 1.5, diastolic: 1.5, hr: 1.5 }
+      }
+    ]
+  },
+
+  // Analgesics
+  fentanyl: {
+    name: 'Фентанил',
+    category: 'analgesic',
+    description: 'Опиоидный анальгетик',
+    doseUnit: 'mcg',
+    defaultDose: 100,
+    infusionUnit: 'mcg/h',
+    defaultInfusionRate: 50,
+    syringe: { concentration: 50, volume: 50 },
+    // Shafer model
+    pk: { v1: 0.18, k10: 0.083, k12: 0.471, k21: 0.102, k13: 0.225, k31: 0.006, ke0: 0.147 },
+    pd: {
+      analgesia: { emax: 1, ec50: 1, hill: 1.5 },
+      rr: { emax: -14, ec50: 3.5, hill: 2 },
+      hr: { emax: -10, ec50: 3, hill: 1 }
+    },
+    receptor: 'mu_opioid',
+    contraindications: [
+      {
+        id: 'opioid_respiratory_depression',
+        when: { param: 'rr', op: '<', value: 10 },
+        severity: 'high',
+        message: 'Опиоид при угнетении дыхания: риск апноэ',
+        sensitivity: { rr: 1.5 }
+      }
+    ]
+  },
+
+  // Neuromuscular blockers
+  rocuronium: {
+    name: 'Рокуроний',
+    category: 'muscle_relaxant',
+    description: 'Недеполяризующий миорелаксант',
+    doseUnit: 'mg/kg',
+    defaultDose: 0.6,
+    infusionUnit: 'mcg/kg/min',
+    defaultInfusionRate: 10,
+    syringe: { concentration: 10000, volume: 50 },
+    pk: { v1: 0.045, k10: 0.1, k12: 0.26, k21: 0.16, ke0: 0.17 },
+    pd: {
+      neuromuscular_blockade: { emax: 1, ec50: 1600, hill: 4.5 },
+      rr: { emax: -14, ec50: 1600, hill: 4.5 }
+    },
+    receptor: 'nicotinic',
+    contraindications: [
+      {
+        id: 'relaxant_without_airway',
+        when: { param: 'intubated', op: '==', value: false },
+        severity: 'high',
+        message: 'Миорелаксант без защиты дыхательных путей: апноэ'
+      }
+    ]
+  },
+
+  // Antidotes
+  naloxone: {
+    name: 'Налоксон',
+    category: 'antidote',
+    description: 'Антагонист опиоидов',
+    doseUnit: 'mg',
+    defaultDose: 0.4,
+    pk: { v1: 0.3, k10: 0.012, k12: 0.2, k21: 0.1, ke0: 0.5 },
+    pd: {},
+    antagonist: { receptor: 'mu_opioid', ki: 0.5 }
+  },
+
+  // Electrolytes and metabolism
+  sodium_bicarbonate: {
+    name: 'Натрия гидрокарбонат 8,4%',
+    category: 'electrolyte',
+    description: 'Ощелачивающее средство, натрий без хлора повышает бикарбонат',
+    doseUnit: 'g',
+    defaultDose: 4.2,
+    pk: { v1: 0.2, k10: 1, ke0: 1 },
+    pd: {},
+    electrolytes: { na: 11.9 }
+  },
+  calcium_chloride: {
+    name: 'Кальция хлорид 10%',
+    category: 'electrolyte',
+    description: 'Повышает ионизированный кальций, стабилизирует миокард при гиперкалиемии',
+    doseUnit: 'g',
+    defaultDose: 1,
+    pk: { v1: 0.2, k10: 1, ke0: 1 },
+    pd: {},
+    electrolytes: { ca: 6.8, cl: 13.6 }
+  },
+  potassium_chloride: {
+    name: 'Калия хлорид',
+    category: 'electrolyte',
+    description: 'Восполнение калия, 1,5 г - 20 ммоль',
+    doseUnit: 'g',
+    defaultDose: 1.5,
+    pk: { v1: 0.2, k10: 1, ke0: 1 },
+    pd: {},
+    electrolytes: { k: 13.4, cl: 13.4 }
+  },
+  magnesium_sulfate: {
+    name: 'Магния сульфат 25%',
+    category: 'electrolyte',
+    description: 'Восполнение магния, препарат выбора при torsades de pointes',
+    doseUnit: 'g',
+    defaultDose: 2,
+    pk: { v1: 0.2, k10: 1, ke0: 1 },
+    pd: {},
+    electrolytes: { mg: 4.06, anions: 8.1 }
+  },
+  glucose_40: {
+    name: 'Глюкоза 40%',
+    category: 'electrolyte',
+    description: 'Коррекция гипогликемии, 40 мл - 16 г',
+    doseUnit: 'g',
+    defaultDose: 16,
+    pk: { v1: 0.2, k10: 1, ke0: 1 },
+    pd: {},
+    electrolytes: { glucose: 5.55 }
+  },
+  insulin: {
+    name: 'Инсулин короткого действия',
+    category: 'electrolyte',
+    description: 'Снижает глюкозу и перемещает калий в клетки',
+    doseUnit: 'IU',
+    defaultDose: 10,
+    infusionUnit: 'IU/h',
+    defaultInfusionRate: 4,
+    unitMass: { IU: 34.7 },
+    pk: { v1: 0.1, k10: 0.14, ke0: 0.02 },
+    pd: {
+      insulin_action: { emax: 1, ec50: 2, hill: 1 }
+    }
+  }
+};
+
+export default DRUG_LIBRARY;
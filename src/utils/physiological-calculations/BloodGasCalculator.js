@@ -3,7 +3,11 @@
  * 
  * This module calculates arterial and venous blood gas values based on a patient's
  * physiological state. It models the relationships between respiratory parameters,
- * acid-base balance, and oxygenation status.
+ * acid-base balance, and oxygenation status. Lactate from cardiac arrest or
+ * haemorrhagic shock produces a metabolic acidosis, and the haemoglobin of the
+ * state sets the oxygen content, so anaemia lowers the venous saturation. When
+ * the state carries the bicarbonate and electrolytes of the electrolyte model,
+ * the blood gas reports them instead of its own estimate.
  */
 
 class BloodGasCalculator {
@@ -16,7 +20,13 @@ class BloodGasCalculator {
           pao2: { min: 80, max: 100 },    // mmHg
           hco3: { min: 22, max: 26 },     // mEq/L
           sao2: { min: 95, max: 100 },    // %
-          be: { min: -2, max: 2 }         // mEq/L
+          be: { min: -2, max: 2 },        // mEq/L
+          lactate: { min: 0.5, max: 2 },  // mmol/L
+          k: { min: 3.5, max: 5 },        // mmol/L
+          na: { min: 135, max: 145 },     // mmol/L
+          cl: { min: 98, max: 107 },      // mmol/L
+          ca: { min: 1.12, max: 1.32 },   // mmol/L, ionised
+          glucose: { min: 3.9, max: 6.1 } // mmol/L
         },
         venous: {
           ph: { min: 7.32, max: 7.42 },
@@ -34,25 +44,124 @@ class BloodGasCalculator {
         water_vapor_pressure: 47,   // mmHg at 37°C
         respiratory_quotient: 0.8,  // CO2 production / O2 consumption
         hb: 15,                     // g/dL
-        temperature: 37             // °C
+        temperature: 37,            // °C
+        lactate: 1                  // mmol/L
       };
     }
     
     /**
-     * Calculate arterial blood gases based on respiratory and metabolic parameters
+     * Calculate arterial blood gases based on respiratory and metabolic parameters.
+     * PaO2 and PaCO2 come from the lung model when the state provides them;
+     * bicarbonate comes from the electrolyte model, otherwise lactic acidosis
+     * and the metabolic flags adjust a normal value.
      * 
      * @param {Object} patientState - Current physiological state of the patient
      * @returns {Object} Arterial blood gas values
      */
     calculateArterialBloodGas(patientState) {
+      const { temperature = 37 } = patientState;
+      
+      let { pao2, paco2, sao2 } = typeof patientState.pao2 === 'number' && typeof patientState.paco2 === 'number'
+        ? { pao2: patientState.pao2, paco2: patientState.paco2, sao2: patientState.spo2 ?? 98 }
+        : this.estimateArterialTensions(patientState);
+      
+      // Calculate pH and bicarbonate using Henderson-Hasselbalch relationship
+      // pH = 6.1 + log10([HCO3-] / (0.03 * PaCO2))
+      
+      const lactate = patientState.lactate ?? this.baselineValues.lactate;
+      let hco3;
+      
+      if (typeof patientState.hco3 === 'number') {
+        // The electrolyte model already accounts for lactate and the metabolic flags
+        hco3 = patientState.hco3;
+      } else {
+        // Start with normal bicarbonate
+        hco3 = 24;
+        
+        // Adjust for metabolic conditions if present in patient state
+        if (patientState.metabolic_acidosis) {
+          hco3 -= patientState.metabolic_acidosis * 10;
+        }
+        
+        if (patientState.metabolic_alkalosis) {
+          hco3 += patientState.metabolic_alkalosis * 10;
+        }
+        
+        // Each mmol/L of lactate above normal is buffered by about 1 mEq/L of bicarbonate
+        hco3 -= Math.max(0, lactate - this.baselineValues.lactate);
+      }
+      
+      // Calculate pH using Henderson-Hasselbalch equation
+      let ph = 6.1 + Math.log10(hco3 / (0.03 * paco2));
+      
+      // Respiratory compensation occurs over time
+      // For acute respiratory changes, metabolic compensation is minimal
+      // For chronic respiratory changes, metabolic compensation is more significant
+      // This would be more complex in a real model with time factors
+      
+      // Calculate base excess
+      // BE = (HCO3- - 24.4) + 14.8 * (pH - 7.4)
+      let be = (hco3 - 24.4) + 14.8 * (ph - 7.4);
+      
+      // Temperature affects blood gases - correct if temperature is not 37°C
+      if (temperature !== 37) {
+        // Rough corrections for temperature effects
+        ph += 0.015 * (37 - temperature);
+        paco2 *= Math.pow(1.019, 37 - temperature);
+        pao2 *= Math.pow(1.027, 37 - temperature);
+      }
+      
+      // Round values to appropriate precision
+      ph = Math.round(ph * 100) / 100;
+      paco2 = Math.round(paco2);
+      pao2 = Math.round(pao2);
+      hco3 = Math.round(hco3 * 10) / 10;
+      be = Math.round(be * 10) / 10;
+      sao2 = Math.round(sao2);
+      
+      const result = {
+        ph,
+        paco2,
+        pao2,
+        hco3,
+        be,
+        sao2,
+        lactate: Math.round(lactate * 10) / 10
+      };
+      
+      // Electrolytes and glucose are measured by the blood gas analyser when
+      // the state provides them
+      if (typeof patientState.k === 'number') {
+        result.k = Math.round(patientState.k * 10) / 10;
+      }
+      if (typeof patientState.na === 'number') {
+        result.na = Math.round(patientState.na);
+      }
+      if (typeof patientState.cl === 'number') {
+        result.cl = Math.round(patientState.cl);
+      }
+      if (typeof patientState.ca === 'number') {
+        result.ca = Math.round(patientState.ca * 100) / 100;
+      }
+      if (typeof patientState.glucose === 'number') {
+        result.glucose = Math.round(patientState.glucose * 10) / 10;
+      }
+      
+      return result;
+    }
+    
+    /**
+     * Estimate arterial gas tensions from EtCO2 and an A-a gradient
+     * when no lung model output is available
+     * 
+     * @param {Object} patientState - Current physiological state of the patient
+     * @returns {Object} pao2, paco2 in mmHg and sao2 in %
+     */
+    estimateArterialTensions(patientState) {
       // Extract relevant parameters from patient state
       const {
-        spo2 = 98,                    // SpO2 in %
         etco2 = 35,                   // End-tidal CO2 in mmHg
-        rr = 14,                      // Respiratory rate
-        tidal_volume = 500,           // Tidal volume in mL
         fio2 = 0.21,                  // Fraction of inspired oxygen (0.21 = room air)
-        temperature = 37,             // Body temperature in °C
         peep = 0,                     // PEEP in cmH2O
         intubated = false,            // Intubation status
         cardiac_output = 5,           // Cardiac output in L/min
@@ -109,59 +218,9 @@ class BloodGasCalculator {
       // In healthy individuals, PaCO2 is slightly higher than EtCO2
       // In patients with respiratory depression or V/Q mismatch, the gap widens
       const etco2_paco2_gap = 2 + (respiratory_depression * 10) + (hypoxia * 5);
-      let paco2 = etco2 + etco2_paco2_gap;
-      
-      // Calculate pH and bicarbonate using Henderson-Hasselbalch relationship
-      // pH = 6.1 + log10([HCO3-] / (0.03 * PaCO2))
-      
-      // Start with normal bicarbonate
-      let hco3 = 24;
-      
-      // Adjust for metabolic conditions if present in patient state
-      if (patientState.metabolic_acidosis) {
-        hco3 -= patientState.metabolic_acidosis * 10;
-      }
-      
-      if (patientState.metabolic_alkalosis) {
-        hco3 += patientState.metabolic_alkalosis * 10;
-      }
+      const paco2 = etco2 + etco2_paco2_gap;
       
-      // Calculate pH using Henderson-Hasselbalch equation
-      let ph = 6.1 + Math.log10(hco3 / (0.03 * paco2));
-      
-      // Respiratory compensation occurs over time
-      // For acute respiratory changes, metabolic compensation is minimal
-      // For chronic respiratory changes, metabolic compensation is more significant
-      // This would be more complex in a real model with time factors
-      
-      // Calculate base excess
-      // BE = (HCO3- - 24.4) + 14.8 * (pH - 7.4)
-      let be = (hco3 - 24.4) + 14.8 * (ph - 7.4);
-      
-      // Temperature affects blood gases - correct if temperature is not 37°C
-      if (temperature !== 37) {
-        // Rough corrections for temperature effects
-        ph += 0.015 * (37 - temperature);
-        paco2 *= Math.pow(1.019, 37 - temperature);
-        pao2 *= Math.pow(1.027, 37 - temperature);
-      }
-      
-      // Round values to appropriate precision
-      ph = Math.round(ph * 100) / 100;
-      paco2 = Math.round(paco2);
-      pao2 = Math.round(pao2);
-      hco3 = Math.round(hco3 * 10) / 10;
-      be = Math.round(be * 10) / 10;
-      sao2 = Math.round(sao2);
-      
-      return {
-        ph,
-        paco2,
-        pao2,
-        hco3,
-        be,
-        sao2
-      };
+      return { pao2, paco2, sao2 };
     }
     
     /**
@@ -175,7 +234,8 @@ class BloodGasCalculator {
       // Extract relevant parameters
       const {
         cardiac_output = 5,     // L/min
-        o2_consumption = 250    // mL/min, average resting value
+        o2_consumption = 250,   // mL/min, average resting value
+        hb = this.baselineValues.hb // g/dL
       } = patientState;
       
       // Extract arterial values
@@ -186,7 +246,7 @@ class BloodGasCalculator {
       // CaO2 = (Hb * 1.34 * SaO2/100) + (0.003 * PaO2)
       
       // Arterial oxygen content in mL O2/dL blood
-      const cao2 = (this.baselineValues.hb * 1.34 * sao2/100) + (0.003 * pao2);
+      const cao2 = (hb * 1.34 * sao2/100) + (0.003 * pao2);
       
       // Oxygen content difference in mL O2/dL blood
       const o2ContentDiff = o2_consumption / (cardiac_output * 10);
@@ -197,7 +257,7 @@ class BloodGasCalculator {
       // Calculate venous saturation
       // CvO2 = (Hb * 1.34 * SvO2/100) + (0.003 * PvO2)
       // Solve for SvO2
-      let svo2 = (cvo2 - 0.003 * 40) / (this.baselineValues.hb * 1.34) * 100;
+      let svo2 = (cvo2 - 0.003 * 40) / (hb * 1.34) * 100;
       
       // Ensure SvO2 is within reasonable limits
       svo2 = Math.max(30, Math.min(svo2, sao2));
@@ -0,0 +1,238 @@
+/**
+ * CardiovascularModel.js
+ *
+ * This module implements a closed-loop model of the circulation. Blood volume
+ * and venous tone set the preload (central venous pressure); preload,
+ * contractility and afterload set the stroke volume via the
+ * HemodynamicsCalculator, and the mean arterial pressure follows from cardiac
+ * output and systemic vascular resistance. A baroreflex controller adjusts the
+ * sympathetic tone with a time lag; the tone in turn sets heart rate,
+ * contractility, arterial resistance and venous tone, so haemorrhage and
+ * vasodilation produce a compensatory tachycardia and vasoconstriction.
+ * Obstruction - pressure around the heart or emboli in the pulmonary
+ * arteries - keeps the venous blood from filling the left ventricle.
+ */
+
+import HemodynamicsCalculator from './HemodynamicsCalculator';
+
+// Sympathetic tone at rest (0-1)
+const RESTING_TONE = 0.5;
+
+// Change of sympathetic tone per relative deviation of MAP from the set point
+const BAROREFLEX_GAIN = 2.5;
+
+// Time constant of the baroreflex response (seconds)
+const BAROREFLEX_TIME_CONSTANT = 10;
+
+// Maximum integration step (seconds); keeps the feedback loop stable
+const MAX_STEP_SECONDS = 1;
+
+// Sympathetic drive added by pain and hypoxia at full severity
+const PAIN_DRIVE = 0.6;
+const HYPOXIA_DRIVE = 0.6;
+
+// Effect of sympathetic tone above/below rest: relative change per unit of tone
+const CHRONOTROPY_GAIN = { sympathetic: 1.8, vagal: 0.8 };
+const INOTROPY_GAIN = 0.4;
+const VASOMOTOR_GAIN = 0.5;
+
+// Blood volume (mL) that fills the veins without raising pressure, and the
+// volume mobilised from the veins per unit of sympathetic tone
+const UNSTRESSED_VOLUME = 3500;
+const VENOCONSTRICTION_VOLUME = 800;
+
+/**
+ * Tachyarrhythmias that take over from the sinus node: default ventricular
+ * rate and the share of the stroke volume left without the atrial kick and,
+ * in VT, with dyssynchronous contraction
+ */
+export const ARRHYTHMIAS = {
+  afib: { rate: 140, strokeVolume: 0.8 },
+  aflutter: { rate: 150, strokeVolume: 0.8 },
+  svt: { rate: 180, strokeVolume: 0.6 },
+  vtach: { rate: 170, strokeVolume: 0.35 }
+};
+
+class CardiovascularModel {
+    /**
+     * @param {Object} baseline - Resting values: hr, systolic, diastolic, blood_volume, cvp
+     */
+    constructor(baseline = {}) {
+      this.calculator = new HemodynamicsCalculator();
+      this.calibrate(baseline);
+    }
+
+    /**
+     * Fit resistance and arterial compliance so the resting state is an equilibrium
+     * @param {Object} baseline - Resting values: hr, systolic, diastolic, blood_volume, cvp
+     */
+    calibrate({ hr = 72, systolic = 120, diastolic = 80, blood_volume = 5000, cvp = 8 } = {}) {
+      // Baroreflex set point
+      this.setPoint = (systolic + 2 * diastolic) / 3;
+
+      const sv = this.calculator.calculateStrokeVolume({ preload: cvp, contractility: 1, afterload: this.setPoint });
+
+      this.baseline = {
+        hr,
+        cvp,
+        venousCompliance: (blood_volume - UNSTRESSED_VOLUME) / cvp, // mL/mmHg
+        svr: (this.setPoint - cvp) * 80 / (hr * sv / 1000),          // dyn·s/cm⁵
+        pulsePressurePerStroke: (systolic - diastolic) / sv            // mmHg/mL
+      };
+
+      this.reset();
+    }
+
+    /**
+     * Return to the resting operating point
+     */
+    reset() {
+      this.tone = RESTING_TONE;
+      this.offsets = { hr: 0, map: 0, pulse: 0 };
+      this.sensedMap = this.setPoint;
+    }
+
+    /**
+     * Sympathetic tone the baroreflex drives towards
+     * @param {number} map - Sensed mean arterial pressure in mmHg
+     * @param {Object} conditions - Patient conditions (see calculate)
+     * @returns {number} Target tone (0-1)
+     */
+    getTargetTone(map, { pain = 0, hypoxia = 0 }) {
+      const error = (this.setPoint - map) / this.setPoint;
+      const tone = RESTING_TONE + BAROREFLEX_GAIN * error + PAIN_DRIVE * pain + HYPOXIA_DRIVE * hypoxia;
+      return Math.min(1, Math.max(0, tone));
+    }
+
+    /**
+     * Calculate haemodynamics for the current sympathetic tone
+     * @param {Object} conditions - Patient conditions:
+     *   blood_volume (mL), cardiac_depression, vasodilation, vasoconstriction,
+     *   pain, hypoxia (0-1), myocardial_ischemia - non-contracting share of
+     *   the left ventricle (0-1), paced_rate - rate of captured pacing (0 -
+     *   no pacing), arrhythmia - rhythm from ARRHYTHMIAS (sinus otherwise),
+     *   arrhythmia_rate - its ventricular rate (0 - default), drug_map -
+     *   MAP change from drugs in mmHg, pleural_pressure and
+     *   pericardial_pressure - pressure around the heart in mmHg (tension
+     *   pneumothorax, tamponade), pulmonary_obstruction - share of the
+     *   pulmonary arteries blocked by emboli (0-1)
+     * @returns {Object} hr, intrinsic_hr, systolic, diastolic, map, cvp, svr,
+     *                   contractility, stroke_volume and cardiac_output
+     */
+    calculate(conditions) {
+      const {
+        blood_volume = 5000,
+        cardiac_depression = 0,
+        vasodilation = 0,
+        vasoconstriction = 0,
+        myocardial_ischemia = 0,
+        paced_rate = 0,
+        arrhythmia_rate = 0,
+        pleural_pressure = 0,
+        pericardial_pressure = 0,
+        pulmonary_obstruction = 0
+      } = conditions;
+      const arrhythmia = ARRHYTHMIAS[conditions.arrhythmia];
+
+      const sympathetic = this.tone - RESTING_TONE;
+      const chronotropy = sympathetic >= 0
+        ? 1 + CHRONOTROPY_GAIN.sympathetic * sympathetic
+        : 1 + CHRONOTROPY_GAIN.vagal * sympathetic;
+
+      // A tachyarrhythmia replaces the sinus rate; captured pacing sets the
+      // rate when the heart's own rhythm is slower
+      const sinusHr = Math.max(0, this.baseline.hr * chronotropy * (1 - 0.5 * cardiac_depression) + this.offsets.hr);
+      const intrinsicHr = arrhythmia ? arrhythmia_rate || arrhythmia.rate : sinusHr;
+      const hr = Math.max(intrinsicHr, paced_rate);
+      const contractility = Math.max(0.1, (1 + INOTROPY_GAIN * sympathetic) * (1 - 0.6 * cardiac_depression) * (1 - myocardial_ischemia));
+
+      // Preload: blood volume above the unstressed venous volume distends the veins
+      const unstressedVolume = UNSTRESSED_VOLUME + 500 * vasodilation - 300 * vasoconstriction -
+        VENOCONSTRICTION_VOLUME * sympathetic;
+      const cvp = Math.max(0, (blood_volume - unstressedVolume) / this.baseline.venousCompliance);
+
+      // Afterload: arterial tone
+      const svr = this.baseline.svr * (1 + VASOMOTOR_GAIN * sympathetic) *
+        (1 - 0.7 * vasodilation) * (1 + 0.5 * vasoconstriction);
+
+      // The heart fills by the venous pressure above the pressure around it;
+      // emboli let only part of the venous return through the lungs
+      const fillingPressure = Math.max(0, cvp - pleural_pressure - pericardial_pressure) *
+        (1 - pulmonary_obstruction);
+
+      // Frank-Starling; shortened diastole limits filling at high heart rates
+      const filling = hr > this.baseline.hr ? Math.sqrt(this.baseline.hr / hr) : 1;
+      const strokeVolume = this.calculator.calculateStrokeVolume({
+        preload: fillingPressure,
+        contractility,
+        afterload: this.sensedMap
+      }) * filling * (arrhythmia ? arrhythmia.strokeVolume : 1);
+
+      const cardiacOutput = hr * strokeVolume / 1000;
+      const map = cardiacOutput * svr / 80 + cvp + this.offsets.map;
+      const pulsePressure = Math.max(5, strokeVolume * this.baseline.pulsePressurePerStroke + this.offsets.pulse);
+
+      return {
+        hr,
+        intrinsic_hr: intrinsicHr,
+        systolic: map + pulsePressure * 2 / 3,
+        diastolic: map - pulsePressure / 3,
+        map,
+        cvp,
+        svr,
+        contractility,
+        stroke_volume: strokeVolume,
+        cardiac_output: cardiacOutput
+      };
+    }
+
+    /**
+     * Advance the baroreflex
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - Patient conditions (see calculate)
+     * @returns {Object} Haemodynamics at the end of the step
+     */
+    update(seconds, conditions) {
+      const steps = Math.ceil(Math.max(0, seconds) / MAX_STEP_SECONDS);
+      const dt = steps > 0 ? seconds / steps : 0;
+
+      for (let i = 0; i < steps; i++) {
+        const output = this.calculate(conditions);
+        this.sensedMap = output.map + (conditions.drug_map || 0);
+
+        const target = this.getTargetTone(this.sensedMap, conditions);
+        this.tone += (target - this.tone) * (1 - Math.exp(-dt / BAROREFLEX_TIME_CONSTANT));
+      }
+
+      return this.calculate(conditions);
+    }
+
+    /**
+     * Make externally set values the new operating point. A set pressure is
+     * treated as compensated: the tone is set to the reflex level for it.
+     * @param {Object} conditions - Patient conditions (see calculate)
+     * @param {Object} targets - Values to reproduce: hr and/or systolic with diastolic
+     */
+    setOperatingPoint(conditions, targets) {
+      const hasPressure = targets.systolic !== undefined && targets.diastolic !== undefined;
+      const map = hasPressure ? (targets.systolic + 2 * targets.diastolic) / 3 : null;
+
+      if (hasPressure) {
+        this.sensedMap = map + (conditions.drug_map || 0);
+        this.tone = this.getTargetTone(this.sensedMap, conditions);
+      }
+
+      // A set rate is the heart's own rate; pacing only keeps it from falling lower
+      if (targets.hr !== undefined) {
+        this.offsets.hr += targets.hr - this.calculate(conditions).intrinsic_hr;
+      }
+
+      if (hasPressure) {
+        const output = this.calculate(conditions);
+        this.offsets.map += map - output.map;
+        this.offsets.pulse += (targets.systolic - targets.diastolic) - (output.systolic - output.diastolic);
+      }
+    }
+  }
+
+  export default CardiovascularModel;
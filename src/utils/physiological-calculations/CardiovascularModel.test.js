@@ -0,0 +1,97 @@
+import CardiovascularModel, { ARRHYTHMIAS } from './CardiovascularModel';
+
+describe('CardiovascularModel', () => {
+  test('the calibrated resting state is an equilibrium of the baroreflex', () => {
+    const model = new CardiovascularModel();
+    const rest = model.update(60, {});
+    expect(rest.hr).toBeCloseTo(72);
+    expect(rest.map).toBeCloseTo(280 / 3);
+    expect(rest.cvp).toBeCloseTo(8);
+    expect(model.tone).toBeCloseTo(0.5);
+
+    const bled = model.update(60, { blood_volume: 4000 });
+    expect(model.tone).toBeGreaterThan(0.6);
+    expect(bled.hr).toBeGreaterThan(rest.hr + 10);
+    expect(bled.cvp).toBeLessThan(rest.cvp / 2);
+
+    // Another resting patient is calibrated to its own values
+    const hypertensive = new CardiovascularModel({ hr: 60, systolic: 160, diastolic: 95 });
+    expect(hypertensive.update(60, {})).toMatchObject({ hr: 60 });
+    expect(hypertensive.calculate({}).systolic).toBeCloseTo(160, 5);
+    expect(hypertensive.calculate({}).diastolic).toBeCloseTo(95, 5);
+  });
+
+  test('the baroreflex responds with a lag and restores part of the pressure', () => {
+    const model = new CardiovascularModel();
+    const rest = model.calculate({});
+
+    const early = model.update(2, { vasodilation: 0.9 });
+    expect(early.svr).toBeLessThan(rest.svr / 2);
+    expect(early.map).toBeLessThan(65);
+
+    const late = model.update(60, { vasodilation: 0.9 });
+    expect(late.map).toBeGreaterThan(early.map + 10);
+    expect(early.hr).toBeLessThan(late.hr - 30);
+    expect(late.hr).toBeGreaterThan(120);
+    expect(model.tone).toBeGreaterThan(0.9);
+
+    // Pain drives the tone above rest at a normal pressure, a drug that raises
+    // the sensed pressure lowers it
+    const pain = new CardiovascularModel();
+    pain.update(60, { pain: 1 });
+    expect(pain.tone).toBeGreaterThan(0.6);
+
+    const pressor = new CardiovascularModel();
+    pressor.update(60, { drug_map: 20 });
+    expect(pressor.tone).toBeLessThan(0.45);
+  });
+
+  test('set values become the compensated operating point', () => {
+    const model = new CardiovascularModel();
+    model.setOperatingPoint({}, { systolic: 100, diastolic: 65 });
+
+    const set = model.calculate({});
+    expect(set.systolic).toBeCloseTo(100, 5);
+    expect(set.diastolic).toBeCloseTo(65, 5);
+    expect(model.tone).toBeGreaterThan(0.7);
+
+    const later = model.update(60, {});
+    expect(Math.abs(later.systolic - 100)).toBeLessThan(2);
+    expect(later.hr).toBeGreaterThan(set.hr - 2);
+
+    model.setOperatingPoint({}, { hr: 50 });
+    expect(model.calculate({}).intrinsic_hr).toBeCloseTo(50, 5);
+  });
+
+  test('tachyarrhythmias replace the sinus rate and pacing sets a floor', () => {
+    const model = new CardiovascularModel();
+    const sinus = model.calculate({});
+
+    const vt = model.calculate({ arrhythmia: 'vtach' });
+    expect(vt.hr).toBe(ARRHYTHMIAS.vtach.rate);
+    expect(vt.stroke_volume).toBeLessThan(sinus.stroke_volume * ARRHYTHMIAS.vtach.strokeVolume);
+    expect(vt.map).toBeLessThan(sinus.map - 20);
+    expect(model.calculate({ arrhythmia: 'afib', arrhythmia_rate: 110 }).hr).toBe(110);
+
+    // Captured pacing only acts below its rate
+    const depressed = model.calculate({ cardiac_depression: 1, paced_rate: 70 });
+    expect(depressed).toMatchObject({ hr: 70, intrinsic_hr: 36 });
+    expect(model.calculate({ paced_rate: 60 }).hr).toBeCloseTo(sinus.hr, 5);
+  });
+
+  test('pressure around the heart and pulmonary emboli keep the ventricle from filling', () => {
+    const model = new CardiovascularModel();
+    const rest = model.calculate({});
+
+    const tamponade = model.calculate({ pericardial_pressure: 6 });
+    expect(tamponade.cvp).toBeCloseTo(rest.cvp, 5);
+    expect(tamponade.stroke_volume).toBeLessThan(rest.stroke_volume * 0.8);
+
+    const embolism = model.calculate({ pulmonary_obstruction: 0.5 });
+    expect(embolism.stroke_volume).toBeLessThan(rest.stroke_volume * 0.85);
+    expect(embolism.map).toBeLessThan(rest.map);
+
+    // Ischaemic myocardium contracts less
+    expect(model.calculate({ myocardial_ischemia: 0.4 }).contractility).toBeCloseTo(0.6, 5);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * ElectrolyteModel.js
+ *
+ * This module implements the plasma electrolytes and the metabolic part of the
+ * acid-base balance. Sodium, potassium, chloride, ionised calcium, magnesium
+ * and glucose are held as concentrations in the extracellular fluid; infusions
+ * mix into it and free water entering the cells concentrates it. Bicarbonate
+ * follows the Stewart approach: it fills the strong ion difference left by
+ * sodium, calcium and magnesium after chloride, lactate, citrate and
+ * unmeasured anions, less the weak acid buffers (potassium is left out, its
+ * changes are too small to matter). The pH then follows from the
+ * Henderson-Hasselbalch equation with the arterial CO2. A metabolic acidosis
+ * shifts potassium out of the cells and insulin drives it back in; citrate
+ * from blood products and alkalaemia bind ionised calcium. Perfused kidneys slowly return
+ * the ions to normal and retain or excrete chloride to compensate a chronic
+ * respiratory disturbance; stress raises glucose and insulin lowers it.
+ */
+
+// Normal plasma concentrations (mmol/L; calcium ionised)
+export const NORMAL_ELECTROLYTES = { na: 140, k: 4, cl: 104, ca: 1.2, mg: 0.9, glucose: 5.5 };
+
+// Solubility of CO2 (mmol/L per mmHg) and pK of the bicarbonate buffer
+const CO2_SOLUBILITY = 0.03;
+const BICARBONATE_PK = 6.1;
+
+// Bicarbonate (mmol/L), arterial CO2 (mmHg) and pH of the resting patient
+const NORMAL_HCO3 = 24;
+const NORMAL_PACO2 = 39;
+const NORMAL_PH = BICARBONATE_PK + Math.log10(NORMAL_HCO3 / (CO2_SOLUBILITY * NORMAL_PACO2));
+
+// Lactate (mmol/L) that is part of the normal anion pattern
+const NORMAL_LACTATE = 1;
+
+// Volume of distribution of a load as a multiple of the extracellular volume:
+// cells and bone take up part of potassium, calcium and magnesium within minutes
+const DISTRIBUTION_SPACE = { na: 1, k: 1.4, cl: 1, ca: 2, mg: 2, glucose: 1.5, citrate: 1, anions: 1 };
+
+// Strong ion difference of normal plasma and the part of it balanced by
+// albumin and phosphate instead of bicarbonate (mmol/L)
+const NORMAL_SID = NORMAL_ELECTROLYTES.na + 2 * NORMAL_ELECTROLYTES.ca + 2 * NORMAL_ELECTROLYTES.mg - NORMAL_ELECTROLYTES.cl - NORMAL_LACTATE;
+const WEAK_ACIDS = NORMAL_SID - NORMAL_HCO3;
+
+// Charge carried by one mmol of citrate
+const CITRATE_CHARGE = 3;
+
+// Bicarbonate change (mmol/L) at full metabolic acidosis or alkalosis set by a scenario
+const METABOLIC_DISTURBANCE = 10;
+
+// Potassium leaving the cells per 0.1 fall of pH caused by a metabolic
+// acidosis and entering them at full insulin action (mmol/L)
+const POTASSIUM_PER_PH = 0.6;
+const INSULIN_POTASSIUM_SHIFT = 1.2;
+
+// Ionised calcium bound by citrate (mmol/L per mmol/L) and by albumin per
+// unit rise of pH
+const CITRATE_CALCIUM_BINDING = 0.15;
+const ALKALAEMIA_CALCIUM_BINDING = 0.5;
+
+// Time constants (minutes) of citrate metabolism by the liver at a normal
+// cardiac output, of renal correction of sodium, potassium, calcium and
+// magnesium, of renal excretion of unmeasured anions and of renal chloride
+// handling that compensates a chronic respiratory disturbance
+const CITRATE_TIME_CONSTANT = 10;
+const RENAL_ION_TIME_CONSTANT = 720;
+const RENAL_POTASSIUM_TIME_CONSTANT = 360;
+const RENAL_ANION_TIME_CONSTANT = 720;
+const RENAL_COMPENSATION_TIME_CONSTANT = 1440;
+
+// Chronic metabolic compensation: bicarbonate rise per mmHg of CO2 above normal
+const CHRONIC_COMPENSATION = 0.35;
+
+// Mean arterial pressure (mmHg) below which the kidneys stop working and the
+// range over which they recover
+const RENAL_MAP_THRESHOLD = 50;
+const RENAL_MAP_RANGE = 20;
+
+// Glucose: time constant (minutes) of return to the target, stress
+// hyperglycaemia at full sympathetic activation (mmol/L), uptake at full
+// insulin action (mmol/L per minute) and the lowest value
+const GLUCOSE_TIME_CONSTANT = 30;
+const STRESS_HYPERGLYCAEMIA = 6;
+const INSULIN_GLUCOSE_UPTAKE = 0.15;
+const MIN_GLUCOSE = 0.5;
+
+// Sympathetic tone of a resting patient
+const RESTING_SYMPATHETIC_TONE = 0.5;
+
+// Lowest bicarbonate and potassium the model reaches (mmol/L)
+const MIN_HCO3 = 2;
+const MIN_POTASSIUM = 1.5;
+
+class ElectrolyteModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Return to normal plasma composition
+     */
+    reset() {
+      // Extracellular concentrations; potassium and calcium before the
+      // shifts caused by pH, insulin and citrate
+      this.values = { ...NORMAL_ELECTROLYTES };
+
+      // Citrate from blood products and unmeasured strong anions (mmol/L)
+      this.citrate = 0;
+      this.anions = 0;
+
+      // Potassium shifted out of the cells and calcium bound (mmol/L)
+      this.potassiumShift = 0;
+      this.calciumBound = 0;
+
+      // Results of the last calculation
+      this.hco3 = NORMAL_HCO3;
+      this.ph = NORMAL_PH;
+
+      // Intracellular volume at the last update (mL); null - not yet known
+      this.intracellularVolume = null;
+    }
+
+    /**
+     * @returns {number} Plasma potassium in mmol/L including the shifts
+     */
+    getPotassium() {
+      return Math.max(MIN_POTASSIUM, this.values.k + this.potassiumShift);
+    }
+
+    /**
+     * @returns {number} Ionised calcium in mmol/L after binding
+     */
+    getIonisedCalcium() {
+      return Math.max(0.1, this.values.ca - this.calciumBound);
+    }
+
+    /**
+     * @returns {number} Metabolic pH at the last update
+     */
+    getPh() {
+      return this.ph;
+    }
+
+    /**
+     * Plasma composition
+     * @returns {Object} na, k, cl, ca (ionised), mg, glucose, hco3 and
+     *   anion_gap in mmol/L
+     */
+    getState() {
+      return {
+        na: this.values.na,
+        k: this.getPotassium(),
+        cl: this.values.cl,
+        ca: this.getIonisedCalcium(),
+        mg: this.values.mg,
+        glucose: this.values.glucose,
+        hco3: this.hco3,
+        anion_gap: this.values.na - this.values.cl - this.hco3
+      };
+    }
+
+    /**
+     * Set a value from outside (scenario, instructor); shifts and binding
+     * stay as they are, bicarbonate is set through the unmeasured anions
+     * @param {string} param - na, k, cl, ca, mg, glucose or hco3
+     * @param {number} value - Concentration in mmol/L
+     * @returns {boolean} Whether the parameter is known
+     */
+    setValue(param, value) {
+      if (typeof value !== 'number' || Number.isNaN(value)) return false;
+
+      if (param === 'hco3') {
+        this.anions += this.hco3 - value;
+        this.hco3 = value;
+      } else if (param === 'k') {
+        this.values.k = value - this.potassiumShift;
+      } else if (param === 'ca') {
+        this.values.ca = value + this.calciumBound;
+      } else if (this.values[param] !== undefined) {
+        this.values[param] = value;
+      } else {
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Mix an infused fluid into the extracellular fluid
+     * @param {number} volume - Volume entering the extracellular fluid in mL
+     * @param {Object} composition - Concentrations of the fluid in mmol/L
+     *   (missing - none, the fluid dilutes them)
+     * @param {number} extracellularVolume - Extracellular volume in mL
+     */
+    infuse(volume, composition = {}, extracellularVolume) {
+      if (!(volume > 0) || !(extracellularVolume > 0)) return;
+
+      Object.entries(DISTRIBUTION_SPACE).forEach(([solute, space]) => {
+        const distribution = extracellularVolume * space;
+        const mixed = (this.getSolute(solute) * distribution + (composition[solute] || 0) * volume) / (distribution + volume);
+        this.setSolute(solute, mixed);
+      });
+    }
+
+    /**
+     * Add a load of ions or glucose given as a drug
+     * @param {Object} amounts - Amounts in mmol: { na, k, cl, ca, mg, glucose, anions }
+     * @param {number} extracellularVolume - Extracellular volume in mL
+     */
+    addLoad(amounts, extracellularVolume) {
+      if (!(extracellularVolume > 0)) return;
+
+      Object.entries(amounts).forEach(([solute, amount]) => {
+        const space = DISTRIBUTION_SPACE[solute];
+        if (space === undefined || !(amount > 0)) return;
+
+        this.setSolute(solute, this.getSolute(solute) + amount / (extracellularVolume * space / 1000));
+      });
+    }
+
+    /**
+     * @param {string} solute - Solute from DISTRIBUTION_SPACE
+     * @returns {number} Its concentration in mmol/L
+     */
+    getSolute(solute) {
+      if (solute === 'citrate' || solute === 'anions') return this[solute];
+      return this.values[solute];
+    }
+
+    /**
+     * @param {string} solute - Solute from DISTRIBUTION_SPACE
+     * @param {number} value - Concentration in mmol/L
+     */
+    setSolute(solute, value) {
+      if (solute === 'citrate' || solute === 'anions') {
+        this[solute] = value;
+      } else {
+        this.values[solute] = value;
+      }
+    }
+
+    /**
+     * Bicarbonate left by the strong ion difference
+     * @param {number} lactate - Lactate in mmol/L
+     * @param {number} metabolicAcidosis - Acidosis set by a scenario (0-1)
+     * @param {number} metabolicAlkalosis - Alkalosis set by a scenario (0-1)
+     * @returns {number} Bicarbonate in mmol/L
+     */
+    calculateBicarbonate(lactate, metabolicAcidosis = 0, metabolicAlkalosis = 0) {
+      const { na, cl, mg } = this.values;
+      const sid = na + 2 * this.getIonisedCalcium() + 2 * mg - cl - lactate - CITRATE_CHARGE * this.citrate - this.anions;
+
+      return Math.max(MIN_HCO3, sid - WEAK_ACIDS + METABOLIC_DISTURBANCE * (metabolicAlkalosis - metabolicAcidosis));
+    }
+
+    /**
+     * Advance the plasma composition
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - Patient conditions: extracellular_volume and
+     *   intracellular_volume (mL), paco2 (mmHg), lactate (mmol/L), insulin
+     *   action (0-1), sympathetic_tone (0-1), map (mmHg), cardiac_output
+     *   (L/min), arrest, metabolic_acidosis and metabolic_alkalosis (0-1)
+     * @returns {Object} Plasma composition (see getState)
+     */
+    update(seconds, {
+      extracellular_volume = 14000,
+      intracellular_volume = null,
+      paco2 = NORMAL_PACO2,
+      lactate = NORMAL_LACTATE,
+      insulin = 0,
+      sympathetic_tone = RESTING_SYMPATHETIC_TONE,
+      map = 93,
+      cardiac_output = 5,
+      arrest = false,
+      metabolic_acidosis = 0,
+      metabolic_alkalosis = 0
+    } = {}) {
+      const minutes = Math.max(0, seconds) / 60;
+      const share = timeConstant => 1 - Math.exp(-minutes / timeConstant);
+
+      // Water entering the cells leaves the ions behind in a smaller volume
+      if (intracellular_volume !== null && this.intracellularVolume !== null && extracellular_volume > 0) {
+        const factor = (extracellular_volume + intracellular_volume - this.intracellularVolume) / extracellular_volume;
+        Object.keys(DISTRIBUTION_SPACE).forEach(solute => {
+          this.setSolute(solute, this.getSolute(solute) * factor);
+        });
+      }
+      this.intracellularVolume = intracellular_volume;
+
+      // The liver metabolises citrate while there is blood flow
+      const hepaticFlow = arrest ? 0 : Math.min(1, Math.max(0, cardiac_output) / 5);
+      this.citrate *= 1 - share(CITRATE_TIME_CONSTANT) * hepaticFlow;
+
+      // Perfused kidneys return the ions to normal and excrete anions
+      const renal = arrest ? 0 : Math.min(1, Math.max(0, map - RENAL_MAP_THRESHOLD) / RENAL_MAP_RANGE);
+      if (renal > 0) {
+        ['na', 'ca', 'mg'].forEach(ion => {
+          this.values[ion] += (NORMAL_ELECTROLYTES[ion] - this.values[ion]) * share(RENAL_ION_TIME_CONSTANT) * renal;
+        });
+        this.values.k += (NORMAL_ELECTROLYTES.k - this.values.k) * share(RENAL_POTASSIUM_TIME_CONSTANT) * renal;
+        this.anions *= 1 - share(RENAL_ANION_TIME_CONSTANT) * renal;
+
+        // Chloride is retained or excreted until bicarbonate matches the CO2
+        const target = NORMAL_HCO3 + CHRONIC_COMPENSATION * (paco2 - NORMAL_PACO2);
+        this.values.cl += (this.hco3 - target) * share(RENAL_COMPENSATION_TIME_CONSTANT) * renal;
+      }
+
+      // Stress raises glucose, insulin drives it into the cells
+      const stress = STRESS_HYPERGLYCAEMIA * Math.max(0, sympathetic_tone - RESTING_SYMPATHETIC_TONE) / (1 - RESTING_SYMPATHETIC_TONE);
+      const glucoseTarget = NORMAL_ELECTROLYTES.glucose + stress;
+      this.values.glucose += (glucoseTarget - this.values.glucose) * share(GLUCOSE_TIME_CONSTANT);
+      this.values.glucose = Math.max(MIN_GLUCOSE, this.values.glucose - INSULIN_GLUCOSE_UPTAKE * insulin * minutes);
+
+      // Strong ion difference gives bicarbonate, CO2 gives the pH
+      this.hco3 = this.calculateBicarbonate(lactate, metabolic_acidosis, metabolic_alkalosis);
+      this.ph = BICARBONATE_PK + Math.log10(this.hco3 / (CO2_SOLUBILITY * Math.max(1, paco2)));
+
+      // A metabolic acidosis moves potassium out of the cells (a respiratory
+      // one barely does), insulin moves it in; citrate and alkalaemia bind
+      // ionised calcium
+      const metabolicPh = BICARBONATE_PK + Math.log10(this.hco3 / (CO2_SOLUBILITY * NORMAL_PACO2));
+      this.potassiumShift = POTASSIUM_PER_PH * 10 * (NORMAL_PH - metabolicPh) - INSULIN_POTASSIUM_SHIFT * insulin;
+      this.calciumBound = CITRATE_CALCIUM_BINDING * this.citrate + ALKALAEMIA_CALCIUM_BINDING * (this.ph - NORMAL_PH);
+
+      return this.getState();
+    }
+  }
+
+  export default ElectrolyteModel;
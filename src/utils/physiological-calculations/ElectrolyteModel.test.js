@@ -0,0 +1,135 @@
+import ElectrolyteModel, { NORMAL_ELECTROLYTES } from './ElectrolyteModel';
+import { runMinutes } from '../../core/testEngine';
+
+describe('ElectrolyteModel', () => {
+  test('bicarbonate fills the strong ion difference and sets the pH with the CO2', () => {
+    const model = new ElectrolyteModel();
+    const baseline = model.update(1);
+    expect(baseline).toMatchObject({ ...NORMAL_ELECTROLYTES, hco3: 24, anion_gap: 12 });
+    expect(model.getPh()).toBeCloseTo(7.41, 2);
+
+    // Saline carries more chloride than plasma and narrows the difference
+    model.infuse(3000, { na: 154, cl: 154 }, 14000);
+    const saline = model.update(1);
+    expect(saline.cl).toBeGreaterThan(baseline.cl + 4);
+    expect(saline.hco3).toBeLessThan(baseline.hco3 - 2);
+    expect(saline.anion_gap).toBeCloseTo(baseline.anion_gap, 0);
+
+    // Lactate takes the place of bicarbonate and widens the gap
+    model.reset();
+    const lactic = model.update(1, { lactate: 10 });
+    expect(lactic.hco3).toBeCloseTo(baseline.hco3 - 9, 5);
+    expect(lactic.anion_gap).toBeCloseTo(baseline.anion_gap + 9, 5);
+
+    // The same bicarbonate gives a lower pH at a higher CO2
+    model.reset();
+    model.update(1, { paco2: 60 });
+    expect(model.getPh()).toBeLessThan(7.25);
+
+    model.reset();
+    model.update(1, { metabolic_alkalosis: 1 });
+    expect(model.getState().hco3).toBeCloseTo(baseline.hco3 + 10, 5);
+  });
+
+  test('set values keep the shifts, and unknown parameters are refused', () => {
+    const model = new ElectrolyteModel();
+    model.update(1);
+
+    expect(model.setValue('hco3', 12)).toBe(true);
+    const acidotic = model.update(1);
+    expect(acidotic.hco3).toBeCloseTo(12, 1);
+    expect(acidotic.anion_gap).toBeCloseTo(24, 1);
+    expect(acidotic.k).toBeGreaterThan(5);
+
+    // A set potassium is the plasma value with the shift included
+    expect(model.setValue('k', 6)).toBe(true);
+    expect(model.getPotassium()).toBe(6);
+
+    expect(model.setValue('lactate', 3)).toBe(false);
+    expect(model.setValue('na', 'high')).toBe(false);
+    expect(model.setValue('na', NaN)).toBe(false);
+  });
+
+  test('insulin drives potassium and glucose into the cells, stress raises glucose', () => {
+    const model = new ElectrolyteModel();
+    const insulin = runMinutes(model, 20, { insulin: 1 });
+    expect(insulin.k).toBeCloseTo(NORMAL_ELECTROLYTES.k - 1.2, 1);
+    expect(insulin.glucose).toBeLessThan(4);
+
+    model.addLoad({ glucose: 100 }, 14000);
+    expect(model.getState().glucose).toBeGreaterThan(insulin.glucose + 4);
+
+    const stressed = runMinutes(new ElectrolyteModel(), 120, { sympathetic_tone: 1 });
+    expect(stressed.glucose).toBeGreaterThan(NORMAL_ELECTROLYTES.glucose + 5);
+
+    // Potassium never falls below the floor of the model
+    const depleted = new ElectrolyteModel();
+    depleted.setValue('k', 1);
+    expect(depleted.getPotassium()).toBe(1.5);
+  });
+
+  test('loads distribute beyond the extracellular fluid', () => {
+    const model = new ElectrolyteModel();
+    model.addLoad({ na: 50, k: 14, ca: 7, seawater: 100, cl: -10 }, 14000);
+    const state = model.getState();
+    expect(state.na).toBeCloseTo(NORMAL_ELECTROLYTES.na + 50 / 14, 5);
+    expect(state.k).toBeCloseTo(NORMAL_ELECTROLYTES.k + 14 / 14 / 1.4, 5);
+    expect(state.ca).toBeCloseTo(NORMAL_ELECTROLYTES.ca + 7 / 14 / 2, 5);
+    expect(state.cl).toBe(NORMAL_ELECTROLYTES.cl);
+
+    // Without a known volume nothing is mixed
+    model.addLoad({ na: 50 }, 0);
+    model.infuse(1000, { na: 0 }, 0);
+    model.infuse(-1000, { na: 0 }, 14000);
+    expect(model.getState().na).toBe(state.na);
+  });
+
+  test('citrate binds ionised calcium until the liver metabolises it', () => {
+    const model = new ElectrolyteModel();
+    model.update(1);
+    model.infuse(1000, { na: 160, k: 4, cl: 80, citrate: 20 }, 14000);
+
+    const transfused = model.update(1);
+    expect(transfused.ca).toBeLessThan(NORMAL_ELECTROLYTES.ca - 0.15);
+    expect(transfused.hco3).toBeLessThan(24);
+
+    // No blood flow, no clearance
+    const arrested = runMinutes(model, 30, { arrest: true, cardiac_output: 0 });
+    expect(arrested.ca).toBeCloseTo(transfused.ca, 1);
+
+    const cleared = runMinutes(model, 60);
+    expect(cleared.ca).toBeGreaterThan(transfused.ca + 0.15);
+  });
+
+  test('perfused kidneys correct the ions and compensate a chronic hypercapnia', () => {
+    const model = new ElectrolyteModel();
+    model.setValue('na', 130);
+    model.setValue('cl', 94);
+    model.setValue('hco3', 14);
+
+    const shocked = runMinutes(model, 600, { map: 45 });
+    expect(shocked.na).toBe(130);
+    expect(shocked.hco3).toBeCloseTo(14, 0);
+
+    const perfused = runMinutes(model, 1440);
+    expect(perfused.na).toBeGreaterThan(137);
+    expect(perfused.hco3).toBeGreaterThan(20);
+
+    // Chloride is excreted until bicarbonate matches the CO2
+    const chronic = runMinutes(new ElectrolyteModel(), 4320, { paco2: 60 });
+    expect(chronic.cl).toBeLessThan(NORMAL_ELECTROLYTES.cl - 4);
+    expect(chronic.hco3).toBeGreaterThan(29);
+  });
+
+  test('water entering the cells concentrates the extracellular ions', () => {
+    const model = new ElectrolyteModel();
+    model.update(60, { extracellular_volume: 14000, intracellular_volume: 28000 });
+    model.update(60, { extracellular_volume: 13000, intracellular_volume: 29000 });
+    expect(model.getState().na).toBeCloseTo(NORMAL_ELECTROLYTES.na * 14000 / 13000, 0);
+
+    // The volume is remembered afresh after a reset
+    model.reset();
+    model.update(60, { extracellular_volume: 13000, intracellular_volume: 29000 });
+    expect(model.getState().na).toBeCloseTo(NORMAL_ELECTROLYTES.na, 1);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * FluidCompartmentModel.js
+ *
+ * This module implements the body fluid compartments of an adult: plasma and
+ * red cells (together the blood volume), interstitial and intracellular
+ * water. Infused fluids enter the plasma and distribute by their kind:
+ * isotonic crystalloid filters into the interstitium until only about a fifth
+ * stays intravascular, free water (dextrose) also enters the cells, colloids
+ * and blood products stay intravascular and leak out slowly. Blood products
+ * bring red cells, clotting factors and platelets; crystalloids and colloids
+ * dilute them. After a haemorrhage interstitial fluid refills the plasma and
+ * dilutes the haemoglobin. An expanded interstitium together with a high
+ * venous pressure floods the lungs with oedema.
+ */
+
+// Normal compartment volumes of a 70 kg adult (mL) and haematocrit
+const NORMAL_PLASMA = 2900;
+const NORMAL_RED_CELLS = 2100;
+const NORMAL_INTERSTITIAL = 11000;
+const NORMAL_INTRACELLULAR = 28000;
+
+// Haemoglobin (g/dL) and platelet count (10⁹/L) at the normal haematocrit
+const NORMAL_HAEMOGLOBIN = 14;
+const NORMAL_PLATELETS = 250;
+
+// Time constants (minutes) of filtration of excess plasma into the
+// interstitium, of refill of the plasma from the interstitium, of the
+// colloid leak and of free water entering the cells
+const FILTRATION_TIME_CONSTANT = 30;
+const REFILL_TIME_CONSTANT = 90;
+const COLLOID_LEAK_TIME_CONSTANT = 360;
+const FREE_WATER_TIME_CONSTANT = 15;
+
+// Share of distributed free water that ends up inside the cells
+const INTRACELLULAR_SHARE = NORMAL_INTRACELLULAR / (NORMAL_INTRACELLULAR + NORMAL_INTERSTITIAL + NORMAL_PLASMA);
+
+// Pulmonary oedema: interstitial excess (mL) tolerated without oedema and
+// the excess that floods the lungs completely; venous pressure (mmHg) above
+// which hydrostatic oedema forms and the rise that floods the lungs; time
+// constant of lung water changes (minutes)
+const EDEMA_INTERSTITIAL_THRESHOLD = 1500;
+const EDEMA_INTERSTITIAL_RANGE = 4000;
+const EDEMA_CVP_THRESHOLD = 12;
+const EDEMA_CVP_RANGE = 12;
+const EDEMA_TIME_CONSTANT = 10;
+
+/**
+ * Resuscitation fluids: name, default volume of a bag or unit (mL),
+ * distribution kind (crystalloid, free_water or colloid), red cell share of
+ * the volume, clotting factor activity (share of normal plasma), platelets
+ * (10⁹ per unit), storage temperature (°C) at which the fluid is given and
+ * electrolytes of the fluid outside the red cells (mmol/L; citrate from the
+ * anticoagulant of blood products)
+ */
+export const FLUIDS = {
+  crystalloid: {
+    name: 'Раствор Рингера', volume: 500, kind: 'crystalloid', redCells: 0, factors: 0, platelets: 0, temperature: 21,
+    electrolytes: { na: 147, k: 4, cl: 156, ca: 2.2 }
+  },
+  dextrose: {
+    name: 'Глюкоза 5%', volume: 500, kind: 'free_water', redCells: 0, factors: 0, platelets: 0, temperature: 21,
+    electrolytes: { glucose: 278 }
+  },
+  colloid: {
+    name: 'Альбумин 5%', volume: 500, kind: 'colloid', redCells: 0, factors: 0, platelets: 0, temperature: 21,
+    electrolytes: { na: 145, cl: 120 }
+  },
+  packed_red_cells: {
+    name: 'Эритроцитная масса', volume: 300, kind: 'colloid', redCells: 0.6, factors: 0, platelets: 0, temperature: 4,
+    electrolytes: { na: 110, k: 30, cl: 80, glucose: 40, citrate: 15 }
+  },
+  plasma: {
+    name: 'Свежезамороженная плазма', volume: 250, kind: 'colloid', redCells: 0, factors: 1, platelets: 0, temperature: 4,
+    electrolytes: { na: 170, k: 4, cl: 75, glucose: 20, citrate: 20 }
+  },
+  platelets: {
+    name: 'Тромбоконцентрат', volume: 250, kind: 'colloid', redCells: 0, factors: 1, platelets: 300, temperature: 22,
+    electrolytes: { na: 160, k: 4, cl: 80, glucose: 20, citrate: 15 }
+  }
+};
+
+class FluidCompartmentModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Return to normal volumes and blood composition
+     */
+    reset() {
+      this.plasma = NORMAL_PLASMA;
+      this.redCells = NORMAL_RED_CELLS;
+      this.interstitial = NORMAL_INTERSTITIAL;
+      this.intracellular = NORMAL_INTRACELLULAR;
+
+      // Plasma held in the vessels by infused colloid (mL)
+      this.colloid = 0;
+
+      // Infused free water not yet distributed (mL)
+      this.freeWater = 0;
+
+      // Clotting factors in plasma-equivalent mL of normal activity and
+      // total platelets (10⁹)
+      this.factorVolume = NORMAL_PLASMA;
+      this.plateletCount = NORMAL_PLATELETS * (NORMAL_PLASMA + NORMAL_RED_CELLS) / 1000;
+
+      // Pulmonary oedema (0-1)
+      this.edema = 0;
+    }
+
+    /**
+     * @returns {number} Blood volume in mL
+     */
+    getBloodVolume() {
+      return this.plasma + this.redCells;
+    }
+
+    /**
+     * @returns {number} Haematocrit (0-1)
+     */
+    getHaematocrit() {
+      const volume = this.getBloodVolume();
+      return volume > 0 ? this.redCells / volume : 0;
+    }
+
+    /**
+     * @returns {number} Haemoglobin in g/dL
+     */
+    getHaemoglobin() {
+      return NORMAL_HAEMOGLOBIN * this.getHaematocrit() / (NORMAL_RED_CELLS / (NORMAL_PLASMA + NORMAL_RED_CELLS));
+    }
+
+    /**
+     * @returns {number} Platelet count in 10⁹/L
+     */
+    getPlatelets() {
+      const volume = this.getBloodVolume();
+      return volume > 0 ? this.plateletCount / (volume / 1000) : 0;
+    }
+
+    /**
+     * @returns {number} Clotting factor activity (share of normal)
+     */
+    getClottingFactors() {
+      return this.plasma > 0 ? this.factorVolume / this.plasma : 0;
+    }
+
+    /**
+     * @returns {number} Pulmonary oedema (0-1)
+     */
+    getPulmonaryEdema() {
+      return this.edema;
+    }
+
+    /**
+     * Volumes and blood composition
+     * @returns {Object} blood_volume, plasma_volume, interstitial_volume and
+     *   intracellular_volume in mL, hb in g/dL, hct in %, platelets in 10⁹/L,
+     *   coagulation_factors in % of normal and pulmonary_edema (0-1)
+     */
+    getState() {
+      return {
+        blood_volume: this.getBloodVolume(),
+        plasma_volume: this.plasma,
+        interstitial_volume: this.interstitial,
+        intracellular_volume: this.intracellular,
+        hb: this.getHaemoglobin(),
+        hct: this.getHaematocrit() * 100,
+        platelets: this.getPlatelets(),
+        coagulation_factors: this.getClottingFactors() * 100,
+        pulmonary_edema: this.edema
+      };
+    }
+
+    /**
+     * Infuse a fluid into the plasma
+     * @param {string} type - Fluid from FLUIDS
+     * @param {number} volume - Volume in mL (default - one bag or unit)
+     * @returns {Object|null} type and volume given, or null for an unknown fluid or volume
+     */
+    administer(type, volume = FLUIDS[type] && FLUIDS[type].volume) {
+      const fluid = FLUIDS[type];
+      if (!fluid || !(volume > 0)) return null;
+
+      const redCells = volume * fluid.redCells;
+      const plasma = volume - redCells;
+
+      this.redCells += redCells;
+      this.plasma += plasma;
+      this.factorVolume += plasma * fluid.factors;
+      this.plateletCount += fluid.platelets * volume / fluid.volume;
+
+      if (fluid.kind === 'colloid') {
+        this.colloid += plasma;
+      } else if (fluid.kind === 'free_water') {
+        this.freeWater += volume;
+      }
+
+      return { type, volume };
+    }
+
+    /**
+     * Lose whole blood; plasma, red cells, clotting factors and platelets
+     * fall in proportion
+     * @param {number} volume - Volume in mL
+     */
+    removeBlood(volume) {
+      const total = this.getBloodVolume();
+      if (!(volume > 0) || total <= 0) return;
+
+      this.scaleBlood(Math.max(0, 1 - volume / total));
+    }
+
+    /**
+     * Set the blood volume from outside (scenario, instructor) as if whole
+     * blood of the current composition was added or removed
+     * @param {number} volume - Blood volume in mL
+     */
+    setBloodVolume(volume) {
+      const total = this.getBloodVolume();
+      if (!(volume >= 0) || total <= 0) return;
+
+      this.scaleBlood(volume / total);
+    }
+
+    /**
+     * Scale every blood constituent by the same factor
+     * @param {number} factor - Multiplier
+     */
+    scaleBlood(factor) {
+      this.plasma *= factor;
+      this.redCells *= factor;
+      this.colloid *= factor;
+      this.freeWater *= factor;
+      this.factorVolume *= factor;
+      this.plateletCount *= factor;
+    }
+
+    /**
+     * Advance the distribution of fluid between compartments
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - Patient conditions: cvp (mmHg)
+     * @returns {Object} Volumes and blood composition (see getState)
+     */
+    update(seconds, { cvp = 8 } = {}) {
+      const minutes = Math.max(0, seconds) / 60;
+      const share = timeConstant => 1 - Math.exp(-minutes / timeConstant);
+
+      // Colloid leaks out of the vessels and then behaves as crystalloid
+      this.colloid *= 1 - share(COLLOID_LEAK_TIME_CONSTANT);
+
+      // Free water distributes over the whole body water, mostly into the cells
+      const distributed = this.freeWater * share(FREE_WATER_TIME_CONSTANT);
+      this.freeWater -= distributed;
+      this.plasma -= distributed * INTRACELLULAR_SHARE;
+      this.intracellular += distributed * INTRACELLULAR_SHARE;
+
+      // Plasma not held by colloid equilibrates with the interstitium in
+      // the normal proportion: excess filters out, a deficit is refilled
+      const ratio = NORMAL_INTERSTITIAL / NORMAL_PLASMA;
+      const freePlasma = Math.max(0, this.plasma - this.colloid);
+      const excess = (ratio * freePlasma - this.interstitial) / (1 + ratio);
+      const shift = excess * share(excess > 0 ? FILTRATION_TIME_CONSTANT : REFILL_TIME_CONSTANT);
+      this.plasma -= shift;
+      this.interstitial += shift;
+
+      // Lung water follows the interstitial excess and the venous pressure
+      const overload = Math.max(0, this.interstitial - NORMAL_INTERSTITIAL - EDEMA_INTERSTITIAL_THRESHOLD) / EDEMA_INTERSTITIAL_RANGE;
+      const hydrostatic = Math.max(0, cvp - EDEMA_CVP_THRESHOLD) / EDEMA_CVP_RANGE;
+      const target = Math.min(1, overload + hydrostatic);
+      this.edema += (target - this.edema) * share(EDEMA_TIME_CONSTANT);
+
+      return this.getState();
+    }
+  }
+
+  export default FluidCompartmentModel;
@@ -0,0 +1,78 @@
+import FluidCompartmentModel from './FluidCompartmentModel';
+import { runMinutes } from '../../core/testEngine';
+
+describe('FluidCompartmentModel', () => {
+  test('crystalloid leaves the vessels, colloid stays and free water enters the cells', () => {
+    const baseline = new FluidCompartmentModel().getState();
+    expect(baseline).toMatchObject({ blood_volume: 5000, hb: 14, hct: 42, platelets: 250, coagulation_factors: 100, pulmonary_edema: 0 });
+
+    const crystalloid = new FluidCompartmentModel();
+    expect(crystalloid.administer('crystalloid', 1000)).toEqual({ type: 'crystalloid', volume: 1000 });
+    expect(crystalloid.getBloodVolume()).toBe(6000);
+    const afterCrystalloid = runMinutes(crystalloid, 120);
+    expect(afterCrystalloid.blood_volume - baseline.blood_volume).toBeLessThan(300);
+    expect(afterCrystalloid.interstitial_volume - baseline.interstitial_volume).toBeGreaterThan(700);
+    expect(afterCrystalloid.intracellular_volume).toBe(baseline.intracellular_volume);
+    expect(afterCrystalloid.hb).toBeLessThan(baseline.hb);
+
+    const colloid = new FluidCompartmentModel();
+    colloid.administer('colloid', 1000);
+    expect(runMinutes(colloid, 120).blood_volume - baseline.blood_volume).toBeGreaterThan(700);
+
+    const dextrose = new FluidCompartmentModel();
+    dextrose.administer('dextrose', 1000);
+    const afterDextrose = runMinutes(dextrose, 120);
+    expect(afterDextrose.intracellular_volume - baseline.intracellular_volume).toBeGreaterThan(500);
+    expect(afterDextrose.blood_volume - baseline.blood_volume).toBeLessThan(150);
+
+    expect(dextrose.administer('seawater', 500)).toBeNull();
+    expect(dextrose.administer('crystalloid', -500)).toBeNull();
+  });
+
+  test('haemorrhage and dilution take away what blood products bring', () => {
+    const model = new FluidCompartmentModel();
+
+    // Whole blood loss keeps the composition until the interstitium refills the plasma
+    model.removeBlood(1500);
+    expect(model.getState()).toMatchObject({ blood_volume: 3500, hb: 14, coagulation_factors: 100 });
+    const refilled = runMinutes(model, 60);
+    expect(refilled.blood_volume).toBeGreaterThan(3700);
+    expect(refilled.hb).toBeLessThan(13);
+
+    model.administer('crystalloid', 2000);
+    const diluted = runMinutes(model, 10);
+    expect(diluted.coagulation_factors).toBeLessThan(80);
+    expect(diluted.platelets).toBeLessThan(200);
+
+    // A red cell unit brings 180 mL of red cells and no factors
+    model.administer('packed_red_cells');
+    expect(model.redCells - refilled.blood_volume * refilled.hct / 100).toBeCloseTo(180);
+    expect(model.getClottingFactors() * 100).toBeLessThan(diluted.coagulation_factors);
+
+    const beforePlasma = model.getClottingFactors();
+    model.administer('plasma');
+    expect(model.getClottingFactors()).toBeGreaterThan(beforePlasma);
+    const beforePlatelets = model.getPlatelets();
+    model.administer('platelets');
+    expect(model.getPlatelets()).toBeGreaterThan(beforePlatelets + 30);
+
+    // A volume set from outside keeps the composition
+    const hb = model.getHaemoglobin();
+    model.setBloodVolume(4000);
+    expect(model.getBloodVolume()).toBeCloseTo(4000);
+    expect(model.getHaemoglobin()).toBeCloseTo(hb);
+
+    model.reset();
+    expect(model.getState()).toMatchObject({ blood_volume: 5000, hb: 14, coagulation_factors: 100 });
+  });
+
+  test('interstitial overload and a high venous pressure flood the lungs', () => {
+    const congested = new FluidCompartmentModel();
+    expect(runMinutes(congested, 10, { cvp: 8 }).pulmonary_edema).toBe(0);
+    expect(runMinutes(congested, 10, { cvp: 24 }).pulmonary_edema).toBeCloseTo(1 - Math.exp(-1), 2);
+
+    const overloaded = new FluidCompartmentModel();
+    overloaded.administer('crystalloid', 6000);
+    expect(runMinutes(overloaded, 120).pulmonary_edema).toBeGreaterThan(0.3);
+  });
+});
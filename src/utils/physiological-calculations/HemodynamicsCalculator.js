@@ -3,7 +3,8 @@
  * 
  * This module calculates hemodynamic parameters based on a patient's physiological state.
  * It models cardiovascular dynamics including cardiac output, vascular resistance, 
- * and pressure relationships.
+ * and pressure relationships. Preload (CVP) and contractility are taken from the
+ * state produced by the CardiovascularModel.
  */
 
 class HemodynamicsCalculator {
@@ -114,7 +115,8 @@ class HemodynamicsCalculator {
     calculateStrokeVolume(patientState) {
       const {
         contractility = 1.0,       // Myocardial contractility (normal = 1.0)
-        preload = 8,               // Preload estimate (e.g., CVP or PCWP) in mmHg
+        cvp = 8,                   // Central venous pressure in mmHg
+        preload = cvp,             // Preload estimate (e.g., CVP or PCWP) in mmHg
         afterload,                 // Afterload (can be MAP or SVR)
         systolic = 120,            // Systolic blood pressure in mmHg
         diastolic = 80,            // Diastolic blood pressure in mmHg
@@ -236,7 +238,8 @@ class HemodynamicsCalculator {
      */
     estimateEDV(patientState) {
       const {
-        preload = 8,              // Preload estimate (CVP or PCWP) in mmHg
+        cvp = 8,                  // Central venous pressure in mmHg
+        preload = cvp,            // Preload estimate (CVP or PCWP) in mmHg
         age = 50,                 // Age in years
         gender = 'male',          // Gender
         heart_failure = 0,        // Heart failure severity (0-1)
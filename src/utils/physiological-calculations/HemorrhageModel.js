@@ -0,0 +1,354 @@
+/**
+ * HemorrhageModel.js
+ *
+ * This module implements haemorrhage from named sites (external wound,
+ * haemothorax, intra-abdominal, pelvic and long-bone fractures) as a rate in
+ * mL/min. The rate falls with the arterial pressure and rises with
+ * coagulopathy; a tourniquet, direct pressure (or a pelvic binder) and
+ * surgical control stop part or all of the bleeding from the sites they
+ * apply to. The cumulative loss gives the ATLS class of haemorrhagic shock.
+ * The model also tracks the lethal triad: hypothermia from cold infusions and
+ * shock, lactic acidosis from a low oxygen delivery and coagulopathy from
+ * dilution of clotting factors and platelets, made worse by hypothermia and
+ * acidosis.
+ */
+
+/**
+ * Bleeding sites: name, default rate (mL/min) and the share of bleeding each
+ * control stops at this site
+ */
+export const HEMORRHAGE_SITES = {
+  external: { name: 'Наружное кровотечение', rate: 150, controls: { tourniquet: 1, pressure: 0.7, surgical: 1 } },
+  thoracic: { name: 'Гемоторакс', rate: 100, controls: { surgical: 1 } },
+  abdominal: { name: 'Внутрибрюшное кровотечение', rate: 200, controls: { surgical: 1 } },
+  pelvic: { name: 'Перелом костей таза', rate: 150, controls: { pressure: 0.5, surgical: 1 } },
+  long_bone: { name: 'Перелом бедренной кости', rate: 50, controls: { tourniquet: 1, pressure: 0.5, surgical: 1 } }
+};
+
+/**
+ * Haemorrhage control interventions
+ */
+export const HEMORRHAGE_CONTROLS = {
+  tourniquet: { name: 'Кровоостанавливающий жгут' },
+  pressure: { name: 'Прямое давление, тазовый бандаж' },
+  surgical: { name: 'Хирургический гемостаз' }
+};
+
+// Normal blood volume (mL) and the lost shares that start ATLS classes II,
+// III and IV
+const NORMAL_BLOOD_VOLUME = 5000;
+const SHOCK_CLASS_THRESHOLDS = [0.15, 0.3, 0.4];
+
+// Mean arterial pressure (mmHg) at which sites bleed at their set rate and
+// the largest rise of the rate with hypertension
+const REFERENCE_MAP = 90;
+const MAX_PRESSURE_FACTOR = 1.5;
+
+// Rise of the bleeding rate with complete coagulopathy
+const COAGULOPATHY_BLEEDING = 1;
+
+// Heat capacity of a 70 kg body (kcal/°C), core temperature and the heat
+// lost per minute in complete shock (°C/min); the body rewarms itself with
+// this time constant (minutes) while the perfusion is adequate
+const BODY_HEAT_CAPACITY = 58;
+const CORE_TEMPERATURE = 37;
+const SHOCK_HEAT_LOSS = 0.02;
+const REWARMING_TIME_CONSTANT = 120;
+
+// Normal oxygen delivery: cardiac output (L/min) and haemoglobin (g/dL); below
+// the critical share of it the tissues produce lactate at up to this rate
+// (mmol/L per minute) and clear it with this time constant (minutes) above it
+const NORMAL_CARDIAC_OUTPUT = 5;
+const NORMAL_HAEMOGLOBIN = 14;
+const CRITICAL_DELIVERY = 0.5;
+const SHOCK_LACTATE_RISE = 0.5;
+const LACTATE_CLEARANCE = 60;
+
+// Share of the blood volume whose loss the sympathetic response offsets by
+// shunting blood away from the gut, skin and muscle; beyond it these tissues
+// are hypoperfused even at a near-normal pressure, completely when a further
+// share of the volume is lost
+const COMPENSATED_VOLUME_LOSS = 0.25;
+const DECOMPENSATED_VOLUME_LOSS = 0.25;
+
+// Clotting impairment: platelet count (10⁹/L) below which clots weaken, loss
+// of enzyme activity per °C below 36 °C and per mmol/L of lactate above 2
+const PLATELET_THRESHOLD = 100;
+const HYPOTHERMIA_IMPAIRMENT = 0.1;
+const ACIDOSIS_IMPAIRMENT = 0.05;
+
+class HemorrhageModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Stop all bleeding and forget the loss and the lethal triad
+     */
+    reset() {
+      // Set rate (mL/min) and applied controls of each bleeding site
+      this.sites = {};
+
+      // Cumulative blood loss (mL), current bleeding rate (mL/min), the
+      // rate of bleeding without a site (mL/min) and the last mean arterial
+      // pressure (mmHg)
+      this.bloodLoss = 0;
+      this.rate = 0;
+      this.extraRate = 0;
+      this.map = REFERENCE_MAP;
+
+      // Heat deficit (°C below the normal temperature), lactate above
+      // normal (mmol/L) and coagulopathy (0-1)
+      this.heatDeficit = 0;
+      this.lactate = 0;
+      this.coagulopathy = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is or has been a haemorrhage
+     */
+    isActive() {
+      return Object.keys(this.sites).length > 0 || this.bloodLoss > 0;
+    }
+
+    /**
+     * Start, change or stop bleeding from a site; a new bleed from a site
+     * has no controls
+     * @param {string} site - Site from HEMORRHAGE_SITES
+     * @param {number} rate - Rate in mL/min (default - typical for the site, 0 stops it)
+     * @returns {Object|null} site and rate, or null for an unknown site or rate
+     */
+    setSite(site, rate = HEMORRHAGE_SITES[site] && HEMORRHAGE_SITES[site].rate) {
+      if (!HEMORRHAGE_SITES[site] || !(rate >= 0)) return null;
+
+      if (rate === 0) {
+        delete this.sites[site];
+      } else if (this.sites[site]) {
+        this.sites[site].rate = rate;
+      } else {
+        this.sites[site] = { rate, controls: [] };
+      }
+
+      this.updateRate();
+      return { site, rate };
+    }
+
+    /**
+     * Apply a control to one bleeding site or to every bleeding site it
+     * works for
+     * @param {string} control - Control from HEMORRHAGE_CONTROLS
+     * @param {string} site - Site from HEMORRHAGE_SITES (default - all bleeding sites)
+     * @returns {Object|null} control and the sites it was applied to, or null
+     *   for an unknown control or a site where it does not work
+     */
+    applyControl(control, site = null) {
+      if (!HEMORRHAGE_CONTROLS[control]) return null;
+
+      const targets = (site ? [site] : Object.keys(this.sites))
+        .filter(id => this.sites[id] && HEMORRHAGE_SITES[id].controls[control]);
+      if (targets.length === 0) return null;
+
+      targets.forEach(id => {
+        if (!this.sites[id].controls.includes(control)) {
+          this.sites[id].controls.push(control);
+        }
+      });
+
+      this.updateRate();
+      return { control, sites: targets };
+    }
+
+    /**
+     * Share of bleeding from a site that its controls stop
+     * @param {string} site - Site from HEMORRHAGE_SITES
+     * @returns {number} Share (0-1)
+     */
+    getControl(site) {
+      const bleed = this.sites[site];
+      if (!bleed) return 0;
+
+      return bleed.controls.reduce((share, control) =>
+        Math.max(share, HEMORRHAGE_SITES[site].controls[control] || 0), 0);
+    }
+
+    /**
+     * Bleeding rate of a site at the current pressure and coagulation
+     * @param {string} site - Site from HEMORRHAGE_SITES
+     * @param {Object} conditions - map (mmHg)
+     * @returns {number} Rate in mL/min
+     */
+    getSiteRate(site, { map = REFERENCE_MAP } = {}) {
+      const bleed = this.sites[site];
+      if (!bleed) return 0;
+
+      const pressure = Math.min(MAX_PRESSURE_FACTOR, Math.max(0, map) / REFERENCE_MAP);
+      return bleed.rate * (1 - this.getControl(site)) * pressure * (1 + COAGULOPATHY_BLEEDING * this.coagulopathy);
+    }
+
+    /**
+     * Recalculate the total bleeding rate at the last pressure
+     */
+    updateRate() {
+      this.rate = this.extraRate + Object.keys(this.sites)
+        .reduce((sum, site) => sum + this.getSiteRate(site, { map: this.map }), 0);
+    }
+
+    /**
+     * @returns {number} Total bleeding rate in mL/min
+     */
+    getRate() {
+      return this.rate;
+    }
+
+    /**
+     * @returns {number} Cumulative blood loss in mL
+     */
+    getBloodLoss() {
+      return this.bloodLoss;
+    }
+
+    /**
+     * Count blood lost outside the sites (a scenario or the instructor
+     * lowering the blood volume)
+     * @param {number} volume - Volume in mL
+     */
+    recordLoss(volume) {
+      if (volume > 0) {
+        this.bloodLoss += volume;
+      }
+    }
+
+    /**
+     * ATLS class of haemorrhagic shock by the lost share of the normal blood
+     * volume: I - up to 15%, II - 15-30%, III - 30-40%, IV - over 40%
+     * @returns {number} Class (1-4)
+     */
+    getShockClass() {
+      const share = this.bloodLoss / NORMAL_BLOOD_VOLUME;
+      return 1 + SHOCK_CLASS_THRESHOLDS.filter(threshold => share >= threshold).length;
+    }
+
+    /**
+     * Cool the body with an infused fluid
+     * @param {number} volume - Volume in mL
+     * @param {number} temperature - Fluid temperature in °C
+     */
+    infuse(volume, temperature = CORE_TEMPERATURE) {
+      if (!(volume > 0)) return;
+
+      this.heatDeficit += volume / 1000 * Math.max(0, CORE_TEMPERATURE - temperature) / BODY_HEAT_CAPACITY;
+    }
+
+    /**
+     * @returns {number} Core temperature fall from cold fluids and shock (°C)
+     */
+    getHeatDeficit() {
+      return this.heatDeficit;
+    }
+
+    /**
+     * @returns {number} Lactate from inadequate oxygen delivery above normal (mmol/L)
+     */
+    getLactate() {
+      return this.lactate;
+    }
+
+    /**
+     * @returns {number} Coagulopathy (0-1; 0 - normal clotting)
+     */
+    getCoagulopathy() {
+      return this.coagulopathy;
+    }
+
+    /**
+     * Clotting activity from clotting factors and platelets, weakened by
+     * hypothermia and acidosis
+     * @param {Object} conditions - coagulation_factors (% of normal),
+     *   platelets (10⁹/L), temperature (°C), lactate (mmol/L)
+     * @returns {number} Coagulopathy (0-1)
+     */
+    calculateCoagulopathy({ coagulation_factors = 100, platelets = 250, temperature = 36.6, lactate = 1 } = {}) {
+      const factors = Math.max(0, coagulation_factors) / 100;
+      const clots = Math.sqrt(Math.min(1, Math.max(0, platelets) / PLATELET_THRESHOLD));
+      const hypothermia = Math.max(0, 1 - HYPOTHERMIA_IMPAIRMENT * Math.max(0, 36 - temperature));
+      const acidosis = Math.max(0, 1 - ACIDOSIS_IMPAIRMENT * Math.max(0, lactate - 2));
+
+      return 1 - Math.min(1, factors * clots * hypothermia * acidosis);
+    }
+
+    /**
+     * Advance bleeding and the lethal triad
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - Patient conditions: map (mmHg),
+     *   cardiac_output (L/min), hb (g/dL), blood_volume (mL), arrest, coagulation inputs (see
+     *   calculateCoagulopathy), extra_rate - bleeding without a site (mL/min),
+     *   available - blood that can still be lost (mL)
+     * @returns {number} Blood lost during the step in mL
+     */
+    update(seconds, conditions = {}) {
+      const {
+        map = REFERENCE_MAP,
+        cardiac_output = NORMAL_CARDIAC_OUTPUT,
+        hb = NORMAL_HAEMOGLOBIN,
+        blood_volume = NORMAL_BLOOD_VOLUME,
+        arrest = false,
+        extra_rate = 0,
+        available = Infinity
+      } = conditions;
+      const minutes = Math.max(0, seconds) / 60;
+
+      this.coagulopathy = this.calculateCoagulopathy(conditions);
+      this.map = map;
+      this.extraRate = Math.max(0, extra_rate);
+      this.updateRate();
+
+      const loss = Math.min(this.rate * minutes, Math.max(0, available));
+      this.bloodLoss += loss;
+
+      // Tissues are hypoperfused by a low oxygen delivery or by a volume loss
+      // too large to compensate; during an arrest the post-arrest model
+      // accounts for ischaemia
+      const delivery = (Math.max(0, cardiac_output) / NORMAL_CARDIAC_OUTPUT) * (Math.max(0, hb) / NORMAL_HAEMOGLOBIN);
+      const volumeLoss = 1 - Math.max(0, blood_volume) / NORMAL_BLOOD_VOLUME;
+      const hypoperfusion = arrest ? 0 : Math.min(1, Math.max(
+        Math.max(0, CRITICAL_DELIVERY - delivery) / CRITICAL_DELIVERY,
+        Math.max(0, volumeLoss - COMPENSATED_VOLUME_LOSS) / DECOMPENSATED_VOLUME_LOSS
+      ));
+
+      if (hypoperfusion > 0) {
+        this.lactate += SHOCK_LACTATE_RISE * hypoperfusion * minutes;
+        this.heatDeficit += SHOCK_HEAT_LOSS * hypoperfusion * minutes;
+      } else {
+        this.lactate *= Math.exp(-minutes / LACTATE_CLEARANCE);
+        this.heatDeficit *= Math.exp(-minutes / REWARMING_TIME_CONSTANT);
+      }
+
+      return loss;
+    }
+
+    /**
+     * Bleeding sites, loss, shock class and the lethal triad
+     * @returns {Object} sites ({ site, name, rate, controls, currentRate }),
+     *   rate (mL/min), bloodLoss (mL), shockClass, heatDeficit (°C),
+     *   lactate (mmol/L above normal) and coagulopathy (0-1)
+     */
+    getSummary() {
+      return {
+        sites: Object.keys(this.sites).map(site => ({
+          site,
+          name: HEMORRHAGE_SITES[site].name,
+          rate: this.sites[site].rate,
+          controls: [...this.sites[site].controls],
+          currentRate: Math.round(this.getSiteRate(site, { map: this.map }))
+        })),
+        rate: Math.round(this.rate),
+        bloodLoss: Math.round(this.bloodLoss),
+        shockClass: this.getShockClass(),
+        heatDeficit: Math.round(this.heatDeficit * 10) / 10,
+        lactate: Math.round(this.lactate * 10) / 10,
+        coagulopathy: Math.round(this.coagulopathy * 100) / 100
+      };
+    }
+  }
+
+  export default HemorrhageModel;
@@ -0,0 +1,91 @@
+import HemorrhageModel from './HemorrhageModel';
+
+describe('HemorrhageModel', () => {
+  test('controls stop bleeding only from the sites they apply to', () => {
+    const hemorrhage = new HemorrhageModel();
+    expect(hemorrhage.isActive()).toBe(false);
+    expect(hemorrhage.setSite('nosebleed', 100)).toBeNull();
+    expect(hemorrhage.setSite('abdominal', -5)).toBeNull();
+
+    expect(hemorrhage.setSite('external')).toEqual({ site: 'external', rate: 150 });
+    hemorrhage.setSite('thoracic');
+    expect(hemorrhage.getRate()).toBe(250);
+
+    // A tourniquet does not help a haemothorax
+    expect(hemorrhage.applyControl('tourniquet', 'thoracic')).toBeNull();
+    expect(hemorrhage.applyControl('pressure', 'pelvic')).toBeNull();
+    expect(hemorrhage.applyControl('prayer')).toBeNull();
+    expect(hemorrhage.applyControl('tourniquet')).toEqual({ control: 'tourniquet', sites: ['external'] });
+    expect(hemorrhage.getRate()).toBe(100);
+
+    // The most effective control of a site counts
+    hemorrhage.applyControl('pressure', 'external');
+    expect(hemorrhage.getControl('external')).toBe(1);
+
+    expect(hemorrhage.applyControl('surgical')).toEqual({ control: 'surgical', sites: ['external', 'thoracic'] });
+    expect(hemorrhage.getRate()).toBe(0);
+
+    // A new bleed from the site has no controls; a rate of zero stops it
+    hemorrhage.setSite('thoracic', 0);
+    hemorrhage.setSite('thoracic', 80);
+    expect(hemorrhage.getSummary().sites[1]).toMatchObject({ site: 'thoracic', rate: 80, controls: [], currentRate: 80 });
+  });
+
+  test('the rate falls with the pressure and rises with coagulopathy', () => {
+    const hemorrhage = new HemorrhageModel();
+    hemorrhage.setSite('abdominal', 200);
+
+    expect(hemorrhage.getSiteRate('abdominal', { map: 45 })).toBe(100);
+    expect(hemorrhage.getSiteRate('abdominal', { map: 200 })).toBe(300);
+
+    hemorrhage.update(60, { map: 90, coagulation_factors: 50 });
+    expect(hemorrhage.getCoagulopathy()).toBeCloseTo(0.5);
+    expect(hemorrhage.getRate()).toBeCloseTo(300);
+  });
+
+  test('cumulative loss sets the ATLS shock class', () => {
+    const hemorrhage = new HemorrhageModel();
+    expect(hemorrhage.getShockClass()).toBe(1);
+
+    hemorrhage.setSite('abdominal', 300);
+    expect(hemorrhage.update(60)).toBe(300);
+    expect(hemorrhage.update(60, { available: 100 })).toBe(100);
+    expect(hemorrhage.getShockClass()).toBe(1);
+
+    hemorrhage.recordLoss(400);
+    expect(hemorrhage.getShockClass()).toBe(2);
+    hemorrhage.recordLoss(700);
+    expect(hemorrhage.getShockClass()).toBe(3);
+    hemorrhage.recordLoss(500);
+    expect(hemorrhage.getSummary()).toMatchObject({ bloodLoss: 2000, shockClass: 4 });
+
+    hemorrhage.reset();
+    expect(hemorrhage.isActive()).toBe(false);
+  });
+
+  test('cold fluids, shock and dilution make up the lethal triad', () => {
+    const hemorrhage = new HemorrhageModel();
+
+    // A litre of fluid at 4 °C
+    hemorrhage.infuse(1000, 4);
+    expect(hemorrhage.getHeatDeficit()).toBeCloseTo(33 / 58);
+
+    // Half the critical oxygen delivery: lactate rises and the body cools
+    const heat = hemorrhage.getHeatDeficit();
+    hemorrhage.update(600, { cardiac_output: 1.25 });
+    expect(hemorrhage.getLactate()).toBeCloseTo(2.5);
+    expect(hemorrhage.getHeatDeficit()).toBeCloseTo(heat + 0.1);
+
+    // An uncompensated volume loss is hypoperfusion at a normal output; an arrest is not counted
+    hemorrhage.update(600, { blood_volume: 3125 });
+    expect(hemorrhage.getLactate()).toBeCloseTo(5);
+    hemorrhage.update(600, { cardiac_output: 0, arrest: true });
+    expect(hemorrhage.getLactate()).toBeLessThan(5);
+
+    expect(hemorrhage.calculateCoagulopathy()).toBe(0);
+    expect(hemorrhage.calculateCoagulopathy({ coagulation_factors: 50 })).toBeCloseTo(0.5);
+    expect(hemorrhage.calculateCoagulopathy({ platelets: 25 })).toBeCloseTo(0.5);
+    expect(hemorrhage.calculateCoagulopathy({ temperature: 34 })).toBeCloseTo(0.2);
+    expect(hemorrhage.calculateCoagulopathy({ lactate: 6 })).toBeCloseTo(0.2);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * LaboratoryCalculator.js
+ *
+ * This module turns the physiological state of the patient into laboratory
+ * results, so a test reflects what the patient went through. The blood count
+ * comes from the fluid compartments (haemorrhage, dilution and transfusion set
+ * haemoglobin and platelets), the chemistry from the electrolyte and renal
+ * models, lactate from the oxygen delivery, troponin from the ischaemia model
+ * and the clotting times from the coagulation factors and the coagulopathy of
+ * the lethal triad. Values are returned unrounded in laboratory units; the
+ * blood gases are calculated by the BloodGasCalculator. Each orderable test is
+ * calculated on its own, so a test that was not ordered has no result.
+ */
+
+import BloodGasCalculator from './BloodGasCalculator';
+
+// Mean corpuscular volume (fL) that converts the haematocrit into a red cell count
+const MEAN_CELL_VOLUME = 90;
+
+// INR, prothrombin time (s), APTT (s) and fibrinogen (g/L) at normal factor activity
+const NORMAL_INR = 1.1;
+const NORMAL_PT = 12.3;
+const NORMAL_APTT = 32.5;
+const NORMAL_FIBRINOGEN = 3.2;
+
+class LaboratoryCalculator {
+    constructor() {
+      this.bloodGasCalculator = new BloodGasCalculator();
+    }
+
+    /**
+     * Complete blood count
+     * @param {Object} state - Patient state
+     * @returns {Object} hb in g/L, rbc in 10¹²/L, hct in %, wbc and platelets in 10⁹/L
+     */
+    calculateCompleteBloodCount({ hb = 14, hct = 42, wbc = 6.5, platelets = 250 } = {}) {
+      return {
+        hb: hb * 10,
+        rbc: hct * 10 / MEAN_CELL_VOLUME,
+        hct,
+        wbc,
+        platelets
+      };
+    }
+
+    /**
+     * Basic metabolic panel: glucose, renal function, electrolytes, bicarbonate
+     * and anion gap
+     * @param {Object} state - Patient state
+     * @returns {Object} Concentrations in mmol/L (creatinine in µmol/L)
+     */
+    calculateBasicMetabolicPanel(state = {}) {
+      const {
+        glucose = 5.5, creatinine = 80, urea = 5,
+        na = 140, k = 4, cl = 104, ca = 1.2, mg = 0.9, hco3 = 24
+      } = state;
+
+      return {
+        glucose,
+        creatinine,
+        urea,
+        na,
+        k,
+        cl,
+        ca,
+        mg,
+        hco3,
+        anion_gap: na - cl - hco3
+      };
+    }
+
+    /**
+     * Clotting tests. Dilution of the clotting factors (% of normal) lowers
+     * fibrinogen and prolongs the clotting times; the coagulopathy of the lethal
+     * triad (0-1, with hypothermia and acidosis) impairs them beyond dilution.
+     * @param {Object} state - Patient state
+     * @returns {Object} pt and aptt in s, inr and fibrinogen in g/L
+     */
+    calculateCoagulation({ coagulation_factors = 100, coagulopathy = null } = {}) {
+      const activity = coagulopathy === null ? coagulation_factors : 100 * (1 - coagulopathy);
+      const impairment = 100 / Math.max(10, activity);
+
+      return {
+        pt: NORMAL_PT * Math.sqrt(impairment),
+        inr: NORMAL_INR * Math.sqrt(impairment),
+        aptt: NORMAL_APTT * Math.pow(impairment, 0.4),
+        fibrinogen: NORMAL_FIBRINOGEN * Math.max(10, coagulation_factors) / 100
+      };
+    }
+
+    /**
+     * Cardiac markers
+     * @param {Object} state - Patient state
+     * @returns {Object} High-sensitivity troponin I in ng/L
+     */
+    calculateCardiacMarkers({ troponin = 5 } = {}) {
+      return { troponin };
+    }
+
+    /**
+     * Arterial blood gas with the point-of-care electrolytes, glucose and lactate
+     * @param {Object} state - Patient state
+     * @returns {Object} Arterial blood gas from the BloodGasCalculator
+     */
+    calculateArterialBloodGas(state = {}) {
+      return this.bloodGasCalculator.calculateArterialBloodGas(state);
+    }
+
+    /**
+     * One orderable test
+     * @param {string} test - abg, cbc, bmp, coags, troponin, lactate or poc_glucose
+     * @param {Object} state - Patient state at the time of sampling
+     * @returns {Object|null} Test values, or null for an unknown test
+     */
+    calculateTest(test, state = {}) {
+      switch (test) {
+        case 'abg':
+          return this.calculateArterialBloodGas(state);
+        case 'cbc':
+          return this.calculateCompleteBloodCount(state);
+        case 'bmp':
+          return this.calculateBasicMetabolicPanel(state);
+        case 'coags':
+          return this.calculateCoagulation(state);
+        case 'troponin':
+          return this.calculateCardiacMarkers(state);
+        case 'lactate':
+          return { lactate: state.lactate ?? 1 };
+        case 'poc_glucose':
+          return { glucose: state.glucose ?? 5.5 };
+        default:
+          return null;
+      }
+    }
+  }
+
+  export default LaboratoryCalculator;
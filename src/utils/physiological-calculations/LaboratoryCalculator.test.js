@@ -0,0 +1,43 @@
+import LaboratoryCalculator from './LaboratoryCalculator';
+
+describe('LaboratoryCalculator', () => {
+  const calculator = new LaboratoryCalculator();
+
+  test('the blood count and chemistry come from the patient state in laboratory units', () => {
+    expect(calculator.calculateTest('cbc', {})).toEqual({ hb: 140, rbc: 420 / 90, hct: 42, wbc: 6.5, platelets: 250 });
+    expect(calculator.calculateTest('cbc', { hb: 7.5, hct: 22, platelets: 60 })).toMatchObject({ hb: 75, hct: 22, platelets: 60 });
+
+    expect(calculator.calculateTest('bmp', {})).toEqual({
+      glucose: 5.5, creatinine: 80, urea: 5, na: 140, k: 4, cl: 104, ca: 1.2, mg: 0.9, hco3: 24, anion_gap: 12
+    });
+    expect(calculator.calculateTest('bmp', { na: 135, cl: 110, hco3: 15, creatinine: 250 }))
+      .toMatchObject({ creatinine: 250, anion_gap: 10 });
+
+    expect(calculator.calculateTest('troponin', { troponin: 1500 })).toEqual({ troponin: 1500 });
+    expect(calculator.calculateTest('lactate', {})).toEqual({ lactate: 1 });
+    expect(calculator.calculateTest('poc_glucose', { glucose: 2.1 })).toEqual({ glucose: 2.1 });
+  });
+
+  test('dilution and the lethal triad prolong the clotting times', () => {
+    const normal = calculator.calculateTest('coags', {});
+    expect(normal).toEqual({ pt: 12.3, inr: 1.1, aptt: 32.5, fibrinogen: 3.2 });
+
+    const diluted = calculator.calculateTest('coags', { coagulation_factors: 25 });
+    expect(diluted.inr).toBeCloseTo(2.2, 5);
+    expect(diluted.fibrinogen).toBeCloseTo(0.8, 5);
+
+    // The coagulopathy impairs clotting beyond the factors left
+    const triad = calculator.calculateTest('coags', { coagulation_factors: 50, coagulopathy: 0.75 });
+    expect(triad.inr).toBeCloseTo(diluted.inr, 5);
+    expect(triad.fibrinogen).toBeCloseTo(1.6, 5);
+
+    // Activity below 10% is not measured
+    expect(calculator.calculateTest('coags', { coagulation_factors: 0 }).inr).toBeCloseTo(1.1 * Math.sqrt(10), 5);
+  });
+
+  test('the blood gas comes from the BloodGasCalculator and unknown tests have no result', () => {
+    const state = { hco3: 18, paco2: 30, lactate: 4, na: 138 };
+    expect(calculator.calculateTest('abg', state)).toEqual(calculator.bloodGasCalculator.calculateArterialBloodGas(state));
+    expect(calculator.calculateTest('urinalysis', state)).toBeNull();
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * LungModel.js
+ *
+ * This module implements a model of pulmonary gas exchange. Alveolar
+ * ventilation - tidal volume minus dead space, times rate - sets the arterial
+ * PaCO2 through a CO2 mass balance; the alveolar gas equation gives the
+ * alveolar PO2 for the inspired oxygen, and venous admixture through the shunt
+ * fraction lowers the arterial PO2. SpO2 follows from the oxygen dissociation
+ * curve and EtCO2 from PaCO2 diluted by alveolar dead space. PEEP recruits
+ * collapsed alveoli and reduces the shunt; pulmonary oedema floods alveoli,
+ * adding shunt and stiffening the lung. Compliance and resistance describe
+ * the lung's mechanics; the airway pressures of ventilator breaths are
+ * simulated by the VentilatorEngine.
+ */
+
+const ATMOSPHERIC_PRESSURE = 760;  // mmHg
+const WATER_VAPOUR_PRESSURE = 47;  // mmHg at 37°C
+const RESPIRATORY_QUOTIENT = 0.8;
+
+// Metabolism at rest (mL/min) and haemoglobin (g/dL)
+const CO2_PRODUCTION = 200;
+const O2_CONSUMPTION = 250;
+const HAEMOGLOBIN = 15;
+
+// Converts VCO2 (mL/min STPD) and alveolar ventilation (L/min BTPS) to PaCO2
+const CO2_CONVERSION = 0.863;
+
+// Body CO2 stores (mL per mmHg); set how fast PaCO2 follows ventilation
+const CO2_CAPACITY = 15;
+
+// Time constant of arterial PO2 changes (seconds), mostly FRC wash-in
+const OXYGEN_TIME_CONSTANT = 30;
+
+// Anatomic dead space (mL) and the alveolar dead space fraction of a healthy lung
+const ANATOMIC_DEAD_SPACE = 150;
+const ALVEOLAR_DEAD_SPACE = 0.1;
+
+// Extra alveolar dead space at zero cardiac output (unperfused alveoli)
+const LOW_FLOW_DEAD_SPACE = 0.3;
+
+// Extra alveolar dead space when the whole pulmonary arterial bed is blocked by emboli
+const EMBOLISM_DEAD_SPACE = 0.4;
+
+// Extra alveolar dead space per cmH2O of PEEP above the overdistension threshold
+const OVERDISTENSION_PEEP = 15;
+const OVERDISTENSION_DEAD_SPACE = 0.015;
+
+// Shunt fraction of a healthy lung, shunt added by hypoxia at full severity, upper limit
+const BASE_SHUNT = 0.03;
+const HYPOXIA_SHUNT = 0.45;
+const MAX_SHUNT = 0.8;
+
+// PEEP at which the shunt has its nominal value, and PEEP change (cmH2O)
+// that recruits or derecruits the shunt e-fold
+const REFERENCE_PEEP = 5;
+const RECRUITMENT_SCALE = 10;
+
+// Respiratory mechanics of a healthy adult lung
+const COMPLIANCE = 50;  // mL/cmH2O
+const RESISTANCE = 5;   // cmH2O/(L/s)
+
+// Shunt and loss of compliance (mL/cmH2O) of a lung flooded with oedema
+const EDEMA_SHUNT = 0.35;
+const EDEMA_COMPLIANCE = 25;
+
+class LungModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Return to a healthy lung with normal blood gases
+     */
+    reset() {
+      this.pao2 = 95;
+      this.paco2 = 39;
+      this.offsets = { shunt: 0, ventilation: 1 };
+    }
+
+    /**
+     * Haemoglobin saturation for a PO2 (Severinghaus dissociation curve)
+     * @param {number} po2 - Oxygen tension in mmHg
+     * @returns {number} Saturation (0-1)
+     */
+    static saturation(po2) {
+      if (po2 <= 0) return 0;
+      return 1 / (23400 / (Math.pow(po2, 3) + 150 * po2) + 1);
+    }
+
+    /**
+     * Oxygen content of blood
+     * @param {number} po2 - Oxygen tension in mmHg
+     * @returns {number} Content in mL O2/dL
+     */
+    static oxygenContent(po2) {
+      return 1.34 * HAEMOGLOBIN * LungModel.saturation(po2) + 0.003 * po2;
+    }
+
+    /**
+     * Alveolar PO2 by the alveolar gas equation
+     * @param {number} fio2 - Inspired oxygen fraction (0.21-1)
+     * @param {number} paco2 - Arterial PCO2 in mmHg
+     * @returns {number} PAO2 in mmHg
+     */
+    static alveolarPO2(fio2, paco2) {
+      return Math.max(0, fio2 * (ATMOSPHERIC_PRESSURE - WATER_VAPOUR_PRESSURE) - paco2 / RESPIRATORY_QUOTIENT);
+    }
+
+    /**
+     * Respiratory mechanics
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {Object} compliance in mL/cmH2O and resistance in cmH2O/(L/s)
+     */
+    getMechanics({ compliance = 0, resistance = 0, pulmonary_edema = 0 } = {}) {
+      return {
+        compliance: Math.max(10, COMPLIANCE + compliance - EDEMA_COMPLIANCE * pulmonary_edema),
+        resistance: Math.max(2, RESISTANCE + resistance)
+      };
+    }
+
+    /**
+     * Shunt fraction; PEEP above the reference recruits collapsed alveoli
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {number} Shunt fraction (0-MAX_SHUNT)
+     */
+    getShunt(ventilation, { hypoxia = 0, pulmonary_edema = 0 }) {
+      const unrecruited = Math.max(0, BASE_SHUNT + HYPOXIA_SHUNT * hypoxia + EDEMA_SHUNT * pulmonary_edema + this.offsets.shunt);
+      return Math.min(MAX_SHUNT, unrecruited * this.getRecruitment(ventilation));
+    }
+
+    /**
+     * Share of the shunt that stays open at the current PEEP
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @returns {number} Multiplier of the shunt fraction
+     */
+    getRecruitment({ ventilated = false, peep = 0 }) {
+      if (!ventilated) return 1;
+      return Math.min(1.5, Math.max(0.3, Math.exp(-(peep - REFERENCE_PEEP) / RECRUITMENT_SCALE)));
+    }
+
+    /**
+     * Alveolar dead space fraction: grows with low pulmonary perfusion, emboli
+     * and overdistension
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {number} Fraction of alveolar ventilation that takes no part in gas exchange
+     */
+    getAlveolarDeadSpace({ ventilated = false, peep = 0 }, { cardiac_output = 5, pulmonary_obstruction = 0 }) {
+      let deadSpace = ALVEOLAR_DEAD_SPACE + LOW_FLOW_DEAD_SPACE * Math.max(0, 1 - cardiac_output / 5) +
+        EMBOLISM_DEAD_SPACE * pulmonary_obstruction;
+
+      if (ventilated) {
+        deadSpace += OVERDISTENSION_DEAD_SPACE * Math.max(0, peep - OVERDISTENSION_PEEP);
+      }
+
+      return Math.min(0.8, deadSpace);
+    }
+
+    /**
+     * Ventilation that takes part in gas exchange
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {number} Alveolar ventilation in L/min
+     */
+    getAlveolarVentilation(ventilation, conditions) {
+      const { rate = 0, tidal_volume = 0 } = ventilation;
+      const perBreath = Math.max(0, tidal_volume - ANATOMIC_DEAD_SPACE);
+
+      return perBreath * rate / 1000 *
+        (1 - this.getAlveolarDeadSpace(ventilation, conditions)) * this.offsets.ventilation;
+    }
+
+    /**
+     * Arterial PO2 after venous admixture through the shunt
+     * @param {number} pAO2 - Alveolar PO2 in mmHg
+     * @param {number} shunt - Shunt fraction
+     * @param {number} cardiacOutput - Cardiac output in L/min
+     * @returns {number} Steady-state PaO2 in mmHg
+     */
+    getArterialPO2(pAO2, shunt, cardiacOutput) {
+      // Fick: mixed venous content is lower than arterial by VO2 / CO
+      const extraction = O2_CONSUMPTION / (Math.max(1, cardiacOutput) * 10);
+      const content = LungModel.oxygenContent(pAO2) - shunt * extraction / (1 - shunt);
+
+      if (content <= 0) return 0;
+
+      // Content grows monotonically with PO2 - invert by bisection
+      let low = 0;
+      let high = pAO2;
+      for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (LungModel.oxygenContent(mid) < content) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      return (low + high) / 2;
+    }
+
+    /**
+     * Advance gas exchange
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} ventilation - Delivered ventilation: rate (breaths/min),
+     *   tidal_volume (mL), fio2 (0.21-1), peep (total PEEP in cmH2O, including
+     *   auto-PEEP) and ventilated (on a ventilator)
+     * @param {Object} conditions - Patient conditions: hypoxia (0-1),
+     *   cardiac_output (L/min), compliance and resistance - changes from the
+     *   healthy lung in mL/cmH2O and cmH2O/(L/s), pulmonary_edema (0-1),
+     *   pulmonary_obstruction - share of the pulmonary arteries blocked by
+     *   emboli (0-1)
+     * @returns {Object} Gas exchange
+     */
+    update(seconds, ventilation, conditions) {
+      const dt = Math.max(0, seconds);
+
+      // CO2 mass balance, solved exactly for the step: dP/dt = (VCO2 - VA·P/k) / C
+      const alveolarVentilation = this.getAlveolarVentilation(ventilation, conditions);
+      const elimination = alveolarVentilation / (CO2_CONVERSION * CO2_CAPACITY); // 1/min
+      const minutes = dt / 60;
+
+      if (elimination > 0) {
+        const steadyState = CO2_PRODUCTION / (CO2_CAPACITY * elimination);
+        this.paco2 = steadyState + (this.paco2 - steadyState) * Math.exp(-elimination * minutes);
+      } else {
+        this.paco2 += CO2_PRODUCTION / CO2_CAPACITY * minutes;
+      }
+
+      const target = this.getSteadyStatePO2(ventilation, conditions);
+      this.pao2 += (target - this.pao2) * (1 - Math.exp(-dt / OXYGEN_TIME_CONSTANT));
+
+      return this.calculate(ventilation, conditions);
+    }
+
+    /**
+     * Arterial PO2 the lung settles to at the current PaCO2
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {number} PaO2 in mmHg
+     */
+    getSteadyStatePO2(ventilation, conditions) {
+      const pAO2 = LungModel.alveolarPO2(ventilation.fio2, this.paco2);
+      return this.getArterialPO2(pAO2, this.getShunt(ventilation, conditions), conditions.cardiac_output ?? 5);
+    }
+
+    /**
+     * Current gas exchange
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @returns {Object} pao2, paco2, spo2, etco2, shunt_fraction,
+     *   dead_space_fraction, minute_volume, alveolar_ventilation, compliance
+     *   and resistance
+     */
+    calculate(ventilation, conditions) {
+      const { rate = 0, tidal_volume = 0 } = ventilation;
+      const { compliance, resistance } = this.getMechanics(conditions);
+      const alveolarDeadSpace = this.getAlveolarDeadSpace(ventilation, conditions);
+
+      return {
+        pao2: this.pao2,
+        paco2: this.paco2,
+        spo2: LungModel.saturation(this.pao2) * 100,
+        etco2: this.paco2 * (1 - alveolarDeadSpace),
+        shunt_fraction: this.getShunt(ventilation, conditions),
+        dead_space_fraction: alveolarDeadSpace,
+        minute_volume: rate * tidal_volume / 1000,
+        alveolar_ventilation: this.getAlveolarVentilation(ventilation, conditions),
+        compliance,
+        resistance
+      };
+    }
+
+    /**
+     * Make externally set values the new operating point. A set EtCO2 changes
+     * the efficiency of ventilation, a set SpO2 changes the shunt, so later
+     * changes of ventilation, FiO2 and PEEP act from the set values.
+     * @param {Object} ventilation - Delivered ventilation (see update)
+     * @param {Object} conditions - Patient conditions (see update)
+     * @param {Object} targets - Values to reproduce: spo2 (%) and/or etco2 (mmHg)
+     */
+    setOperatingPoint(ventilation, conditions, targets) {
+      if (targets.etco2 !== undefined) {
+        const paco2 = targets.etco2 / (1 - this.getAlveolarDeadSpace(ventilation, conditions));
+        const ventilationRaw = this.getAlveolarVentilation(ventilation, conditions) / this.offsets.ventilation;
+
+        // Without ventilation the PaCO2 is taken as is
+        if (ventilationRaw > 0) {
+          const needed = CO2_CONVERSION * CO2_PRODUCTION / paco2;
+          this.offsets.ventilation = Math.min(5, Math.max(0.2, needed / ventilationRaw));
+        }
+        this.paco2 = paco2;
+      }
+
+      if (targets.spo2 !== undefined) {
+        const pAO2 = LungModel.alveolarPO2(ventilation.fio2, this.paco2);
+        const cardiacOutput = conditions.cardiac_output ?? 5;
+        const saturationFor = shunt => LungModel.saturation(this.getArterialPO2(pAO2, shunt, cardiacOutput)) * 100;
+
+        // Saturation falls monotonically with the shunt - find the shunt by bisection
+        let low = 0;
+        let high = MAX_SHUNT;
+        for (let i = 0; i < 40; i++) {
+          const mid = (low + high) / 2;
+          if (saturationFor(mid) > targets.spo2) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+
+        const shunt = (low + high) / 2;
+        this.offsets.shunt = shunt / this.getRecruitment(ventilation) - BASE_SHUNT -
+          HYPOXIA_SHUNT * (conditions.hypoxia || 0) - EDEMA_SHUNT * (conditions.pulmonary_edema || 0);
+        this.pao2 = this.getArterialPO2(pAO2, shunt, cardiacOutput);
+      }
+    }
+  }
+
+  export default LungModel;
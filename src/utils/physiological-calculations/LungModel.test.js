@@ -0,0 +1,93 @@
+import LungModel from './LungModel';
+
+describe('LungModel', () => {
+  const air = { rate: 14, tidal_volume: 500, fio2: 0.21 };
+  const ventilated = peep => ({ ...air, ventilated: true, peep });
+
+  test('alveolar oxygen and the shunt set the arterial oxygen', () => {
+    const healthy = new LungModel().update(600, air, { cardiac_output: 5 });
+    expect(healthy.pao2).toBeGreaterThan(80);
+    expect(healthy.spo2).toBeGreaterThan(95);
+    expect(LungModel.saturation(27)).toBeCloseTo(0.5, 1);
+
+    const shunted = new LungModel().update(600, air, { hypoxia: 1, cardiac_output: 5 });
+    expect(shunted.shunt_fraction).toBeGreaterThan(0.4);
+    expect(shunted.spo2).toBeLessThan(healthy.spo2 - 10);
+
+    // Oxygen helps little with a large shunt
+    const oxygen = new LungModel().update(600, { ...air, fio2: 1 }, { hypoxia: 1, cardiac_output: 5 });
+    expect(oxygen.pao2).toBeGreaterThan(shunted.pao2);
+    expect(oxygen.pao2).toBeLessThan(LungModel.alveolarPO2(1, oxygen.paco2) / 4);
+  });
+
+  test('alveolar ventilation sets PaCO2, and dead space separates EtCO2 from it', () => {
+    const normal = new LungModel().update(1800, air, {});
+    expect(normal.paco2).toBeCloseTo(39, 0);
+    expect(normal.minute_volume).toBe(7);
+    expect(normal.etco2).toBeCloseTo(normal.paco2 * 0.9, 5);
+
+    // Half the ventilation doubles PaCO2 once the body stores fill
+    const halved = new LungModel().update(3600, { ...air, rate: 7 }, {});
+    expect(halved.paco2).toBeCloseTo(2 * normal.paco2, 0);
+
+    // Shallow breaths mostly ventilate the anatomic dead space
+    const shallow = new LungModel().update(3600, { ...air, rate: 28, tidal_volume: 250 }, {});
+    expect(shallow.minute_volume).toBe(7);
+    expect(shallow.paco2).toBeGreaterThan(normal.paco2 + 20);
+
+    // Apnoea: CO2 accumulates at the rate of its production
+    const apnoea = new LungModel();
+    expect(apnoea.update(60, { ...air, rate: 0 }, {}).paco2).toBeCloseTo(39 + 200 / 15, 5);
+
+    // Low flow and emboli leave ventilated alveoli unperfused
+    const lowFlow = new LungModel().update(1800, air, { cardiac_output: 2 });
+    expect(lowFlow.dead_space_fraction).toBeCloseTo(0.28, 5);
+    expect(lowFlow.paco2 - lowFlow.etco2).toBeGreaterThan(normal.paco2 - normal.etco2 + 5);
+    expect(new LungModel().calculate(air, { pulmonary_obstruction: 0.5 }).dead_space_fraction).toBeCloseTo(0.3, 5);
+  });
+
+  test('PEEP recruits the shunt on the ventilator and overdistends above 15 cmH2O', () => {
+    const lung = new LungModel();
+    const conditions = { hypoxia: 0.5 };
+
+    expect(lung.getShunt(air, conditions)).toBeCloseTo(0.255, 5);
+    expect(lung.getShunt(ventilated(5), conditions)).toBeCloseTo(0.255, 5);
+    expect(lung.getShunt(ventilated(15), conditions)).toBeCloseTo(0.255 * Math.exp(-1), 5);
+    expect(lung.getShunt(ventilated(0), conditions)).toBeGreaterThan(0.255);
+
+    expect(lung.getAlveolarDeadSpace(ventilated(15), {})).toBeCloseTo(0.1, 5);
+    expect(lung.getAlveolarDeadSpace(ventilated(20), {})).toBeCloseTo(0.175, 5);
+    expect(lung.getAlveolarDeadSpace({ ...air, peep: 20 }, {})).toBeCloseTo(0.1, 5);
+  });
+
+  test('pulmonary oedema stiffens the lung and adds shunt', () => {
+    const lung = new LungModel();
+    expect(lung.getMechanics()).toEqual({ compliance: 50, resistance: 5 });
+    expect(lung.getMechanics({ pulmonary_edema: 1 })).toEqual({ compliance: 25, resistance: 5 });
+    expect(lung.getMechanics({ compliance: -60, resistance: -10 })).toEqual({ compliance: 10, resistance: 2 });
+
+    const flooded = new LungModel().update(600, air, { pulmonary_edema: 1 });
+    expect(flooded.shunt_fraction).toBeCloseTo(0.38, 5);
+    expect(flooded.spo2).toBeLessThan(90);
+  });
+
+  test('set SpO2 and EtCO2 become the operating point', () => {
+    const lung = new LungModel();
+    lung.update(600, air, {});
+    lung.setOperatingPoint(air, {}, { spo2: 85, etco2: 50 });
+
+    const set = lung.calculate(air, {});
+    expect(set.spo2).toBeCloseTo(85, 1);
+    expect(set.etco2).toBeCloseTo(50, 5);
+    expect(set.shunt_fraction).toBeGreaterThan(0.2);
+
+    // The set values hold, and oxygen acts from them
+    const held = lung.update(600, air, {});
+    expect(held.spo2).toBeCloseTo(85, 0);
+    expect(held.etco2).toBeCloseTo(50, 0);
+    expect(lung.update(600, { ...air, fio2: 0.4 }, {}).spo2).toBeGreaterThan(held.spo2 + 4);
+
+    lung.reset();
+    expect(lung.update(600, air, {}).spo2).toBeGreaterThan(95);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * MyocardialIschemiaModel.js
+ *
+ * This module implements acute coronary syndromes. An occluded coronary
+ * artery makes its territory ischaemic: the ischaemic myocardium stops
+ * contracting at once and dies progressively until the artery is reperfused.
+ * The ECG evolves with the infarct age - hyperacute T waves, ST elevation,
+ * pathological Q waves as the myocardium necroses and T inversion - and
+ * troponin released from the necrotic myocardium rises over hours.
+ * Acute ischaemia and reperfusion carry a risk of ventricular fibrillation.
+ */
+
+/**
+ * Types of acute coronary syndrome: ECG territory, transmural (STEMI) or
+ * subendocardial injury, and the share of the left ventricle supplied
+ */
+export const ACS_TYPES = {
+  anterior_stemi: { territory: 'anterior', stemi: true, myocardium: 0.4 },
+  inferior_stemi: { territory: 'inferior', stemi: true, myocardium: 0.25 },
+  lateral_stemi: { territory: 'lateral', stemi: true, myocardium: 0.2 },
+  posterior_stemi: { territory: 'posterior', stemi: true, myocardium: 0.15 },
+  nstemi: { territory: 'lateral', stemi: false, myocardium: 0.15 }
+};
+
+export const ECG_TERRITORIES = ['inferior', 'anterior', 'lateral', 'posterior'];
+
+// Injury current at full infarct size (mV): ST elevation over a transmural
+// infarct, ST depression over subendocardial ischaemia
+const STEMI_ST = 0.35;
+const NSTEMI_ST = -0.15;
+
+// Hyperacute T, final T inversion and pathological Q at full infarct size (mV)
+const HYPERACUTE_T = 0.5;
+const T_INVERSION = 0.3;
+const PATHOLOGICAL_Q = 0.4;
+
+// Evolution of an occluded artery (minutes since onset): ST reaches its
+// maximum, hyperacute T fades, myocardium necroses (time constant), T waves
+// invert after a delay, ST resolves slowly after the first hours
+const ST_RISE = 5;
+const HYPERACUTE_T_DECAY = 30;
+const NECROSIS_TIME_CONSTANT = 90;
+const T_INVERSION_DELAY = 120;
+const T_INVERSION_TIME_CONSTANT = 240;
+const ST_PLATEAU = 360;
+const ST_RESOLUTION = 1440;
+
+// After reperfusion (minutes): ST resolves, T waves invert early and
+// stunned myocardium recovers its contraction
+const REPERFUSION_ST_RESOLUTION = 15;
+const REPERFUSION_T_INVERSION = 60;
+const STUNNING_RECOVERY = 60;
+
+// Share of a subendocardial infarct that necroses
+const SUBENDOCARDIAL_NECROSIS = 0.3;
+
+// Highest share of the left ventricle that can stop contracting
+const MAX_DYSFUNCTION = 0.8;
+
+// High-sensitivity troponin I (ng/L): normal level, rise at full infarct
+// size of the whole territory, time of peak (hours)
+const BASELINE_TROPONIN = 5;
+const TROPONIN_PER_INFARCT = 40000;
+const TROPONIN_PEAK_HOURS = 18;
+
+// Ventricular fibrillation probability per minute at full infarct size:
+// in the first hour of ischaemia, later, and in the minutes after reperfusion
+const VF_RISK_EARLY = 0.003;
+const VF_RISK_LATE = 0.0005;
+const VF_RISK_REPERFUSION = 0.006;
+const EARLY_ISCHAEMIA = 60;
+const REPERFUSION_ARRHYTHMIA = 5;
+
+// Subendocardial ischaemia rarely causes fibrillation
+const NSTEMI_VF_FACTOR = 0.25;
+
+class MyocardialIschemiaModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Remove all infarcts
+     */
+    reset() {
+      this.infarcts = [];
+    }
+
+    /**
+     * Start an acute coronary syndrome
+     * @param {string} type - Type from ACS_TYPES
+     * @param {Object} options - size: share of the territory at risk (0-1);
+     *   timeScale: minutes of disease per minute of simulation
+     * @returns {boolean} Whether the syndrome was started
+     */
+    start(type, { size = 0.6, timeScale = 1 } = {}) {
+      if (!ACS_TYPES[type]) return false;
+
+      this.infarcts.push({
+        type,
+        ...ACS_TYPES[type],
+        size: Math.min(1, Math.max(0, size)),
+        timeScale: Math.max(0, timeScale),
+        age: 0,
+        reperfusedAt: null
+      });
+      return true;
+    }
+
+    /**
+     * Open the occluded arteries (PCI or thrombolysis)
+     * @returns {boolean} Whether any artery was still occluded
+     */
+    reperfuse() {
+      const occluded = this.infarcts.filter(infarct => infarct.reperfusedAt === null);
+      occluded.forEach(infarct => {
+        infarct.reperfusedAt = infarct.age;
+      });
+      return occluded.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is an acute coronary syndrome
+     */
+    isActive() {
+      return this.infarcts.length > 0;
+    }
+
+    /**
+     * Advance the infarcts
+     * @param {number} seconds - Time step in seconds
+     */
+    update(seconds) {
+      this.infarcts.forEach(infarct => {
+        infarct.age += Math.max(0, seconds) / 60 * infarct.timeScale;
+      });
+    }
+
+    /**
+     * Necrotic share of the myocardium at risk; necrosis stops at reperfusion
+     * @param {Object} infarct - Infarct
+     * @returns {number} Share (0-1)
+     */
+    getNecrosis(infarct) {
+      const ischaemicTime = infarct.reperfusedAt === null ? infarct.age : infarct.reperfusedAt;
+      const necrosis = 1 - Math.exp(-ischaemicTime / NECROSIS_TIME_CONSTANT);
+      return infarct.stemi ? necrosis : necrosis * SUBENDOCARDIAL_NECROSIS;
+    }
+
+    /**
+     * Share of the left ventricle that does not contract: all ischaemic
+     * myocardium while the artery is occluded, necrotic and still stunned
+     * myocardium after reperfusion
+     * @returns {number} Share (0-1)
+     */
+    getDysfunction() {
+      const dysfunction = this.infarcts.reduce((sum, infarct) => {
+        let share = 1;
+        if (infarct.reperfusedAt !== null) {
+          const necrosis = this.getNecrosis(infarct);
+          const stunned = Math.exp(-(infarct.age - infarct.reperfusedAt) / STUNNING_RECOVERY);
+          share = necrosis + (1 - necrosis) * stunned;
+        }
+        return sum + infarct.myocardium * infarct.size * share;
+      }, 0);
+
+      return Math.min(MAX_DYSFUNCTION, dysfunction);
+    }
+
+    /**
+     * ST deviation of an infarct (mV)
+     * @param {Object} infarct - Infarct
+     * @returns {number} ST elevation (negative - depression) in its territory
+     */
+    getST(infarct) {
+      const peak = (infarct.stemi ? STEMI_ST : NSTEMI_ST) * infarct.size;
+
+      if (infarct.reperfusedAt !== null) {
+        const atReperfusion = this.getST({ ...infarct, age: infarct.reperfusedAt, reperfusedAt: null });
+        return atReperfusion * Math.exp(-(infarct.age - infarct.reperfusedAt) / REPERFUSION_ST_RESOLUTION);
+      }
+
+      const rise = Math.min(1, infarct.age / ST_RISE);
+      const resolution = infarct.age > ST_PLATEAU ? Math.exp(-(infarct.age - ST_PLATEAU) / ST_RESOLUTION) : 1;
+      return peak * rise * resolution;
+    }
+
+    /**
+     * T wave change of an infarct (mV): hyperacute T of early transmural
+     * ischaemia, then T inversion that develops faster after reperfusion
+     * @param {Object} infarct - Infarct
+     * @returns {number} T wave change in its territory
+     */
+    getTWaveChange(infarct) {
+      const hyperacute = infarct.stemi
+        ? HYPERACUTE_T * infarct.size * Math.exp(-infarct.age / HYPERACUTE_T_DECAY)
+        : 0;
+
+      const occludedTime = infarct.reperfusedAt === null ? infarct.age : infarct.reperfusedAt;
+      let inversion = occludedTime > T_INVERSION_DELAY
+        ? 1 - Math.exp(-(occludedTime - T_INVERSION_DELAY) / T_INVERSION_TIME_CONSTANT)
+        : 0;
+      if (infarct.reperfusedAt !== null) {
+        inversion = 1 - (1 - inversion) * Math.exp(-(infarct.age - infarct.reperfusedAt) / REPERFUSION_T_INVERSION);
+      }
+
+      return hyperacute - T_INVERSION * infarct.size * inversion;
+    }
+
+    /**
+     * ECG changes by territory (see ECG_TERRITORIES)
+     * @returns {Object} st, t and q - deviation in mV by territory
+     */
+    getECGChanges() {
+      const changes = { st: {}, t: {}, q: {} };
+      ECG_TERRITORIES.forEach(territory => {
+        changes.st[territory] = 0;
+        changes.t[territory] = 0;
+        changes.q[territory] = 0;
+      });
+
+      this.infarcts.forEach(infarct => {
+        changes.st[infarct.territory] += this.getST(infarct);
+        changes.t[infarct.territory] += this.getTWaveChange(infarct);
+
+        // Necrotic myocardium no longer depolarizes: Q waves of a transmural infarct
+        if (infarct.stemi) {
+          changes.q[infarct.territory] += PATHOLOGICAL_Q * infarct.size * this.getNecrosis(infarct);
+        }
+      });
+
+      return changes;
+    }
+
+    /**
+     * High-sensitivity troponin I released by necrotic myocardium; detectable
+     * within an hour and peaks after about 18 hours
+     * @returns {number} Troponin in ng/L
+     */
+    getTroponin() {
+      return this.infarcts.reduce((troponin, infarct) => {
+        const ratio = infarct.age / 60 / TROPONIN_PEAK_HOURS;
+        const kinetics = ratio * ratio * Math.exp(2 * (1 - ratio));
+        const necrotic = infarct.myocardium * infarct.size * this.getNecrosis(infarct);
+        return troponin + TROPONIN_PER_INFARCT * necrotic * kinetics;
+      }, BASELINE_TROPONIN);
+    }
+
+    /**
+     * Probability of ventricular fibrillation
+     * @returns {number} Probability per minute of simulation
+     */
+    getFibrillationRisk() {
+      return this.infarcts.reduce((risk, infarct) => {
+        let perMinute;
+        if (infarct.reperfusedAt === null) {
+          perMinute = infarct.age < EARLY_ISCHAEMIA ? VF_RISK_EARLY : VF_RISK_LATE;
+        } else {
+          perMinute = infarct.age - infarct.reperfusedAt < REPERFUSION_ARRHYTHMIA ? VF_RISK_REPERFUSION : 0;
+        }
+
+        const factor = infarct.stemi ? 1 : NSTEMI_VF_FACTOR;
+        return risk + perMinute * factor * infarct.size * infarct.timeScale;
+      }, 0);
+    }
+  }
+
+  export default MyocardialIschemiaModel;
@@ -0,0 +1,127 @@
+import MyocardialIschemiaModel from './MyocardialIschemiaModel';
+import { createTestModel, runModel } from '../../core/testEngine';
+import ECGGenerator from '../waveform-generators/ECGGenerator';
+
+describe('Acute coronary syndrome', () => {
+  // One simulated minute of infarct evolution per model update
+  const createInfarct = (type, size = 1) => {
+    const model = createTestModel();
+    model.startMyocardialInfarction(type, { size, timeScale: 60 });
+    return model;
+  };
+
+  const recordBeat = state => {
+    const generator = new ECGGenerator(() => 0.5);
+    generator.applyPatientState({ ...state, hr: 60 });
+    generator.updateParams({ noiseLevel: 0, artifactProbability: 0 });
+    const leads = generator.generateLeads(1);
+    const sample = seconds => Math.round(seconds * generator.params.sampleRate) - 1;
+    const qrsStart = generator.params.prInterval;
+    const qrsEnd = qrsStart + generator.params.qrsDuration;
+
+    return {
+      q: lead => Math.min(...leads[lead].slice(sample(qrsStart), sample(qrsStart + generator.params.qrsDuration * 0.4))),
+      st: lead => leads[lead][sample(qrsEnd + 0.04)],
+      t: lead => leads[lead].slice(sample(qrsEnd), sample(1)).reduce((sum, value) => sum + value, 0)
+    };
+  };
+
+  test('STEMI evolves from hyperacute T waves to Q waves and T inversion', () => {
+    const model = createInfarct('anterior_stemi');
+
+    const early = runModel(model, 2);
+    expect(early.acs).toBe('anterior_stemi');
+    expect(early.t_anterior).toBeGreaterThan(0.4);
+    expect(early.st_anterior).toBeGreaterThan(0);
+    expect(early.q_anterior).toBeLessThan(0.05);
+
+    const acute = runModel(model, 28);
+    expect(acute.st_anterior).toBeCloseTo(0.35, 2);
+    expect(acute.t_anterior).toBeLessThan(early.t_anterior);
+
+    const late = runModel(model, 210);
+    expect(late.st_anterior).toBeGreaterThan(0.3);
+    expect(late.q_anterior).toBeGreaterThan(0.3);
+    expect(late.t_anterior).toBeLessThan(0);
+
+    // Other territories stay unchanged
+    expect(late).toMatchObject({ st_inferior: 0, t_lateral: 0, q_posterior: 0 });
+  });
+
+  test('ischemia reduces contractility and releases troponin until reperfusion', () => {
+    const model = createInfarct('anterior_stemi');
+    const baseline = createTestModel().getState();
+
+    const acute = runModel(model, 10);
+    expect(acute.myocardial_ischemia).toBe(0.4);
+    expect(acute.contractility).toBeLessThan(0.7);
+    expect(acute.systolic).toBeLessThan(baseline.systolic);
+    expect(acute.troponin).toBeLessThan(26);
+
+    const infarcted = runModel(model, 50);
+    expect(infarcted.troponin).toBeGreaterThan(26);
+
+    expect(model.reperfuseMyocardium()).toBe(true);
+    expect(model.reperfuseMyocardium()).toBe(false);
+    const reperfused = runModel(model, 90);
+    expect(reperfused.st_anterior).toBeLessThan(0.01);
+    expect(reperfused.t_anterior).toBeLessThan(0);
+    expect(reperfused.troponin).toBeGreaterThan(infarcted.troponin);
+
+    // Stunned myocardium recovers, necrotic myocardium does not
+    expect(reperfused.myocardial_ischemia).toBeLessThan(acute.myocardial_ischemia);
+    expect(reperfused.myocardial_ischemia).toBeGreaterThan(0.1);
+    expect(reperfused.contractility).toBeGreaterThan(acute.contractility);
+  });
+
+  test('infarct changes appear in the leads of their territory', () => {
+    const normal = recordBeat({});
+    const anterior = recordBeat(runModel(createInfarct('anterior_stemi'), 240));
+    ['V2', 'V3'].forEach(lead => {
+      expect(anterior.st(lead)).toBeGreaterThan(0.3);
+      expect(anterior.q(lead)).toBeLessThan(normal.q(lead) - 0.15);
+    });
+
+    // After reperfusion ST resolves and leaves inverted T waves
+    const reperfusedModel = createInfarct('anterior_stemi');
+    runModel(reperfusedModel, 240);
+    reperfusedModel.reperfuseMyocardium();
+    const reperfused = recordBeat(runModel(reperfusedModel, 120));
+    expect(normal.t('V3')).toBeGreaterThan(0);
+    expect(reperfused.t('V3')).toBeLessThan(0);
+
+    const inferior = recordBeat(runModel(createInfarct('inferior_stemi'), 240));
+    expect(inferior.q('III')).toBeLessThan(normal.q('III') - 0.3);
+    expect(inferior.st('aVL')).toBeLessThan(0);
+
+    // NSTEMI: lateral ST depression with elevation in aVR and no Q waves
+    const nstemiState = runModel(createInfarct('nstemi'), 60);
+    expect(nstemiState).toMatchObject({ q_lateral: 0, q_anterior: 0 });
+    const nstemi = recordBeat(nstemiState);
+    expect(nstemi.st('V6')).toBeLessThan(-0.1);
+    expect(nstemi.st('aVR')).toBeGreaterThan(0.05);
+  });
+
+  test('the infarct ages with its time scale and reperfusion stops the necrosis', () => {
+    const ischemia = new MyocardialIschemiaModel();
+    expect(ischemia.start('unknown')).toBe(false);
+    expect(ischemia.isActive()).toBe(false);
+
+    ischemia.start('anterior_stemi', { size: 1, timeScale: 60 });
+    ischemia.update(1);
+    expect(ischemia.infarcts[0].age).toBeCloseTo(1);
+    expect(ischemia.getDysfunction()).toBeCloseTo(0.4);
+    expect(ischemia.getFibrillationRisk()).toBeCloseTo(0.18);
+
+    expect(ischemia.reperfuse()).toBe(true);
+    expect(ischemia.reperfuse()).toBe(false);
+    const necrosis = ischemia.getNecrosis(ischemia.infarcts[0]);
+    ischemia.update(60);
+
+    // Stunned myocardium recovers, necrotic myocardium does not
+    expect(ischemia.getNecrosis(ischemia.infarcts[0])).toBe(necrosis);
+    expect(ischemia.getDysfunction()).toBeLessThan(0.2);
+    expect(ischemia.getDysfunction()).toBeGreaterThan(0.4 * necrosis);
+    expect(ischemia.getFibrillationRisk()).toBe(0);
+  });
+});
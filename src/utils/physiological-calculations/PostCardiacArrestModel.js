@@ -0,0 +1,300 @@
+/**
+ * PostCardiacArrestModel.js
+ *
+ * This module implements the post-cardiac arrest syndrome. During an arrest
+ * it accumulates the no-flow time (no compressions) and the low-flow time
+ * (compressions) and the lactate produced by ischaemic tissues. After the
+ * return of spontaneous circulation (ROSC) the washed-out CO2 produces an
+ * EtCO2 surge, the stunned myocardium contracts poorly and vasoplegia
+ * develops, both scaled by the arrest duration; the circulation may arrest
+ * again, and the neurological outcome depends on the ischaemic time.
+ */
+
+// Normal lactate (mmol/L) and its rise per minute of arrest without
+// compressions; full-quality compressions prevent part of the ischaemia
+const BASELINE_LACTATE = 1;
+const ARREST_LACTATE_RISE = 1;
+const LOW_FLOW_PROTECTION = 0.6;
+
+// Cardiac output of full-quality compressions (L/min)
+const FULL_CPR_FLOW = 1.5;
+
+// After ROSC lactate clears with this time constant (minutes) while the
+// mean arterial pressure perfuses the tissues, and rises when it does not
+const LACTATE_CLEARANCE = 60;
+const PERFUSION_MAP = 65;
+const HYPOPERFUSION_LACTATE_RISE = 0.1;
+
+// Arrest duration (minutes) at which the post-arrest syndrome reaches
+// about two thirds of its full severity
+const SEVERITY_TIME_CONSTANT = 8;
+
+// Non-contracting share of the left ventricle at full severity and its
+// recovery time constant (minutes)
+const MAX_STUNNING = 0.6;
+const STUNNING_RECOVERY = 720;
+
+// Vasodilation at full severity, its onset and recovery (minutes)
+const MAX_VASOPLEGIA = 1;
+const VASOPLEGIA_ONSET = 5;
+const VASOPLEGIA_RECOVERY = 1440;
+
+// EtCO2 surge at ROSC: mmHg per minute of the last arrest, maximum and
+// washout time constant (seconds)
+const CO2_SURGE_PER_MINUTE = 2;
+const MAX_CO2_SURGE = 25;
+const CO2_WASHOUT = 60;
+
+// Re-arrest probability per minute right after ROSC, its rise with the
+// arrest duration (minutes), the higher risk of recurrent VF after a
+// shockable arrest, the decline after ROSC (minutes) and the rise with
+// hypotension (mmHg below the perfusion pressure that doubles the risk)
+const REARREST_RISK = 0.01;
+const REARREST_ARREST_MINUTES = 10;
+const SHOCKABLE_REARREST_FACTOR = 1.5;
+const REARREST_DECLINE = 15;
+const REARREST_HYPOTENSION = 15;
+
+export const SHOCKABLE_RHYTHMS = ['vfib', 'vtach'];
+
+// Ischaemic minutes (no-flow plus unprotected low-flow) up to which each
+// Cerebral Performance Category is expected: 1 - good recovery,
+// 2 - moderate disability, 3 - severe disability, 4 - coma, 5 - brain death
+const CPC_ISCHAEMIC_MINUTES = [5, 10, 20, 30];
+
+// Glasgow Coma Scale the patient wakes to in each category and the
+// awakening time constant after ROSC (minutes)
+const CPC_GCS = [15, 13, 9, 6, 3];
+const AWAKENING = 15;
+
+class PostCardiacArrestModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Forget all arrests
+     */
+    reset() {
+      this.inArrest = false;
+      this.arrests = 0;
+      this.initialRhythm = null;
+      this.episodeTime = 0;
+      this.arrestTime = 0;
+      this.noFlowTime = 0;
+      this.lowFlowTime = 0;
+      this.ischaemicTime = 0;
+      this.lactate = BASELINE_LACTATE;
+      this.sinceROSC = null;
+      this.severity = 0;
+      this.co2Surge = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether the patient has had an arrest
+     */
+    isActive() {
+      return this.arrests > 0;
+    }
+
+    /**
+     * Advance the model; a change of the arrest flag starts an arrest or ROSC
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - arrest, rhythm, cardiac_output of
+     *   compressions during an arrest (L/min), map (mmHg)
+     */
+    update(seconds, { arrest = false, rhythm = null, cardiac_output = 0, map = 90 } = {}) {
+      const step = Math.max(0, seconds);
+
+      if (arrest) {
+        if (!this.inArrest) {
+          this.startArrest(rhythm);
+        }
+
+        // Compressions protect the tissues in proportion to their flow
+        const flow = Math.min(1, Math.max(0, cardiac_output) / FULL_CPR_FLOW);
+        const ischaemia = 1 - LOW_FLOW_PROTECTION * flow;
+
+        this.episodeTime += step;
+        this.arrestTime += step;
+        if (flow > 0) {
+          this.lowFlowTime += step;
+        } else {
+          this.noFlowTime += step;
+        }
+        this.ischaemicTime += step * ischaemia;
+        this.lactate += ARREST_LACTATE_RISE * ischaemia * step / 60;
+        return;
+      }
+
+      if (this.inArrest) {
+        this.startROSC();
+        return;
+      }
+
+      if (this.sinceROSC === null) return;
+
+      this.sinceROSC += step;
+
+      if (map >= PERFUSION_MAP) {
+        this.lactate = BASELINE_LACTATE + (this.lactate - BASELINE_LACTATE) * Math.exp(-step / 60 / LACTATE_CLEARANCE);
+      } else {
+        this.lactate += HYPOPERFUSION_LACTATE_RISE * (PERFUSION_MAP - map) / 25 * step / 60;
+      }
+    }
+
+    /**
+     * Beginning of an arrest; the first arrest rhythm is its cause
+     * @param {string} rhythm - Arrest rhythm
+     */
+    startArrest(rhythm) {
+      this.inArrest = true;
+      this.arrests += 1;
+      this.episodeTime = 0;
+      this.sinceROSC = null;
+      if (this.initialRhythm === null) {
+        this.initialRhythm = rhythm;
+      }
+    }
+
+    /**
+     * Return of spontaneous circulation: the syndrome severity is set by the
+     * total arrest time, the CO2 surge by the last arrest
+     */
+    startROSC() {
+      this.inArrest = false;
+      this.sinceROSC = 0;
+      this.severity = 1 - Math.exp(-this.arrestTime / 60 / SEVERITY_TIME_CONSTANT);
+      this.co2Surge = Math.min(MAX_CO2_SURGE, CO2_SURGE_PER_MINUTE * this.episodeTime / 60);
+    }
+
+    /**
+     * @returns {number} Duration of the current arrest in seconds (0 - no arrest)
+     */
+    getArrestDuration() {
+      return this.inArrest ? this.episodeTime : 0;
+    }
+
+    /**
+     * @returns {number} Minutes since the last ROSC (null - no ROSC)
+     */
+    getMinutesSinceROSC() {
+      return this.sinceROSC === null ? null : this.sinceROSC / 60;
+    }
+
+    /**
+     * Stunned myocardium after ROSC
+     * @returns {number} Non-contracting share of the left ventricle (0-1)
+     */
+    getStunning() {
+      const minutes = this.getMinutesSinceROSC();
+      if (minutes === null) return 0;
+      return MAX_STUNNING * this.severity * Math.exp(-minutes / STUNNING_RECOVERY);
+    }
+
+    /**
+     * Vasoplegia developing over the first minutes after ROSC
+     * @returns {number} Vasodilation (0-1)
+     */
+    getVasoplegia() {
+      const minutes = this.getMinutesSinceROSC();
+      if (minutes === null) return 0;
+      return MAX_VASOPLEGIA * this.severity *
+        (1 - Math.exp(-minutes / VASOPLEGIA_ONSET)) * Math.exp(-minutes / VASOPLEGIA_RECOVERY);
+    }
+
+    /**
+     * CO2 accumulated in the tissues during the arrest and washed out at ROSC
+     * @returns {number} EtCO2 and PaCO2 rise in mmHg
+     */
+    getCO2Surge() {
+      if (this.sinceROSC === null) return 0;
+      return this.co2Surge * Math.exp(-this.sinceROSC / CO2_WASHOUT);
+    }
+
+    /**
+     * @returns {number} Lactate in mmol/L
+     */
+    getLactate() {
+      return this.lactate;
+    }
+
+    /**
+     * Probability of a new arrest after ROSC: higher after a long arrest,
+     * after ventricular fibrillation and with hypotension, declining with time
+     * @param {number} map - Mean arterial pressure in mmHg
+     * @returns {number} Probability per minute
+     */
+    getRearrestRisk(map) {
+      const minutes = this.getMinutesSinceROSC();
+      if (minutes === null) return 0;
+
+      const cause = this.isShockable() ? SHOCKABLE_REARREST_FACTOR : 1;
+      const duration = 1 + this.arrestTime / 60 / REARREST_ARREST_MINUTES;
+      const hypotension = 1 + Math.max(0, PERFUSION_MAP - map) / REARREST_HYPOTENSION;
+
+      return REARREST_RISK * cause * duration * hypotension * Math.exp(-minutes / REARREST_DECLINE);
+    }
+
+    /**
+     * @returns {boolean} Whether the first arrest was ventricular fibrillation
+     *   or pulseless ventricular tachycardia
+     */
+    isShockable() {
+      return SHOCKABLE_RHYTHMS.includes(this.initialRhythm);
+    }
+
+    /**
+     * Expected neurological outcome by the ischaemic time
+     * @returns {number|null} Cerebral Performance Category 1-5 (null - no arrest)
+     */
+    getNeurologicalOutcome() {
+      if (!this.isActive()) return null;
+
+      const minutes = this.ischaemicTime / 60;
+      const index = CPC_ISCHAEMIC_MINUTES.findIndex(limit => minutes <= limit);
+      return index === -1 ? CPC_ISCHAEMIC_MINUTES.length + 1 : index + 1;
+    }
+
+    /**
+     * Consciousness: lost during an arrest and regained after ROSC up to the
+     * level allowed by the brain injury
+     * @returns {number|null} Glasgow Coma Scale (null - no arrest)
+     */
+    getConsciousness() {
+      if (!this.isActive()) return null;
+
+      const minutes = this.getMinutesSinceROSC();
+      if (minutes === null) return 3;
+
+      const target = CPC_GCS[this.getNeurologicalOutcome() - 1];
+      return 3 + (target - 3) * (1 - Math.exp(-minutes / AWAKENING));
+    }
+
+    /**
+     * Summary for the monitor and debriefing
+     * @param {number} map - Mean arterial pressure in mmHg
+     * @returns {Object|null} Arrest times (seconds), syndrome components and outcome
+     */
+    getSummary(map) {
+      if (!this.isActive()) return null;
+
+      const minutes = this.getMinutesSinceROSC();
+      return {
+        inArrest: this.inArrest,
+        arrests: this.arrests,
+        initialRhythm: this.initialRhythm,
+        arrestTime: Math.round(this.arrestTime),
+        noFlowTime: Math.round(this.noFlowTime),
+        lowFlowTime: Math.round(this.lowFlowTime),
+        timeSinceROSC: minutes === null ? null : Math.round(minutes * 60),
+        stunning: Math.round(this.getStunning() * 100) / 100,
+        vasoplegia: Math.round(this.getVasoplegia() * 100) / 100,
+        lactate: Math.round(this.lactate * 10) / 10,
+        rearrestRisk: Math.round(this.getRearrestRisk(map) * 1000) / 10,
+        cpc: this.getNeurologicalOutcome()
+      };
+    }
+  }
+
+  export default PostCardiacArrestModel;
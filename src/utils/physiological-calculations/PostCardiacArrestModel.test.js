@@ -0,0 +1,76 @@
+import PostCardiacArrestModel from './PostCardiacArrestModel';
+
+describe('PostCardiacArrestModel', () => {
+  const arrestFor = (model, seconds, rhythm = 'vfib', cardiac_output = 0) => {
+    model.update(seconds, { arrest: true, rhythm, cardiac_output });
+  };
+
+  test('no-flow and low-flow times set the ischaemia, lactate and outcome', () => {
+    const model = new PostCardiacArrestModel();
+    expect(model.getSummary(90)).toBeNull();
+    expect(model.getNeurologicalOutcome()).toBeNull();
+
+    // A minute without compressions, then ten minutes of full-quality CPR
+    arrestFor(model, 60);
+    expect(model.getLactate()).toBeCloseTo(2);
+    arrestFor(model, 600, 'vfib', 1.5);
+    expect(model.getArrestDuration()).toBe(660);
+    expect(model.getLactate()).toBeCloseTo(6);
+    expect(model.getConsciousness()).toBe(3);
+
+    model.update(1, { map: 90 });
+    expect(model.getSummary(90)).toMatchObject({
+      inArrest: false, arrests: 1, initialRhythm: 'vfib', arrestTime: 660, noFlowTime: 60, lowFlowTime: 600,
+      timeSinceROSC: 0, vasoplegia: 0, cpc: 1
+    });
+    expect(model.getArrestDuration()).toBe(0);
+    expect(model.getCO2Surge()).toBeCloseTo(22);
+    expect(model.getStunning()).toBeCloseTo(0.6 * (1 - Math.exp(-11 / 8)));
+
+    // Vasoplegia develops as the washed-out CO2 clears
+    model.update(300, { map: 90 });
+    expect(model.getVasoplegia()).toBeGreaterThan(0.45);
+    expect(model.getCO2Surge()).toBeLessThan(0.2);
+    const lactate = model.getLactate();
+    expect(lactate).toBeLessThan(6);
+
+    // Hypotension keeps producing lactate
+    model.update(60, { map: 40 });
+    expect(model.getLactate()).toBeCloseTo(lactate + 0.1);
+
+    model.update(3600, { map: 90 });
+    expect(model.getConsciousness()).toBeGreaterThan(14.5);
+
+    model.reset();
+    expect(model.isActive()).toBe(false);
+  });
+
+  test('the re-arrest risk follows the first rhythm, the pressure and the time since ROSC', () => {
+    const shockable = new PostCardiacArrestModel();
+    const nonshockable = new PostCardiacArrestModel();
+    arrestFor(shockable, 600, 'vfib');
+    arrestFor(nonshockable, 600, 'pea');
+    shockable.update(1, { map: 90 });
+    nonshockable.update(1, { map: 90 });
+
+    const risk = shockable.getRearrestRisk(90);
+    expect(risk / nonshockable.getRearrestRisk(90)).toBeCloseTo(1.5);
+    expect(shockable.getRearrestRisk(50)).toBeCloseTo(2 * risk);
+
+    shockable.update(900, { map: 90 });
+    expect(shockable.getRearrestRisk(90)).toBeCloseTo(risk * Math.exp(-1));
+
+    // A recurrent arrest keeps the rhythm of the first one
+    arrestFor(shockable, 60, 'pea');
+    expect(shockable.getSummary(90)).toMatchObject({ inArrest: true, arrests: 2, initialRhythm: 'vfib', arrestTime: 660 });
+    expect(shockable.getRearrestRisk(90)).toBe(0);
+  });
+
+  test('the ischaemic time sets the cerebral performance category', () => {
+    [[240, 1], [480, 2], [900, 3], [1500, 4], [2400, 5]].forEach(([seconds, cpc]) => {
+      const model = new PostCardiacArrestModel();
+      arrestFor(model, seconds);
+      expect(model.getNeurologicalOutcome()).toBe(cpc);
+    });
+  });
+});
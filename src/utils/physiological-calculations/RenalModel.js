@@ -0,0 +1,147 @@
+/**
+ * RenalModel.js
+ *
+ * This module implements the kidney function behind the renal laboratory
+ * values. Glomerular filtration follows the renal perfusion: it is
+ * autoregulated above a mean arterial pressure of about 70 mmHg and stops
+ * below 45 mmHg; sympathetic activation in shock constricts the renal vessels
+ * and lowers it even while the pressure is held. Sustained hypoperfusion injures the tubules (acute tubular
+ * necrosis), which keeps the filtration low after the pressure recovers; the
+ * injury heals over days. Creatinine and urea are produced at a constant rate,
+ * distributed in the body water and cleared by filtration, so they rise over
+ * hours of low filtration. At low flow the tubules reabsorb more urea, so urea
+ * rises faster than creatinine in prerenal failure.
+ */
+
+// Normal filtration (mL/min), creatinine (µmol/L) and urea (mmol/L)
+const NORMAL_GFR = 120;
+const NORMAL_CREATININE = 80;
+const NORMAL_UREA = 5;
+
+// Body water in which creatinine and urea distribute (mL)
+const BODY_WATER = 42000;
+
+// Mean arterial pressure (mmHg) from which filtration is autoregulated and
+// below which it stops
+const AUTOREGULATION_MAP = 70;
+const FILTRATION_MAP = 45;
+
+// Resting sympathetic tone and the share of renal blood flow taken away by
+// full sympathetic activation
+const RESTING_SYMPATHETIC_TONE = 0.5;
+const SYMPATHETIC_VASOCONSTRICTION = 0.8;
+
+// Tubular injury: perfusion (0-1) below which it develops, the largest share
+// of filtration it takes away and time constants (minutes) of its development
+// and healing
+const ISCHAEMIC_PERFUSION = 0.5;
+const MAX_INJURY = 0.9;
+const INJURY_TIME_CONSTANT = 120;
+const RECOVERY_TIME_CONSTANT = 4320;
+
+class RenalModel {
+    constructor() {
+      this.reset();
+    }
+
+    /**
+     * Return to normal kidney function
+     */
+    reset() {
+      // Renal perfusion and tubular injury (0-1)
+      this.perfusion = 1;
+      this.injury = 0;
+
+      this.creatinine = NORMAL_CREATININE;
+      this.urea = NORMAL_UREA;
+    }
+
+    /**
+     * @returns {number} Filtration as a share of normal (0-1)
+     */
+    getFiltration() {
+      return this.perfusion * (1 - this.injury);
+    }
+
+    /**
+     * Kidney function
+     * @returns {Object} gfr in mL/min, creatinine in µmol/L, urea in mmol/L
+     *   and renal_injury (0-1)
+     */
+    getState() {
+      return {
+        gfr: NORMAL_GFR * this.getFiltration(),
+        creatinine: this.creatinine,
+        urea: this.urea,
+        renal_injury: this.injury
+      };
+    }
+
+    /**
+     * Set a value from outside (scenario, instructor)
+     * @param {string} param - creatinine or urea
+     * @param {number} value - Concentration
+     * @returns {boolean} Whether the parameter is known
+     */
+    setValue(param, value) {
+      if (typeof value !== 'number' || !(value >= 0)) return false;
+      if (param !== 'creatinine' && param !== 'urea') return false;
+
+      this[param] = value;
+      return true;
+    }
+
+    /**
+     * Advance a solute produced at a constant rate and cleared by the kidneys
+     * @param {number} value - Concentration
+     * @param {number} normal - Concentration at normal clearance
+     * @param {number} clearance - Clearance as a share of normal
+     * @param {number} minutes - Time step
+     * @returns {number} New concentration
+     */
+    clear(value, normal, clearance, minutes) {
+      const rate = NORMAL_GFR / BODY_WATER;
+
+      if (clearance <= 0) {
+        return value + rate * normal * minutes;
+      }
+
+      const target = normal / clearance;
+      return target + (value - target) * Math.exp(-rate * clearance * minutes);
+    }
+
+    /**
+     * Advance kidney function and the renal solutes
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} conditions - Patient conditions: map (mmHg),
+     *   sympathetic_tone (0-1) and arrest
+     * @returns {Object} Kidney function (see getState)
+     */
+    update(seconds, { map = 93, sympathetic_tone = RESTING_SYMPATHETIC_TONE, arrest = false } = {}) {
+      const minutes = Math.max(0, seconds) / 60;
+      const share = timeConstant => 1 - Math.exp(-minutes / timeConstant);
+
+      const pressure = Math.min(1, Math.max(0, map - FILTRATION_MAP) / (AUTOREGULATION_MAP - FILTRATION_MAP));
+      const activation = Math.max(0, sympathetic_tone - RESTING_SYMPATHETIC_TONE) / (1 - RESTING_SYMPATHETIC_TONE);
+      this.perfusion = arrest ? 0 : pressure * (1 - SYMPATHETIC_VASOCONSTRICTION * activation);
+
+      // Ischaemia injures the tubules, perfused tubules heal slowly
+      if (this.perfusion < ISCHAEMIC_PERFUSION) {
+        const target = MAX_INJURY * (1 - this.perfusion / ISCHAEMIC_PERFUSION);
+        if (target > this.injury) {
+          this.injury += (target - this.injury) * share(INJURY_TIME_CONSTANT);
+        }
+      } else {
+        this.injury *= 1 - share(RECOVERY_TIME_CONSTANT);
+      }
+
+      // Urea is reabsorbed more at low tubular flow
+      const filtration = this.getFiltration();
+      this.creatinine = this.clear(this.creatinine, NORMAL_CREATININE, filtration, minutes);
+      this.urea = this.clear(this.urea, NORMAL_UREA, filtration * (1 + this.perfusion) / 2, minutes);
+
+      return this.getState();
+    }
+  }
+
+  export default RenalModel;
@@ -0,0 +1,57 @@
+import RenalModel from './RenalModel';
+import { runMinutes } from '../../core/testEngine';
+
+describe('RenalModel', () => {
+  test('filtration is autoregulated above 70 mmHg and stops below 45 mmHg', () => {
+    const model = new RenalModel();
+    expect(model.getState()).toEqual({ gfr: 120, creatinine: 80, urea: 5, renal_injury: 0 });
+
+    expect(model.update(60, { map: 80 }).gfr).toBe(120);
+    expect(model.update(60, { map: 57.5 }).gfr).toBeCloseTo(60, 5);
+    expect(model.update(60, { map: 40 }).gfr).toBe(0);
+
+    // Sympathetic activation constricts the renal vessels at a normal pressure
+    model.reset();
+    expect(model.update(1, { sympathetic_tone: 1 }).gfr).toBeCloseTo(24, 0);
+    expect(model.update(1, { arrest: true }).gfr).toBe(0);
+  });
+
+  test('low filtration raises urea faster than creatinine', () => {
+    const model = new RenalModel();
+    const prerenal = runMinutes(model, 24 * 60, { map: 60 });
+    expect(prerenal.renal_injury).toBe(0);
+    expect(prerenal.creatinine).toBeGreaterThan(100);
+    expect(prerenal.urea / 5).toBeGreaterThan(prerenal.creatinine / 80);
+
+    // Without filtration the solutes rise at their production rate
+    model.reset();
+    const anuric = runMinutes(model, 60, { arrest: true });
+    expect(anuric.creatinine).toBeCloseTo(80 + 80 * 120 / 42000 * 60, 5);
+  });
+
+  test('ischaemia injures the tubules, which heal over days', () => {
+    const model = new RenalModel();
+    const arrest = runMinutes(model, 20, { arrest: true });
+    expect(arrest.renal_injury).toBeGreaterThan(0.1);
+
+    const afterRosc = runMinutes(model, 6 * 60);
+    expect(afterRosc.renal_injury).toBeGreaterThan(0.1);
+    expect(afterRosc.gfr).toBeLessThan(108);
+    expect(afterRosc.creatinine).toBeGreaterThan(80);
+
+    const healed = runMinutes(model, 10 * 24 * 60);
+    expect(healed.renal_injury).toBeLessThan(0.01);
+    expect(healed.creatinine).toBeCloseTo(80, 0);
+  });
+
+  test('creatinine and urea can be set from outside', () => {
+    const model = new RenalModel();
+    expect(model.setValue('creatinine', 300)).toBe(true);
+    expect(model.setValue('urea', 20)).toBe(true);
+    expect(model.getState()).toMatchObject({ creatinine: 300, urea: 20, renal_injury: 0 });
+
+    expect(model.setValue('gfr', 30)).toBe(false);
+    expect(model.setValue('creatinine', -1)).toBe(false);
+    expect(model.setValue('urea', '20')).toBe(false);
+  });
+});
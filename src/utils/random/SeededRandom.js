@@ -0,0 +1,77 @@
+/**
+ * SeededRandom.js
+ *
+ * This module provides a small seedable pseudo-random number generator
+ * (mulberry32) so that a whole simulation session can be reproduced
+ * exactly from a single seed.
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - Initial seed (any finite number, truncated to 32 bits)
+     */
+    constructor(seed = 1) {
+      this.seed = SeededRandom.normalizeSeed(seed);
+      this.state = this.seed;
+
+      // Bound version of next(), a drop-in replacement for Math.random
+      this.random = this.next.bind(this);
+    }
+
+    /**
+     * Convert an arbitrary number to an unsigned 32-bit seed
+     * @param {number} seed - Seed value
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+      const value = Number(seed);
+      return Number.isFinite(value) ? (Math.floor(value) >>> 0) : 0;
+    }
+
+    /**
+     * Get the next pseudo-random number
+     * @returns {number} Number in the range [0, 1), same contract as Math.random
+     */
+    next() {
+      this.state = (this.state + 0x6D2B79F5) >>> 0;
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get the original seed
+     * @returns {number} Seed
+     */
+    getSeed() {
+      return this.seed;
+    }
+
+    /**
+     * Get the internal generator state (for saving a session)
+     * @returns {number} Current state
+     */
+    getState() {
+      return this.state;
+    }
+
+    /**
+     * Restore a previously saved generator state
+     * @param {number} state - State returned by getState()
+     */
+    setState(state) {
+      this.state = SeededRandom.normalizeSeed(state);
+    }
+
+    /**
+     * Restart the sequence, optionally with a new seed
+     * @param {number} seed - New seed (defaults to the original one)
+     */
+    reset(seed = this.seed) {
+      this.seed = SeededRandom.normalizeSeed(seed);
+      this.state = this.seed;
+    }
+  }
+
+  export default SeededRandom;
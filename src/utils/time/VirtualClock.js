@@ -0,0 +1,54 @@
+/**
+ * VirtualClock.js
+ *
+ * This module provides the time sources used by the simulation. The system
+ * clock follows wall-clock time, while the virtual clock only moves when it is
+ * advanced explicitly, which allows running the simulation headless and much
+ * faster than real time.
+ */
+
+/**
+ * Clock backed by Date.now(), used by default in real-time mode
+ */
+export const systemClock = {
+  now: () => Date.now()
+};
+
+class VirtualClock {
+    /**
+     * @param {number} startTime - Initial time in milliseconds
+     */
+    constructor(startTime = 0) {
+      this.currentTime = startTime;
+    }
+
+    /**
+     * Get the current time
+     * @returns {number} Time in milliseconds
+     */
+    now() {
+      return this.currentTime;
+    }
+
+    /**
+     * Move the clock forward
+     * @param {number} ms - Number of milliseconds to advance (negative values are ignored)
+     * @returns {number} New time in milliseconds
+     */
+    advance(ms) {
+      if (ms > 0) {
+        this.currentTime += ms;
+      }
+      return this.currentTime;
+    }
+
+    /**
+     * Set the clock to an absolute time
+     * @param {number} time - Time in milliseconds
+     */
+    set(time) {
+      this.currentTime = time;
+    }
+  }
+
+  export default VirtualClock;
@@ -0,0 +1,629 @@
+/**
+ * VentilatorEngine.js
+ *
+ * This module simulates a mechanical ventilator breath by breath. The
+ * respiratory system is a single-compartment lung described by the equation of
+ * motion, Paw + Pmus = PEEP + V/C + R·V', integrated at SAMPLE_RATE. Each mode
+ * has its own control logic: volume-targeted breaths deliver a constant flow,
+ * pressure-targeted breaths hold the airway pressure, PRVC adapts that pressure
+ * breath by breath to reach the target volume, APRV holds a high pressure with
+ * short releases, and PSV and CPAP follow the patient's own efforts. Patient
+ * efforts trigger breaths when they overcome the lung's recoil by the trigger
+ * sensitivity. Incomplete expiration leaves volume in the lung (auto-PEEP),
+ * an effort that outlasts a short mandatory breath triggers a second breath on
+ * top of it (double triggering), and efforts that cannot overcome auto-PEEP
+ * are missed (ineffective efforts). Breaths are measured from the simulated
+ * flow, so rate, tidal and minute volume, pressures and auto-PEEP are what a
+ * real ventilator would display. Alarms are evaluated from these measurements
+ * and from device faults (circuit disconnect, gas supply failure) against
+ * adjustable limits; they can be silenced for a while and acknowledged.
+ */
+
+// Simulation and waveform sample rate (Hz)
+const SAMPLE_RATE = 50;
+
+// Longer steps repeat the breathing pattern, so at most this much is simulated (seconds)
+const MAX_SIMULATED_SECONDS = 30;
+
+// Time simulated before the first measurement after connection (seconds)
+const WARMUP_SECONDS = 15;
+
+// Window for measured rate and volumes (seconds) and length of stored waveforms
+const MEASUREMENT_SECONDS = 30;
+const WAVEFORM_SECONDS = 10;
+
+// Flow that starts an inspiration when breaths are counted (L/s)
+const INSPIRATORY_FLOW_THRESHOLD = 0.05;
+
+// Pressure support ends when flow falls to this share of its peak, or after MAX_SUPPORT_SECONDS
+const PSV_CYCLE_OFF = 0.25;
+const MAX_SUPPORT_SECONDS = 3;
+
+// Duration of the APRV pressure release (seconds)
+const APRV_RELEASE_SECONDS = 0.6;
+
+// PRVC: largest change of inspiratory pressure between breaths and its lower limit (cmH2O)
+const PRVC_MAX_STEP = 3;
+const PRVC_MIN_PRESSURE = 5;
+
+// Smallest effective trigger threshold; protects against auto-triggering (cmH2O)
+const MIN_TRIGGER = 0.5;
+
+// Ventilation modes: which breaths they deliver and whether the patient can trigger them
+const MODES = {
+  'A/C': { mandatory: 'volume', triggered: 'volume' },
+  SIMV: { mandatory: 'volume', triggered: 'support' },
+  PRVC: { mandatory: 'pressure', triggered: 'pressure' },
+  PSV: { mandatory: null, triggered: 'support' },
+  CPAP: { mandatory: null, triggered: null },
+  APRV: { mandatory: null, triggered: null }
+};
+
+export const VENTILATION_MODES = Object.keys(MODES);
+
+// Air-oxygen blender output when one gas supply fails
+const FIO2_WITHOUT_OXYGEN = 0.21;
+const FIO2_WITHOUT_AIR = 1;
+
+// Default duration of alarm silence (seconds)
+const ALARM_SILENCE_SECONDS = 120;
+
+export const DEFAULT_ALARM_LIMITS = {
+  peak_pressure: 40,     // High peak airway pressure (cmH2O)
+  minute_volume: 4,      // Low minute volume (L/min)
+  apnea_seconds: 20,     // Time without a breath before the apnoea alarm (s)
+  auto_peep: 5,          // High auto-PEEP (cmH2O)
+  fio2_deviation: 0.06   // Allowed deviation of delivered from set FiO2
+};
+
+export const DEFAULT_VENTILATOR_SETTINGS = {
+  mode: 'A/C',             // A/C, SIMV, CPAP, PSV, PRVC, APRV
+  rate: 12,                // Mandatory breaths per minute (releases per minute in APRV)
+  tidal_volume: 500,       // Target tidal volume in mL
+  peep: 5,                 // PEEP (P-low in APRV) in cmH2O
+  fio2: 0.4,               // Inspired oxygen fraction (0.21-1)
+  peak: 25,                // Pressure limit in PRVC, P-high in APRV (cmH2O)
+  pressure_support: 10,    // Pressure support above PEEP in cmH2O
+  ie_ratio: 2,             // Expiratory part of the I:E ratio (1:N)
+  trigger_sensitivity: -2  // Effort needed to trigger a breath in cmH2O
+};
+
+class VentilatorEngine {
+    /**
+     * @param {Object} settings - Initial settings (see DEFAULT_VENTILATOR_SETTINGS)
+     */
+    constructor(settings = {}) {
+      this.settings = { ...DEFAULT_VENTILATOR_SETTINGS };
+      this.setSettings(settings);
+      this.alarmLimits = { ...DEFAULT_ALARM_LIMITS };
+
+      // Device faults introduced by the instructor or by the trainee's actions
+      this.faults = { disconnect: false, oxygen_supply: false, air_supply: false };
+
+      this.reset();
+    }
+
+    /**
+     * Change settings; unknown keys and invalid values are ignored
+     * @param {Object} settings - Settings to change
+     * @returns {Object} Current settings
+     */
+    setSettings(settings) {
+      Object.entries(settings).forEach(([key, value]) => {
+        if (this.settings[key] === undefined) return;
+
+        if (key === 'mode') {
+          if (MODES[value]) this.settings.mode = value;
+        } else if (typeof value === 'number' && !Number.isNaN(value)) {
+          this.settings[key] = key === 'fio2' ? Math.min(1, Math.max(0.21, value)) : value;
+        }
+      });
+
+      return this.getSettings();
+    }
+
+    /**
+     * @returns {Object} Copy of the current settings
+     */
+    getSettings() {
+      return { ...this.settings };
+    }
+
+    /**
+     * Change alarm limits; unknown keys and invalid values are ignored
+     * @param {Object} limits - Limits to change (see DEFAULT_ALARM_LIMITS)
+     * @returns {Object} Current limits
+     */
+    setAlarmLimits(limits) {
+      Object.entries(limits).forEach(([key, value]) => {
+        if (this.alarmLimits[key] !== undefined && typeof value === 'number' && !Number.isNaN(value)) {
+          this.alarmLimits[key] = value;
+        }
+      });
+
+      return { ...this.alarmLimits };
+    }
+
+    /**
+     * Introduce or clear a device fault
+     * @param {string} fault - disconnect, oxygen_supply or air_supply
+     * @param {boolean} active - Whether the fault is present
+     * @returns {Object} Current faults
+     */
+    setFault(fault, active = true) {
+      if (this.faults[fault] !== undefined) {
+        this.faults[fault] = Boolean(active);
+      }
+
+      return { ...this.faults };
+    }
+
+    /**
+     * Oxygen fraction the blender delivers with the current gas supply
+     * @returns {number} FiO2 (0.21-1)
+     */
+    getDeliveredFiO2() {
+      if (this.faults.oxygen_supply) return FIO2_WITHOUT_OXYGEN;
+      if (this.faults.air_supply) return FIO2_WITHOUT_AIR;
+      return this.settings.fio2;
+    }
+
+    /**
+     * Connect to a patient: empty the lung, forget breaths, waveforms and alarms
+     */
+    reset() {
+      // Simulated time; counted in samples so breath timing does not drift
+      this.sampleCount = 0;
+      this.time = 0;
+      this.volume = 0;
+      this.breath = null;
+      this.lastBreathStart = -Infinity;
+      this.mandatoryCycle = { start: 0, delivered: false };
+      this.prvcPressure = null;
+
+      // Patient effort: neural cycle start, id and whether it triggered a breath
+      this.effort = { id: 0, start: 0, triggers: 0, inExpiration: false };
+
+      // Inspiration being measured and completed breaths. End-expiratory
+      // pressure is known only for inspirations starting from PEEP: not for
+      // stacked breaths or spontaneous breaths during APRV's high pressure
+      this.inspiration = null;
+      this.stacked = false;
+      this.lastPressure = 0;
+      this.breaths = [];
+      this.doubleTriggers = [];
+      this.ineffectiveEfforts = [];
+
+      this.samples = { pressure: [], flow: [], volume: [] };
+
+      // Start of the last inspiration for the apnoea alarm
+      this.lastInspiration = 0;
+
+      // Active alarms by id, and the time until which they are silenced
+      this.alarms = {};
+      this.silencedUntil = 0;
+      this.faults.disconnect = false;
+    }
+
+    /**
+     * Advance the ventilator and the patient's lung
+     * @param {number} seconds - Time step in seconds
+     * @param {Object} patient - compliance (mL/cmH2O), resistance (cmH2O/(L/s)) and
+     *   effort - the patient's inspiratory efforts: rate (/min), pressure (peak
+     *   muscle pressure in cmH2O) and inspiratory_time (s)
+     * @returns {Object} Measurements (see measure)
+     */
+    update(seconds, patient) {
+      let simulated = Math.min(Math.max(0, seconds), MAX_SIMULATED_SECONDS);
+      if (this.time === 0) {
+        simulated += WARMUP_SECONDS;
+      }
+
+      const steps = Math.round(simulated * SAMPLE_RATE);
+      for (let i = 0; i < steps; i++) {
+        this.step(1 / SAMPLE_RATE, patient);
+      }
+
+      // Forget what is older than the measurement and waveform windows
+      const maxSamples = WAVEFORM_SECONDS * SAMPLE_RATE;
+      Object.values(this.samples).forEach(buffer => {
+        if (buffer.length > maxSamples) buffer.splice(0, buffer.length - maxSamples);
+      });
+      const since = this.time - MEASUREMENT_SECONDS;
+      this.breaths = this.breaths.filter(breath => breath.time >= since);
+      this.doubleTriggers = this.doubleTriggers.filter(time => time >= since);
+      this.ineffectiveEfforts = this.ineffectiveEfforts.filter(time => time >= since);
+
+      const measured = this.measure();
+      this.updateAlarms(measured);
+      return measured;
+    }
+
+    /**
+     * Patient's inspiratory muscle pressure: a half-sine during neural inspiration
+     * @param {Object} effort - Patient effort (see update)
+     * @returns {number} Muscle pressure in cmH2O
+     */
+    getMusclePressure({ rate = 0, pressure = 0, inspiratory_time = 0 } = {}) {
+      if (!(rate > 0) || !(pressure > 0) || !(inspiratory_time > 0)) return 0;
+
+      // A new effort starts every neural cycle
+      if (this.time - this.effort.start >= 60 / rate) {
+        if (this.effort.triggers === 0 && this.effort.inExpiration && MODES[this.settings.mode].triggered) {
+          this.ineffectiveEfforts.push(this.time);
+        }
+        this.effort = { id: this.effort.id + 1, start: this.time, triggers: 0, inExpiration: false };
+      }
+
+      const elapsed = this.time - this.effort.start;
+      if (elapsed >= inspiratory_time) return 0;
+      return pressure * Math.sin(Math.PI * elapsed / inspiratory_time);
+    }
+
+    /**
+     * Airway pressure the ventilator holds between breaths
+     * @returns {number} Pressure in cmH2O
+     */
+    getBasePressure() {
+      const { mode, rate, peep, peak } = this.settings;
+
+      if (mode === 'APRV' && rate > 0) {
+        const cycle = 60 / rate;
+        const release = Math.min(APRV_RELEASE_SECONDS, cycle / 2);
+        return this.time % cycle < cycle - release ? Math.max(peep, peak) : peep;
+      }
+
+      return peep;
+    }
+
+    /**
+     * Start a breath
+     * @param {string} type - volume, pressure or support
+     * @param {boolean} triggered - Whether the patient triggered it
+     */
+    startBreath(type, triggered) {
+      const { rate, ie_ratio, tidal_volume, peep, peak, pressure_support } = this.settings;
+      const inspiratoryTime = rate > 0 ? 60 / rate / (1 + ie_ratio) : 1;
+
+      this.breath = { type, start: this.time, triggered, inspiratoryTime, peakFlow: 0 };
+
+      if (type === 'volume') {
+        this.breath.flow = tidal_volume / 1000 / inspiratoryTime;
+      } else if (type === 'pressure') {
+        if (this.prvcPressure === null) {
+          this.prvcPressure = Math.max(PRVC_MIN_PRESSURE, Math.min(peak - peep, 10));
+        }
+        this.breath.pressure = peep + this.prvcPressure;
+        this.breath.startVolume = this.volume;
+      } else {
+        this.breath.pressure = peep + pressure_support;
+      }
+
+      if (type !== 'support') {
+        this.lastBreathStart = this.time;
+      }
+
+      // The effort that triggered the breath may have started the inspiration;
+      // a second breath within one inspiration is measured separately
+      if (this.inspiration && this.inspiration.assisted) {
+        this.breaths.push(this.inspiration);
+        this.inspiration = null;
+        this.stacked = true;
+      } else if (this.inspiration) {
+        this.inspiration.assisted = true;
+      }
+
+      if (triggered) {
+        // The same effort triggering again means a stacked breath
+        if (this.effort.triggers > 0) {
+          this.doubleTriggers.push(this.time);
+        }
+        this.effort.triggers += 1;
+      }
+    }
+
+    /**
+     * End the current breath; PRVC adapts the pressure to the delivered volume
+     * @param {number} compliance - Compliance in mL/cmH2O
+     */
+    endBreath(compliance) {
+      const { tidal_volume, peak, peep } = this.settings;
+
+      if (this.breath.type === 'pressure') {
+        const delivered = this.volume - this.breath.startVolume;
+        const change = Math.min(PRVC_MAX_STEP, Math.max(-PRVC_MAX_STEP, (tidal_volume - delivered) / compliance));
+        const limit = Math.max(PRVC_MIN_PRESSURE, peak - peep);
+        this.prvcPressure = Math.min(limit, Math.max(PRVC_MIN_PRESSURE, this.prvcPressure + change));
+      }
+
+      this.breath = null;
+    }
+
+    /**
+     * Breath control: cycling of the current breath, patient triggers and mandatory breaths
+     * @param {number} musclePressure - Patient's muscle pressure in cmH2O
+     * @param {number} flow - Flow of the previous sample in L/s
+     * @param {number} compliance - Compliance in mL/cmH2O
+     */
+    controlBreath(musclePressure, flow, compliance) {
+      const { mode, rate, trigger_sensitivity } = this.settings;
+      const { mandatory, triggered } = MODES[mode];
+
+      if (this.breath) {
+        const elapsed = this.time - this.breath.start;
+        this.breath.peakFlow = Math.max(this.breath.peakFlow, flow);
+
+        const finished = this.breath.type === 'support'
+          ? (elapsed > 0.2 && flow <= PSV_CYCLE_OFF * this.breath.peakFlow) || elapsed >= MAX_SUPPORT_SECONDS
+          : elapsed >= this.breath.inspiratoryTime;
+
+        if (!finished) return;
+        this.endBreath(compliance);
+      }
+
+      this.effort.inExpiration = this.effort.inExpiration || musclePressure > 0;
+      const cycle = rate > 0 ? 60 / rate : Infinity;
+
+      // SIMV delivers one mandatory breath per cycle, synchronised with an effort if there is one
+      if (mode === 'SIMV' && this.time - this.mandatoryCycle.start >= cycle) {
+        if (!this.mandatoryCycle.delivered) {
+          this.startBreath('volume', false);
+          this.mandatoryCycle = { start: this.time, delivered: false };
+          return;
+        }
+        this.mandatoryCycle = { start: this.time, delivered: false };
+      }
+
+      // Effort overcomes the recoil of the lung (including auto-PEEP) by the trigger sensitivity
+      const threshold = Math.max(MIN_TRIGGER, Math.abs(trigger_sensitivity));
+      if (triggered && musclePressure - this.volume / compliance >= threshold) {
+        if (mode === 'SIMV' && !this.mandatoryCycle.delivered) {
+          this.mandatoryCycle.delivered = true;
+          this.startBreath('volume', true);
+        } else {
+          this.startBreath(triggered, true);
+        }
+        return;
+      }
+
+      // Backup rate of assist-control modes
+      if (mandatory && mode !== 'SIMV' && this.time - this.lastBreathStart >= cycle) {
+        this.startBreath(mandatory, false);
+      }
+    }
+
+    /**
+     * Advance by one sample
+     * @param {number} dt - Sample interval in seconds
+     * @param {Object} patient - Patient mechanics and effort (see update)
+     */
+    step(dt, patient) {
+      const { compliance, resistance, effort } = patient;
+      const { peep } = this.settings;
+
+      // Open circuit: the ventilator measures neither pressure nor returning gas
+      if (this.faults.disconnect) {
+        this.breath = null;
+        this.inspiration = null;
+        this.volume = 0;
+        this.samples.pressure.push(0);
+        this.samples.flow.push(0);
+        this.samples.volume.push(0);
+        this.sampleCount += 1;
+        this.time = this.sampleCount / SAMPLE_RATE;
+        return;
+      }
+
+      const musclePressure = this.getMusclePressure(effort);
+      const previousFlow = this.samples.flow.length > 0 ? this.samples.flow[this.samples.flow.length - 1] / 60 : 0;
+      this.controlBreath(musclePressure, previousFlow, compliance);
+
+      let pressure;
+      let flow;
+      if (this.breath && this.breath.type === 'volume') {
+        // Constant inspiratory flow; the airway pressure follows the equation of motion
+        flow = this.breath.flow;
+        this.volume += flow * 1000 * dt;
+        pressure = peep + this.volume / compliance + resistance * flow - musclePressure;
+      } else {
+        // Pressure held by the ventilator, solved implicitly for stability
+        pressure = this.breath ? this.breath.pressure : this.getBasePressure();
+        const k = 1000 * dt / resistance;
+        const volume = (this.volume + k * (pressure - peep + musclePressure)) / (1 + k / compliance);
+        flow = (volume - this.volume) / (1000 * dt);
+        this.volume = volume;
+      }
+
+      this.measureBreath(pressure, flow, compliance);
+      this.lastPressure = pressure;
+
+      this.samples.pressure.push(pressure);
+      this.samples.flow.push(flow * 60);
+      this.samples.volume.push(this.volume);
+      this.sampleCount += 1;
+      this.time = this.sampleCount / SAMPLE_RATE;
+    }
+
+    /**
+     * Detect inspirations from the flow and record their volume and pressures
+     * @param {number} pressure - Airway pressure in cmH2O
+     * @param {number} flow - Flow in L/s
+     * @param {number} compliance - Compliance in mL/cmH2O
+     */
+    measureBreath(pressure, flow, compliance) {
+      const { peep } = this.settings;
+      const elastic = peep + this.volume / compliance;
+
+      if (!this.inspiration && flow > INSPIRATORY_FLOW_THRESHOLD) {
+        const fromPeep = !this.stacked && this.lastPressure <= peep;
+        this.inspiration = {
+          time: this.time,
+          volume: 0,
+          peak: pressure,
+          plateau: elastic,
+          autoPeep: fromPeep ? Math.max(0, this.volume / compliance) : null,
+          assisted: this.breath !== null
+        };
+        this.stacked = false;
+        this.lastInspiration = this.time;
+      }
+
+      if (!this.inspiration) return;
+
+      if (flow > 0) {
+        this.inspiration.volume += flow * 1000 / SAMPLE_RATE;
+        this.inspiration.peak = Math.max(this.inspiration.peak, pressure);
+        // Effort lowers the airway pressure, so the plateau cannot exceed the peak
+        this.inspiration.plateau = Math.min(this.inspiration.peak, Math.max(this.inspiration.plateau, elastic));
+      } else {
+        this.breaths.push(this.inspiration);
+        this.inspiration = null;
+      }
+    }
+
+    /**
+     * Values displayed by the ventilator over the measurement window
+     * @returns {Object} rate (/min), tidal_volume (mL), minute_volume (L/min),
+     *   peak_pressure, plateau_pressure, auto_peep, total_peep (cmH2O),
+     *   double_triggers and ineffective_efforts (per minute)
+     */
+    measure() {
+      const window = Math.min(MEASUREMENT_SECONDS, this.time);
+      const perMinute = window > 0 ? 60 / window : 0;
+      const breaths = this.breaths;
+      const tidalVolume = breaths.length > 0
+        ? breaths.reduce((sum, breath) => sum + breath.volume, 0) / breaths.length
+        : 0;
+      const endExpiratory = breaths.filter(breath => breath.autoPeep !== null);
+      const autoPeep = endExpiratory.length > 0
+        ? endExpiratory.reduce((sum, breath) => sum + breath.autoPeep, 0) / endExpiratory.length
+        : 0;
+
+      // The breath in progress has started within the window but has no volume yet
+      const rate = (breaths.length + (this.inspiration ? 1 : 0)) * perMinute;
+
+      return {
+        rate,
+        tidal_volume: tidalVolume,
+        minute_volume: rate * tidalVolume / 1000,
+        peak_pressure: Math.max(this.settings.peep, ...breaths.map(breath => breath.peak)),
+        plateau_pressure: Math.max(this.settings.peep, ...breaths.map(breath => breath.plateau)),
+        auto_peep: autoPeep,
+        total_peep: this.settings.peep + autoPeep,
+        double_triggers: this.doubleTriggers.length * perMinute,
+        ineffective_efforts: this.ineffectiveEfforts.length * perMinute
+      };
+    }
+
+    /**
+     * Evaluate alarm conditions; an alarm keeps its acknowledgement while it lasts
+     * @param {Object} measured - Measurements (see measure)
+     */
+    updateAlarms(measured) {
+      const limits = this.alarmLimits;
+      const conditions = [];
+
+      if (this.faults.disconnect) {
+        conditions.push(['disconnect', 'high', 0, 0, 'ИВЛ: разгерметизация контура']);
+      }
+
+      const sinceBreath = this.time - this.lastInspiration;
+      if (sinceBreath > limits.apnea_seconds) {
+        conditions.push(['apnea', 'high', sinceBreath, limits.apnea_seconds, `ИВЛ: апноэ ${Math.round(sinceBreath)} с`]);
+      }
+
+      const lastBreath = this.breaths[this.breaths.length - 1];
+      if (lastBreath && lastBreath.peak > limits.peak_pressure) {
+        conditions.push(['high_pressure', 'high', lastBreath.peak, limits.peak_pressure,
+          `ИВЛ: высокое давление в дыхательных путях (> ${limits.peak_pressure} см H2O)`]);
+      }
+
+      // Minute volume is measured once the measurement window is filled
+      if (this.time >= MEASUREMENT_SECONDS && measured.minute_volume < limits.minute_volume) {
+        conditions.push(['low_minute_volume', 'high', measured.minute_volume, limits.minute_volume,
+          `ИВЛ: низкий минутный объем (< ${limits.minute_volume} л/мин)`]);
+      }
+
+      if (measured.auto_peep > limits.auto_peep) {
+        conditions.push(['high_auto_peep', 'medium', measured.auto_peep, limits.auto_peep,
+          `ИВЛ: высокое авто-PEEP (> ${limits.auto_peep} см H2O)`]);
+      }
+
+      const fio2 = this.getDeliveredFiO2();
+      if (fio2 < this.settings.fio2 - limits.fio2_deviation) {
+        conditions.push(['low_fio2', 'high', fio2, this.settings.fio2, 'ИВЛ: низкая FiO2']);
+      } else if (fio2 > this.settings.fio2 + limits.fio2_deviation) {
+        conditions.push(['high_fio2', 'medium', fio2, this.settings.fio2, 'ИВЛ: высокая FiO2']);
+      }
+
+      const alarms = {};
+      conditions.forEach(([type, priority, value, threshold, message]) => {
+        const id = `ventilator_${type}`;
+        alarms[id] = {
+          parameter: 'ventilator',
+          value,
+          threshold,
+          type,
+          priority,
+          message,
+          acknowledged: this.alarms[id]?.acknowledged || false
+        };
+      });
+
+      this.alarms = alarms;
+    }
+
+    /**
+     * Active alarms in the engine's alarm format
+     * @returns {Object} Alarms by id, with acknowledged and silenced flags
+     */
+    getAlarms() {
+      const silenced = this.getSilenceRemaining() > 0;
+      const alarms = {};
+
+      Object.entries(this.alarms).forEach(([id, alarm]) => {
+        alarms[id] = { ...alarm, silenced };
+      });
+
+      return alarms;
+    }
+
+    /**
+     * Silence the alarm sound; alarms stay displayed
+     * @param {number} seconds - Silence duration in seconds
+     */
+    silenceAlarms(seconds = ALARM_SILENCE_SECONDS) {
+      this.silencedUntil = this.time + seconds;
+    }
+
+    /**
+     * @returns {number} Seconds of alarm silence left
+     */
+    getSilenceRemaining() {
+      return Math.max(0, this.silencedUntil - this.time);
+    }
+
+    /**
+     * Acknowledge the active alarms; an alarm that recurs after it resolves is new again
+     */
+    acknowledgeAlarms() {
+      Object.values(this.alarms).forEach(alarm => {
+        alarm.acknowledged = true;
+      });
+    }
+
+    /**
+     * Stored waveforms, oldest sample first
+     * @returns {Object} sampleRate (Hz), pressure (cmH2O), flow (L/min) and volume (mL)
+     */
+    getWaveform() {
+      return {
+        sampleRate: SAMPLE_RATE,
+        pressure: [...this.samples.pressure],
+        flow: [...this.samples.flow],
+        volume: [...this.samples.volume]
+      };
+    }
+  }
+
+  export default VentilatorEngine;
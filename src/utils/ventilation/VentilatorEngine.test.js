@@ -0,0 +1,179 @@
+import VentilatorEngine from './VentilatorEngine';
+import PhysiologicalModel from '../../core/PhysiologicalModel';
+import VirtualClock from '../time/VirtualClock';
+
+describe('Ventilator engine', () => {
+  const healthyLung = { compliance: 50, resistance: 5 };
+  const effort = (pressure = 10, rate = 14) => ({ rate, pressure, inspiratory_time: 0.4 * 60 / rate });
+
+  const ventilate = (settings, patient, seconds = 60) => {
+    const ventilator = new VentilatorEngine(settings);
+    let measured;
+    for (let i = 0; i < seconds; i++) {
+      measured = ventilator.update(1, patient);
+    }
+    return { ventilator, measured };
+  };
+
+  test('each mode delivers breaths by its own control logic', () => {
+    const passive = { ...healthyLung, effort: effort(0) };
+
+    // Volume control: set volume and rate, flow through the airways raises the peak above the plateau
+    const volume = ventilate({ mode: 'A/C' }, passive).measured;
+    expect(volume.rate).toBe(12);
+    expect(Math.abs(volume.tidal_volume - 500)).toBeLessThan(25);
+    expect(volume.peak_pressure).toBeGreaterThan(volume.plateau_pressure + 1);
+
+    // PRVC reaches the target volume with a pressure-controlled breath
+    const prvc = ventilate({ mode: 'PRVC', tidal_volume: 400 }, passive).measured;
+    expect(Math.abs(prvc.tidal_volume - 400)).toBeLessThan(40);
+    expect(prvc.peak_pressure).toBeCloseTo(prvc.plateau_pressure, 0);
+    expect(ventilate({ mode: 'PRVC', tidal_volume: 800, peak: 15 }, passive).measured.peak_pressure).toBeLessThanOrEqual(15);
+
+    // Without efforts the spontaneous modes deliver nothing; APRV holds P-high between releases
+    expect(ventilate({ mode: 'PSV' }, passive).measured.rate).toBe(0);
+    expect(ventilate({ mode: 'CPAP' }, passive).measured.minute_volume).toBe(0);
+    const aprv = ventilate({ mode: 'APRV', rate: 12, peak: 25, peep: 5 }, passive).measured;
+    expect(aprv).toMatchObject({ rate: 12, peak_pressure: 25 });
+    expect(aprv.tidal_volume).toBeGreaterThan(800);
+
+    // The patient triggers pressure-supported breaths at its own rate
+    const supported = ventilate({ mode: 'PSV', pressure_support: 10 }, { ...healthyLung, effort: effort(5, 20) }).measured;
+    const unsupported = ventilate({ mode: 'CPAP' }, { ...healthyLung, effort: effort(5, 20) }).measured;
+    expect(supported.rate).toBe(20);
+    expect(supported.peak_pressure).toBe(15);
+    expect(supported.tidal_volume).toBeGreaterThan(unsupported.tidal_volume + 200);
+
+    // Breaths above the set rate get the full volume in A/C; in SIMV only the set rate does
+    const tachypnoea = { ...healthyLung, effort: effort(5, 20) };
+    const assisted = ventilate({ mode: 'A/C', rate: 10, ie_ratio: 4 }, tachypnoea).measured;
+    const simv = ventilate({ mode: 'SIMV', rate: 10, ie_ratio: 4, pressure_support: 0 }, tachypnoea).measured;
+    expect(assisted.rate).toBe(20);
+    expect(assisted.tidal_volume).toBeGreaterThanOrEqual(500);
+    expect(simv.rate).toBe(20);
+    expect(simv.tidal_volume).toBeLessThan(assisted.tidal_volume - 100);
+  });
+
+  test('short expiration through narrowed airways causes auto-PEEP and missed efforts', () => {
+    const obstructed = { compliance: 50, resistance: 25 };
+    const settings = { mode: 'A/C', rate: 30, ie_ratio: 1 };
+
+    expect(ventilate(settings, { ...healthyLung, effort: effort(0) }).measured.auto_peep).toBeLessThan(1);
+
+    const trapped = ventilate(settings, { ...obstructed, effort: effort(0) }).measured;
+    expect(trapped.auto_peep).toBeGreaterThan(3);
+    expect(trapped.total_peep).toBeCloseTo(5 + trapped.auto_peep, 5);
+
+    // A weak effort cannot overcome the trapped volume
+    expect(ventilate(settings, { ...obstructed, effort: effort(3, 20) }).measured.ineffective_efforts).toBeGreaterThan(0);
+  });
+
+  test('an effort outlasting a short mandatory breath double-triggers', () => {
+    const patient = { ...healthyLung, effort: effort(10) };
+
+    expect(ventilate({ mode: 'A/C', tidal_volume: 500, ie_ratio: 2 }, patient).measured.double_triggers).toBe(0);
+
+    const stacked = ventilate({ mode: 'A/C', tidal_volume: 300, ie_ratio: 4 }, patient).measured;
+    expect(stacked.double_triggers).toBeGreaterThan(5);
+    expect(stacked.rate).toBeGreaterThan(20);
+  });
+
+  test('the model feeds patient efforts and mechanics to the ventilator', () => {
+    const clock = new VirtualClock(0);
+    const model = new PhysiologicalModel({}, () => 0.5, clock);
+    model.updatePhysiology();
+    expect(model.getVentilatorWaveform().pressure).toHaveLength(0);
+
+    model.intubate(true);
+    model.setVentilatorSettings({ mode: 'PSV', pressure_support: 12, peep: 6 });
+    for (let i = 0; i < 60; i++) {
+      clock.advance(1000);
+      model.updatePhysiology();
+    }
+    const state = model.getState();
+    expect(state).toMatchObject({ ventilator_mode: 'PSV', peak_pressure: 18, peep: 6 });
+    expect(state.ventilator_rate).toBe(Math.round(state.rr));
+
+    const waveform = model.getVentilatorWaveform();
+    expect(waveform.sampleRate).toBe(50);
+    expect(waveform.pressure).toHaveLength(500);
+    expect(Math.max(...waveform.flow)).toBeGreaterThan(0);
+    expect(Math.min(...waveform.flow)).toBeLessThan(0);
+
+    // Bronchospasm with a fast rate traps gas; the total PEEP recruits the lung
+    model.setVentilatorSettings({ mode: 'A/C', rate: 30, ie_ratio: 1 });
+    model.applyChanges({ respiratory_resistance: 20 });
+    model.applyMedication('rocuronium', 1.2);
+    for (let i = 0; i < 60; i++) {
+      clock.advance(1000);
+      model.updatePhysiology();
+    }
+    expect(model.getState().auto_peep).toBeGreaterThan(3);
+  });
+});
+
+describe('Ventilator alarms', () => {
+  const passive = (lung = {}) => ({ compliance: 50, resistance: 5, ...lung, effort: { rate: 0, pressure: 0, inspiratory_time: 0 } });
+
+  const run = (ventilator, patient, seconds) => {
+    for (let i = 0; i < seconds; i++) {
+      ventilator.update(1, patient);
+    }
+    return ventilator.getAlarms();
+  };
+
+  test('alarms follow the measurements and device faults', () => {
+    expect(run(new VentilatorEngine(), passive(), 60)).toEqual({});
+
+    // Stiff lung: the plateau alone exceeds the pressure limit
+    const stiff = run(new VentilatorEngine({ tidal_volume: 900 }), passive({ compliance: 20 }), 30);
+    expect(stiff.ventilator_high_pressure).toMatchObject({ parameter: 'ventilator', priority: 'high', threshold: 40 });
+
+    // No efforts in a spontaneous mode: apnoea, then low minute volume
+    const cpap = new VentilatorEngine({ mode: 'CPAP' });
+    expect(Object.keys(run(cpap, passive(), 10))).toEqual(['ventilator_apnea']);
+    expect(run(cpap, passive(), 20).ventilator_low_minute_volume).toBeDefined();
+
+    expect(run(new VentilatorEngine({ rate: 30, ie_ratio: 1 }), passive({ resistance: 25 }), 60).ventilator_high_auto_peep)
+      .toMatchObject({ priority: 'medium' });
+
+    // Blender output without one of the gases
+    const supply = new VentilatorEngine({ fio2: 0.5 });
+    supply.setFault('oxygen_supply');
+    expect(supply.getDeliveredFiO2()).toBe(0.21);
+    expect(run(supply, passive(), 5).ventilator_low_fio2).toBeDefined();
+    supply.setFault('oxygen_supply', false);
+    supply.setFault('air_supply');
+    expect(Object.keys(run(supply, passive(), 5))).toEqual(['ventilator_high_fio2']);
+
+    // Open circuit: no pressure, no breaths
+    const disconnected = new VentilatorEngine();
+    run(disconnected, passive(), 30);
+    disconnected.setFault('disconnect');
+    const alarms = run(disconnected, passive(), 25);
+    expect(alarms.ventilator_disconnect).toBeDefined();
+    expect(alarms.ventilator_apnea).toBeDefined();
+    expect(Math.max(...disconnected.getWaveform().pressure)).toBe(0);
+
+    // Limits are adjustable
+    disconnected.setFault('disconnect', false);
+    disconnected.setAlarmLimits({ peak_pressure: 10 });
+    expect(run(disconnected, passive(), 10).ventilator_high_pressure).toBeDefined();
+  });
+
+  test('silence mutes for two minutes and acknowledgement lasts while the alarm is active', () => {
+    const ventilator = new VentilatorEngine({ mode: 'CPAP' });
+    run(ventilator, passive(), 10);
+
+    ventilator.silenceAlarms();
+    ventilator.acknowledgeAlarms();
+    expect(run(ventilator, passive(), 60).ventilator_apnea).toMatchObject({ acknowledged: true, silenced: true });
+    expect(run(ventilator, passive(), 60).ventilator_apnea.silenced).toBe(false);
+
+    // A breath resolves the apnoea; the next one is a new alarm
+    ventilator.setSettings({ mode: 'A/C' });
+    expect(run(ventilator, passive(), 5).ventilator_apnea).toBeUndefined();
+    ventilator.setSettings({ mode: 'CPAP' });
+    expect(run(ventilator, passive(), 25).ventilator_apnea.acknowledged).toBe(false);
+  });
+});
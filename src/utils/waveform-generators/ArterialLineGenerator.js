@@ -0,0 +1,214 @@
+/**
+ * ArterialLineGenerator.js
+ *
+ * Этот модуль генерирует кривую инвазивного артериального давления (мм рт.ст.)
+ * по состоянию пациента: систолический подъем, дикротическую выемку и
+ * диастолический спад между систолическим и диастолическим давлением.
+ * Моделируются демпфирование системы датчика (оптимальное, избыточное и
+ * недостаточное) и дыхательная вариабельность пульсового давления, которая
+ * растет при гиповолемии и ИВЛ. При остановке кровообращения кривую создают
+ * только компрессии. Шум датчика не моделируется, поэтому генератор не
+ * расходует общий источник случайных чисел.
+ */
+
+// Демпфирование системы датчика: доля пульсового давления вокруг среднего,
+// амплитуда колебаний после систолического подъема и видимость дикротической выемки
+export const ARTERIAL_DAMPING = {
+  optimal: { gain: 1, ringing: 0, notch: true },
+  overdamped: { gain: 0.6, ringing: 0, notch: false },
+  underdamped: { gain: 1, ringing: 0.3, notch: true }
+};
+
+// Вариабельность пульсового давления (доля): при спонтанном дыхании, при ИВЛ
+// и ее прирост при полном дефиците объема крови
+const SPONTANEOUS_PPV = 0.03;
+const VENTILATED_PPV = 0.06;
+const HYPOVOLEMIA_PPV = 0.2;
+
+// Нормальный объем крови и дефицит, при котором прирост вариабельности максимален (мл)
+const NORMAL_BLOOD_VOLUME = 5000;
+const MAX_VOLUME_DEFICIT = 1500;
+
+/**
+ * Форма пульсовой волны давления за сердечный цикл
+ * @param {number} phase - Фаза сердечного цикла (0-1, 0 - начало систолы)
+ * @param {boolean} notch - Показывать ли дикротическую выемку
+ * @returns {number} Доля пульсового давления (0 - диастолическое, 1 - систолическое)
+ */
+export const arterialPulseShape = (phase, notch = true) => {
+  if (phase < 0.12) {
+    // Систолический подъем
+    return Math.pow(Math.sin(phase / 0.12 * Math.PI / 2), 2);
+  }
+  if (phase < 0.3) {
+    // Систолический пик и начало спада
+    return 1 - 0.25 * (phase - 0.12) / 0.18;
+  }
+  if (phase < 0.42) {
+    // Дикротическая выемка (закрытие аортального клапана) и дикротическая волна
+    const x = (phase - 0.3) / 0.12;
+    const smooth = 0.75 - 0.07 * x;
+    if (!notch) return smooth;
+    return x < 0.5
+      ? 0.75 - 0.15 * Math.sin(x * Math.PI)
+      : 0.6 + 0.08 * Math.sin((x - 0.5) * Math.PI);
+  }
+
+  // Диастолический спад
+  const x = (phase - 0.42) / 0.58;
+  return 0.68 * (Math.exp(-2 * x) - Math.exp(-2)) / (1 - Math.exp(-2));
+};
+
+class ArterialLineGenerator {
+    constructor() {
+      // Параметры по умолчанию
+      this.params = {
+        sampleRate: 100,      // Частота дискретизации (Гц)
+        heartRate: 72,        // Частота сердечных сокращений (уд/мин)
+        respiratoryRate: 14,  // Частота дыхания (вд/мин)
+        systolic: 120,        // Систолическое давление (мм рт.ст.)
+        diastolic: 80,        // Диастолическое давление (мм рт.ст.)
+        damping: 'optimal',   // Демпфирование датчика
+        ppv: SPONTANEOUS_PPV, // Вариабельность пульсового давления (доля)
+        pulse: true           // Есть ли пульсовая волна
+      };
+
+      // Фазы сердечного и дыхательного циклов (0-1)
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+
+    /**
+     * Обновление параметров генератора
+     * @param {Object} newParams - Новые параметры
+     */
+    updateParams(newParams) {
+      this.params = { ...this.params, ...newParams };
+    }
+
+    /**
+     * Вариабельность пульсового давления: при ИВЛ больше, чем при спонтанном
+     * дыхании, и растет с дефицитом объема крови
+     * @param {Object} patientState - Состояние пациента
+     * @returns {number} Вариабельность (доля пульсового давления)
+     */
+    getPulsePressureVariation(patientState) {
+      const { intubated = false, blood_volume = NORMAL_BLOOD_VOLUME } = patientState;
+
+      const deficit = Math.min(1, Math.max(0, NORMAL_BLOOD_VOLUME - blood_volume) / MAX_VOLUME_DEFICIT);
+      const base = intubated ? VENTILATED_PPV : SPONTANEOUS_PPV;
+      return base + HYPOVOLEMIA_PPV * deficit * (intubated ? 1 : 0.5);
+    }
+
+    /**
+     * Применение состояния пациента для обновления параметров сигнала
+     * @param {Object} patientState - Текущее состояние пациента
+     */
+    applyPatientState(patientState) {
+      const {
+        hr = 72,
+        rr = 14,
+        systolic = 120,
+        diastolic = 80,
+        cardiac_arrest = false,
+        cpr = null,
+        invasiveMonitoring = null
+      } = patientState;
+
+      const damping = invasiveMonitoring && ARTERIAL_DAMPING[invasiveMonitoring.damping]
+        ? invasiveMonitoring.damping
+        : 'optimal';
+
+      // При остановке кровообращения пульсовую волну создают только компрессии
+      const compressions = cardiac_arrest && cpr && cpr.delivering && cpr.rate > 0;
+
+      this.updateParams({
+        heartRate: compressions ? cpr.rate : hr,
+        respiratoryRate: rr,
+        systolic,
+        diastolic,
+        damping,
+        ppv: this.getPulsePressureVariation(patientState),
+        pulse: !cardiac_arrest || compressions
+      });
+    }
+
+    /**
+     * Давление в заданных фазах сердечного и дыхательного циклов
+     * @param {number} cardiacPhase - Фаза сердечного цикла (0-1)
+     * @param {number} respiratoryPhase - Фаза дыхательного цикла (0-1)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressure(cardiacPhase, respiratoryPhase) {
+      const { systolic, diastolic, damping, ppv, pulse } = this.params;
+
+      // Без пульса давление в артерии не меняется
+      if (!pulse) return diastolic;
+
+      const settings = ARTERIAL_DAMPING[damping];
+
+      // Пульсовое давление меняется с дыханием на величину вариабельности
+      const pulsePressure = Math.max(0, systolic - diastolic) *
+        (1 + ppv / 2 * Math.sin(2 * Math.PI * respiratoryPhase));
+      const mean = diastolic + (systolic - diastolic) / 3;
+
+      let pressure = diastolic + pulsePressure * arterialPulseShape(cardiacPhase, settings.notch);
+
+      // Недостаточное демпфирование - затухающие колебания после подъема
+      if (settings.ringing > 0 && cardiacPhase > 0.08) {
+        const t = cardiacPhase - 0.08;
+        pressure += settings.ringing * pulsePressure * Math.exp(-t / 0.05) * Math.sin(2 * Math.PI * t / 0.06);
+      }
+
+      // Избыточное демпфирование сглаживает кривую вокруг среднего давления
+      return mean + (pressure - mean) * settings.gain;
+    }
+
+    /**
+     * Давление в заданный момент времени при постоянных частотах
+     * @param {number} time - Время (с)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressureAt(time) {
+      const { heartRate, respiratoryRate } = this.params;
+      return this.getPressure((time * heartRate / 60) % 1, (time * respiratoryRate / 60) % 1);
+    }
+
+    /**
+     * Получить следующее значение давления
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getNextValue() {
+      const dt = 1 / this.params.sampleRate;
+      this.cardiacPhase = (this.cardiacPhase + dt * this.params.heartRate / 60) % 1;
+      this.respiratoryPhase = (this.respiratoryPhase + dt * this.params.respiratoryRate / 60) % 1;
+
+      return this.getPressure(this.cardiacPhase, this.respiratoryPhase);
+    }
+
+    /**
+     * Генерация кривой давления заданной длительности
+     * @param {number} duration - Длительность в секундах
+     * @returns {Array} Массив значений давления
+     */
+    generateWaveform(duration) {
+      const numSamples = Math.floor(duration * this.params.sampleRate);
+      const waveform = [];
+
+      for (let i = 0; i < numSamples; i++) {
+        waveform.push(this.getNextValue());
+      }
+
+      return waveform;
+    }
+
+    /**
+     * Сброс генератора до начального состояния
+     */
+    reset() {
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+  }
+
+  export default ArterialLineGenerator;
@@ -0,0 +1,49 @@
+import ArterialLineGenerator, { arterialPulseShape } from './ArterialLineGenerator';
+
+describe('ArterialLineGenerator', () => {
+  // One cardiac cycle at mid-expiration, where the respiratory variation is zero
+  const cycle = generator => Array.from({ length: 100 }, (_, i) => generator.getPressure(i / 100, 0.5));
+
+  test('the pulse runs from the diastolic to the systolic pressure with a dicrotic notch', () => {
+    expect(arterialPulseShape(0)).toBe(0);
+    expect(arterialPulseShape(0.12)).toBeCloseTo(1);
+    expect(arterialPulseShape(0.36)).toBeLessThan(arterialPulseShape(0.4));
+    expect(arterialPulseShape(0.36, false)).toBeGreaterThan(arterialPulseShape(0.4, false));
+
+    const generator = new ArterialLineGenerator();
+    generator.applyPatientState({ systolic: 130, diastolic: 70 });
+    const optimal = cycle(generator);
+    expect(Math.max(...optimal)).toBeCloseTo(130, 0);
+    expect(Math.min(...optimal)).toBeCloseTo(70, 0);
+
+    // Underdamping overshoots the systolic pressure, overdamping narrows the pulse around the mean
+    generator.applyPatientState({ systolic: 130, diastolic: 70, invasiveMonitoring: { damping: 'underdamped' } });
+    expect(Math.max(...cycle(generator))).toBeGreaterThan(135);
+    generator.applyPatientState({ systolic: 130, diastolic: 70, invasiveMonitoring: { damping: 'overdamped' } });
+    const overdamped = cycle(generator);
+    expect(Math.max(...overdamped) - Math.min(...overdamped)).toBeCloseTo(0.6 * 60, 0);
+  });
+
+  test('pulse pressure variation grows with ventilation and hypovolemia', () => {
+    const generator = new ArterialLineGenerator();
+    expect(generator.getPulsePressureVariation({})).toBeCloseTo(0.03);
+    expect(generator.getPulsePressureVariation({ blood_volume: 3500 })).toBeCloseTo(0.13);
+    expect(generator.getPulsePressureVariation({ intubated: true })).toBeCloseTo(0.06);
+    expect(generator.getPulsePressureVariation({ intubated: true, blood_volume: 3000 })).toBeCloseTo(0.26);
+
+    generator.applyPatientState({ systolic: 120, diastolic: 80, intubated: true, blood_volume: 3500 });
+    expect(generator.getPressure(0.12, 0.25) - generator.getPressure(0.12, 0.75)).toBeCloseTo(40 * 0.26, 1);
+  });
+
+  test('in cardiac arrest only compressions make a pulse', () => {
+    const generator = new ArterialLineGenerator();
+    generator.applyPatientState({ systolic: 10, diastolic: 10, cardiac_arrest: true });
+    expect(new Set(generator.generateWaveform(2)).size).toBe(1);
+
+    generator.applyPatientState({
+      systolic: 70, diastolic: 25, cardiac_arrest: true, cpr: { delivering: true, rate: 110 }
+    });
+    expect(generator.params).toMatchObject({ heartRate: 110, pulse: true });
+    expect(Math.max(...cycle(generator))).toBeCloseTo(70, 0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * CVPGenerator.js
+ *
+ * Этот модуль генерирует кривую центрального венозного давления (мм рт.ст.)
+ * с волнами a (сокращение предсердия), c (выбухание трехстворчатого клапана
+ * в начале систолы) и v (наполнение предсердия при закрытом клапане) и
+ * спадами x и y между ними. Среднее давление равно ЦВД модели
+ * кровообращения. При фибрилляции предсердий волны a нет. Давление падает
+ * на вдохе при спонтанном дыхании и растет на вдохе при ИВЛ. При остановке
+ * кровообращения волны создают только компрессии.
+ */
+
+// Положение (доля сердечного цикла от начала систолы), амплитуда и ширина
+// волн предсердного давления
+const A_WAVE = { phase: 0.9, amplitude: 1, width: 0.04 };
+const C_WAVE = { phase: 0.08, amplitude: 0.5, width: 0.025 };
+const V_WAVE = { phase: 0.45, amplitude: 0.8, width: 0.06 };
+
+// Ритмы без сокращения предсердий
+const NO_ATRIAL_KICK_RHYTHMS = ['afib', 'aflutter', 'vfib', 'asystole'];
+
+// Размах волн при нормальном ЦВД (мм рт.ст.)
+const CVP_WAVE_AMPLITUDE = 4;
+
+// Колебание давления с дыханием (мм рт.ст.) и доля цикла, занятая вдохом
+const RESPIRATORY_SWING = 2;
+const INSPIRATORY_FRACTION = 0.4;
+
+// Доля пульсового давления компрессий, передаваемая в правое предсердие
+const CPR_VENOUS_TRANSMISSION = 0.5;
+
+// Волна с центром в заданной фазе; цикл замкнут, поэтому волна a в конце
+// цикла продолжается в его начале
+const wave = (phase, { phase: center, amplitude, width }) => {
+  const distance = Math.min(Math.abs(phase - center), 1 - Math.abs(phase - center));
+  return amplitude * Math.exp(-(distance * distance) / (2 * width * width));
+};
+
+const rawAtrialShape = (phase, aWave, vWave) =>
+  (aWave ? wave(phase, A_WAVE) : 0) + wave(phase, C_WAVE) + vWave * wave(phase, V_WAVE);
+
+// Среднее значение формы за цикл (по сочетаниям волн): кривая смещается так,
+// чтобы ее среднее совпадало с давлением модели
+const shapeMeans = {};
+const shapeMean = (aWave, vWave) => {
+  const key = `${aWave}:${vWave}`;
+  if (shapeMeans[key] === undefined) {
+    let sum = 0;
+    for (let i = 0; i < 200; i++) {
+      sum += rawAtrialShape(i / 200, aWave, vWave);
+    }
+    shapeMeans[key] = sum / 200;
+  }
+  return shapeMeans[key];
+};
+
+/**
+ * Форма кривой давления в предсердии за сердечный цикл
+ * @param {number} phase - Фаза сердечного цикла (0-1, 0 - начало систолы)
+ * @param {Object} options - aWave (есть ли сокращение предсердия), vWave (относительная амплитуда волны v)
+ * @returns {number} Отклонение от среднего давления (доля размаха волн)
+ */
+export const atrialPressureShape = (phase, { aWave = true, vWave = 1 } = {}) => {
+  return rawAtrialShape(phase, aWave, vWave) - shapeMean(aWave, vWave);
+};
+
+/**
+ * Изменение внутригрудного давления с дыханием
+ * @param {number} respiratoryPhase - Фаза дыхательного цикла (0-1, 0 - начало вдоха)
+ * @param {boolean} ventilated - ИВЛ положительным давлением
+ * @returns {number} Смещение давления (мм рт.ст.)
+ */
+export const respiratoryPressureSwing = (respiratoryPhase, ventilated) => {
+  if (respiratoryPhase >= INSPIRATORY_FRACTION) return 0;
+  const swing = RESPIRATORY_SWING * Math.sin(Math.PI * respiratoryPhase / INSPIRATORY_FRACTION);
+  return ventilated ? swing : -swing;
+};
+
+class CVPGenerator {
+    constructor() {
+      // Параметры по умолчанию
+      this.params = {
+        sampleRate: 100,     // Частота дискретизации (Гц)
+        heartRate: 72,       // Частота сердечных сокращений (уд/мин)
+        respiratoryRate: 14, // Частота дыхания (вд/мин)
+        cvp: 8,              // Среднее ЦВД (мм рт.ст.)
+        aWave: true,         // Есть ли волна a
+        ventilated: false,   // ИВЛ положительным давлением
+        compressions: 0,     // Пульсовое давление компрессий при СЛР (мм рт.ст.)
+        pulse: true          // Есть ли сокращения сердца или компрессии
+      };
+
+      // Фазы сердечного и дыхательного циклов (0-1)
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+
+    /**
+     * Обновление параметров генератора
+     * @param {Object} newParams - Новые параметры
+     */
+    updateParams(newParams) {
+      this.params = { ...this.params, ...newParams };
+    }
+
+    /**
+     * Применение состояния пациента для обновления параметров сигнала
+     * @param {Object} patientState - Текущее состояние пациента
+     */
+    applyPatientState(patientState) {
+      const {
+        hr = 72,
+        rr = 14,
+        cvp = 8,
+        systolic = 0,
+        diastolic = 0,
+        cardiac_rhythm = 'sinus',
+        cardiac_arrest = false,
+        intubated = false,
+        cpr = null
+      } = patientState;
+
+      const compressions = cardiac_arrest && cpr && cpr.delivering && cpr.rate > 0;
+
+      this.updateParams({
+        heartRate: compressions ? cpr.rate : hr,
+        respiratoryRate: rr,
+        cvp,
+        aWave: !NO_ATRIAL_KICK_RHYTHMS.includes(cardiac_rhythm),
+        ventilated: intubated,
+        compressions: compressions ? Math.max(0, systolic - diastolic) : 0,
+        pulse: !cardiac_arrest || compressions
+      });
+    }
+
+    /**
+     * Давление в заданных фазах сердечного и дыхательного циклов
+     * @param {number} cardiacPhase - Фаза сердечного цикла (0-1)
+     * @param {number} respiratoryPhase - Фаза дыхательного цикла (0-1)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressure(cardiacPhase, respiratoryPhase) {
+      const { cvp, aWave, ventilated, compressions, pulse } = this.params;
+      const respiration = respiratoryPressureSwing(respiratoryPhase, ventilated);
+
+      if (!pulse) return cvp + respiration;
+
+      // Компрессии повышают давление в правом предсердии вместе с аортальным
+      if (compressions > 0) {
+        return cvp + respiration + CPR_VENOUS_TRANSMISSION * compressions * Math.max(0, Math.sin(2 * Math.PI * cardiacPhase));
+      }
+
+      return cvp + respiration + CVP_WAVE_AMPLITUDE * atrialPressureShape(cardiacPhase, { aWave });
+    }
+
+    /**
+     * Давление в заданный момент времени при постоянных частотах
+     * @param {number} time - Время (с)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressureAt(time) {
+      const { heartRate, respiratoryRate } = this.params;
+      return this.getPressure((time * heartRate / 60) % 1, (time * respiratoryRate / 60) % 1);
+    }
+
+    /**
+     * Получить следующее значение давления
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getNextValue() {
+      const dt = 1 / this.params.sampleRate;
+      this.cardiacPhase = (this.cardiacPhase + dt * this.params.heartRate / 60) % 1;
+      this.respiratoryPhase = (this.respiratoryPhase + dt * this.params.respiratoryRate / 60) % 1;
+
+      return this.getPressure(this.cardiacPhase, this.respiratoryPhase);
+    }
+
+    /**
+     * Генерация кривой давления заданной длительности
+     * @param {number} duration - Длительность в секундах
+     * @returns {Array} Массив значений давления
+     */
+    generateWaveform(duration) {
+      const numSamples = Math.floor(duration * this.params.sampleRate);
+      const waveform = [];
+
+      for (let i = 0; i < numSamples; i++) {
+        waveform.push(this.getNextValue());
+      }
+
+      return waveform;
+    }
+
+    /**
+     * Сброс генератора до начального состояния
+     */
+    reset() {
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+  }
+
+  export default CVPGenerator;
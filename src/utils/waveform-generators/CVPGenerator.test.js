@@ -0,0 +1,45 @@
+import CVPGenerator, { atrialPressureShape, respiratoryPressureSwing } from './CVPGenerator';
+
+describe('CVPGenerator', () => {
+  const mean = samples => samples.reduce((sum, value) => sum + value, 0) / samples.length;
+
+  test('a, c and v waves vary around the central venous pressure', () => {
+    const phases = Array.from({ length: 200 }, (_, i) => i / 200);
+    expect(mean(phases.map(phase => atrialPressureShape(phase)))).toBeCloseTo(0, 5);
+    expect(mean(phases.map(phase => atrialPressureShape(phase, { aWave: false })))).toBeCloseTo(0, 5);
+
+    // Without atrial contraction there is no a wave before the systole
+    expect(atrialPressureShape(0.9)).toBeGreaterThan(atrialPressureShape(0.9, { aWave: false }) + 0.5);
+    expect(atrialPressureShape(0.45)).toBeGreaterThan(atrialPressureShape(0.3));
+
+    // Without breathing the mean is the central venous pressure
+    const generator = new CVPGenerator();
+    generator.applyPatientState({ cvp: 12, hr: 60, rr: 0 });
+    expect(mean(generator.generateWaveform(10))).toBeCloseTo(12, 1);
+
+    generator.applyPatientState({ cvp: 12, cardiac_rhythm: 'afib' });
+    expect(generator.params.aWave).toBe(false);
+  });
+
+  test('inspiration lowers the pressure in spontaneous breathing and raises it under ventilation', () => {
+    expect(respiratoryPressureSwing(0.2, false)).toBeCloseTo(-2);
+    expect(respiratoryPressureSwing(0.2, true)).toBeCloseTo(2);
+    expect(respiratoryPressureSwing(0.7, true)).toBe(0);
+
+    const generator = new CVPGenerator();
+    generator.applyPatientState({ cvp: 8, intubated: true });
+    expect(generator.getPressure(0.3, 0.2) - generator.getPressure(0.3, 0.7)).toBeCloseTo(2);
+  });
+
+  test('in cardiac arrest compressions transmit half of their pulse pressure', () => {
+    const generator = new CVPGenerator();
+    generator.applyPatientState({ cvp: 10, cardiac_arrest: true });
+    expect(generator.getPressure(0.25, 0.5)).toBe(10);
+
+    generator.applyPatientState({
+      cvp: 10, systolic: 70, diastolic: 30, cardiac_arrest: true, cpr: { delivering: true, rate: 100 }
+    });
+    expect(generator.params).toMatchObject({ heartRate: 100, compressions: 40 });
+    expect(generator.getPressure(0.25, 0.5)).toBeCloseTo(30);
+  });
+});
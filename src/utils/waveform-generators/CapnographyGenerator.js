@@ -6,7 +6,13 @@
  */
 
 class CapnographyGenerator {
-    constructor() {
+    /**
+     * @param {Function} random - Source of random numbers in [0, 1) (defaults to Math.random)
+     */
+    constructor(random = Math.random) {
+      // Random number source (seedable for reproducible sessions)
+      this.random = random;
+      
       // Default parameters
       this.params = {
         sampleRate: 100,      // Samples per second
@@ -200,7 +206,7 @@ class CapnographyGenerator {
       }
       
       // Add some noise
-      const noise = (Math.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
+      const noise = (this.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
       value += noise;
       
       return Math.max(0, value);
@@ -242,7 +248,7 @@ class CapnographyGenerator {
       }
       
       // Add some noise
-      const noise = (Math.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
+      const noise = (this.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
       value += noise;
       
       return Math.max(0, value);
@@ -285,7 +291,7 @@ class CapnographyGenerator {
       }
       
       // Add some noise
-      const noise = (Math.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
+      const noise = (this.random() - 0.5) * noiseLevel * 2 * etco2 * 0.1;
       value += noise;
       
       return Math.max(0, value);
@@ -364,7 +370,7 @@ class CapnographyGenerator {
       }
       
       // Add more noise due to turbulent flow around leak
-      const noise = (Math.random() - 0.5) * noiseLevel * 3 * etco2 * 0.1;
+      const noise = (this.random() - 0.5) * noiseLevel * 3 * etco2 * 0.1;
       value += noise;
       
       return Math.max(0, value);
@@ -391,7 +397,7 @@ class CapnographyGenerator {
       }
       
       // Add minor noise
-      const noise = (Math.random() - 0.5) * noiseLevel * 2;
+      const noise = (this.random() - 0.5) * noiseLevel * 2;
       value += noise;
       
       return Math.max(0, value);
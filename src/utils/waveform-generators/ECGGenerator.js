@@ -3,10 +3,140 @@
  * 
  * This module generates realistic ECG waveform data based on a patient's
  * physiological state. It simulates various normal and pathological cardiac rhythms.
+ *
+ * Every waveform component is a cardiac dipole vector (x - patient's left,
+ * y - inferior, z - anterior); a lead records the projection of the summed
+ * dipole onto its lead vector, so one beat renders consistently in all 12 leads.
  */
 
+// Augmented limb leads are sqrt(3)/2 of the bipolar leads (aVR = -(I + II) / 2)
+const AUGMENTED_GAIN = Math.sqrt(3) / 2;
+
+// Precordial electrodes lie closer to the heart and record larger voltages
+const PRECORDIAL_GAIN = 1.5;
+
+const frontalLead = (angle, gain = 1) => {
+  const radians = angle * Math.PI / 180;
+  return { x: gain * Math.cos(radians), y: gain * Math.sin(radians), z: 0 };
+};
+
+const precordialLead = (angle) => {
+  const radians = angle * Math.PI / 180;
+  return { x: PRECORDIAL_GAIN * Math.cos(radians), y: 0, z: PRECORDIAL_GAIN * Math.sin(radians) };
+};
+
+/**
+ * Lead vectors: limb leads at their hexaxial angles in the frontal plane,
+ * precordial leads in the horizontal plane (0° - left, 90° - anterior)
+ */
+export const LEAD_VECTORS = {
+  I: frontalLead(0),
+  II: frontalLead(60),
+  III: frontalLead(120),
+  aVR: frontalLead(-150, AUGMENTED_GAIN),
+  aVL: frontalLead(-30, AUGMENTED_GAIN),
+  aVF: frontalLead(90, AUGMENTED_GAIN),
+  V1: precordialLead(115),
+  V2: precordialLead(94),
+  V3: precordialLead(75),
+  V4: precordialLead(60),
+  V5: precordialLead(30),
+  V6: precordialLead(0)
+};
+
+// Standard order of leads on a 12-lead recording
+export const TWELVE_LEADS = Object.keys(LEAD_VECTORS);
+
+/**
+ * ST vectors of myocardial injury per territory: a territory with 1 mV of
+ * injury current raises ST by ~1 mV in its leads and depresses it in the
+ * reciprocal ones (inferior -> aVL, anterior <-> posterior, lateral -> III).
+ * Ischemic T wave changes and infarct Q waves use the same territory vectors
+ */
+export const ST_TERRITORY_VECTORS = {
+  inferior: { x: 0, y: 1, z: 0 },
+  anterior: { x: 0, y: 0, z: 1 / PRECORDIAL_GAIN },
+  lateral: { x: 0.95, y: -0.3, z: 0 },
+  posterior: { x: 0, y: 0, z: -1 / PRECORDIAL_GAIN }
+};
+
+// QRS phases per conduction pathway: amplitude and share of duration of the
+// initial (septal) and terminal vectors
+const CONDUCTION_PATTERNS = {
+  none: { initialRatio: 0.25, terminalRatio: 0.25, initialDuration: 0.2, mainDuration: 0.4 },
+  right: { initialRatio: 0.25, terminalRatio: 0.6, initialDuration: 0.15, mainDuration: 0.4 },
+  left: { initialRatio: 0.3, terminalRatio: 0.4, initialDuration: 0.25, mainDuration: 0.45 }
+};
+
+// Atrial depolarization runs from the sinus node down and to the left
+const P_WAVE_VECTOR = { x: 0.5, y: 0.87, z: 0.2 };
+
+// Flutter waves are negative in the inferior leads and positive in V1
+const FLUTTER_VECTOR = { x: 0.1, y: -0.9, z: 0.4 };
+
+// Fibrillatory waves are most prominent in V1
+const FIBRILLATION_VECTOR = { x: 0.1, y: 0.3, z: 0.9 };
+
+// VF wavefronts wander between two dominant directions
+const VF_VECTORS = [{ x: 0.6, y: 0.8, z: 0.3 }, { x: -0.5, y: 0.4, z: 0.8 }];
+
+const PACING_SPIKE_VECTOR = { x: 0.5, y: 0.87, z: 0 };
+
+// Pacing stimulus width (s)
+const PACING_SPIKE_DURATION = 0.01;
+
+// Paced ventricles depolarize cell to cell: QRS widening relative to normal
+const PACED_QRS_WIDENING = 1.8;
+
+// After a beat the ventricles are refractory and a stimulus does not capture (s)
+const VENTRICULAR_REFRACTORY = 0.3;
+
+// In SVT the QRS follows the re-entrant beat at once, the P wave is hidden in it (s)
+const SVT_QRS_DELAY = 0.02;
+
+// Chest compression artifact: amplitude per cm of compression depth (mV) and
+// share of each compression spent pressing down
+const COMPRESSION_ARTIFACT_GAIN = 0.12;
+const COMPRESSION_DOWNSTROKE = 0.5;
+
+// Morphology at normal electrolytes and conduction; recomputed from these
+// defaults on every applyPatientState call
+const DEFAULT_MORPHOLOGY = {
+  pWaveAmplitude: 0.25,
+  tWaveAmplitude: 0.3,
+  tWaveDuration: 0.16,
+  qrsDuration: 0.08,
+  qtInterval: 0.36,
+  uWavePresent: false
+};
+
+const ZERO_VECTOR = { x: 0, y: 0, z: 0 };
+
+const addVectors = (a, b, scale = 1) => ({
+  x: a.x + scale * b.x,
+  y: a.y + scale * b.y,
+  z: a.z + scale * b.z
+});
+
+/**
+ * Project a dipole vector onto a lead
+ * @param {Object} vector - Dipole vector {x, y, z} in mV
+ * @param {string} lead - Lead name (I, II, ..., V6)
+ * @returns {number} Lead voltage in mV
+ */
+export const projectOnLead = (vector, lead) => {
+  const leadVector = LEAD_VECTORS[lead] || LEAD_VECTORS.II;
+  return vector.x * leadVector.x + vector.y * leadVector.y + vector.z * leadVector.z;
+};
+
 class ECGGenerator {
-    constructor() {
+    /**
+     * @param {Function} random - Source of random numbers in [0, 1) (defaults to Math.random)
+     */
+    constructor(random = Math.random) {
+      // Random number source (seedable for reproducible sessions)
+      this.random = random;
+      
       // Default parameters
       this.params = {
         sampleRate: 250,       // Samples per second
@@ -14,9 +144,16 @@ class ECGGenerator {
         pWaveAmplitude: 0.25,  // P wave amplitude (mV)
         qrsAmplitude: 1.0,     // QRS complex amplitude (mV)
         tWaveAmplitude: 0.3,   // T wave amplitude (mV)
+        tWaveDuration: 0.16,   // T wave duration in seconds
         prInterval: 0.16,      // PR interval in seconds
         qrsDuration: 0.08,     // QRS duration in seconds
         qtInterval: 0.36,      // QT interval in seconds
+        uWavePresent: false,   // U waves (hypokalemia)
+        qrsAxis: 60,           // Frontal QRS axis in degrees
+        bundleBranchBlock: 'none', // Conduction: 'none', 'right' or 'left'
+        stVector: ZERO_VECTOR, // Injury current dipole of ST segment (mV)
+        tVector: ZERO_VECTOR,  // Ischemic T wave change dipole (mV)
+        qVector: ZERO_VECTOR,  // Forces lost to necrosis - pathological Q (mV)
         baseline: 0,           // Baseline (mV)
         noiseLevel: 0.03,      // Amount of baseline noise (mV)
         artifactProbability: 0.001, // Probability of artifacts per sample
@@ -30,6 +167,7 @@ class ECGGenerator {
         SINUS_TACHYCARDIA: 'sinusTachycardia',
         ATRIAL_FIBRILLATION: 'atrialFibrillation',
         ATRIAL_FLUTTER: 'atrialFlutter',
+        SUPRAVENTRICULAR_TACHYCARDIA: 'supraventricularTachycardia',
         VENTRICULAR_TACHYCARDIA: 'ventricularTachycardia',
         VENTRICULAR_FIBRILLATION: 'ventricularFibrillation',
         ASYSTOLE: 'asystole',
@@ -53,6 +191,27 @@ class ECGGenerator {
       this.nextPAC = -1;
       this.wenckebach = { count: 0, maxCount: 3 }; // For Wenckebach/Mobitz Type I
       
+      // Pacemaker output drawn over the heart's own rhythm (null - not pacing)
+      this.pacing = null;
+      this.nextPace = 0;
+      this.pacedBeatStart = null;
+      this.pacingSpikeStart = null;
+      
+      // Cardiac dipole of the current sample
+      this.dipole = { ...ZERO_VECTOR };
+      
+      // R wave detection for synchronized shocks: QRS onset at this sample,
+      // and whether the sample falls in the vulnerable upstroke of the T wave
+      this.qrsActive = false;
+      this.wasInQRS = false;
+      this.rWaveDetected = false;
+      this.vulnerablePeriod = false;
+      
+      // Chest compressions picked up by the electrodes (null - no compressions)
+      this.compressions = null;
+      this.compressionPhase = 0;
+      this.compressionArtifact = 0;
+      
       // For atrial fibrillation/flutter
       this.atrialActivity = {
         lastActivity: 0,
@@ -119,22 +278,53 @@ class ECGGenerator {
         diastolic = 80,            // Diastolic blood pressure
         cardiac_depression = 0,    // Cardiac depression factor (0-1)
         spo2 = 98,                 // Oxygen saturation (%)
-        k = 4.0,                   // Potassium level (mEq/L)
-        ca = 9.0,                  // Calcium level (mg/dL)
         hypoxia = 0,               // Hypoxia factor (0-1)
-        cardiac_arrest = false     // Cardiac arrest status
+        cardiac_arrest = false,    // Cardiac arrest status
+        cardiac_rhythm,            // 'afib', 'aflutter', 'svt', 'vtach'; in arrest 'vfib', 'vtach', 'asystole'
+        intrinsic_hr,              // Rate of the heart's own rhythm without pacing
+        pacemaker,                 // Pacemaker status
+        cpr                        // CPR status (compression rate, depth, delivering)
       } = patientState;
       
+      // Pacemaker stimuli are drawn over the heart's own rhythm at its own rate
+      const pacing = pacemaker && pacemaker.pacing ? pacemaker : null;
+      this.setPacing(pacing);
+      const heartRate = pacing && intrinsic_hr !== undefined ? intrinsic_hr : hr;
+      
       // Update heart rate
-      this.updateParams({ heartRate: hr });
+      this.updateParams({ heartRate });
+      
+      // Beat morphology applies to whatever rhythm is chosen below
+      this.updateParams(this.getMorphology(patientState));
+      
+      // Chest compressions are drawn over any rhythm
+      this.setCompressions(cpr && cpr.delivering ? cpr : null);
       
       // Determine rhythm based on patient state
       
+      // A perfusing tachyarrhythmia is kept steady at the patient's rate
+      const arrhythmia = cardiac_arrest ? null : this.getArrhythmia(cardiac_rhythm, heartRate);
+      if (arrhythmia) {
+        this.setRhythm(arrhythmia.rhythm, arrhythmia.options);
+        return;
+      }
+      
       // Check for cardiac arrest
       if (cardiac_arrest) {
-        if (Math.random() < 0.7) {
+        // A known arrest rhythm is kept steady
+        const arrestRhythm = {
+          vfib: this.rhythmTypes.VENTRICULAR_FIBRILLATION,
+          vtach: this.rhythmTypes.VENTRICULAR_TACHYCARDIA,
+          asystole: this.rhythmTypes.ASYSTOLE
+        }[cardiac_rhythm];
+        
+        if (arrestRhythm) {
+          if (this.rhythm !== arrestRhythm) {
+            this.setRhythm(arrestRhythm);
+          }
+        } else if (this.random() < 0.7) {
           // 70% chance of VF/Asystole during cardiac arrest
-          this.setRhythm(Math.random() < 0.5 ? 
+          this.setRhythm(this.random() < 0.5 ? 
             this.rhythmTypes.VENTRICULAR_FIBRILLATION : 
             this.rhythmTypes.ASYSTOLE
           );
@@ -146,43 +336,43 @@ class ECGGenerator {
       }
       
       // Severe bradycardia
-      if (hr < 50) {
-        if (Math.random() < 0.7) {
+      if (heartRate < 50) {
+        if (this.random() < 0.7) {
           this.setRhythm(this.rhythmTypes.SINUS_BRADYCARDIA);
         } else {
           // Some chance of heart block with bradycardia
-          const blockType = Math.random();
+          const blockType = this.random();
           if (blockType < 0.5) {
             this.setRhythm(this.rhythmTypes.FIRST_DEGREE_BLOCK, { prInterval: 0.22 });
           } else if (blockType < 0.8) {
             this.setRhythm(this.rhythmTypes.SECOND_DEGREE_BLOCK_TYPE1);
           } else {
-            this.setRhythm(this.rhythmTypes.THIRD_DEGREE_BLOCK, { atrialRate: 70, ventricularRate: hr });
+            this.setRhythm(this.rhythmTypes.THIRD_DEGREE_BLOCK, { atrialRate: 70, ventricularRate: heartRate });
           }
         }
         return;
       }
       
       // Severe tachycardia
-      if (hr > 140) {
-        const tachyType = Math.random();
+      if (heartRate > 140) {
+        const tachyType = this.random();
         if (tachyType < 0.6) {
           this.setRhythm(this.rhythmTypes.SINUS_TACHYCARDIA);
         } else if (tachyType < 0.9) {
-          this.setRhythm(this.rhythmTypes.ATRIAL_FIBRILLATION, { ventricularRate: hr });
+          this.setRhythm(this.rhythmTypes.ATRIAL_FIBRILLATION, { ventricularRate: heartRate });
         } else {
-          this.setRhythm(this.rhythmTypes.VENTRICULAR_TACHYCARDIA, { rate: hr });
+          this.setRhythm(this.rhythmTypes.VENTRICULAR_TACHYCARDIA, { rate: heartRate });
         }
         return;
       }
       
       // Hypoxia increases risk of arrhythmias
       if (hypoxia > 0.6 || spo2 < 88) {
-        const arrhythmiaType = Math.random();
+        const arrhythmiaType = this.random();
         if (arrhythmiaType < 0.4) {
           this.setRhythm(this.rhythmTypes.PVC, { frequency: 0.2 });
         } else if (arrhythmiaType < 0.7) {
-          this.setRhythm(this.rhythmTypes.ATRIAL_FIBRILLATION, { ventricularRate: hr });
+          this.setRhythm(this.rhythmTypes.ATRIAL_FIBRILLATION, { ventricularRate: heartRate });
         } else {
           this.setRhythm(this.rhythmTypes.NORMAL_SINUS);
         }
@@ -195,34 +385,256 @@ class ECGGenerator {
         return;
       }
       
-      // Electrolyte abnormalities
-      if (k > 6.0) { // Hyperkalemia
-        this.updateParams({ 
-          tWaveAmplitude: 0.6, // Tall T waves
-          pWaveAmplitude: 0.1, // Flattened P waves
-          qrsDuration: 0.14    // Widened QRS
-        });
+      // Default to normal sinus rhythm if no specific condition applies
+      if (this.rhythm !== this.rhythmTypes.NORMAL_SINUS) {
+        this.setRhythm(this.rhythmTypes.NORMAL_SINUS);
+      }
+    }
+    
+    /**
+     * Rhythm of a perfusing tachyarrhythmia from the patient state
+     * @param {string} cardiacRhythm - 'afib', 'aflutter', 'svt' or 'vtach'
+     * @param {number} heartRate - Ventricular rate in bpm
+     * @returns {Object|null} Rhythm type and its options, null for other rhythms
+     */
+    getArrhythmia(cardiacRhythm, heartRate) {
+      switch (cardiacRhythm) {
+        case 'afib':
+          return { rhythm: this.rhythmTypes.ATRIAL_FIBRILLATION, options: { ventricularRate: heartRate } };
+        case 'aflutter':
+          // Flutter waves conduct to the ventricles in a fixed ratio
+          return {
+            rhythm: this.rhythmTypes.ATRIAL_FLUTTER,
+            options: { conductionRatio: Math.max(1, Math.round(this.atrialActivity.rate / Math.max(1, heartRate))) }
+          };
+        case 'svt':
+          return { rhythm: this.rhythmTypes.SUPRAVENTRICULAR_TACHYCARDIA, options: {} };
+        case 'vtach':
+          return { rhythm: this.rhythmTypes.VENTRICULAR_TACHYCARDIA, options: { rate: heartRate } };
+        default:
+          return null;
+      }
+    }
+    
+    /**
+     * Set the pacemaker output drawn over the heart's own rhythm
+     * @param {Object|null} pacing - Pacemaker status (rate, sensing, capture,
+     *   dualChamber) or null when no stimuli are delivered
+     */
+    setPacing(pacing) {
+      if (!pacing) {
+        this.pacing = null;
+        return;
+      }
+      
+      // The first stimulus follows one pacing interval after pacing starts
+      if (!this.pacing) {
+        this.nextPace = this.currentTime + 60 / pacing.rate;
+      }
+      
+      this.pacing = {
+        rate: pacing.rate,
+        sensing: Boolean(pacing.sensing),
+        capture: Boolean(pacing.capture),
+        dualChamber: Boolean(pacing.dualChamber)
+      };
+    }
+    
+    /**
+     * Set the chest compressions drawn as an artifact over the ECG
+     * @param {Object|null} cpr - CPR status (rate, depth) or null when hands are off the chest
+     */
+    setCompressions(cpr) {
+      this.compressions = cpr && cpr.rate > 0
+        ? { rate: cpr.rate, amplitude: COMPRESSION_ARTIFACT_GAIN * cpr.depth }
+        : null;
+    }
+    
+    /**
+     * Generate the compression artifact of the current sample: a broad
+     * deflection while the chest is pressed and a smaller one on recoil
+     * @returns {number} Artifact in mV
+     */
+    generateCompressionArtifact() {
+      if (!this.compressions) return 0;
+      
+      const { rate, amplitude } = this.compressions;
+      this.compressionPhase = (this.compressionPhase + rate / 60 / this.params.sampleRate) % 1;
+      
+      if (this.compressionPhase < COMPRESSION_DOWNSTROKE) {
+        return amplitude * Math.sin(Math.PI * this.compressionPhase / COMPRESSION_DOWNSTROKE);
+      }
+      return -0.3 * amplitude * Math.sin(Math.PI * (this.compressionPhase - COMPRESSION_DOWNSTROKE) / (1 - COMPRESSION_DOWNSTROKE));
+    }
+    
+    /**
+     * Beat morphology for electrolytes, conduction, axis and myocardial injury
+     * @param {Object} patientState - Current patient state
+     * @returns {Object} Morphology parameters
+     */
+    getMorphology(patientState) {
+      const {
+        k = 4.0,                   // Potassium level (mEq/L)
+        ca = 1.2,                  // Ionised calcium level (mmol/L)
+        qrs_axis = 60,             // Frontal QRS axis (degrees)
+        bundle_branch_block = 'none', // Bundle branch block: 'none', 'right', 'left'
+        st_inferior = 0,           // ST elevation per territory (mV, negative - depression)
+        st_anterior = 0,
+        st_lateral = 0,
+        st_posterior = 0,
+        t_inferior = 0,            // T wave change per territory (mV, negative - inversion)
+        t_anterior = 0,
+        t_lateral = 0,
+        t_posterior = 0,
+        q_inferior = 0,            // Pathological Q depth per territory (mV)
+        q_anterior = 0,
+        q_lateral = 0,
+        q_posterior = 0
+      } = patientState;
+      
+      const morphology = {
+        ...DEFAULT_MORPHOLOGY,
+        qrsAxis: qrs_axis,
+        bundleBranchBlock: CONDUCTION_PATTERNS[bundle_branch_block] ? bundle_branch_block : 'none'
+      };
+      
+      // Delayed ventricular activation widens the QRS
+      if (morphology.bundleBranchBlock === 'right') {
+        morphology.qrsDuration = 0.13;
+      } else if (morphology.bundleBranchBlock === 'left') {
+        morphology.qrsDuration = 0.14;
+      }
+      
+      // Hyperkalemia: peaked narrow T waves first, then flattened P waves and widened QRS
+      if (k > 5.5) {
+        morphology.tWaveAmplitude += Math.min(0.9, (k - 5.5) * 0.4);
+        morphology.tWaveDuration = Math.max(0.1, DEFAULT_MORPHOLOGY.tWaveDuration - (k - 5.5) * 0.03);
+      }
+      if (k > 6.5) {
+        morphology.pWaveAmplitude = Math.max(0, DEFAULT_MORPHOLOGY.pWaveAmplitude - (k - 6.5) * 0.1);
+        morphology.qrsDuration = Math.max(morphology.qrsDuration, DEFAULT_MORPHOLOGY.qrsDuration + (k - 6.5) * 0.04);
       } else if (k < 3.0) { // Hypokalemia
-        this.updateParams({
-          tWaveAmplitude: 0.1, // Flattened T waves
-          uWavePresent: true   // U waves present
-        });
+        morphology.tWaveAmplitude = 0.1; // Flattened T waves
+        morphology.uWavePresent = true;  // U waves present
       }
       
-      if (ca < 7.0) { // Hypocalcemia
-        this.updateParams({
-          qtInterval: 0.48     // Prolonged QT
-        });
-      } else if (ca > 11.0) { // Hypercalcemia
-        this.updateParams({
-          qtInterval: 0.30     // Shortened QT
-        });
+      if (ca < 0.9) { // Hypocalcemia
+        morphology.qtInterval = 0.48;    // Prolonged QT
+      } else if (ca > 1.45) { // Hypercalcemia
+        morphology.qtInterval = 0.30;    // Shortened QT
       }
       
-      // Default to normal sinus rhythm if no specific condition applies
-      if (this.rhythm !== this.rhythmTypes.NORMAL_SINUS) {
-        this.setRhythm(this.rhythmTypes.NORMAL_SINUS);
+      // Injury currents of all territories add up into one ST vector
+      let stVector = ZERO_VECTOR;
+      stVector = addVectors(stVector, ST_TERRITORY_VECTORS.inferior, st_inferior);
+      stVector = addVectors(stVector, ST_TERRITORY_VECTORS.anterior, st_anterior);
+      stVector = addVectors(stVector, ST_TERRITORY_VECTORS.lateral, st_lateral);
+      stVector = addVectors(stVector, ST_TERRITORY_VECTORS.posterior, st_posterior);
+      morphology.stVector = stVector;
+      
+      // Ischemic T waves point toward the territory, inverted T waves away from it
+      let tVector = ZERO_VECTOR;
+      tVector = addVectors(tVector, ST_TERRITORY_VECTORS.inferior, t_inferior);
+      tVector = addVectors(tVector, ST_TERRITORY_VECTORS.anterior, t_anterior);
+      tVector = addVectors(tVector, ST_TERRITORY_VECTORS.lateral, t_lateral);
+      tVector = addVectors(tVector, ST_TERRITORY_VECTORS.posterior, t_posterior);
+      morphology.tVector = tVector;
+      
+      // Necrotic myocardium no longer depolarizes: early QRS forces point away from it
+      let qVector = ZERO_VECTOR;
+      qVector = addVectors(qVector, ST_TERRITORY_VECTORS.inferior, -q_inferior);
+      qVector = addVectors(qVector, ST_TERRITORY_VECTORS.anterior, -q_anterior);
+      qVector = addVectors(qVector, ST_TERRITORY_VECTORS.lateral, -q_lateral);
+      qVector = addVectors(qVector, ST_TERRITORY_VECTORS.posterior, -q_posterior);
+      morphology.qVector = qVector;
+      
+      return morphology;
+    }
+    
+    /**
+     * Frontal-plane unit vector at the given angle, tilted in the horizontal plane
+     * @param {number} angle - Angle in degrees (0 - left, 90 - inferior)
+     * @param {number} z - Anterior (+) or posterior (-) component
+     * @returns {Object} Vector {x, y, z}
+     */
+    axisVector(angle, z = 0) {
+      const radians = angle * Math.PI / 180;
+      return { x: Math.cos(radians), y: Math.sin(radians), z };
+    }
+    
+    /**
+     * Depolarization vectors of the QRS phases for a conduction pathway
+     * @param {string} conduction - 'none', 'right' or 'left'
+     * @returns {Object} Initial, main and terminal vectors
+     */
+    getDepolarizationVectors(conduction) {
+      const axis = this.params.qrsAxis;
+      
+      if (conduction === 'left') {
+        // The septum activates from the right, the left ventricle late and posteriorly
+        return {
+          initial: { x: 0.9, y: 0.2, z: -0.3 },
+          main: this.axisVector(axis - 30, -0.75),
+          terminal: { x: 0.6, y: 0, z: -0.6 }
+        };
       }
+      
+      return {
+        // Septal depolarization runs rightward and anteriorly
+        initial: { x: -0.8, y: -0.4, z: 0.6 },
+        main: this.axisVector(axis, -0.15),
+        // Late right ventricular activation in RBBB gives the R' in V1
+        terminal: conduction === 'right' ? { x: -0.7, y: 0.1, z: 0.75 } : { x: -0.5, y: -0.8, z: -0.8 }
+      };
+    }
+    
+    /**
+     * Repolarization vectors of the T wave and ST segment for a conduction pathway
+     * @param {string} conduction - 'none', 'right' or 'left'
+     * @returns {Object} T wave and secondary ST vectors
+     */
+    getRepolarizationVectors(conduction) {
+      const tVector = this.axisVector(this.params.qrsAxis - 15, 0.2);
+      
+      if (conduction === 'left') {
+        // Secondary ST-T changes are discordant to the main QRS vector
+        const main = this.getDepolarizationVectors('left').main;
+        return {
+          t: addVectors(ZERO_VECTOR, main, -0.8),
+          st: addVectors(ZERO_VECTOR, main, -0.1)
+        };
+      }
+      
+      if (conduction === 'right') {
+        // T waves invert in the right precordial leads
+        return { t: addVectors(tVector, { x: 0.35, y: 0, z: -0.5 }), st: ZERO_VECTOR };
+      }
+      
+      return { t: tVector, st: ZERO_VECTOR };
+    }
+    
+    /**
+     * Conduction pathway of a ventricular complex: ectopic and paced beats spread
+     * through the myocardium like a left bundle branch block
+     * @param {string} qrsType - Type of QRS complex
+     * @returns {string} 'none', 'right' or 'left'
+     */
+    getConduction(qrsType) {
+      return qrsType === 'normal' ? this.params.bundleBranchBlock : 'left';
+    }
+    
+    /**
+     * Add a component to the cardiac dipole
+     * @param {number} magnitude - Component magnitude (mV)
+     * @param {Object} vector - Component direction {x, y, z}
+     * @returns {number} Contribution to the monitored lead in mV
+     */
+    contribute(magnitude, vector) {
+      this.dipole.x += magnitude * vector.x;
+      this.dipole.y += magnitude * vector.y;
+      this.dipole.z += magnitude * vector.z;
+      
+      return magnitude * projectOnLead(vector, this.params.leadType);
     }
     
     /**
@@ -232,11 +644,11 @@ class ECGGenerator {
       const frequency = this.rhythmOptions?.frequency || 0.1; // PVCs per normal beat
       
       // Determine if a PVC should occur in the next few beats
-      const occurrenceChance = Math.random();
+      const occurrenceChance = this.random();
       
       if (occurrenceChance < frequency) {
         // Schedule PVC in 1-3 beats from now
-        const beatsAway = Math.floor(Math.random() * 3) + 1;
+        const beatsAway = Math.floor(this.random() * 3) + 1;
         this.nextPVC = this.currentTime + (beatsAway * this.rrInterval);
       } else {
         // No PVC in the near future
@@ -251,11 +663,11 @@ class ECGGenerator {
       const frequency = this.rhythmOptions?.frequency || 0.1; // PACs per normal beat
       
       // Determine if a PAC should occur in the next few beats
-      const occurrenceChance = Math.random();
+      const occurrenceChance = this.random();
       
       if (occurrenceChance < frequency) {
         // Schedule PAC in 1-3 beats from now
-        const beatsAway = Math.floor(Math.random() * 3) + 1;
+        const beatsAway = Math.floor(this.random() * 3) + 1;
         this.nextPAC = this.currentTime + (beatsAway * this.rrInterval);
       } else {
         // No PAC in the near future
@@ -290,7 +702,7 @@ class ECGGenerator {
         value = amplitude * Math.sin(Math.PI * time / duration);
       }
       
-      return value;
+      return this.contribute(value, P_WAVE_VECTOR);
     }
     
     /**
@@ -300,20 +712,21 @@ class ECGGenerator {
      * @returns {number} ECG value in mV
      */
     generateQRS(time, params = {}) {
+      const type = params.type || 'normal'; // Type: 'normal', 'wide', 'pvc', 'paced'
+      const conduction = this.getConduction(type);
+      const pattern = CONDUCTION_PATTERNS[conduction];
       const {
         amplitude = this.params.qrsAmplitude,
         duration = this.params.qrsDuration,
-        qRatio = 0.25, // Q wave amplitude ratio to R
-        sRatio = 0.25, // S wave amplitude ratio to R
-        qDuration = 0.2, // Q wave duration ratio to QRS
-        rDuration = 0.4, // R wave duration ratio to QRS
-        sDuration = 0.4, // S wave duration ratio to QRS
-        type = 'normal' // Type: 'normal', 'wide', 'pvc', 'paced'
+        qRatio = pattern.initialRatio, // Initial (septal) vector ratio to the main vector
+        sRatio = pattern.terminalRatio, // Terminal vector ratio to the main vector
+        qDuration = pattern.initialDuration, // Initial phase duration ratio to QRS
+        rDuration = pattern.mainDuration // Main phase duration ratio to QRS
       } = params;
       
       if (time < 0 || time > duration) return 0;
       
-      let value = 0;
+      this.qrsActive = true;
       
       // Adjust parameters for different QRS types
       let q = qRatio;
@@ -325,32 +738,48 @@ class ECGGenerator {
         s = 0.5;
       } else if (type === 'paced') {
         // Paced rhythm has a pacing spike followed by wide QRS
-        if (time < 0.01) {
-          return amplitude * 2; // Pacing spike
+        if (time < PACING_SPIKE_DURATION) {
+          return this.generatePacingSpike(time, { amplitude: amplitude * 2 });
         }
       }
       
+      const vectors = this.getDepolarizationVectors(conduction);
+      
       // Calculate times for each part of QRS
       const qEnd = duration * qDuration;
       const rEnd = qEnd + (duration * rDuration);
       
-      // Generate each part of the QRS
+      // Each phase is a half-sine pulse of its depolarization vector
       if (time < qEnd) {
-        // Q wave (downward deflection)
-        value = -q * amplitude * Math.sin(Math.PI * time / (2 * qEnd));
+        // Initial (septal) vector - q wave in the left-sided leads
+        return this.contribute(q * amplitude * Math.sin(Math.PI * time / qEnd), vectors.initial);
       } else if (time < rEnd) {
-        // R wave (upward deflection)
+        // Main ventricular vector along the QRS axis
         const rTime = time - qEnd;
         const rDur = rEnd - qEnd;
-        value = amplitude * Math.sin(Math.PI * rTime / rDur);
-      } else {
-        // S wave (downward deflection)
-        const sTime = time - rEnd;
-        const sDur = duration - rEnd;
-        value = -s * amplitude * Math.sin(Math.PI * sTime / (2 * sDur));
+        return this.contribute(amplitude * Math.sin(Math.PI * rTime / rDur), vectors.main);
       }
       
-      return value;
+      // Terminal vector - S wave, or R' in right bundle branch block
+      const sTime = time - rEnd;
+      const sDur = duration - rEnd;
+      return this.contribute(s * amplitude * Math.sin(Math.PI * sTime / sDur), vectors.terminal);
+    }
+    
+    /**
+     * Generate a pacing stimulus artefact
+     * @param {number} time - Time relative to the stimulus
+     * @param {Object} params - Spike parameters
+     * @returns {number} ECG value in mV
+     */
+    generatePacingSpike(time, params = {}) {
+      const {
+        amplitude = this.params.qrsAmplitude * 2 // Stimulus artefact is taller than the QRS
+      } = params;
+      
+      if (time < 0 || time >= PACING_SPIKE_DURATION) return 0;
+      
+      return this.contribute(amplitude, PACING_SPIKE_VECTOR);
     }
     
     /**
@@ -362,8 +791,9 @@ class ECGGenerator {
     generateTWave(time, params = {}) {
       const {
         amplitude = this.params.tWaveAmplitude,
-        duration = 0.16, // T wave duration in seconds
-        inverted = false // Whether the T wave is inverted
+        duration = this.params.tWaveDuration, // T wave duration in seconds
+        inverted = false, // Whether the T wave is inverted
+        vector = this.getRepolarizationVectors(this.params.bundleBranchBlock).t
       } = params;
       
       if (time < 0 || time > duration) return 0;
@@ -371,6 +801,11 @@ class ECGGenerator {
       // Asymmetric T wave with slower rise and faster fall
       const peak = duration * 0.6; // Peak is at 60% of T wave duration
       
+      // Ventricles repolarize unevenly on the upstroke: a shock here can induce VF
+      if (time < peak) {
+        this.vulnerablePeriod = true;
+      }
+      
       let value;
       if (time < peak) {
         // Rising part
@@ -380,7 +815,24 @@ class ECGGenerator {
         value = amplitude * Math.cos((Math.PI / 2) * (time - peak) / (duration - peak));
       }
       
-      return inverted ? -value : value;
+      return this.contribute(inverted ? -value : value, vector);
+    }
+    
+    /**
+     * Generate the pathological Q wave of an infarct
+     * @param {number} time - Time relative to the start of the QRS complex
+     * @param {Object} params - Wave parameters
+     * @returns {number} ECG value in mV
+     */
+    generateInfarctQWave(time, params = {}) {
+      const {
+        duration = this.params.qrsDuration * 0.4, // Q wave spans the early QRS
+        vector = this.params.qVector // Forces lost to necrosis in mV
+      } = params;
+      
+      if (time < 0 || time > duration) return 0;
+      
+      return this.contribute(Math.sin(Math.PI * time / duration), vector);
     }
     
     /**
@@ -397,8 +849,8 @@ class ECGGenerator {
       
       if (time < 0 || time > duration) return 0;
       
-      // Simple sine wave for U wave
-      return amplitude * Math.sin(Math.PI * time / duration);
+      // Simple sine wave for U wave, concordant with the T wave
+      return this.contribute(amplitude * Math.sin(Math.PI * time / duration), this.getRepolarizationVectors('none').t);
     }
     
     /**
@@ -410,12 +862,13 @@ class ECGGenerator {
     generateSTSegment(time, params = {}) {
       const {
         duration = 0.1, // ST segment duration in seconds
-        elevation = 0,  // ST elevation/depression in mV
+        vector = this.params.stVector, // ST deviation dipole in mV
+        level = 1 // Fraction of the deviation (ST returns to baseline through the T wave)
       } = params;
       
       if (time < 0 || time > duration) return 0;
       
-      return elevation;
+      return this.contribute(level, vector);
     }
     
     /**
@@ -431,30 +884,38 @@ class ECGGenerator {
         qtInterval = this.params.qtInterval,
         qrsType = 'normal',
         tInverted = false,
-        stElevation = 0,
         pWavePresent = true
       } = params;
       
       let value = 0;
       
+      // Primary (injury) and secondary (conduction) ST deviations add up
+      const repolarization = this.getRepolarizationVectors(this.getConduction(qrsType));
+      const stVector = addVectors(this.params.stVector, repolarization.st);
+      
       // Calculate segment timings
       const pStart = 0;
       const pDuration = 0.08;
+      const tDuration = this.params.tWaveDuration;
       const qrsStart = prInterval;
       const stStart = qrsStart + qrsDuration;
-      const stDuration = qtInterval - qrsDuration - 0.16; // Subtracting T wave duration
+      const stDuration = Math.max(0.02, qtInterval - qrsDuration - tDuration); // Subtracting T wave duration
       const tStart = stStart + stDuration;
-      const uStart = tStart + 0.16; // After T wave
+      const uStart = tStart + tDuration; // After T wave
       
       // Generate each component
       if (pWavePresent && time >= pStart && time < pStart + pDuration) {
         value = this.generatePWave(time - pStart);
       } else if (time >= qrsStart && time < qrsStart + qrsDuration) {
-        value = this.generateQRS(time - qrsStart, { type: qrsType, duration: qrsDuration });
+        value = this.generateQRS(time - qrsStart, { type: qrsType, duration: qrsDuration }) +
+          this.generateInfarctQWave(time - qrsStart, { duration: qrsDuration * 0.4 });
       } else if (time >= stStart && time < stStart + stDuration) {
-        value = this.generateSTSegment(time - stStart, { elevation: stElevation });
-      } else if (time >= tStart && time < tStart + 0.16) {
-        value = this.generateTWave(time - tStart, { inverted: tInverted });
+        value = this.generateSTSegment(time - stStart, { duration: stDuration, vector: stVector });
+      } else if (time >= tStart && time < tStart + tDuration) {
+        // The ST deviation merges into the T wave and returns to baseline
+        value = this.generateTWave(time - tStart, { inverted: tInverted, vector: repolarization.t }) +
+          this.generateTWave(time - tStart, { amplitude: 1, vector: this.params.tVector }) +
+          this.generateSTSegment(time - tStart, { duration: tDuration, vector: stVector, level: 1 - (time - tStart) / tDuration });
       } else if (this.params.uWavePresent && time >= uStart && time < uStart + 0.12) {
         value = this.generateUWave(time - uStart);
       }
@@ -471,8 +932,7 @@ class ECGGenerator {
       return this.generateNormalComplex(time, {
         qrsDuration: this.params.qrsDuration * 1.5, // Wider QRS
         qrsType: 'pvc',
-        pWavePresent: false, // No P wave
-        tInverted: true // Inverted T wave
+        pWavePresent: false // No P wave, T wave discordant to the wide QRS
       });
     }
     
@@ -497,22 +957,75 @@ class ECGGenerator {
       return this.generateNormalComplex(time, {
         qrsDuration: this.params.qrsDuration * 2, // Very wide QRS
         qrsType: 'ventricular',
-        pWavePresent: false, // No P wave
-        tInverted: true // Inverted T wave
+        pWavePresent: false // No P wave, T wave discordant to the wide QRS
       });
     }
     
     /**
      * Generate a paced complex
      * @param {number} time - Time in seconds from the start of the complex
+     * @param {Object} params - Parameters for the complex
      * @returns {number} ECG value in mV
      */
-    generatePacedComplex(time) {
-      return this.generateNormalComplex(time, {
-        qrsDuration: this.params.qrsDuration * 1.8, // Wider QRS
+    generatePacedComplex(time, params = {}) {
+      const {
+        prInterval = this.params.prInterval, // AV delay before the ventricular stimulus
+        atrialPacing = false // Dual chamber pacing: atrial spike and paced P wave
+      } = params;
+      
+      const value = this.generateNormalComplex(time, {
+        prInterval,
+        qrsDuration: this.params.qrsDuration * PACED_QRS_WIDENING, // Wider QRS
         qrsType: 'paced',
-        pWavePresent: false // Often no visible P wave
+        pWavePresent: atrialPacing // Otherwise often no visible P wave
       });
+      
+      return atrialPacing ? value + this.generatePacingSpike(time) : value;
+    }
+    
+    /**
+     * Pacemaker output over the heart's own rhythm: a sensed beat restarts the
+     * pacing interval; a stimulus outside the refractory period starts a paced
+     * beat if it captures, otherwise only the spike is seen
+     * @param {number} intrinsicValue - ECG value of the heart's own rhythm in mV
+     * @param {boolean} sensed - Whether an intrinsic beat started at this sample
+     * @returns {number} ECG value in mV
+     */
+    generatePacing(intrinsicValue, sensed) {
+      const interval = 60 / this.pacing.rate;
+      
+      if (sensed && this.pacing.sensing) {
+        this.nextPace = this.currentTime + interval;
+      }
+      
+      if (this.currentTime >= this.nextPace) {
+        this.nextPace = this.currentTime + interval;
+        
+        if (this.pacing.capture && this.currentTime - this.lastRWave >= VENTRICULAR_REFRACTORY) {
+          this.pacedBeatStart = this.currentTime;
+          this.lastRWave = this.currentTime;
+        } else {
+          this.pacingSpikeStart = this.currentTime;
+        }
+      }
+      
+      // The paced beat lasts until the end of its T wave
+      const prInterval = this.pacing.dualChamber ? this.params.prInterval : 0;
+      const qrsDuration = this.params.qrsDuration * PACED_QRS_WIDENING;
+      const beatDuration = prInterval + Math.max(this.params.qtInterval, qrsDuration + 0.02 + this.params.tWaveDuration);
+      const sincePacedBeat = this.currentTime - this.pacedBeatStart;
+      
+      if (this.pacedBeatStart !== null && sincePacedBeat < Math.min(interval, beatDuration)) {
+        // Captured ventricles replace the heart's own activity
+        this.dipole = { ...ZERO_VECTOR };
+        return this.generatePacedComplex(sincePacedBeat, { prInterval, atrialPacing: this.pacing.dualChamber });
+      }
+      
+      if (this.pacingSpikeStart !== null) {
+        return intrinsicValue + this.generatePacingSpike(this.currentTime - this.pacingSpikeStart);
+      }
+      
+      return intrinsicValue;
     }
     
     /**
@@ -538,7 +1051,7 @@ class ECGGenerator {
       
       // Check if it's time for a new QRS
       const rrVariability = this.atrialActivity.rrVariability; // 0.2 means ±20% variation
-      const irregularRR = this.rrInterval * (1 + (Math.random() * 2 - 1) * rrVariability);
+      const irregularRR = this.rrInterval * (1 + (this.random() * 2 - 1) * rrVariability);
       
       if (timeSinceLastR >= irregularRR) {
         this.lastRWave = time;
@@ -552,11 +1065,11 @@ class ECGGenerator {
       const fibrillationFrequency = 8; // Hz
       const fibrillationAmplitude = this.params.pWaveAmplitude * 0.25;
       
-      return fibrillationAmplitude * (
+      return this.contribute(fibrillationAmplitude * (
         0.3 * Math.sin(2 * Math.PI * fibrillationFrequency * time) +
         0.3 * Math.sin(2 * Math.PI * (fibrillationFrequency * 1.3) * time) +
         0.4 * Math.sin(2 * Math.PI * (fibrillationFrequency * 0.7) * time + 0.2)
-      );
+      ), FIBRILLATION_VECTOR);
     }
     
     /**
@@ -602,12 +1115,35 @@ class ECGGenerator {
       
       // Sawtooth pattern
       if (flutterPosition < 0.5) {
-        return flutterAmplitude * (flutterPosition * 2);
+        return this.contribute(flutterAmplitude * (flutterPosition * 2), FLUTTER_VECTOR);
       } else {
-        return flutterAmplitude * ((1 - flutterPosition) * 2);
+        return this.contribute(flutterAmplitude * ((1 - flutterPosition) * 2), FLUTTER_VECTOR);
       }
     }
     
+    /**
+     * Generate supraventricular (re-entrant) tachycardia waveform
+     * @param {number} time - Time in seconds
+     * @returns {number} ECG value in mV
+     */
+    generateSupraventricularTachycardia(time) {
+      // SVT has:
+      // 1. Regular narrow QRS complexes, usually 150-250 bpm
+      // 2. P waves hidden in the QRS or just after it
+      // 3. Short QT at the fast rate
+      
+      const timeSinceLastR = time - this.lastRWave;
+      if (timeSinceLastR >= this.rrInterval) {
+        this.lastRWave = time;
+      }
+      
+      return this.generateNormalComplex(timeSinceLastR % this.rrInterval, {
+        prInterval: SVT_QRS_DELAY,
+        qtInterval: Math.min(this.params.qtInterval, this.rrInterval - SVT_QRS_DELAY),
+        pWavePresent: false
+      });
+    }
+    
     /**
      * Generate ventricular tachycardia waveform
      * @param {number} time - Time in seconds
@@ -662,13 +1198,14 @@ class ECGGenerator {
       }
       
       // Generate chaotic waveform using multiple sine waves with different frequencies
-      return amplitude * (
+      return this.contribute(amplitude * (
         1.0 * Math.sin(2 * Math.PI * vfFrequency * time) +
-        0.5 * Math.sin(2 * Math.PI * (vfFrequency * 2.3) * time) +
         0.3 * Math.sin(2 * Math.PI * (vfFrequency * 3.9) * time) +
-        0.2 * Math.sin(2 * Math.PI * (vfFrequency * 4.7) * time + 1) +
         0.1 * Math.sin(2 * Math.PI * (vfFrequency * 15) * time + 2)
-      );
+      ), VF_VECTORS[0]) + this.contribute(amplitude * (
+        0.5 * Math.sin(2 * Math.PI * (vfFrequency * 2.3) * time) +
+        0.2 * Math.sin(2 * Math.PI * (vfFrequency * 4.7) * time + 1)
+      ), VF_VECTORS[1]);
     }
     
     /**
@@ -677,7 +1214,7 @@ class ECGGenerator {
      */
     generateAsystole() {
       // Asystole is essentially a flat line with minimal noise
-      return (Math.random() - 0.5) * this.params.noiseLevel;
+      return (this.random() - 0.5) * this.params.noiseLevel;
     }
     
     /**
@@ -861,25 +1398,32 @@ class ECGGenerator {
      */
     getNextValue() {
       // Basic noise/artifact added to all rhythms
-      let noise = this.params.noiseLevel * (Math.random() * 2 - 1);
+      let noise = this.params.noiseLevel * (this.random() * 2 - 1);
       
       // Random artifacts
-      if (Math.random() < this.params.artifactProbability) {
-        noise += (Math.random() * 2 - 1) * this.params.qrsAmplitude * 0.5;
+      if (this.random() < this.params.artifactProbability) {
+        noise += (this.random() * 2 - 1) * this.params.qrsAmplitude * 0.5;
       }
       
       // Update current time
       this.currentTime += 1 / this.params.sampleRate;
       
+      // Components of this sample accumulate into a new dipole
+      this.dipole = { ...ZERO_VECTOR };
+      this.qrsActive = false;
+      this.vulnerablePeriod = false;
+      
       // Generate value based on rhythm
       let value;
+      let timeSinceLastR;
+      const lastRWave = this.lastRWave;
       
       switch (this.rhythm) {
         case this.rhythmTypes.NORMAL_SINUS:
         case this.rhythmTypes.SINUS_BRADYCARDIA:
         case this.rhythmTypes.SINUS_TACHYCARDIA:
           // Normal PQRST pattern
-          const timeSinceLastR = this.currentTime - this.lastRWave;
+          timeSinceLastR = this.currentTime - this.lastRWave;
           if (timeSinceLastR >= this.rrInterval) {
             this.lastRWave = this.currentTime;
           }
@@ -894,6 +1438,10 @@ class ECGGenerator {
           value = this.generateAtrialFlutter(this.currentTime);
           break;
           
+        case this.rhythmTypes.SUPRAVENTRICULAR_TACHYCARDIA:
+          value = this.generateSupraventricularTachycardia(this.currentTime);
+          break;
+          
         case this.rhythmTypes.VENTRICULAR_TACHYCARDIA:
           value = this.generateVentricularTachycardia(this.currentTime);
           break;
@@ -981,8 +1529,20 @@ class ECGGenerator {
           value = this.generateNormalComplex(timeSinceLastR % this.rrInterval);
       }
       
-      // Add baseline and noise
-      return this.params.baseline + value + noise;
+      // Pacemaker stimuli and paced beats over the heart's own rhythm
+      if (this.pacing) {
+        value = this.generatePacing(value, this.lastRWave !== lastRWave);
+      }
+      
+      // The defibrillator synchronizes to the onset of each QRS
+      this.rWaveDetected = this.qrsActive && !this.wasInQRS;
+      this.wasInQRS = this.qrsActive;
+      
+      // Chest compressions move every electrode
+      this.compressionArtifact = this.generateCompressionArtifact();
+      
+      // Add baseline, compression artifact and noise
+      return this.params.baseline + value + this.compressionArtifact + noise;
     }
     
     /**
@@ -1001,6 +1561,31 @@ class ECGGenerator {
       return waveform;
     }
     
+    /**
+     * Generate all 12 leads of the same beats for a specific duration
+     * @param {number} duration - Duration in seconds
+     * @returns {Object} Arrays of ECG values by lead name (I, II, ..., V6)
+     */
+    generateLeads(duration) {
+      const numSamples = Math.floor(duration * this.params.sampleRate);
+      const leads = {};
+      TWELVE_LEADS.forEach(lead => {
+        leads[lead] = [];
+      });
+      
+      for (let i = 0; i < numSamples; i++) {
+        this.getNextValue();
+        
+        // Every electrode picks up its own noise
+        TWELVE_LEADS.forEach(lead => {
+          const noise = this.params.noiseLevel * (this.random() * 2 - 1);
+          leads[lead].push(this.params.baseline + projectOnLead(this.dipole, lead) + this.compressionArtifact + noise);
+        });
+      }
+      
+      return leads;
+    }
+    
     /**
      * Reset the generator to initial state
      */
@@ -1012,6 +1597,17 @@ class ECGGenerator {
       this.nextPAC = -1;
       this.wenckebach = { count: 0, maxCount: 3 };
       this.rhythm = this.rhythmTypes.NORMAL_SINUS;
+      this.pacing = null;
+      this.nextPace = 0;
+      this.pacedBeatStart = null;
+      this.pacingSpikeStart = null;
+      this.qrsActive = false;
+      this.wasInQRS = false;
+      this.rWaveDetected = false;
+      this.vulnerablePeriod = false;
+      this.compressions = null;
+      this.compressionPhase = 0;
+      this.compressionArtifact = 0;
     }
   }
   
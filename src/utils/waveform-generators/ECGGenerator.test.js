@@ -0,0 +1,137 @@
+import ECGGenerator, { TWELVE_LEADS } from './ECGGenerator';
+
+describe('12-lead ECG', () => {
+  // One noiseless sinus beat at 60/min: QRS at 0.16 s, ST 40 ms after the J point
+  const recordBeat = (state = {}) => {
+    const generator = new ECGGenerator(() => 0.5);
+    generator.applyPatientState({ hr: 60, ...state });
+    generator.updateParams({ noiseLevel: 0, artifactProbability: 0 });
+    const leads = generator.generateLeads(1);
+    // The first sample is taken one period after the start
+    const sample = seconds => Math.round(seconds * generator.params.sampleRate) - 1;
+    const qrsEnd = generator.params.prInterval + generator.params.qrsDuration;
+    const window = (lead, from, to) => leads[lead].slice(sample(from), sample(to));
+
+    return {
+      leads,
+      qrsDuration: generator.params.qrsDuration,
+      qrs: lead => window(lead, generator.params.prInterval, qrsEnd),
+      st: lead => leads[lead][sample(qrsEnd + 0.04)],
+      t: lead => Math.max(...window(lead, qrsEnd, 1))
+    };
+  };
+
+  test('leads are projections of one cardiac dipole', () => {
+    const { leads, qrs } = recordBeat();
+
+    expect(Object.keys(leads)).toEqual(TWELVE_LEADS);
+    leads.II.forEach((value, i) => {
+      // Einthoven and Goldberger relationships
+      expect(value).toBeCloseTo(leads.I[i] + leads.III[i], 6);
+      expect(leads.aVR[i]).toBeCloseTo(-(leads.I[i] + leads.II[i]) / 2, 6);
+      expect(leads.aVR[i] + leads.aVL[i] + leads.aVF[i]).toBeCloseTo(0, 6);
+    });
+
+    // Normal axis: upright II, negative aVR, rS in V1 and qR in V6
+    expect(Math.max(...qrs('II'))).toBeCloseTo(1, 2);
+    expect(Math.min(...qrs('aVR'))).toBeLessThan(-0.5);
+    expect(Math.min(...qrs('V1'))).toBeLessThan(-Math.max(...qrs('V1')));
+    expect(qrs('V6')[1]).toBeLessThan(0);
+    expect(Math.max(...qrs('V6'))).toBeGreaterThan(0.5);
+
+    // Left axis deviation turns II and aVF negative, I stays upright
+    const leftAxis = recordBeat({ qrs_axis: -45 });
+    expect(Math.min(...leftAxis.qrs('aVF'))).toBeLessThan(-Math.max(...leftAxis.qrs('aVF')));
+    expect(Math.max(...leftAxis.qrs('I'))).toBeGreaterThan(0.5);
+  });
+
+  test('ST elevation shows in its territory with reciprocal changes', () => {
+    const inferior = recordBeat({ st_inferior: 0.3 });
+    ['II', 'III', 'aVF'].forEach(lead => expect(inferior.st(lead)).toBeGreaterThan(0.2));
+    expect(inferior.st('aVL')).toBeLessThan(-0.1);
+    ['V1', 'V2', 'V3', 'V4'].forEach(lead => expect(inferior.st(lead)).toBeCloseTo(0, 6));
+
+    const anterior = recordBeat({ st_anterior: 0.3 });
+    ['V1', 'V2', 'V3', 'V4'].forEach(lead => expect(anterior.st(lead)).toBeGreaterThan(0.2));
+    expect(anterior.st('II')).toBeCloseTo(0, 6);
+
+    // Posterior injury looks like anterior ST depression
+    expect(recordBeat({ st_posterior: 0.2 }).st('V2')).toBeLessThan(-0.15);
+  });
+
+  test('bundle branch blocks widen the QRS with their own morphology', () => {
+    const normal = recordBeat();
+    const right = recordBeat({ bundle_branch_block: 'right' });
+    const left = recordBeat({ bundle_branch_block: 'left' });
+
+    expect(right.qrsDuration).toBeGreaterThanOrEqual(0.12);
+    expect(left.qrsDuration).toBeGreaterThanOrEqual(0.12);
+
+    // RBBB: terminal R' in V1 and a wide S in V6
+    const v1 = right.qrs('V1');
+    expect(Math.max(...v1.slice(v1.length / 2))).toBeGreaterThan(0.5);
+    expect(Math.min(...right.qrs('V6'))).toBeLessThan(Math.min(...normal.qrs('V6')));
+
+    // LBBB: deep QS in V1, no septal q in V6, discordant ST-T
+    expect(Math.min(...left.qrs('V1'))).toBeLessThan(-1);
+    expect(Math.min(...left.qrs('V6'))).toBeGreaterThanOrEqual(0);
+    expect(left.st('V1')).toBeGreaterThan(0);
+    expect(left.st('V6')).toBeLessThan(0);
+  });
+
+  test('hyperkalemia peaks T waves in proportion to potassium and resets when corrected', () => {
+    const generator = new ECGGenerator(() => 0.5);
+    const tWaves = [4, 6, 7, 8].map(k => recordBeat({ k }).t('V4'));
+
+    expect(tWaves[1]).toBeGreaterThan(tWaves[0]);
+    expect(tWaves[2]).toBeGreaterThan(tWaves[1]);
+    expect(tWaves[3]).toBeGreaterThan(tWaves[2]);
+
+    generator.applyPatientState({ hr: 60, k: 8 });
+    expect(generator.params.qrsDuration).toBeGreaterThan(0.1);
+    expect(generator.params.pWaveAmplitude).toBeLessThan(0.25);
+    generator.applyPatientState({ hr: 60, k: 4 });
+    expect(generator.params).toMatchObject({ qrsDuration: 0.08, pWaveAmplitude: 0.25, tWaveAmplitude: 0.3 });
+  });
+});
+
+describe('Pacing in the ECG', () => {
+  const SPIKE_THRESHOLD = 1.6;
+
+  // Pacing spikes in lead II: starts of runs above the spike threshold
+  const countSpikes = (samples) => samples.filter((value, i) =>
+    value > SPIKE_THRESHOLD && !(samples[i - 1] > SPIKE_THRESHOLD)
+  ).length;
+
+  const recordLeadII = (state, seconds = 6) => {
+    const generator = new ECGGenerator(() => 0.5);
+    generator.applyPatientState(state);
+    return generator.generateWaveform(seconds);
+  };
+
+  const pacedState = (hr, pacemaker) => ({
+    hr,
+    intrinsic_hr: hr,
+    pacemaker: { rate: 70, pacing: true, sensing: true, capture: true, dualChamber: false, ...pacemaker }
+  });
+
+  test('pacing spikes and paced complexes in the ECG', () => {
+    // Captured pacing of a slow rhythm: a spike before every beat
+    const captured = recordLeadII(pacedState(35));
+    expect(countSpikes(captured)).toBe(6);
+    expect(countSpikes(recordLeadII({ hr: 35 }))).toBe(0);
+
+    // Failure to capture: a stimulus without a QRS one pacing interval after
+    // each sensed intrinsic beat
+    const nonCaptured = recordLeadII(pacedState(35, { capture: false }));
+    expect(countSpikes(nonCaptured)).toBe(3);
+    const beats = samples => samples.filter((value, i) => value > 0.5 && value < SPIKE_THRESHOLD && !(samples[i - 1] > 0.5)).length;
+    expect(beats(nonCaptured)).toBe(beats(recordLeadII({ hr: 35 })));
+
+    // Failure to sense: stimuli over a faster intrinsic rhythm
+    expect(countSpikes(recordLeadII(pacedState(90, { sensing: false, capture: false })))).toBe(6);
+
+    // Dual chamber pacing: atrial and ventricular spikes
+    expect(countSpikes(recordLeadII(pacedState(35, { dualChamber: true })))).toBe(12);
+  });
+});
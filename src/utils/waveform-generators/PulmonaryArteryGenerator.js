@@ -0,0 +1,202 @@
+/**
+ * PulmonaryArteryGenerator.js
+ *
+ * Этот модуль генерирует кривую давления в легочной артерии (мм рт.ст.) по
+ * катетеру Свана-Ганца и рассчитывает давления, которых нет в модели
+ * кровообращения: давление заклинивания (ДЗЛА) растет с ЦВД и дисфункцией
+ * левого желудочка, а градиент между легочной артерией и ДЗЛА создается
+ * кровотоком через легочные сосуды, сопротивление которых повышает
+ * гипоксическая вазоконстрикция. При раздутом баллоне (заклинивании) катетер
+ * показывает давление в левом предсердии с волнами a и v.
+ */
+
+import { arterialPulseShape } from './ArterialLineGenerator';
+import { atrialPressureShape, respiratoryPressureSwing } from './CVPGenerator';
+
+// ДЗЛА: давление при нулевом ЦВД, прирост на 1 мм рт.ст. ЦВД и прирост при
+// полной дисфункции левого желудочка (мм рт.ст.)
+const PCWP_BASE = 4;
+const PCWP_PER_CVP = 0.75;
+const PCWP_LV_DYSFUNCTION = 14;
+
+// Легочное сосудистое сопротивление в норме (дин·с/см⁵), его рост при
+// гипоксемии (во сколько раз при SpO2 на 30% ниже порога) и порог SpO2 (%)
+const NORMAL_PVR = 120;
+const HYPOXIC_PVR_RISE = 2;
+const HYPOXIC_SPO2 = 90;
+
+// Пульсовое давление в легочной артерии при нормальном ударном объеме
+const NORMAL_PA_PULSE_PRESSURE = 12;
+const NORMAL_STROKE_VOLUME = 70;
+
+// Размах волн давления в левом предсердии и относительная амплитуда волны v
+const WEDGE_WAVE_AMPLITUDE = 5;
+const WEDGE_V_WAVE = 1.5;
+
+// Ритмы без сокращения предсердий
+const NO_ATRIAL_KICK_RHYTHMS = ['afib', 'aflutter', 'vfib', 'asystole'];
+
+class PulmonaryArteryGenerator {
+    constructor() {
+      // Параметры по умолчанию
+      this.params = {
+        sampleRate: 100,     // Частота дискретизации (Гц)
+        heartRate: 72,       // Частота сердечных сокращений (уд/мин)
+        respiratoryRate: 14, // Частота дыхания (вд/мин)
+        systolic: 24,        // Систолическое давление в легочной артерии (мм рт.ст.)
+        diastolic: 12,       // Диастолическое давление в легочной артерии (мм рт.ст.)
+        pcwp: 10,            // Давление заклинивания (мм рт.ст.)
+        wedge: false,        // Баллон раздут - кривая заклинивания
+        aWave: true,         // Есть ли волна a
+        ventilated: false,   // ИВЛ положительным давлением
+        pulse: true          // Есть ли сокращения сердца или компрессии
+      };
+
+      // Фазы сердечного и дыхательного циклов (0-1)
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+
+    /**
+     * Обновление параметров генератора
+     * @param {Object} newParams - Новые параметры
+     */
+    updateParams(newParams) {
+      this.params = { ...this.params, ...newParams };
+    }
+
+    /**
+     * Давления в малом круге по состоянию пациента
+     * @param {Object} patientState - Состояние пациента
+     * @returns {Object} pap (среднее), pap_systolic, pap_diastolic и pcwp в мм рт.ст.
+     */
+    getPressures(patientState) {
+      const {
+        cvp = 8,
+        myocardial_ischemia = 0,
+        spo2 = 98,
+        cardiac_output = 5,
+        stroke_volume = NORMAL_STROKE_VOLUME,
+        cardiac_arrest = false
+      } = patientState;
+
+      const pcwp = PCWP_BASE + PCWP_PER_CVP * cvp + PCWP_LV_DYSFUNCTION * myocardial_ischemia;
+
+      // Без кровотока давление в малом круге выравнивается с ЦВД
+      if (cardiac_arrest) {
+        return { pap: Math.round(cvp), pap_systolic: Math.round(cvp), pap_diastolic: Math.round(cvp), pcwp: Math.round(cvp) };
+      }
+
+      const hypoxemia = Math.max(0, HYPOXIC_SPO2 - spo2) / 30;
+      const pvr = NORMAL_PVR * (1 + HYPOXIC_PVR_RISE * hypoxemia);
+      const mean = pcwp + pvr * Math.max(0, cardiac_output) / 80;
+      const pulsePressure = NORMAL_PA_PULSE_PRESSURE * Math.max(0, stroke_volume) / NORMAL_STROKE_VOLUME;
+      const diastolic = mean - pulsePressure / 3;
+
+      return {
+        pap: Math.round(mean),
+        pap_systolic: Math.round(diastolic + pulsePressure),
+        pap_diastolic: Math.round(diastolic),
+        pcwp: Math.round(pcwp)
+      };
+    }
+
+    /**
+     * Применение состояния пациента для обновления параметров сигнала
+     * @param {Object} patientState - Текущее состояние пациента
+     */
+    applyPatientState(patientState) {
+      const {
+        hr = 72,
+        rr = 14,
+        cardiac_rhythm = 'sinus',
+        cardiac_arrest = false,
+        intubated = false,
+        cpr = null,
+        invasiveMonitoring = null
+      } = patientState;
+
+      const compressions = cardiac_arrest && cpr && cpr.delivering && cpr.rate > 0;
+      const pressures = this.getPressures(patientState);
+
+      this.updateParams({
+        heartRate: compressions ? cpr.rate : hr,
+        respiratoryRate: rr,
+        systolic: pressures.pap_systolic,
+        diastolic: pressures.pap_diastolic,
+        pcwp: pressures.pcwp,
+        wedge: Boolean(invasiveMonitoring && invasiveMonitoring.wedge),
+        aWave: !NO_ATRIAL_KICK_RHYTHMS.includes(cardiac_rhythm),
+        ventilated: intubated,
+        pulse: !cardiac_arrest || compressions
+      });
+    }
+
+    /**
+     * Давление в заданных фазах сердечного и дыхательного циклов
+     * @param {number} cardiacPhase - Фаза сердечного цикла (0-1)
+     * @param {number} respiratoryPhase - Фаза дыхательного цикла (0-1)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressure(cardiacPhase, respiratoryPhase) {
+      const { systolic, diastolic, pcwp, wedge, aWave, ventilated, pulse } = this.params;
+      const respiration = respiratoryPressureSwing(respiratoryPhase, ventilated);
+
+      if (!pulse) return (wedge ? pcwp : diastolic) + respiration;
+
+      // Заклинивание: давление левого предсердия с выраженной волной v
+      if (wedge) {
+        return pcwp + respiration + WEDGE_WAVE_AMPLITUDE * atrialPressureShape(cardiacPhase, { aWave, vWave: WEDGE_V_WAVE });
+      }
+
+      return diastolic + respiration + Math.max(0, systolic - diastolic) * arterialPulseShape(cardiacPhase);
+    }
+
+    /**
+     * Давление в заданный момент времени при постоянных частотах
+     * @param {number} time - Время (с)
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getPressureAt(time) {
+      const { heartRate, respiratoryRate } = this.params;
+      return this.getPressure((time * heartRate / 60) % 1, (time * respiratoryRate / 60) % 1);
+    }
+
+    /**
+     * Получить следующее значение давления
+     * @returns {number} Давление (мм рт.ст.)
+     */
+    getNextValue() {
+      const dt = 1 / this.params.sampleRate;
+      this.cardiacPhase = (this.cardiacPhase + dt * this.params.heartRate / 60) % 1;
+      this.respiratoryPhase = (this.respiratoryPhase + dt * this.params.respiratoryRate / 60) % 1;
+
+      return this.getPressure(this.cardiacPhase, this.respiratoryPhase);
+    }
+
+    /**
+     * Генерация кривой давления заданной длительности
+     * @param {number} duration - Длительность в секундах
+     * @returns {Array} Массив значений давления
+     */
+    generateWaveform(duration) {
+      const numSamples = Math.floor(duration * this.params.sampleRate);
+      const waveform = [];
+
+      for (let i = 0; i < numSamples; i++) {
+        waveform.push(this.getNextValue());
+      }
+
+      return waveform;
+    }
+
+    /**
+     * Сброс генератора до начального состояния
+     */
+    reset() {
+      this.cardiacPhase = 0;
+      this.respiratoryPhase = 0;
+    }
+  }
+
+  export default PulmonaryArteryGenerator;
@@ -0,0 +1,31 @@
+import PulmonaryArteryGenerator from './PulmonaryArteryGenerator';
+
+describe('PulmonaryArteryGenerator', () => {
+  const normal = { cvp: 8, spo2: 98, cardiac_output: 5, stroke_volume: 70 };
+  const mean = samples => samples.reduce((sum, value) => sum + value, 0) / samples.length;
+
+  test('the wedge pressure and the pulmonary flow set the pulmonary pressures', () => {
+    const generator = new PulmonaryArteryGenerator();
+    expect(generator.getPressures(normal)).toEqual({ pap: 18, pap_systolic: 26, pap_diastolic: 14, pcwp: 10 });
+
+    // Left ventricular dysfunction raises the wedge pressure, hypoxaemia the resistance
+    expect(generator.getPressures({ ...normal, myocardial_ischemia: 0.5 }).pcwp).toBe(17);
+    expect(generator.getPressures({ ...normal, spo2: 75 }).pap).toBe(25);
+
+    // Without flow the pressures equalize with the CVP
+    expect(generator.getPressures({ ...normal, cardiac_arrest: true })).toEqual({ pap: 8, pap_systolic: 8, pap_diastolic: 8, pcwp: 8 });
+  });
+
+  test('the inflated balloon shows the left atrial pressure', () => {
+    const generator = new PulmonaryArteryGenerator();
+    generator.applyPatientState({ ...normal, hr: 60, rr: 12 });
+    const pa = generator.generateWaveform(10);
+    expect(Math.max(...pa)).toBeCloseTo(26, 0);
+    expect(Math.min(...pa)).toBeGreaterThan(11);
+
+    generator.applyPatientState({ ...normal, hr: 60, rr: 0, invasiveMonitoring: { wedge: true } });
+    const wedge = generator.generateWaveform(10);
+    expect(mean(wedge)).toBeCloseTo(10, 0);
+    expect(Math.max(...wedge)).toBeLessThan(20);
+  });
+});
@@ -6,8 +6,17 @@
  * и патологические паттерны дыхания.
  */
 
+// Режимы ИВЛ с заданным объемом вдоха (постоянный поток); остальные - по давлению
+const VOLUME_CONTROLLED_MODES = ['A/C', 'SIMV'];
+
 class RespirationGenerator {
-    constructor() {
+    /**
+     * @param {Function} random - Источник случайных чисел в диапазоне [0, 1) (по умолчанию Math.random)
+     */
+    constructor(random = Math.random) {
+      // Источник случайных чисел (может быть детерминированным при заданном seed)
+      this.random = random;
+      
       // Параметры по умолчанию
       this.params = {
         sampleRate: 100,      // Частота дискретизации (Гц)
@@ -95,6 +104,9 @@ class RespirationGenerator {
         tidal_volume = 500,                // Дыхательный объем
         intubated = false,                 // Статус интубации
         ventilator_mode = 'none',          // Режим вентиляции
+        ventilator_rate = 0,               // Измеренная аппаратом частота вдохов
+        double_triggers = 0,               // Двойные срабатывания триггера (/мин)
+        ineffective_efforts = 0,           // Неэффективные попытки вдоха (/мин)
         respiratory_depression = 0,        // Фактор угнетения дыхания (0-1)
         airway_obstruction = 0,            // Фактор обструкции дыхательных путей (0-1)
         respiratory_muscle_weakness = 0,   // Слабость дыхательных мышц (0-1)
@@ -116,10 +128,13 @@ class RespirationGenerator {
       
       // Проверяем искусственную вентиляцию
       if (intubated && ventilator_mode !== 'none') {
+        // Частота и асинхронность - по измерениям аппарата ИВЛ
+        const dyssynchrony = ventilator_rate > 0 ? (double_triggers + ineffective_efforts) / ventilator_rate : 0;
         this.setPattern(this.patterns.ASSISTED_VENTILATION, {
-          ventilatorMode: ventilator_mode,
+          ventilatorMode: VOLUME_CONTROLLED_MODES.includes(ventilator_mode) ? 'volume' : 'pressure',
+          rate: ventilator_rate > 0 ? ventilator_rate : undefined,
           patientTrigger: respiratory_depression < 0.8, // Пациент может инициировать вдох если угнетение дыхания не сильное
-          asyncProbability: Math.min(0.5, respiratory_distress * 0.5) // Вероятность асинхронности с вентилятором
+          asyncProbability: Math.min(0.5, respiratory_distress * 0.5 + dyssynchrony) // Вероятность асинхронности с вентилятором
         });
         return;
       }
@@ -134,7 +149,7 @@ class RespirationGenerator {
           });
         } else {
           // Остановка сердца без СЛР - агональное дыхание или апноэ
-          this.setPattern(Math.random() < 0.7 ? this.patterns.APNEA : this.patterns.AGONAL);
+          this.setPattern(this.random() < 0.7 ? this.patterns.APNEA : this.patterns.AGONAL);
         }
         return;
       }
@@ -171,7 +186,7 @@ class RespirationGenerator {
       // Повреждение дыхательного центра может вызвать дыхание Биота
       if (head_injury > 0.4 && head_injury < 0.6) {
         this.setPattern(this.patterns.BIOT, {
-          breathCount: 3 + Math.floor(Math.random() * 3),
+          breathCount: 3 + Math.floor(this.random() * 3),
           apneaDuration: 10 + head_injury * 10
         });
         return;
@@ -265,7 +280,7 @@ class RespirationGenerator {
       const { baseline, noiseLevel } = this.params;
       
       // Минимальное движение с небольшим шумом
-      return baseline + (Math.random() - 0.5) * noiseLevel * 0.2;
+      return baseline + (this.random() - 0.5) * noiseLevel * 0.2;
     }
     
     /**
@@ -461,7 +476,7 @@ class RespirationGenerator {
       const timeSinceLastBreath = time - this.lastBreathTime;
       
       // Интервал между редкими вдохами (от 20 до 60 секунд)
-      const nextBreathInterval = this.patternOptions?.interval || (20 + Math.random() * 40);
+      const nextBreathInterval = this.patternOptions?.interval || (20 + this.random() * 40);
       
       // Если пора сделать следующий вдох
       if (timeSinceLastBreath >= nextBreathInterval) {
@@ -524,7 +539,7 @@ class RespirationGenerator {
       // Если мы в периоде апноэ, генерируем апноэ
       if (this.inApneaPeriod) {
         // Проверяем, пора ли закончить апноэ
-        const apneaDuration = 5 + Math.random() * 10; // 5-15 секунд
+        const apneaDuration = 5 + this.random() * 10; // 5-15 секунд
         if (time - this.apneaTimer > apneaDuration) {
           this.inApneaPeriod = false;
         }
@@ -532,15 +547,15 @@ class RespirationGenerator {
       }
       
       // Случайно решаем, начать ли период апноэ
-      if (Math.random() < 0.002 * severity) {
+      if (this.random() < 0.002 * severity) {
         this.inApneaPeriod = true;
         this.apneaTimer = time;
         return this.generateApnea();
       }
       
       // Генерируем нерегулярное дыхание с вариабельной амплитудой и частотой
-      const variableRate = this.params.respirationRate * (1 + (Math.random() - 0.5) * severity);
-      const variableAmplitude = this.params.amplitude * (1 + (Math.random() - 0.5) * severity);
+      const variableRate = this.params.respirationRate * (1 + (this.random() - 0.5) * severity);
+      const variableAmplitude = this.params.amplitude * (1 + (this.random() - 0.5) * severity);
       
       const savedRate = this.params.respirationRate;
       const savedAmplitude = this.params.amplitude;
@@ -595,7 +610,7 @@ class RespirationGenerator {
       // Добавляем асинхронность пациент-вентилятор если указано
       let value;
       
-      if (Math.random() < asyncProbability && patientTrigger) {
+      if (this.random() < asyncProbability && patientTrigger) {
         // Асинхронность: пациент пытается дышать не в такт с вентилятором
         const patientEffort = Math.sin(time * 2 * Math.PI / (60 / (ventRate * 0.8))) * this.params.amplitude * 0.4;
         
@@ -639,7 +654,7 @@ class RespirationGenerator {
       this.currentTime += 1 / this.params.sampleRate;
       
       // Базовый шум, добавляемый ко всем паттернам
-      const noise = this.params.noiseLevel * (Math.random() - 0.5) * 2 * this.params.amplitude * 0.1;
+      const noise = this.params.noiseLevel * (this.random() - 0.5) * 2 * this.params.amplitude * 0.1;
       
       // Генерация значения в зависимости от паттерна
       let value;
@@ -7,7 +7,13 @@
  */
 
 class SpO2Generator {
-    constructor() {
+    /**
+     * @param {Function} random - Источник случайных чисел в диапазоне [0, 1) (по умолчанию Math.random)
+     */
+    constructor(random = Math.random) {
+      // Источник случайных чисел (может быть детерминированным при заданном seed)
+      this.random = random;
+      
       // Параметры по умолчанию
       this.params = {
         sampleRate: 100,      // Частота дискретизации (Гц)
@@ -31,7 +37,8 @@ class SpO2Generator {
         DISCONNECT: 'disconnect',        // Отсоединение датчика
         PRESSURE: 'pressure',            // Избыточное давление на датчик
         AMBIENT_LIGHT: 'ambientLight',   // Воздействие окружающего света
-        CARDIAC_ARRHYTHMIA: 'arrhythmia' // Сердечная аритмия
+        CARDIAC_ARRHYTHMIA: 'arrhythmia', // Сердечная аритмия
+        CPR_COMPRESSIONS: 'compressions' // Пульсовая волна от компрессий при СЛР
       };
       
       // Текущий паттерн
@@ -99,7 +106,8 @@ class SpO2Generator {
         sensor_disconnect = false, // Отсоединение датчика
         ambient_light = false,     // Влияние внешнего света
         cardiac_rhythm = 'normal', // Сердечный ритм
-        cardiac_arrest = false     // Остановка сердца
+        cardiac_arrest = false,    // Остановка сердца
+        cpr = null                 // Состояние СЛР (частота и качество компрессий)
       } = patientState;
       
       // Обновляем базовые параметры
@@ -114,6 +122,13 @@ class SpO2Generator {
         return;
       }
       
+      // При остановке сердца пульсовую волну создают только компрессии
+      if (cardiac_arrest && cpr && cpr.delivering && cpr.rate > 0) {
+        this.updateParams({ heartRate: cpr.rate });
+        this.setPattern(this.patterns.CPR_COMPRESSIONS, { perfusionIndex: Math.max(0.05, cpr.quality * 0.5) });
+        return;
+      }
+      
       // Проверяем остановку сердца
       if (cardiac_arrest) {
         this.setPattern(this.patterns.DISCONNECT, { isArrest: true });
@@ -249,7 +264,7 @@ class SpO2Generator {
       
       // Если начинается новый пульс, рассчитываем новую вариацию амплитуды
       if (time < 0.01) {
-        this.amplitudeVariation = 1 + (Math.random() * 2 - 1) * variability;
+        this.amplitudeVariation = 1 + (this.random() * 2 - 1) * variability;
       }
       
       // Получаем базовую форму волны
@@ -302,7 +317,7 @@ class SpO2Generator {
                            (Math.sin(this.currentTime * 12) * 0.5 + 
                             Math.sin(this.currentTime * 7.3) * 0.3 + 
                             Math.sin(this.currentTime * 3.8) * 0.2 + 
-                            (Math.random() - 0.5));
+                            (this.random() - 0.5));
       
       // Смешиваем базовый сигнал и шум
       const mixFactor = Math.min(1, intensity * 1.5); // Коэффициент смешивания
@@ -317,7 +332,7 @@ class SpO2Generator {
       const { isArrest = false } = this.patternOptions;
       
       // При отключении датчика - прямая линия с небольшим шумом
-      const noise = this.params.noiseLevel * 0.5 * (Math.random() - 0.5);
+      const noise = this.params.noiseLevel * 0.5 * (this.random() - 0.5);
       
       // При остановке сердца может быть очень низкоамплитудный сигнал
       if (isArrest) {
@@ -364,12 +379,12 @@ class SpO2Generator {
         case 'afib': // Фибрилляция предсердий - нерегулярный ритм
           // Вариабельность RR интервалов 20-40%
           const variability = 0.3;
-          nextInterval = this.pulseInterval * (1 + (Math.random() * 2 - 1) * variability);
+          nextInterval = this.pulseInterval * (1 + (this.random() * 2 - 1) * variability);
           break;
           
         case 'vfib': // Фибрилляция желудочков - хаотичная активность
           // Хаотичные интервалы, очень нерегулярные
-          nextInterval = this.pulseInterval * (0.5 + Math.random() * 1.5);
+          nextInterval = this.pulseInterval * (0.5 + this.random() * 1.5);
           break;
           
         case 'vtach': // Желудочковая тахикардия - быстрый регулярный ритм
@@ -383,7 +398,7 @@ class SpO2Generator {
               this.previousIntervals[this.previousIntervals.length - 1] > this.pulseInterval * 1.5) {
             // После длинной паузы - нормальный интервал
             nextInterval = this.pulseInterval;
-          } else if (Math.random() < 0.3) {
+          } else if (this.random() < 0.3) {
             // 30% шанс пропущенного удара
             nextInterval = this.pulseInterval * 2;
           } else {
@@ -393,7 +408,7 @@ class SpO2Generator {
           
         case 'pvc': // Желудочковая экстрасистолия - преждевременные сокращения
           // Преждевременные сокращения с компенсаторной паузой
-          if (Math.random() < 0.2) {
+          if (this.random() < 0.2) {
             // 20% шанс PVC
             nextInterval = this.pulseInterval * 0.7; // Преждевременное сокращение
             // Следующий интервал после PVC будет длиннее (компенсаторная пауза)
@@ -456,7 +471,7 @@ class SpO2Generator {
       // Для некоторых аритмий добавляем вариабельность амплитуды
       if (type === 'afib' || type === 'vfib') {
         const ampVariability = 0.3;
-        const randomFactor = 1 - ampVariability / 2 + Math.random() * ampVariability;
+        const randomFactor = 1 - ampVariability / 2 + this.random() * ampVariability;
         waveform = this.params.baseline + (waveform - this.params.baseline) * randomFactor;
       }
       
@@ -475,7 +490,8 @@ class SpO2Generator {
       if (this.pattern === this.patterns.NORMAL ||
           this.pattern === this.patterns.WEAK ||
           this.pattern === this.patterns.UNSTABLE ||
-          this.pattern === this.patterns.VENOUS_PULSATION) {
+          this.pattern === this.patterns.VENOUS_PULSATION ||
+          this.pattern === this.patterns.CPR_COMPRESSIONS) {
         
         const timeSinceLastPulse = this.currentTime - this.lastPulseTime;
         
@@ -485,13 +501,13 @@ class SpO2Generator {
       }
       
       // Базовый шум, добавляемый ко всем паттернам
-      const noise = this.params.noiseLevel * (Math.random() * 2 - 1) * this.params.amplitude;
+      const noise = this.params.noiseLevel * (this.random() * 2 - 1) * this.params.amplitude;
       
       // Случайные артефакты (кроме движения и отключения)
       if (!this.inArtifactPeriod && 
           this.pattern !== this.patterns.MOVEMENT && 
           this.pattern !== this.patterns.DISCONNECT &&
-          Math.random() < this.params.artifactProbability) {
+          this.random() < this.params.artifactProbability) {
         
         this.inArtifactPeriod = true;
         this.artifactTimer = this.currentTime;
@@ -500,13 +516,13 @@ class SpO2Generator {
       // Если в периоде артефакта, генерируем артефакт
       if (this.inArtifactPeriod) {
         // Длительность артефакта 0.2-0.5 секунды
-        const artifactDuration = 0.2 + Math.random() * 0.3;
+        const artifactDuration = 0.2 + this.random() * 0.3;
         
         if (this.currentTime - this.artifactTimer > artifactDuration) {
           this.inArtifactPeriod = false;
         } else {
           // Случайный артефакт - резкий скачок сигнала
-          return this.params.baseline + this.params.amplitude * (Math.random() * 2 - 1) * 2;
+          return this.params.baseline + this.params.amplitude * (this.random() * 2 - 1) * 2;
         }
       }
       
@@ -515,6 +531,7 @@ class SpO2Generator {
       
       switch (this.pattern) {
         case this.patterns.WEAK:
+        case this.patterns.CPR_COMPRESSIONS:
           value = this.generateWeakSignal(
             this.currentTime - this.lastPulseTime,
             this.pulseInterval
@@ -596,18 +613,18 @@ class SpO2Generator {
       switch (this.pattern) {
         case this.patterns.DISCONNECT:
           // При отключении датчика - нет данных или случайные значения
-          spo2 = Math.min(100, Math.max(70, spo2 + (Math.random() * 30 - 15)));
+          spo2 = Math.min(100, Math.max(70, spo2 + (this.random() * 30 - 15)));
           break;
           
         case this.patterns.MOVEMENT:
           // При движении - колебания SpO2
           const variability = this.patternOptions?.intensity || 0.5;
-          spo2 = Math.min(100, Math.max(70, spo2 + (Math.random() * 20 - 10) * variability));
+          spo2 = Math.min(100, Math.max(70, spo2 + (this.random() * 20 - 10) * variability));
           break;
           
         case this.patterns.AMBIENT_LIGHT:
           // При воздействии света - обычно ложно завышенные показания
-          spo2 = Math.min(100, spo2 + Math.random() * 3);
+          spo2 = Math.min(100, spo2 + this.random() * 3);
           break;
       }
       